@@ -15,6 +15,21 @@ add_action('admin_menu', 'status_sentry_add_benchmark_page', 20);
 // Add a direct link to the benchmark page in the admin bar
 add_action('admin_bar_menu', 'status_sentry_add_benchmark_admin_bar_link', 100);
 
+// Execute benchmark runs started from the benchmark page
+add_action('status_sentry_run_benchmark', 'status_sentry_run_benchmark');
+
+/**
+ * Execute a benchmark run in the background.
+ *
+ * @param string $run_id The run ID.
+ */
+function status_sentry_run_benchmark($run_id) {
+    require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/benchmarking/class-status-sentry-benchmark-jobs.php';
+
+    $jobs = new Status_Sentry_Benchmark_Jobs();
+    $jobs->execute($run_id);
+}
+
 /**
  * Add a direct link to the benchmark page in the admin bar.
  *
@@ -86,7 +101,6 @@ function status_sentry_benchmark_page() {
     // Debug: Log when benchmark page function is called
     error_log('Status Sentry: status_sentry_benchmark_page function called');
     error_log('Status Sentry: $_GET = ' . print_r($_GET, true));
-    error_log('Status Sentry: $_POST = ' . print_r($_POST, true));
 
     // Check user capabilities
     if (!current_user_can('manage_options')) {
@@ -94,21 +108,14 @@ function status_sentry_benchmark_page() {
         return;
     }
 
-    // Check if the benchmark should be run
-    $run_benchmark = isset($_POST['run_benchmark']) && $_POST['run_benchmark'] === '1';
-    $benchmark_type = isset($_POST['benchmark_type']) ? sanitize_text_field($_POST['benchmark_type']) : 'all';
-
-    // Debug: Log benchmark run parameters
-    if ($run_benchmark) {
-        error_log('Status Sentry: Benchmark run requested, type: ' . $benchmark_type);
-    }
+    require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/benchmarking/class-status-sentry-benchmark-jobs.php';
 
     // Enqueue Chart.js
     wp_enqueue_script('chartjs', 'https://cdn.jsdelivr.net/npm/chart.js@3.7.1/dist/chart.min.js', [], '3.7.1', true);
 
     // Enqueue benchmark CSS and JS
     wp_enqueue_style('status-sentry-benchmark-css', plugin_dir_url(STATUS_SENTRY_PLUGIN_DIR . 'status-sentry.php') . 'assets/css/benchmark.css', [], '1.6.0');
-    wp_enqueue_script('status-sentry-benchmark-js', plugin_dir_url(STATUS_SENTRY_PLUGIN_DIR . 'status-sentry.php') . 'assets/js/benchmark.js', ['jquery', 'chartjs'], '1.6.0', true);
+    wp_enqueue_script('status-sentry-benchmark-js', plugin_dir_url(STATUS_SENTRY_PLUGIN_DIR . 'status-sentry.php') . 'assets/js/benchmark.js', ['jquery', 'chartjs', 'status-sentry-api'], '1.6.0', true);
 
     // Add inline script to ensure toggle button works
     wp_add_inline_script('status-sentry-benchmark-js', '
@@ -135,236 +142,92 @@ function status_sentry_benchmark_page() {
 
         <div class="card" style="margin-top: 20px; max-width: none; width: 100%;">
             <h2>Run Benchmark</h2>
-            <form method="post">
-                <input type="hidden" name="run_benchmark" value="1">
-                <?php wp_nonce_field('status_sentry_benchmark'); ?>
-
+            <p>Benchmarks run in the background through WP-Cron, one test at a time. You can leave this page while a run is in progress and come back to it later.</p>
+            <form id="status-sentry-benchmark-run-form">
                 <table class="form-table">
                     <tr>
-                        <th scope="row">Benchmark Type</th>
+                        <th scope="row">Tests</th>
                         <td>
-                            <select name="benchmark_type">
-                                <option value="all" <?php selected($benchmark_type, 'all'); ?>>All Components</option>
-                                <option value="resource_manager" <?php selected($benchmark_type, 'resource_manager'); ?>>Resource Manager</option>
-                                <option value="event_queue" <?php selected($benchmark_type, 'event_queue'); ?>>Event Queue</option>
-                                <option value="query_cache" <?php selected($benchmark_type, 'query_cache'); ?>>Query Cache</option>
-                                <option value="data_capture" <?php selected($benchmark_type, 'data_capture'); ?>>Data Capture</option>
-                                <option value="event_processor" <?php selected($benchmark_type, 'event_processor'); ?>>Event Processor</option>
-                            </select>
+                            <fieldset>
+                                <?php foreach (Status_Sentry_Benchmark_Jobs::get_tests() as $method => $test): ?>
+                                <label>
+                                    <input type="checkbox" name="tests[]" value="<?php echo esc_attr($method); ?>" checked>
+                                    <?php echo esc_html($test['label']); ?>
+                                </label><br>
+                                <?php endforeach; ?>
+                            </fieldset>
                         </td>
                     </tr>
                 </table>
 
                 <p class="submit">
-                    <button type="submit" class="button button-primary">Run Benchmark</button>
+                    <button type="submit" class="button button-primary status-sentry-benchmark-start">Run Benchmark</button>
+                    <button type="button" class="button status-sentry-benchmark-cancel" hidden>Cancel</button>
                 </p>
             </form>
-        </div>
-
-        <?php
-        // Debug: Log nonce verification
-        if ($run_benchmark) {
-            error_log('Status Sentry: Checking nonce for benchmark run');
-            if (!isset($_POST['_wpnonce'])) {
-                error_log('Status Sentry: Nonce is missing in POST data');
-            } else {
-                error_log('Status Sentry: Nonce value: ' . $_POST['_wpnonce']);
-                $nonce_result = wp_verify_nonce($_POST['_wpnonce'], 'status_sentry_benchmark');
-                error_log('Status Sentry: Nonce verification result: ' . ($nonce_result ? 'success' : 'failure'));
-            }
-        }
-
-        if ($run_benchmark && check_admin_referer('status_sentry_benchmark')):
-            error_log('Status Sentry: Nonce verification passed, running benchmark');
-            // Include the benchmark runner class
-            require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/benchmarking/class-status-sentry-benchmark-runner.php';
-
-            // Create an instance of the benchmark runner
-            $benchmark_runner = new Status_Sentry_Benchmark_Runner();
-
-            // Store benchmark results
-            $all_results = [];
-
-            // Start output buffering to capture benchmark output
-            ob_start();
-
-            echo "Running benchmarks with real WordPress environment...\n\n";
-
-            // Run the selected benchmarks
-            if ($benchmark_type === 'all' || $benchmark_type === 'resource_manager') {
-                echo "1. Resource Manager Benchmark\n";
-                echo "----------------------------\n";
-                $results = $benchmark_runner->test_resource_manager_performance(true);
-                $all_results['resource_manager'] = $results;
-                echo "Memory Usage: " . number_format(max($results['memory_usage'], 0)) . " bytes\n";
-                echo "Execution Time: " . number_format($results['execution_time'], 4) . " seconds\n";
-                echo "Operations Per Second: " . number_format($results['operations_per_second']) . "\n\n";
-            }
-
-            if ($benchmark_type === 'all' || $benchmark_type === 'event_queue') {
-                echo "2. Event Queue Benchmark\n";
-                echo "----------------------\n";
-                $results = $benchmark_runner->test_event_queue_performance(true);
-                $all_results['event_queue'] = $results;
-                echo "Memory Usage: " . number_format(max($results['memory_usage'], 0)) . " bytes\n";
-                echo "Execution Time: " . number_format($results['execution_time'], 4) . " seconds\n";
-                echo "Operations Per Second: " . number_format($results['operations_per_second']) . "\n\n";
-            }
-
-            if ($benchmark_type === 'all' || $benchmark_type === 'query_cache') {
-                echo "3. Query Cache Benchmark\n";
-                echo "----------------------\n";
-                $results = $benchmark_runner->test_query_cache_performance(true);
-                $all_results['query_cache'] = $results;
-                echo "Memory Usage: " . number_format(max($results['memory_usage'], 0)) . " bytes\n";
-                echo "Execution Time: " . number_format($results['execution_time'], 4) . " seconds\n";
-                echo "Operations Per Second: " . number_format($results['operations_per_second']) . "\n\n";
-            }
-
-            if ($benchmark_type === 'all' || $benchmark_type === 'data_capture') {
-                echo "4. Data Capture Benchmark\n";
-                echo "-----------------------\n";
-                $results = $benchmark_runner->test_data_capture_performance(true);
-                $all_results['data_capture'] = $results;
-                echo "Memory Usage: " . number_format(max($results['memory_usage'], 0)) . " bytes\n";
-                echo "Execution Time: " . number_format($results['execution_time'], 4) . " seconds\n";
-                echo "Operations Per Second: " . number_format($results['operations_per_second']) . "\n\n";
-            }
-
-            if ($benchmark_type === 'all' || $benchmark_type === 'event_processor') {
-                echo "5. Event Processor Benchmark\n";
-                echo "--------------------------\n";
-                $results = $benchmark_runner->test_event_processor_performance(true);
-                $all_results['event_processor'] = $results;
-                echo "Memory Usage: " . number_format(max($results['memory_usage'], 0)) . " bytes\n";
-                if (isset($results['peak_memory_usage'])) {
-                    echo "Peak Memory Usage: " . number_format(max($results['peak_memory_usage'], 0)) . " bytes\n";
-                }
-                echo "Execution Time: " . number_format($results['execution_time'], 4) . " seconds\n";
-                echo "Operations Per Second: " . number_format($results['operations_per_second']) . "\n\n";
-            }
-
-            echo "Benchmarks completed successfully.\n";
-
-            // Get the benchmark output
-            $benchmark_output = ob_get_clean();
-
-            // Save the benchmark results in the database
-            $current_results = [
-                'timestamp' => current_time('mysql'),
-                'results' => $all_results
-            ];
-            update_option('status_sentry_benchmark_results', $current_results);
 
-            // Add to benchmark history
-            $benchmark_history = get_option('status_sentry_benchmark_history', []);
-            array_unshift($benchmark_history, $current_results);
-
-            // Limit history to 10 entries
-            if (count($benchmark_history) > 10) {
-                $benchmark_history = array_slice($benchmark_history, 0, 10);
-            }
-
-            // Save updated history
-            update_option('status_sentry_benchmark_history', $benchmark_history);
-
-            // Display the results
-            ?>
-            <div class="card status-sentry-benchmark-container" style="margin-top: 20px; max-width: none; width: 100%;">
-                <h2>Benchmark Results</h2>
-                <p>Benchmark completed at <?php echo current_time('mysql'); ?> - <a href="<?php echo admin_url('admin.php?page=status-sentry-benchmark-history'); ?>">View Benchmark History</a></p>
+            <div class="status-sentry-benchmark-progress" hidden>
+                <p class="status-sentry-benchmark-progress-summary"></p>
+                <progress class="status-sentry-benchmark-progress-bar" max="1" value="0"></progress>
+                <ul class="status-sentry-benchmark-progress-tests"></ul>
+            </div>
+        </div>
 
-                <div class="status-sentry-benchmark-grid">
-                    <div class="status-sentry-benchmark-actions">
-                        <button id="status-sentry-toggle-fullwidth" class="button status-sentry-toggle-fullwidth">
-                            <span class="dashicons dashicons-editor-expand" style="margin-top: 3px;"></span> Toggle Full Width
-                        </button>
-                        <button class="button status-sentry-print-results">
-                            <span class="dashicons dashicons-printer" style="margin-top: 3px;"></span> Print Results
-                        </button>
-                        <button class="button status-sentry-export-csv">
-                            <span class="dashicons dashicons-media-spreadsheet" style="margin-top: 3px;"></span> Export as CSV
-                        </button>
-                    </div>
+        <div class="card status-sentry-benchmark-container" id="status-sentry-benchmark-results" style="margin-top: 20px; max-width: none; width: 100%;" hidden>
+            <h2>Benchmark Results</h2>
+            <p><span class="status-sentry-benchmark-results-summary"></span> - <a href="<?php echo admin_url('admin.php?page=status-sentry-benchmark-history'); ?>">View Benchmark History</a></p>
+
+            <div class="status-sentry-benchmark-grid">
+                <div class="status-sentry-benchmark-actions">
+                    <button id="status-sentry-toggle-fullwidth" class="button status-sentry-toggle-fullwidth">
+                        <span class="dashicons dashicons-editor-expand" style="margin-top: 3px;"></span> Toggle Full Width
+                    </button>
+                    <button class="button status-sentry-print-results">
+                        <span class="dashicons dashicons-printer" style="margin-top: 3px;"></span> Print Results
+                    </button>
+                    <button class="button status-sentry-export-csv" disabled>
+                        <span class="dashicons dashicons-media-spreadsheet" style="margin-top: 3px;"></span> Export as CSV
+                    </button>
+                    <button class="button status-sentry-export-json" disabled>
+                        <span class="dashicons dashicons-media-code" style="margin-top: 3px;"></span> Export as JSON
+                    </button>
+                </div>
 
-                    <?php if (count($all_results) > 1): ?>
-                    <div class="status-sentry-charts-wrapper">
-                        <div class="status-sentry-charts">
-                            <div class="status-sentry-chart-container">
-                                <h3>Memory Usage (bytes)</h3>
-                                <canvas id="memoryChart"></canvas>
-                            </div>
-                            <div class="status-sentry-chart-container">
-                                <h3>Execution Time (seconds)</h3>
-                                <canvas id="timeChart"></canvas>
-                            </div>
-                            <div class="status-sentry-chart-container">
-                                <h3>Operations Per Second</h3>
-                                <canvas id="opsChart"></canvas>
-                            </div>
+                <div class="status-sentry-charts-wrapper">
+                    <div class="status-sentry-charts">
+                        <div class="status-sentry-chart-container">
+                            <h3>Memory Usage (bytes)</h3>
+                            <canvas id="memoryChart"></canvas>
+                        </div>
+                        <div class="status-sentry-chart-container">
+                            <h3>Execution Time (seconds)</h3>
+                            <canvas id="timeChart"></canvas>
+                        </div>
+                        <div class="status-sentry-chart-container">
+                            <h3>Operations Per Second</h3>
+                            <canvas id="opsChart"></canvas>
                         </div>
                     </div>
-                    <?php endif; ?>
-
-                    <div class="status-sentry-detailed-results">
-                        <h3>Detailed Results</h3>
-
-                        <table class="widefat status-sentry-table">
-                            <thead>
-                                <tr>
-                                    <th>Component</th>
-                                    <th>Memory Usage</th>
-                                    <th>Execution Time</th>
-                                    <th>Operations Per Second</th>
-                                    <th>Status</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                <?php foreach ($all_results as $component => $results): ?>
-                                <tr>
-                                    <td><?php echo esc_html(ucwords(str_replace('_', ' ', $component))); ?></td>
-                                    <td><?php echo number_format(max($results['memory_usage'], 0)); ?> bytes</td>
-                                    <td><?php echo number_format($results['execution_time'], 4); ?> seconds</td>
-                                    <td><?php echo number_format($results['operations_per_second']); ?></td>
-                                    <td>
-                                        <?php if ($results['passed']): ?>
-                                        <span class="status-sentry-status status-sentry-status-passed">Passed</span>
-                                        <?php else: ?>
-                                        <span class="status-sentry-status status-sentry-status-failed">Failed</span>
-                                        <?php endif; ?>
-                                    </td>
-                                </tr>
-                                <?php endforeach; ?>
-                            </tbody>
-                        </table>
+                </div>
 
-                        <h4>Raw Output</h4>
-                        <div class="status-sentry-raw-output"><?php echo $benchmark_output; ?></div>
-                    </div>
+                <div class="status-sentry-detailed-results">
+                    <h3>Detailed Results</h3>
+
+                    <table class="widefat status-sentry-table">
+                        <thead>
+                            <tr>
+                                <th>Component</th>
+                                <th>Memory Usage</th>
+                                <th>Execution Time</th>
+                                <th>Operations Per Second</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
                 </div>
             </div>
-
-            <?php if (count($all_results) > 1): ?>
-            <script>
-            // Prepare data for charts
-            window.statusSentryBenchmarkData = {
-                labels: <?php echo json_encode(array_map(function($key) {
-                    return ucwords(str_replace('_', ' ', $key));
-                }, array_keys($all_results))); ?>,
-                memoryData: <?php echo json_encode(array_map(function($result) {
-                    return $result['memory_usage'];
-                }, $all_results)); ?>,
-                timeData: <?php echo json_encode(array_map(function($result) {
-                    return $result['execution_time'];
-                }, $all_results)); ?>,
-                opsData: <?php echo json_encode(array_map(function($result) {
-                    return $result['operations_per_second'];
-                }, $all_results)); ?>
-            };
-            </script>
-            <?php endif; ?>
-
-        <?php endif; ?>
+        </div>
     </div>
     <?php
 }
@@ -485,7 +348,7 @@ function status_sentry_benchmark_history_page() {
 
     // Enqueue benchmark CSS and JS
     wp_enqueue_style('status-sentry-benchmark-css', plugin_dir_url(STATUS_SENTRY_PLUGIN_DIR . 'status-sentry.php') . 'assets/css/benchmark.css', [], '1.6.0');
-    wp_enqueue_script('status-sentry-benchmark-js', plugin_dir_url(STATUS_SENTRY_PLUGIN_DIR . 'status-sentry.php') . 'assets/js/benchmark.js', ['jquery', 'chartjs'], '1.6.0', true);
+    wp_enqueue_script('status-sentry-benchmark-js', plugin_dir_url(STATUS_SENTRY_PLUGIN_DIR . 'status-sentry.php') . 'assets/js/benchmark.js', ['jquery', 'chartjs', 'status-sentry-api'], '1.6.0', true);
 
     // Add inline script to ensure toggle button works
     wp_add_inline_script('status-sentry-benchmark-js', '
@@ -510,8 +373,14 @@ function status_sentry_benchmark_history_page() {
 
         <?php if (empty($benchmark_history)): ?>
             <div class="card" style="margin-top: 20px; max-width: none; width: 100%;">
-                <p>No benchmark history available. Run a benchmark first.</p>
-                <p><a href="<?php echo admin_url('admin.php?page=status-sentry-benchmark'); ?>" class="button button-primary">Run Benchmark</a></p>
+                <p>No benchmark history available. Run a benchmark first, or import runs exported from another site.</p>
+                <p>
+                    <a href="<?php echo admin_url('admin.php?page=status-sentry-benchmark'); ?>" class="button button-primary">Run Benchmark</a>
+                    <button class="button status-sentry-import-runs">
+                        <span class="dashicons dashicons-upload" style="margin-top: 3px;"></span> Import Runs
+                    </button>
+                    <input type="file" class="status-sentry-import-file" accept=".json,application/json" hidden>
+                </p>
             </div>
         <?php else: ?>
             <div class="card status-sentry-benchmark-container" style="margin-top: 20px; max-width: none; width: 100%;">
@@ -528,6 +397,13 @@ function status_sentry_benchmark_history_page() {
                         <button class="button status-sentry-export-csv">
                             <span class="dashicons dashicons-media-spreadsheet" style="margin-top: 3px;"></span> Export as CSV
                         </button>
+                        <button class="button status-sentry-export-json">
+                            <span class="dashicons dashicons-media-code" style="margin-top: 3px;"></span> Export as JSON
+                        </button>
+                        <button class="button status-sentry-import-runs">
+                            <span class="dashicons dashicons-upload" style="margin-top: 3px;"></span> Import Runs
+                        </button>
+                        <input type="file" class="status-sentry-import-file" accept=".json,application/json" hidden>
                     </div>
 
                     <?php if ($has_benchmark_data): ?>
@@ -535,6 +411,31 @@ function status_sentry_benchmark_history_page() {
                         <h3>Operations Per Second Over Time</h3>
                         <canvas id="historyChart" style="width: 100%; min-width: 100%;"></canvas>
                     </div>
+
+                    <div class="status-sentry-benchmark-compare" id="status-sentry-benchmark-compare">
+                        <h3>Compare Runs</h3>
+                        <p class="description">Compare a candidate run against a baseline, e.g. the runs before and after a plugin update. Changes worse than the tolerance are flagged as regressions.</p>
+
+                        <div class="status-sentry-benchmark-compare-controls">
+                            <label>
+                                Baseline
+                                <select class="status-sentry-compare-baseline"></select>
+                            </label>
+                            <label>
+                                Candidate
+                                <select class="status-sentry-compare-candidate"></select>
+                            </label>
+                            <label>
+                                Tolerance (%)
+                                <input type="number" class="small-text status-sentry-compare-tolerance" min="0" max="1000" step="1" value="10">
+                            </label>
+                            <button type="button" class="button status-sentry-compare-copy-link">
+                                <span class="dashicons dashicons-admin-links" style="margin-top: 3px;"></span> Copy Link
+                            </button>
+                        </div>
+
+                        <div class="status-sentry-benchmark-compare-results"></div>
+                    </div>
                     <?php endif; ?>
 
                     <div class="status-sentry-detailed-results">
@@ -575,7 +476,12 @@ function status_sentry_benchmark_history_page() {
                                     <?php if (!empty($entry['results'])): ?>
                                         <?php foreach ($entry['results'] as $component => $results): ?>
                                             <tr>
-                                                <td><?php echo esc_html($entry['timestamp']); ?></td>
+                                                <td>
+                                                    <?php echo esc_html($entry['timestamp']); ?>
+                                                    <?php if (!empty($entry['source']['site_url'])): ?>
+                                                    <br><span class="description">Imported from <?php echo esc_html(wp_parse_url($entry['source']['site_url'], PHP_URL_HOST)); ?></span>
+                                                    <?php endif; ?>
+                                                </td>
                                                 <td><?php echo esc_html(ucwords(str_replace('_', ' ', $component))); ?></td>
                                                 <td><?php echo number_format(max($results['memory_usage'], 0)); ?> bytes</td>
                                                 <td><?php echo number_format($results['execution_time'], 4); ?> seconds</td>
@@ -662,10 +568,18 @@ function status_sentry_benchmark_history_page() {
             // Process benchmark history data
             const history = <?php echo json_encode(array_reverse($benchmark_history)); ?>;
 
+            // The runs, oldest first, for the comparison view
+            window.statusSentryBenchmarkRuns = history;
+
             // Extract timestamps for labels
             history.forEach(entry => {
                 if (entry && entry.timestamp) {
-                    window.statusSentryBenchmarkHistoryData.labels.push(entry.timestamp);
+                    // Imported runs are labelled with the site they came from
+                    window.statusSentryBenchmarkHistoryData.labels.push(
+                        entry.source && entry.source.site_url ?
+                            entry.timestamp + ' (' + new URL(entry.source.site_url).host + ')' :
+                            entry.timestamp
+                    );
                 }
             });
 
@@ -752,7 +666,7 @@ function status_sentry_benchmark_history_page() {
                     e.preventDefault();
                     $('#status-sentry-search-input').val('');
                     $('#status-sentry-search-field').val('all');
-                    $('.status-sentry-table tbody tr').show();
+                    $('.status-sentry-detailed-results .status-sentry-table tbody tr').show();
                 });
 
                 // Handle clear all benchmarks
@@ -797,11 +711,11 @@ function status_sentry_benchmark_history_page() {
                     const searchField = $('#status-sentry-search-field').val();
 
                     if (searchTerm === '') {
-                        $('.status-sentry-table tbody tr').show();
+                        $('.status-sentry-detailed-results .status-sentry-table tbody tr').show();
                         return;
                     }
 
-                    $('.status-sentry-table tbody tr').each(function() {
+                    $('.status-sentry-detailed-results .status-sentry-table tbody tr').each(function() {
                         let found = false;
 
                         if (searchField === 'all' || searchField === 'date') {
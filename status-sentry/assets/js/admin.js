@@ -14,51 +14,670 @@
 
         // Initialize clear events functionality
         initClearEvents();
+
+        // Open the event linked from the URL
+        openEventFromUrl();
     }
 
+    /**
+     * The event shown in the event viewer.
+     */
+    var currentEvent = null;
+
+    /**
+     * The event pinned for comparison.
+     */
+    var pinnedEvent = null;
+
+    /**
+     * Counts viewer requests, so a slow response can't replace a newer event.
+     */
+    var viewerRequest = 0;
+
     /**
      * Initialize the event viewer.
      */
     function initEventViewer() {
-        $('.status-sentry-view-event').on('click', function(e) {
+        // Delegated so rows rendered later by the event explorer are handled too
+        $(document).on('click', '.status-sentry-view-event', function(e) {
             e.preventDefault();
 
-            var eventId = $(this).data('id');
-            var eventType = $(this).data('type') || 'legacy';
-
-            // Show loading message
-            showEventViewerDialog('Loading event data...');
-
-            // Fetch event data
-            $.ajax({
-                url: statusSentry.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'status_sentry_get_event',
-                    nonce: statusSentry.nonce,
-                    event_id: eventId,
-                    event_type: eventType
-                },
-                success: function(response) {
-                    if (response.success) {
-                        showEventViewerDialog(formatEventData(response.data));
-                    } else {
-                        showEventViewerDialog('Error: ' + response.data);
-                    }
-                },
-                error: function() {
-                    showEventViewerDialog('Error: Failed to fetch event data.');
-                }
+            openEvent($(this).data('id'), $(this).data('type') || 'legacy');
+        });
+
+        $(document).on('click', '.status-sentry-event-pin', function() {
+            pinnedEvent = isPinned(currentEvent) ? null : currentEvent;
+            showEventViewerDialog(renderEventView(currentEvent));
+            loadSimilarEvents(currentEvent);
+        });
+
+        $(document).on('click', '.status-sentry-event-compare', function() {
+            showEventViewerDialog(renderComparison(pinnedEvent, currentEvent), true);
+        });
+
+        $(document).on('click', '.status-sentry-event-compare-back', function() {
+            showEventViewerDialog(renderEventView(currentEvent));
+            loadSimilarEvents(currentEvent);
+        });
+
+        $(document).on('change', '.status-sentry-event-diff-only', function() {
+            $(this).closest('.status-sentry-event-comparison').toggleClass('status-sentry-diff-only', this.checked);
+        });
+
+        $(document).on('click', '.status-sentry-similar-nav', function() {
+            openEvent($(this).data('id'), 'monitoring');
+        });
+
+        $(document).on('click', '.status-sentry-event-copy-link', function() {
+            copyEventLink($(this));
+        });
+
+        // Keyboard navigation: j/k for the next/previous event, Esc to close
+        $(document).on('keydown', function(e) {
+            if (!isEventViewerOpen() || e.ctrlKey || e.metaKey || e.altKey || $(e.target).is('input, textarea, select, [contenteditable]')) {
+                return;
+            }
+
+            if (e.key === 'Escape') {
+                closeEventViewer();
+            } else if (e.key === 'j' || e.key === 'k') {
+                e.preventDefault();
+                openAdjacentEvent(e.key === 'j' ? 1 : -1);
+            }
+        });
+
+        // The back and forward buttons move between the events opened
+        $(window).on('popstate', function() {
+            if (!openEventFromUrl() && isEventViewerOpen()) {
+                closeEventViewer(true);
+            }
+        });
+    }
+
+    /**
+     * Get the URL parameter identifying an event, e.g. mon-1234.
+     *
+     * @param {number} eventId The event ID.
+     * @param {string} eventType 'monitoring' or 'legacy'.
+     * @return {string} The parameter value.
+     */
+    function getEventParam(eventId, eventType) {
+        return (eventType === 'monitoring' ? 'mon-' : 'legacy-') + eventId;
+    }
+
+    /**
+     * Get the Events page URL that opens an event.
+     *
+     * @param {number} eventId The event ID.
+     * @param {string} eventType 'monitoring' or 'legacy'.
+     * @return {string} The URL.
+     */
+    function getEventUrl(eventId, eventType) {
+        var base = (window.statusSentry && statusSentry.adminUrl) || '';
+        var tab = eventType === 'legacy' ? '&tab=legacy' : '';
+
+        return new URL(base + 'admin.php?page=status-sentry-events' + tab + '&event=' + getEventParam(eventId, eventType), window.location.href).href;
+    }
+
+    /**
+     * Check whether the current page can keep the open event in its URL.
+     *
+     * Only the plugin's own pages reopen the event on load.
+     *
+     * @return {boolean} True on plugin pages.
+     */
+    function canSyncEventUrl() {
+        var page = new URLSearchParams(window.location.search).get('page') || '';
+
+        return page.indexOf('status-sentry') === 0 && typeof window.history.pushState === 'function';
+    }
+
+    /**
+     * Add the event parameter to the URL, or remove it.
+     *
+     * @param {string|null} param The event parameter, or null to remove it.
+     */
+    function syncEventUrl(param) {
+        if (!canSyncEventUrl()) {
+            return;
+        }
+
+        var url = new URL(window.location.href);
+
+        if (url.searchParams.get('event') === param) {
+            return;
+        }
+
+        if (param === null) {
+            url.searchParams.delete('event');
+        } else {
+            url.searchParams.set('event', param);
+        }
+
+        window.history.pushState({ statusSentryEvent: param }, '', url.href);
+    }
+
+    /**
+     * Open the event named in the URL, if there is one.
+     *
+     * @return {boolean} True if the URL names an event.
+     */
+    function openEventFromUrl() {
+        var param = new URLSearchParams(window.location.search).get('event') || '';
+        var match = param.match(/^(mon|legacy)-(\d+)$/);
+
+        if (!match) {
+            return false;
+        }
+
+        var eventType = match[1] === 'mon' ? 'monitoring' : 'legacy';
+
+        if (!currentEvent || !isEventViewerOpen() || getEventKey(currentEvent) !== eventType + ':' + match[2]) {
+            openEvent(Number(match[2]), eventType, true);
+        }
+
+        return true;
+    }
+
+    /**
+     * Check whether the event viewer is open.
+     *
+     * @return {boolean} True if the viewer is open.
+     */
+    function isEventViewerOpen() {
+        var $dialog = $('#status-sentry-event-viewer');
+
+        if ($dialog.length === 0) {
+            return false;
+        }
+
+        if ($dialog.hasClass('ui-dialog-content')) {
+            return $dialog.dialog('isOpen');
+        }
+
+        return $dialog.is(':visible');
+    }
+
+    /**
+     * Close the event viewer.
+     *
+     * @param {boolean} fromHistory Whether the URL already reflects the change.
+     */
+    function closeEventViewer(fromHistory) {
+        var $dialog = $('#status-sentry-event-viewer');
+
+        if ($dialog.hasClass('ui-dialog-content')) {
+            // The dialog's close handler updates the URL
+            $dialog.data('fromHistory', !!fromHistory).dialog('close');
+            return;
+        }
+
+        $dialog.hide();
+        onEventViewerClosed(fromHistory);
+    }
+
+    /**
+     * Forget the open event once the viewer is closed.
+     *
+     * @param {boolean} fromHistory Whether the URL already reflects the change.
+     */
+    function onEventViewerClosed(fromHistory) {
+        viewerRequest++;
+        currentEvent = null;
+
+        if (!fromHistory) {
+            syncEventUrl(null);
+        }
+    }
+
+    /**
+     * Open the next or previous event.
+     *
+     * Moves through the event links on the page, in the order they are
+     * shown. Events that aren't listed on the page, e.g. ones opened from a
+     * link, move through their similar events instead.
+     *
+     * @param {number} offset 1 for the next event, -1 for the previous one.
+     */
+    function openAdjacentEvent(offset) {
+        if (!currentEvent) {
+            return;
+        }
+
+        var key = getEventKey(currentEvent);
+        var seen = {};
+        var links = [];
+
+        $('.status-sentry-view-event').not('#status-sentry-event-viewer .status-sentry-view-event').each(function() {
+            var linkKey = ($(this).data('type') || 'legacy') + ':' + $(this).data('id');
+
+            if (!seen[linkKey]) {
+                seen[linkKey] = true;
+                links.push({ key: linkKey, id: $(this).data('id'), type: $(this).data('type') || 'legacy' });
+            }
+        });
+
+        var index = links.map(function(link) {
+            return link.key;
+        }).indexOf(key);
+
+        if (index !== -1) {
+            var target = links[index + offset];
+
+            if (target) {
+                openEvent(target.id, target.type);
+            }
+
+            return;
+        }
+
+        $('#status-sentry-event-viewer .status-sentry-similar-nav').eq(offset > 0 ? 1 : 0).not(':disabled').trigger('click');
+    }
+
+    /**
+     * Copy the link to the open event.
+     *
+     * @param {jQuery} $button The copy link button.
+     */
+    function copyEventLink($button) {
+        var url = getEventUrl(currentEvent.id, currentEvent.is_monitoring_event ? 'monitoring' : 'legacy');
+        var copied;
+
+        if (navigator.clipboard && window.isSecureContext) {
+            copied = navigator.clipboard.writeText(url);
+        } else {
+            // Fallback for sites not served over HTTPS
+            var $input = $('<textarea readonly></textarea>').val(url).css({ position: 'fixed', opacity: 0 }).appendTo($button.parent());
+            $input.trigger('select');
+            copied = document.execCommand('copy') ? Promise.resolve() : Promise.reject();
+            $input.remove();
+        }
+
+        copied.then(function() {
+            $button.text('Link copied');
+        }).catch(function() {
+            window.prompt('Copy this link to the event:', url);
+        }).then(function() {
+            setTimeout(function() {
+                $button.text('Copy link');
+            }, 2000);
+        });
+    }
+
+    /**
+     * Fetch an event and show it in the event viewer.
+     *
+     * @param {number} eventId The event ID.
+     * @param {string} eventType 'monitoring' or 'legacy'.
+     * @param {boolean} fromHistory Whether the event was opened from the URL, which needs no update.
+     */
+    function openEvent(eventId, eventType, fromHistory) {
+        var request = ++viewerRequest;
+
+        if (!fromHistory) {
+            syncEventUrl(getEventParam(eventId, eventType));
+        }
+
+        // Show loading message
+        showEventViewerDialog('Loading event data...');
+
+        // Fetch event data
+        statusSentry.api.ajax('status_sentry_get_event', {
+            event_id: eventId,
+            event_type: eventType
+        }, { retries: 2 }).then(function(data) {
+            if (request !== viewerRequest) {
+                return;
+            }
+
+            currentEvent = data;
+            showEventViewerDialog(renderEventView(data));
+            loadSimilarEvents(data);
+        }).catch(function(error) {
+            if (request !== viewerRequest) {
+                return;
+            }
+
+            if (error.type === statusSentry.api.ApiError.AJAX) {
+                showEventViewerDialog('Error: ' + error.message);
+            } else {
+                showEventViewerDialog('Error: Failed to fetch event data.');
+            }
+        });
+    }
+
+    /**
+     * Get a key identifying an event across both event tables.
+     *
+     * @param {Object} data The event data.
+     * @return {string} The event key.
+     */
+    function getEventKey(data) {
+        return (data.is_monitoring_event ? 'monitoring' : 'legacy') + ':' + data.id;
+    }
+
+    /**
+     * Check whether an event is the pinned event.
+     *
+     * @param {Object} data The event data.
+     * @return {boolean} True if the event is pinned.
+     */
+    function isPinned(data) {
+        return pinnedEvent !== null && data !== null && getEventKey(pinnedEvent) === getEventKey(data);
+    }
+
+    /**
+     * Build the event viewer content for an event.
+     *
+     * @param {Object} data The event data.
+     * @return {jQuery} The content.
+     */
+    function renderEventView(data) {
+        var $view = $('<div class="status-sentry-event-view"></div>');
+        var $toolbar = $('<div class="status-sentry-event-toolbar"></div>');
+
+        $toolbar.append(
+            $('<button type="button" class="button status-sentry-event-pin"></button>')
+                .text(isPinned(data) ? 'Unpin' : 'Pin for comparison'),
+            $('<button type="button" class="button status-sentry-event-copy-link"></button>').text('Copy link')
+        );
+
+        if (pinnedEvent !== null && !isPinned(data)) {
+            $toolbar.append(
+                $('<button type="button" class="button button-primary status-sentry-event-compare"></button>')
+                    .text('Compare with pinned #' + pinnedEvent.id)
+            );
+        } else if (isPinned(data)) {
+            $toolbar.append(
+                $('<span class="description"></span>').text('Pinned. Open another event to compare it with this one.')
+            );
+        }
+
+        $view.append($toolbar, formatEventData(data));
+
+        if (data.is_monitoring_event) {
+            $view.append(
+                $('<div class="status-sentry-similar-events"></div>').append(
+                    $('<h3></h3>').text('Similar Events'),
+                    $('<p class="description"></p>').text('Loading similar events...')
+                )
+            );
+        }
+
+        return $view;
+    }
+
+    /**
+     * Load the events similar to a monitoring event into the viewer.
+     *
+     * @param {Object} data The event data.
+     */
+    function loadSimilarEvents(data) {
+        if (!data.is_monitoring_event) {
+            return;
+        }
+
+        statusSentry.api.get('events/' + data.id + '/similar', {}, { key: 'event-viewer-similar' }).then(function(similar) {
+            if (currentEvent !== data) {
+                return;
+            }
+
+            $('#status-sentry-event-viewer .status-sentry-similar-events').replaceWith(renderSimilarEvents(data, similar));
+        }).catch(function(error) {
+            if (error.isAbort() || currentEvent !== data) {
+                return;
+            }
+
+            $('#status-sentry-event-viewer .status-sentry-similar-events .description').text(
+                error.type === statusSentry.api.ApiError.NOT_FOUND ?
+                    'This event no longer exists.' :
+                    'Unable to load similar events.'
+            );
+        });
+    }
+
+    /**
+     * Build the similar events section.
+     *
+     * @param {Object} data The event data.
+     * @param {Object} similar The events/{id}/similar response.
+     * @return {jQuery} The section.
+     */
+    function renderSimilarEvents(data, similar) {
+        var $section = $('<div class="status-sentry-similar-events"></div>');
+        var $nav = $('<div class="status-sentry-similar-nav-buttons"></div>');
+        var $chart = $('<div class="status-sentry-similar-occurrences"></div>');
+        var $list = $('<ul class="status-sentry-similar-list"></ul>');
+        var summary;
+        var max = 1;
+
+        $section.append($('<h3></h3>').text('Similar Events'));
+
+        if (similar.total <= 1) {
+            summary = 'This is the only event with this source, context and message. It looks new.';
+        } else {
+            summary = 'Occurrence ' + similar.position + ' of ' + similar.total +
+                ' with this source, context and message. First seen ' + similar.first_seen +
+                ' UTC, last seen ' + similar.last_seen + ' UTC.';
+        }
+
+        $section.append($('<p class="description"></p>').text(summary));
+
+        if (similar.issue) {
+            $section.append(
+                $('<p class="status-sentry-similar-issue"></p>').append(
+                    $('<a></a>')
+                        .attr('href', (statusSentry.adminUrl || '') + 'admin.php?page=status-sentry-events&tab=issues')
+                        .text('Issue #' + similar.issue.id),
+                    document.createTextNode(' is ' + similar.issue.status + ', with ' + similar.issue.occurrences + ' events since ' + similar.issue.first_seen + ' UTC.')
+                )
+            );
+        }
+
+        $nav.append(
+            $('<button type="button" class="button status-sentry-similar-nav"></button>')
+                .text('← Previous')
+                .attr('data-id', similar.previous || '')
+                .prop('disabled', !similar.previous),
+            $('<button type="button" class="button status-sentry-similar-nav"></button>')
+                .text('Next →')
+                .attr('data-id', similar.next || '')
+                .prop('disabled', !similar.next)
+        );
+        $section.append($nav);
+
+        $.each(similar.occurrences, function(index, day) {
+            max = Math.max(max, day.count);
+        });
+
+        $.each(similar.occurrences, function(index, day) {
+            $chart.append(
+                $('<span class="status-sentry-similar-bar"></span>')
+                    .toggleClass('status-sentry-similar-bar-empty', day.count === 0)
+                    .css('height', Math.max(2, Math.round(day.count / max * 40)) + 'px')
+                    .attr('title', day.date + ': ' + day.count)
+            );
+        });
+
+        $section.append(
+            $('<p class="status-sentry-similar-chart-label"></p>').text('Occurrences per day, last ' + similar.occurrences.length + ' days'),
+            $chart
+        );
+
+        $.each(similar.events, function(index, event) {
+            var $item = $('<li></li>');
+
+            if (event.id === Number(data.id)) {
+                $item.addClass('status-sentry-similar-current').text('#' + event.id + ' · ' + event.time_ago + ' (this event)');
+            } else {
+                $item.append(
+                    $('<a href="#" class="status-sentry-view-event" data-type="monitoring"></a>')
+                        .attr('data-id', event.id)
+                        .text('#' + event.id + ' · ' + event.time_ago + ' · ' + event.priority_label)
+                );
+            }
+
+            $list.append($item);
+        });
+
+        if (similar.total > similar.events.length) {
+            $list.append($('<li class="description"></li>').text('Showing the ' + similar.events.length + ' most recent.'));
+        }
+
+        $section.append($list);
+
+        return $section;
+    }
+
+    /**
+     * Flatten an event into dotted paths for comparison.
+     *
+     * @param {Object} data The event data.
+     * @return {Object} The values keyed by path.
+     */
+    function flattenEvent(data) {
+        var fields = data.is_monitoring_event ?
+            ['type', 'priority', 'source', 'context', 'message', 'event_time'] :
+            ['feature', 'hook', 'event_time'];
+        var values = {};
+
+        $.each(fields, function(index, field) {
+            values[field] = data[field];
+        });
+
+        flattenValue(data.performance_metrics || {}, 'metrics', values);
+        flattenValue(data.data, 'data', values);
+
+        return values;
+    }
+
+    /**
+     * Flatten a nested value into dotted paths.
+     *
+     * @param {*} value The value.
+     * @param {string} path The path of the value.
+     * @param {Object} values The flattened values, added to.
+     */
+    function flattenValue(value, path, values) {
+        if (value !== null && typeof value === 'object' && !$.isEmptyObject(value)) {
+            $.each(value, function(key, child) {
+                flattenValue(child, path + '.' + key, values);
             });
+        } else if (value !== null && typeof value === 'object') {
+            values[path] = Array.isArray(value) ? '[]' : '{}';
+        } else if (value !== undefined) {
+            values[path] = value;
+        }
+    }
+
+    /**
+     * Build a side-by-side comparison of two events.
+     *
+     * @param {Object} pinned The pinned event.
+     * @param {Object} data The event being viewed.
+     * @return {jQuery} The comparison.
+     */
+    function renderComparison(pinned, data) {
+        var left = flattenEvent(pinned);
+        var right = flattenEvent(data);
+        var paths = Object.keys(left);
+        var $comparison = $('<div class="status-sentry-event-comparison status-sentry-diff-only"></div>');
+        var $body = $('<tbody></tbody>');
+        var changes = 0;
+
+        $.each(Object.keys(right), function(index, path) {
+            if (!left.hasOwnProperty(path)) {
+                paths.push(path);
+            }
+        });
+
+        $.each(paths, function(index, path) {
+            var inLeft = left.hasOwnProperty(path);
+            var inRight = right.hasOwnProperty(path);
+            var status = 'same';
+            var $change = $('<td class="status-sentry-diff-change"></td>');
+
+            if (!inLeft) {
+                status = 'added';
+            } else if (!inRight) {
+                status = 'removed';
+            } else if (String(left[path]) !== String(right[path])) {
+                status = 'changed';
+
+                if (typeof left[path] === 'number' && typeof right[path] === 'number') {
+                    $change.text(formatDifference(left[path], right[path]));
+                }
+            }
+
+            if (status !== 'same') {
+                changes++;
+            }
+
+            $body.append(
+                $('<tr></tr>').addClass('status-sentry-diff-' + status).append(
+                    $('<th scope="row"></th>').text(path),
+                    $('<td></td>').text(inLeft ? String(left[path]) : '—'),
+                    $('<td></td>').text(inRight ? String(right[path]) : '—'),
+                    $change
+                )
+            );
         });
+
+        $comparison.append(
+            $('<div class="status-sentry-event-toolbar"></div>').append(
+                $('<button type="button" class="button status-sentry-event-compare-back"></button>').text('← Back to event'),
+                $('<label></label>').append(
+                    $('<input type="checkbox" class="status-sentry-event-diff-only" checked>'),
+                    ' ',
+                    document.createTextNode('Show only differences')
+                ),
+                $('<span class="description"></span>').text(changes === 1 ? '1 difference' : changes + ' differences')
+            ),
+            $('<table class="widefat striped status-sentry-diff-table"></table>').append(
+                $('<thead></thead>').append(
+                    $('<tr></tr>').append(
+                        $('<th scope="col"></th>').text('Field'),
+                        $('<th scope="col"></th>').text('Pinned #' + pinned.id),
+                        $('<th scope="col"></th>').text('#' + data.id),
+                        $('<th scope="col"></th>').text('Change')
+                    )
+                ),
+                $body
+            )
+        );
+
+        if (changes === 0) {
+            $comparison.append($('<p class="description"></p>').text('The events have the same data and metrics.'));
+        }
+
+        return $comparison;
+    }
+
+    /**
+     * Format the difference between two numbers.
+     *
+     * @param {number} from The pinned value.
+     * @param {number} to The viewed value.
+     * @return {string} The difference, with the relative change when it is meaningful.
+     */
+    function formatDifference(from, to) {
+        var delta = to - from;
+        var text = (delta > 0 ? '+' : '') + Number(delta.toFixed(4)).toLocaleString();
+
+        if (from !== 0) {
+            text += ' (' + (delta > 0 ? '+' : '') + (delta / Math.abs(from) * 100).toFixed(1) + '%)';
+        }
+
+        return text;
     }
 
     /**
      * Show the event viewer dialog.
      *
-     * @param {string} content The dialog content.
+     * @param {string|jQuery} content The dialog content.
+     * @param {boolean} wide Whether to widen the dialog, e.g. for a comparison.
      */
-    function showEventViewerDialog(content) {
+    function showEventViewerDialog(content, wide) {
         // Check if the dialog exists
         var $dialog = $('#status-sentry-event-viewer');
 
@@ -79,12 +698,17 @@
                         Close: function() {
                             $(this).dialog('close');
                         }
+                    },
+                    close: function() {
+                        onEventViewerClosed($(this).data('fromHistory'));
+                        $(this).data('fromHistory', false);
                     }
                 });
             }
 
             // Set the dialog content
             $dialog.html(content);
+            $dialog.dialog('option', 'width', wide ? Math.min(900, $(window).width() - 40) : 600);
 
             // Open the dialog
             $dialog.dialog('open');
@@ -119,19 +743,20 @@
 
                 // Add close functionality
                 $('.status-sentry-modal-close').on('click', function() {
-                    $dialog.hide();
+                    closeEventViewer();
                 });
 
                 // Close when clicking outside the modal
                 $(window).on('click', function(event) {
                     if ($(event.target).is($dialog)) {
-                        $dialog.hide();
+                        closeEventViewer();
                     }
                 });
             }
 
             // Set the content
             $('.status-sentry-modal-body', $dialog).html(content);
+            $('.status-sentry-modal-content', $dialog).css('max-width', wide ? '900px' : '600px');
 
             // Show the modal
             $dialog.show();
@@ -425,7 +1050,7 @@
         $('.status-sentry-clear-events').on('click', function() {
             var type = $(this).data('type');
             var nonce = $(this).data('nonce') || statusSentry.nonce;
-            var confirmMessage = 'Are you sure you want to delete all ' + type + ' events? This action cannot be undone.';
+            var confirmMessage = 'Are you sure you want to delete all ' + type + ' events? You can undo this for a short while.';
 
             if (!confirm(confirmMessage)) {
                 return;
@@ -437,48 +1062,48 @@
             $button.text('Clearing...').prop('disabled', true);
 
             // Make AJAX request to clear events
-            $.ajax({
-                url: statusSentry.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'status_sentry_clear_events',
-                    nonce: nonce,
-                    type: type
-                },
-                success: function(response) {
-                    if (response.success) {
-                        // Show success message
-                        alert(response.data.message);
-
-                        // Clear dashboard widget events list
-                        $('.status-sentry-dashboard-widget-events ul').empty()
-                            .append('<li>No events found</li>');
-
-                        // If we're on the dashboard page, force refresh all dashboard data
-                        if (window.statusSentryDashboard && typeof window.statusSentryDashboard.fetchData === 'function') {
-                            console.log('Forcing dashboard data refresh...');
-                            // Add a timestamp to ensure cache busting
-                            window.statusSentryDashboard.fetchData(true);
-                        }
+            statusSentry.api.ajax('status_sentry_clear_events', {
+                nonce: nonce,
+                type: type
+            }).then(function(data) {
+                $button.text(originalText).prop('disabled', false);
+
+                // Clear dashboard widget events list
+                $('.status-sentry-dashboard-widget-events ul').empty()
+                    .append('<li>No events found</li>');
+
+                // If we're on the dashboard page, force refresh all dashboard data
+                if (window.statusSentryDashboard && typeof window.statusSentryDashboard.fetchData === 'function') {
+                    window.statusSentryDashboard.fetchData(true);
+                }
 
-                        // Reload the page after a delay to ensure database operations and transient deletions complete
-                        setTimeout(function() {
-                            // Add cache-busting parameter to the URL
-                            var url = new URL(window.location.href);
-                            url.searchParams.set('_', Date.now());
-                            location.href = url.toString();
-                        }, 800); // 800ms delay
-                    } else {
-                        // Show error message and reset button
-                        alert('Error: ' + (response.data || 'Failed to clear events.'));
-                        $button.text(originalText).prop('disabled', false);
-                    }
-                },
-                error: function() {
-                    // Show error message and reset button
+                // The Events page tabs update in place and offer to undo the deletion
+                var explorer = window.statusSentryEvents;
+                var legacy = window.statusSentryLegacyEvents;
+                if (type === 'monitoring' && explorer && explorer.container && explorer.container.length) {
+                    explorer.showUndo(explorer.container.find('.status-sentry-events-undo'), data, function() {
+                        explorer.fetchEvents();
+                    });
+                    explorer.fetchEvents();
+                    return;
+                }
+                if (type === 'legacy' && legacy && legacy.container && legacy.container.length) {
+                    var rows = legacy.detachRows();
+                    explorer.showUndo(legacy.container.find('.status-sentry-events-undo'), data, function() {
+                        legacy.restoreRows(rows);
+                    });
+                    return;
+                }
+
+                alert(data.message);
+            }).catch(function(error) {
+                // Show error message and reset button
+                if (error.type === statusSentry.api.ApiError.AJAX) {
+                    alert('Error: ' + error.message);
+                } else {
                     alert('Error: Failed to clear events. Please try again.');
-                    $button.text(originalText).prop('disabled', false);
                 }
+                $button.text(originalText).prop('disabled', false);
             });
         });
 
@@ -0,0 +1,519 @@
+/**
+ * Status Sentry Alert Rules JavaScript
+ *
+ * This file handles the Alert Rules page: listing, creating, editing and
+ * deleting rules, the browser notification permission and the list of
+ * recent alerts.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ */
+
+(function($) {
+    'use strict';
+
+    // Alert rules app - make it globally accessible
+    window.statusSentryAlertRules = {
+        /**
+         * Event types a rule can match.
+         */
+        eventTypes: ['info', 'warning', 'error', 'critical', 'performance', 'security', 'conflict', 'health'],
+
+        /**
+         * Minimum priority choices.
+         */
+        priorities: [
+            { value: 0, label: 'Any' },
+            { value: 10, label: 'Low' },
+            { value: 50, label: 'Normal' },
+            { value: 80, label: 'High' },
+            { value: 100, label: 'Critical' }
+        ],
+
+        /**
+         * Delivery channels.
+         */
+        channels: [
+            { value: 'browser', label: 'Browser notification' }
+        ],
+
+        /**
+         * Initialize the alert rules page.
+         */
+        init: function() {
+            this.container = $('#status-sentry-alert-rules-app');
+            if (!this.container.length) {
+                return;
+            }
+
+            this.rules = [];
+            this.editing = null;
+
+            this.renderLayout();
+            this.setupEventHandlers();
+            this.renderPermission();
+            this.renderAlerts(statusSentryAlerts.getAlerts());
+            this.fetchRules();
+
+            // Visiting this page counts as seeing the alerts
+            statusSentryAlerts.markAllSeen();
+            statusSentryAlerts.onChange(alerts => this.renderAlerts(alerts));
+        },
+
+        /**
+         * Render the page sections.
+         */
+        renderLayout: function() {
+            this.container.empty().append(
+                $('<div class="status-sentry-alert-permission"></div>'),
+                $('<div class="status-sentry-alert-form-wrap" hidden></div>'),
+                $('<h2></h2>').text('Rules'),
+                $('<div class="status-sentry-alert-rules-list"></div>'),
+                $('<div class="status-sentry-alerts-header"></div>').append(
+                    $('<h2></h2>').text('Recent Alerts'),
+                    $('<button type="button" class="button status-sentry-clear-alerts"></button>').text('Clear')
+                ),
+                $('<div class="status-sentry-alerts-list"></div>')
+            );
+        },
+
+        /**
+         * Set up event handlers.
+         */
+        setupEventHandlers: function() {
+            // The Add Rule button is in the page heading, outside the app container
+            $(document).on('click', '.status-sentry-add-rule', () => this.openForm(null));
+
+            this.container.on('click', '.status-sentry-enable-notifications', () => {
+                statusSentryAlerts.requestPermission().then(() => this.renderPermission());
+            });
+
+            this.container.on('click', '.status-sentry-edit-rule', (e) => {
+                const rule = this.findRule($(e.currentTarget).data('id'));
+                if (rule) {
+                    this.openForm(rule);
+                }
+            });
+
+            this.container.on('click', '.status-sentry-delete-rule', (e) => {
+                const rule = this.findRule($(e.currentTarget).data('id'));
+                if (rule && window.confirm(`Delete the alert rule "${rule.name}"?`)) {
+                    this.deleteRule(rule);
+                }
+            });
+
+            this.container.on('change', '.status-sentry-toggle-rule', (e) => {
+                const rule = this.findRule($(e.currentTarget).data('id'));
+                if (rule) {
+                    this.toggleRule(rule, e.currentTarget.checked);
+                }
+            });
+
+            this.container.on('submit', '.status-sentry-alert-form', (e) => {
+                e.preventDefault();
+                this.saveRule();
+            });
+
+            this.container.on('click', '.status-sentry-cancel-rule', () => this.closeForm());
+
+            this.container.on('click', '.status-sentry-clear-alerts', () => statusSentryAlerts.clearAlerts());
+        },
+
+        /**
+         * Fetch the rules from the REST API.
+         */
+        fetchRules: function() {
+            statusSentry.api.get('alert-rules', {}, { key: 'alert-rules' }).then((response) => {
+                this.rules = response.rules || [];
+                this.renderRules();
+            }).catch((error) => {
+                if (!error.isAbort()) {
+                    this.renderNotice(this.container.find('.status-sentry-alert-rules-list'), 'Failed to load alert rules. Please try again.');
+                }
+            });
+        },
+
+        /**
+         * Find a loaded rule by ID.
+         *
+         * @param {number} id The rule ID.
+         * @return {Object|undefined} The rule.
+         */
+        findRule: function(id) {
+            return this.rules.find(rule => rule.id === parseInt(id, 10));
+        },
+
+        /**
+         * Render the rules table.
+         */
+        renderRules: function() {
+            const list = this.container.find('.status-sentry-alert-rules-list');
+            list.empty();
+
+            if (!this.rules.length) {
+                list.append($('<p></p>').text('No alert rules yet. Add a rule to be notified when matching events are recorded.'));
+                return;
+            }
+
+            const table = $('<table class="widefat status-sentry-table status-sentry-alert-rules-table"></table>');
+            table.append($('<thead></thead>').append($('<tr></tr>').append(
+                $('<th></th>').text('Enabled'),
+                $('<th></th>').text('Name'),
+                $('<th></th>').text('Conditions'),
+                $('<th></th>').text('Channels'),
+                $('<th></th>').text('Actions')
+            )));
+
+            const body = $('<tbody></tbody>');
+            this.rules.forEach(rule => {
+                body.append($('<tr></tr>').attr('data-id', rule.id).append(
+                    $('<td></td>').append(
+                        $('<input type="checkbox" class="status-sentry-toggle-rule">')
+                            .attr('data-id', rule.id)
+                            .attr('aria-label', `Enable ${rule.name}`)
+                            .prop('checked', rule.enabled)
+                    ),
+                    $('<td class="status-sentry-alert-rule-name"></td>').text(rule.name),
+                    $('<td></td>').text(this.describeConditions(rule)),
+                    $('<td></td>').text(rule.channels.map(channel => this.getChannelLabel(channel)).join(', ')),
+                    $('<td class="status-sentry-alert-rule-actions"></td>').append(
+                        $('<button type="button" class="button button-small status-sentry-edit-rule"></button>').attr('data-id', rule.id).text('Edit'),
+                        ' ',
+                        $('<button type="button" class="button button-small button-link-delete status-sentry-delete-rule"></button>').attr('data-id', rule.id).text('Delete')
+                    )
+                ));
+            });
+            table.append(body);
+
+            list.append(table);
+        },
+
+        /**
+         * Summarize a rule's conditions.
+         *
+         * @param {Object} rule The rule.
+         * @return {string} The summary.
+         */
+        describeConditions: function(rule) {
+            const parts = [];
+
+            parts.push(rule.event_types.length ? rule.event_types.join(' or ') : 'any type');
+
+            if (rule.min_priority > 0) {
+                const priority = this.priorities.find(item => item.value === rule.min_priority);
+                parts.push(`priority ≥ ${priority ? priority.label : rule.min_priority}`);
+            }
+
+            if (rule.source_pattern) {
+                parts.push(`source ${rule.source_pattern}`);
+            }
+
+            if (rule.context_pattern) {
+                parts.push(`context ${rule.context_pattern}`);
+            }
+
+            let summary = parts.join(', ');
+            if (rule.threshold > 1) {
+                summary += `; ${rule.threshold}+ events in ${rule.window_minutes} min`;
+            }
+
+            return summary;
+        },
+
+        /**
+         * Get a channel's label.
+         *
+         * @param {string} value The channel.
+         * @return {string} The label.
+         */
+        getChannelLabel: function(value) {
+            const channel = this.channels.find(item => item.value === value);
+            return channel ? channel.label : value;
+        },
+
+        /**
+         * Show the rule form.
+         *
+         * @param {Object|null} rule The rule to edit, or null to add one.
+         */
+        openForm: function(rule) {
+            this.editing = rule;
+
+            const values = rule || {
+                name: '',
+                enabled: true,
+                event_types: [],
+                min_priority: 0,
+                source_pattern: '',
+                context_pattern: '',
+                threshold: 1,
+                window_minutes: 10,
+                channels: ['browser']
+            };
+
+            const form = $('<form class="status-sentry-alert-form"></form>');
+            form.append($('<h2></h2>').text(rule ? 'Edit Rule' : 'Add Rule'));
+
+            form.append(this.renderField('Name', $('<input type="text" name="name" class="regular-text" required>').val(values.name)));
+
+            const types = $('<div class="status-sentry-alert-form-types"></div>');
+            this.eventTypes.forEach(type => {
+                types.append($('<label></label>').append(
+                    $('<input type="checkbox" name="event_types">').val(type).prop('checked', values.event_types.indexOf(type) !== -1),
+                    ' ',
+                    document.createTextNode(type.charAt(0).toUpperCase() + type.slice(1))
+                ));
+            });
+            form.append(this.renderField('Event types', types, 'Leave all unchecked to match any type.'));
+
+            const priority = $('<select name="min_priority"></select>');
+            this.priorities.forEach(item => {
+                priority.append($('<option></option>').val(item.value).text(item.label));
+            });
+            priority.val(values.min_priority);
+            form.append(this.renderField('Minimum priority', priority));
+
+            form.append(this.renderField('Source', $('<input type="text" name="source_pattern" class="regular-text">').val(values.source_pattern), 'Use * as a wildcard, e.g. *_monitor. Leave empty to match any source.'));
+            form.append(this.renderField('Context', $('<input type="text" name="context_pattern" class="regular-text">').val(values.context_pattern), 'Use * as a wildcard. Leave empty to match any context.'));
+
+            const rate = $('<div class="status-sentry-alert-form-rate"></div>').append(
+                $('<input type="number" name="threshold" min="1" class="small-text">').val(values.threshold),
+                ' ',
+                document.createTextNode('matching events within'),
+                ' ',
+                $('<input type="number" name="window_minutes" min="1" class="small-text">').val(values.window_minutes || 10),
+                ' ',
+                document.createTextNode('minutes')
+            );
+            form.append(this.renderField('Alert after', rate, 'Set 1 to alert on every matching event.'));
+
+            const channels = $('<div class="status-sentry-alert-form-channels"></div>');
+            this.channels.forEach(channel => {
+                channels.append($('<label></label>').append(
+                    $('<input type="checkbox" name="channels">').val(channel.value).prop('checked', values.channels.indexOf(channel.value) !== -1),
+                    ' ',
+                    document.createTextNode(channel.label)
+                ));
+            });
+            form.append(this.renderField('Channels', channels));
+
+            form.append(this.renderField('Enabled', $('<input type="checkbox" name="enabled">').prop('checked', values.enabled)));
+
+            form.append($('<div class="status-sentry-alert-form-error"></div>'));
+            form.append($('<p class="submit"></p>').append(
+                $('<button type="submit" class="button button-primary"></button>').text(rule ? 'Save Rule' : 'Add Rule'),
+                ' ',
+                $('<button type="button" class="button status-sentry-cancel-rule"></button>').text('Cancel')
+            ));
+
+            const wrap = this.container.find('.status-sentry-alert-form-wrap');
+            wrap.empty().append(form).prop('hidden', false);
+            form.find('[name="name"]').trigger('focus');
+        },
+
+        /**
+         * Render a labelled form row.
+         *
+         * @param {string} label The label.
+         * @param {jQuery} control The field.
+         * @param {string} description Optional help text.
+         * @return {jQuery} The row.
+         */
+        renderField: function(label, control, description) {
+            const row = $('<div class="status-sentry-alert-form-row"></div>').append(
+                $('<span class="status-sentry-alert-form-label"></span>').text(label),
+                $('<div class="status-sentry-alert-form-control"></div>').append(control)
+            );
+
+            if (description) {
+                row.find('.status-sentry-alert-form-control').append($('<p class="description"></p>').text(description));
+            }
+
+            return row;
+        },
+
+        /**
+         * Hide the rule form.
+         */
+        closeForm: function() {
+            this.editing = null;
+            this.container.find('.status-sentry-alert-form-wrap').empty().prop('hidden', true);
+        },
+
+        /**
+         * Read the rule from the form.
+         *
+         * @return {Object} The rule fields.
+         */
+        getFormData: function() {
+            const form = this.container.find('.status-sentry-alert-form');
+            const checked = name => form.find(`input[name="${name}"]:checked`).map(function() {
+                return $(this).val();
+            }).get();
+
+            return {
+                name: $.trim(form.find('[name="name"]').val()),
+                enabled: form.find('[name="enabled"]').prop('checked'),
+                event_types: checked('event_types'),
+                min_priority: parseInt(form.find('[name="min_priority"]').val(), 10) || 0,
+                source_pattern: $.trim(form.find('[name="source_pattern"]').val()),
+                context_pattern: $.trim(form.find('[name="context_pattern"]').val()),
+                threshold: Math.max(1, parseInt(form.find('[name="threshold"]').val(), 10) || 1),
+                window_minutes: parseInt(form.find('[name="window_minutes"]').val(), 10) || 0,
+                channels: checked('channels')
+            };
+        },
+
+        /**
+         * Save the rule in the form.
+         */
+        saveRule: function() {
+            const form = this.container.find('.status-sentry-alert-form');
+            const data = this.getFormData();
+            const request = this.editing ?
+                statusSentry.api.put(`alert-rules/${this.editing.id}`, data) :
+                statusSentry.api.post('alert-rules', data, { json: true });
+
+            form.find('button[type="submit"]').prop('disabled', true);
+            form.find('.status-sentry-alert-form-error').empty();
+
+            request.then(() => {
+                this.closeForm();
+                this.fetchRules();
+            }).catch((error) => {
+                form.find('button[type="submit"]').prop('disabled', false);
+                this.renderNotice(form.find('.status-sentry-alert-form-error'), this.getErrorMessage(error, 'Failed to save the rule. Please try again.'));
+            });
+        },
+
+        /**
+         * Enable or disable a rule.
+         *
+         * @param {Object} rule The rule.
+         * @param {boolean} enabled Whether the rule should be enabled.
+         */
+        toggleRule: function(rule, enabled) {
+            statusSentry.api.put(`alert-rules/${rule.id}`, { enabled: enabled }).then((updated) => {
+                Object.assign(rule, updated);
+            }).catch((error) => {
+                this.container.find(`.status-sentry-toggle-rule[data-id="${rule.id}"]`).prop('checked', rule.enabled);
+                window.alert(this.getErrorMessage(error, 'Failed to update the rule. Please try again.'));
+            });
+        },
+
+        /**
+         * Delete a rule.
+         *
+         * @param {Object} rule The rule.
+         */
+        deleteRule: function(rule) {
+            statusSentry.api.delete(`alert-rules/${rule.id}`).then(() => {
+                if (this.editing && this.editing.id === rule.id) {
+                    this.closeForm();
+                }
+
+                this.fetchRules();
+            }).catch((error) => {
+                window.alert(this.getErrorMessage(error, 'Failed to delete the rule. Please try again.'));
+            });
+        },
+
+        /**
+         * Render the browser notification permission state.
+         */
+        renderPermission: function() {
+            const panel = this.container.find('.status-sentry-alert-permission');
+            const permission = statusSentryAlerts.getPermission();
+            let notice;
+
+            switch (permission) {
+                case 'granted':
+                    notice = $('<div class="notice notice-success inline"></div>').append(
+                        $('<p></p>').text('Browser notifications are enabled for this browser.')
+                    );
+                    break;
+
+                case 'denied':
+                    notice = $('<div class="notice notice-warning inline"></div>').append(
+                        $('<p></p>').text('Browser notifications are blocked. Allow notifications for this site in your browser settings to receive them; alerts still appear on the menu badge.')
+                    );
+                    break;
+
+                case 'unsupported':
+                    notice = $('<div class="notice notice-warning inline"></div>').append(
+                        $('<p></p>').text('This browser does not support notifications. Alerts appear on the menu badge instead.')
+                    );
+                    break;
+
+                default:
+                    notice = $('<div class="notice notice-info inline"></div>').append(
+                        $('<p></p>').append(
+                            document.createTextNode('Allow browser notifications to be alerted while a Status Sentry page is open in another tab. '),
+                            $('<button type="button" class="button status-sentry-enable-notifications"></button>').text('Enable browser notifications')
+                        )
+                    );
+            }
+
+            panel.empty().append(notice);
+        },
+
+        /**
+         * Render the recent alerts.
+         *
+         * @param {Array} alerts The stored alerts, newest first.
+         */
+        renderAlerts: function(alerts) {
+            const list = this.container.find('.status-sentry-alerts-list');
+            list.empty();
+
+            this.container.find('.status-sentry-clear-alerts').prop('disabled', !alerts.length);
+
+            if (!alerts.length) {
+                list.append($('<p></p>').text('No alerts yet.'));
+                return;
+            }
+
+            const items = $('<ul class="status-sentry-alerts"></ul>');
+            alerts.forEach(entry => {
+                items.append($('<li></li>').toggleClass('is-unseen', !entry.seen).append(
+                    $('<strong></strong>').text(entry.ruleName),
+                    ' ',
+                    $('<span class="status-sentry-alert-time"></span>').text(new Date(entry.receivedAt).toLocaleString()),
+                    $('<a></a>')
+                        .addClass('status-sentry-alert-message status-sentry-event-type-' + entry.event.event_type)
+                        .attr('href', statusSentryAlerts.getEventsUrl(entry))
+                        .text(statusSentryAlerts.describeAlert(entry))
+                ));
+            });
+
+            list.append(items);
+        },
+
+        /**
+         * Get a message for a failed request.
+         *
+         * @param {Object} error The ApiError describing the failure.
+         * @param {string} fallback The message for errors that are not the user's to fix.
+         * @return {string} The message.
+         */
+        getErrorMessage: function(error, fallback) {
+            return error.type === statusSentry.api.ApiError.CLIENT ? error.message : fallback;
+        },
+
+        /**
+         * Render an error notice.
+         *
+         * @param {jQuery} target The element to fill.
+         * @param {string} message The message.
+         */
+        renderNotice: function(target, message) {
+            target.html($('<div class="notice notice-error inline"></div>').append($('<p></p>').text(message)));
+        }
+    };
+
+    // Initialize the alert rules page when the document is ready
+    $(document).ready(function() {
+        window.statusSentryAlertRules.init();
+    });
+
+})(jQuery);
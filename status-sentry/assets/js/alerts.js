@@ -0,0 +1,322 @@
+/**
+ * Status Sentry Alerts JavaScript
+ *
+ * This file checks new monitoring events against the alert rules while any
+ * Status Sentry page is open. Matching events show a browser notification
+ * and a badge on the Status Sentry admin menu item. Alerts are kept in
+ * local storage so the badge survives navigating between pages.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ */
+
+(function($) {
+    'use strict';
+
+    // Alerts app - make it globally accessible
+    window.statusSentryAlerts = {
+        /**
+         * How often to check for new alerts, in milliseconds.
+         */
+        interval: 30000,
+
+        /**
+         * Local storage keys.
+         */
+        storageKeys: {
+            cursor: 'status_sentry_alerts_cursor',
+            alerts: 'status_sentry_alerts',
+            cooldowns: 'status_sentry_alert_cooldowns'
+        },
+
+        /**
+         * Maximum number of alerts kept in local storage.
+         */
+        maxStoredAlerts: 50,
+
+        /**
+         * Initialize alert checking.
+         */
+        init: function() {
+            this.listeners = [];
+            this.timer = null;
+
+            this.renderBadge();
+            this.check();
+
+            // Alerts received or seen in another tab
+            window.addEventListener('storage', (e) => {
+                if (e.key === this.storageKeys.alerts) {
+                    this.renderBadge();
+                    this.notifyListeners();
+                }
+            });
+        },
+
+        /**
+         * Check for events that match the alert rules.
+         */
+        check: function() {
+            clearTimeout(this.timer);
+
+            const params = { channel: 'browser' };
+            const cursor = this.read(this.storageKeys.cursor);
+            if (cursor !== null) {
+                params.cursor = cursor;
+            }
+
+            statusSentry.api.get('alert-rules/alerts', params, { key: 'alert-rules-alerts', retries: 0 }).then((response) => {
+                // Another tab may have moved the cursor further while this request ran
+                const stored = this.read(this.storageKeys.cursor);
+                if (stored === null || response.cursor > stored) {
+                    this.write(this.storageKeys.cursor, response.cursor);
+                }
+
+                (response.alerts || []).forEach(alert => this.handleAlert(alert));
+
+                this.schedule(response.has_more ? 0 : this.interval);
+            }).catch((error) => {
+                if (error.isAbort()) {
+                    return;
+                }
+
+                // An expired session will not recover until the page is reloaded
+                if (error.type === statusSentry.api.ApiError.AUTH) {
+                    return;
+                }
+
+                this.schedule(this.interval * 2);
+            });
+        },
+
+        /**
+         * Schedule the next check.
+         *
+         * @param {number} delay The delay in milliseconds.
+         */
+        schedule: function(delay) {
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.check(), delay);
+        },
+
+        /**
+         * Record an alert, notify the user and update the badge.
+         *
+         * @param {Object} alert The alert from the alerts endpoint.
+         */
+        handleAlert: function(alert) {
+            const key = `${alert.rule.id}:${alert.event.id}`;
+            const alerts = this.getAlerts();
+
+            // Other tabs check the same events
+            if (alerts.some(item => item.key === key)) {
+                return;
+            }
+
+            // A rate rule alerts once per window, not for every event above the threshold
+            if (alert.rule.threshold > 1) {
+                const cooldowns = this.read(this.storageKeys.cooldowns) || {};
+                if (Date.now() - (cooldowns[alert.rule.id] || 0) < alert.rule.window_minutes * 60000) {
+                    return;
+                }
+
+                cooldowns[alert.rule.id] = Date.now();
+                this.write(this.storageKeys.cooldowns, cooldowns);
+            }
+
+            const entry = {
+                key: key,
+                ruleId: alert.rule.id,
+                ruleName: alert.rule.name,
+                threshold: alert.rule.threshold,
+                windowMinutes: alert.rule.window_minutes,
+                count: alert.count,
+                event: alert.event,
+                receivedAt: Date.now(),
+                seen: false
+            };
+
+            alerts.unshift(entry);
+            this.write(this.storageKeys.alerts, alerts.slice(0, this.maxStoredAlerts));
+
+            this.showNotification(entry);
+            this.renderBadge();
+            this.notifyListeners();
+        },
+
+        /**
+         * Show a browser notification for an alert.
+         *
+         * @param {Object} entry The stored alert.
+         */
+        showNotification: function(entry) {
+            if (this.getPermission() !== 'granted') {
+                return;
+            }
+
+            const notification = new Notification(`Status Sentry: ${entry.ruleName}`, {
+                body: this.describeAlert(entry),
+                // The tag keeps other open tabs from showing the same alert again
+                tag: 'status-sentry-' + entry.key
+            });
+
+            notification.onclick = () => {
+                window.focus();
+                window.location.href = this.getEventsUrl(entry);
+            };
+        },
+
+        /**
+         * Describe an alert in a sentence.
+         *
+         * @param {Object} entry The stored alert.
+         * @return {string} The description.
+         */
+        describeAlert: function(entry) {
+            const event = entry.event;
+            const type = event.event_type.charAt(0).toUpperCase() + event.event_type.slice(1);
+
+            if (entry.threshold > 1) {
+                return `${entry.count} matching events in the last ${entry.windowMinutes} min. Latest: ${type} from ${event.source}/${event.context}: ${event.message}`;
+            }
+
+            return `${type} from ${event.source}/${event.context}: ${event.message}`;
+        },
+
+        /**
+         * Get the event explorer URL for an alert's event type.
+         *
+         * @param {Object} entry The stored alert.
+         * @return {string} The URL.
+         */
+        getEventsUrl: function(entry) {
+            return `${statusSentry.adminUrl}admin.php?page=status-sentry-events&event_type=${encodeURIComponent(entry.event.event_type)}`;
+        },
+
+        /**
+         * Show the number of unseen alerts on the admin menu.
+         */
+        renderBadge: function() {
+            const count = this.getAlerts().filter(entry => !entry.seen).length;
+
+            $('.status-sentry-alert-badge').remove();
+            if (!count) {
+                return;
+            }
+
+            const badge = () => $('<span class="awaiting-mod status-sentry-alert-badge"></span>')
+                .attr('aria-label', `${count} unseen ${count === 1 ? 'alert' : 'alerts'}`)
+                .append($('<span class="pending-count"></span>').text(count));
+
+            $('#toplevel_page_status-sentry > a .wp-menu-name').append(badge());
+            $('#toplevel_page_status-sentry a[href$="page=status-sentry-alerts"]').append(badge());
+        },
+
+        /**
+         * Get the stored alerts, newest first.
+         *
+         * @return {Array} The alerts.
+         */
+        getAlerts: function() {
+            const alerts = this.read(this.storageKeys.alerts);
+            return Array.isArray(alerts) ? alerts : [];
+        },
+
+        /**
+         * Mark all stored alerts as seen.
+         */
+        markAllSeen: function() {
+            const alerts = this.getAlerts();
+            alerts.forEach(entry => {
+                entry.seen = true;
+            });
+
+            this.write(this.storageKeys.alerts, alerts);
+            this.renderBadge();
+            this.notifyListeners();
+        },
+
+        /**
+         * Remove all stored alerts.
+         */
+        clearAlerts: function() {
+            this.write(this.storageKeys.alerts, []);
+            this.renderBadge();
+            this.notifyListeners();
+        },
+
+        /**
+         * Get the browser notification permission.
+         *
+         * @return {string} 'granted', 'denied', 'default', or 'unsupported'.
+         */
+        getPermission: function() {
+            return 'Notification' in window ? Notification.permission : 'unsupported';
+        },
+
+        /**
+         * Ask for permission to show browser notifications.
+         *
+         * Browsers only show the prompt in response to a user action.
+         *
+         * @return {Promise} A promise that resolves with the permission.
+         */
+        requestPermission: function() {
+            if (!('Notification' in window)) {
+                return Promise.resolve('unsupported');
+            }
+
+            return Promise.resolve(Notification.requestPermission());
+        },
+
+        /**
+         * Register a listener called when the stored alerts change.
+         *
+         * @param {Function} listener The listener.
+         */
+        onChange: function(listener) {
+            this.listeners.push(listener);
+        },
+
+        /**
+         * Call the change listeners.
+         */
+        notifyListeners: function() {
+            this.listeners.forEach(listener => listener(this.getAlerts()));
+        },
+
+        /**
+         * Read a value from local storage.
+         *
+         * @param {string} key The storage key.
+         * @return {*} The value, or null if it is missing or storage is unavailable.
+         */
+        read: function(key) {
+            try {
+                return JSON.parse(window.localStorage.getItem(key));
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Write a value to local storage.
+         *
+         * @param {string} key The storage key.
+         * @param {*} value The value.
+         */
+        write: function(key, value) {
+            try {
+                window.localStorage.setItem(key, JSON.stringify(value));
+            } catch (e) {
+                // Without storage, alerts only last for this page view
+            }
+        }
+    };
+
+    // Start checking for alerts when the document is ready
+    $(document).ready(function() {
+        window.statusSentryAlerts.init();
+    });
+
+})(jQuery);
@@ -0,0 +1,474 @@
+/**
+ * Status Sentry REST Client
+ *
+ * Shared client used by all Status Sentry admin scripts to talk to the
+ * plugin's REST API and admin-ajax handlers. It adds authentication and
+ * cache-busting headers per request, deduplicates identical requests,
+ * aborts superseded requests, retries transient failures and refreshes
+ * an expired REST nonce.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ */
+
+(function($) {
+    'use strict';
+
+    const config = window.statusSentry = window.statusSentry || {};
+
+    /**
+     * Error raised by the Status Sentry REST client.
+     *
+     * The type tells renderers what went wrong without inspecting jqXHR:
+     * abort, timeout, network, auth, not_found, client, server, invalid
+     * or ajax (an admin-ajax handler responded with success: false).
+     */
+    class ApiError extends Error {
+        /**
+         * Create an API error.
+         *
+         * @param {string} type The error type.
+         * @param {string} message A human readable message.
+         * @param {Object} details Additional details (status, code, data, url).
+         */
+        constructor(type, message, details = {}) {
+            super(message);
+            this.name = 'StatusSentryApiError';
+            this.type = type;
+            this.status = details.status || 0;
+            this.code = details.code || null;
+            this.data = details.data || null;
+            this.url = details.url || '';
+        }
+
+        /**
+         * Whether the request was aborted by the client.
+         *
+         * @return {boolean} True for aborted requests.
+         */
+        isAbort() {
+            return this.type === ApiError.ABORT;
+        }
+
+        /**
+         * Whether the request may succeed if it is sent again.
+         *
+         * @return {boolean} True for timeouts, network and server errors.
+         */
+        isRetryable() {
+            return [ApiError.TIMEOUT, ApiError.NETWORK, ApiError.SERVER].indexOf(this.type) !== -1;
+        }
+    }
+
+    ApiError.ABORT = 'abort';
+    ApiError.TIMEOUT = 'timeout';
+    ApiError.NETWORK = 'network';
+    ApiError.AUTH = 'auth';
+    ApiError.NOT_FOUND = 'not_found';
+    ApiError.CLIENT = 'client';
+    ApiError.SERVER = 'server';
+    ApiError.INVALID = 'invalid';
+    ApiError.AJAX = 'ajax';
+
+    /**
+     * Create a typed error from a failed jQuery request.
+     *
+     * @param {Object} jqXHR The jQuery XHR object.
+     * @param {string} textStatus The jQuery error status.
+     * @param {string} url The request URL.
+     * @return {ApiError} The typed error.
+     */
+    function createError(jqXHR, textStatus, url) {
+        const body = jqXHR.responseJSON || {};
+        const status = jqXHR.status || 0;
+        const details = { status: status, code: body.code || null, data: body.data || null, url: url };
+
+        if (textStatus === 'abort') {
+            return new ApiError(ApiError.ABORT, 'The request was cancelled.', details);
+        }
+
+        if (textStatus === 'timeout') {
+            return new ApiError(ApiError.TIMEOUT, 'The server took too long to respond.', details);
+        }
+
+        if (textStatus === 'parsererror') {
+            return new ApiError(ApiError.INVALID, 'The server returned an invalid response.', details);
+        }
+
+        if (status === 0) {
+            return new ApiError(ApiError.NETWORK, 'Could not connect to the server.', details);
+        }
+
+        const message = body.message || jqXHR.statusText || 'Request failed.';
+
+        if (status === 401 || status === 403) {
+            return new ApiError(ApiError.AUTH, message, details);
+        }
+
+        if (status === 404) {
+            return new ApiError(ApiError.NOT_FOUND, message, details);
+        }
+
+        if (status >= 500) {
+            return new ApiError(ApiError.SERVER, message, details);
+        }
+
+        return new ApiError(ApiError.CLIENT, message, details);
+    }
+
+    /**
+     * Wait before retrying a request.
+     *
+     * @param {number} attempt The zero-based retry attempt.
+     * @return {Promise} A promise that resolves after the backoff delay.
+     */
+    function backoff(attempt) {
+        const delay = Math.min(api.retryDelay * Math.pow(2, attempt), 8000);
+        const jitter = Math.random() * delay * 0.2;
+        return new Promise(resolve => setTimeout(resolve, delay + jitter));
+    }
+
+    const api = {
+        /**
+         * Error class, exposed so callers can use instanceof and type constants.
+         */
+        ApiError: ApiError,
+
+        /**
+         * Default request timeout in milliseconds.
+         */
+        timeout: 10000,
+
+        /**
+         * Base delay in milliseconds for exponential backoff.
+         */
+        retryDelay: 500,
+
+        /**
+         * Requests currently in flight, keyed by signature.
+         */
+        inFlight: {},
+
+        /**
+         * Requests currently in flight, keyed by the caller's supersede key.
+         */
+        keyed: {},
+
+        /**
+         * Listeners notified about failed requests.
+         */
+        errorListeners: [],
+
+        /**
+         * Pending nonce refresh, shared by all requests that need it.
+         */
+        noncePromise: null,
+
+        /**
+         * Build the URL of a REST route in the plugin namespace.
+         *
+         * @param {string} path The route path, e.g. "dashboard/overview".
+         * @return {string} The full REST URL.
+         */
+        url: function(path) {
+            if (/^https?:\/\//.test(path)) {
+                return path;
+            }
+
+            return (config.restRoot || '') + String(path).replace(/^\/+/, '');
+        },
+
+        /**
+         * Send a GET request.
+         *
+         * @param {string} path The route path or full URL.
+         * @param {Object} params Query parameters.
+         * @param {Object} options Additional request options.
+         * @return {Promise} A promise that resolves with the response data.
+         */
+        get: function(path, params = {}, options = {}) {
+            return this.request(Object.assign({}, options, { path: path, method: 'GET', data: params }));
+        },
+
+        /**
+         * Send a POST request.
+         *
+         * @param {string} path The route path or full URL.
+         * @param {Object} data The request body.
+         * @param {Object} options Additional request options.
+         * @return {Promise} A promise that resolves with the response data.
+         */
+        post: function(path, data = {}, options = {}) {
+            return this.request(Object.assign({}, options, { path: path, method: 'POST', data: data }));
+        },
+
+        /**
+         * Send a PUT request with a JSON body.
+         *
+         * @param {string} path The route path or full URL.
+         * @param {Object} data The request body.
+         * @param {Object} options Additional request options.
+         * @return {Promise} A promise that resolves with the response data.
+         */
+        put: function(path, data = {}, options = {}) {
+            return this.request(Object.assign({ json: true }, options, { path: path, method: 'PUT', data: data }));
+        },
+
+        /**
+         * Send a DELETE request.
+         *
+         * @param {string} path The route path or full URL.
+         * @param {Object} data Query parameters.
+         * @param {Object} options Additional request options.
+         * @return {Promise} A promise that resolves with the response data.
+         */
+        delete: function(path, data = {}, options = {}) {
+            return this.request(Object.assign({}, options, { path: path, method: 'DELETE', data: data }));
+        },
+
+        /**
+         * Send a REST request.
+         *
+         * Identical requests that are already in flight share one promise.
+         * A request with a `key` aborts the previous in-flight request with
+         * the same key, so a newer refresh always wins over an older one.
+         *
+         * @param {Object} options Request options: path, method, data, timeout,
+         *                         key, retries and json (send data as JSON).
+         * @return {Promise} A promise that resolves with the response data.
+         */
+        request: function(options) {
+            const method = (options.method || 'GET').toUpperCase();
+            const url = this.url(options.path);
+            const signature = method + ' ' + url + ' ' + JSON.stringify(options.data || {});
+
+            if (this.inFlight[signature]) {
+                return this.inFlight[signature].promise;
+            }
+
+            if (options.key && this.keyed[options.key]) {
+                this.keyed[options.key].abort();
+            }
+
+            const entry = { aborted: false, jqXHR: null };
+            entry.abort = () => {
+                entry.aborted = true;
+                if (entry.jqXHR) {
+                    entry.jqXHR.abort();
+                }
+            };
+
+            // Only idempotent requests are retried unless the caller opts in
+            const retries = options.retries !== undefined ? options.retries : (method === 'GET' ? 2 : 0);
+
+            entry.promise = this.send(url, method, options, entry, retries, false).finally(() => {
+                if (this.inFlight[signature] === entry) {
+                    delete this.inFlight[signature];
+                }
+                if (options.key && this.keyed[options.key] === entry) {
+                    delete this.keyed[options.key];
+                }
+            });
+
+            this.inFlight[signature] = entry;
+            if (options.key) {
+                this.keyed[options.key] = entry;
+            }
+
+            return entry.promise;
+        },
+
+        /**
+         * Send a request, retrying transient failures.
+         *
+         * @param {string} url The request URL.
+         * @param {string} method The HTTP method.
+         * @param {Object} options The request options.
+         * @param {Object} entry The in-flight entry used to abort the request.
+         * @param {number} retries The number of retries left.
+         * @param {boolean} nonceRefreshed Whether the nonce was already refreshed.
+         * @param {number} attempt The zero-based attempt number.
+         * @return {Promise} A promise that resolves with the response data.
+         */
+        send: function(url, method, options, entry, retries, nonceRefreshed, attempt = 0) {
+            if (entry.aborted) {
+                return Promise.reject(new ApiError(ApiError.ABORT, 'The request was cancelled.', { url: url }));
+            }
+
+            const settings = {
+                url: url,
+                method: method,
+                timeout: options.timeout || this.timeout,
+                cache: false,
+                dataType: 'json',
+                headers: {
+                    'X-WP-Nonce': config.restNonce,
+                    'Cache-Control': 'no-cache, no-store, must-revalidate',
+                    'Pragma': 'no-cache',
+                    'Expires': '0'
+                }
+            };
+
+            if (options.json && method !== 'GET') {
+                settings.contentType = 'application/json';
+                settings.data = JSON.stringify(options.data || {});
+            } else if (method === 'DELETE') {
+                // jQuery sends DELETE data in the body, which WordPress ignores
+                settings.url = url + (url.indexOf('?') === -1 ? '?' : '&') + $.param(options.data || {});
+            } else {
+                settings.data = options.data || {};
+            }
+
+            return new Promise((resolve, reject) => {
+                entry.jqXHR = $.ajax(settings)
+                    .done(resolve)
+                    .fail((jqXHR, textStatus) => reject(createError(jqXHR, textStatus, url)));
+            }).catch(error => {
+                if (entry.aborted && !error.isAbort()) {
+                    error = new ApiError(ApiError.ABORT, 'The request was cancelled.', { url: url });
+                }
+
+                // WordPress rejects expired nonces; fetch a new one and try once more
+                if (error.code === 'rest_cookie_invalid_nonce' && !nonceRefreshed) {
+                    return this.refreshNonce().then(() => this.send(url, method, options, entry, retries, true, attempt));
+                }
+
+                if (error.isRetryable() && attempt < retries && !entry.aborted) {
+                    return backoff(attempt).then(() => this.send(url, method, options, entry, retries, nonceRefreshed, attempt + 1));
+                }
+
+                this.notifyError(error);
+                throw error;
+            });
+        },
+
+        /**
+         * Call an admin-ajax action.
+         *
+         * Resolves with the `data` of a wp_send_json_success() response and
+         * rejects with an ApiError of type "ajax" for wp_send_json_error().
+         *
+         * @param {string} action The admin-ajax action name.
+         * @param {Object} data Additional POST data.
+         * @param {Object} options Additional options: timeout, retries.
+         * @return {Promise} A promise that resolves with the response data.
+         */
+        ajax: function(action, data = {}, options = {}) {
+            const url = config.ajaxUrl;
+            const body = Object.assign({ action: action, nonce: config.nonce }, data);
+            const retries = options.retries !== undefined ? options.retries : 0;
+
+            const attemptRequest = (attempt) => new Promise((resolve, reject) => {
+                $.ajax({
+                    url: url,
+                    type: 'POST',
+                    timeout: options.timeout || this.timeout,
+                    dataType: 'json',
+                    data: body
+                })
+                    .done(resolve)
+                    .fail((jqXHR, textStatus) => reject(createError(jqXHR, textStatus, url)));
+            }).catch(error => {
+                if (error.isRetryable() && attempt < retries) {
+                    return backoff(attempt).then(() => attemptRequest(attempt + 1));
+                }
+
+                this.notifyError(error);
+                throw error;
+            });
+
+            return attemptRequest(0).then(response => {
+                if (!response || !response.success) {
+                    const payload = response ? response.data : null;
+                    const message = typeof payload === 'string' ? payload :
+                        (payload && payload.message) || 'The request failed.';
+                    const error = new ApiError(ApiError.AJAX, message, { status: 200, data: payload, url: url });
+
+                    this.notifyError(error);
+                    throw error;
+                }
+
+                return response.data;
+            });
+        },
+
+        /**
+         * Abort the in-flight request registered under a key.
+         *
+         * @param {string} key The supersede key passed to request().
+         */
+        abort: function(key) {
+            if (this.keyed[key]) {
+                this.keyed[key].abort();
+            }
+        },
+
+        /**
+         * Fetch a fresh REST nonce from WordPress.
+         *
+         * @return {Promise} A promise that resolves with the new nonce.
+         */
+        refreshNonce: function() {
+            if (this.noncePromise) {
+                return this.noncePromise;
+            }
+
+            // admin-ajax.php?action=rest-nonce is provided by WordPress core
+            this.noncePromise = new Promise((resolve, reject) => {
+                $.ajax({
+                    url: config.ajaxUrl,
+                    method: 'GET',
+                    cache: false,
+                    data: { action: 'rest-nonce' },
+                    dataType: 'text'
+                })
+                    .done(nonce => {
+                        config.restNonce = $.trim(nonce);
+                        resolve(config.restNonce);
+                    })
+                    .fail((jqXHR, textStatus) => reject(createError(jqXHR, textStatus, config.ajaxUrl)));
+            }).finally(() => {
+                this.noncePromise = null;
+            });
+
+            return this.noncePromise;
+        },
+
+        /**
+         * Register a listener for failed requests.
+         *
+         * Aborted requests are not reported.
+         *
+         * @param {Function} listener Called with the ApiError.
+         */
+        onError: function(listener) {
+            this.errorListeners.push(listener);
+        },
+
+        /**
+         * Notify error listeners about a failed request.
+         *
+         * @param {ApiError} error The error.
+         */
+        notifyError: function(error) {
+            if (error.isAbort()) {
+                return;
+            }
+
+            if (config.debug) {
+                console.error('Status Sentry API error:', error.type, error.status, error.url, error.message);
+            }
+
+            this.errorListeners.forEach(listener => {
+                try {
+                    listener(error);
+                } catch (e) {
+                    console.error('Status Sentry API error listener failed:', e);
+                }
+            });
+        }
+    };
+
+    config.api = api;
+
+})(jQuery);
@@ -1,8 +1,9 @@
 /**
  * Status Sentry Benchmark JavaScript
  *
- * This file handles the benchmark UI, including responsive charts,
- * print functionality, and CSV export.
+ * This file handles the benchmark UI, including background runs with live
+ * progress, run comparisons, responsive charts, print functionality, and
+ * CSV export.
  *
  * @since      1.6.0
  * @package    Status_Sentry
@@ -18,6 +19,8 @@
          */
         init: function() {
             this.setupCharts();
+            this.setupRun();
+            this.setupComparison();
             this.setupActions();
             this.setupResponsiveness();
             this.setupFullWidthToggle();
@@ -27,40 +30,43 @@
          * Set up responsive charts.
          */
         setupCharts: function() {
-            // Memory usage chart
-            if (document.getElementById('memoryChart')) {
-                this.createResponsiveChart(
-                    'memoryChart',
-                    'Memory Usage (bytes)',
-                    window.statusSentryBenchmarkData.memoryData,
-                    window.statusSentryBenchmarkData.labels,
-                    'rgba(54, 162, 235, 0.5)',
-                    'rgba(54, 162, 235, 1)'
-                );
-            }
+            // Bar charts are only drawn once there are results
+            if (window.statusSentryBenchmarkData) {
+                // Memory usage chart
+                if (document.getElementById('memoryChart')) {
+                    this.createResponsiveChart(
+                        'memoryChart',
+                        'Memory Usage (bytes)',
+                        window.statusSentryBenchmarkData.memoryData,
+                        window.statusSentryBenchmarkData.labels,
+                        'rgba(54, 162, 235, 0.5)',
+                        'rgba(54, 162, 235, 1)'
+                    );
+                }
 
-            // Execution time chart
-            if (document.getElementById('timeChart')) {
-                this.createResponsiveChart(
-                    'timeChart',
-                    'Execution Time (seconds)',
-                    window.statusSentryBenchmarkData.timeData,
-                    window.statusSentryBenchmarkData.labels,
-                    'rgba(255, 99, 132, 0.5)',
-                    'rgba(255, 99, 132, 1)'
-                );
-            }
+                // Execution time chart
+                if (document.getElementById('timeChart')) {
+                    this.createResponsiveChart(
+                        'timeChart',
+                        'Execution Time (seconds)',
+                        window.statusSentryBenchmarkData.timeData,
+                        window.statusSentryBenchmarkData.labels,
+                        'rgba(255, 99, 132, 0.5)',
+                        'rgba(255, 99, 132, 1)'
+                    );
+                }
 
-            // Operations per second chart
-            if (document.getElementById('opsChart')) {
-                this.createResponsiveChart(
-                    'opsChart',
-                    'Operations Per Second',
-                    window.statusSentryBenchmarkData.opsData,
-                    window.statusSentryBenchmarkData.labels,
-                    'rgba(75, 192, 192, 0.5)',
-                    'rgba(75, 192, 192, 1)'
-                );
+                // Operations per second chart
+                if (document.getElementById('opsChart')) {
+                    this.createResponsiveChart(
+                        'opsChart',
+                        'Operations Per Second',
+                        window.statusSentryBenchmarkData.opsData,
+                        window.statusSentryBenchmarkData.labels,
+                        'rgba(75, 192, 192, 0.5)',
+                        'rgba(75, 192, 192, 1)'
+                    );
+                }
             }
 
             // History chart
@@ -186,63 +192,752 @@
             console.log('History chart created with width:', historyCanvas.width, 'style width:', historyCanvas.style.width);
         },
 
+        /**
+         * Set up the run comparison view on the history page.
+         *
+         * The selected runs and tolerance are kept in the URL, so the
+         * address bar is always a permalink to the comparison.
+         */
+        setupComparison: function() {
+            const container = $('#status-sentry-benchmark-compare');
+            const runs = (window.statusSentryBenchmarkRuns || []).filter(run => run && run.timestamp && run.results);
+
+            if (!container.length) {
+                return;
+            }
+
+            if (runs.length < 2) {
+                container.find('.status-sentry-benchmark-compare-controls').prop('hidden', true);
+                container.find('.status-sentry-benchmark-compare-results').html(
+                    $('<p></p>').text('Run at least two benchmarks to compare them.')
+                );
+                return;
+            }
+
+            const params = new URLSearchParams(window.location.search);
+            const timestamps = runs.map(run => run.timestamp);
+            const baseline = container.find('.status-sentry-compare-baseline').empty();
+            const candidate = container.find('.status-sentry-compare-candidate').empty();
+
+            // Newest runs first
+            runs.slice().reverse().forEach((run) => {
+                const site = run.source && run.source.site_url ? `, ${new URL(run.source.site_url).host}` : '';
+                const label = `${run.timestamp} (${Object.keys(run.results).length} tests${site})`;
+                baseline.append($('<option></option>').val(run.timestamp).text(label));
+                candidate.append($('<option></option>').val(run.timestamp).text(label));
+            });
+
+            // Default to comparing the latest run against the one before it
+            baseline.val(timestamps.indexOf(params.get('baseline')) !== -1 ? params.get('baseline') : timestamps[timestamps.length - 2]);
+            candidate.val(timestamps.indexOf(params.get('candidate')) !== -1 ? params.get('candidate') : timestamps[timestamps.length - 1]);
+
+            const tolerance = params.get('tolerance') !== null ?
+                params.get('tolerance') :
+                localStorage.getItem('status_sentry_benchmark_tolerance');
+            if (tolerance !== null && !isNaN(parseFloat(tolerance))) {
+                container.find('.status-sentry-compare-tolerance').val(parseFloat(tolerance));
+            }
+
+            // init() can run more than once on the history page
+            container.off('.statusSentryCompare');
+
+            container.on('change.statusSentryCompare input.statusSentryCompare', 'select, input', (e) => {
+                if ($(e.target).hasClass('status-sentry-compare-tolerance')) {
+                    localStorage.setItem('status_sentry_benchmark_tolerance', $(e.target).val());
+                }
+                this.renderComparison();
+            });
+
+            container.on('click.statusSentryCompare', '.status-sentry-compare-copy-link', (e) => {
+                e.preventDefault();
+                this.copyComparisonLink($(e.currentTarget));
+            });
+
+            this.renderComparison();
+        },
+
+        /**
+         * Compare the selected runs and render the per-test table.
+         */
+        renderComparison: function() {
+            const container = $('#status-sentry-benchmark-compare');
+            const target = container.find('.status-sentry-benchmark-compare-results').empty();
+            const runs = window.statusSentryBenchmarkRuns || [];
+            const baselineTimestamp = container.find('.status-sentry-compare-baseline').val();
+            const candidateTimestamp = container.find('.status-sentry-compare-candidate').val();
+            const tolerance = Math.max(parseFloat(container.find('.status-sentry-compare-tolerance').val()) || 0, 0);
+            const baseline = runs.find(run => run && run.timestamp === baselineTimestamp);
+            const candidate = runs.find(run => run && run.timestamp === candidateTimestamp);
+
+            this.updateComparisonUrl(baselineTimestamp, candidateTimestamp, tolerance);
+
+            if (!baseline || !candidate) {
+                return;
+            }
+
+            if (baseline === candidate) {
+                target.append($('<p></p>').text('Select two different runs to compare.'));
+                return;
+            }
+
+            // Lower is better for memory and time, higher is better for ops/sec
+            const metrics = [
+                { key: 'memory_usage', label: 'Memory', higherIsBetter: false, format: value => this.formatNumber(value, 0) + ' bytes' },
+                { key: 'execution_time', label: 'Time', higherIsBetter: false, format: value => this.formatNumber(value, 4) + ' s' },
+                { key: 'operations_per_second', label: 'Ops/sec', higherIsBetter: true, format: value => this.formatNumber(value, 0) }
+            ];
+
+            const components = Object.keys(baseline.results).concat(
+                Object.keys(candidate.results).filter(component => !baseline.results[component])
+            );
+
+            const table = $('<table class="widefat status-sentry-table status-sentry-compare-table"></table>');
+            const headRow = $('<tr></tr>').append($('<th></th>').text('Component'));
+            metrics.forEach((metric) => {
+                headRow.append(
+                    $('<th></th>').text(`${metric.label} (baseline)`),
+                    $('<th></th>').text(`${metric.label} (candidate)`),
+                    $('<th></th>').text(`${metric.label} change`)
+                );
+            });
+            table.append($('<thead></thead>').append(headRow));
+
+            const tbody = $('<tbody></tbody>');
+            let regressions = 0;
+
+            components.forEach((component) => {
+                const row = $('<tr></tr>').append($('<td></td>').text(this.formatComponent(component)));
+                const before = baseline.results[component];
+                const after = candidate.results[component];
+
+                if (!before || !after) {
+                    row.append($('<td></td>').attr('colspan', metrics.length * 3).text(
+                        before ? 'Not in the candidate run.' : 'Not in the baseline run.'
+                    ));
+                    tbody.append(row);
+                    return;
+                }
+
+                let regressed = false;
+
+                metrics.forEach((metric) => {
+                    // Memory can be measured as negative when PHP frees memory during a test
+                    const beforeValue = metric.key === 'memory_usage' ? Math.max(before[metric.key], 0) : before[metric.key];
+                    const afterValue = metric.key === 'memory_usage' ? Math.max(after[metric.key], 0) : after[metric.key];
+                    const delta = this.compareMetric(beforeValue, afterValue, metric.higherIsBetter, tolerance);
+                    const change = $('<td class="status-sentry-compare-change"></td>').addClass('is-' + delta.verdict);
+
+                    change.append($('<span></span>').text((delta.absolute > 0 ? '+' : '') + metric.format(delta.absolute)));
+                    if (delta.percent !== null) {
+                        change.append(' ', $('<span class="status-sentry-compare-percent"></span>').text(
+                            `(${delta.percent > 0 ? '+' : ''}${delta.percent.toFixed(1)}%)`
+                        ));
+                    }
+                    if (delta.verdict === 'regression') {
+                        regressed = true;
+                        change.attr('title', `Worse than the ${tolerance}% tolerance`);
+                    }
+
+                    row.append(
+                        $('<td></td>').text(metric.format(beforeValue)),
+                        $('<td></td>').text(metric.format(afterValue)),
+                        change
+                    );
+                });
+
+                if (regressed) {
+                    regressions++;
+                    row.addClass('status-sentry-compare-regressed');
+                }
+
+                tbody.append(row);
+            });
+
+            table.append(tbody);
+
+            const summary = $('<p class="status-sentry-compare-summary"></p>');
+            if (regressions) {
+                summary.addClass('has-regressions').text(
+                    `${regressions} ${regressions === 1 ? 'component regressed' : 'components regressed'} by more than ${tolerance}%.`
+                );
+            } else {
+                summary.text(`No regressions beyond ${tolerance}%.`);
+            }
+
+            target.append(summary, table);
+        },
+
+        /**
+         * Compare a metric between two runs.
+         *
+         * @param {number} before The baseline value.
+         * @param {number} after The candidate value.
+         * @param {boolean} higherIsBetter Whether an increase is an improvement.
+         * @param {number} tolerance The tolerance in percent.
+         * @return {Object} The absolute and percentage deltas and a verdict:
+         *                  'regression', 'improvement' or 'unchanged'.
+         */
+        compareMetric: function(before, after, higherIsBetter, tolerance) {
+            before = Number(before) || 0;
+            after = Number(after) || 0;
+
+            const absolute = after - before;
+            // A change from zero has no meaningful percentage
+            const percent = before !== 0 ? (absolute / Math.abs(before)) * 100 : null;
+            const worse = higherIsBetter ? absolute < 0 : absolute > 0;
+            let verdict = 'unchanged';
+
+            if (percent !== null && Math.abs(percent) > tolerance) {
+                verdict = worse ? 'regression' : 'improvement';
+            }
+
+            return { absolute: absolute, percent: percent, verdict: verdict };
+        },
+
+        /**
+         * Format a component key for display, e.g. "query_cache" as "Query Cache".
+         *
+         * @param {string} component The component key.
+         * @return {string} The label.
+         */
+        formatComponent: function(component) {
+            return component.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+        },
+
+        /**
+         * Keep the comparison in the URL without adding history entries.
+         *
+         * @param {string} baseline The baseline run's timestamp.
+         * @param {string} candidate The candidate run's timestamp.
+         * @param {number} tolerance The tolerance in percent.
+         */
+        updateComparisonUrl: function(baseline, candidate, tolerance) {
+            const url = new URL(window.location.href);
+            url.searchParams.set('baseline', baseline);
+            url.searchParams.set('candidate', candidate);
+            url.searchParams.set('tolerance', tolerance);
+            url.hash = 'status-sentry-benchmark-compare';
+            window.history.replaceState(null, '', url.toString());
+        },
+
+        /**
+         * Copy the comparison permalink to the clipboard.
+         *
+         * @param {jQuery} button The button that was clicked.
+         */
+        copyComparisonLink: function(button) {
+            const label = button.html();
+            const done = (text) => {
+                button.text(text);
+                setTimeout(() => button.html(label), 2000);
+            };
+
+            if (!navigator.clipboard) {
+                window.prompt('Copy this link:', window.location.href);
+                return;
+            }
+
+            navigator.clipboard.writeText(window.location.href).then(() => {
+                done('Link copied');
+            }).catch(() => {
+                window.prompt('Copy this link:', window.location.href);
+            });
+        },
+
+        /**
+         * Set up the background run controls.
+         */
+        setupRun: function() {
+            this.runForm = $('#status-sentry-benchmark-run-form');
+
+            if (!this.runForm.length) {
+                return;
+            }
+
+            this.run = null;
+            this.runTimer = null;
+            this.renderedResults = null;
+
+            this.runForm.on('submit', (e) => {
+                e.preventDefault();
+                this.startRun();
+            });
+
+            this.runForm.on('click', '.status-sentry-benchmark-cancel', (e) => {
+                e.preventDefault();
+                this.cancelRun();
+            });
+
+            // Pick up a run started earlier, or show the last run's results
+            statusSentry.api.get('benchmarks/runs').then((response) => {
+                if (response.run) {
+                    this.renderRun(response.run);
+                    this.scheduleRunPoll();
+                }
+            }).catch((error) => {
+                if (!error.isAbort()) {
+                    this.renderNotice('Failed to load the benchmark status. Please try again.');
+                }
+            });
+        },
+
+        /**
+         * Start a background run of the selected tests.
+         */
+        startRun: function() {
+            const tests = this.runForm.find('input[name="tests[]"]:checked').map((i, input) => input.value).get();
+
+            if (!tests.length) {
+                this.renderNotice('Select at least one test to run.');
+                return;
+            }
+
+            this.renderNotice('');
+            this.runForm.find('.status-sentry-benchmark-start').prop('disabled', true);
+
+            statusSentry.api.post('benchmarks/runs', { tests: tests }).then((run) => {
+                this.renderedResults = null;
+                this.renderRun(run);
+                this.scheduleRunPoll();
+            }).catch((error) => {
+                this.runForm.find('.status-sentry-benchmark-start').prop('disabled', false);
+                this.renderNotice(error.type === statusSentry.api.ApiError.CLIENT ?
+                    error.message :
+                    'The benchmark could not be started. Check server logs for more information.');
+            });
+        },
+
+        /**
+         * Cancel the current run.
+         *
+         * A test that is already running finishes first.
+         */
+        cancelRun: function() {
+            if (!this.run) {
+                return;
+            }
+
+            this.runForm.find('.status-sentry-benchmark-cancel').prop('disabled', true);
+
+            statusSentry.api.delete('benchmarks/runs/' + encodeURIComponent(this.run.id)).then((run) => {
+                this.renderRun(run);
+            }).catch((error) => {
+                this.runForm.find('.status-sentry-benchmark-cancel').prop('disabled', false);
+                if (!error.isAbort()) {
+                    this.renderNotice('The benchmark could not be cancelled. Please try again.');
+                }
+            });
+        },
+
+        /**
+         * Poll the current run while it is queued or running.
+         *
+         * @param {number} delay The delay before the next poll in milliseconds.
+         */
+        scheduleRunPoll: function(delay = 2000) {
+            clearTimeout(this.runTimer);
+
+            if (!this.run || !this.isRunActive(this.run)) {
+                return;
+            }
+
+            this.runTimer = setTimeout(() => {
+                statusSentry.api.get('benchmarks/runs/' + encodeURIComponent(this.run.id), {}, { key: 'benchmark-run' }).then((run) => {
+                    this.renderRun(run);
+                    this.scheduleRunPoll();
+                }).catch((error) => {
+                    if (error.isAbort()) {
+                        return;
+                    }
+
+                    // The run was replaced, e.g. from another tab
+                    if (error.type === statusSentry.api.ApiError.NOT_FOUND) {
+                        this.run = null;
+                        this.toggleRunControls(false);
+                        return;
+                    }
+
+                    this.scheduleRunPoll(Math.min(delay * 2, 30000));
+                });
+            }, delay);
+        },
+
+        /**
+         * Check whether a run is queued or running.
+         *
+         * @param {Object} run The run.
+         * @return {boolean} Whether the run is active.
+         */
+        isRunActive: function(run) {
+            return run.status === 'queued' || run.status === 'running';
+        },
+
+        /**
+         * Enable or disable the run controls.
+         *
+         * @param {boolean} active Whether a run is active.
+         */
+        toggleRunControls: function(active) {
+            this.runForm.find('input[name="tests[]"]').prop('disabled', active);
+            this.runForm.find('.status-sentry-benchmark-start').prop('disabled', active);
+            this.runForm.find('.status-sentry-benchmark-cancel').prop('hidden', !active).prop('disabled', false);
+        },
+
+        /**
+         * Render a run's progress and its results so far.
+         *
+         * @param {Object} run The run.
+         */
+        renderRun: function(run) {
+            const active = this.isRunActive(run);
+            const progress = $('.status-sentry-benchmark-progress');
+            const statusLabels = {
+                pending: 'Waiting',
+                running: 'Running...',
+                completed: 'Completed',
+                failed: 'Failed',
+                cancelled: 'Cancelled'
+            };
+
+            this.run = run;
+            this.toggleRunControls(active);
+
+            // Only runs saved to the history can be exported
+            this.exportTimestamp = run.timestamp || null;
+            $('.status-sentry-export-csv, .status-sentry-export-json').prop('disabled', !run.timestamp);
+
+            if (active) {
+                // Preselect the run's tests so the form matches what is running
+                const tests = run.tests.map(test => test.test);
+                this.runForm.find('input[name="tests[]"]').each((i, input) => {
+                    input.checked = tests.indexOf(input.value) !== -1;
+                });
+            }
+
+            let summary;
+            if (run.status === 'queued') {
+                summary = run.cron_disabled ?
+                    'Waiting for the server\'s cron job to start the benchmark (WP-Cron is disabled on this site).' :
+                    'Waiting for WP-Cron to start the benchmark...';
+            } else if (run.status === 'running') {
+                summary = `Running test ${Math.min(run.progress.finished + 1, run.progress.total)} of ${run.progress.total}...`;
+            } else if (run.status === 'cancelled') {
+                summary = `Benchmark cancelled after ${run.progress.finished} of ${run.progress.total} tests.`;
+            } else if (run.status === 'failed') {
+                summary = 'The benchmark stopped unexpectedly.';
+            } else {
+                summary = `Benchmark completed at ${new Date(run.completed_at.replace(' ', 'T') + 'Z').toLocaleString()}.`;
+            }
+
+            progress.prop('hidden', false);
+            progress.find('.status-sentry-benchmark-progress-summary').text(summary);
+            progress.find('.status-sentry-benchmark-progress-bar')
+                .attr('max', run.progress.total)
+                .val(run.progress.finished);
+
+            const list = progress.find('.status-sentry-benchmark-progress-tests').empty();
+            run.tests.forEach((test) => {
+                const item = $('<li></li>').addClass('is-' + test.status).append(
+                    $('<span class="status-sentry-benchmark-test-label"></span>').text(test.label),
+                    ' ',
+                    $('<span class="status-sentry-benchmark-test-status"></span>').text(statusLabels[test.status] || test.status)
+                );
+
+                if (test.error) {
+                    item.append($('<p class="description"></p>').text(test.error));
+                }
+
+                list.append(item);
+            });
+
+            this.renderResults(run);
+        },
+
+        /**
+         * Render the results of a run's completed tests.
+         *
+         * Charts are only redrawn when a new result arrives.
+         *
+         * @param {Object} run The run.
+         */
+        renderResults: function(run) {
+            const completed = run.tests.filter(test => test.status === 'completed' && test.result);
+            const signature = run.id + ':' + completed.length;
+            const container = $('#status-sentry-benchmark-results');
+
+            if (this.renderedResults === signature) {
+                return;
+            }
+            this.renderedResults = signature;
+
+            if (!completed.length) {
+                container.prop('hidden', true);
+                return;
+            }
+
+            container.prop('hidden', false);
+            container.find('.status-sentry-benchmark-results-summary').text(
+                this.isRunActive(run) ?
+                    `Partial results: ${completed.length} of ${run.tests.length} tests` :
+                    `${completed.length} of ${run.tests.length} tests completed`
+            );
+
+            const tbody = container.find('.status-sentry-table tbody').empty();
+            completed.forEach((test) => {
+                const result = test.result;
+                tbody.append($('<tr></tr>').append(
+                    $('<td></td>').text(test.label),
+                    $('<td></td>').text(this.formatNumber(Math.max(result.memory_usage, 0), 0) + ' bytes'),
+                    $('<td></td>').text(this.formatNumber(result.execution_time, 4) + ' seconds'),
+                    $('<td></td>').text(this.formatNumber(result.operations_per_second, 0)),
+                    $('<td></td>').append(
+                        $('<span class="status-sentry-status"></span>')
+                            .addClass(result.passed ? 'status-sentry-status-passed' : 'status-sentry-status-failed')
+                            .text(result.passed ? 'Passed' : 'Failed')
+                    )
+                ));
+            });
+
+            window.statusSentryBenchmarkData = {
+                labels: completed.map(test => test.label),
+                memoryData: completed.map(test => test.result.memory_usage),
+                timeData: completed.map(test => test.result.execution_time),
+                opsData: completed.map(test => test.result.operations_per_second)
+            };
+
+            this.setupCharts();
+        },
+
+        /**
+         * Format a number with a fixed number of decimals.
+         *
+         * @param {number} value The number.
+         * @param {number} decimals The number of decimals.
+         * @return {string} The formatted number.
+         */
+        formatNumber: function(value, decimals) {
+            return Number(value || 0).toLocaleString(undefined, {
+                minimumFractionDigits: decimals,
+                maximumFractionDigits: decimals
+            });
+        },
+
+        /**
+         * Render an error notice above the run controls, or clear it.
+         *
+         * @param {string} message The message, or an empty string to clear the notice.
+         */
+        renderNotice: function(message) {
+            this.runForm.prev('.notice').remove();
+
+            if (message) {
+                this.runForm.before($('<div class="notice notice-error inline"></div>').append($('<p></p>').text(message)));
+            }
+        },
+
         /**
          * Set up action buttons.
          */
         setupActions: function() {
+            // init() runs twice on the history page, so rebind rather than stack handlers
+            $(document).off('.statusSentryActions');
+
             // Print results
-            $('.status-sentry-print-results').on('click', function(e) {
+            $(document).on('click.statusSentryActions', '.status-sentry-print-results', function(e) {
                 e.preventDefault();
                 window.print();
             });
 
             // Export as CSV
-            $('.status-sentry-export-csv').on('click', function(e) {
+            $(document).on('click.statusSentryActions', '.status-sentry-export-csv', function(e) {
                 e.preventDefault();
                 window.statusSentryBenchmark.exportToCSV();
             });
+
+            // Export as JSON
+            $(document).on('click.statusSentryActions', '.status-sentry-export-json', function(e) {
+                e.preventDefault();
+                window.statusSentryBenchmark.exportToJSON();
+            });
+
+            // Import runs exported from another site
+            $(document).on('click.statusSentryActions', '.status-sentry-import-runs', function(e) {
+                e.preventDefault();
+                $(this).siblings('.status-sentry-import-file').val('').trigger('click');
+            });
+
+            $(document).on('change.statusSentryActions', '.status-sentry-import-file', function() {
+                if (this.files && this.files[0]) {
+                    window.statusSentryBenchmark.importRuns(this.files[0]);
+                }
+            });
         },
 
         /**
-         * Export benchmark results to CSV.
+         * Fetch the runs to export from the REST API.
+         *
+         * On the benchmark page only the last completed run is exported, on
+         * the history page the whole history.
+         *
+         * @return {Promise} A promise that resolves with the export document.
          */
-        exportToCSV: function() {
-            // Get table data
-            const table = document.querySelector('.status-sentry-table');
-            if (!table) return;
-
-            const rows = table.querySelectorAll('tr');
-            let csv = [];
-
-            // Process each row
-            for (let i = 0; i < rows.length; i++) {
-                const row = [], cols = rows[i].querySelectorAll('td, th');
-
-                for (let j = 0; j < cols.length; j++) {
-                    // Get the text content and clean it
-                    let data = cols[j].textContent.replace(/(\r\n|\n|\r)/gm, '').trim();
-                    // Escape double quotes
-                    data = data.replace(/"/g, '""');
-                    // Add quotes around the data
-                    row.push('"' + data + '"');
+        fetchExport: function() {
+            const params = this.exportTimestamp ? { timestamp: this.exportTimestamp } : {};
+
+            return statusSentry.api.get('benchmarks/history', params).catch((error) => {
+                if (!error.isAbort()) {
+                    window.alert('The benchmark results could not be exported. Please try again.');
                 }
+                throw error;
+            });
+        },
+
+        /**
+         * Export benchmark runs as JSON.
+         *
+         * The file includes each run's configuration, environment and
+         * per-test metrics, and can be imported on another site.
+         */
+        exportToJSON: function() {
+            this.fetchExport().then((data) => {
+                this.download(JSON.stringify(data, null, 2), 'application/json', 'json');
+            }).catch(() => {});
+        },
+
+        /**
+         * Export benchmark runs to CSV.
+         *
+         * One row per run and component. Numbers are written unformatted in
+         * the unit named in the column header, so spreadsheets read them as
+         * numbers.
+         */
+        exportToCSV: function() {
+            const columns = [
+                ['timestamp', run => run.timestamp],
+                ['site_url', run => (run.source && run.source.site_url) || (run.environment && run.environment.site_url) || ''],
+                ['config_label', run => run.config ? run.config.label : ''],
+                ['config_description', run => run.config ? run.config.description : ''],
+                ['component', (run, component) => component],
+                ['operation', (run, component, result) => result.operation || ''],
+                ['passed', (run, component, result) => !!result.passed],
+                ['memory_usage_bytes', (run, component, result) => result.memory_usage],
+                ['execution_time_seconds', (run, component, result) => result.execution_time],
+                ['operations_per_second', (run, component, result) => result.operations_per_second],
+                ['memory_mb', (run, component, result) => result.memory_mb],
+                ['time_ms', (run, component, result) => result.time_ms],
+                ['plugin_version', run => run.environment ? run.environment.plugin_version : ''],
+                ['wp_version', run => run.environment ? run.environment.wp_version : ''],
+                ['php_version', run => run.environment ? run.environment.php_version : ''],
+                ['mysql_version', run => run.environment ? run.environment.mysql_version : ''],
+                ['object_cache', run => run.environment ? !!run.environment.object_cache : '']
+            ];
+
+            this.fetchExport().then((data) => {
+                const csv = [columns.map(column => column[0]).join(',')];
 
-                csv.push(row.join(','));
+                data.runs.forEach((run) => {
+                    Object.keys(run.results).forEach((component) => {
+                        csv.push(columns.map(column => this.csvValue(column[1](run, component, run.results[component]))).join(','));
+                    });
+                });
+
+                this.download(csv.join('\n'), 'text/csv;charset=utf-8;', 'csv');
+            }).catch(() => {});
+        },
+
+        /**
+         * Format a value for CSV.
+         *
+         * Numbers and booleans are written bare, strings are quoted.
+         *
+         * @param {*} value The value.
+         * @return {string} The CSV field.
+         */
+        csvValue: function(value) {
+            if (value === null || value === undefined || value === '') {
+                return '';
+            }
+
+            if (typeof value === 'number') {
+                return isFinite(value) ? String(value) : '';
+            }
+
+            if (typeof value === 'boolean') {
+                return value ? 'true' : 'false';
             }
 
-            // Create CSV content
-            const csvContent = csv.join('\n');
+            return '"' + String(value).replace(/"/g, '""') + '"';
+        },
 
-            // Create download link
-            const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        /**
+         * Download generated content as a file.
+         *
+         * @param {string} content The file content.
+         * @param {string} type The MIME type.
+         * @param {string} extension The file extension.
+         */
+        download: function(content, type, extension) {
+            const blob = new Blob([content], { type: type });
             const url = URL.createObjectURL(blob);
             const link = document.createElement('a');
             link.setAttribute('href', url);
-            link.setAttribute('download', 'status-sentry-benchmark-' + new Date().toISOString().slice(0, 10) + '.csv');
+            link.setAttribute('download', 'status-sentry-benchmark-' + new Date().toISOString().slice(0, 10) + '.' + extension);
             link.style.visibility = 'hidden';
             document.body.appendChild(link);
             link.click();
             document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        },
+
+        /**
+         * Import runs from a JSON export into the benchmark history.
+         *
+         * After a successful import the page reloads with the first imported
+         * run selected as the comparison candidate.
+         *
+         * @param {File} file The JSON file.
+         */
+        importRuns: function(file) {
+            file.text().then((text) => {
+                let data;
+                try {
+                    data = JSON.parse(text);
+                } catch (error) {
+                    data = null;
+                }
+
+                if (!data || data.format !== 'status-sentry-benchmark' || !Array.isArray(data.runs)) {
+                    window.alert('This file is not a Status Sentry benchmark export.');
+                    return;
+                }
+
+                return statusSentry.api.post('benchmarks/history', {
+                    format: data.format,
+                    site_url: data.site_url || '',
+                    runs: data.runs
+                }, { json: true, timeout: 30000 }).then((response) => {
+                    const messages = [`Imported ${response.imported.length} of ${data.runs.length} runs.`];
+                    if (response.skipped) {
+                        messages.push(`${response.skipped} runs were skipped because they are invalid or already in the history.`);
+                    }
+                    if (response.dropped) {
+                        messages.push(`${response.dropped} runs were older than the 10 most recent runs and were not kept.`);
+                    }
+                    window.alert(messages.join(' '));
+
+                    if (response.imported.length) {
+                        const url = new URL(window.location.href);
+                        url.searchParams.set('candidate', response.imported[0]);
+                        url.hash = 'status-sentry-benchmark-compare';
+                        window.history.replaceState(null, '', url.toString());
+                        window.location.reload();
+                    }
+                });
+            }).catch((error) => {
+                window.alert(error && error.type === statusSentry.api.ApiError.CLIENT ?
+                    error.message :
+                    'The runs could not be imported. Check server logs for more information.');
+            });
         },
 
         /**
@@ -0,0 +1,456 @@
+/**
+ * Status Sentry Change Impact JavaScript
+ *
+ * This file handles the Change Impact page: the list of plugin activations
+ * and theme switches with before/after snapshots, and the comparison of
+ * any two snapshots as a metric table and charts.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ */
+
+(function($) {
+    'use strict';
+
+    // Change impact app - make it globally accessible
+    window.statusSentryChangeImpact = {
+        /**
+         * Compared metrics, in display order.
+         *
+         * Bytes are shown in MB. Every metric is better when it goes down.
+         */
+        metrics: [
+            { key: 'memory_usage', label: 'Memory usage', unit: 'MB', bytes: true },
+            { key: 'memory_peak', label: 'Peak memory', unit: 'MB', bytes: true },
+            { key: 'db_queries', label: 'Database queries', unit: '' },
+            { key: 'load_time', label: 'Load time', unit: 'ms' },
+            { key: 'cpu_load', label: 'CPU load', unit: '' }
+        ],
+
+        /**
+         * Charts shown for a comparison, with the metrics each one plots.
+         */
+        charts: [
+            { title: 'Memory (MB)', metrics: ['memory_usage', 'memory_peak'] },
+            { title: 'Database queries', metrics: ['db_queries'] },
+            { title: 'Load time (ms)', metrics: ['load_time'] }
+        ],
+
+        /**
+         * Initialize the change impact page.
+         */
+        init: function() {
+            this.container = $('#status-sentry-change-impact-app');
+            if (!this.container.length) {
+                return;
+            }
+
+            this.chartInstances = [];
+
+            this.renderLayout();
+            this.setupEventHandlers();
+            this.fetchSnapshots();
+        },
+
+        /**
+         * Render the page sections.
+         */
+        renderLayout: function() {
+            this.container.empty().append(
+                $('<h2></h2>').text('Changes'),
+                $('<div class="status-sentry-changes-list"></div>'),
+                $('<h2></h2>').text('Compare Snapshots'),
+                $('<form class="status-sentry-snapshot-picker"></form>').append(
+                    $('<label></label>').append($('<span></span>').text('Before'), $('<select name="before" required></select>')),
+                    $('<label></label>').append($('<span></span>').text('After'), $('<select name="after" required></select>')),
+                    $('<button type="submit" class="button"></button>').text('Compare')
+                ),
+                $('<div class="status-sentry-snapshot-comparison" aria-live="polite"></div>')
+            );
+        },
+
+        /**
+         * Set up event handlers.
+         */
+        setupEventHandlers: function() {
+            this.container.on('click', '.status-sentry-compare-change', (e) => {
+                const button = $(e.currentTarget);
+                this.selectPair(button.data('before'), button.data('after'));
+            });
+
+            this.container.on('submit', '.status-sentry-snapshot-picker', (e) => {
+                e.preventDefault();
+
+                const form = $(e.currentTarget);
+                this.selectPair(form.find('[name="before"]').val(), form.find('[name="after"]').val());
+            });
+        },
+
+        /**
+         * Fetch the snapshots and changes from the REST API.
+         */
+        fetchSnapshots: function() {
+            statusSentry.api.get('snapshots', {}, { key: 'snapshots' }).then((response) => {
+                this.snapshots = response.snapshots || [];
+                this.changes = response.changes || [];
+
+                this.renderChanges();
+                this.renderPicker();
+
+                // Show the pair from the URL, or the most recent change
+                const params = new URLSearchParams(window.location.search);
+                if (params.get('before') && params.get('after')) {
+                    this.selectPair(params.get('before'), params.get('after'));
+                } else if (this.changes.length) {
+                    this.selectPair(this.changes[0].before, this.changes[0].after);
+                }
+            }).catch((error) => {
+                if (!error.isAbort()) {
+                    this.renderNotice(this.container.find('.status-sentry-changes-list'), 'Failed to load snapshots. Please try again.');
+                }
+            });
+        },
+
+        /**
+         * Render the list of changes.
+         */
+        renderChanges: function() {
+            const list = this.container.find('.status-sentry-changes-list');
+            list.empty();
+
+            if (!this.changes.length) {
+                list.append($('<p></p>').text('No changes recorded yet. Snapshots are taken the next time a plugin is activated or the theme is switched.'));
+                return;
+            }
+
+            const table = $('<table class="widefat status-sentry-table status-sentry-changes-table"></table>');
+            table.append($('<thead></thead>').append($('<tr></tr>').append(
+                $('<th></th>').text('Change'),
+                $('<th></th>').text('When'),
+                $('<th></th>').text('Significant differences'),
+                $('<th></th>').text('Actions')
+            )));
+
+            const body = $('<tbody></tbody>');
+            this.changes.forEach(change => {
+                const significant = $('<td></td>');
+                if (change.significant.length) {
+                    change.significant.forEach(key => {
+                        significant.append($('<span class="status-sentry-impact-flag"></span>').text(this.getMetric(key).label), ' ');
+                    });
+                } else {
+                    significant.text('None');
+                }
+
+                body.append($('<tr></tr>').attr('data-before', change.before).attr('data-after', change.after).append(
+                    $('<td></td>').append(
+                        $('<strong></strong>').text(change.label),
+                        ' ',
+                        $('<span class="status-sentry-change-type"></span>').text(change.subject_type === 'theme' ? 'Theme switch' : 'Plugin activation')
+                    ),
+                    $('<td></td>').text(this.formatTime(change.created_at)),
+                    significant,
+                    $('<td></td>').append(
+                        $('<button type="button" class="button button-small status-sentry-compare-change"></button>')
+                            .attr('data-before', change.before)
+                            .attr('data-after', change.after)
+                            .text('View impact')
+                    )
+                ));
+            });
+            table.append(body);
+
+            list.append(table);
+        },
+
+        /**
+         * Fill the snapshot pickers.
+         */
+        renderPicker: function() {
+            const selects = this.container.find('.status-sentry-snapshot-picker select');
+            selects.empty();
+
+            this.snapshots.forEach(snapshot => {
+                const phase = snapshot.phase ? ` (${snapshot.phase})` : '';
+                selects.append($('<option></option>').val(snapshot.id).text(`${snapshot.label}${phase}, ${this.formatTime(snapshot.created_at)}`));
+            });
+
+            this.container.find('.status-sentry-snapshot-picker').prop('hidden', this.snapshots.length < 2);
+        },
+
+        /**
+         * Compare two snapshots and remember the pair in the URL.
+         *
+         * @param {number|string} before The before snapshot ID.
+         * @param {number|string} after The after snapshot ID.
+         */
+        selectPair: function(before, after) {
+            before = parseInt(before, 10);
+            after = parseInt(after, 10);
+
+            const form = this.container.find('.status-sentry-snapshot-picker');
+            form.find('[name="before"]').val(before);
+            form.find('[name="after"]').val(after);
+
+            this.container.find('.status-sentry-changes-table tbody tr').each(function() {
+                const row = $(this);
+                row.toggleClass('is-selected', row.data('before') === before && row.data('after') === after);
+            });
+
+            const url = new URL(window.location.href);
+            url.searchParams.set('before', before);
+            url.searchParams.set('after', after);
+            window.history.replaceState({}, '', url.toString());
+
+            this.fetchComparison(before, after);
+        },
+
+        /**
+         * Fetch the comparison of two snapshots.
+         *
+         * @param {number} before The before snapshot ID.
+         * @param {number} after The after snapshot ID.
+         */
+        fetchComparison: function(before, after) {
+            const target = this.container.find('.status-sentry-snapshot-comparison');
+            target.addClass('is-loading');
+
+            statusSentry.api.get('snapshots/compare', { before: before, after: after }, { key: 'snapshots-compare' }).then((response) => {
+                target.removeClass('is-loading');
+                this.renderComparison(response);
+            }).catch((error) => {
+                if (error.isAbort()) {
+                    return;
+                }
+
+                target.removeClass('is-loading');
+                this.destroyCharts();
+                this.renderNotice(target, error.type === statusSentry.api.ApiError.CLIENT ?
+                    error.message :
+                    'Failed to compare the snapshots. Please try again.');
+            });
+        },
+
+        /**
+         * Render a comparison as a metric table and charts.
+         *
+         * @param {Object} comparison The comparison response.
+         */
+        renderComparison: function(comparison) {
+            const target = this.container.find('.status-sentry-snapshot-comparison');
+            this.destroyCharts();
+            target.empty();
+
+            target.append($('<h3></h3>').text(`${this.describeSnapshot(comparison.before)} → ${this.describeSnapshot(comparison.after)}`));
+
+            if (comparison.before.created_at > comparison.after.created_at) {
+                target.append($('<div class="notice notice-warning inline"></div>').append(
+                    $('<p></p>').text('The "before" snapshot was taken after the "after" snapshot, so the changes are reversed.')
+                ));
+            }
+
+            const table = $('<table class="widefat status-sentry-table status-sentry-impact-table"></table>');
+            table.append($('<thead></thead>').append($('<tr></tr>').append(
+                $('<th></th>').text('Metric'),
+                $('<th></th>').text('Before'),
+                $('<th></th>').text('After'),
+                $('<th></th>').text('Change')
+            )));
+
+            const body = $('<tbody></tbody>');
+            this.metrics.forEach(metric => {
+                const values = comparison.metrics[metric.key];
+                if (!values) {
+                    return;
+                }
+
+                body.append($('<tr></tr>').toggleClass('is-significant', values.is_significant).append(
+                    $('<th scope="row"></th>').text(metric.label),
+                    $('<td></td>').text(this.formatValue(metric, values.before)),
+                    $('<td></td>').text(this.formatValue(metric, values.after)),
+                    this.renderDelta(metric, values)
+                ));
+            });
+            table.append(body);
+            target.append(table);
+
+            target.append(this.renderPluginChanges(comparison.plugins));
+
+            const charts = $('<div class="status-sentry-impact-charts"></div>');
+            target.append(charts);
+            this.charts.forEach(chart => this.renderChart(charts, chart, comparison.metrics));
+        },
+
+        /**
+         * Render the change cell of a metric.
+         *
+         * @param {Object} metric The metric definition.
+         * @param {Object} values The metric comparison.
+         * @return {jQuery} The table cell.
+         */
+        renderDelta: function(metric, values) {
+            const cell = $('<td class="status-sentry-impact-delta"></td>');
+            const sign = values.diff > 0 ? '+' : '';
+            let text = sign + this.formatValue(metric, values.diff);
+
+            if (values.diff_percent !== null) {
+                text += ` (${sign}${values.diff_percent.toFixed(1)}%)`;
+            }
+
+            cell.text(text)
+                .toggleClass('is-worse', values.diff > 0)
+                .toggleClass('is-better', values.diff < 0);
+
+            if (values.is_significant) {
+                const threshold = values.threshold_type === 'percent' ?
+                    `${values.threshold}%` :
+                    this.formatValue(metric, values.threshold);
+
+                cell.append(' ', $('<span class="status-sentry-impact-flag"></span>')
+                    .attr('title', `The change is larger than the ${threshold} threshold.`)
+                    .text('Significant'));
+            }
+
+            return cell;
+        },
+
+        /**
+         * Render the plugins activated and deactivated between the snapshots.
+         *
+         * @param {Object} plugins The activated and deactivated plugin names.
+         * @return {jQuery} The plugin changes.
+         */
+        renderPluginChanges: function(plugins) {
+            const list = $('<ul class="status-sentry-impact-plugins"></ul>');
+
+            plugins.activated.forEach(name => list.append($('<li class="is-activated"></li>').text(`Activated: ${name}`)));
+            plugins.deactivated.forEach(name => list.append($('<li class="is-deactivated"></li>').text(`Deactivated: ${name}`)));
+
+            if (!list.children().length) {
+                list.append($('<li></li>').text('The same plugins were active in both snapshots.'));
+            }
+
+            return list;
+        },
+
+        /**
+         * Render a before/after bar chart.
+         *
+         * @param {jQuery} target The element to add the chart to.
+         * @param {Object} chart The chart definition.
+         * @param {Object} metrics The metric comparisons.
+         */
+        renderChart: function(target, chart, metrics) {
+            const keys = chart.metrics.filter(key => metrics[key]);
+            if (!keys.length || !window.Chart) {
+                return;
+            }
+
+            const canvas = $('<canvas></canvas>').attr('role', 'img').attr('aria-label', `${chart.title} before and after`);
+            target.append($('<div class="status-sentry-impact-chart"></div>').append($('<h4></h4>').text(chart.title), $('<div></div>').append(canvas)));
+
+            const value = (key, phase) => {
+                const metric = this.getMetric(key);
+                return metric.bytes ? metrics[key][phase] / 1048576 : metrics[key][phase];
+            };
+
+            this.chartInstances.push(new Chart(canvas[0].getContext('2d'), {
+                type: 'bar',
+                data: {
+                    labels: keys.map(key => this.getMetric(key).label),
+                    datasets: [
+                        {
+                            label: 'Before',
+                            data: keys.map(key => value(key, 'before')),
+                            backgroundColor: 'rgba(133, 135, 150, 0.6)'
+                        },
+                        {
+                            label: 'After',
+                            data: keys.map(key => value(key, 'after')),
+                            backgroundColor: keys.map(key => metrics[key].diff > 0 ? 'rgba(231, 74, 59, 0.7)' : 'rgba(28, 200, 138, 0.7)')
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        y: { beginAtZero: true }
+                    },
+                    plugins: {
+                        legend: { position: 'bottom', labels: { boxWidth: 12 } }
+                    }
+                }
+            }));
+        },
+
+        /**
+         * Destroy the comparison charts.
+         */
+        destroyCharts: function() {
+            this.chartInstances.forEach(chart => chart.destroy());
+            this.chartInstances = [];
+        },
+
+        /**
+         * Get a metric definition.
+         *
+         * @param {string} key The metric key.
+         * @return {Object} The metric definition.
+         */
+        getMetric: function(key) {
+            return this.metrics.find(metric => metric.key === key) || { key: key, label: key, unit: '' };
+        },
+
+        /**
+         * Format a metric value.
+         *
+         * @param {Object} metric The metric definition.
+         * @param {number} value The raw value.
+         * @return {string} The formatted value with its unit.
+         */
+        formatValue: function(metric, value) {
+            const number = metric.bytes ? value / 1048576 : value;
+            const formatted = number.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+            return metric.unit ? `${formatted} ${metric.unit}` : formatted;
+        },
+
+        /**
+         * Describe a snapshot in a few words.
+         *
+         * @param {Object} snapshot The snapshot.
+         * @return {string} The description.
+         */
+        describeSnapshot: function(snapshot) {
+            const phase = snapshot.phase ? ` (${snapshot.phase})` : '';
+            return `${snapshot.label}${phase}, ${this.formatTime(snapshot.created_at)}`;
+        },
+
+        /**
+         * Format a UTC time in the browser's time zone.
+         *
+         * @param {string} time The time as 'YYYY-MM-DD HH:MM:SS' in UTC.
+         * @return {string} The local time.
+         */
+        formatTime: function(time) {
+            return new Date(time.replace(' ', 'T') + 'Z').toLocaleString();
+        },
+
+        /**
+         * Render an error notice.
+         *
+         * @param {jQuery} target The element to fill.
+         * @param {string} message The message.
+         */
+        renderNotice: function(target, message) {
+            target.html($('<div class="notice notice-error inline"></div>').append($('<p></p>').text(message)));
+        }
+    };
+
+    // Initialize the change impact page when the document is ready
+    $(document).ready(function() {
+        window.statusSentryChangeImpact.init();
+    });
+
+})(jQuery);
@@ -0,0 +1,713 @@
+/**
+ * Status Sentry Cron Monitor JavaScript
+ *
+ * This file handles the Cron Monitor page: the scheduler's tasks, a
+ * timeline of their runs, failed and stuck runs, missed schedules, and a
+ * drawer with each task's run history and recovery actions.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ */
+
+(function($) {
+    'use strict';
+
+    // Cron monitor app - make it globally accessible
+    window.statusSentryCron = {
+        /**
+         * Timeline ranges in seconds.
+         */
+        ranges: {
+            '6h': 6 * 3600,
+            '24h': 24 * 3600,
+            '7d': 7 * 24 * 3600
+        },
+
+        /**
+         * Run status labels.
+         */
+        statusLabels: {
+            running: 'Running',
+            complete: 'Complete',
+            failed: 'Failed',
+            skipped: 'Skipped'
+        },
+
+        /**
+         * Initialize the cron monitor.
+         */
+        init: function() {
+            this.container = $('#status-sentry-cron-app');
+            if (!this.container.length) {
+                return;
+            }
+
+            this.range = '24h';
+            this.tasks = [];
+            this.openTask = null;
+            this.recovery = { enabled: false, maxAttempts: 0, delay: 0 };
+
+            this.renderLayout();
+            this.setupEventHandlers();
+            this.refresh();
+        },
+
+        /**
+         * Render the page sections.
+         */
+        renderLayout: function() {
+            const rangePicker = $('<div class="status-sentry-cron-ranges" role="group" aria-label="Time range"></div>');
+            Object.keys(this.ranges).forEach((range) => {
+                rangePicker.append($('<button type="button" class="button button-small"></button>').attr('data-range', range).text(range));
+            });
+
+            this.container.empty().append(
+                $('<div class="status-sentry-cron-toolbar"></div>').append(
+                    $('<button type="button" class="button status-sentry-cron-refresh"></button>')
+                        .append('<span class="dashicons dashicons-update"></span> ')
+                        .append(document.createTextNode('Refresh'))
+                ),
+                $('<h2></h2>').text('Tasks'),
+                $('<div class="status-sentry-cron-tasks"></div>'),
+                $('<div class="status-sentry-cron-timeline-header"></div>').append($('<h2></h2>').text('Timeline'), rangePicker),
+                $('<div class="status-sentry-cron-timeline"></div>'),
+                $('<h2></h2>').text('Problems'),
+                $('<div class="status-sentry-cron-problems"></div>'),
+                $('<aside class="status-sentry-cron-drawer" tabindex="-1" hidden></aside>').attr('aria-label', 'Task details')
+            );
+
+            this.updateRangeButtons();
+        },
+
+        /**
+         * Set up event handlers.
+         */
+        setupEventHandlers: function() {
+            this.container.on('click', '.status-sentry-cron-refresh', () => this.refresh());
+
+            this.container.on('click', '.status-sentry-cron-ranges [data-range]', (e) => {
+                this.range = $(e.currentTarget).data('range');
+                this.updateRangeButtons();
+                this.fetchRuns();
+            });
+
+            this.container.on('click', '[data-task]', (e) => {
+                e.preventDefault();
+                this.openDrawer($(e.currentTarget).data('task'));
+            });
+
+            this.container.on('keydown', '.status-sentry-cron-bar[data-task]', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.openDrawer($(e.currentTarget).data('task'));
+                }
+            });
+
+            this.container.on('click', '.status-sentry-cron-drawer-close', () => this.closeDrawer());
+
+            this.container.on('click', '.status-sentry-cron-recover', (e) => {
+                if (window.confirm(`Reschedule "${this.openTask}" now? This counts as a recovery attempt.`)) {
+                    this.runAction('recover', $(e.currentTarget));
+                }
+            });
+
+            this.container.on('click', '.status-sentry-cron-reset', (e) => {
+                this.runAction('reset-attempts', $(e.currentTarget));
+            });
+
+            $(document).on('keydown', (e) => {
+                if (e.key === 'Escape' && this.openTask) {
+                    this.closeDrawer();
+                }
+            });
+        },
+
+        /**
+         * Reload the tasks, the timeline and the problems.
+         *
+         * @return {Promise} A promise that resolves when everything is rendered
+         */
+        refresh: function() {
+            const requests = [this.fetchTasks(), this.fetchRuns(), this.fetchProblems()];
+
+            if (this.openTask) {
+                requests.push(this.fetchTask(this.openTask));
+            }
+
+            return Promise.all(requests);
+        },
+
+        /**
+         * Fetch the scheduler's tasks from the REST API.
+         *
+         * @return {Promise} A promise that resolves when the tasks are rendered
+         */
+        fetchTasks: function() {
+            return statusSentry.api.get('cron/tasks', {}, { key: 'cron-tasks' }).then((response) => {
+                this.tasks = response.tasks || [];
+                this.recovery = {
+                    enabled: response.recovery_enabled,
+                    maxAttempts: response.max_recovery_attempts,
+                    delay: response.recovery_delay
+                };
+                this.renderTasks();
+
+                // The timeline has one row per task
+                if (this.runs) {
+                    this.renderTimeline();
+                }
+            }).catch((error) => {
+                if (!error.isAbort()) {
+                    this.renderNotice(this.container.find('.status-sentry-cron-tasks'), 'Failed to load the tasks. Please try again.');
+                }
+            });
+        },
+
+        /**
+         * Fetch the runs in the selected range from the REST API.
+         *
+         * @return {Promise} A promise that resolves when the timeline is rendered
+         */
+        fetchRuns: function() {
+            const to = new Date();
+            const from = new Date(to.getTime() - this.ranges[this.range] * 1000);
+
+            return statusSentry.api.get('cron/runs', {
+                from: this.formatUtc(from),
+                to: this.formatUtc(to)
+            }, { key: 'cron-runs' }).then((response) => {
+                this.runs = response;
+                this.renderTimeline();
+            }).catch((error) => {
+                if (!error.isAbort()) {
+                    this.renderNotice(this.container.find('.status-sentry-cron-timeline'), 'Failed to load the task runs. Please try again.');
+                }
+            });
+        },
+
+        /**
+         * Fetch failures, stuck runs and missed schedules from the REST API.
+         *
+         * @return {Promise} A promise that resolves when the problems are rendered
+         */
+        fetchProblems: function() {
+            return statusSentry.api.get('cron/problems', {}, { key: 'cron-problems' }).then((response) => {
+                this.renderProblems(response);
+            }).catch((error) => {
+                if (!error.isAbort()) {
+                    this.renderNotice(this.container.find('.status-sentry-cron-problems'), 'Failed to load cron problems. Please try again.');
+                }
+            });
+        },
+
+        /**
+         * Fetch a task with its run history from the REST API.
+         *
+         * @param {string} name The task name.
+         * @return {Promise} A promise that resolves when the drawer is rendered
+         */
+        fetchTask: function(name) {
+            return statusSentry.api.get('cron/tasks/' + encodeURIComponent(name), { limit: 50 }, { key: 'cron-task' }).then((task) => {
+                if (this.openTask === name) {
+                    this.renderDrawer(task);
+                }
+            }).catch((error) => {
+                if (!error.isAbort() && this.openTask === name) {
+                    this.renderNotice(this.container.find('.status-sentry-cron-drawer-body'), 'Failed to load the task. Please try again.');
+                }
+            });
+        },
+
+        /**
+         * Render the task table.
+         */
+        renderTasks: function() {
+            const target = this.container.find('.status-sentry-cron-tasks');
+
+            if (!this.tasks.length) {
+                target.html($('<p></p>').text('No scheduled tasks are registered.'));
+                return;
+            }
+
+            const table = $(`
+                <table class="widefat striped">
+                    <thead>
+                        <tr>
+                            <th>Task</th>
+                            <th>Tier</th>
+                            <th>Schedule</th>
+                            <th>Next run</th>
+                            <th>Last run</th>
+                            <th>Recovery attempts</th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            `);
+
+            this.tasks.forEach((task) => {
+                const nextRun = $('<td></td>').text(task.next_run ? this.formatTime(task.next_run) : 'Not scheduled');
+                if (task.is_missed) {
+                    nextRun.append(' ', $('<span class="status-sentry-cron-badge is-failed"></span>').text('Missed'));
+                }
+
+                const lastRun = $('<td></td>');
+                if (task.last_run) {
+                    lastRun.append(
+                        this.renderStatusBadge(task.last_run.status), ' ',
+                        document.createTextNode(this.formatTime(task.last_run.execution_time))
+                    );
+                } else {
+                    lastRun.text('Never');
+                }
+
+                const attempts = $('<td></td>').text(`${task.recovery_attempts} / ${this.recovery.maxAttempts}`);
+                if (task.recovery_attempts >= this.recovery.maxAttempts) {
+                    attempts.addClass('status-sentry-cron-exhausted');
+                }
+
+                table.find('tbody').append($('<tr></tr>').append(
+                    $('<td></td>').append(
+                        $('<a href="#"></a>').attr('data-task', task.name).text(task.name),
+                        $('<div class="description"></div>').append($('<code></code>').text(task.hook))
+                    ),
+                    $('<td></td>').text(task.tier),
+                    $('<td></td>').text(task.schedule_label),
+                    nextRun,
+                    lastRun,
+                    attempts
+                ));
+            });
+
+            target.empty().append(table);
+        },
+
+        /**
+         * Render the Gantt-style timeline of task runs.
+         *
+         * Each task gets a row; each run is a bar from its start to its
+         * completion, or to now while it is still running.
+         */
+        renderTimeline: function() {
+            const target = this.container.find('.status-sentry-cron-timeline');
+            const from = this.parseUtc(this.runs.from);
+            const to = this.parseUtc(this.runs.to);
+            const now = this.parseUtc(this.runs.now);
+            const span = to - from;
+
+            // Registered tasks first, then anything else the logger recorded
+            const rows = this.tasks.map(task => task.name);
+            this.runs.runs.forEach((run) => {
+                const name = run.task_name || run.hook;
+                if (rows.indexOf(name) === -1) {
+                    rows.push(name);
+                }
+            });
+
+            target.empty();
+
+            if (!rows.length) {
+                target.append($('<p></p>').text('No task runs in this range.'));
+                return;
+            }
+
+            const axis = $('<div class="status-sentry-cron-axis"></div>');
+            for (let i = 0; i <= 4; i++) {
+                axis.append($('<span></span>')
+                    .css('left', (i * 25) + '%')
+                    .text(this.formatTick(new Date(from + span * i / 4), span)));
+            }
+
+            const chart = $('<div class="status-sentry-cron-gantt"></div>').append(
+                $('<div class="status-sentry-cron-gantt-row is-axis"></div>').append($('<div class="status-sentry-cron-gantt-label"></div>'), axis)
+            );
+
+            rows.forEach((name) => {
+                const track = $('<div class="status-sentry-cron-gantt-track"></div>');
+                const isTask = this.tasks.some(task => task.name === name);
+
+                this.runs.runs.filter(run => (run.task_name || run.hook) === name).forEach((run) => {
+                    const start = Math.max(from, this.parseUtc(run.execution_time));
+                    const end = Math.min(to, run.completion_time ? this.parseUtc(run.completion_time) : now);
+
+                    const duration = run.duration !== null ? `${run.duration.toFixed(2)}s` : 'still running';
+                    const title = [
+                        `${this.statusLabels[run.status] || run.status}: ${this.formatTime(run.execution_time)}`,
+                        `Duration: ${duration}`,
+                        run.memory_used !== null ? `Memory: ${this.formatBytes(run.memory_used)}` : '',
+                        run.error_message ? `Error: ${run.error_message}` : ''
+                    ].filter(Boolean).join('\n');
+
+                    const bar = $('<span class="status-sentry-cron-bar"></span>')
+                        .addClass('is-' + run.status)
+                        .attr('title', title)
+                        .css({
+                            left: ((start - from) / span * 100) + '%',
+                            width: (Math.max(0, end - start) / span * 100) + '%'
+                        });
+
+                    if (isTask) {
+                        bar.attr('data-task', name).attr('role', 'button').attr('tabindex', 0);
+                    }
+
+                    track.append(bar);
+                });
+
+                const label = $('<div class="status-sentry-cron-gantt-label"></div>');
+                label.append(isTask ? $('<a href="#"></a>').attr('data-task', name).text(name) : $('<span></span>').text(name));
+
+                chart.append($('<div class="status-sentry-cron-gantt-row"></div>').append(label, track));
+            });
+
+            target.append(chart);
+
+            const legend = $('<p class="status-sentry-cron-legend"></p>');
+            Object.keys(this.statusLabels).forEach((status) => {
+                legend.append($('<span></span>').append($('<span class="status-sentry-cron-bar"></span>').addClass('is-' + status), ' ' + this.statusLabels[status]));
+            });
+            target.append(legend);
+
+            if (this.runs.truncated) {
+                target.append($('<p class="description"></p>').text('Only the most recent runs are shown. Choose a shorter range to see all of them.'));
+            }
+        },
+
+        /**
+         * Render failed runs, stuck runs and missed schedules.
+         *
+         * @param {Object} problems The problems returned by the REST API.
+         */
+        renderProblems: function(problems) {
+            const target = this.container.find('.status-sentry-cron-problems');
+            target.empty();
+
+            if (problems.cron_disabled) {
+                target.append($('<div class="notice notice-warning inline"></div>').append($('<p></p>').text(
+                    'DISABLE_WP_CRON is set, so scheduled events only run when a system cron job calls wp-cron.php.'
+                )));
+            }
+
+            const taskLink = (name, fallback) => name ?
+                $('<a href="#"></a>').attr('data-task', name).text(name) :
+                $('<code></code>').text(fallback);
+
+            target.append(this.renderProblemTable(
+                'Failed runs',
+                ['Task', 'Started', 'Duration', 'Error'],
+                problems.failures,
+                run => [
+                    taskLink(run.task_name, run.hook),
+                    this.formatTime(run.execution_time),
+                    run.duration !== null ? `${run.duration.toFixed(2)}s` : '',
+                    run.error_message || ''
+                ],
+                'No failed runs.'
+            ));
+
+            target.append(this.renderProblemTable(
+                'Stuck runs',
+                ['Task', 'Started', 'Running for'],
+                problems.stuck,
+                run => [
+                    taskLink(run.task_name, run.hook),
+                    this.formatTime(run.execution_time),
+                    this.formatDuration((Date.now() - this.parseUtc(run.execution_time)) / 1000)
+                ],
+                `No runs have been running for more than ${this.formatDuration(problems.stuck_threshold)}.`
+            ));
+
+            target.append(this.renderProblemTable(
+                'Missed schedules',
+                ['Hook', 'Scheduled for', 'Overdue by', 'Recurrence'],
+                problems.missed,
+                event => [
+                    event.task_name ? taskLink(event.task_name) : $('<code></code>').text(event.hook),
+                    this.formatTime(event.scheduled_time),
+                    this.formatDuration(event.overdue),
+                    event.schedule || 'Once'
+                ],
+                `No scheduled events are more than ${this.formatDuration(problems.missed_grace_period)} late.`
+            ));
+        },
+
+        /**
+         * Render one problem list.
+         *
+         * @param {string} title The list title.
+         * @param {Array} columns The column headings.
+         * @param {Array} items The items.
+         * @param {Function} cells Returns the cell contents of an item.
+         * @param {string} empty The message shown when there are no items.
+         * @return {jQuery} The list.
+         */
+        renderProblemTable: function(title, columns, items, cells, empty) {
+            const section = $('<div class="status-sentry-cron-problem"></div>').append(
+                $('<h3></h3>').text(`${title} (${items.length})`)
+            );
+
+            if (!items.length) {
+                return section.append($('<p class="description"></p>').text(empty));
+            }
+
+            const table = $('<table class="widefat striped"><thead><tr></tr></thead><tbody></tbody></table>');
+            columns.forEach(column => table.find('thead tr').append($('<th></th>').text(column)));
+
+            items.forEach((item) => {
+                const row = $('<tr></tr>');
+                cells(item).forEach((cell) => {
+                    row.append(typeof cell === 'string' ? $('<td></td>').text(cell) : $('<td></td>').append(cell));
+                });
+                table.find('tbody').append(row);
+            });
+
+            return section.append(table);
+        },
+
+        /**
+         * Open the detail drawer of a task.
+         *
+         * @param {string} name The task name.
+         */
+        openDrawer: function(name) {
+            this.openTask = name;
+
+            const drawer = this.container.find('.status-sentry-cron-drawer');
+            drawer.empty().append(
+                $('<div class="status-sentry-cron-drawer-header"></div>').append(
+                    $('<h2></h2>').text(name),
+                    $('<button type="button" class="button-link status-sentry-cron-drawer-close"></button>')
+                        .attr('aria-label', 'Close')
+                        .append('<span class="dashicons dashicons-no-alt"></span>')
+                ),
+                $('<div class="status-sentry-cron-drawer-body"></div>').append(
+                    $('<div class="status-sentry-loading"><span class="spinner is-active"></span></div>')
+                )
+            ).prop('hidden', false).trigger('focus');
+
+            this.fetchTask(name);
+        },
+
+        /**
+         * Close the detail drawer.
+         */
+        closeDrawer: function() {
+            const name = this.openTask;
+            this.openTask = null;
+            this.container.find('.status-sentry-cron-drawer').prop('hidden', true).empty();
+
+            // Return focus to the task the drawer was opened from
+            this.container.find('.status-sentry-cron-tasks [data-task]').filter((i, link) => $(link).data('task') === name).trigger('focus');
+        },
+
+        /**
+         * Render a task's details, actions and run history in the drawer.
+         *
+         * @param {Object} task The task with its runs.
+         */
+        renderDrawer: function(task) {
+            const body = this.container.find('.status-sentry-cron-drawer-body');
+            const exhausted = task.recovery_attempts >= this.recovery.maxAttempts;
+
+            const details = $('<dl class="status-sentry-cron-details"></dl>');
+            const addDetail = (term, value) => details.append($('<dt></dt>').text(term), $('<dd></dd>').append(value));
+
+            addDetail('Hook', $('<code></code>').text(task.hook));
+            addDetail('Tier', task.tier);
+            addDetail('Schedule', task.schedule_label);
+            addDetail('Next run', task.next_run ? this.formatTime(task.next_run) + (task.is_missed ? ' (missed)' : '') : 'Not scheduled');
+            addDetail('Depends on', task.dependencies.length ? task.dependencies.join(', ') : 'Nothing');
+            addDetail('Recovery attempts', `${task.recovery_attempts} of ${this.recovery.maxAttempts}` +
+                (exhausted ? '. The health checker no longer recovers this task.' : ''));
+
+            const actions = $('<div class="status-sentry-cron-actions"></div>').append(
+                $('<button type="button" class="button button-primary status-sentry-cron-recover"></button>')
+                    .text('Recover now')
+                    .prop('disabled', !this.recovery.enabled),
+                $('<button type="button" class="button status-sentry-cron-reset"></button>')
+                    .text('Reset attempts')
+                    .prop('disabled', !task.recovery_attempts),
+                $('<p class="description"></p>').text(this.recovery.enabled ?
+                    `Recovering clears the task's schedule and runs it again in ${this.formatDuration(this.recovery.delay)}.` :
+                    'Recovery is disabled in the health checker configuration.')
+            );
+
+            body.empty().append(details, actions, $('<h3></h3>').text('Run history'));
+
+            if (!task.runs.length) {
+                body.append($('<p></p>').text('This task has not run yet.'));
+                return;
+            }
+
+            const table = $(`
+                <table class="widefat striped">
+                    <thead>
+                        <tr>
+                            <th>Started</th>
+                            <th>Duration</th>
+                            <th>Status</th>
+                            <th>Memory</th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            `);
+
+            task.runs.forEach((run) => {
+                table.find('tbody').append($('<tr></tr>').append(
+                    $('<td></td>').text(this.formatTime(run.execution_time)),
+                    $('<td></td>').text(run.duration !== null ? `${run.duration.toFixed(2)}s` : ''),
+                    $('<td></td>').append(this.renderStatusBadge(run.status)),
+                    $('<td></td>').text(run.memory_used !== null ? this.formatBytes(run.memory_used) : '')
+                ));
+
+                if (run.error_message) {
+                    table.find('tbody').append($('<tr class="status-sentry-cron-error-row"></tr>').append(
+                        $('<td colspan="4"></td>').text(run.error_message)
+                    ));
+                }
+            });
+
+            body.append(table);
+        },
+
+        /**
+         * Run a recovery action on the open task.
+         *
+         * @param {string} action 'recover' or 'reset-attempts'.
+         * @param {jQuery} button The button that was clicked.
+         */
+        runAction: function(action, button) {
+            const name = this.openTask;
+            button.prop('disabled', true);
+
+            statusSentry.api.post(`cron/tasks/${encodeURIComponent(name)}/${action}`).then(() => {
+                return this.refresh();
+            }).catch((error) => {
+                button.prop('disabled', false);
+                window.alert(error.type === statusSentry.api.ApiError.CLIENT ?
+                    error.message :
+                    'The action failed. Check server logs for more information.');
+            });
+        },
+
+        /**
+         * Highlight the selected range button.
+         */
+        updateRangeButtons: function() {
+            this.container.find('.status-sentry-cron-ranges [data-range]').each((i, button) => {
+                $(button).toggleClass('button-primary', $(button).data('range') === this.range);
+            });
+        },
+
+        /**
+         * Create a status badge.
+         *
+         * @param {string} status The run status.
+         * @return {jQuery} The badge.
+         */
+        renderStatusBadge: function(status) {
+            return $('<span class="status-sentry-cron-badge"></span>')
+                .addClass('is-' + status)
+                .text(this.statusLabels[status] || status);
+        },
+
+        /**
+         * Parse a UTC "Y-m-d H:i:s" timestamp.
+         *
+         * @param {string} time The timestamp.
+         * @return {number} Milliseconds since the epoch.
+         */
+        parseUtc: function(time) {
+            return new Date(time.replace(' ', 'T') + 'Z').getTime();
+        },
+
+        /**
+         * Format a date as a UTC "Y-m-d H:i:s" timestamp.
+         *
+         * @param {Date} date The date.
+         * @return {string} The timestamp.
+         */
+        formatUtc: function(date) {
+            return date.toISOString().slice(0, 19).replace('T', ' ');
+        },
+
+        /**
+         * Format a UTC timestamp in the browser's locale.
+         *
+         * @param {string} time The UTC "Y-m-d H:i:s" timestamp.
+         * @return {string} The formatted time.
+         */
+        formatTime: function(time) {
+            return new Date(time.replace(' ', 'T') + 'Z').toLocaleString();
+        },
+
+        /**
+         * Format a timeline tick.
+         *
+         * @param {Date} date The tick time.
+         * @param {number} span The timeline span in milliseconds.
+         * @return {string} The label.
+         */
+        formatTick: function(date, span) {
+            return span > 2 * 24 * 3600 * 1000 ?
+                date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', hour: '2-digit' }) :
+                date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+        },
+
+        /**
+         * Format a duration in seconds.
+         *
+         * @param {number} seconds The duration.
+         * @return {string} The duration, e.g. "5 min" or "2 h 10 min".
+         */
+        formatDuration: function(seconds) {
+            seconds = Math.max(0, Math.round(seconds));
+
+            if (seconds < 60) {
+                return `${seconds} s`;
+            }
+
+            const minutes = Math.floor(seconds / 60);
+            if (minutes < 60) {
+                return `${minutes} min`;
+            }
+
+            const hours = Math.floor(minutes / 60);
+            if (hours < 48) {
+                return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+            }
+
+            return `${Math.floor(hours / 24)} days`;
+        },
+
+        /**
+         * Format a number of bytes.
+         *
+         * @param {number} bytes The number of bytes.
+         * @return {string} The size in KB or MB.
+         */
+        formatBytes: function(bytes) {
+            if (Math.abs(bytes) < 1024 * 1024) {
+                return `${(bytes / 1024).toFixed(1)} KB`;
+            }
+
+            return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        },
+
+        /**
+         * Render an error notice.
+         *
+         * @param {jQuery} target The element to fill.
+         * @param {string} message The message.
+         */
+        renderNotice: function(target, message) {
+            target.html($('<div class="notice notice-error inline"></div>').append($('<p></p>').text(message)));
+        }
+    };
+
+    // Initialize the cron monitor when the document is ready
+    $(document).ready(function() {
+        window.statusSentryCron.init();
+    });
+
+})(jQuery);
@@ -13,34 +13,84 @@
 
     // Dashboard app - make it globally accessible
     window.statusSentryDashboard = {
+        /**
+         * Chart colors for each event type.
+         */
+        eventTypeColors: {
+            info: 'rgba(54, 162, 235, 0.7)',
+            warning: 'rgba(255, 206, 86, 0.7)',
+            error: 'rgba(255, 99, 132, 0.7)',
+            critical: 'rgba(153, 51, 51, 0.7)',
+            performance: 'rgba(75, 192, 192, 0.7)',
+            security: 'rgba(153, 102, 255, 0.7)',
+            conflict: 'rgba(255, 159, 64, 0.7)',
+            health: 'rgba(102, 204, 102, 0.7)'
+        },
+
+        /**
+         * Dashboard sections that report where their data came from.
+         */
+        sections: {
+            overview: 'Overview',
+            charts: 'Charts',
+            health: 'System health',
+            recent: 'Recent events',
+            baselines: 'Baselines'
+        },
+
+        /**
+         * Local storage key prefix for last-known-good section data.
+         */
+        storagePrefix: 'status_sentry_dashboard_',
+
+        /**
+         * Registered widgets, keyed by type. See registerWidget().
+         */
+        widgets: {},
+
         /**
          * Initialize the dashboard.
          */
         init: function() {
             this.container = $('#status-sentry-dashboard-app');
 
-            // Set up error handling for global AJAX errors
-            $(document).ajaxError((event, jqXHR, settings, thrownError) => {
-                console.error('Global AJAX error:', thrownError);
-                console.error('Status code:', jqXHR.status);
-                console.error('URL:', settings.url);
-
-                // If this is a dashboard API call and it failed with a 500 error
-                if (settings.url.indexOf('status-sentry/v1/dashboard') !== -1 && jqXHR.status === 500) {
-                    // Show a user-friendly error message
-                    if (!this.errorShown) {
-                        this.container.html(`
-                            <div class="notice notice-error">
-                                <p><strong>Dashboard Error:</strong> There was a problem loading the dashboard data.</p>
-                                <p>Using fallback data to display the dashboard.</p>
-                            </div>
-                            <div id="status-sentry-dashboard-content"></div>
-                        `);
-                        this.container = $('#status-sentry-dashboard-content');
-                        this.errorShown = true;
-                    }
-                }
-            });
+            // Where each section's data came from
+            this.provenance = {};
+
+            // Keep the ages on cached and stored badges current
+            setInterval(() => {
+                Object.keys(this.provenance).forEach(section => this.renderProvenance(section));
+            }, 15000);
+
+            // Time range shown by the timeline and event type charts
+            this.timeRange = { range: '7d' };
+            this.zoomStack = [];
+            this.drillDown = null;
+
+            // Baseline rows whose history is shown, keyed by metric and context
+            this.expandedBaselines = new Set();
+
+            // Conflict status shown in the conflicts panel
+            this.conflictStatus = 'open';
+
+            // Whether the dismissed and snoozed recommendations are shown
+            this.dismissedRecommendationsOpen = false;
+
+            // Timeline charts, keyed by widget instance ID
+            this.timelineCharts = {};
+
+            // Live load samples, chart and polling timer of the resource panel
+            this.resourceLoad = null;
+
+            // Queue counts and the page of failed events shown in the queue panel
+            this.queueCounts = null;
+            this.queueFailedPage = 1;
+
+            // Whether widgets can be moved, resized, hidden and added
+            this.customizing = false;
+
+            // Widget instances in dashboard order
+            this.loadLayout();
 
             this.fetchData();
             this.setupRefresh();
@@ -48,840 +98,3943 @@
         },
 
         /**
-         * Set up automatic refresh.
+         * Set up live updates.
+         *
+         * Opens a Server-Sent Events stream when the browser supports it and
+         * falls back to long-polling the same endpoint. If neither transport
+         * can be established, the full 10 second refresh is used until
+         * streaming can be resumed.
          */
         setupRefresh: function() {
-            // Refresh dashboard data every 10 seconds with force_refresh=true
-            setInterval(() => {
-                this.fetchData(true);
-            }, 10000);
+            this.streamCursor = null;
+            this.streamFailures = 0;
+            this.streamRetries = 0;
+            this.pollingTimer = null;
+
+            this.openStream();
         },
 
         /**
-         * Set up event handlers.
+         * Open the best live update transport the browser supports.
          */
-        setupEventHandlers: function() {
-            // Set up baselines refresh button click handler
-            $(document).on('click', '#status-sentry-refresh-baselines', (e) => {
-                e.preventDefault();
+        openStream: function() {
+            if (window.EventSource) {
+                this.openEventStream();
+            } else {
+                this.startLongPoll();
+            }
+        },
 
-                // Add spinning class to the refresh icon
-                const button = $(e.currentTarget);
-                button.addClass('refreshing').prop('disabled', true);
-                button.find('.dashicons').addClass('dashicons-update-spin');
+        /**
+         * Get the URL of the dashboard stream endpoint.
+         *
+         * @param {Object} params Query parameters to add to the URL.
+         * @return {string} The stream URL.
+         */
+        getStreamUrl: function(params) {
+            // URL handles both pretty permalinks and ?rest_route= style REST URLs
+            const url = new URL(statusSentry.api.url('dashboard/stream'), window.location.href);
 
-                // Fetch baseline data with force_refresh=true and manual_refresh=true
-                this.fetchBaselinesData(true, true).then(() => {
-                    // Remove spinning class after refresh completes
-                    setTimeout(() => {
-                        button.removeClass('refreshing').prop('disabled', false);
-                        button.find('.dashicons').removeClass('dashicons-update-spin');
-                    }, 500);
-                });
-            });
+            for (const [key, value] of Object.entries(params)) {
+                if (value !== null && value !== undefined) {
+                    url.searchParams.set(key, value);
+                }
+            }
 
-            // Set up dashboard refresh button click handler
-            $(document).on('click', '#status-sentry-refresh-dashboard', (e) => {
-                e.preventDefault();
+            return url.toString();
+        },
 
-                // Add spinning class to the refresh icon
-                const button = $(e.currentTarget);
-                button.addClass('refreshing').prop('disabled', true);
-                button.find('.dashicons').addClass('dashicons-update-spin');
+        /**
+         * Open a Server-Sent Events stream of dashboard changes.
+         */
+        openEventStream: function() {
+            let opened = false;
+
+            // EventSource cannot send headers, so the REST nonce goes in the query string
+            const source = new EventSource(this.getStreamUrl({
+                transport: 'sse',
+                cursor: this.streamCursor,
+                _wpnonce: statusSentry.restNonce
+            }));
+            this.eventSource = source;
+
+            source.addEventListener('ready', (e) => {
+                opened = true;
+                this.streamFailures = 0;
+                this.stopPolling();
+
+                const payload = JSON.parse(e.data);
+                if (this.streamCursor === null) {
+                    this.streamCursor = payload.cursor;
+                }
 
-                // Update last refreshed time
-                $('.status-sentry-last-refresh').text('Last refreshed: Just now');
+                this.setLiveStatus('live');
+            });
 
-                // Force a complete refresh of all dashboard data with cache busting
-                this.forceRefreshAllData().then(() => {
-                    // Remove spinning class after refresh completes
-                    setTimeout(() => {
-                        button.removeClass('refreshing').prop('disabled', false);
-                        button.find('.dashicons').removeClass('dashicons-update-spin');
-                    }, 500);
-                });
+            source.addEventListener('changes', (e) => {
+                this.applyStreamChanges(JSON.parse(e.data));
             });
+
+            source.onerror = () => {
+                // The server closes the stream periodically and EventSource reconnects
+                // by itself, so only give up if the stream never opened or was rejected
+                if (!opened || source.readyState === EventSource.CLOSED) {
+                    source.close();
+                    this.eventSource = null;
+                    this.startLongPoll();
+                    return;
+                }
+
+                this.setLiveStatus('reconnecting');
+            };
         },
 
         /**
-         * Force refresh all dashboard data with cache busting.
-         *
-         * @return {Promise} A promise that resolves when all data is refreshed
+         * Long-poll the stream endpoint for dashboard changes.
          */
-        forceRefreshAllData: function() {
-            // Generate a unique timestamp for cache busting
-            const timestamp = Date.now();
+        startLongPoll: function() {
+            this.setLiveStatus('long-poll');
 
-            // Show a loading overlay
-            this.container.append('<div class="status-sentry-loading-overlay"><div class="spinner is-active"></div><p>Refreshing all dashboard data...</p></div>');
+            const poll = () => {
+                const params = { transport: 'poll', wait: 20 };
+                if (this.streamCursor !== null) {
+                    params.cursor = this.streamCursor;
+                }
 
-            // Clear any existing caches in PHP and browser
-            return new Promise((resolve) => {
-                // First, call a special endpoint to clear server-side caches
-                $.ajax({
-                    url: statusSentry.restUrl + 'clear-cache',
-                    method: 'POST',
-                    timeout: 5000,
-                    data: { _wpnonce: statusSentry.restNonce },
-                    beforeSend: function(xhr) {
-                        xhr.setRequestHeader('X-WP-Nonce', statusSentry.restNonce);
-                    },
-                    complete: () => {
-                        // Now fetch all data with force refresh
-                        this.fetchData(true);
-
-                        // Remove the loading overlay after a short delay
-                        setTimeout(() => {
-                            $('.status-sentry-loading-overlay').fadeOut(function() {
-                                $(this).remove();
-                            });
-                            resolve();
-                        }, 1000);
+                statusSentry.api.get('dashboard/stream', params, {
+                    key: 'dashboard-stream',
+                    timeout: 35000,
+                    retries: 0
+                }).then((changes) => {
+                    this.streamFailures = 0;
+                    this.stopPolling();
+                    this.applyStreamChanges(changes);
+                    poll();
+                }).catch((error) => {
+                    if (error.isAbort()) {
+                        return;
+                    }
+
+                    this.logError('Error long-polling dashboard changes:', error.message);
+                    this.streamFailures++;
+
+                    if (this.streamFailures >= 3) {
+                        this.startPolling();
+                        return;
                     }
+
+                    setTimeout(poll, 5000 * this.streamFailures);
                 });
-            });
+            };
+
+            poll();
         },
 
         /**
-         * Fetch baseline data from the REST API.
+         * Fall back to refreshing all dashboard data on an interval.
          *
-         * @param {boolean} forceFresh - Whether to force fresh data
-         * @param {boolean} manualRefresh - Whether this is a manual refresh from the UI button
-         * @return {Promise} A promise that resolves when the data is fetched
+         * Streaming is retried with a growing delay, from 30 seconds up to
+         * 5 minutes, and the interval is stopped once it connects again.
          */
-        fetchBaselinesData: function(forceFresh, manualRefresh = false) {
-            const self = this;
-            const timestamp = Date.now();
+        startPolling: function() {
+            this.setLiveStatus('polling');
+
+            if (this.pollingTimer === null) {
+                // Refresh dashboard data every 10 seconds with force_refresh=true
+                this.pollingTimer = setInterval(() => {
+                    this.fetchData(true);
+                }, 10000);
+            }
 
-            return new Promise((resolve) => {
-                $.ajax({
-                    url: statusSentry.restUrl + 'baselines',
-                    method: 'GET',
-                    timeout: 10000, // 10 second timeout
-                    data: forceFresh ? {
-                        force_refresh: 'true',
-                        manual_refresh: manualRefresh ? 'true' : 'false',
-                        _: timestamp
-                    } : { force_refresh: 'true' },
-                    cache: false,
-                    beforeSend: function(xhr) {
-                        xhr.setRequestHeader('X-WP-Nonce', statusSentry.restNonce);
-                        // Add cache-busting headers
-                        xhr.setRequestHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-                        xhr.setRequestHeader('Pragma', 'no-cache');
-                        xhr.setRequestHeader('Expires', '0');
-                    },
-                    success: function(response) {
-                        console.log('Baselines data received');
-                        self.renderBaselines(response);
-                        resolve(response);
-                    },
-                    error: function(error) {
-                        console.error('Error fetching baseline data:', error);
-                        console.error('Status code:', error.status);
-                        console.error('Error message:', error.statusText);
-
-                        // Use fallback data
-                        self.renderBaselines({
-                            baselines: self.generateFallbackBaselines()
-                        });
-                        resolve(null);
-                    }
-                });
-            });
+            const delay = Math.min(30000 * Math.pow(2, this.streamRetries), 300000);
+            this.streamRetries++;
+
+            setTimeout(() => {
+                this.streamFailures = 0;
+                this.openStream();
+            }, delay);
         },
 
         /**
-         * Fetch dashboard data from the REST API.
+         * Stop the interval refresh after streaming has resumed.
+         */
+        stopPolling: function() {
+            if (this.pollingTimer !== null) {
+                clearInterval(this.pollingTimer);
+                this.pollingTimer = null;
+            }
+
+            this.streamRetries = 0;
+        },
+
+        /**
+         * Show which live update transport is in use.
          *
-         * @param {boolean} forceFresh - Whether to force fresh data by adding a timestamp parameter
+         * @param {string} status One of live, reconnecting, long-poll or polling.
          */
-        fetchData: function(forceFresh) {
-            const self = this;
+        setLiveStatus: function(status) {
+            this.liveStatus = status;
+
+            const labels = {
+                live: 'Live',
+                reconnecting: 'Reconnecting…',
+                'long-poll': 'Live (long-polling)',
+                polling: 'Auto-refresh every 10s'
+            };
 
-            // Disable jQuery caching for all AJAX requests to ensure fresh data
-            $.ajaxSetup({
-                cache: false,
-                // Add cache-busting headers to all AJAX requests
-                beforeSend: function(xhr) {
-                    xhr.setRequestHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-                    xhr.setRequestHeader('Pragma', 'no-cache');
-                    xhr.setRequestHeader('Expires', '0');
-                }
-            });
+            $('.status-sentry-live-status')
+                .attr('class', 'status-sentry-live-status status-sentry-live-' + status)
+                .text(labels[status] || '');
+        },
 
-            // Generate a timestamp for cache busting
-            const timestamp = Date.now();
+        /**
+         * Apply streamed changes to the rendered dashboard.
+         *
+         * Only the new events and the counter deltas they cause are applied,
+         * so charts and tables are updated in place instead of re-rendered.
+         *
+         * @param {Object} changes The changes returned by the stream endpoint.
+         */
+        applyStreamChanges: function(changes) {
+            if (!changes) {
+                return;
+            }
 
-            // Clear any existing transient timeouts
-            if (this.dataTimeout) {
-                clearTimeout(this.dataTimeout);
+            if (changes.cursor !== undefined && changes.cursor !== null) {
+                this.streamCursor = changes.cursor;
             }
 
-            // Show loading state if first load
-            if (!this.container.hasClass('loaded')) {
-                this.container.html('<div class="status-sentry-loading"><span class="spinner is-active"></span><p>Loading dashboard data...</p></div>');
+            // Nothing to apply yet, or the dashboard has not been rendered
+            if (!changes.events || changes.events.length === 0 || !this.container.hasClass('loaded')) {
+                return;
             }
 
-            // If forcing fresh data, show a loading indicator
-            if (forceFresh) {
-                this.container.append('<div class="status-sentry-refreshing"><span class="spinner is-active"></span><p>Refreshing dashboard data...</p></div>');
+            const counters = changes.counters || {};
 
-                // Remove the loading indicator after 2 seconds
-                setTimeout(function() {
-                    $('.status-sentry-refreshing').fadeOut(function() {
-                        $(this).remove();
-                    });
-                }, 2000);
+            // Deltas only make sense on top of data loaded from the server
+            if (this.isSectionCurrent('overview')) {
+                this.applyKPIDeltas(counters.features || {}, changes.resource_status);
             }
 
-            // Log REST API URL for debugging
-            console.log('Status Sentry REST API URL:', statusSentry.restUrl);
-            console.log('Status Sentry REST Nonce:', statusSentry.restNonce ? 'Available' : 'Missing');
-            console.log('Status Sentry Dashboard Data Endpoint:', statusSentry.dashboardDataEndpoint);
+            // Zoomed and custom ranges end in the past, so new events are outside them
+            if (this.isTimelineLive() && this.isSectionCurrent('charts')) {
+                this.applyEventTypeDeltas(counters.event_types || {});
+                this.applyTimelineEvents(changes.events);
+            }
 
-            // Set a timeout to ensure we show something even if all AJAX calls fail
-            this.dataTimeout = setTimeout(() => {
-                if (!this.container.hasClass('loaded')) {
-                    console.log('Data fetch timeout - using fallback data');
-                    // Use fallback data for all sections
-                    this.renderDashboard();
-                    this.renderOverview({
-                        event_counts: {
-                            core_monitoring: 0,
-                            db_monitoring: 0,
-                            conflict_detection: 0,
-                            performance_monitoring: 0
-                        },
-                        resource_status: {
-                            memory_usage_percent: 45,
-                            cpu_load: 30
-                        },
-                        recommendations: [
-                            {
-                                type: 'warning',
-                                message: 'Could not load live data. Using fallback data.',
-                                action: 'Check server logs for more information.'
-                            }
-                        ]
-                    });
-                    // Trends rendering removed
-                }
-            }, 5000); // 5 second timeout
+            // Keep a drilled-down selection in the recent events table
+            if (!this.drillDown && this.isSectionCurrent('recent')) {
+                this.prependRecentEvents(changes.events);
+            }
 
-            // Fetch dashboard data from the new unified endpoint
-            $.ajax({
-                url: statusSentry.dashboardDataEndpoint,
-                method: 'GET',
-                timeout: 10000, // 10 second timeout
-                data: { bypass_cache: forceFresh ? 'true' : 'false', _: timestamp },
-                cache: false,
-                beforeSend: function(xhr) {
-                    xhr.setRequestHeader('X-WP-Nonce', statusSentry.restNonce);
-                    // Add cache-busting headers
-                    xhr.setRequestHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-                    xhr.setRequestHeader('Pragma', 'no-cache');
-                    xhr.setRequestHeader('Expires', '0');
-                },
-                success: function(response) {
-                    console.log('Dashboard data received:', response);
+            if (changes.events.some(event => event.event_type === 'conflict')) {
+                this.fetchConflicts();
+            }
 
-                    // Render the dashboard layout
-                    self.renderDashboard();
+            $('.status-sentry-last-refresh').text('Last refreshed: Just now');
+        },
 
-                    // Render the charts
-                    if (response.eventTypes) {
-                        self.renderEventTypeChart('eventTypeChart', response.eventTypes);
-                    }
+        /**
+         * Add feature count deltas to the KPI cards.
+         *
+         * @param {Object} deltas Event count deltas keyed by feature.
+         * @param {Object} resourceStatus The latest resource status, if any.
+         */
+        applyKPIDeltas: function(deltas, resourceStatus) {
+            // The KPI cards need a full overview to add the deltas to
+            if (!this.lastKnownEventCounts) {
+                return;
+            }
 
-                    if (response.timeline) {
-                        self.renderEventTimelineChart('eventTimelineChart', response.timeline);
-                    }
+            const counts = Object.assign({}, this.lastKnownEventCounts);
+            for (const [feature, delta] of Object.entries(deltas)) {
+                counts[feature] = (counts[feature] || 0) + delta;
+            }
 
-                    if (response.health) {
-                        self.renderSystemHealth('#status-sentry-system-health', response.health);
-                    }
+            this.lastKnownEventCounts = counts;
+            if (resourceStatus) {
+                this.lastKnownResourceStatus = resourceStatus;
+            }
 
-                    clearTimeout(self.dataTimeout); // Clear the timeout if we got data
-                },
-                error: function(error) {
-                    console.error('Error fetching dashboard data:', error);
-                    console.error('Status code:', error.status);
-                    console.error('Error message:', error.statusText);
-                    console.error('Response text:', error.responseText);
-
-                    // Render the dashboard with fallback data
-                    self.renderDashboard();
-
-                    // Render fallback charts
-                    self.renderEventTypeChart('eventTypeChart', {
-                        info: 2,
-                        warning: 1,
-                        error: 0,
-                        critical: 0,
-                        performance: 1,
-                        security: 0,
-                        conflict: 0,
-                        health: 1
-                    });
+            this.renderKPICards(counts, this.lastKnownResourceStatus || {});
+        },
 
-                    self.renderEventTimelineChart('eventTimelineChart', self.generateDummyTimelineData());
-
-                    self.renderSystemHealth('#status-sentry-system-health', {
-                        php_version: '7.4',
-                        php_status: 'warning',
-                        wp_version: '6.0',
-                        wp_status: 'good',
-                        memory_limit: '128M',
-                        memory_usage: '64MB',
-                        memory_usage_percent: 50,
-                        memory_status: 'good',
-                        status: 'warning'
-                    });
+        /**
+         * Add event type count deltas to the event type chart.
+         *
+         * @param {Object} deltas Event count deltas keyed by event type.
+         */
+        applyEventTypeDeltas: function(deltas) {
+            const chart = this.eventTypeChart;
+            if (!chart) {
+                return;
+            }
+
+            const labels = chart.data.labels;
+            const dataset = chart.data.datasets[0];
+
+            for (const [type, delta] of Object.entries(deltas)) {
+                if (!delta) {
+                    continue;
                 }
-            });
 
-            // Fetch overview data - always bypass cache
-            $.ajax({
-                url: statusSentry.restUrl + 'overview',
-                method: 'GET',
-                timeout: 10000, // 10 second timeout
-                data: { bypass_cache: 'true', _: timestamp },
-                cache: false,
-                beforeSend: function(xhr) {
-                    xhr.setRequestHeader('X-WP-Nonce', statusSentry.restNonce);
-                    // Add cache-busting headers
-                    xhr.setRequestHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-                    xhr.setRequestHeader('Pragma', 'no-cache');
-                    xhr.setRequestHeader('Expires', '0');
-                },
-                success: function(response) {
-                    console.log('Overview data received:', response);
-                    self.renderOverview(response);
-                    clearTimeout(self.dataTimeout); // Clear the timeout if we got data
-                },
-                error: function(error) {
-                    console.error('Error fetching overview data:', error);
-                    console.error('Status code:', error.status);
-                    console.error('Error message:', error.statusText);
-                    console.error('Response text:', error.responseText);
-                    self.renderError('overview');
-                }
-            });
-
-            // Trends data fetch removed
-
-            // Fetch recent events
-            $.ajax({
-                url: statusSentry.restUrl + 'recent',
-                method: 'GET',
-                timeout: 10000, // 10 second timeout
-                data: forceFresh ? { _: timestamp } : {},
-                cache: false,
-                beforeSend: function(xhr) {
-                    xhr.setRequestHeader('X-WP-Nonce', statusSentry.restNonce);
-                    // Add cache-busting headers
-                    xhr.setRequestHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-                    xhr.setRequestHeader('Pragma', 'no-cache');
-                    xhr.setRequestHeader('Expires', '0');
-                },
-                success: function(response) {
-                    console.log('Recent events data received');
-                    self.renderRecentEvents(response);
-                },
-                error: function(error) {
-                    console.error('Error fetching recent events:', error);
-                    console.error('Status code:', error.status);
-                    console.error('Error message:', error.statusText);
-
-                    // Use fallback data
-                    self.renderRecentEvents({
-                        events: self.generateFallbackEvents()
-                    });
+                // Replace the placeholder shown when there were no events
+                const placeholder = labels.indexOf('No Events');
+                if (placeholder !== -1) {
+                    labels.splice(placeholder, 1);
+                    dataset.data.splice(placeholder, 1);
+                    dataset.backgroundColor.splice(placeholder, 1);
                 }
-            });
 
-            // Fetch baseline data using our dedicated method
-            this.fetchBaselinesData(forceFresh);
+                const label = type.charAt(0).toUpperCase() + type.slice(1);
+                const index = labels.indexOf(label);
+
+                if (index === -1) {
+                    labels.push(label);
+                    dataset.data.push(delta);
+                    dataset.backgroundColor.push(this.eventTypeColors[type] || 'rgba(128, 128, 128, 0.7)');
+                } else {
+                    dataset.data[index] += delta;
+                }
+            }
+
+            chart.update();
         },
 
         /**
-         * Render event type distribution chart.
+         * Add new events to the event timeline charts.
          *
-         * @param {string} canvasId - The ID of the canvas element.
-         * @param {Object} eventTypes - The event type counts.
+         * @param {Array} events The new events, oldest first.
          */
-        renderEventTypeChart: function(canvasId, eventTypes) {
-            const canvas = document.getElementById(canvasId);
-            if (!canvas || !window.Chart) {
-                console.error('Canvas element or Chart.js not found');
+        applyTimelineEvents: function(events) {
+            const timeline = this.timeline;
+            const charts = Object.values(this.timelineCharts);
+            if (!timeline || !timeline.buckets) {
                 return;
             }
 
-            // Prepare data for the chart
-            const labels = [];
-            const data = [];
-            const backgroundColors = [];
+            // Keep the shared timeline current too, for charts rendered from it later
+            const targets = [timeline].concat(charts.map(chart => chart.data));
+            const seconds = timeline.bucket_seconds;
 
-            // Define colors for each event type
-            const colors = {
-                info: 'rgba(54, 162, 235, 0.7)',
-                warning: 'rgba(255, 206, 86, 0.7)',
-                error: 'rgba(255, 99, 132, 0.7)',
-                critical: 'rgba(153, 51, 51, 0.7)',
-                performance: 'rgba(75, 192, 192, 0.7)',
-                security: 'rgba(153, 102, 255, 0.7)',
-                conflict: 'rgba(255, 159, 64, 0.7)',
-                health: 'rgba(102, 204, 102, 0.7)'
-            };
+            events.forEach(event => {
+                const time = this.parseUtcTime(event.event_time);
+                if (time === null) {
+                    return;
+                }
 
-            // Process event types
-            for (const [type, count] of Object.entries(eventTypes)) {
-                if (count > 0) {
-                    labels.push(type.charAt(0).toUpperCase() + type.slice(1));
-                    data.push(count);
-                    backgroundColors.push(colors[type] || 'rgba(128, 128, 128, 0.7)');
+                const start = time - (time % seconds);
+                let index = timeline.buckets.map(bucket => this.parseUtcTime(bucket)).indexOf(start);
+
+                // A new bucket has started since the chart was rendered
+                const last = this.parseUtcTime(timeline.buckets[timeline.buckets.length - 1]);
+                if (index === -1 && start > last) {
+                    for (let next = last + seconds; next <= start; next += seconds) {
+                        timeline.buckets.push(this.formatUtcTime(next));
+                        timeline.buckets.shift();
+                        targets.forEach(target => {
+                            target.labels.push(this.formatBucketLabel(next, seconds));
+                            target.labels.shift();
+                            target.datasets.forEach(dataset => {
+                                dataset.data.push(0);
+                                dataset.data.shift();
+                            });
+                        });
+                    }
+                    index = timeline.buckets.length - 1;
                 }
-            }
 
-            // If no data, add a placeholder
-            if (data.length === 0) {
-                labels.push('No Events');
-                data.push(1);
-                backgroundColors.push('rgba(200, 200, 200, 0.7)');
-            }
+                const label = event.event_type.charAt(0).toUpperCase() + event.event_type.slice(1);
 
-            // Create the chart
-            const ctx = canvas.getContext('2d');
+                targets.forEach(target => {
+                    const dataset = target.datasets.find(item => item.label === label);
 
-            // Destroy existing chart if it exists
-            if (this.eventTypeChart) {
-                this.eventTypeChart.destroy();
-            }
+                    if (index !== -1 && dataset) {
+                        dataset.data[index] += 1;
+                    }
+                });
+            });
 
-            this.eventTypeChart = new Chart(ctx, {
-                type: 'doughnut',
-                data: {
-                    labels: labels,
-                    datasets: [{
-                        data: data,
-                        backgroundColor: backgroundColors,
-                        borderWidth: 1
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: {
-                            position: 'right',
-                            labels: {
-                                boxWidth: 12,
-                                padding: 10
-                            }
-                        },
-                        tooltip: {
-                            callbacks: {
-                                label: function(context) {
-                                    const label = context.label || '';
-                                    const value = context.raw || 0;
-                                    return `${label}: ${value}`;
-                                }
-                            }
-                        }
-                    },
-                    layout: {
-                        padding: {
-                            top: 10,
-                            right: 10,
-                            bottom: 10,
-                            left: 10
-                        }
+            charts.forEach(chart => chart.update());
+        },
+
+        /**
+         * Prepend new events to the recent events table.
+         *
+         * @param {Array} events The new events, oldest first.
+         */
+        prependRecentEvents: function(events) {
+            const table = this.container.find('.status-sentry-events-table table');
+
+            // The empty state has no table to prepend to, so render one
+            if (!table.length) {
+                this.renderRecentEvents({ events: events.slice().reverse().slice(0, 10) });
+                return;
+            }
+
+            const body = table.find('tbody');
+            events.forEach(event => {
+                body.prepend(this.createRecentEventRow(event).addClass('status-sentry-new-event'));
+            });
+
+            // Keep the table at the same size as a full render
+            body.find('tr').slice(10).remove();
+
+            this.filterRecentEvents($('#status-sentry-event-type-filter').val() || 'all');
+        },
+
+        /**
+         * Set up event handlers.
+         */
+        setupEventHandlers: function() {
+            // Conflicts panel
+            $(document).on('change', '#status-sentry-conflict-status', (e) => {
+                this.conflictStatus = $(e.currentTarget).val();
+                this.fetchConflicts();
+            });
+
+            $(document).on('click', '.status-sentry-conflict-actions [data-status]', (e) => {
+                const button = $(e.currentTarget);
+                this.setConflictStatus(button.closest('.status-sentry-conflict').data('id'), button.data('status'), button);
+            });
+
+            // Resource panel
+            $(document).on('input', '.status-sentry-resources-form input', (e) => {
+                this.updateResourceForm($(e.currentTarget).closest('form'));
+            });
+
+            $(document).on('submit', '.status-sentry-resources-form', (e) => {
+                e.preventDefault();
+                this.saveResourceConfig($(e.currentTarget));
+            });
+
+            $(document).on('click', '.status-sentry-resources-revert', (e) => {
+                e.preventDefault();
+
+                const form = $(e.currentTarget).closest('form');
+                form.find('input[data-original]').each((index, input) => {
+                    input.value = input.getAttribute('data-original');
+                });
+                this.updateResourceForm(form);
+            });
+
+            // Queue panel actions
+            $(document).on('click', '.status-sentry-queue-process', (e) => {
+                e.preventDefault();
+                this.runQueueAction('process', { batch_size: 100 });
+            });
+
+            $(document).on('click', '.status-sentry-queue-retry-all', (e) => {
+                e.preventDefault();
+
+                if (window.confirm('Queue all failed events to be processed again?')) {
+                    this.runQueueAction('retry', {});
+                }
+            });
+
+            $(document).on('click', '.status-sentry-queue-retry-one', (e) => {
+                e.preventDefault();
+                this.runQueueAction('retry', { ids: [$(e.currentTarget).data('id')] });
+            });
+
+            $(document).on('change', '.status-sentry-queue-purge select', () => this.updateQueueButtons());
+
+            $(document).on('submit', '.status-sentry-queue-purge', (e) => {
+                e.preventDefault();
+
+                const form = $(e.currentTarget);
+                const status = form.find('[name="queue_purge_status"]').val();
+                const age = form.find('[name="queue_purge_age"] option:selected');
+
+                if (window.confirm(`Delete ${status} events queued more than ${age.text()} ago? This can't be undone.`)) {
+                    this.runQueueAction('purge', { status: status, age: parseInt(age.val(), 10) });
+                }
+            });
+
+            $(document).on('click', '[data-queue-page]', (e) => {
+                e.preventDefault();
+                this.queueFailedPage = parseInt($(e.currentTarget).attr('data-queue-page'), 10);
+                this.fetchQueueFailed().catch((error) => {
+                    if (!error.isAbort()) {
+                        window.alert('The failed events could not be loaded. ' + this.describeError(error));
                     }
+                });
+            });
+
+            // Cache inspector actions
+            $(document).on('click', '.status-sentry-cache-purge', (e) => {
+                e.preventDefault();
+
+                const group = String($(e.currentTarget).data('group'));
+                if (window.confirm(`Purge all entries of the "${group}" cache group?`)) {
+                    this.runCacheAction(group);
+                }
+            });
+
+            $(document).on('click', '.status-sentry-cache-cleanup', (e) => {
+                e.preventDefault();
+                this.runCacheAction(null);
+            });
+
+            // Customizing the widget layout
+            $(document).on('click', '#status-sentry-customize-dashboard', (e) => {
+                e.preventDefault();
+                this.toggleCustomize();
+            });
+
+            $(document).on('click', '.status-sentry-widget-controls [data-widget-action]', (e) => {
+                const button = $(e.currentTarget);
+                const id = button.closest('.status-sentry-widget').attr('data-widget-id');
+
+                switch (button.data('widget-action')) {
+                    case 'move':
+                        this.moveWidget(id, button.data('offset'));
+                        break;
+
+                    case 'toggle':
+                        this.toggleWidget(id);
+                        break;
+
+                    case 'remove':
+                        this.removeWidget(id);
+                        break;
+                }
+            });
+
+            $(document).on('change', '.status-sentry-widget-controls select', (e) => {
+                const select = $(e.currentTarget);
+                const id = select.closest('.status-sentry-widget').attr('data-widget-id');
+
+                if (select.is('[data-widget-setting="size"]')) {
+                    this.resizeWidget(id, select.val());
+                } else {
+                    this.setWidgetOption(id, select.attr('data-widget-option'), select.val());
+                }
+            });
+
+            $(document).on('change', '.status-sentry-add-widget', (e) => {
+                const select = $(e.currentTarget);
+                this.addWidget(select.val());
+                select.val('');
+            });
+
+            $(document).on('click', '.status-sentry-reset-layout', (e) => {
+                e.preventDefault();
+                this.resetLayout();
+            });
+
+            // Recommendations
+            $(document).on('click', '.status-sentry-recommendation [data-recommendation-action]', (e) => {
+                this.updateRecommendation($(e.currentTarget));
+            });
+
+            $(document).on('click', '.status-sentry-recommendations-dismissed > summary', (e) => {
+                // Keep the list open across refreshes; the click toggles it after this runs
+                this.dismissedRecommendationsOpen = !$(e.currentTarget).parent().prop('open');
+            });
+
+            // Baseline history
+            $(document).on('click', '.status-sentry-baseline-toggle', (e) => {
+                this.toggleBaseline($(e.currentTarget).closest('tr'));
+            });
+
+            // Time range picker
+            $(document).on('click', '.status-sentry-range-picker [data-range]', (e) => {
+                const range = $(e.currentTarget).data('range');
+
+                if (range === 'custom') {
+                    this.zoomStack = [];
+                    $('.status-sentry-range-custom').prop('hidden', false).find('input').first().trigger('focus');
+                    $('.status-sentry-reset-zoom').prop('hidden', true);
+                    return;
+                }
+
+                this.clearDrillDown();
+                this.setTimeRange({ range: range });
+            });
+
+            $(document).on('submit', '.status-sentry-range-custom', (e) => {
+                e.preventDefault();
+
+                // datetime-local values are in the browser's time zone
+                const form = $(e.currentTarget);
+                const from = new Date(form.find('[name="from"]').val());
+                const to = new Date(form.find('[name="to"]').val());
+
+                if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+                    window.alert('Please choose a start time before the end time.');
+                    return;
+                }
+
+                this.clearDrillDown();
+                this.setTimeRange({ range: 'custom', from: from.toISOString(), to: to.toISOString() });
+            });
+
+            $(document).on('click', '.status-sentry-reset-zoom', (e) => {
+                e.preventDefault();
+                this.resetZoom();
+            });
+
+            $(document).on('click', '.status-sentry-clear-drilldown', (e) => {
+                e.preventDefault();
+                this.clearDrillDown();
+            });
+
+            // Retry loading a single section
+            $(document).on('click', '.status-sentry-retry', (e) => {
+                e.preventDefault();
+
+                const button = $(e.currentTarget);
+                button.prop('disabled', true).text('Retrying...');
+                this.retrySection(button.data('section'));
+            });
+
+            // Set up baselines refresh button click handler
+            $(document).on('click', '#status-sentry-refresh-baselines', (e) => {
+                e.preventDefault();
+
+                // Add spinning class to the refresh icon
+                const button = $(e.currentTarget);
+                button.addClass('refreshing').prop('disabled', true);
+                button.find('.dashicons').addClass('dashicons-update-spin');
+
+                // Fetch baseline data with force_refresh=true and manual_refresh=true
+                this.fetchBaselinesData(true, true).then(() => {
+                    // Remove spinning class after refresh completes
+                    setTimeout(() => {
+                        button.removeClass('refreshing').prop('disabled', false);
+                        button.find('.dashicons').removeClass('dashicons-update-spin');
+                    }, 500);
+                });
+            });
+
+            // Set up dashboard refresh button click handler
+            $(document).on('click', '#status-sentry-refresh-dashboard', (e) => {
+                e.preventDefault();
+
+                // Add spinning class to the refresh icon
+                const button = $(e.currentTarget);
+                button.addClass('refreshing').prop('disabled', true);
+                button.find('.dashicons').addClass('dashicons-update-spin');
+
+                // Update last refreshed time
+                $('.status-sentry-last-refresh').text('Last refreshed: Just now');
+
+                // Force a complete refresh of all dashboard data with cache busting
+                this.forceRefreshAllData().then(() => {
+                    // Remove spinning class after refresh completes
+                    setTimeout(() => {
+                        button.removeClass('refreshing').prop('disabled', false);
+                        button.find('.dashicons').removeClass('dashicons-update-spin');
+                    }, 500);
+                });
+            });
+        },
+
+        /**
+         * Force refresh all dashboard data with cache busting.
+         *
+         * @return {Promise} A promise that resolves when all data is refreshed
+         */
+        forceRefreshAllData: function() {
+            // Show a loading overlay
+            this.container.append('<div class="status-sentry-loading-overlay"><div class="spinner is-active"></div><p>Refreshing all dashboard data...</p></div>');
+
+            // Clear any existing caches in PHP and browser
+            return new Promise((resolve) => {
+                // First, call a special endpoint to clear server-side caches
+                statusSentry.api.post('dashboard/clear-cache', {}, { timeout: 5000 }).catch((error) => {
+                    this.logError('Error clearing dashboard caches:', error.message);
+                }).then(() => {
+                    // Now fetch all data with force refresh
+                    this.fetchData(true);
+
+                    // Remove the loading overlay after a short delay
+                    setTimeout(() => {
+                        $('.status-sentry-loading-overlay').fadeOut(function() {
+                            $(this).remove();
+                        });
+                        resolve();
+                    }, 1000);
+                });
+            });
+        },
+
+        /**
+         * Fetch baseline data from the REST API.
+         *
+         * @param {boolean} forceFresh - Whether to force fresh data
+         * @param {boolean} manualRefresh - Whether this is a manual refresh from the UI button
+         * @return {Promise} A promise that resolves when the data is fetched
+         */
+        fetchBaselinesData: function(forceFresh, manualRefresh = false) {
+            const params = forceFresh ? {
+                force_refresh: 'true',
+                manual_refresh: manualRefresh ? 'true' : 'false'
+            } : { force_refresh: 'true' };
+
+            // A newer baselines refresh supersedes one that is still in flight
+            return statusSentry.api.get('dashboard/baselines', params, { key: 'dashboard-baselines' }).then((response) => {
+                this.showSection('baselines', response, this.getProvenance(response));
+                return response;
+            }).catch((error) => {
+                if (error.isAbort()) {
+                    return null;
                 }
+
+                this.logError('Error fetching baseline data:', error.message);
+                this.failSection('baselines', error);
+                return null;
             });
         },
 
         /**
-         * Render event timeline chart.
+         * Fetch dashboard data from the REST API.
+         *
+         * @param {boolean} forceFresh - Whether to bypass server-side caches
+         */
+        fetchData: function(forceFresh) {
+            // Clear any existing transient timeouts
+            if (this.dataTimeout) {
+                clearTimeout(this.dataTimeout);
+            }
+
+            // Show loading state if first load
+            if (!this.container.hasClass('loaded')) {
+                this.container.html('<div class="status-sentry-loading"><span class="spinner is-active"></span><p>Loading dashboard data...</p></div>');
+            }
+
+            // If forcing fresh data, show a loading indicator
+            if (forceFresh) {
+                this.container.append('<div class="status-sentry-refreshing"><span class="spinner is-active"></span><p>Refreshing dashboard data...</p></div>');
+
+                // Remove the loading indicator after 2 seconds
+                setTimeout(function() {
+                    $('.status-sentry-refreshing').fadeOut(function() {
+                        $(this).remove();
+                    });
+                }, 2000);
+            }
+
+            // Show the layout if the first responses are slow, so each section can report its own state
+            this.dataTimeout = setTimeout(() => {
+                if (!this.container.hasClass('loaded')) {
+                    this.renderDashboard();
+                }
+            }, 5000); // 5 second timeout
+
+            // Fetch chart and health data for the selected time range
+            this.fetchDashboardData(forceFresh);
+
+            // Fetch overview data - always bypass cache
+            this.fetchOverview();
+
+            // Fetch recent events, unless the table shows a chart selection
+            if (!this.drillDown) {
+                this.fetchRecentEvents();
+            }
+
+            // Fetch baseline data using our dedicated method
+            this.fetchBaselinesData(forceFresh);
+
+            this.fetchConflicts();
+
+            this.refreshWidgets();
+        },
+
+        /**
+         * Fetch the KPI and recommendation data from the REST API.
+         *
+         * @return {Promise} A promise that resolves when the data is rendered
+         */
+        fetchOverview: function() {
+            return statusSentry.api.get('dashboard/overview', { bypass_cache: 'true' }, { key: 'dashboard-overview' }).then((response) => {
+                this.showSection('overview', response, this.getProvenance(response));
+                clearTimeout(this.dataTimeout); // Clear the timeout if we got data
+            }).catch((error) => {
+                if (error.isAbort()) {
+                    return;
+                }
+
+                this.logError('Error fetching overview data:', error.type, error.message);
+                this.failSection('overview', error);
+            });
+        },
+
+        /**
+         * Fetch the conflicts with the selected status from the REST API.
+         *
+         * @return {Promise} A promise that resolves when the conflicts are rendered
+         */
+        fetchConflicts: function() {
+            return statusSentry.api.get('conflicts', { status: this.conflictStatus }, { key: 'dashboard-conflicts' }).then((response) => {
+                this.renderDashboard();
+                this.renderConflicts(response);
+            }).catch((error) => {
+                if (error.isAbort()) {
+                    return;
+                }
+
+                this.logError('Error fetching conflicts:', error.type, error.message);
+                this.renderDashboard();
+                this.container.find('.status-sentry-conflicts-list').html(
+                    $('<div class="status-sentry-error"></div>').append(
+                        $('<p></p>').text('Failed to load conflicts. ' + this.describeError(error))
+                    )
+                );
+            });
+        },
+
+        /**
+         * Acknowledge a conflict, mark it as a false positive or reopen it.
+         *
+         * @param {number} id The conflict event ID.
+         * @param {string} status 'acknowledged', 'false_positive' or 'open'.
+         * @param {jQuery} button The button that was clicked.
+         */
+        setConflictStatus: function(id, status, button) {
+            button.closest('.status-sentry-conflict-actions').find('button').prop('disabled', true);
+
+            const request = status === 'open' ?
+                statusSentry.api.delete(`conflicts/${id}/acknowledge`) :
+                statusSentry.api.post(`conflicts/${id}/acknowledge`, { status: status });
+
+            request.then(() => {
+                // The conflict KPI only counts open conflicts
+                this.fetchOverview();
+                return this.fetchConflicts();
+            }).catch((error) => {
+                this.logError('Error updating conflict:', error.type, error.message);
+                button.closest('.status-sentry-conflict-actions').find('button').prop('disabled', false);
+                window.alert('The conflict could not be updated. ' + this.describeError(error));
+            });
+        },
+
+        /**
+         * Fetch the resource panel's budgets, task run usage and GC runs from the REST API.
+         *
+         * @return {Promise} A promise that resolves when the panel is rendered
+         */
+        fetchResources: function() {
+            return statusSentry.api.get('resources', {}, { key: 'dashboard-resources' }).then((response) => {
+                this.renderResources(response);
+            }).catch((error) => {
+                if (error.isAbort()) {
+                    return;
+                }
+
+                this.logError('Error fetching resource usage:', error.type, error.message);
+                this.container.find('.status-sentry-resources-status').html(
+                    $('<div class="status-sentry-error"></div>').append(
+                        $('<p></p>').text('Failed to load resource usage. ' + this.describeError(error))
+                    )
+                );
+            });
+        },
+
+        /**
+         * Save the budgets and thresholds changed in the resource panel.
+         *
+         * Only the changed values are sent. Memory budgets are entered in MB
+         * and thresholds in percent.
+         *
+         * @param {jQuery} form The resource panel's form.
+         */
+        saveResourceConfig: function(form) {
+            if (!form[0].reportValidity()) {
+                return;
+            }
+
+            const config = {};
+            const changed = form.find('input[data-original]').filter((index, input) => input.value !== input.getAttribute('data-original'));
+
+            changed.each((index, input) => {
+                const field = $(input);
+                const value = parseFloat(input.value);
+
+                switch (field.data('setting')) {
+                    case 'budget':
+                        config.budgets = config.budgets || {};
+                        config.budgets[field.data('tier')] = config.budgets[field.data('tier')] || {};
+                        config.budgets[field.data('tier')][field.data('limit')] = field.data('limit') === 'memory' ?
+                            Math.round(value * 1024 * 1024) :
+                            (field.data('limit') === 'db_queries' ? Math.round(value) : value);
+                        break;
+
+                    case 'memory_threshold':
+                        config.gc_settings = Object.assign(config.gc_settings || {}, { memory_threshold: value / 100 });
+                        break;
+
+                    case 'cycles':
+                        config.gc_settings = Object.assign(config.gc_settings || {}, { cycles: Math.round(value) });
+                        break;
+
+                    case 'cpu_threshold':
+                        config.cpu_threshold = value / 100;
+                        break;
+                }
+            });
+
+            if (!changed.length) {
+                return;
+            }
+
+            form.find('button').prop('disabled', true);
+
+            statusSentry.api.put('resources', config).then(() => {
+                changed.each((index, input) => input.setAttribute('data-original', input.value));
+                this.updateResourceForm(form);
+
+                // The recommendations quote the GC threshold
+                this.fetchOverview();
+                return this.fetchResources();
+            }).catch((error) => {
+                this.logError('Error saving the budgets and thresholds:', error.type, error.message);
+                this.updateResourceForm(form);
+                window.alert('The budgets and thresholds could not be saved. ' + this.describeError(error));
+            });
+        },
+
+        /**
+         * Start sampling the CPU and system load for the resource panel's live chart.
+         *
+         * A sample is taken every 5 seconds while the page is visible, and
+         * the last 5 minutes are shown.
+         */
+        startResourceLoad: function() {
+            this.stopResourceLoad();
+
+            this.resourceLoad = {
+                samples: [],
+                chart: null,
+                timer: setInterval(() => {
+                    if (document.hidden) {
+                        return;
+                    }
+
+                    statusSentry.api.get('resources/load', {}, { key: 'dashboard-resources-load' }).then((sample) => {
+                        this.addLoadSample(sample);
+                    }).catch((error) => {
+                        if (!error.isAbort()) {
+                            this.logError('Error fetching the system load:', error.type, error.message);
+                        }
+                    });
+                }, 5000)
+            };
+        },
+
+        /**
+         * Stop sampling the load and remove the live chart.
+         */
+        stopResourceLoad: function() {
+            if (!this.resourceLoad) {
+                return;
+            }
+
+            clearInterval(this.resourceLoad.timer);
+            if (this.resourceLoad.chart) {
+                this.resourceLoad.chart.destroy();
+            }
+            this.resourceLoad = null;
+        },
+
+        /**
+         * Fetch the queue panel's backlog, throughput and failed events from the REST API.
+         *
+         * @return {Promise} A promise that resolves when the panel is rendered
+         */
+        fetchQueue: function() {
+            return Promise.all([
+                statusSentry.api.get('queue', {}, { key: 'dashboard-queue' }).then((response) => {
+                    this.renderQueue(response);
+                }),
+                this.fetchQueueFailed()
+            ]).catch((error) => {
+                if (error.isAbort()) {
+                    return;
+                }
+
+                this.logError('Error fetching the event queue:', error.type, error.message);
+                this.container.find('.status-sentry-queue-status').html(
+                    $('<div class="status-sentry-error"></div>').append(
+                        $('<p></p>').text('Failed to load the event queue. ' + this.describeError(error))
+                    )
+                );
+            });
+        },
+
+        /**
+         * Fetch a page of failed queue events from the REST API.
+         *
+         * @return {Promise} A promise that resolves when the failed events are rendered
+         */
+        fetchQueueFailed: function() {
+            return statusSentry.api.get('queue/failed', { page: this.queueFailedPage, per_page: 10 }, { key: 'dashboard-queue-failed' }).then((response) => {
+                return this.renderQueueFailed(response);
+            });
+        },
+
+        /**
+         * Run a queue action and show its result.
+         *
+         * @param {string} action 'process', 'retry' or 'purge'.
+         * @param {Object} data The request data.
+         */
+        runQueueAction: function(action, data) {
+            const panel = this.container.find('.status-sentry-queue');
+            panel.find('.status-sentry-queue-actions button, .status-sentry-queue-failed button').prop('disabled', true);
+
+            statusSentry.api.post(`queue/${action}`, data).then((response) => {
+                let message;
+                switch (action) {
+                    case 'process':
+                        message = `Processed ${response.processed} ${response.processed === 1 ? 'event' : 'events'}` +
+                            (response.failed ? `, ${response.failed} failed` : '') +
+                            (response.stopped_early ? '. Processing stopped early to stay within the resource limits.' : '.');
+                        break;
+
+                    case 'retry':
+                        message = `Queued ${response.retried} failed ${response.retried === 1 ? 'event' : 'events'} again.`;
+                        break;
+
+                    default:
+                        message = `Deleted ${response.deleted} ${response.deleted === 1 ? 'event' : 'events'}.`;
+                }
+
+                panel.find('.status-sentry-queue-result').text(message);
+                this.renderQueue(response.queue);
+                return this.fetchQueueFailed();
+            }).catch((error) => {
+                this.logError('Error running the queue action:', error.type, error.message);
+                panel.find('.status-sentry-queue-retry-one').prop('disabled', false);
+                window.alert('The queue action failed. ' + this.describeError(error));
+            }).then(() => {
+                panel.find('.status-sentry-queue-actions button').prop('disabled', false);
+                this.updateQueueButtons();
+            });
+        },
+
+        /**
+         * Render the queue's counts, oldest pending event, throughput and schedule.
+         *
+         * @param {Object} queue The queue status.
+         */
+        renderQueue: function(queue) {
+            const panel = this.container.find('.status-sentry-queue');
+            if (!panel.length) {
+                return;
+            }
+
+            this.queueCounts = queue.counts;
+
+            const status = panel.find('.status-sentry-queue-status').empty();
+            if (queue.stalled) {
+                status.append($('<div class="notice notice-warning inline"></div>').append($('<p></p>').text(
+                    `The queue isn't being drained: events have waited over ${this.formatAge(queue.stall_age)}. ` +
+                    'Check that WP-Cron runs, or process a batch now.'
+                )));
+            }
+
+            const next = queue.next_run ? this.parseUtcTime(queue.next_run) * 1000 : null;
+            const stats = [
+                ['Pending', queue.counts.pending.toLocaleString(), queue.stalled ? 'is-warning' : ''],
+                ['Processed', queue.counts.processed.toLocaleString(), ''],
+                ['Failed', queue.counts.failed.toLocaleString(), queue.counts.failed ? 'is-error' : ''],
+                ['Oldest pending', queue.oldest_pending_age === null ? 'None' : this.formatAge(queue.oldest_pending_age), queue.stalled ? 'is-warning' : ''],
+                ['Processed last hour', queue.throughput ? queue.throughput.last_hour.toLocaleString() : 'n/a', ''],
+                ['Next processing', next === null ? 'Not scheduled' : (next <= Date.now() ? 'Due now' : `in ${this.formatAge((next - Date.now()) / 1000)}`), next === null ? 'is-warning' : '']
+            ];
+
+            const list = panel.find('.status-sentry-queue-stats').empty();
+            stats.forEach(([label, value, modifier]) => {
+                list.append($('<div class="status-sentry-queue-stat"></div>').addClass(modifier).append(
+                    $('<span class="status-sentry-queue-stat-value"></span>').text(value),
+                    $('<span class="status-sentry-queue-stat-label"></span>').text(label)
+                ));
+            });
+
+            this.renderQueueThroughput(panel.find('.status-sentry-queue-throughput'), queue.throughput);
+            this.updateQueueButtons();
+        },
+
+        /**
+         * Render the hourly throughput as bars of processed and failed events.
+         *
+         * @param {jQuery} target The element to fill.
+         * @param {Object|null} throughput The hourly buckets, or null when processing times aren't stored.
+         */
+        renderQueueThroughput: function(target, throughput) {
+            target.empty();
+
+            if (!throughput) {
+                target.append($('<p class="description"></p>').text(
+                    'Processing times are stored once the plugin is deactivated and activated again to update its database tables.'
+                ));
+                return;
+            }
+
+            const max = Math.max(1, ...throughput.buckets.map(bucket => bucket.processed + bucket.failed));
+            const bars = $('<div class="status-sentry-queue-bars"></div>');
+
+            throughput.buckets.forEach((bucket) => {
+                const hour = new Date(this.parseUtcTime(bucket.time) * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                const column = $('<span class="status-sentry-queue-bar"></span>')
+                    .attr('title', `${hour}: ${bucket.processed} processed, ${bucket.failed} failed`)
+                    .append(
+                        $('<span class="is-failed"></span>').css('height', `${bucket.failed / max * 100}%`),
+                        $('<span></span>').css('height', `${bucket.processed / max * 100}%`)
+                    );
+                bars.append(column);
+            });
+
+            target.append(
+                bars,
+                $('<span class="status-sentry-resource-summary"></span>').text(
+                    `${throughput.total.toLocaleString()} events processed in the last 24 hours, ${Math.round(throughput.total / 24).toLocaleString()} per hour on average`
+                )
+            );
+        },
+
+        /**
+         * Render a page of failed queue events with the reasons they failed.
+         *
+         * @param {Object} response The failed events, the total and the page.
+         * @return {Promise|undefined} A promise when the last page is fetched instead
+         */
+        renderQueueFailed: function(response) {
+            const target = this.container.find('.status-sentry-queue-failed');
+            if (!target.length) {
+                return;
+            }
+
+            // Retrying the last events on a page leaves it empty
+            if (!response.events.length && response.page > 1) {
+                this.queueFailedPage = Math.max(1, Math.ceil(response.total / response.per_page));
+                return this.fetchQueueFailed();
+            }
+
+            target.empty();
+
+            if (!response.events.length) {
+                target.append($('<p class="status-sentry-no-data"></p>').text('No failed events.'));
+                return;
+            }
+
+            const table = $(`
+                <table class="widefat striped">
+                    <thead>
+                        <tr>
+                            <th>Queued</th>
+                            <th>Feature</th>
+                            <th>Hook</th>
+                            <th>Reason</th>
+                            <th><span class="screen-reader-text">Actions</span></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            `);
+
+            response.events.forEach((event) => {
+                table.find('tbody').append($('<tr></tr>').append(
+                    $('<td></td>').text(new Date(this.parseUtcTime(event.created_at) * 1000).toLocaleString()),
+                    $('<td></td>').text(event.feature),
+                    $('<td></td>').append($('<code></code>').text(event.hook)),
+                    $('<td class="status-sentry-queue-reason"></td>').text(event.error_message || 'No reason was recorded.'),
+                    $('<td></td>').append($('<button type="button" class="button button-small status-sentry-queue-retry-one"></button>')
+                        .attr('data-id', event.id)
+                        .text('Retry'))
+                ));
+            });
+
+            const pages = Math.max(1, Math.ceil(response.total / response.per_page));
+            const pagination = $('<p class="status-sentry-queue-pages"></p>');
+            if (pages > 1) {
+                pagination.append(
+                    $('<button type="button" class="button button-small"></button>')
+                        .attr('data-queue-page', response.page - 1)
+                        .prop('disabled', response.page <= 1)
+                        .text('Previous'),
+                    $('<span></span>').text(` Page ${response.page} of ${pages} `),
+                    $('<button type="button" class="button button-small"></button>')
+                        .attr('data-queue-page', response.page + 1)
+                        .prop('disabled', response.page >= pages)
+                        .text('Next')
+                );
+            }
+
+            target.append(table, pagination);
+        },
+
+        /**
+         * Enable the queue actions that have events to act on.
+         */
+        updateQueueButtons: function() {
+            const panel = this.container.find('.status-sentry-queue');
+            const counts = this.queueCounts || {};
+            const purgeStatus = panel.find('[name="queue_purge_status"]').val();
+
+            panel.find('.status-sentry-queue-process').prop('disabled', !counts.pending);
+            panel.find('.status-sentry-queue-retry-all').prop('disabled', !counts.failed);
+            panel.find('.status-sentry-queue-purge button').prop('disabled', !counts[purgeStatus]);
+        },
+
+        /**
+         * Fetch the cache inspector's groups from the REST API.
+         *
+         * @return {Promise} A promise that resolves when the inspector is rendered
+         */
+        fetchCache: function() {
+            return statusSentry.api.get('cache', {}, { key: 'dashboard-cache' }).then((response) => {
+                this.renderCache(response);
+            }).catch((error) => {
+                if (error.isAbort()) {
+                    return;
+                }
+
+                this.logError('Error fetching the query cache:', error.type, error.message);
+                this.container.find('.status-sentry-cache-status').html(
+                    $('<div class="status-sentry-error"></div>').append(
+                        $('<p></p>').text('Failed to load the query cache. ' + this.describeError(error))
+                    )
+                );
+            });
+        },
+
+        /**
+         * Purge a cache group or clean up expired entries, timing the
+         * dashboard's data before and after.
+         *
+         * @param {string|null} group The group to purge, or null to clean up expired entries.
+         */
+        runCacheAction: function(group) {
+            const panel = this.container.find('.status-sentry-cache');
+            const timing = panel.find('.status-sentry-cache-timing');
+            let before = null;
+
+            panel.find('button').prop('disabled', true);
+            timing.text('Timing the dashboard data...');
+
+            this.measureDashboardLoad().then((duration) => {
+                before = duration;
+                return group === null ?
+                    statusSentry.api.post('cache/cleanup') :
+                    statusSentry.api.delete(`cache/groups/${encodeURIComponent(group)}`);
+            }).then((response) => {
+                this.renderCache(response.cache);
+                timing.text('Timing the dashboard data again...');
+
+                return this.measureDashboardLoad().then((after) => {
+                    const change = after - before;
+                    const action = group === null ?
+                        `Deleted ${response.deleted} expired ${response.deleted === 1 ? 'entry' : 'entries'}.` :
+                        `Purged ${response.deleted} ${response.deleted === 1 ? 'entry' : 'entries'} from "${group}".`;
+
+                    timing.text(`${action} The dashboard data loaded in ${before} ms before and ${after} ms after (${change > 0 ? '+' : ''}${change} ms).`);
+                });
+            }).catch((error) => {
+                this.logError('Error running the cache action:', error.type, error.message);
+                timing.text('');
+                window.alert((group === null ? 'Expired cache entries could not be cleaned up. ' : 'The cache group could not be purged. ') + this.describeError(error));
+            }).then(() => {
+                panel.find('button').prop('disabled', false);
+            });
+        },
+
+        /**
+         * Time loading the dashboard's overview and timeline data, as the dashboard does.
+         *
+         * @return {Promise} A promise that resolves with the time in milliseconds
+         */
+        measureDashboardLoad: function() {
+            const start = performance.now();
+
+            return Promise.all([
+                statusSentry.api.get('dashboard/overview', {}, { key: 'cache-timing-overview' }),
+                statusSentry.api.get('dashboard/data', this.getTimeRangeParams(), { key: 'cache-timing-data' })
+            ]).then(() => Math.round(performance.now() - start));
+        },
+
+        /**
+         * Render the cache groups with their entries, size, hit ratio and expiry.
+         *
+         * @param {Object} cache The groups, the totals and when hits were first counted.
+         */
+        renderCache: function(cache) {
+            const panel = this.container.find('.status-sentry-cache');
+            if (!panel.length) {
+                return;
+            }
+
+            const totals = cache.totals;
+            panel.find('.status-sentry-cache-status').empty();
+            panel.find('.status-sentry-cache-summary').text(
+                `${totals.entries.toLocaleString()} ${totals.entries === 1 ? 'entry' : 'entries'}, ${this.formatMegabytes(totals.size)}, ` +
+                (totals.hit_ratio === null ? 'no lookups counted yet' : `${this.formatPercent(totals.hit_ratio * 100)}% hit ratio`) +
+                (cache.stats_since ? ` since ${new Date(this.parseUtcTime(cache.stats_since) * 1000).toLocaleDateString()}` : '')
+            );
+            panel.find('.status-sentry-cache-cleanup')
+                .text(totals.expired ? `Clean up ${totals.expired.toLocaleString()} expired` : 'Clean up expired')
+                .prop('disabled', !totals.expired);
+
+            const target = panel.find('.status-sentry-cache-groups').empty();
+            if (!cache.groups.length) {
+                target.append($('<p class="status-sentry-no-data"></p>').text('The query cache is empty.'));
+                return;
+            }
+
+            const table = $(`
+                <table class="widefat striped">
+                    <thead>
+                        <tr>
+                            <th>Group</th>
+                            <th>Entries</th>
+                            <th>Size</th>
+                            <th>Hit ratio</th>
+                            <th>Expiry</th>
+                            <th><span class="screen-reader-text">Actions</span></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            `);
+
+            cache.groups.forEach((group) => {
+                table.find('tbody').append($('<tr></tr>').append(
+                    $('<td></td>').append($('<code></code>').text(group.group)),
+                    $('<td></td>').text(group.entries.toLocaleString()),
+                    $('<td></td>').text(this.formatMegabytes(group.size)),
+                    $('<td></td>').text(group.hit_ratio === null ?
+                        'No lookups' :
+                        `${this.formatPercent(group.hit_ratio * 100)}% (${group.hits.toLocaleString()} hits, ${group.misses.toLocaleString()} misses)`),
+                    $('<td></td>').append(this.createCacheExpiry(group)),
+                    $('<td></td>').append($('<button type="button" class="button button-small status-sentry-cache-purge"></button>')
+                        .attr('data-group', group.group)
+                        .prop('disabled', !group.entries)
+                        .text('Purge'))
+                ));
+            });
+
+            target.append(table);
+        },
+
+        /**
+         * Create a bar of a group's entries by how long they have left.
+         *
+         * @param {Object} group The cache group.
+         * @return {jQuery} The bar, or a note without entries.
+         */
+        createCacheExpiry: function(group) {
+            if (!group.entries) {
+                return $('<span class="description"></span>').text('No entries');
+            }
+
+            const labels = {
+                expired: 'Expired',
+                within_5_minutes: 'Within 5 minutes',
+                within_1_hour: 'Within an hour',
+                within_1_day: 'Within a day',
+                later: 'Later'
+            };
+
+            const bar = $('<div class="status-sentry-cache-expiry"></div>');
+            Object.keys(labels).forEach((range) => {
+                const count = group.expiry[range];
+                if (count) {
+                    bar.append($('<span></span>')
+                        .addClass('is-' + range.replace(/_/g, '-'))
+                        .css('width', `${count / group.entries * 100}%`)
+                        .attr('title', `${labels[range]}: ${count.toLocaleString()}`));
+                }
+            });
+
+            return bar;
+        },
+
+        /**
+         * Fetch the recent events from the REST API.
+         *
+         * @return {Promise} A promise that resolves when the events are rendered
+         */
+        fetchRecentEvents: function() {
+            return statusSentry.api.get('dashboard/recent', {}, { key: 'dashboard-recent' }).then((response) => {
+                this.showSection('recent', response, this.getProvenance(response));
+            }).catch((error) => {
+                if (error.isAbort()) {
+                    return;
+                }
+
+                this.logError('Error fetching recent events:', error.type, error.message);
+                this.failSection('recent', error);
+            });
+        },
+
+        /**
+         * Fetch chart and health data from the REST API.
+         *
+         * @param {boolean} forceFresh - Whether to bypass server-side caches
+         * @return {Promise} A promise that resolves when the data is rendered
+         */
+        fetchDashboardData: function(forceFresh) {
+            // Fetch dashboard data from the new unified endpoint. Each request is keyed
+            // so a newer refresh aborts the previous one if it is still in flight.
+            const params = Object.assign({ bypass_cache: forceFresh ? 'true' : 'false' }, this.getTimeRangeParams());
+
+            return statusSentry.api.get('dashboard/data', params, { key: 'dashboard-data' }).then((response) => {
+                const provenance = this.getProvenance(response);
+                const missing = provenance.missing;
+
+                // The charts share one range, so they are shown or replaced together
+                if (response.eventTypes && response.timeline) {
+                    this.showSection('charts', { eventTypes: response.eventTypes, timeline: response.timeline }, provenance);
+                } else {
+                    this.failSection('charts', null, missing.filter(part => part !== 'health'));
+                }
+
+                if (response.health) {
+                    this.showSection('health', response.health, provenance);
+                } else {
+                    this.failSection('health', null, ['health']);
+                }
+
+                clearTimeout(this.dataTimeout); // Clear the timeout if we got data
+            }).catch((error) => {
+                if (error.isAbort()) {
+                    return;
+                }
+
+                this.logError('Error fetching dashboard data:', error.type, error.message);
+
+                this.failSection('charts', error);
+                this.failSection('health', error);
+            });
+        },
+
+        /**
+         * Read the provenance the server reported for a response.
+         *
+         * @param {Object} response The response data.
+         * @return {Object} The provenance: source, server-side cache age and missing parts.
+         */
+        getProvenance: function(response) {
+            const provenance = (response && response.provenance) || {};
+
+            return {
+                source: provenance.source === 'cached' ? 'cached' : 'live',
+                age: typeof provenance.age === 'number' ? provenance.age : null,
+                receivedAt: Date.now(),
+                missing: provenance.unavailable || []
+            };
+        },
+
+        /**
+         * Render a section's data and record where it came from.
+         *
+         * Complete live and cached data is kept in local storage as the
+         * section's last-known-good copy.
+         *
+         * @param {string} section The section name.
+         * @param {Object} data The section data.
+         * @param {Object} provenance The provenance from getProvenance().
+         */
+        showSection: function(section, data, provenance) {
+            this.renderDashboard();
+            this.renderSection(section, data);
+            this.setProvenance(section, provenance);
+
+            if ((provenance.source === 'live' || provenance.source === 'cached') && !(provenance.missing || []).length) {
+                this.saveLastKnownGood(section, data);
+            }
+        },
+
+        /**
+         * Handle a section that could not be loaded.
+         *
+         * In demo mode the section shows generated data. Otherwise it shows
+         * its last-known-good copy from local storage, or is marked as
+         * unavailable if there is none. Random data is never shown outside
+         * demo mode.
+         *
+         * @param {string} section The section name.
+         * @param {Object|null} error The ApiError, or null if the server reported the data as unavailable.
+         * @param {Array} missing The parts of the data the server could not load.
+         */
+        failSection: function(section, error, missing = []) {
+            this.renderDashboard();
+
+            const demoData = statusSentry.demoMode ? this.getDemoData(section) : null;
+            if (demoData) {
+                this.renderSection(section, demoData);
+                this.setProvenance(section, { source: 'demo' });
+                return;
+            }
+
+            const stored = this.loadLastKnownGood(section);
+            if (stored) {
+                this.renderSection(section, stored.data);
+                this.setProvenance(section, { source: 'stored', savedAt: stored.savedAt, error: error, missing: missing });
+                return;
+            }
+
+            this.renderError(section, error);
+            this.setProvenance(section, { source: 'unavailable', error: error, missing: missing });
+        },
+
+        /**
+         * Render a section's data.
+         *
+         * @param {string} section The section name.
+         * @param {Object} data The section data.
+         */
+        renderSection: function(section, data) {
+            switch (section) {
+                case 'overview':
+                    this.renderOverview(data);
+                    break;
+
+                case 'charts':
+                    this.eventTypes = data.eventTypes;
+                    this.renderEventTypeChart('eventTypeChart', data.eventTypes);
+                    this.renderTimelines(data.timeline);
+                    break;
+
+                case 'health':
+                    this.renderSystemHealth('#status-sentry-system-health', data);
+                    break;
+
+                case 'recent':
+                    this.renderRecentEvents(data);
+                    break;
+
+                case 'baselines':
+                    this.renderBaselines(data);
+                    break;
+            }
+        },
+
+        /**
+         * Reload a single section.
+         *
+         * @param {string} section The section name.
+         * @return {Promise} A promise that resolves when the section is rendered
+         */
+        retrySection: function(section) {
+            switch (section) {
+                case 'overview':
+                    return this.fetchOverview();
+
+                case 'charts':
+                case 'health':
+                    return this.fetchDashboardData(true);
+
+                case 'recent':
+                    return this.drillDown ? Promise.resolve(this.clearDrillDown()) : this.fetchRecentEvents();
+
+                case 'baselines':
+                    return this.fetchBaselinesData(true);
+
+                default:
+                    return Promise.resolve();
+            }
+        },
+
+        /**
+         * Whether a section shows data loaded from the server.
+         *
+         * @param {string} section The section name.
+         * @return {boolean} True if the section's data is live or cached.
+         */
+        isSectionCurrent: function(section) {
+            const provenance = this.provenance[section];
+            return !!provenance && (provenance.source === 'live' || provenance.source === 'cached');
+        },
+
+        /**
+         * Record where a section's data came from and update its badge.
+         *
+         * @param {string} section The section name.
+         * @param {Object} provenance The provenance.
+         */
+        setProvenance: function(section, provenance) {
+            this.provenance[section] = provenance;
+            this.renderProvenance(section);
+        },
+
+        /**
+         * Render the provenance badge and retry button of a section.
+         *
+         * @param {string} section The section name.
+         */
+        renderProvenance: function(section) {
+            const provenance = this.provenance[section];
+            const holder = this.container.find(`.status-sentry-section-status[data-section="${section}"]`);
+
+            if (!holder.length || !provenance) {
+                return;
+            }
+
+            const badge = $('<span class="status-sentry-provenance-badge"></span>')
+                .addClass('status-sentry-provenance-' + provenance.source)
+                .text(this.describeProvenance(provenance));
+
+            // Explain why the section is not showing live data
+            const details = [];
+            if (provenance.missing && provenance.missing.length) {
+                details.push('Not loaded: ' + provenance.missing.join(', ') + '.');
+            }
+            if (provenance.source === 'stored' || provenance.source === 'unavailable') {
+                details.push(this.describeError(provenance.error));
+            }
+            if (provenance.source === 'demo') {
+                details.push('Generated sample data. Demo mode is enabled.');
+            }
+            badge.attr('title', details.join(' '));
+
+            const retry = $('<button type="button" class="button-link status-sentry-retry"></button>')
+                .attr('data-section', section)
+                .attr('aria-label', `Retry loading ${this.sections[section].toLowerCase()}`)
+                .text('Retry');
+
+            holder.empty().append(badge, ' ', retry);
+        },
+
+        /**
+         * Describe a section's provenance for its badge.
+         *
+         * @param {Object} provenance The provenance.
+         * @return {string} The badge text.
+         */
+        describeProvenance: function(provenance) {
+            const partial = provenance.missing && provenance.missing.length ? ' (partial)' : '';
+
+            switch (provenance.source) {
+                case 'cached':
+                    if (provenance.age === null) {
+                        return 'Cached' + partial;
+                    }
+                    return `Cached, ${this.formatAge(provenance.age + (Date.now() - provenance.receivedAt) / 1000)} old` + partial;
+
+                case 'stored':
+                    return `Last known good, ${this.formatAge((Date.now() - provenance.savedAt) / 1000)} old`;
+
+                case 'unavailable':
+                    return 'Unavailable';
+
+                case 'demo':
+                    return 'Demo data';
+
+                default:
+                    return 'Live' + partial;
+            }
+        },
+
+        /**
+         * Format an age in seconds.
+         *
+         * @param {number} seconds The age in seconds.
+         * @return {string} The formatted age.
+         */
+        formatAge: function(seconds) {
+            seconds = Math.max(0, Math.round(seconds));
+
+            if (seconds < 60) {
+                return `${seconds}s`;
+            } else if (seconds < 3600) {
+                return `${Math.floor(seconds / 60)} min`;
+            } else if (seconds < 86400) {
+                return `${Math.floor(seconds / 3600)} h`;
+            }
+
+            return `${Math.floor(seconds / 86400)} d`;
+        },
+
+        /**
+         * Get the local storage key of a section's last-known-good copy.
+         *
+         * @param {string} section The section name.
+         * @return {string|null} The key, or null if the section's data is not stored.
+         */
+        getStorageKey: function(section) {
+            if (section === 'charts') {
+                // Charts depend on the range; custom and zoomed ranges are not stored
+                return this.isTimelineLive() ? `${this.storagePrefix}charts_${this.timeRange.range}` : null;
+            }
+
+            return this.storagePrefix + section;
+        },
+
+        /**
+         * Save a section's data as its last-known-good copy.
+         *
+         * @param {string} section The section name.
+         * @param {Object} data The section data.
+         */
+        saveLastKnownGood: function(section, data) {
+            const key = this.getStorageKey(section);
+            if (!key) {
+                return;
+            }
+
+            try {
+                window.localStorage.setItem(key, JSON.stringify({ savedAt: Date.now(), data: data }));
+            } catch (e) {
+                // Without storage a failed section is shown as unavailable
+            }
+        },
+
+        /**
+         * Load a section's last-known-good copy.
+         *
+         * @param {string} section The section name.
+         * @return {Object|null} The stored copy ({ savedAt, data }), or null if there is none.
+         */
+        loadLastKnownGood: function(section) {
+            const key = this.getStorageKey(section);
+            if (!key) {
+                return null;
+            }
+
+            try {
+                const stored = JSON.parse(window.localStorage.getItem(key));
+                return stored && stored.data && stored.savedAt ? stored : null;
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Get generated data for a section in demo mode.
+         *
+         * @param {string} section The section name.
+         * @return {Object|null} The demo data, or null if the section has none.
+         */
+        getDemoData: function(section) {
+            switch (section) {
+                case 'charts': {
+                    const timeline = this.generateDummyTimelineData();
+                    const eventTypes = {};
+
+                    timeline.datasets.forEach(dataset => {
+                        eventTypes[dataset.label.toLowerCase()] = dataset.data.reduce((sum, count) => sum + count, 0);
+                    });
+
+                    return { eventTypes: eventTypes, timeline: timeline };
+                }
+
+                case 'recent':
+                    return { events: this.generateFallbackEvents() };
+
+                case 'baselines':
+                    return { baselines: this.generateFallbackBaselines() };
+
+                default:
+                    return null;
+            }
+        },
+
+        /**
+         * Get the dashboard/data parameters for the selected time range.
+         *
+         * @return {Object} The range parameters.
+         */
+        getTimeRangeParams: function() {
+            const range = this.timeRange;
+
+            if (range.range === 'custom') {
+                return { from: range.from, to: range.to, bucket: 'auto' };
+            }
+
+            return { range: range.range, bucket: 'auto' };
+        },
+
+        /**
+         * Whether the timeline shows a preset range that ends now.
+         *
+         * @return {boolean} True if new events belong on the timeline.
+         */
+        isTimelineLive: function() {
+            return this.timeRange.range !== 'custom';
+        },
+
+        /**
+         * Select a time range for the timeline and event type charts.
+         *
+         * @param {Object} range Either { range: '1h'|'24h'|'7d'|'30d' } or
+         *                       { range: 'custom', from: ISO string, to: ISO string }.
+         * @param {boolean} zoom Whether this range zooms into the current one.
+         */
+        setTimeRange: function(range, zoom = false) {
+            if (zoom) {
+                this.zoomStack.push(this.timeRange);
+            } else {
+                this.zoomStack = [];
+            }
+
+            this.timeRange = range;
+            this.updateRangeControls();
+            this.fetchDashboardData(false);
+        },
+
+        /**
+         * Return to the range that was shown before the last zoom.
+         */
+        resetZoom: function() {
+            if (!this.zoomStack.length) {
+                return;
+            }
+
+            this.timeRange = this.zoomStack[0];
+            this.zoomStack = [];
+            this.updateRangeControls();
+            this.clearDrillDown();
+            this.fetchDashboardData(false);
+        },
+
+        /**
+         * Zoom the timeline into a run of buckets and show their events.
+         *
+         * @param {number} startIndex The index of the first bucket.
+         * @param {number} endIndex The index of the last bucket.
+         * @param {string|null} eventType Limit the events to this type.
+         */
+        zoomToBuckets: function(startIndex, endIndex, eventType = null) {
+            const timeline = this.timeline;
+            if (!timeline || !timeline.buckets) {
+                return;
+            }
+
+            const first = Math.max(0, Math.min(startIndex, endIndex));
+            const last = Math.min(timeline.buckets.length - 1, Math.max(startIndex, endIndex));
+            const from = this.parseUtcTime(timeline.buckets[first]);
+            const to = this.parseUtcTime(timeline.buckets[last]) + timeline.bucket_seconds - 1;
+
+            this.setTimeRange({
+                range: 'custom',
+                from: new Date(from * 1000).toISOString(),
+                to: new Date(to * 1000).toISOString()
+            }, true);
+
+            this.showEventsForRange(from, to, eventType);
+        },
+
+        /**
+         * Update the range picker to match the selected range.
+         */
+        updateRangeControls: function() {
+            const range = this.timeRange;
+            const labels = {
+                '1h': 'Last Hour',
+                '24h': 'Last 24 Hours',
+                '7d': 'Last 7 Days',
+                '30d': 'Last 30 Days'
+            };
+
+            $('.status-sentry-range-picker .button').each(function() {
+                const active = $(this).data('range') === range.range;
+                $(this).toggleClass('button-primary', active).attr('aria-pressed', active ? 'true' : 'false');
+            });
+
+            let description = labels[range.range] || '';
+            if (range.range === 'custom') {
+                description = this.formatRangeDescription(Date.parse(range.from) / 1000, Date.parse(range.to) / 1000);
+            }
+            $('.status-sentry-timeline-range-label').text(description ? `(${description})` : '');
+
+            $('.status-sentry-range-custom').prop('hidden', range.range !== 'custom' || this.zoomStack.length > 0);
+            $('.status-sentry-reset-zoom').prop('hidden', this.zoomStack.length === 0);
+        },
+
+        /**
+         * Show the events of a time range in the recent events table.
+         *
+         * @param {number} from The start of the range (Unix seconds).
+         * @param {number} to The end of the range (Unix seconds).
+         * @param {string|null} eventType Limit the events to this type.
+         */
+        showEventsForRange: function(from, to, eventType = null) {
+            const filters = {
+                date_from: this.formatUtcTime(from),
+                date_to: this.formatUtcTime(to),
+                per_page: 10
+            };
+            if (eventType) {
+                filters.event_type = eventType;
+            }
+
+            this.drillDown = { from: from, to: to, eventType: eventType };
+
+            const typeLabel = eventType ? `${eventType.charAt(0).toUpperCase() + eventType.slice(1)} events` : 'Events';
+            const banner = this.container.find('.status-sentry-drilldown');
+            banner.find('.status-sentry-drilldown-label').text(`${typeLabel} from ${this.formatRangeDescription(from, to)}`);
+            banner.prop('hidden', false);
+
+            statusSentry.api.get('events', filters, { key: 'dashboard-drilldown' }).then((response) => {
+                const events = (response.events || []).map(event => this.toRecentEvent(event));
+                this.renderRecentEvents({ events: events });
+            }).catch((error) => {
+                if (!error.isAbort()) {
+                    this.renderError('recent', error);
+                }
+            });
+        },
+
+        /**
+         * Show the events of one type within the timeline's range.
+         *
+         * @param {string} eventType The event type.
+         */
+        showEventTypeInRange: function(eventType) {
+            const timeline = this.timeline;
+            if (!timeline || !timeline.from || !timeline.to) {
+                return;
+            }
+
+            this.showEventsForRange(this.parseUtcTime(timeline.from), this.parseUtcTime(timeline.to), eventType);
+        },
+
+        /**
+         * Stop showing a drilled-down selection in the recent events table.
+         */
+        clearDrillDown: function() {
+            if (!this.drillDown) {
+                return;
+            }
+
+            this.drillDown = null;
+            statusSentry.api.abort('dashboard-drilldown');
+            this.container.find('.status-sentry-drilldown').prop('hidden', true);
+
+            this.fetchRecentEvents();
+        },
+
+        /**
+         * Convert an event from the events endpoint to a recent events row.
+         *
+         * @param {Object} event The event from the events endpoint.
+         * @return {Object} The event in the dashboard/recent format.
+         */
+        toRecentEvent: function(event) {
+            const features = {
+                critical: 'Db monitoring',
+                conflict: 'Conflict detection',
+                performance: 'Performance monitoring'
+            };
+
+            return Object.assign({}, event, {
+                feature_name: features[event.event_type] || 'Core monitoring',
+                hook: `${event.source}/${event.context}`,
+                event_time: event.timestamp
+            });
+        },
+
+        /**
+         * Let users click or drag across the timeline to zoom in.
+         *
+         * A click on a bar zooms into its bucket and shows the events of that
+         * type; a click elsewhere zooms into the bucket; dragging selects a run
+         * of buckets.
+         *
+         * @param {HTMLCanvasElement} canvas The timeline canvas.
+         * @param {Object} instance The timeline widget instance.
+         */
+        setupTimelineBrush: function(canvas, instance) {
+            const $canvas = $(canvas);
+            const wrapper = $canvas.parent();
+            let brush = wrapper.find('.status-sentry-brush');
+            let start = null;
+
+            if (!brush.length) {
+                brush = $('<div class="status-sentry-brush" hidden></div>');
+                wrapper.append(brush);
+            }
+
+            // A widget limited to one event type lists only those events
+            const widgetType = instance.settings.event_type && instance.settings.event_type !== 'all' ? instance.settings.event_type : null;
+
+            const indexAt = (x) => {
+                const chart = this.timelineCharts[instance.id];
+                const index = Math.round(chart.scales.x.getValueForPixel(x));
+                return Math.max(0, Math.min(chart.data.labels.length - 1, index));
+            };
+
+            const offsetX = (e) => e.clientX - canvas.getBoundingClientRect().left;
+
+            // Handlers are namespaced so re-rendering the chart does not stack them
+            $canvas.off('.statusSentryBrush');
+
+            $canvas.on('mousedown.statusSentryBrush', (e) => {
+                if (!this.timeline || !this.timeline.buckets) {
+                    return;
+                }
+                start = offsetX(e);
+            });
+
+            $canvas.on('mousemove.statusSentryBrush', (e) => {
+                if (start === null) {
+                    return;
+                }
+
+                const current = offsetX(e);
+                brush.css({
+                    left: canvas.offsetLeft + Math.min(start, current),
+                    top: canvas.offsetTop,
+                    width: Math.abs(current - start),
+                    height: canvas.offsetHeight
+                }).prop('hidden', Math.abs(current - start) < 5);
+            });
+
+            $canvas.on('mouseup.statusSentryBrush mouseleave.statusSentryBrush', (e) => {
+                if (start === null) {
+                    return;
+                }
+
+                const end = offsetX(e);
+                const startX = start;
+                start = null;
+                brush.prop('hidden', true);
+
+                if (e.type === 'mouseleave') {
+                    return;
+                }
+
+                if (Math.abs(end - startX) >= 5) {
+                    this.zoomToBuckets(indexAt(startX), indexAt(end), widgetType);
+                    return;
+                }
+
+                // A click on a bar also narrows the events to that bar's type
+                const chart = this.timelineCharts[instance.id];
+                const elements = chart.getElementsAtEventForMode(e.originalEvent, 'nearest', { intersect: true }, false);
+                const eventType = elements.length ? chart.data.datasets[elements[0].datasetIndex].label.toLowerCase() : widgetType;
+                const index = elements.length ? elements[0].index : indexAt(end);
+
+                this.zoomToBuckets(index, index, eventType);
+            });
+        },
+
+        /**
+         * Parse a UTC "Y-m-d H:i:s" timestamp.
+         *
+         * @param {string} value The timestamp.
+         * @return {number|null} Unix seconds, or null if the value is invalid.
+         */
+        parseUtcTime: function(value) {
+            const time = Date.parse(String(value || '').replace(' ', 'T') + 'Z');
+            return isNaN(time) ? null : Math.floor(time / 1000);
+        },
+
+        /**
+         * Format Unix seconds as a UTC "Y-m-d H:i:s" timestamp.
+         *
+         * @param {number} time Unix seconds.
+         * @return {string} The timestamp.
+         */
+        formatUtcTime: function(time) {
+            return new Date(time * 1000).toISOString().substring(0, 19).replace('T', ' ');
+        },
+
+        /**
+         * Format a timeline bucket start in the browser's time zone.
+         *
+         * @param {number} time The bucket start (Unix seconds).
+         * @param {number} seconds The bucket length in seconds.
+         * @return {string} The label.
+         */
+        formatBucketLabel: function(time, seconds) {
+            const date = new Date(time * 1000);
+
+            if (seconds >= 86400) {
+                return date.toLocaleDateString();
+            }
+
+            return date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        },
+
+        /**
+         * Describe a time range in the browser's time zone.
+         *
+         * @param {number} from The start of the range (Unix seconds).
+         * @param {number} to The end of the range (Unix seconds).
+         * @return {string} The description.
+         */
+        formatRangeDescription: function(from, to) {
+            const options = { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+            return `${new Date(from * 1000).toLocaleString([], options)} – ${new Date(to * 1000).toLocaleString([], options)}`;
+        },
+
+        /**
+         * Render event type distribution chart.
+         *
+         * @param {string} canvasId - The ID of the canvas element.
+         * @param {Object} eventTypes - The event type counts.
+         */
+        renderEventTypeChart: function(canvasId, eventTypes) {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas || !window.Chart) {
+                console.error('Canvas element or Chart.js not found');
+                return;
+            }
+
+            $(canvas).closest('.status-sentry-chart').removeClass('is-unavailable');
+
+            // Prepare data for the chart
+            const labels = [];
+            const data = [];
+            const backgroundColors = [];
+
+            const colors = this.eventTypeColors;
+
+            // Process event types
+            for (const [type, count] of Object.entries(eventTypes)) {
+                if (count > 0) {
+                    labels.push(type.charAt(0).toUpperCase() + type.slice(1));
+                    data.push(count);
+                    backgroundColors.push(colors[type] || 'rgba(128, 128, 128, 0.7)');
+                }
+            }
+
+            // If no data, add a placeholder
+            if (data.length === 0) {
+                labels.push('No Events');
+                data.push(1);
+                backgroundColors.push('rgba(200, 200, 200, 0.7)');
+            }
+
+            // Create the chart
+            const ctx = canvas.getContext('2d');
+
+            // Destroy existing chart if it exists
+            if (this.eventTypeChart) {
+                this.eventTypeChart.destroy();
+            }
+
+            // Keep the type of each segment for drill-down
+            const types = Object.keys(eventTypes).filter(type => eventTypes[type] > 0);
+
+            this.eventTypeChart = new Chart(ctx, {
+                type: 'doughnut',
+                data: {
+                    labels: labels,
+                    datasets: [{
+                        data: data,
+                        backgroundColor: backgroundColors,
+                        borderWidth: 1
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    onClick: (e, elements) => {
+                        if (elements.length && types[elements[0].index]) {
+                            this.showEventTypeInRange(types[elements[0].index]);
+                        }
+                    },
+                    onHover: (e, elements) => {
+                        canvas.style.cursor = elements.length && types.length ? 'pointer' : 'default';
+                    },
+                    plugins: {
+                        legend: {
+                            position: 'right',
+                            labels: {
+                                boxWidth: 12,
+                                padding: 10
+                            }
+                        },
+                        tooltip: {
+                            callbacks: {
+                                label: function(context) {
+                                    const label = context.label || '';
+                                    const value = context.raw || 0;
+                                    return `${label}: ${value}`;
+                                }
+                            }
+                        }
+                    },
+                    layout: {
+                        padding: {
+                            top: 10,
+                            right: 10,
+                            bottom: 10,
+                            left: 10
+                        }
+                    }
+                }
+            });
+        },
+
+        /**
+         * Render the event timeline widgets.
+         *
+         * @param {Object} timeline - The timeline data.
+         */
+        renderTimelines: function(timeline) {
+            // Bucket starts are in UTC; show them in the browser's time zone
+            this.timeline = timeline;
+            if (timeline.buckets) {
+                timeline.labels = timeline.buckets.map(bucket => this.formatBucketLabel(this.parseUtcTime(bucket), timeline.bucket_seconds));
+            }
+
+            this.layout.filter(instance => instance.type === 'timeline').forEach(instance => this.renderTimelineChart(instance));
+        },
+
+        /**
+         * Render the chart of an event timeline widget.
+         *
+         * Each widget shows the shared timeline, limited to its event type.
+         * The chart gets its own copy of the data, so the live stream can
+         * add events to every chart.
+         *
+         * @param {Object} instance The timeline widget instance.
+         */
+        renderTimelineChart: function(instance) {
+            const canvas = this.getWidgetElement(instance.id).find('canvas').get(0);
+            const timeline = this.timeline;
+            if (!canvas || !window.Chart || !timeline) {
+                return;
+            }
+
+            $(canvas).closest('.status-sentry-chart').removeClass('is-unavailable');
+
+            // Create the chart
+            const ctx = canvas.getContext('2d');
+
+            // Destroy existing chart if it exists
+            if (this.timelineCharts[instance.id]) {
+                this.timelineCharts[instance.id].destroy();
+            }
+
+            const eventType = instance.settings.event_type;
+            const datasets = (timeline.datasets || [])
+                .filter(dataset => !eventType || eventType === 'all' || dataset.label.toLowerCase() === eventType)
+                .map(dataset => Object.assign({}, dataset, { data: dataset.data.slice() }));
+
+            this.timelineCharts[instance.id] = new Chart(ctx, {
+                type: 'bar',
+                data: {
+                    labels: (timeline.labels || []).slice(),
+                    datasets: datasets
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        x: {
+                            stacked: true,
+                            title: {
+                                display: true,
+                                text: timeline.bucket_seconds && timeline.bucket_seconds < 86400 ? 'Time' : 'Date'
+                            }
+                        },
+                        y: {
+                            stacked: true,
+                            beginAtZero: true,
+                            title: {
+                                display: true,
+                                text: 'Event Count'
+                            }
+                        }
+                    },
+                    plugins: {
+                        legend: {
+                            position: 'top',
+                            labels: {
+                                boxWidth: 12,
+                                padding: 10
+                            }
+                        },
+                        tooltip: {
+                            mode: 'index',
+                            intersect: false
+                        }
+                    },
+                    layout: {
+                        padding: {
+                            top: 10,
+                            right: 10,
+                            bottom: 10,
+                            left: 10
+                        }
+                    }
+                }
+            });
+
+            this.setupTimelineBrush(canvas, instance);
+        },
+
+        /**
+         * Render system health metrics.
+         *
+         * @param {string} selector - The selector for the container element.
+         * @param {Object} health - The health metrics.
+         */
+        renderSystemHealth: function(selector, health) {
+            const container = $(selector);
+            if (!container.length) {
+                console.error('System health container not found');
+                return;
+            }
+
+            // Create health grid
+            const grid = $('<div class="status-sentry-health-grid"></div>');
+
+            // PHP Version
+            grid.append(this.createHealthItem(
+                'PHP Version',
+                health.php_version,
+                health.php_status,
+                health.php_status === 'error' ? 'Outdated PHP version' :
+                health.php_status === 'warning' ? 'Consider upgrading PHP' : 'PHP version is up to date'
+            ));
+
+            // WordPress Version
+            grid.append(this.createHealthItem(
+                'WordPress Version',
+                health.wp_version,
+                health.wp_status,
+                health.wp_status === 'warning' ? 'Update available' : 'WordPress is up to date'
+            ));
+
+            // Memory Usage
+            grid.append(this.createHealthItem(
+                'Memory Usage',
+                `${health.memory_usage} / ${health.memory_limit}`,
+                health.memory_status,
+                `${health.memory_usage_percent}% of available memory used`
+            ));
+
+            // Max Execution Time
+            if (health.max_execution_time) {
+                grid.append(this.createHealthItem(
+                    'Max Execution Time',
+                    `${health.max_execution_time}s`,
+                    health.execution_status,
+                    health.execution_status === 'warning' ? 'Consider increasing max execution time' : 'Execution time limit is adequate'
+                ));
+            }
+
+            // Database Version
+            if (health.db_version) {
+                grid.append(this.createHealthItem(
+                    'Database Version',
+                    health.db_version,
+                    health.db_status,
+                    'Database version is adequate'
+                ));
+            }
+
+            // Add the grid to the container
+            container.empty().append(grid);
+        },
+
+        /**
+         * Create a health item element.
+         *
+         * @param {string} title - The title of the health item.
+         * @param {string} value - The value of the health item.
+         * @param {string} status - The status of the health item (good, warning, error).
+         * @param {string} description - The description of the health item.
+         * @return {jQuery} The health item element.
+         */
+        createHealthItem: function(title, value, status, description) {
+            return $(`
+                <div class="status-sentry-health-item status-${status}">
+                    <h4>${title}</h4>
+                    <div class="status-sentry-health-value">${value}</div>
+                    <div class="status-sentry-health-description">${description}</div>
+                </div>
+            `);
+        },
+
+        /**
+         * Generate random timeline data for demo mode.
+         *
+         * @return {Object} The dummy timeline data.
+         */
+        generateDummyTimelineData: function() {
+            const dates = [];
+            for (let i = 6; i >= 0; i--) {
+                const date = new Date();
+                date.setDate(date.getDate() - i);
+                dates.push(date.toISOString().split('T')[0]);
+            }
+
+            const eventTypes = ['info', 'warning', 'error', 'critical', 'performance', 'security', 'conflict', 'health'];
+            const colors = {
+                info: 'rgba(54, 162, 235, 0.7)',
+                warning: 'rgba(255, 206, 86, 0.7)',
+                error: 'rgba(255, 99, 132, 0.7)',
+                critical: 'rgba(153, 51, 51, 0.7)',
+                performance: 'rgba(75, 192, 192, 0.7)',
+                security: 'rgba(153, 102, 255, 0.7)',
+                conflict: 'rgba(255, 159, 64, 0.7)',
+                health: 'rgba(102, 204, 102, 0.7)'
+            };
+
+            const datasets = [];
+            eventTypes.forEach(type => {
+                const data = [];
+                for (let i = 0; i < 7; i++) {
+                    // Generate random counts, with more common event types having higher counts
+                    switch (type) {
+                        case 'info':
+                        case 'warning':
+                            data.push(Math.floor(Math.random() * 6));
+                            break;
+                        case 'error':
+                        case 'performance':
+                            data.push(Math.floor(Math.random() * 4));
+                            break;
+                        default:
+                            data.push(Math.floor(Math.random() * 2));
+                            break;
+                    }
+                }
+
+                datasets.push({
+                    label: type.charAt(0).toUpperCase() + type.slice(1),
+                    data: data,
+                    backgroundColor: colors[type],
+                    borderColor: colors[type],
+                    borderWidth: 1
+                });
+            });
+
+            return {
+                labels: dates,
+                datasets: datasets
+            };
+        },
+
+        /**
+         * Render the dashboard layout.
+         */
+        renderDashboard: function() {
+            // Only create the layout once
+            if (this.container.hasClass('loaded')) {
+                return;
+            }
+
+            // Create dashboard layout
+            const layout = `
+                <div class="status-sentry-dashboard-header">
+                    <button id="status-sentry-refresh-dashboard" class="button button-primary">
+                        <span class="dashicons dashicons-update"></span> Refresh Dashboard
+                    </button>
+                    <button type="button" id="status-sentry-customize-dashboard" class="button" aria-pressed="false">
+                        <span class="dashicons dashicons-layout"></span> Customize
+                    </button>
+                    <span class="status-sentry-last-refresh">Last refreshed: Just now</span>
+                    <span class="status-sentry-live-status"></span>
+                </div>
+                <div class="status-sentry-customize-toolbar" hidden>
+                    <label>
+                        <span class="screen-reader-text">Add a widget</span>
+                        <select class="status-sentry-add-widget"></select>
+                    </label>
+                    <button type="button" class="button status-sentry-reset-layout">Reset layout</button>
+                    <span class="description">Drag widgets by their handle to reorder them.</span>
+                </div>
+                <div class="status-sentry-dashboard-grid"></div>
+            `;
+
+            this.container.html(layout);
+            this.container.addClass('loaded');
+
+            // The live status may have been set before the layout existed
+            if (this.liveStatus) {
+                this.setLiveStatus(this.liveStatus);
+            }
+
+            this.layout.forEach(instance => this.mountWidget(instance));
+
+            this.container.find('.status-sentry-dashboard-grid').sortable({
+                items: '> .status-sentry-widget',
+                handle: '.status-sentry-widget-handle',
+                placeholder: 'status-sentry-widget-placeholder',
+                forcePlaceholderSize: true,
+                tolerance: 'pointer',
+                update: () => this.readWidgetOrder()
+            });
+        },
+
+        /**
+         * Register a dashboard widget.
+         *
+         * Other plugins register widgets from a script that depends on
+         * 'status-sentry-dashboard':
+         *
+         *     window.statusSentryDashboard.registerWidget('my_widget', {
+         *         title: 'My Widget',
+         *         size: 'medium',
+         *         render: function(body, instance) { ... }
+         *     });
+         *
+         * @param {string} type The widget type: lowercase letters, digits, dashes and underscores.
+         * @param {Object} definition The widget:
+         *     - title {string|Function} The title, or a function of the instance returning it.
+         *     - size {string} The default size: 'small', 'medium', 'large' or 'full'.
+         *     - multiple {boolean} Whether users can add more than one instance.
+         *     - settings {Object} Per-instance settings, keyed by name, each
+         *       { label, default, options: { value: label } }.
+         *     - render {Function} Builds the widget in its body: (body, instance).
+         *     - refresh {Function} Optional. Loads the widget's data after it is rendered,
+         *       and again whenever the dashboard refreshes.
+         *     - destroy {Function} Optional. Cleans up before the body is removed.
+         * @return {boolean} Whether the widget was registered.
+         */
+        registerWidget: function(type, definition) {
+            if (!/^[a-z0-9_-]{1,64}$/.test(type) || !definition || typeof definition.render !== 'function') {
+                console.error('Status Sentry: invalid dashboard widget', type);
+                return false;
+            }
+
+            this.widgets[type] = Object.assign({
+                title: type,
+                size: 'medium',
+                multiple: false,
+                settings: {}
+            }, definition);
+
+            // Widgets registered after the dashboard was laid out are added straight away
+            if (this.layout && this.container && this.container.hasClass('loaded')) {
+                this.addMissingWidgets();
+                this.layout.filter(instance => instance.type === type).forEach((instance) => {
+                    this.unmountWidget(instance);
+                    this.mountWidget(instance);
+                });
+            }
+
+            return true;
+        },
+
+        /**
+         * Register the built-in widgets, in their default order.
+         */
+        registerDefaultWidgets: function() {
+            const eventTypeOptions = { all: 'All event types' };
+            Object.keys(this.eventTypeColors).forEach((type) => {
+                eventTypeOptions[type] = type.charAt(0).toUpperCase() + type.slice(1);
+            });
+
+            this.registerWidget('recommendations', {
+                title: 'Recommendations',
+                size: 'full',
+                render: (body) => {
+                    body.append('<div class="status-sentry-section-status" data-section="overview"></div>');
+                    body.append('<div class="status-sentry-recommendations"></div>');
+                }
+            });
+
+            this.registerWidget('kpis', {
+                title: 'Key Metrics',
+                size: 'full',
+                render: (body) => {
+                    body.append('<div class="status-sentry-section-status" data-section="overview"></div>');
+                    body.append('<div class="status-sentry-kpi-cards"></div>');
+                }
+            });
+
+            this.registerWidget('event_filter', {
+                title: 'Recent Events Filter',
+                size: 'full',
+                render: (body) => {
+                    const select = $('<select id="status-sentry-event-type-filter"></select>').attr('aria-label', 'Event type');
+                    Object.keys(eventTypeOptions).forEach((type) => {
+                        select.append($('<option></option>').val(type).text(eventTypeOptions[type]));
+                    });
+
+                    body.addClass('status-sentry-filters').append(select);
+                    select.on('change', () => this.filterRecentEvents(select.val()));
+                }
+            });
+
+            this.registerWidget('event_types', {
+                title: 'Event Types Distribution',
+                size: 'medium',
+                render: (body) => {
+                    body.addClass('status-sentry-chart').append(
+                        '<div class="status-sentry-section-status" data-section="charts"></div>',
+                        '<p class="status-sentry-unavailable-message"></p>',
+                        '<canvas id="eventTypeChart"></canvas>'
+                    );
+
+                    if (this.eventTypes) {
+                        this.renderEventTypeChart('eventTypeChart', this.eventTypes);
+                    }
+                },
+                destroy: () => {
+                    if (this.eventTypeChart) {
+                        this.eventTypeChart.destroy();
+                        this.eventTypeChart = null;
+                    }
+                }
+            });
+
+            this.registerWidget('timeline', {
+                title: (instance) => {
+                    const type = instance.settings.event_type;
+                    return type && type !== 'all' ? `Event Timeline: ${eventTypeOptions[type] || type}` : 'Event Timeline';
+                },
+                size: 'medium',
+                multiple: true,
+                settings: {
+                    event_type: { label: 'Event type', default: 'all', options: eventTypeOptions }
+                },
+                render: (body, instance) => {
+                    body.addClass('status-sentry-chart status-sentry-timeline-chart').append(`
+                        <div class="status-sentry-section-status" data-section="charts"></div>
+                        <div class="status-sentry-range-picker" role="group" aria-label="Time range">
+                            <button type="button" class="button button-small" data-range="1h">1h</button>
+                            <button type="button" class="button button-small" data-range="24h">24h</button>
+                            <button type="button" class="button button-small" data-range="7d">7d</button>
+                            <button type="button" class="button button-small" data-range="30d">30d</button>
+                            <button type="button" class="button button-small" data-range="custom">Custom</button>
+                            <button type="button" class="button button-small status-sentry-reset-zoom" hidden>Reset zoom</button>
+                        </div>
+                        <form class="status-sentry-range-custom" hidden>
+                            <label>From <input type="datetime-local" name="from" required></label>
+                            <label>To <input type="datetime-local" name="to" required></label>
+                            <button type="submit" class="button button-small">Apply</button>
+                        </form>
+                        <p class="status-sentry-unavailable-message"></p>
+                        <div class="status-sentry-timeline-canvas">
+                            <canvas></canvas>
+                        </div>
+                        <p class="description">Click a bar or drag across the chart to zoom in and list its events.</p>
+                    `);
+
+                    this.getWidgetElement(instance.id).find('.status-sentry-widget-title').append(
+                        ' <span class="status-sentry-timeline-range-label"></span>'
+                    );
+                    this.updateRangeControls();
+
+                    if (this.timeline) {
+                        this.renderTimelineChart(instance);
+                    }
+                },
+                destroy: (body, instance) => {
+                    if (this.timelineCharts[instance.id]) {
+                        this.timelineCharts[instance.id].destroy();
+                        delete this.timelineCharts[instance.id];
+                    }
+                }
+            });
+
+            this.registerWidget('health', {
+                title: 'System Health',
+                size: 'full',
+                render: (body) => {
+                    body.addClass('status-sentry-system-health').append(
+                        '<div class="status-sentry-section-status" data-section="health"></div>',
+                        '<div id="status-sentry-system-health"></div>'
+                    );
+                }
+            });
+
+            this.registerWidget('resources', {
+                title: 'Resources',
+                size: 'full',
+                render: (body) => {
+                    body.addClass('status-sentry-resources').append(`
+                        <div class="status-sentry-resources-status"></div>
+                        <form class="status-sentry-resources-form">
+                            <table class="widefat striped status-sentry-resource-budgets">
+                                <thead>
+                                    <tr>
+                                        <th>Tier</th>
+                                        <th>Memory budget (MB)</th>
+                                        <th>Memory used</th>
+                                        <th>Time budget (s)</th>
+                                        <th>Time used</th>
+                                        <th>Query budget</th>
+                                    </tr>
+                                </thead>
+                                <tbody></tbody>
+                            </table>
+                            <p class="status-sentry-resource-thresholds">
+                                <label>Run garbage collection from
+                                    <input type="number" name="memory_threshold" data-setting="memory_threshold" min="50" max="95" step="1" required>
+                                    % of the memory limit</label>
+                                <label>GC cycles
+                                    <input type="number" name="cycles" data-setting="cycles" min="1" max="10" step="1" required></label>
+                                <label>Hold tasks back above
+                                    <input type="number" name="cpu_threshold" data-setting="cpu_threshold" min="30" max="90" step="1" required>
+                                    % CPU load</label>
+                            </p>
+                            <p class="status-sentry-resource-actions">
+                                <button type="submit" class="button button-primary" disabled>Save changes</button>
+                                <button type="button" class="button status-sentry-resources-revert" disabled>Revert</button>
+                            </p>
+                        </form>
+                        <div class="status-sentry-resource-columns">
+                            <div class="status-sentry-resource-load">
+                                <h4>CPU and system load</h4>
+                                <div class="status-sentry-resource-load-canvas">
+                                    <canvas></canvas>
+                                </div>
+                                <p class="description status-sentry-resource-load-note"></p>
+                            </div>
+                            <div class="status-sentry-resource-gc">
+                                <h4>Garbage collection</h4>
+                                <div class="status-sentry-resource-gc-runs"></div>
+                            </div>
+                        </div>
+                    `);
+
+                    this.startResourceLoad();
+                },
+                refresh: () => this.fetchResources(),
+                destroy: () => this.stopResourceLoad()
+            });
+
+            this.registerWidget('queue', {
+                title: 'Event Queue',
+                size: 'full',
+                render: (body) => {
+                    body.addClass('status-sentry-queue').append(`
+                        <div class="status-sentry-queue-status"></div>
+                        <div class="status-sentry-queue-stats"></div>
+                        <h4>Throughput, last 24 hours</h4>
+                        <div class="status-sentry-queue-throughput"></div>
+                        <div class="status-sentry-queue-actions">
+                            <button type="button" class="button status-sentry-queue-process" disabled>Process a batch now</button>
+                            <button type="button" class="button status-sentry-queue-retry-all" disabled>Retry all failed</button>
+                            <form class="status-sentry-queue-purge">
+                                <label for="status-sentry-queue-purge-status">Purge</label>
+                                <select id="status-sentry-queue-purge-status" name="queue_purge_status">
+                                    <option value="processed">processed</option>
+                                    <option value="failed">failed</option>
+                                </select>
+                                <label for="status-sentry-queue-purge-age">events older than</label>
+                                <select id="status-sentry-queue-purge-age" name="queue_purge_age">
+                                    <option value="3600">1 hour</option>
+                                    <option value="86400" selected>1 day</option>
+                                    <option value="604800">7 days</option>
+                                    <option value="2592000">30 days</option>
+                                </select>
+                                <button type="submit" class="button" disabled>Purge</button>
+                            </form>
+                        </div>
+                        <p class="status-sentry-queue-result description" role="status"></p>
+                        <h4>Failed events</h4>
+                        <div class="status-sentry-queue-failed"></div>
+                    `);
+                },
+                refresh: () => this.fetchQueue()
+            });
+
+            this.registerWidget('cache', {
+                title: 'Query Cache',
+                size: 'full',
+                render: (body) => {
+                    body.addClass('status-sentry-cache').append(`
+                        <div class="status-sentry-cache-status"></div>
+                        <div class="status-sentry-cache-header">
+                            <span class="status-sentry-cache-summary"></span>
+                            <button type="button" class="button status-sentry-cache-cleanup" disabled>Clean up expired</button>
+                        </div>
+                        <div class="status-sentry-cache-groups"></div>
+                        <p class="status-sentry-cache-timing description" role="status"></p>
+                    `);
+                },
+                refresh: () => this.fetchCache()
+            });
+
+            this.registerWidget('conflicts', {
+                title: 'Conflicts',
+                size: 'full',
+                render: (body, instance) => {
+                    body.addClass('status-sentry-conflicts').append(`
+                        <div class="status-sentry-conflicts-header">
+                            <label for="status-sentry-conflict-status" class="screen-reader-text">Conflict status</label>
+                            <select id="status-sentry-conflict-status">
+                                <option value="open">Open</option>
+                                <option value="acknowledged">Acknowledged</option>
+                                <option value="false_positive">False positives</option>
+                                <option value="all">All</option>
+                            </select>
+                        </div>
+                        <div class="status-sentry-conflicts-list"></div>
+                    `);
+
+                    this.getWidgetElement(instance.id).find('.status-sentry-widget-title').append(
+                        ' <span class="status-sentry-conflict-count"></span>'
+                    );
+                }
+            });
+
+            this.registerWidget('recent', {
+                title: 'Recent Events',
+                size: 'medium',
+                render: (body) => {
+                    body.addClass('status-sentry-recent-events').append(`
+                        <div class="status-sentry-section-status" data-section="recent"></div>
+                        <div class="status-sentry-drilldown notice notice-info inline" hidden>
+                            <p>
+                                <span class="status-sentry-drilldown-label"></span>
+                                <button type="button" class="button-link status-sentry-clear-drilldown">Back to recent events</button>
+                            </p>
+                        </div>
+                        <div class="status-sentry-events-table"></div>
+                        <div class="status-sentry-event-export"></div>
+                    `);
+
+                    window.statusSentryEventExport.attach(body.find('.status-sentry-event-export'), () => {
+                        return { type: 'monitoring', filters: this.getExportFilters() };
+                    });
+                }
+            });
+
+            this.registerWidget('baselines', {
+                title: 'System Baselines',
+                size: 'medium',
+                render: (body) => {
+                    body.addClass('status-sentry-baselines').append(`
+                        <div class="status-sentry-baselines-header">
+                            <button id="status-sentry-refresh-baselines" class="button">
+                                <span class="dashicons dashicons-update"></span> Refresh Baselines
+                            </button>
+                            <div class="status-sentry-section-status" data-section="baselines"></div>
+                        </div>
+                        <div class="status-sentry-baselines-content"></div>
+                    `);
+                }
+            });
+        },
+
+        /**
+         * Load the user's layout, or the default layout if they haven't saved one.
+         *
+         * Saved instances of widgets that aren't registered are kept, so a
+         * widget keeps its place while the plugin adding it is inactive.
+         *
+         * @return {Array} The widget instances in dashboard order.
+         */
+        loadLayout: function() {
+            const config = window.statusSentryDashboardConfig || {};
+
+            if (!Array.isArray(config.layout)) {
+                this.layout = [];
+                this.addMissingWidgets();
+                return this.layout;
+            }
+
+            this.layout = config.layout.map((instance) => {
+                const definition = this.widgets[instance.type];
+
+                return Object.assign({}, instance, {
+                    settings: Object.assign(definition ? this.getDefaultWidgetSettings(definition) : {}, instance.settings || {})
+                });
+            });
+
+            // Widgets registered since the layout was saved
+            this.addMissingWidgets();
+
+            return this.layout;
+        },
+
+        /**
+         * Save the layout for the current user.
+         *
+         * @return {Promise} A promise that resolves when the layout is saved
+         */
+        saveLayout: function() {
+            return statusSentry.api.put('dashboard/layout', { layout: this.layout }, { key: 'dashboard-layout' }).catch((error) => {
+                if (error.isAbort()) {
+                    return;
+                }
+
+                this.logError('Error saving dashboard layout:', error.type, error.message);
+                window.alert('The dashboard layout could not be saved. ' + this.describeError(error));
+            });
+        },
+
+        /**
+         * Go back to the default layout.
+         */
+        resetLayout: function() {
+            if (!window.confirm('Reset the dashboard to the default widgets and layout?')) {
+                return;
+            }
+
+            statusSentry.api.delete('dashboard/layout').then(() => {
+                this.layout.forEach(instance => this.unmountWidget(instance));
+
+                window.statusSentryDashboardConfig = { layout: null };
+                this.loadLayout();
+                this.layout.forEach(instance => this.mountWidget(instance));
+                this.updateAddWidgetOptions();
+
+                this.fetchData();
+            }).catch((error) => {
+                this.logError('Error resetting dashboard layout:', error.type, error.message);
+                window.alert('The dashboard layout could not be reset. ' + this.describeError(error));
+            });
+        },
+
+        /**
+         * Create a widget instance with the widget's defaults.
+         *
+         * @param {string} type The widget type.
+         * @return {Object} The instance: id, type, size, hidden and settings.
+         */
+        createWidgetInstance: function(type) {
+            const definition = this.widgets[type];
+            const ids = (this.layout || []).map(instance => instance.id);
+            let id = type;
+
+            for (let n = 2; ids.indexOf(id) !== -1; n++) {
+                id = `${type}-${n}`;
+            }
+
+            return {
+                id: id,
+                type: type,
+                size: definition.size,
+                hidden: false,
+                settings: this.getDefaultWidgetSettings(definition)
+            };
+        },
+
+        /**
+         * Get the default settings of a widget.
+         *
+         * @param {Object} definition The widget.
+         * @return {Object} The default value of each setting.
+         */
+        getDefaultWidgetSettings: function(definition) {
+            const settings = {};
+
+            Object.keys(definition.settings || {}).forEach((key) => {
+                settings[key] = definition.settings[key].default;
+            });
+
+            return settings;
+        },
+
+        /**
+         * Add an instance of every registered widget that isn't in the layout.
+         *
+         * Users hide widgets rather than removing the last instance, so a
+         * missing widget is one they haven't seen yet.
+         */
+        addMissingWidgets: function() {
+            Object.keys(this.widgets).forEach((type) => {
+                if (!this.layout.some(instance => instance.type === type)) {
+                    this.layout.push(this.createWidgetInstance(type));
+                }
+            });
+        },
+
+        /**
+         * Get a widget instance.
+         *
+         * @param {string} id The instance ID.
+         * @return {Object|undefined} The instance.
+         */
+        getWidgetInstance: function(id) {
+            return this.layout.find(instance => instance.id === id);
+        },
+
+        /**
+         * Get a widget instance's element.
+         *
+         * @param {string} id The instance ID.
+         * @return {jQuery} The element; empty if the widget isn't on the dashboard.
+         */
+        getWidgetElement: function(id) {
+            return this.container.find('.status-sentry-widget').filter((index, element) => $(element).attr('data-widget-id') === id);
+        },
+
+        /**
+         * Get a widget instance's title.
+         *
+         * @param {Object} instance The instance.
+         * @return {string} The title.
+         */
+        getWidgetTitle: function(instance) {
+            const title = this.widgets[instance.type].title;
+            return typeof title === 'function' ? title(instance) : title;
+        },
+
+        /**
+         * Add a widget instance to the dashboard, after the instances before it in the layout.
+         *
+         * Instances of widgets that aren't registered are skipped.
+         *
+         * @param {Object} instance The instance.
+         */
+        mountWidget: function(instance) {
+            const definition = this.widgets[instance.type];
+            if (!definition) {
+                return;
+            }
+
+            const element = this.createWidgetFrame(instance);
+            const previous = this.layout.slice(0, this.layout.indexOf(instance)).reverse()
+                .map(other => this.getWidgetElement(other.id))
+                .find(other => other.length);
+
+            if (previous) {
+                previous.after(element);
+            } else {
+                this.container.find('.status-sentry-dashboard-grid').prepend(element);
+            }
+
+            try {
+                definition.render(element.find('.status-sentry-widget-body'), instance);
+
+                if (typeof definition.refresh === 'function') {
+                    definition.refresh(element.find('.status-sentry-widget-body'), instance);
+                }
+            } catch (e) {
+                console.error(`Status Sentry: error rendering the ${instance.type} widget`, e);
+                element.find('.status-sentry-widget-body').html(
+                    $('<div class="status-sentry-error"></div>').append($('<p></p>').text('This widget could not be displayed.'))
+                );
+            }
+
+            // Sections may have reported their state before the widget existed
+            Object.keys(this.provenance).forEach(section => this.renderProvenance(section));
+        },
+
+        /**
+         * Remove a widget instance from the dashboard.
+         *
+         * @param {Object} instance The instance.
+         */
+        unmountWidget: function(instance) {
+            const element = this.getWidgetElement(instance.id);
+            const definition = this.widgets[instance.type];
+
+            if (element.length && definition && typeof definition.destroy === 'function') {
+                definition.destroy(element.find('.status-sentry-widget-body'), instance);
+            }
+
+            element.remove();
+        },
+
+        /**
+         * Create the frame around a widget: its header, controls and empty body.
+         *
+         * @param {Object} instance The instance.
+         * @return {jQuery} The widget element.
+         */
+        createWidgetFrame: function(instance) {
+            const element = $('<div class="status-sentry-widget"></div>')
+                .addClass(`status-sentry-widget-${instance.type} status-sentry-widget-size-${instance.size}`)
+                .toggleClass('is-hidden', !!instance.hidden)
+                .attr('data-widget-id', instance.id);
+
+            const header = $('<div class="status-sentry-widget-header"></div>').append(
+                $('<span class="status-sentry-widget-handle dashicons dashicons-move" aria-hidden="true"></span>'),
+                $('<h3 class="status-sentry-widget-title"></h3>').append(
+                    $('<span class="status-sentry-widget-title-text"></span>').text(this.getWidgetTitle(instance))
+                ),
+                this.createWidgetControls(instance)
+            );
+
+            return element.append(header, '<div class="status-sentry-widget-body"></div>');
+        },
+
+        /**
+         * Create the controls shown on a widget while customizing.
+         *
+         * @param {Object} instance The instance.
+         * @return {jQuery} The controls.
+         */
+        createWidgetControls: function(instance) {
+            const definition = this.widgets[instance.type];
+            const controls = $('<div class="status-sentry-widget-controls"></div>');
+            const sizes = { small: 'Small', medium: 'Medium', large: 'Large', full: 'Full width' };
+
+            const size = $('<select data-widget-setting="size"></select>').attr('aria-label', 'Widget size');
+            Object.keys(sizes).forEach((key) => {
+                size.append($('<option></option>').val(key).text(sizes[key]));
+            });
+            controls.append(size.val(instance.size));
+
+            Object.keys(definition.settings).forEach((key) => {
+                const setting = definition.settings[key];
+                const select = $('<select></select>').attr('data-widget-option', key).attr('aria-label', setting.label || key);
+
+                Object.keys(setting.options || {}).forEach((value) => {
+                    select.append($('<option></option>').val(value).text(setting.options[value]));
+                });
+
+                controls.append(select.val(instance.settings[key]));
+            });
+
+            controls.append(
+                $('<button type="button" class="button button-small" data-widget-action="move" data-offset="-1"></button>')
+                    .attr('aria-label', 'Move earlier').append('<span class="dashicons dashicons-arrow-up-alt2" aria-hidden="true"></span>'),
+                $('<button type="button" class="button button-small" data-widget-action="move" data-offset="1"></button>')
+                    .attr('aria-label', 'Move later').append('<span class="dashicons dashicons-arrow-down-alt2" aria-hidden="true"></span>'),
+                $('<button type="button" class="button button-small" data-widget-action="toggle"></button>').text(instance.hidden ? 'Show' : 'Hide')
+            );
+
+            if (definition.multiple) {
+                controls.append($('<button type="button" class="button-link button-link-delete" data-widget-action="remove"></button>').text('Remove'));
+            }
+
+            return controls;
+        },
+
+        /**
+         * Turn customizing the dashboard on or off.
+         */
+        toggleCustomize: function() {
+            this.customizing = !this.customizing;
+
+            this.container.toggleClass('is-customizing', this.customizing);
+            this.container.find('#status-sentry-customize-dashboard')
+                .attr('aria-pressed', this.customizing ? 'true' : 'false')
+                .toggleClass('button-primary', this.customizing);
+            this.container.find('.status-sentry-customize-toolbar').prop('hidden', !this.customizing);
+
+            this.updateAddWidgetOptions();
+        },
+
+        /**
+         * List the widgets users can add more instances of.
+         */
+        updateAddWidgetOptions: function() {
+            const select = this.container.find('.status-sentry-add-widget');
+            select.empty().append($('<option value=""></option>').text('Add a widget…'));
+
+            Object.keys(this.widgets).filter(type => this.widgets[type].multiple).forEach((type) => {
+                const title = this.getWidgetTitle({ type: type, settings: this.getDefaultWidgetSettings(this.widgets[type]) });
+                select.append($('<option></option>').val(type).text(title));
+            });
+        },
+
+        /**
+         * Add an instance of a widget at the end of the dashboard.
+         *
+         * @param {string} type The widget type.
+         */
+        addWidget: function(type) {
+            if (!this.widgets[type]) {
+                return;
+            }
+
+            const instance = this.createWidgetInstance(type);
+            this.layout.push(instance);
+            this.mountWidget(instance);
+
+            this.saveLayout();
+        },
+
+        /**
+         * Remove a widget instance, or hide it if it is the last of its type.
+         *
+         * @param {string} id The instance ID.
+         */
+        removeWidget: function(id) {
+            const instance = this.getWidgetInstance(id);
+            if (!instance) {
+                return;
+            }
+
+            if (!this.layout.some(other => other !== instance && other.type === instance.type)) {
+                this.toggleWidget(id);
+                return;
+            }
+
+            this.unmountWidget(instance);
+            this.layout.splice(this.layout.indexOf(instance), 1);
+            this.saveLayout();
+        },
+
+        /**
+         * Hide or show a widget instance.
+         *
+         * @param {string} id The instance ID.
+         */
+        toggleWidget: function(id) {
+            const instance = this.getWidgetInstance(id);
+            if (!instance) {
+                return;
+            }
+
+            instance.hidden = !instance.hidden;
+
+            const element = this.getWidgetElement(id).toggleClass('is-hidden', instance.hidden);
+            element.find('[data-widget-action="toggle"]').text(instance.hidden ? 'Show' : 'Hide');
+
+            this.saveLayout();
+        },
+
+        /**
+         * Resize a widget instance.
+         *
+         * @param {string} id The instance ID.
+         * @param {string} size 'small', 'medium', 'large' or 'full'.
+         */
+        resizeWidget: function(id, size) {
+            const instance = this.getWidgetInstance(id);
+            if (!instance) {
+                return;
+            }
+
+            this.getWidgetElement(id)
+                .removeClass(`status-sentry-widget-size-${instance.size}`)
+                .addClass(`status-sentry-widget-size-${size}`);
+            instance.size = size;
+
+            this.saveLayout();
+        },
+
+        /**
+         * Change a widget instance's setting and render it again.
+         *
+         * @param {string} id The instance ID.
+         * @param {string} key The setting name.
+         * @param {string} value The new value.
+         */
+        setWidgetOption: function(id, key, value) {
+            const instance = this.getWidgetInstance(id);
+            if (!instance) {
+                return;
+            }
+
+            instance.settings[key] = value;
+
+            // Render the widget again with the new setting
+            this.unmountWidget(instance);
+            this.mountWidget(instance);
+
+            this.saveLayout();
+        },
+
+        /**
+         * Move a widget instance one place earlier or later.
+         *
+         * @param {string} id The instance ID.
+         * @param {number} offset -1 to move it earlier, 1 to move it later.
+         */
+        moveWidget: function(id, offset) {
+            const element = this.getWidgetElement(id);
+            const sibling = offset < 0 ? element.prevAll('.status-sentry-widget').first() : element.nextAll('.status-sentry-widget').first();
+
+            if (!sibling.length) {
+                return;
+            }
+
+            if (offset < 0) {
+                sibling.before(element);
+            } else {
+                sibling.after(element);
+            }
+
+            element.find(`[data-widget-action="move"][data-offset="${offset}"]`).trigger('focus');
+            this.readWidgetOrder();
+        },
+
+        /**
+         * Update the layout to the order of the widgets on the dashboard, and save it.
+         *
+         * Instances of widgets that aren't registered keep their place
+         * relative to the ones before them.
+         */
+        readWidgetOrder: function() {
+            const order = this.container.find('.status-sentry-widget').map((index, element) => $(element).attr('data-widget-id')).get();
+            const mounted = order.map(id => this.getWidgetInstance(id));
+            const layout = [];
+
+            this.layout.forEach((instance) => {
+                if (order.indexOf(instance.id) === -1) {
+                    layout.push(instance);
+                } else {
+                    layout.push(mounted.shift());
+                }
+            });
+
+            this.layout = layout;
+            this.saveLayout();
+        },
+
+        /**
+         * Let widgets that load their own data refresh it.
+         */
+        refreshWidgets: function() {
+            this.layout.forEach((instance) => {
+                const definition = this.widgets[instance.type];
+                const element = this.getWidgetElement(instance.id);
+
+                if (definition && typeof definition.refresh === 'function' && element.length) {
+                    definition.refresh(element.find('.status-sentry-widget-body'), instance);
+                }
+            });
+        },
+
+        /**
+         * Get the events filters for an export from the dashboard.
+         *
+         * Exports the drilled-down selection if there is one, otherwise the
+         * timeline's range, limited to the event type filter.
+         *
+         * @return {Object} The events filters.
+         */
+        getExportFilters: function() {
+            const filters = {};
+            const type = $('#status-sentry-event-type-filter').val();
+
+            if (this.drillDown) {
+                filters.date_from = this.formatUtcTime(this.drillDown.from);
+                filters.date_to = this.formatUtcTime(this.drillDown.to);
+                if (this.drillDown.eventType) {
+                    filters.event_type = this.drillDown.eventType;
+                }
+                return filters;
+            }
+
+            if (this.timeline && this.timeline.from && this.timeline.to) {
+                filters.date_from = this.formatUtcTime(this.parseUtcTime(this.timeline.from));
+                filters.date_to = this.formatUtcTime(this.parseUtcTime(this.timeline.to));
+            }
+
+            if (type && type !== 'all') {
+                filters.event_type = type;
+            }
+
+            return filters;
+        },
+
+        /**
+         * Filter recent events by type.
+         *
+         * @param {string} type The event type to filter by, or 'all' for all types.
+         */
+        filterRecentEvents: function(type) {
+            const table = this.container.find('.status-sentry-events-table table');
+            if (!table.length) {
+                return;
+            }
+
+            const rows = table.find('tbody tr');
+            if (type === 'all') {
+                rows.show();
+            } else {
+                rows.each(function() {
+                    const eventType = $(this).attr('data-event-type');
+                    if (eventType === type) {
+                        $(this).show();
+                    } else {
+                        $(this).hide();
+                    }
+                });
+            }
+        },
+
+        /**
+         * Render overview data.
+         *
+         * @param {Object} data The overview data.
+         */
+        renderOverview: function(data) {
+            this.renderDashboard();
+
+            // Store the last known values as the base for live stream deltas
+            if (data.event_counts) {
+                this.lastKnownEventCounts = data.event_counts;
+            }
+
+            if (data.resource_status) {
+                this.lastKnownResourceStatus = data.resource_status;
+            }
+
+            // Render recommendations
+            this.renderRecommendations(data.recommendations, data.dismissed_recommendations);
+
+            // Render KPI cards
+            this.renderKPICards(data.event_counts, data.resource_status);
+        },
+
+        /**
+         * Render recommendations.
          *
-         * @param {string} canvasId - The ID of the canvas element.
-         * @param {Object} timeline - The timeline data.
+         * Every recommendation is listed, most severe first. The ones the
+         * user dismissed or snoozed are collapsed below the list.
+         *
+         * @param {Array} recommendations The recommendations.
+         * @param {Array} dismissed The dismissed and snoozed recommendations.
          */
-        renderEventTimelineChart: function(canvasId, timeline) {
-            const canvas = document.getElementById(canvasId);
-            if (!canvas || !window.Chart) {
-                console.error('Canvas element or Chart.js not found');
-                return;
-            }
+        renderRecommendations: function(recommendations, dismissed) {
+            const container = this.container.find('.status-sentry-recommendations');
+            container.empty();
 
-            // Create the chart
-            const ctx = canvas.getContext('2d');
+            (recommendations || []).forEach((recommendation) => {
+                container.append(this.createRecommendation(recommendation));
+            });
 
-            // Destroy existing chart if it exists
-            if (this.eventTimelineChart) {
-                this.eventTimelineChart.destroy();
-            }
+            if (dismissed && dismissed.length) {
+                const details = $('<details class="status-sentry-recommendations-dismissed"></details>')
+                    .prop('open', this.dismissedRecommendationsOpen)
+                    .append($('<summary></summary>').text(`${dismissed.length} dismissed or snoozed`));
 
-            this.eventTimelineChart = new Chart(ctx, {
-                type: 'bar',
-                data: timeline,
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    scales: {
-                        x: {
-                            stacked: true,
-                            title: {
-                                display: true,
-                                text: 'Date'
-                            }
-                        },
-                        y: {
-                            stacked: true,
-                            beginAtZero: true,
-                            title: {
-                                display: true,
-                                text: 'Event Count'
-                            }
-                        }
-                    },
-                    plugins: {
-                        legend: {
-                            position: 'top',
-                            labels: {
-                                boxWidth: 12,
-                                padding: 10
-                            }
-                        },
-                        tooltip: {
-                            mode: 'index',
-                            intersect: false
-                        }
-                    },
-                    layout: {
-                        padding: {
-                            top: 10,
-                            right: 10,
-                            bottom: 10,
-                            left: 10
-                        }
-                    }
-                }
-            });
+                dismissed.forEach((recommendation) => {
+                    details.append(this.createRecommendation(recommendation));
+                });
+
+                container.append(details);
+            }
         },
 
         /**
-         * Render system health metrics.
+         * Create a recommendation.
          *
-         * @param {string} selector - The selector for the container element.
-         * @param {Object} health - The health metrics.
+         * @param {Object} recommendation The recommendation; dismissed and snoozed ones have a state.
+         * @return {jQuery} The recommendation element.
          */
-        renderSystemHealth: function(selector, health) {
-            const container = $(selector);
-            if (!container.length) {
-                console.error('System health container not found');
-                return;
+        createRecommendation: function(recommendation) {
+            const icons = {
+                success: 'dashicons-yes-alt',
+                info: 'dashicons-info-outline',
+                warning: 'dashicons-warning',
+                error: 'dashicons-dismiss'
+            };
+
+            const item = $('<div class="status-sentry-recommendation"></div>')
+                .addClass('status-sentry-recommendation-' + recommendation.type)
+                .attr('data-id', recommendation.id);
+
+            const content = $('<div class="status-sentry-recommendation-content"></div>').append(
+                $('<p class="status-sentry-recommendation-message"></p>').text(recommendation.message),
+                $('<p class="status-sentry-recommendation-action"></p>').text(recommendation.action)
+            );
+
+            // Link straight to the event behind the recommendation
+            if (recommendation.url) {
+                content.find('.status-sentry-recommendation-action').append(
+                    ' ',
+                    $('<a class="status-sentry-recommendation-link"></a>').attr('href', recommendation.url).text('View latest event')
+                );
             }
 
-            // Create health grid
-            const grid = $('<div class="status-sentry-health-grid"></div>');
+            if (recommendation.rationale) {
+                content.append($('<p class="status-sentry-recommendation-rationale"></p>').text(recommendation.rationale));
+            }
 
-            // PHP Version
-            grid.append(this.createHealthItem(
-                'PHP Version',
-                health.php_version,
-                health.php_status,
-                health.php_status === 'error' ? 'Outdated PHP version' :
-                health.php_status === 'warning' ? 'Consider upgrading PHP' : 'PHP version is up to date'
-            ));
+            if (recommendation.metrics && recommendation.metrics.length) {
+                const metrics = $('<ul class="status-sentry-recommendation-metrics"></ul>');
 
-            // WordPress Version
-            grid.append(this.createHealthItem(
-                'WordPress Version',
-                health.wp_version,
-                health.wp_status,
-                health.wp_status === 'warning' ? 'Update available' : 'WordPress is up to date'
-            ));
+                recommendation.metrics.forEach((metric) => {
+                    const unit = metric.unit || '';
+                    const chip = $('<li></li>').text(`${metric.label}: ${metric.value}${unit}`);
 
-            // Memory Usage
-            grid.append(this.createHealthItem(
-                'Memory Usage',
-                `${health.memory_usage} / ${health.memory_limit}`,
-                health.memory_status,
-                `${health.memory_usage_percent}% of available memory used`
-            ));
+                    if (metric.threshold !== null && metric.threshold !== undefined) {
+                        chip.append($('<span class="status-sentry-recommendation-threshold"></span>').text(` (limit ${metric.threshold}${unit})`));
+                        chip.toggleClass('status-sentry-recommendation-metric-over', metric.value > metric.threshold);
+                    }
 
-            // Max Execution Time
-            if (health.max_execution_time) {
-                grid.append(this.createHealthItem(
-                    'Max Execution Time',
-                    `${health.max_execution_time}s`,
-                    health.execution_status,
-                    health.execution_status === 'warning' ? 'Consider increasing max execution time' : 'Execution time limit is adequate'
-                ));
+                    metrics.append(chip);
+                });
+
+                content.append(metrics);
             }
 
-            // Database Version
-            if (health.db_version) {
-                grid.append(this.createHealthItem(
-                    'Database Version',
-                    health.db_version,
-                    health.db_status,
-                    'Database version is adequate'
-                ));
+            const buttons = $('<div class="status-sentry-recommendation-buttons"></div>');
+
+            if (recommendation.state) {
+                const until = this.parseUtcTime(recommendation.until);
+
+                buttons.append(
+                    $('<span class="status-sentry-recommendation-state"></span>').text(
+                        until ? 'Snoozed until ' + new Date(until * 1000).toLocaleString() : 'Dismissed'
+                    ),
+                    $('<button type="button" class="button button-small" data-recommendation-action="restore"></button>').text('Restore')
+                );
+            } else {
+                if (recommendation.fix) {
+                    buttons.append(
+                        $('<button type="button" class="button button-primary button-small" data-recommendation-action="fix"></button>')
+                            .attr('data-fix', recommendation.fix.id)
+                            .text(recommendation.fix.label)
+                    );
+                }
+
+                if (recommendation.type !== 'success') {
+                    buttons.append(
+                        $('<button type="button" class="button button-small" data-recommendation-action="dismiss" data-hours="24"></button>').text('Snooze 1 day'),
+                        $('<button type="button" class="button button-small" data-recommendation-action="dismiss" data-hours="168"></button>').text('Snooze 1 week'),
+                        $('<button type="button" class="button-link" data-recommendation-action="dismiss" data-hours="0"></button>').text('Dismiss')
+                    );
+                }
             }
 
-            // Add the grid to the container
-            container.empty().append(grid);
+            return item.append(
+                $('<span class="dashicons"></span>').addClass(icons[recommendation.type] || icons.info),
+                content,
+                buttons
+            );
         },
 
         /**
-         * Create a health item element.
+         * Apply a recommendation's fix, or dismiss, snooze or restore it.
          *
-         * @param {string} title - The title of the health item.
-         * @param {string} value - The value of the health item.
-         * @param {string} status - The status of the health item (good, warning, error).
-         * @param {string} description - The description of the health item.
-         * @return {jQuery} The health item element.
+         * @param {jQuery} button The button that was clicked.
          */
-        createHealthItem: function(title, value, status, description) {
-            return $(`
-                <div class="status-sentry-health-item status-${status}">
-                    <h4>${title}</h4>
-                    <div class="status-sentry-health-value">${value}</div>
-                    <div class="status-sentry-health-description">${description}</div>
-                </div>
-            `);
+        updateRecommendation: function(button) {
+            const item = button.closest('.status-sentry-recommendation');
+            const id = item.data('id');
+            const action = button.data('recommendation-action');
+
+            item.find('button').prop('disabled', true);
+
+            let request;
+            if (action === 'fix') {
+                request = statusSentry.api.post('dashboard/recommendations/fix', { fix: button.data('fix') });
+            } else if (action === 'restore') {
+                request = statusSentry.api.post(`dashboard/recommendations/${id}/restore`);
+            } else {
+                request = statusSentry.api.post(`dashboard/recommendations/${id}/dismiss`, { hours: button.data('hours') });
+            }
+
+            request.then(() => this.fetchOverview()).catch((error) => {
+                this.logError('Error updating recommendation:', error.type, error.message);
+                item.find('button').prop('disabled', false);
+                window.alert('The recommendation could not be updated. ' + this.describeError(error));
+            });
         },
 
         /**
-         * Generate dummy timeline data.
+         * Render the conflicts panel.
          *
-         * @return {Object} The dummy timeline data.
+         * Each conflict lists the plugins and themes involved, the hooks
+         * where their callbacks share a priority, and the metrics that
+         * changed, with a link to the snapshots it was found in.
+         *
+         * @param {Object} data The conflicts and the number of conflicts per status.
          */
-        generateDummyTimelineData: function() {
-            const dates = [];
-            for (let i = 6; i >= 0; i--) {
-                const date = new Date();
-                date.setDate(date.getDate() - i);
-                dates.push(date.toISOString().split('T')[0]);
+        renderConflicts: function(data) {
+            const counts = data.counts || {};
+            const list = this.container.find('.status-sentry-conflicts-list');
+
+            this.container.find('#status-sentry-conflict-status').val(this.conflictStatus);
+            this.container.find('.status-sentry-conflict-count').text(counts.open ? `(${counts.open} open)` : '');
+            list.empty();
+
+            if (!data.conflicts || data.conflicts.length === 0) {
+                list.append($('<p class="status-sentry-no-data"></p>').text(
+                    this.conflictStatus === 'open' ? 'No open conflicts.' : 'No conflicts with this status.'
+                ));
+                return;
             }
 
-            const eventTypes = ['info', 'warning', 'error', 'critical', 'performance', 'security', 'conflict', 'health'];
-            const colors = {
-                info: 'rgba(54, 162, 235, 0.7)',
-                warning: 'rgba(255, 206, 86, 0.7)',
-                error: 'rgba(255, 99, 132, 0.7)',
-                critical: 'rgba(153, 51, 51, 0.7)',
-                performance: 'rgba(75, 192, 192, 0.7)',
-                security: 'rgba(153, 102, 255, 0.7)',
-                conflict: 'rgba(255, 159, 64, 0.7)',
-                health: 'rgba(102, 204, 102, 0.7)'
+            const statusLabels = {
+                open: 'Open',
+                acknowledged: 'Acknowledged',
+                false_positive: 'False positive'
             };
 
-            const datasets = [];
-            eventTypes.forEach(type => {
-                const data = [];
-                for (let i = 0; i < 7; i++) {
-                    // Generate random counts, with more common event types having higher counts
-                    switch (type) {
-                        case 'info':
-                        case 'warning':
-                            data.push(Math.floor(Math.random() * 6));
-                            break;
-                        case 'error':
-                        case 'performance':
-                            data.push(Math.floor(Math.random() * 4));
-                            break;
-                        default:
-                            data.push(Math.floor(Math.random() * 2));
-                            break;
+            data.conflicts.forEach((conflict) => {
+                const item = $('<div class="status-sentry-conflict"></div>')
+                    .attr('data-id', conflict.id)
+                    .addClass('status-sentry-conflict-' + conflict.status);
+
+                const header = $('<div class="status-sentry-conflict-header"></div>');
+                header.append($('<strong></strong>').text(conflict.message));
+                header.append($('<span class="status-sentry-conflict-status"></span>').text(statusLabels[conflict.status] || conflict.status));
+                header.append($('<span class="status-sentry-conflict-time"></span>').text(
+                    new Date(this.parseUtcTime(conflict.timestamp) * 1000).toLocaleString()
+                ));
+                item.append(header);
+
+                // The activation or theme switch the conflict was found after
+                if (conflict.trigger && conflict.plugins.length) {
+                    const subject = conflict.plugins[0].name;
+                    item.append($('<p class="status-sentry-conflict-trigger description"></p>').text(
+                        conflict.trigger.type === 'theme' ? `Started after switching to the ${subject} theme.` : `Started after activating ${subject}.`
+                    ));
+                }
+
+                if (conflict.plugins.length) {
+                    const plugins = $('<p class="status-sentry-conflict-plugins"></p>').append('<span>Involved: </span>');
+                    conflict.plugins.forEach((plugin) => {
+                        plugins.append($('<span class="status-sentry-conflict-plugin"></span>')
+                            .addClass('is-' + plugin.type)
+                            .attr('title', plugin.type === 'theme' ? 'Theme' : 'Plugin')
+                            .text(plugin.name));
+                    });
+                    item.append(plugins);
+                }
+
+                if (conflict.hooks.length) {
+                    item.append(this.renderConflictHooks(conflict.hooks));
+                }
+
+                const metrics = Object.keys(conflict.metrics || {});
+                if (metrics.length) {
+                    const changes = $('<ul class="status-sentry-conflict-metrics"></ul>');
+                    metrics.forEach((metric) => {
+                        const values = conflict.metrics[metric];
+                        const percent = parseFloat(values.diff_percent);
+                        const change = isNaN(percent) ? '' : ` (${percent > 0 ? '+' : ''}${this.formatPercent(percent)}%)`;
+                        changes.append($('<li></li>').text(
+                            `${metric.replace(/_/g, ' ')}: ${this.formatBaselineValue(values.before)} → ${this.formatBaselineValue(values.after)}${change}`
+                        ));
+                    });
+                    item.append(changes);
+                }
+
+                const known = (conflict.potential_conflicts || []).map(pattern => pattern.plugin).filter(Boolean);
+                if (known.length) {
+                    item.append($('<p class="description"></p>').text('Known conflict patterns: ' + known.join(', ')));
+                }
+
+                const actions = $('<div class="status-sentry-conflict-actions"></div>');
+
+                if (conflict.trigger && conflict.trigger.url) {
+                    actions.append($('<a class="button button-small"></a>').attr('href', conflict.trigger.url).text('View change impact'));
+                }
+
+                if (conflict.status === 'open') {
+                    actions.append('<button type="button" class="button button-small" data-status="acknowledged">Acknowledge</button>');
+                    actions.append('<button type="button" class="button button-small" data-status="false_positive">False positive</button>');
+                } else {
+                    actions.append('<button type="button" class="button button-small" data-status="open">Reopen</button>');
+
+                    if (conflict.acknowledged_at) {
+                        const by = conflict.acknowledged_by ? ` by ${conflict.acknowledged_by}` : '';
+                        actions.append($('<span class="description"></span>').text(
+                            `${statusLabels[conflict.status]}${by} on ${new Date(this.parseUtcTime(conflict.acknowledged_at) * 1000).toLocaleString()}`
+                        ));
                     }
                 }
 
-                datasets.push({
-                    label: type.charAt(0).toUpperCase() + type.slice(1),
-                    data: data,
-                    backgroundColor: colors[type],
-                    borderColor: colors[type],
-                    borderWidth: 1
+                item.append(actions);
+                list.append(item);
+            });
+        },
+
+        /**
+         * Render the hooks a conflict's callbacks collide on.
+         *
+         * @param {Array} hooks The hook collisions.
+         * @return {jQuery} The hook collision table.
+         */
+        renderConflictHooks: function(hooks) {
+            const table = $(`
+                <table class="widefat striped status-sentry-conflict-hooks">
+                    <thead>
+                        <tr>
+                            <th>Hook</th>
+                            <th>Priority</th>
+                            <th>Callbacks</th>
+                            <th>Colliding with</th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            `);
+
+            hooks.forEach((hook) => {
+                const colliding = $('<td></td>');
+                hook.colliding_callbacks.forEach((callback) => {
+                    colliding.append($('<div></div>')
+                        .append($('<code></code>').text(callback.callback))
+                        .append(document.createTextNode(` (${callback.owner.name})`)));
                 });
+
+                const callbacks = $('<td></td>');
+                hook.callbacks.forEach((callback) => {
+                    callbacks.append($('<div></div>').append($('<code></code>').text(callback)));
+                });
+
+                table.find('tbody').append($('<tr></tr>')
+                    .append($('<td></td>').append($('<code></code>').text(hook.hook)))
+                    .append($('<td></td>').text(hook.priority))
+                    .append(callbacks)
+                    .append(colliding));
             });
 
-            return {
-                labels: dates,
-                datasets: datasets
-            };
+            return table;
         },
 
         /**
-         * Render the dashboard layout.
+         * Render the resource panel.
+         *
+         * Values the user is still editing are kept.
+         *
+         * @param {Object} data The tiers with their budgets and runs, the GC runs,
+         *                      the configuration and a load sample.
          */
-        renderDashboard: function() {
-            // Only create the layout once
-            if (this.container.hasClass('loaded')) {
+        renderResources: function(data) {
+            const panel = this.container.find('.status-sentry-resources');
+            if (!panel.length) {
                 return;
             }
 
-            // Create dashboard layout
-            const layout = `
-                <div class="status-sentry-dashboard-header">
-                    <button id="status-sentry-refresh-dashboard" class="button button-primary">
-                        <span class="dashicons dashicons-update"></span> Refresh Dashboard
-                    </button>
-                    <span class="status-sentry-last-refresh">Last refreshed: Just now</span>
-                </div>
-                <div class="status-sentry-dashboard-grid">
-                    <div class="status-sentry-recommendations"></div>
-                    <div class="status-sentry-kpi-cards"></div>
-                    <div class="status-sentry-filters">
-                        <select id="status-sentry-event-type-filter">
-                            <option value="all">All Event Types</option>
-                            <option value="info">Info</option>
-                            <option value="warning">Warning</option>
-                            <option value="error">Error</option>
-                            <option value="critical">Critical</option>
-                            <option value="performance">Performance</option>
-                            <option value="security">Security</option>
-                            <option value="conflict">Conflict</option>
-                            <option value="health">Health</option>
-                        </select>
-                    </div>
-                    <div class="status-sentry-charts">
-                        <div class="status-sentry-chart">
-                            <h3>Event Types Distribution</h3>
-                            <canvas id="eventTypeChart"></canvas>
-                        </div>
-                        <div class="status-sentry-chart">
-                            <h3>Event Timeline (Last 7 Days)</h3>
-                            <canvas id="eventTimelineChart"></canvas>
-                        </div>
-                    </div>
-                    <div class="status-sentry-system-health">
-                        <h3>System Health</h3>
-                        <div id="status-sentry-system-health"></div>
-                    </div>
-                    <div class="status-sentry-recent-events">
-                        <h3>Recent Events</h3>
-                        <div class="status-sentry-events-table"></div>
-                    </div>
-                    <div class="status-sentry-baselines">
-                        <h3>System Baselines</h3>
-                        <div class="status-sentry-baselines-header">
-                            <button id="status-sentry-refresh-baselines" class="button">
-                                <span class="dashicons dashicons-update"></span> Refresh Baselines
-                            </button>
-                        </div>
-                        <div class="status-sentry-baselines-content"></div>
-                    </div>
-                </div>
-            `;
+            const form = panel.find('.status-sentry-resources-form');
+            const editing = {};
+            form.find('input[data-original]').each((index, input) => {
+                if (input.value !== input.getAttribute('data-original')) {
+                    editing[input.name] = input.value;
+                }
+            });
+
+            panel.find('.status-sentry-resources-status').empty();
+
+            const rows = panel.find('.status-sentry-resource-budgets tbody').empty();
+            Object.keys(data.tiers).forEach((tier) => {
+                const usage = data.tiers[tier];
+                const budget = usage.budget;
 
-            this.container.html(layout);
-            this.container.addClass('loaded');
+                rows.append($('<tr></tr>')
+                    .append($('<th scope="row"></th>').text(tier.charAt(0).toUpperCase() + tier.slice(1)))
+                    .append($('<td></td>').append(this.createBudgetInput(tier, 'memory', Math.round(budget.memory / 1024 / 1024))))
+                    .append(this.createResourceUsage(usage.runs, usage.memory, budget.memory, 'memory', value => this.formatMegabytes(value)))
+                    .append($('<td></td>').append(this.createBudgetInput(tier, 'time', budget.time)))
+                    .append(this.createResourceUsage(usage.runs, usage.time, budget.time, 'duration', value => `${this.formatBaselineValue(value)} s`))
+                    .append($('<td></td>').append(this.createBudgetInput(tier, 'db_queries', budget.db_queries))));
+            });
+
+            const config = data.config;
+            const thresholds = {
+                memory_threshold: Math.round(config.gc_settings.memory_threshold * 100),
+                cycles: config.gc_settings.cycles,
+                cpu_threshold: Math.round(config.cpu_threshold * 100)
+            };
+            Object.keys(thresholds).forEach((name) => {
+                form.find(`input[name="${name}"]`).val(thresholds[name]).attr('data-original', String(thresholds[name]));
+            });
 
-            // Set up event type filter
-            $('#status-sentry-event-type-filter').on('change', (e) => {
-                const selectedType = $(e.target).val();
-                this.filterRecentEvents(selectedType);
+            form.find('input[data-original]').each((index, input) => {
+                if (editing[input.name] !== undefined) {
+                    input.value = editing[input.name];
+                }
             });
+            this.updateResourceForm(form);
+
+            this.renderGcRuns(panel.find('.status-sentry-resource-gc-runs'), data.gc_runs);
+            this.addLoadSample(data.load);
         },
 
         /**
-         * Filter recent events by type.
+         * Create an input for one of a tier's budgets.
          *
-         * @param {string} type The event type to filter by, or 'all' for all types.
+         * @param {string} tier The tier.
+         * @param {string} limit 'memory' (in MB), 'time' (in seconds) or 'db_queries'.
+         * @param {number} value The budget.
+         * @return {jQuery} The input.
          */
-        filterRecentEvents: function(type) {
-            const table = this.container.find('.status-sentry-events-table table');
-            if (!table.length) {
-                return;
-            }
-
-            const rows = table.find('tbody tr');
-            if (type === 'all') {
-                rows.show();
-            } else {
-                rows.each(function() {
-                    const eventType = $(this).find('td:nth-child(2)').text().trim().toLowerCase();
-                    if (eventType === type) {
-                        $(this).show();
-                    } else {
-                        $(this).hide();
-                    }
-                });
-            }
+        createBudgetInput: function(tier, limit, value) {
+            const labels = { memory: 'memory budget in MB', time: 'time budget in seconds', db_queries: 'database query budget' };
+
+            return $('<input type="number" class="small-text" min="1" step="1" required>')
+                .attr({
+                    name: `budget-${tier}-${limit}`,
+                    'data-setting': 'budget',
+                    'data-tier': tier,
+                    'data-limit': limit,
+                    'data-original': String(value),
+                    'aria-label': `${tier} ${labels[limit]}`
+                })
+                .val(value);
         },
 
         /**
-         * Render overview data.
+         * Create the cell comparing a tier's recent task runs with one of its budgets.
          *
-         * @param {Object} data The overview data.
+         * Each run is a bar, as tall as its share of the budget; runs over
+         * budget are highlighted.
+         *
+         * @param {Array} runs The tier's recent runs, oldest first.
+         * @param {Object} usage The runs' average and largest use, and how many went over budget.
+         * @param {number} budget The budget.
+         * @param {string} key The run property to compare: 'memory' or 'duration'.
+         * @param {Function} format Formats a value for display.
+         * @return {jQuery} The cell.
          */
-        renderOverview: function(data) {
-            this.renderDashboard();
+        createResourceUsage: function(runs, usage, budget, key, format) {
+            const cell = $('<td class="status-sentry-resource-usage"></td>');
 
-            // Store the last known values for use in error fallbacks
-            if (data.event_counts) {
-                this.lastKnownEventCounts = data.event_counts;
+            if (!runs.length) {
+                return cell.append($('<span class="description"></span>').text('No finished runs'));
             }
 
-            if (data.resource_status) {
-                this.lastKnownResourceStatus = data.resource_status;
+            const bars = $('<div class="status-sentry-resource-runs"></div>');
+            runs.forEach((run) => {
+                const share = budget ? run[key] / budget * 100 : 0;
+
+                bars.append($('<span></span>')
+                    .toggleClass('is-over', run[key] > budget)
+                    .css('height', `${Math.max(2, Math.min(100, share))}%`)
+                    .attr('title', `${run.task_name}, ${new Date(this.parseUtcTime(run.start_time) * 1000).toLocaleString()}: ${format(run[key])} (${this.formatPercent(share)}% of the budget)`));
+            });
+
+            cell.append(bars, $('<span class="status-sentry-resource-summary"></span>').text(
+                `Average ${format(usage.average)}, largest ${format(usage.max)}`
+            ));
+
+            if (usage.over_budget) {
+                cell.append($('<span class="status-sentry-resource-over"></span>').text(
+                    `${usage.over_budget} of ${runs.length} runs over budget`
+                ));
             }
 
-            // Render recommendations
-            this.renderRecommendations(data.recommendations);
+            return cell;
+        },
 
-            // Render KPI cards
-            this.renderKPICards(data.event_counts, data.resource_status);
+        /**
+         * Enable the resource panel's buttons when a value has changed.
+         *
+         * @param {jQuery} form The resource panel's form.
+         */
+        updateResourceForm: function(form) {
+            let changed = false;
+
+            form.find('input[data-original]').each((index, input) => {
+                const isChanged = input.value !== input.getAttribute('data-original');
+                $(input).toggleClass('is-changed', isChanged);
+                changed = changed || isChanged;
+            });
+
+            form.find('button').prop('disabled', !changed);
         },
 
         /**
-         * Render recommendations.
+         * Render the latest garbage collection runs.
          *
-         * @param {Array} recommendations The recommendations.
+         * @param {jQuery} list The element to render the runs in.
+         * @param {Array} runs The runs, newest first.
          */
-        renderRecommendations: function(recommendations) {
-            const container = this.container.find('.status-sentry-recommendations');
-            container.empty();
+        renderGcRuns: function(list, runs) {
+            list.empty();
 
-            if (!recommendations || recommendations.length === 0) {
+            if (!runs || !runs.length) {
+                list.append($('<p class="status-sentry-no-data"></p>').text('No garbage collection runs recorded yet.'));
                 return;
             }
 
-            // Get the first recommendation
-            const recommendation = recommendations[0];
+            const items = $('<ul class="status-sentry-resource-gc-list"></ul>');
+            runs.forEach((run) => {
+                items.append($('<li></li>')
+                    .append($('<strong></strong>').text(`Freed ${this.formatMegabytes(run.freed)}`))
+                    .append($('<span class="description"></span>').text(
+                        ` ${this.formatMegabytes(run.memory_before)} → ${this.formatMegabytes(run.memory_after)}, ` +
+                        `${run.cycles} ${run.cycles === 1 ? 'cycle' : 'cycles'}, ${run.forced ? 'forced after a task' : 'memory threshold reached'}`
+                    ))
+                    .append($('<span class="status-sentry-resource-gc-time"></span>').text(
+                        new Date(this.parseUtcTime(run.time) * 1000).toLocaleString()
+                    )));
+            });
+            list.append(items);
+        },
 
-            // Create recommendation banner
-            const banner = $('<div class="status-sentry-recommendation"></div>');
-            banner.addClass('status-sentry-recommendation-' + recommendation.type);
+        /**
+         * Add a load sample to the resource panel's live chart.
+         *
+         * @param {Object} sample The UTC time, CPU load, system load and CPU threshold, in percent.
+         */
+        addLoadSample: function(sample) {
+            if (!this.resourceLoad || !sample) {
+                return;
+            }
 
-            // Add icon based on type
-            let icon = 'dashicons-yes-alt';
-            if (recommendation.type === 'warning') {
-                icon = 'dashicons-warning';
-            } else if (recommendation.type === 'error') {
-                icon = 'dashicons-dismiss';
+            const samples = this.resourceLoad.samples;
+            samples.push(sample);
+            if (samples.length > 60) {
+                samples.shift();
             }
 
-            banner.html(`
-                <span class="dashicons ${icon}"></span>
-                <div class="status-sentry-recommendation-content">
-                    <p class="status-sentry-recommendation-message">${recommendation.message}</p>
-                    <p class="status-sentry-recommendation-action">${recommendation.action}</p>
-                </div>
-            `);
+            this.container.find('.status-sentry-resource-load-note').text(
+                sample.cpu_load === null ?
+                    'This server does not report its CPU load, so only the system load is shown.' :
+                    'System load combines CPU load, memory use and database activity.'
+            );
+
+            this.renderLoadChart();
+        },
 
-            container.append(banner);
+        /**
+         * Draw or update the resource panel's live CPU and system load chart.
+         */
+        renderLoadChart: function() {
+            const canvas = this.container.find('.status-sentry-resource-load canvas').get(0);
+            if (!canvas || !window.Chart) {
+                return;
+            }
 
-            // If there are more recommendations, add a count
-            if (recommendations.length > 1) {
-                const count = $('<span class="status-sentry-recommendation-count"></span>');
-                count.text(recommendations.length - 1 + ' more');
-                banner.append(count);
+            const samples = this.resourceLoad.samples;
+            const labels = samples.map(sample => new Date(this.parseUtcTime(sample.time) * 1000).toLocaleTimeString());
+            const data = [
+                samples.map(sample => sample.cpu_load),
+                samples.map(sample => sample.system_load),
+                samples.map(sample => sample.cpu_threshold)
+            ];
+
+            if (this.resourceLoad.chart) {
+                this.resourceLoad.chart.data.labels = labels;
+                data.forEach((values, index) => {
+                    this.resourceLoad.chart.data.datasets[index].data = values;
+                });
+                this.resourceLoad.chart.update('none');
+                return;
             }
+
+            this.resourceLoad.chart = new Chart(canvas.getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels: labels,
+                    datasets: [
+                        {
+                            label: 'CPU load',
+                            data: data[0],
+                            borderColor: this.eventTypeColors.info,
+                            backgroundColor: this.eventTypeColors.info,
+                            pointRadius: 0,
+                            tension: 0.3
+                        },
+                        {
+                            label: 'System load',
+                            data: data[1],
+                            borderColor: this.eventTypeColors.performance,
+                            backgroundColor: this.eventTypeColors.performance,
+                            pointRadius: 0,
+                            tension: 0.3
+                        },
+                        {
+                            label: 'CPU threshold',
+                            data: data[2],
+                            borderColor: this.eventTypeColors.error,
+                            backgroundColor: this.eventTypeColors.error,
+                            borderDash: [6, 4],
+                            borderWidth: 1,
+                            pointRadius: 0
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            suggestedMax: 100,
+                            title: {
+                                display: true,
+                                text: 'Percent'
+                            }
+                        }
+                    },
+                    plugins: {
+                        legend: {
+                            position: 'top',
+                            labels: {
+                                boxWidth: 12,
+                                padding: 10
+                            }
+                        },
+                        tooltip: {
+                            mode: 'index',
+                            intersect: false
+                        }
+                    }
+                }
+            });
         },
 
         /**
@@ -982,13 +4135,7 @@
             const body = $('<tbody></tbody>');
 
             data.events.forEach(event => {
-                const row = $('<tr></tr>');
-                row.html(`
-                    <td>${event.feature_name}</td>
-                    <td>${event.hook}</td>
-                    <td>${event.time_ago}</td>
-                `);
-                body.append(row);
+                body.append(this.createRecentEventRow(event));
             });
 
             table.append(body);
@@ -1007,6 +4154,33 @@
             container.append($('<p></p>').append(viewAllButton));
         },
 
+        /**
+         * Create a recent events table row.
+         *
+         * @param {Object} event The event data.
+         * @return {jQuery} The table row.
+         */
+        createRecentEventRow: function(event) {
+            return $('<tr></tr>').attr('data-event-type', event.event_type || '').append(
+                $('<td></td>').text(event.feature_name),
+                $('<td></td>').text(event.hook),
+                $('<td></td>').append(
+                    $('<a></a>').attr('href', this.getEventUrl(event)).text(event.time_ago)
+                )
+            );
+        },
+
+        /**
+         * Get the Events page URL that opens a monitoring event in the event viewer.
+         *
+         * @param {Object} event The event data.
+         * @return {string} The URL.
+         */
+        getEventUrl: function(event) {
+            const path = `admin.php?page=status-sentry-events&event=mon-${encodeURIComponent(event.id)}`;
+            return (statusSentry && statusSentry.adminUrl ? statusSentry.adminUrl : '') + path;
+        },
+
         /**
          * Render baselines.
          *
@@ -1016,6 +4190,7 @@
             this.renderDashboard();
 
             const container = this.container.find('.status-sentry-baselines-content');
+            container.find('.status-sentry-baseline-row').each((index, row) => this.collapseBaseline($(row)));
             container.empty();
 
             if (!data.baselines || data.baselines.length === 0) {
@@ -1031,6 +4206,7 @@
             header.html(`
                 <tr>
                     <th data-key="label">Metric</th>
+                    <th data-key="context">Context</th>
                     <th data-key="value">Value</th>
                     <th data-key="unit">Unit</th>
                     <th data-key="threshold">Threshold</th>
@@ -1064,28 +4240,44 @@
                     ...baseline,
                     label: label,
                     value: value,
-                    unit: unit,
-                    threshold: baseline.threshold || '20%'
+                    unit: unit
                 };
             });
 
             // Render each baseline
             baselines.forEach(baseline => {
-                const row = $('<tr></tr>');
+                const key = `${baseline.metric_name}|${baseline.metric_context}`;
+                const row = $('<tr class="status-sentry-baseline-row"></tr>')
+                    .attr('data-metric', baseline.metric_name)
+                    .attr('data-context', baseline.metric_context)
+                    .data('baseline', baseline);
 
                 // Add deviation class if needed
                 if (baseline.is_deviation) {
                     row.addClass('status-sentry-baseline-deviation');
                 }
 
-                row.html(`
-                    <td>${baseline.label}</td>
-                    <td>${baseline.value}</td>
-                    <td>${baseline.unit}</td>
-                    <td>${baseline.threshold}</td>
-                    <td>${baseline.time_ago}</td>
-                `);
+                // Demo baselines have no recorded history
+                const toggle = baseline.metric_name ?
+                    $('<button type="button" class="button-link status-sentry-baseline-toggle" aria-expanded="false"></button>')
+                        .attr('aria-label', `Show history of ${baseline.label}`)
+                        .append('<span class="dashicons dashicons-arrow-right-alt2" aria-hidden="true"></span>') :
+                    '';
+
+                row.append(
+                    $('<td></td>').append(toggle, ' ', document.createTextNode(baseline.label)),
+                    $('<td></td>').text(baseline.metric_context || ''),
+                    $('<td></td>').text(this.formatBaselineValue(baseline.value)),
+                    $('<td></td>').text(baseline.unit),
+                    $('<td></td>').text(baseline.threshold),
+                    $('<td></td>').text(baseline.time_ago)
+                );
                 body.append(row);
+
+                // Keep rows expanded across refreshes
+                if (baseline.metric_name && this.expandedBaselines.has(key)) {
+                    this.expandBaseline(row);
+                }
             });
 
             table.append(body);
@@ -1095,6 +4287,266 @@
             this.addTableSorting(table);
         },
 
+        /**
+         * Expand or collapse a baseline row.
+         *
+         * @param {jQuery} row The baseline row.
+         */
+        toggleBaseline: function(row) {
+            const key = `${row.attr('data-metric')}|${row.attr('data-context')}`;
+
+            if (row.data('detailRow')) {
+                this.expandedBaselines.delete(key);
+                this.collapseBaseline(row);
+            } else {
+                this.expandedBaselines.add(key);
+                this.expandBaseline(row);
+            }
+        },
+
+        /**
+         * Collapse a baseline row.
+         *
+         * @param {jQuery} row The baseline row.
+         */
+        collapseBaseline: function(row) {
+            const detailRow = row.data('detailRow');
+            if (!detailRow) {
+                return;
+            }
+
+            const chart = detailRow.data('chart');
+            if (chart) {
+                chart.destroy();
+            }
+
+            detailRow.remove();
+            row.removeData('detailRow');
+            row.find('.status-sentry-baseline-toggle').attr('aria-expanded', 'false')
+                .find('.dashicons').removeClass('dashicons-arrow-down-alt2').addClass('dashicons-arrow-right-alt2');
+        },
+
+        /**
+         * Expand a baseline row and load its history.
+         *
+         * @param {jQuery} row The baseline row.
+         */
+        expandBaseline: function(row) {
+            const baseline = row.data('baseline');
+            const cell = $('<td class="status-sentry-baseline-details"></td>').attr('colspan', row.children('td').length);
+            const detailRow = $('<tr class="status-sentry-detail-row"></tr>').append(cell);
+
+            cell.append($('<p class="status-sentry-baseline-loading"></p>').text('Loading history...'));
+            row.after(detailRow).data('detailRow', detailRow);
+            row.find('.status-sentry-baseline-toggle').attr('aria-expanded', 'true')
+                .find('.dashicons').removeClass('dashicons-arrow-right-alt2').addClass('dashicons-arrow-down-alt2');
+
+            const params = { metric: baseline.metric_name, context: baseline.metric_context };
+
+            statusSentry.api.get('dashboard/baselines/history', params, { key: `baseline-history-${baseline.id}` }).then((response) => {
+                // The row may have been collapsed or re-rendered meanwhile
+                if (row.data('detailRow') !== detailRow) {
+                    return;
+                }
+
+                this.renderBaselineDetails(cell, baseline, response);
+            }).catch((error) => {
+                if (error.isAbort() || row.data('detailRow') !== detailRow) {
+                    return;
+                }
+
+                cell.empty().append($('<div class="status-sentry-error"></div>').append(
+                    $('<p></p>').text(`Failed to load the history. ${this.describeError(error)}`)
+                ));
+            });
+        },
+
+        /**
+         * Render a baseline's history sparkline and deviation explanation.
+         *
+         * @param {jQuery} cell The detail cell.
+         * @param {Object} baseline The baseline row data.
+         * @param {Object} response The history response.
+         */
+        renderBaselineDetails: function(cell, baseline, response) {
+            cell.empty();
+
+            if (!response.history.length) {
+                cell.append($('<p></p>').text('No values have been recorded for this baseline since history was enabled.'));
+                return;
+            }
+
+            const stats = response.stats;
+            const unit = baseline.unit ? ` ${baseline.unit}` : '';
+            const format = value => this.formatBaselineValue(value) + unit;
+
+            const chartBox = $('<div class="status-sentry-baseline-sparkline"></div>');
+            const canvas = $('<canvas></canvas>').attr('aria-label', `Recorded values of ${baseline.label}`).attr('role', 'img');
+            chartBox.append(canvas);
+
+            const summary = $('<dl class="status-sentry-baseline-stats"></dl>');
+            const addStat = (label, value) => summary.append($('<dt></dt>').text(label), $('<dd></dd>').text(value));
+
+            addStat('Baseline', format(response.baseline));
+            addStat('Mean ± stddev', `${format(stats.mean)} ± ${this.formatBaselineValue(stats.stddev)}${unit}`);
+            addStat('Range', `${format(stats.min)} – ${format(stats.max)}`);
+            addStat('Samples', `${stats.count} shown of ${response.sample_count} recorded`);
+
+            cell.append($('<div class="status-sentry-baseline-history"></div>').append(
+                chartBox,
+                summary,
+                this.renderDeviationExplanation(response.explanation, format)
+            ));
+
+            if (!window.Chart) {
+                return;
+            }
+
+            const labels = response.history.map(point => this.parseUtcTime(point.recorded_at).toLocaleString());
+            const values = response.history.map(point => point.value);
+            const band = (offset) => response.history.map(() => stats.mean + offset * stats.stddev);
+            const bandColor = 'rgba(78, 115, 223, 0.12)';
+
+            const chart = new Chart(canvas[0].getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels: labels,
+                    datasets: [
+                        {
+                            label: 'Mean + 1σ',
+                            data: band(1),
+                            borderWidth: 0,
+                            pointRadius: 0,
+                            backgroundColor: bandColor,
+                            fill: '+1'
+                        },
+                        {
+                            label: 'Mean − 1σ',
+                            data: band(-1),
+                            borderWidth: 0,
+                            pointRadius: 0,
+                            fill: false
+                        },
+                        {
+                            label: 'Mean',
+                            data: band(0),
+                            borderColor: 'rgba(78, 115, 223, 0.6)',
+                            borderDash: [4, 4],
+                            borderWidth: 1,
+                            pointRadius: 0,
+                            fill: false
+                        },
+                        {
+                            label: baseline.label,
+                            data: values,
+                            borderColor: baseline.is_deviation ? '#e74a3b' : '#4e73df',
+                            borderWidth: 2,
+                            pointRadius: values.map((value, index) => index === values.length - 1 ? 3 : 0),
+                            tension: 0.2,
+                            fill: false
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    scales: {
+                        x: { display: false },
+                        y: { ticks: { maxTicksLimit: 4 } }
+                    },
+                    plugins: {
+                        legend: { display: false },
+                        tooltip: {
+                            mode: 'index',
+                            intersect: false,
+                            filter: item => item.datasetIndex === 3 || item.datasetIndex === 2,
+                            callbacks: {
+                                label: context => `${context.dataset.label}: ${format(context.raw)}`
+                            }
+                        }
+                    }
+                }
+            });
+
+            cell.closest('tr').data('chart', chart);
+        },
+
+        /**
+         * Explain why a baseline is or is not flagged as a deviation.
+         *
+         * @param {Object|null} explanation The explanation from the history endpoint.
+         * @param {Function} format Formats a value with its unit.
+         * @return {jQuery} The explanation paragraph.
+         */
+        renderDeviationExplanation: function(explanation, format) {
+            const paragraph = $('<p class="status-sentry-baseline-explanation"></p>');
+
+            if (!explanation) {
+                return paragraph;
+            }
+
+            const threshold = `${this.formatPercent(explanation.threshold * 100)}%`;
+            let text;
+
+            switch (explanation.reason) {
+                case 'insufficient_samples':
+                    text = `Not checked for deviations yet: ${explanation.sample_count} of ${explanation.min_samples} required samples recorded.`;
+                    break;
+
+                case 'zero_baseline':
+                    text = explanation.is_significant ?
+                        `Deviation: the latest value is ${format(explanation.value)} against a baseline of 0.` :
+                        'The latest value matches the baseline of 0.';
+                    break;
+
+                default: {
+                    const deviation = explanation.deviation * 100;
+                    const direction = deviation >= 0 ? 'above' : 'below';
+                    const comparison = explanation.is_significant ? 'exceeds' : 'is within';
+
+                    text = `The latest value, ${format(explanation.value)}, is ${this.formatPercent(Math.abs(deviation))}% ${direction} the baseline of ${format(explanation.baseline)}, which ${comparison} the ±${threshold} threshold.`;
+                }
+            }
+
+            return paragraph.toggleClass('is-deviation', explanation.is_significant).text(text);
+        },
+
+        /**
+         * Format a baseline value for display.
+         *
+         * @param {number|string} value The value.
+         * @return {string} The formatted value.
+         */
+        formatBaselineValue: function(value) {
+            const number = parseFloat(value);
+            if (isNaN(number)) {
+                return value === null || value === undefined ? '' : String(value);
+            }
+
+            return number.toLocaleString(undefined, { maximumFractionDigits: Math.abs(number) < 10 ? 2 : 1 });
+        },
+
+        /**
+         * Format a percentage with one decimal place.
+         *
+         * @param {number} value The percentage.
+         * @return {string} The formatted percentage, without the percent sign.
+         */
+        formatPercent: function(value) {
+            return value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+        },
+
+        /**
+         * Format a number of bytes in MB.
+         *
+         * @param {number} bytes The number of bytes.
+         * @return {string} The formatted size.
+         */
+        formatMegabytes: function(bytes) {
+            return `${this.formatBaselineValue(bytes / 1024 / 1024)} MB`;
+        },
+
         /**
          * Add sorting functionality to a table.
          *
@@ -1112,7 +4564,7 @@
                 const header = $(this);
                 const key = header.data('key');
                 const tbody = table.find('tbody');
-                const rows = tbody.find('tr').toArray();
+                const rows = tbody.find('tr').not('.status-sentry-detail-row').toArray();
                 const index = header.index();
 
                 // Toggle sort direction
@@ -1146,64 +4598,56 @@
                 });
 
                 // Reattach sorted rows
-                tbody.empty();
+                // Detached rows keep their data, so expanded details follow their row
                 rows.forEach(function(row) {
-                    tbody.append(row);
+                    tbody.append(row, $(row).data('detailRow') || []);
                 });
             });
         },
 
         /**
-         * Render error message.
+         * Render a section as unavailable.
          *
          * @param {string} section The section that failed to load.
+         * @param {Object} error Optional ApiError describing the failure.
          */
-        renderError: function(section) {
+        renderError: function(section, error) {
             this.renderDashboard();
 
-            let container;
+            const message = (text) => $('<div class="status-sentry-error"></div>').append(
+                $('<p></p>').text(`${text} ${this.describeError(error)}`)
+            );
 
             switch (section) {
                 case 'overview':
-                    container = this.container.find('.status-sentry-recommendations, .status-sentry-kpi-cards');
-
-                    // Get last known values or use empty objects if none exist
-                    const lastEventCounts = this.lastKnownEventCounts || {
-                        core_monitoring: 0,
-                        db_monitoring: 0,
-                        conflict_detection: 0,
-                        performance_monitoring: 0
-                    };
-
-                    const lastResourceStatus = this.lastKnownResourceStatus || {};
-
-                    // Provide fallback data for overview using last known values when available
-                    const fallbackOverview = {
-                        event_counts: lastEventCounts,
-                        resource_status: lastResourceStatus,
-                        recommendations: [
-                            {
-                                type: 'warning',
-                                message: 'Could not load live data. Using last known values or defaults.',
-                                action: 'Check server logs for more information.'
-                            }
-                        ]
-                    };
+                    // Clear the stream's base so no deltas are added to missing counts
+                    this.lastKnownEventCounts = null;
+                    this.container.find('.status-sentry-recommendations').empty();
+                    this.container.find('.status-sentry-kpi-cards').html(message('Failed to load the overview.'));
+                    break;
 
-                    // Render fallback data
-                    this.renderOverview(fallbackOverview);
+                case 'charts':
+                    [this.eventTypeChart].concat(Object.values(this.timelineCharts)).forEach(chart => chart && chart.destroy());
+                    this.eventTypeChart = null;
+                    this.timelineCharts = {};
+                    this.timeline = null;
+                    this.eventTypes = null;
+
+                    this.container.find('.status-sentry-chart').addClass('is-unavailable')
+                        .find('.status-sentry-unavailable-message')
+                        .text('Failed to load chart data. ' + this.describeError(error));
                     break;
 
-                // Trends case removed
+                case 'health':
+                    this.container.find('#status-sentry-system-health').html(message('Failed to load system health.'));
+                    break;
 
                 case 'recent':
-                    container = this.container.find('.status-sentry-events-table');
-                    container.html('<div class="status-sentry-error"><p>Failed to load recent events. Please refresh the page to try again.</p></div>');
+                    this.container.find('.status-sentry-events-table').html(message('Failed to load recent events.'));
                     break;
 
                 case 'baselines':
-                    container = this.container.find('.status-sentry-baselines-content');
-                    container.html('<div class="status-sentry-error"><p>Failed to load baseline data. Please refresh the page to try again.</p></div>');
+                    this.container.find('.status-sentry-baselines-content').html(message('Failed to load baseline data.'));
                     break;
 
                 default:
@@ -1211,12 +4655,52 @@
             }
         },
 
+        /**
+         * Log a failed request to the console when statusSentry.debug is on.
+         *
+         * Each section shows its own error, so the console stays quiet otherwise.
+         *
+         * @param {...*} args What to log.
+         */
+        logError: function(...args) {
+            if (statusSentry.debug) {
+                console.error(...args);
+            }
+        },
+
+        /**
+         * Describe an API error in a sentence suitable for the dashboard.
+         *
+         * @param {Object} error Optional ApiError describing the failure.
+         * @return {string} The description.
+         */
+        describeError: function(error) {
+            const ApiError = statusSentry.api.ApiError;
+
+            if (!error) {
+                return 'The server could not load this data. Check server logs for more information.';
+            }
+
+            switch (error.type) {
+                case ApiError.AUTH:
+                    return 'Your session may have expired. Please reload the page.';
+                case ApiError.TIMEOUT:
+                    return 'The server took too long to respond. Check server logs for more information.';
+                case ApiError.NETWORK:
+                    return 'Could not connect to the server. Check your connection and try again.';
+                case ApiError.SERVER:
+                    return 'The server reported an error. Check server logs for more information.';
+                default:
+                    return error.message || 'Please refresh the page to try again.';
+            }
+        },
+
         /**
          * Generate fallback trend data method removed
          */
 
         /**
-         * Generate fallback events data.
+         * Generate random events for demo mode.
          *
          * @return {Array} The fallback events data.
          */
@@ -1245,7 +4729,7 @@
         },
 
         /**
-         * Generate fallback baselines data.
+         * Generate random baselines for demo mode.
          *
          * @return {Array} The fallback baselines data.
          */
@@ -1278,18 +4762,11 @@
         }
     };
 
+    // Register the built-in widgets before other plugins add theirs
+    window.statusSentryDashboard.registerDefaultWidgets();
+
     // Initialize the dashboard when the document is ready
     $(document).ready(function() {
-        // Disable jQuery caching for all AJAX requests to ensure fresh data
-        $.ajaxSetup({
-            cache: false,
-            headers: {
-                'Cache-Control': 'no-cache, no-store, must-revalidate',
-                'Pragma': 'no-cache',
-                'Expires': '0'
-            }
-        });
-
         // Initialize the dashboard
         window.statusSentryDashboard.init();
     });
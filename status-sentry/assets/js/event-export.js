@@ -0,0 +1,304 @@
+/**
+ * Status Sentry Event Export JavaScript
+ *
+ * This file handles exporting events from the Events page and the
+ * dashboard. Events are downloaded from the events/export REST route a
+ * chunk at a time, with a progress bar, and saved as CSV, JSON Lines or
+ * gzip-compressed JSON Lines.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ */
+
+(function($) {
+    'use strict';
+
+    // Event export - make it globally accessible
+    window.statusSentryEventExport = {
+        /**
+         * Number of events to download per request.
+         */
+        chunkSize: 500,
+
+        /**
+         * Export formats, keyed by file extension.
+         */
+        formats: {
+            csv: { label: 'CSV', type: 'text/csv;charset=utf-8;' },
+            jsonl: { label: 'JSON Lines', type: 'application/x-ndjson' },
+            'jsonl.gz': { label: 'JSON Lines (gzip)', type: 'application/gzip' }
+        },
+
+        /**
+         * Columns exported for each event type, before the data and metrics.
+         */
+        columns: {
+            monitoring: ['id', 'event_id', 'event_type', 'priority', 'source', 'context', 'message', 'timestamp', 'created_at'],
+            legacy: ['id', 'feature', 'hook', 'event_time', 'processed_time']
+        },
+
+        /**
+         * Add export controls to an element.
+         *
+         * @param {jQuery} element The element to add the controls to.
+         * @param {Function} getParams Returns the export's event type and filters:
+         *                             { type: 'monitoring'|'legacy', filters: {} }.
+         */
+        attach: function(element, getParams) {
+            const format = $('<select class="status-sentry-export-format"></select>');
+
+            for (const [extension, details] of Object.entries(this.formats)) {
+                // Compression needs the Compression Streams API
+                if (extension.endsWith('.gz') && typeof window.CompressionStream === 'undefined') {
+                    continue;
+                }
+
+                format.append($('<option></option>').val(extension).text(details.label));
+            }
+
+            const start = $('<button type="button" class="button status-sentry-export-start"></button>').text('Export');
+            const progress = $(`
+                <div class="status-sentry-export-progress" hidden>
+                    <progress max="1" value="0"></progress>
+                    <span class="status-sentry-export-status"></span>
+                    <button type="button" class="button-link status-sentry-export-cancel">Cancel</button>
+                </div>
+            `);
+
+            element.empty().append(
+                $('<label class="screen-reader-text"></label>').text('Export format'),
+                format,
+                start,
+                progress
+            );
+
+            start.on('click', () => {
+                const params = getParams();
+                this.start(element, params.type, params.filters || {}, format.val());
+            });
+
+            progress.find('.status-sentry-export-cancel').on('click', () => {
+                element.data('exportCancelled', true);
+                statusSentry.api.abort(element.data('exportKey'));
+            });
+        },
+
+        /**
+         * Export the events matching a set of filters.
+         *
+         * @param {jQuery} element The element holding the export controls.
+         * @param {string} type 'monitoring' or 'legacy'.
+         * @param {Object} filters The events filters.
+         * @param {string} format A key of this.formats.
+         */
+        start: function(element, type, filters, format) {
+            const progress = element.find('.status-sentry-export-progress');
+            const state = {
+                type: type,
+                filters: filters,
+                format: format,
+                parts: [],
+                exported: 0,
+                total: null,
+                metricKeys: []
+            };
+
+            clearTimeout(element.data('exportTimer'));
+            element.data('exportCancelled', false);
+            element.data('exportKey', 'event-export-' + Date.now());
+            element.find('.status-sentry-export-start, .status-sentry-export-format').prop('disabled', true);
+            progress.prop('hidden', false);
+            this.renderProgress(element, state);
+
+            this.fetchChunk(element, state, 0).then(() => {
+                return this.buildFile(state);
+            }).then((blob) => {
+                this.download(blob, type, format);
+                this.finish(element, `Exported ${state.exported.toLocaleString()} events.`);
+            }).catch((error) => {
+                if (element.data('exportCancelled')) {
+                    this.finish(element, 'Export cancelled.');
+                    return;
+                }
+
+                this.finish(element, error && error.type === statusSentry.api.ApiError.CLIENT ?
+                    error.message :
+                    'Export failed. Please try again.');
+            });
+        },
+
+        /**
+         * Download a chunk of events, then the chunks after it.
+         *
+         * @param {jQuery} element The element holding the export controls.
+         * @param {Object} state The export state.
+         * @param {number} cursor The cursor of the chunk.
+         * @return {Promise} A promise that resolves when the last chunk is downloaded.
+         */
+        fetchChunk: function(element, state, cursor) {
+            const params = Object.assign({}, state.filters, {
+                type: state.type,
+                cursor: cursor,
+                per_page: this.chunkSize
+            });
+
+            return statusSentry.api.get('events/export', params, { key: element.data('exportKey') }).then((response) => {
+                if (response.total !== null && response.total !== undefined) {
+                    state.total = response.total;
+                }
+                state.metricKeys = response.metric_keys || [];
+
+                if (state.exported === 0 && state.format === 'csv') {
+                    state.parts.push(this.csvHeader(state) + '\n');
+                }
+
+                (response.events || []).forEach(event => {
+                    state.parts.push((state.format === 'csv' ? this.csvRow(state, event) : JSON.stringify(event)) + '\n');
+                });
+
+                state.exported += (response.events || []).length;
+                this.renderProgress(element, state);
+
+                if (response.next_cursor && !element.data('exportCancelled')) {
+                    return this.fetchChunk(element, state, response.next_cursor);
+                }
+
+                if (element.data('exportCancelled')) {
+                    return Promise.reject(null);
+                }
+            });
+        },
+
+        /**
+         * Get the CSV header row.
+         *
+         * @param {Object} state The export state.
+         * @return {string} The header row.
+         */
+        csvHeader: function(state) {
+            return this.columns[state.type]
+                .concat(['data'], state.metricKeys.map(key => 'performance_metrics.' + key))
+                .join(',');
+        },
+
+        /**
+         * Format an event as a CSV row.
+         *
+         * The nested data is written as a JSON string, and each performance
+         * metric gets its own column.
+         *
+         * @param {Object} state The export state.
+         * @param {Object} event The exported event.
+         * @return {string} The CSV row.
+         */
+        csvRow: function(state, event) {
+            const metrics = event.performance_metrics || {};
+            const values = this.columns[state.type].map(column => event[column]);
+
+            values.push(event.data === null || event.data === undefined ? '' : JSON.stringify(event.data));
+            state.metricKeys.forEach(key => values.push(metrics[key]));
+
+            return values.map(value => this.csvValue(value)).join(',');
+        },
+
+        /**
+         * Format a value for CSV.
+         *
+         * Numbers and booleans are written bare, everything else is quoted.
+         *
+         * @param {*} value The value.
+         * @return {string} The CSV field.
+         */
+        csvValue: function(value) {
+            if (value === null || value === undefined || value === '') {
+                return '';
+            }
+
+            if (typeof value === 'number' || typeof value === 'boolean') {
+                return String(value);
+            }
+
+            if (typeof value === 'object') {
+                value = JSON.stringify(value);
+            }
+
+            return '"' + String(value).replace(/"/g, '""') + '"';
+        },
+
+        /**
+         * Build the export file, compressing it if needed.
+         *
+         * @param {Object} state The export state.
+         * @return {Promise} A promise that resolves with the file as a Blob.
+         */
+        buildFile: function(state) {
+            const blob = new Blob(state.parts, { type: this.formats[state.format].type });
+
+            if (!state.format.endsWith('.gz')) {
+                return Promise.resolve(blob);
+            }
+
+            const stream = blob.stream().pipeThrough(new window.CompressionStream('gzip'));
+            return new Response(stream).blob();
+        },
+
+        /**
+         * Update the progress bar.
+         *
+         * @param {jQuery} element The element holding the export controls.
+         * @param {Object} state The export state.
+         */
+        renderProgress: function(element, state) {
+            const bar = element.find('.status-sentry-export-progress progress');
+            const status = element.find('.status-sentry-export-status');
+
+            if (state.total === null) {
+                bar.removeAttr('value');
+                status.text('Preparing export...');
+                return;
+            }
+
+            bar.attr('max', Math.max(state.total, 1)).attr('value', state.exported);
+            status.text(`Exported ${state.exported.toLocaleString()} of ${state.total.toLocaleString()} events`);
+        },
+
+        /**
+         * Reset the controls after an export.
+         *
+         * @param {jQuery} element The element holding the export controls.
+         * @param {string} message The message to show.
+         */
+        finish: function(element, message) {
+            element.find('.status-sentry-export-start, .status-sentry-export-format').prop('disabled', false);
+            element.find('.status-sentry-export-progress progress').attr('value', 0);
+            element.find('.status-sentry-export-status').text(message);
+            element.find('.status-sentry-export-cancel').prop('hidden', true);
+
+            element.data('exportTimer', setTimeout(() => {
+                element.find('.status-sentry-export-progress').prop('hidden', true);
+                element.find('.status-sentry-export-cancel').prop('hidden', false);
+            }, 4000));
+        },
+
+        /**
+         * Save the export file.
+         *
+         * @param {Blob} blob The file.
+         * @param {string} type 'monitoring' or 'legacy'.
+         * @param {string} format The file extension.
+         */
+        download: function(blob, type, format) {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+
+            link.setAttribute('href', url);
+            link.setAttribute('download', `status-sentry-${type}-events-${new Date().toISOString().slice(0, 10)}.${format}`);
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        }
+    };
+
+})(jQuery);
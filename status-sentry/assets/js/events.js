@@ -0,0 +1,861 @@
+/**
+ * Status Sentry Event Explorer JavaScript
+ *
+ * This file handles the event explorer on the Events page: server-side
+ * filtering, cursor pagination, filter state in the URL, the column
+ * chooser, bulk actions and export. Deleted events can be restored from
+ * the undo notice until their undo window has passed.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ */
+
+(function($) {
+    'use strict';
+
+    // Event explorer app - make it globally accessible
+    window.statusSentryEvents = {
+        /**
+         * Filter fields that are kept in the URL query string.
+         */
+        filterKeys: ['event_type', 'priority_min', 'priority_max', 'source', 'context', 'date_from', 'date_to', 'search'],
+
+        /**
+         * Available table columns.
+         */
+        columns: [
+            { key: 'id', label: 'ID', visible: true },
+            { key: 'event_type', label: 'Type', visible: true },
+            { key: 'priority', label: 'Priority', visible: false },
+            { key: 'source', label: 'Source', visible: true },
+            { key: 'context', label: 'Context', visible: true },
+            { key: 'message', label: 'Message', visible: true },
+            { key: 'acknowledgement', label: 'Status', visible: true },
+            { key: 'event_id', label: 'Event ID', visible: false },
+            { key: 'timestamp', label: 'Time', visible: true }
+        ],
+
+        /**
+         * Local storage key for the chosen columns.
+         */
+        columnsStorageKey: 'status_sentry_explorer_columns',
+
+        /**
+         * Number of events per page.
+         */
+        perPage: 25,
+
+        /**
+         * Labels for the acknowledgement statuses.
+         */
+        acknowledgementLabels: {
+            open: 'Open',
+            acknowledged: 'Acknowledged',
+            false_positive: 'False positive'
+        },
+
+        /**
+         * Initialize the event explorer.
+         */
+        init: function() {
+            this.container = $('#status-sentry-event-explorer');
+            if (!this.container.length) {
+                return;
+            }
+
+            this.form = this.container.find('.status-sentry-explorer-filters');
+            this.cursor = 0;
+            this.previousCursors = [];
+            this.selected = new Set();
+
+            this.loadColumnPreferences();
+            this.renderColumnChooser();
+            this.readStateFromUrl();
+            this.setupEventHandlers();
+            this.fetchEvents();
+
+            window.statusSentryEventExport.attach(this.container.find('.status-sentry-event-export'), () => {
+                return { type: 'monitoring', filters: this.getFilters() };
+            });
+        },
+
+        /**
+         * Set up event handlers.
+         */
+        setupEventHandlers: function() {
+            let searchTimer = null;
+
+            this.form.on('submit', (e) => {
+                e.preventDefault();
+                this.applyFilters();
+            });
+
+            // Selects, checkboxes and dates apply immediately
+            this.form.on('change', 'input[type="checkbox"][name="event_type"], select, input[type="date"]', () => {
+                this.applyFilters();
+            });
+
+            // Text fields apply once the user stops typing
+            this.form.on('input', 'input[type="text"], input[type="search"]', () => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => this.applyFilters(), 400);
+            });
+
+            this.container.on('click', '.status-sentry-explorer-reset', () => {
+                this.form[0].reset();
+                this.applyFilters();
+            });
+
+            this.container.on('click', '.status-sentry-explorer-older', () => {
+                if (this.nextCursor) {
+                    this.previousCursors.push(this.cursor);
+                    this.cursor = this.nextCursor;
+                    this.updateUrl(true);
+                    this.fetchEvents();
+                }
+            });
+
+            this.container.on('click', '.status-sentry-explorer-newer', () => {
+                if (this.previousCursors.length) {
+                    this.cursor = this.previousCursors.pop();
+                    this.updateUrl(true);
+                    this.fetchEvents();
+                }
+            });
+
+            this.container.on('click', '.status-sentry-explorer-newest', () => {
+                this.cursor = 0;
+                this.previousCursors = [];
+                this.updateUrl(true);
+                this.fetchEvents();
+            });
+
+            this.container.on('click', '.status-sentry-explorer-columns-toggle', (e) => {
+                const button = $(e.currentTarget);
+                const menu = this.container.find('.status-sentry-explorer-columns-menu');
+                const expanded = button.attr('aria-expanded') === 'true';
+
+                button.attr('aria-expanded', expanded ? 'false' : 'true');
+                menu.prop('hidden', expanded);
+            });
+
+            this.container.on('change', '.status-sentry-explorer-columns-menu input', (e) => {
+                const key = $(e.currentTarget).val();
+                const column = this.columns.find(item => item.key === key);
+
+                if (column) {
+                    column.visible = e.currentTarget.checked;
+                    this.saveColumnPreferences();
+                    this.renderEvents();
+                }
+            });
+
+            this.container.on('change', '.status-sentry-explorer-select', (e) => {
+                const id = parseInt($(e.currentTarget).val(), 10);
+
+                if (e.currentTarget.checked) {
+                    this.selected.add(id);
+                } else {
+                    this.selected.delete(id);
+                }
+
+                this.updateBulkControls();
+            });
+
+            this.container.on('change', '.status-sentry-explorer-select-all', (e) => {
+                const checked = e.currentTarget.checked;
+
+                this.container.find('.status-sentry-explorer-select').each((i, checkbox) => {
+                    checkbox.checked = checked;
+                    if (checked) {
+                        this.selected.add(parseInt(checkbox.value, 10));
+                    } else {
+                        this.selected.delete(parseInt(checkbox.value, 10));
+                    }
+                });
+
+                this.updateBulkControls();
+            });
+
+            this.container.on('click', '.status-sentry-explorer-bulk-apply', (e) => {
+                this.applyBulkAction(this.container.find('.status-sentry-explorer-bulk-action').val(), $(e.currentTarget));
+            });
+
+            this.container.on('click', '.status-sentry-explorer-delete-matching', (e) => {
+                const filters = this.getFilters();
+                const message = Object.keys(filters).length ?
+                    `Delete all ${this.total.toLocaleString()} events matching the current filters?` :
+                    `No filters are set. Delete all ${this.total.toLocaleString()} monitoring events?`;
+
+                if (window.confirm(message)) {
+                    this.deleteEvents(Object.assign({ scope: 'filter' }, filters), $(e.currentTarget));
+                }
+            });
+
+            this.container.on('click', '.status-sentry-explorer-delete-older', (e) => {
+                const days = parseInt(this.container.find('.status-sentry-explorer-older-days').val(), 10);
+
+                if (!days || days < 1) {
+                    window.alert('Enter a number of days of at least 1.');
+                    return;
+                }
+
+                if (window.confirm(`Delete all monitoring events older than ${days} days?`)) {
+                    this.deleteEvents({ scope: 'older_than', days: days }, $(e.currentTarget));
+                }
+            });
+
+            // Close the column chooser when clicking elsewhere
+            $(document).on('click', (e) => {
+                if (!$(e.target).closest('.status-sentry-explorer-columns').length) {
+                    this.container.find('.status-sentry-explorer-columns-menu').prop('hidden', true);
+                    this.container.find('.status-sentry-explorer-columns-toggle').attr('aria-expanded', 'false');
+                }
+            });
+
+            // Restore the filters when navigating back and forward
+            window.addEventListener('popstate', () => {
+                // Opening and closing events in the viewer leaves the list as it is
+                if (this.getListState() === this.listState) {
+                    return;
+                }
+
+                this.readStateFromUrl();
+                this.previousCursors = [];
+                this.fetchEvents();
+            });
+        },
+
+        /**
+         * Get the filters currently set in the form.
+         *
+         * @return {Object} The filters, without empty values.
+         */
+        getFilters: function() {
+            const filters = {};
+
+            const types = this.form.find('input[name="event_type"]:checked').map(function() {
+                return $(this).val();
+            }).get();
+            if (types.length) {
+                filters.event_type = types.join(',');
+            }
+
+            this.filterKeys.forEach(key => {
+                if (key === 'event_type') {
+                    return;
+                }
+
+                const value = $.trim(this.form.find(`[name="${key}"]`).val() || '');
+                if (value !== '') {
+                    filters[key] = value;
+                }
+            });
+
+            return filters;
+        },
+
+        /**
+         * Apply the form filters, starting from the first page.
+         */
+        applyFilters: function() {
+            this.cursor = 0;
+            this.previousCursors = [];
+            this.updateUrl(false);
+            this.fetchEvents();
+        },
+
+        /**
+         * Fill the form and cursor from the URL query string.
+         */
+        readStateFromUrl: function() {
+            const params = new URLSearchParams(window.location.search);
+            const types = (params.get('event_type') || '').split(',').filter(Boolean);
+
+            this.form.find('input[name="event_type"]').each(function() {
+                this.checked = types.indexOf(this.value) !== -1;
+            });
+
+            this.filterKeys.forEach(key => {
+                if (key !== 'event_type') {
+                    this.form.find(`[name="${key}"]`).val(params.get(key) || '');
+                }
+            });
+
+            this.cursor = parseInt(params.get('cursor'), 10) || 0;
+            this.listState = this.getListState();
+        },
+
+        /**
+         * Get the part of the URL query string that selects the listed events.
+         *
+         * @return {string} The query string without the event open in the viewer.
+         */
+        getListState: function() {
+            const params = new URLSearchParams(window.location.search);
+            params.delete('event');
+            return params.toString();
+        },
+
+        /**
+         * Write the filters and cursor to the URL query string.
+         *
+         * @param {boolean} push Whether to add a history entry instead of replacing the current one.
+         */
+        updateUrl: function(push) {
+            const url = new URL(window.location.href);
+            const filters = this.getFilters();
+
+            this.filterKeys.concat(['cursor']).forEach(key => url.searchParams.delete(key));
+
+            for (const [key, value] of Object.entries(filters)) {
+                url.searchParams.set(key, value);
+            }
+
+            if (this.cursor) {
+                url.searchParams.set('cursor', this.cursor);
+            }
+
+            if (push) {
+                window.history.pushState({}, '', url.toString());
+            } else {
+                window.history.replaceState({}, '', url.toString());
+            }
+
+            this.listState = this.getListState();
+        },
+
+        /**
+         * Fetch a page of events from the REST API.
+         */
+        fetchEvents: function() {
+            const params = Object.assign({}, this.getFilters(), {
+                cursor: this.cursor,
+                per_page: this.perPage
+            });
+
+            this.container.addClass('is-loading');
+
+            // A newer query supersedes one that is still in flight
+            statusSentry.api.get('events', params, { key: 'event-explorer' }).then((response) => {
+                this.events = response.events || [];
+                this.nextCursor = response.next_cursor;
+                this.total = response.total || 0;
+
+                // Only events on the current page can stay selected
+                const ids = this.events.map(event => event.id);
+                this.selected.forEach(id => {
+                    if (ids.indexOf(id) === -1) {
+                        this.selected.delete(id);
+                    }
+                });
+
+                this.container.removeClass('is-loading');
+                this.renderEvents();
+                this.renderSummary();
+                this.renderPagination();
+                this.updateBulkControls();
+            }).catch((error) => {
+                if (error.isAbort()) {
+                    return;
+                }
+
+                this.container.removeClass('is-loading');
+                this.events = [];
+                this.nextCursor = null;
+                this.selected.clear();
+                this.renderError(error);
+                this.renderPagination();
+                this.updateBulkControls();
+            });
+        },
+
+        /**
+         * Render the events table.
+         */
+        renderEvents: function() {
+            const results = this.container.find('.status-sentry-explorer-results');
+            results.empty();
+
+            if (!this.events) {
+                return;
+            }
+
+            if (this.events.length === 0) {
+                results.append($('<p class="status-sentry-explorer-empty"></p>').text('No monitoring events match these filters.'));
+                return;
+            }
+
+            const columns = this.columns.filter(column => column.visible);
+            const table = $('<table class="widefat status-sentry-table status-sentry-explorer-table"></table>');
+            const headerRow = $('<tr></tr>');
+
+            headerRow.append($('<td class="check-column"></td>').append(
+                $('<input type="checkbox" class="status-sentry-explorer-select-all">').attr('aria-label', 'Select all')
+            ));
+
+            columns.forEach(column => {
+                headerRow.append($('<th></th>').attr('data-column', column.key).text(column.label));
+            });
+            headerRow.append($('<th></th>').text('Actions'));
+            table.append($('<thead></thead>').append(headerRow));
+
+            const body = $('<tbody></tbody>');
+            this.events.forEach(event => {
+                const row = $('<tr></tr>').attr('data-id', event.id);
+
+                row.append($('<th scope="row" class="check-column"></th>').append(
+                    $('<input type="checkbox" class="status-sentry-explorer-select">')
+                        .val(event.id)
+                        .prop('checked', this.selected.has(event.id))
+                        .attr('aria-label', `Select event ${event.id}`)
+                ));
+
+                columns.forEach(column => {
+                    row.append(this.renderCell(column.key, event));
+                });
+
+                row.append($('<td></td>').append(
+                    $('<a href="#" class="status-sentry-view-event" data-type="monitoring"></a>')
+                        .attr('data-id', event.id)
+                        .text('View')
+                ));
+
+                body.append(row);
+            });
+            table.append(body);
+
+            results.append(table);
+        },
+
+        /**
+         * Render a single table cell.
+         *
+         * @param {string} key The column key.
+         * @param {Object} event The event data.
+         * @return {jQuery} The table cell.
+         */
+        renderCell: function(key, event) {
+            const cell = $('<td></td>').attr('data-column', key);
+
+            switch (key) {
+                case 'event_type':
+                    cell.append($('<span></span>')
+                        .addClass('status-sentry-event-type-' + event.event_type)
+                        .text(event.event_type.charAt(0).toUpperCase() + event.event_type.slice(1)));
+                    break;
+
+                case 'priority':
+                    cell.text(`${event.priority_label} (${event.priority})`);
+                    break;
+
+                case 'message':
+                    cell.addClass('status-sentry-explorer-message').attr('title', event.message).text(event.message);
+                    break;
+
+                case 'timestamp':
+                    cell.attr('title', event.timestamp).text(event.time_ago);
+                    break;
+
+                case 'acknowledgement':
+                    cell.append($('<span></span>')
+                        .addClass('status-sentry-acknowledgement-' + event.acknowledgement)
+                        .text(this.acknowledgementLabels[event.acknowledgement] || event.acknowledgement));
+                    break;
+
+                default:
+                    cell.text(event[key] !== undefined && event[key] !== null ? event[key] : '');
+            }
+
+            return cell;
+        },
+
+        /**
+         * Render the result summary.
+         */
+        renderSummary: function() {
+            const summary = this.container.find('.status-sentry-explorer-summary');
+            const shown = this.events.length;
+            const noun = this.total === 1 ? 'event' : 'events';
+
+            summary.text(`${this.total.toLocaleString()} matching ${noun}` + (shown ? `, showing ${shown}` : ''));
+        },
+
+        /**
+         * Update the pagination buttons.
+         */
+        renderPagination: function() {
+            this.container.find('.status-sentry-explorer-older').prop('disabled', !this.nextCursor);
+            this.container.find('.status-sentry-explorer-newer').prop('disabled', this.previousCursors.length === 0);
+            this.container.find('.status-sentry-explorer-newest').prop('disabled', !this.cursor);
+        },
+
+        /**
+         * Update the selection count and bulk action controls.
+         */
+        updateBulkControls: function() {
+            const count = this.selected.size;
+            const checkboxes = this.container.find('.status-sentry-explorer-select');
+            const selectAll = this.container.find('.status-sentry-explorer-select-all');
+
+            this.container.find('.status-sentry-explorer-selected-count').text(count ? `${count} selected` : '');
+            this.container.find('.status-sentry-explorer-bulk-apply').prop('disabled', count === 0);
+
+            selectAll.prop('checked', count > 0 && count === checkboxes.length);
+            selectAll.prop('indeterminate', count > 0 && count < checkboxes.length);
+        },
+
+        /**
+         * Apply a bulk action to the selected events.
+         *
+         * @param {string} action The action: delete, export, or an acknowledgement status.
+         * @param {jQuery} button The button that triggered the action.
+         */
+        applyBulkAction: function(action, button) {
+            const ids = Array.from(this.selected);
+
+            if (!action || !ids.length) {
+                return;
+            }
+
+            if (action === 'delete') {
+                this.deleteEvents({ scope: 'selected', ids: ids }, button);
+                return;
+            }
+
+            if (action === 'export') {
+                this.exportSelected();
+                return;
+            }
+
+            button.prop('disabled', true);
+
+            statusSentry.api.post('events/acknowledge', { ids: ids, status: action }).then(() => {
+                this.fetchEvents();
+            }).catch((error) => {
+                button.prop('disabled', false);
+                window.alert(error.type === statusSentry.api.ApiError.CLIENT ?
+                    error.message :
+                    'Failed to update the events. Please try again.');
+            });
+        },
+
+        /**
+         * Delete events and offer to undo the deletion.
+         *
+         * @param {Object} params The delete parameters: scope, plus ids, days or filters.
+         * @param {jQuery} button The button that triggered the deletion.
+         */
+        deleteEvents: function(params, button) {
+            button.prop('disabled', true);
+
+            statusSentry.api.post('events/delete', params).then((result) => {
+                button.prop('disabled', false);
+
+                if (params.scope === 'selected') {
+                    this.selected.clear();
+                }
+
+                this.showUndo(this.container.find('.status-sentry-events-undo'), result, () => this.fetchEvents());
+                this.fetchEvents();
+            }).catch((error) => {
+                button.prop('disabled', false);
+                window.alert(error.type === statusSentry.api.ApiError.CLIENT ?
+                    error.message :
+                    'Failed to delete events. Please try again.');
+            });
+        },
+
+        /**
+         * Show the undo notice for a deletion.
+         *
+         * The Undo button counts down the undo window and disappears when it
+         * has passed.
+         *
+         * @param {jQuery} notice The notice element.
+         * @param {Object} result The events/delete response.
+         * @param {Function} onRestore Called after the events are restored.
+         */
+        showUndo: function(notice, result, onRestore) {
+            clearInterval(notice.data('timer'));
+
+            const noun = result.deleted === 1 ? 'event' : 'events';
+            const message = $('<span></span>');
+            notice.empty().append($('<p></p>').append(message)).prop('hidden', false);
+
+            if (!result.deleted) {
+                message.text('No events matched, nothing was deleted.');
+                return;
+            }
+
+            message.text(`Deleted ${result.deleted.toLocaleString()} ${noun}.`);
+
+            const button = $('<button type="button" class="button-link status-sentry-events-undo-button"></button>');
+            const expiresAt = Date.now() + result.undo_window * 1000;
+
+            const tick = () => {
+                const remaining = Math.ceil((expiresAt - Date.now()) / 1000);
+
+                if (remaining <= 0) {
+                    clearInterval(notice.data('timer'));
+                    button.remove();
+                    return;
+                }
+
+                button.text(`Undo (${remaining}s)`);
+            };
+
+            button.on('click', () => {
+                clearInterval(notice.data('timer'));
+                button.prop('disabled', true);
+
+                statusSentry.api.post(`events/trash/${result.batch}/restore`).then((response) => {
+                    const restoredNoun = response.restored === 1 ? 'event' : 'events';
+                    button.remove();
+                    message.text(`Restored ${response.restored.toLocaleString()} ${restoredNoun}.`);
+                    onRestore();
+                }).catch((error) => {
+                    button.remove();
+                    message.text(error.type === statusSentry.api.ApiError.NOT_FOUND || error.type === statusSentry.api.ApiError.CLIENT ?
+                        error.message :
+                        'Failed to restore the events.');
+                });
+            });
+
+            message.after(' ', button);
+            tick();
+            notice.data('timer', setInterval(tick, 1000));
+        },
+
+        /**
+         * Download the selected events as JSON.
+         */
+        exportSelected: function() {
+            const events = this.events.filter(event => this.selected.has(event.id));
+            const blob = new Blob([JSON.stringify(events, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+
+            link.setAttribute('href', url);
+            link.setAttribute('download', 'status-sentry-events-' + new Date().toISOString().slice(0, 10) + '.json');
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        },
+
+        /**
+         * Render an error message.
+         *
+         * @param {Object} error The ApiError describing the failure.
+         */
+        renderError: function(error) {
+            const message = error.type === statusSentry.api.ApiError.CLIENT ?
+                error.message :
+                'Failed to load events. Please try again.';
+
+            this.container.find('.status-sentry-explorer-summary').empty();
+            this.container.find('.status-sentry-explorer-results').html(
+                $('<div class="notice notice-error inline"></div>').append($('<p></p>').text(message))
+            );
+        },
+
+        /**
+         * Render the column chooser menu.
+         */
+        renderColumnChooser: function() {
+            const menu = this.container.find('.status-sentry-explorer-columns-menu');
+            menu.empty();
+
+            this.columns.forEach(column => {
+                const checkbox = $('<input type="checkbox">').val(column.key).prop('checked', column.visible);
+                menu.append($('<label></label>').append(checkbox, ' ', document.createTextNode(column.label)));
+            });
+        },
+
+        /**
+         * Load the chosen columns from local storage.
+         */
+        loadColumnPreferences: function() {
+            try {
+                const visible = JSON.parse(window.localStorage.getItem(this.columnsStorageKey));
+                if (Array.isArray(visible)) {
+                    this.columns.forEach(column => {
+                        column.visible = visible.indexOf(column.key) !== -1;
+                    });
+                }
+            } catch (e) {
+                // Keep the default columns if storage is unavailable or corrupt
+            }
+        },
+
+        /**
+         * Save the chosen columns to local storage.
+         */
+        saveColumnPreferences: function() {
+            const visible = this.columns.filter(column => column.visible).map(column => column.key);
+
+            try {
+                window.localStorage.setItem(this.columnsStorageKey, JSON.stringify(visible));
+            } catch (e) {
+                // Column choices only last for this page view if storage is unavailable
+            }
+        }
+    };
+
+    // Legacy events tab - make it globally accessible
+    window.statusSentryLegacyEvents = {
+        /**
+         * Initialize the legacy events tab.
+         */
+        init: function() {
+            this.container = $('#status-sentry-legacy-events');
+            if (!this.container.length) {
+                return;
+            }
+
+            window.statusSentryEventExport.attach(this.container.find('.status-sentry-event-export'), () => {
+                return { type: 'legacy' };
+            });
+
+            this.container.on('change', '.status-sentry-legacy-select, .status-sentry-legacy-select-all', (e) => {
+                if ($(e.currentTarget).hasClass('status-sentry-legacy-select-all')) {
+                    this.container.find('.status-sentry-legacy-select').prop('checked', e.currentTarget.checked);
+                }
+
+                this.updateBulkControls();
+            });
+
+            this.container.on('click', '.status-sentry-legacy-export-selected', () => {
+                const ids = this.container.find('.status-sentry-legacy-select:checked').closest('tr')
+                    .map((i, row) => $(row).data('id')).get();
+                const exportElement = this.container.find('.status-sentry-event-export');
+
+                if (ids.length) {
+                    window.statusSentryEventExport.start(exportElement, 'legacy', { ids: ids }, exportElement.find('.status-sentry-export-format').val());
+                }
+            });
+
+            this.container.on('click', '.status-sentry-legacy-delete-selected', (e) => {
+                const rows = this.container.find('.status-sentry-legacy-select:checked').closest('tr');
+                const ids = rows.map((i, row) => $(row).data('id')).get();
+
+                if (ids.length) {
+                    this.deleteEvents({ type: 'legacy', scope: 'selected', ids: ids }, $(e.currentTarget), () => rows);
+                }
+            });
+
+            this.container.on('click', '.status-sentry-legacy-delete-older', (e) => {
+                const days = parseInt(this.container.find('.status-sentry-legacy-older-days').val(), 10);
+
+                if (!days || days < 1) {
+                    window.alert('Enter a number of days of at least 1.');
+                    return;
+                }
+
+                if (!window.confirm(`Delete all legacy events older than ${days} days?`)) {
+                    return;
+                }
+
+                // Event times and the cutoff are both in the site timezone, so they compare as strings
+                this.deleteEvents({ type: 'legacy', scope: 'older_than', days: days }, $(e.currentTarget), (result) => {
+                    return this.container.find('tbody tr').filter((i, row) => String($(row).data('time')) < result.before);
+                });
+            });
+        },
+
+        /**
+         * Update the bulk action controls to the selection.
+         */
+        updateBulkControls: function() {
+            const checkboxes = this.container.find('.status-sentry-legacy-select');
+            const count = checkboxes.filter(':checked').length;
+            const selectAll = this.container.find('.status-sentry-legacy-select-all');
+
+            this.container.find('.status-sentry-legacy-export-selected, .status-sentry-legacy-delete-selected').prop('disabled', count === 0);
+            selectAll.prop('checked', count > 0 && count === checkboxes.length);
+            selectAll.prop('indeterminate', count > 0 && count < checkboxes.length);
+        },
+
+        /**
+         * Delete legacy events and take their rows out of the table.
+         *
+         * The rows are kept so undoing the deletion can put them back.
+         *
+         * @param {Object} params The delete parameters.
+         * @param {jQuery} button The button that triggered the deletion.
+         * @param {Function} getRows Returns the rows of the deleted events, given the response.
+         */
+        deleteEvents: function(params, button, getRows) {
+            button.prop('disabled', true);
+
+            statusSentry.api.post('events/delete', params).then((result) => {
+                button.prop('disabled', false);
+
+                const rows = getRows(result).detach();
+                rows.find('.status-sentry-legacy-select').prop('checked', false);
+                this.updateTable();
+
+                window.statusSentryEvents.showUndo(this.container.find('.status-sentry-events-undo'), result, () => {
+                    this.restoreRows(rows);
+                });
+            }).catch((error) => {
+                this.updateBulkControls();
+                window.alert(error.type === statusSentry.api.ApiError.CLIENT ?
+                    error.message :
+                    'Failed to delete events. Please try again.');
+            });
+        },
+
+        /**
+         * Put restored rows back into the table, newest first.
+         *
+         * @param {jQuery} rows The rows.
+         */
+        restoreRows: function(rows) {
+            const body = this.container.find('tbody');
+            const sorted = body.find('tr').add(rows).get().sort((a, b) => {
+                return String($(b).data('time')).localeCompare(String($(a).data('time')));
+            });
+
+            body.append(sorted);
+            this.updateTable();
+        },
+
+        /**
+         * Take every row out of the table.
+         *
+         * @return {jQuery} The rows, so restoreRows() can put them back.
+         */
+        detachRows: function() {
+            const rows = this.container.find('tbody tr').detach();
+            rows.find('.status-sentry-legacy-select').prop('checked', false);
+            this.updateTable();
+            return rows;
+        },
+
+        /**
+         * Show the table or the empty message, depending on whether any rows are left.
+         */
+        updateTable: function() {
+            const hasRows = this.container.find('tbody tr').length > 0;
+
+            this.container.find('table').prop('hidden', !hasRows);
+            this.container.find('.status-sentry-legacy-empty').remove();
+
+            if (!hasRows) {
+                this.container.append($('<p class="status-sentry-legacy-empty"></p>').text('No legacy events found.'));
+            }
+
+            this.updateBulkControls();
+        }
+    };
+
+    // Initialize the event explorer when the document is ready
+    $(document).ready(function() {
+        window.statusSentryEvents.init();
+        window.statusSentryLegacyEvents.init();
+    });
+
+})(jQuery);
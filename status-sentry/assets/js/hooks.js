@@ -0,0 +1,366 @@
+/**
+ * Status Sentry Hook Configuration JavaScript
+ *
+ * This file handles the Hook Configuration page: each feature's hooks
+ * with their priority and sampling rate, enabling and disabling hooks,
+ * changing sampling rates, and adding custom hooks from the hooks seen
+ * on the site at runtime.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ */
+
+(function($) {
+    'use strict';
+
+    // Hook configuration app - make it globally accessible
+    window.statusSentryHooks = {
+        /**
+         * Feature labels.
+         */
+        featureLabels: {
+            core_monitoring: 'Core monitoring',
+            db_monitoring: 'Database monitoring',
+            conflict_detection: 'Conflict detection',
+            performance_monitoring: 'Performance monitoring'
+        },
+
+        /**
+         * Initialize the hook configuration page.
+         */
+        init: function() {
+            this.container = $('#status-sentry-hooks-app');
+            if (!this.container.length) {
+                return;
+            }
+
+            this.features = [];
+            this.searchTimer = null;
+
+            this.renderLayout();
+            this.setupEventHandlers();
+            this.fetchHooks().then(() => this.fetchSeen());
+        },
+
+        /**
+         * Render the page sections.
+         */
+        renderLayout: function() {
+            const featureSelect = $('<select id="status-sentry-hooks-add-feature"></select>');
+            Object.keys(this.featureLabels).forEach((feature) => {
+                featureSelect.append($('<option></option>').val(feature).text(this.featureLabels[feature]));
+            });
+
+            const addForm = $('<div class="status-sentry-hooks-add-form"></div>').append(
+                $('<span class="status-sentry-hooks-field"></span>').append(
+                    $('<label for="status-sentry-hooks-add-feature"></label>').text('Feature'),
+                    featureSelect
+                ),
+                $('<span class="status-sentry-hooks-field"></span>').append(
+                    $('<label for="status-sentry-hooks-add-priority"></label>').text('Priority'),
+                    $('<input type="number" id="status-sentry-hooks-add-priority" class="small-text" step="1" value="10">')
+                ),
+                $('<span class="status-sentry-hooks-field"></span>').append(
+                    $('<label for="status-sentry-hooks-add-rate"></label>').text('Sampling rate (%)'),
+                    $('<input type="number" id="status-sentry-hooks-add-rate" class="small-text" min="0" max="100" step="1" value="100">')
+                ),
+                $('<span class="status-sentry-hooks-field"></span>').append(
+                    $('<label for="status-sentry-hooks-search"></label>').text('Search hooks'),
+                    $('<input type="search" id="status-sentry-hooks-search" class="regular-text" placeholder="e.g. woocommerce_">')
+                )
+            );
+
+            this.container.empty().append(
+                $('<p class="status-sentry-hooks-status" role="status"></p>'),
+                $('<div class="status-sentry-hooks-features"></div>'),
+                $('<h2></h2>').text('Add a custom hook'),
+                $('<p class="description"></p>').text('Pick a hook seen on this site to capture it for a feature. Filters keep their value; each call records the type of its first argument and the memory in use.'),
+                addForm,
+                $('<div class="status-sentry-hooks-seen"></div>')
+            );
+        },
+
+        /**
+         * Set up event handlers.
+         */
+        setupEventHandlers: function() {
+            this.container.on('change', '.status-sentry-hooks-enabled', (e) => {
+                const input = $(e.currentTarget);
+                this.saveHook(input.data('feature'), input.data('hook'), { enabled: input.is(':checked') ? 1 : 0 });
+            });
+
+            this.container.on('change', '.status-sentry-hooks-rate', (e) => {
+                const input = $(e.currentTarget);
+                const percent = parseFloat(input.val());
+
+                if (isNaN(percent) || percent < 0 || percent > 100) {
+                    window.alert('The sampling rate must be between 0 and 100%.');
+                    this.renderFeatures(this.features);
+                    return;
+                }
+
+                this.saveHook(input.data('feature'), input.data('hook'), { sampling_rate: percent / 100 });
+            });
+
+            this.container.on('click', '.status-sentry-hooks-remove', (e) => {
+                const button = $(e.currentTarget);
+                const hook = String(button.data('hook'));
+
+                if (window.confirm(`Stop capturing "${hook}" and remove it?`)) {
+                    this.runAction(statusSentry.api.delete('hooks/custom', { feature: button.data('feature'), hook: hook }), `Removed "${hook}".`);
+                }
+            });
+
+            this.container.on('click', '.status-sentry-hooks-add', (e) => {
+                const hook = String($(e.currentTarget).data('hook'));
+                const rate = parseFloat(this.container.find('#status-sentry-hooks-add-rate').val());
+
+                if (isNaN(rate) || rate < 0 || rate > 100) {
+                    window.alert('The sampling rate must be between 0 and 100%.');
+                    return;
+                }
+
+                const data = {
+                    feature: this.container.find('#status-sentry-hooks-add-feature').val(),
+                    hook: hook,
+                    priority: parseInt(this.container.find('#status-sentry-hooks-add-priority').val(), 10) || 0,
+                    sampling_rate: rate / 100
+                };
+
+                this.runAction(statusSentry.api.post('hooks/custom', data), `Added "${hook}".`);
+            });
+
+            this.container.on('change', '#status-sentry-hooks-add-feature', () => this.updateSeenButtons());
+
+            this.container.on('input', '#status-sentry-hooks-search', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.fetchSeen(), 250);
+            });
+        },
+
+        /**
+         * Fetch each feature's hooks from the REST API.
+         *
+         * @return {Promise} A promise that resolves when the hooks are rendered
+         */
+        fetchHooks: function() {
+            return statusSentry.api.get('hooks', {}, { key: 'hooks' }).then((response) => {
+                this.renderFeatures(response.features || []);
+            }).catch((error) => {
+                if (!error.isAbort()) {
+                    this.renderNotice(this.container.find('.status-sentry-hooks-features'), 'Failed to load the hooks. Please try again.');
+                }
+            });
+        },
+
+        /**
+         * Fetch the hooks seen at runtime that match the search.
+         *
+         * @return {Promise} A promise that resolves when the hooks are rendered
+         */
+        fetchSeen: function() {
+            const search = this.container.find('#status-sentry-hooks-search').val().trim();
+
+            return statusSentry.api.get('hooks/seen', { search: search }, { key: 'hooks-seen' }).then((response) => {
+                this.renderSeen(response, search);
+            }).catch((error) => {
+                if (!error.isAbort()) {
+                    this.renderNotice(this.container.find('.status-sentry-hooks-seen'), 'Failed to load the hooks seen on this site. Please try again.');
+                }
+            });
+        },
+
+        /**
+         * Save a hook's settings.
+         *
+         * @param {string} feature The feature the hook belongs to.
+         * @param {string} hook The hook name.
+         * @param {Object} settings The settings to change: enabled or sampling_rate.
+         */
+        saveHook: function(feature, hook, settings) {
+            this.runAction(statusSentry.api.post('hooks/settings', Object.assign({ feature: feature, hook: String(hook) }, settings)), `Saved "${hook}".`);
+        },
+
+        /**
+         * Render the hooks a change returned, or restore them if it failed.
+         *
+         * @param {Promise} request The request.
+         * @param {string} message The message once it succeeded.
+         * @return {Promise} A promise that resolves when the hooks are rendered
+         */
+        runAction: function(request, message) {
+            const status = this.container.find('.status-sentry-hooks-status');
+            this.container.find('.status-sentry-hooks-features, .status-sentry-hooks-seen').find('input, button').prop('disabled', true);
+
+            return request.then((response) => {
+                this.renderFeatures(response.features || []);
+                this.updateSeenButtons();
+                status.text(`${message} Changes apply from the next page load.`);
+            }).catch((error) => {
+                this.renderFeatures(this.features);
+                this.updateSeenButtons();
+                window.alert(error.type === statusSentry.api.ApiError.CLIENT ?
+                    error.message :
+                    'The hooks could not be saved. Check server logs for more information.');
+            });
+        },
+
+        /**
+         * Render each feature's hooks.
+         *
+         * @param {Array} features The features with their hooks.
+         */
+        renderFeatures: function(features) {
+            const target = this.container.find('.status-sentry-hooks-features').empty();
+            this.features = features;
+
+            features.forEach((feature) => {
+                const label = this.featureLabels[feature.feature] || feature.feature;
+                const heading = $('<h2></h2>').text(label);
+
+                if (!feature.enabled) {
+                    heading.append(' ', $('<span class="status-sentry-hooks-badge"></span>').text('Feature disabled'));
+                }
+
+                target.append(heading);
+
+                if (!feature.hooks.length) {
+                    target.append($('<p class="description"></p>').text('This feature captures no hooks.'));
+                    return;
+                }
+
+                const table = $('<table class="widefat striped status-sentry-hooks-table"><thead><tr></tr></thead><tbody></tbody></table>');
+                ['Enabled', 'Hook', 'Priority', 'Sampling rate', ''].forEach((header) => {
+                    table.find('thead tr').append($('<th scope="col"></th>').text(header));
+                });
+
+                feature.hooks.forEach((hook) => {
+                    const id = `status-sentry-hooks-${feature.feature}-${hook.hook}`.replace(/[^\w-]/g, '_');
+                    const rate = $('<span class="status-sentry-hooks-rate-field"></span>').append(
+                        $('<input type="number" class="small-text status-sentry-hooks-rate" min="0" max="100" step="1">')
+                            .attr({ id: id + '-rate', 'data-feature': feature.feature, 'data-hook': hook.hook })
+                            .val(Math.round(hook.sampling_rate * 1000) / 10),
+                        $('<label class="screen-reader-text"></label>').attr('for', id + '-rate').text(`Sampling rate of ${hook.hook} in percent`),
+                        ' %'
+                    );
+
+                    if (hook.default_sampling_rate !== null && hook.default_sampling_rate !== hook.sampling_rate) {
+                        rate.append($('<span class="description"></span>').text(` (default ${Math.round(hook.default_sampling_rate * 1000) / 10}%)`));
+                    }
+
+                    if (hook.always_sampled && hook.sampling_rate > 0) {
+                        rate.append($('<span class="description"></span>').text(' Always captured unless the rate is 0.'));
+                    }
+
+                    const name = $('<td></td>').append(
+                        $('<label></label>').attr('for', id).append($('<code></code>').text(hook.hook))
+                    );
+                    if (hook.custom) {
+                        name.append(' ', $('<span class="status-sentry-hooks-badge is-custom"></span>').text('Custom'));
+                    }
+
+                    table.find('tbody').append($('<tr></tr>').toggleClass('is-disabled', !hook.enabled).append(
+                        $('<td></td>').append(
+                            $('<input type="checkbox" class="status-sentry-hooks-enabled">')
+                                .attr({ id: id, 'data-feature': feature.feature, 'data-hook': hook.hook })
+                                .prop('checked', hook.enabled)
+                        ),
+                        name,
+                        $('<td></td>').text(hook.priority),
+                        $('<td></td>').append(rate),
+                        $('<td></td>').append(hook.custom ?
+                            $('<button type="button" class="button-link button-link-delete status-sentry-hooks-remove"></button>')
+                                .attr({ 'data-feature': feature.feature, 'data-hook': hook.hook })
+                                .text('Remove') :
+                            '')
+                    ));
+                });
+
+                target.append(table);
+            });
+        },
+
+        /**
+         * Render the hooks seen at runtime that match the search.
+         *
+         * @param {Object} response The hooks and the number of matches.
+         * @param {string} search The search.
+         */
+        renderSeen: function(response, search) {
+            const target = this.container.find('.status-sentry-hooks-seen').empty();
+            const hooks = response.hooks || [];
+
+            if (!hooks.length) {
+                target.append($('<p class="description"></p>').text(search ?
+                    'No hook seen on this site matches the search.' :
+                    'No hooks have been seen on this site yet.'));
+                return;
+            }
+
+            if (response.total > hooks.length) {
+                target.append($('<p class="description"></p>').text(`Showing ${hooks.length} of ${response.total} hooks. Refine the search to find others.`));
+            }
+
+            const table = $('<table class="widefat striped status-sentry-hooks-table"><thead><tr></tr></thead><tbody></tbody></table>');
+            ['Hook', 'Type', 'Last seen', ''].forEach((header) => {
+                table.find('thead tr').append($('<th scope="col"></th>').text(header));
+            });
+
+            hooks.forEach((hook) => {
+                table.find('tbody').append($('<tr></tr>').append(
+                    $('<td></td>').append($('<code></code>').text(hook.hook)),
+                    $('<td></td>').text(hook.type === 'action' ? 'Action' : 'Filter or action'),
+                    $('<td></td>').text(new Date(this.parseUtc(hook.last_seen)).toLocaleString()),
+                    $('<td></td>').append(
+                        $('<button type="button" class="button button-small status-sentry-hooks-add"></button>')
+                            .attr('data-hook', hook.hook)
+                            .text('Add')
+                    )
+                ));
+            });
+
+            target.append(table);
+            this.updateSeenButtons();
+        },
+
+        /**
+         * Disable adding the hooks the selected feature already captures.
+         */
+        updateSeenButtons: function() {
+            const selected = this.container.find('#status-sentry-hooks-add-feature').val();
+            const feature = this.features.find(item => item.feature === selected);
+            const captured = feature ? feature.hooks.map(hook => hook.hook) : [];
+
+            this.container.find('.status-sentry-hooks-add').each((i, button) => {
+                const added = captured.indexOf(String($(button).data('hook'))) !== -1;
+                $(button).prop('disabled', added).text(added ? 'Added' : 'Add');
+            });
+        },
+
+        /**
+         * Parse a UTC "Y-m-d H:i:s" timestamp.
+         *
+         * @param {string} time The timestamp.
+         * @return {number} Milliseconds since the epoch.
+         */
+        parseUtc: function(time) {
+            return new Date(time.replace(' ', 'T') + 'Z').getTime();
+        },
+
+        /**
+         * Render an error notice.
+         *
+         * @param {jQuery} target The element to fill.
+         * @param {string} message The message.
+         */
+        renderNotice: function(target, message) {
+            target.html($('<div class="notice notice-error inline"></div>').append($('<p></p>').text(message)));
+        }
+    };
+
+    // Initialize the hook configuration page when the document is ready
+    $(document).ready(function() {
+        window.statusSentryHooks.init();
+    });
+
+})(jQuery);
@@ -0,0 +1,438 @@
+/**
+ * Status Sentry Issues JavaScript
+ *
+ * This file handles the Issues tab of the Events page. Issues group the
+ * monitoring events with the same source, context and normalised message;
+ * the list shows when each was first and last seen, how many events it
+ * has, a sparkline of its events per day and its status, which can be
+ * changed one issue at a time or in bulk.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ */
+
+(function($) {
+    'use strict';
+
+    // Issues app - make it globally accessible
+    window.statusSentryIssues = {
+        /**
+         * Number of issues per page.
+         */
+        perPage: 20,
+
+        /**
+         * Labels for the issue statuses.
+         */
+        statusLabels: {
+            open: 'Open',
+            resolved: 'Resolved',
+            ignored: 'Ignored'
+        },
+
+        /**
+         * The row actions offered for each status.
+         */
+        statusActions: {
+            open: [{ status: 'resolved', label: 'Resolve' }, { status: 'ignored', label: 'Ignore' }],
+            resolved: [{ status: 'open', label: 'Reopen' }],
+            ignored: [{ status: 'open', label: 'Stop ignoring' }]
+        },
+
+        /**
+         * Initialize the issues list.
+         */
+        init: function() {
+            this.container = $('#status-sentry-issues');
+            if (!this.container.length) {
+                return;
+            }
+
+            this.form = this.container.find('.status-sentry-issues-filters');
+            this.status = 'open';
+            this.page = 1;
+            this.selected = new Set();
+
+            this.setupEventHandlers();
+            this.fetchIssues();
+        },
+
+        /**
+         * Set up event handlers.
+         */
+        setupEventHandlers: function() {
+            this.container.find('.status-sentry-issues-statuses').on('click', 'a', (e) => {
+                e.preventDefault();
+                this.status = $(e.currentTarget).data('status');
+                this.page = 1;
+                this.container.find('.status-sentry-issues-statuses a').removeClass('current');
+                $(e.currentTarget).addClass('current');
+                this.fetchIssues();
+            });
+
+            this.form.on('submit', (e) => {
+                e.preventDefault();
+                this.page = 1;
+                this.fetchIssues();
+            });
+
+            this.form.find('select').on('change', () => {
+                this.page = 1;
+                this.fetchIssues();
+            });
+
+            this.container.find('.status-sentry-issues-previous').on('click', () => {
+                this.page = Math.max(1, this.page - 1);
+                this.fetchIssues();
+            });
+
+            this.container.find('.status-sentry-issues-next').on('click', () => {
+                this.page++;
+                this.fetchIssues();
+            });
+
+            this.container.on('change', '.status-sentry-issues-select', (e) => {
+                const id = parseInt(e.currentTarget.value, 10);
+
+                if (e.currentTarget.checked) {
+                    this.selected.add(id);
+                } else {
+                    this.selected.delete(id);
+                }
+
+                this.updateBulkControls();
+            });
+
+            this.container.on('change', '.status-sentry-issues-select-all', (e) => {
+                this.container.find('.status-sentry-issues-select').prop('checked', e.currentTarget.checked).trigger('change');
+            });
+
+            this.container.find('.status-sentry-issues-bulk-apply').on('click', (e) => {
+                this.updateStatus(Array.from(this.selected), this.container.find('.status-sentry-issues-bulk-action').val(), $(e.currentTarget));
+            });
+
+            this.container.on('click', '.status-sentry-issue-action', (e) => {
+                const button = $(e.currentTarget);
+                this.updateStatus([button.data('id')], button.data('status'), button);
+            });
+
+            this.container.find('.status-sentry-issues-rebuild-start').on('click', (e) => {
+                this.rebuild($(e.currentTarget));
+            });
+        },
+
+        /**
+         * Get the filters currently set in the form.
+         *
+         * @return {Object} The filters, without empty values.
+         */
+        getFilters: function() {
+            const filters = {};
+
+            this.form.serializeArray().forEach(field => {
+                if (field.value !== '') {
+                    filters[field.name] = field.name === 'event_type' ? [field.value] : field.value;
+                }
+            });
+
+            return filters;
+        },
+
+        /**
+         * Fetch a page of issues from the REST API.
+         */
+        fetchIssues: function() {
+            const params = Object.assign({}, this.getFilters(), {
+                status: this.status,
+                page: this.page,
+                per_page: this.perPage
+            });
+
+            this.container.addClass('is-loading');
+
+            // A newer query supersedes one that is still in flight
+            statusSentry.api.get('issues', params, { key: 'issues' }).then((response) => {
+                this.issues = response.issues || [];
+                this.total = response.total || 0;
+                this.selected.clear();
+
+                this.container.removeClass('is-loading');
+                this.renderCounts(response.counts || {});
+                this.renderIssues();
+                this.renderSummary();
+                this.renderPagination();
+                this.updateBulkControls();
+            }).catch((error) => {
+                if (error.isAbort()) {
+                    return;
+                }
+
+                this.container.removeClass('is-loading');
+                this.issues = [];
+                this.total = 0;
+                this.selected.clear();
+                this.renderError(error);
+                this.renderPagination();
+                this.updateBulkControls();
+            });
+        },
+
+        /**
+         * Show the number of issues per status.
+         *
+         * @param {Object} counts The counts keyed by status.
+         */
+        renderCounts: function(counts) {
+            let all = 0;
+
+            Object.keys(this.statusLabels).forEach(status => {
+                all += counts[status] || 0;
+                this.container.find(`.status-sentry-issues-statuses a[data-status="${status}"] .count`)
+                    .text(`(${(counts[status] || 0).toLocaleString()})`);
+            });
+
+            this.container.find('.status-sentry-issues-statuses a[data-status="all"] .count').text(`(${all.toLocaleString()})`);
+        },
+
+        /**
+         * Render the issues table.
+         */
+        renderIssues: function() {
+            const results = this.container.find('.status-sentry-issues-results');
+            results.empty();
+
+            if (this.issues.length === 0) {
+                results.append($('<p class="status-sentry-explorer-empty"></p>').text(
+                    this.status === 'open' ? 'No open issues. Nice.' : 'No issues match these filters.'
+                ));
+                return;
+            }
+
+            const table = $('<table class="widefat status-sentry-table status-sentry-issues-table"></table>');
+            const headerRow = $('<tr></tr>');
+
+            headerRow.append($('<td class="check-column"></td>').append(
+                $('<input type="checkbox" class="status-sentry-issues-select-all">').attr('aria-label', 'Select all')
+            ));
+            ['Issue', 'Status', 'Events', 'Last 14 days', 'First seen', 'Last seen', 'Actions'].forEach(label => {
+                headerRow.append($('<th></th>').text(label));
+            });
+            table.append($('<thead></thead>').append(headerRow));
+
+            const body = $('<tbody></tbody>');
+            this.issues.forEach(issue => {
+                body.append(this.renderIssueRow(issue));
+            });
+            table.append(body);
+
+            results.append(table);
+        },
+
+        /**
+         * Render a single issue row.
+         *
+         * @param {Object} issue The issue.
+         * @return {jQuery} The table row.
+         */
+        renderIssueRow: function(issue) {
+            const row = $('<tr></tr>').attr('data-id', issue.id);
+            const actions = $('<td class="status-sentry-issue-actions"></td>');
+            const status = $('<td></td>').append(
+                $('<span></span>')
+                    .addClass('status-sentry-issue-status status-sentry-issue-status-' + issue.status)
+                    .text(this.statusLabels[issue.status] || issue.status)
+            );
+
+            if (issue.status === 'open' && issue.reopened_at) {
+                status.append($('<span class="description status-sentry-issue-reopened"></span>')
+                    .attr('title', `Reopened ${issue.reopened_at} UTC`)
+                    .text('Regressed'));
+            }
+
+            row.append($('<th scope="row" class="check-column"></th>').append(
+                $('<input type="checkbox" class="status-sentry-issues-select">')
+                    .val(issue.id)
+                    .attr('aria-label', `Select issue ${issue.id}`)
+            ));
+
+            row.append($('<td class="status-sentry-issue-summary"></td>').append(
+                $('<span></span>')
+                    .addClass('status-sentry-event-type-' + issue.event_type)
+                    .text(issue.event_type.charAt(0).toUpperCase() + issue.event_type.slice(1)),
+                ' ',
+                $('<strong class="status-sentry-issue-message"></strong>').attr('title', issue.message).text(issue.message),
+                $('<div class="description"></div>').text(`${issue.source} / ${issue.context}`)
+            ));
+
+            row.append(status);
+            row.append($('<td></td>').text(issue.occurrences.toLocaleString()));
+            row.append($('<td></td>').append(this.renderSparkline(issue.daily_counts || [])));
+            row.append($('<td></td>').attr('title', issue.first_seen ? issue.first_seen + ' UTC' : '').text(issue.first_seen_ago));
+            row.append($('<td></td>').attr('title', issue.last_seen ? issue.last_seen + ' UTC' : '').text(issue.last_seen_ago));
+
+            if (issue.last_event_id) {
+                actions.append(
+                    $('<a class="status-sentry-view-event" data-type="monitoring"></a>')
+                        .attr('href', issue.last_event_url)
+                        .attr('data-id', issue.last_event_id)
+                        .text('Latest event')
+                );
+            }
+
+            (this.statusActions[issue.status] || []).forEach(action => {
+                actions.append(
+                    ' ',
+                    $('<button type="button" class="button-link status-sentry-issue-action"></button>')
+                        .attr('data-id', issue.id)
+                        .attr('data-status', action.status)
+                        .text(action.label)
+                );
+            });
+
+            row.append(actions);
+
+            return row;
+        },
+
+        /**
+         * Render a sparkline of events per day.
+         *
+         * @param {Array} counts The number of events per day, oldest first.
+         * @return {jQuery} The sparkline.
+         */
+        renderSparkline: function(counts) {
+            const max = Math.max(1, ...counts);
+            const total = counts.reduce((sum, count) => sum + count, 0);
+            const sparkline = $('<span class="status-sentry-issue-sparkline" role="img"></span>')
+                .attr('aria-label', `${total} events in the last ${counts.length} days`);
+
+            counts.forEach(count => {
+                sparkline.append(
+                    $('<span></span>')
+                        .toggleClass('is-empty', count === 0)
+                        .css('height', Math.max(1, Math.round(count / max * 20)) + 'px')
+                );
+            });
+
+            return sparkline;
+        },
+
+        /**
+         * Render the result summary.
+         */
+        renderSummary: function() {
+            const noun = this.total === 1 ? 'issue' : 'issues';
+            this.container.find('.status-sentry-explorer-summary').text(`${this.total.toLocaleString()} ${noun}`);
+        },
+
+        /**
+         * Update the pagination buttons.
+         */
+        renderPagination: function() {
+            this.container.find('.status-sentry-issues-previous').prop('disabled', this.page <= 1);
+            this.container.find('.status-sentry-issues-next').prop('disabled', this.page * this.perPage >= this.total);
+        },
+
+        /**
+         * Update the bulk action controls.
+         */
+        updateBulkControls: function() {
+            const count = this.selected.size;
+            const checkboxes = this.container.find('.status-sentry-issues-select');
+            const selectAll = this.container.find('.status-sentry-issues-select-all');
+
+            this.container.find('.status-sentry-issues-bulk-apply').prop('disabled', count === 0);
+
+            selectAll.prop('checked', count > 0 && count === checkboxes.length);
+            selectAll.prop('indeterminate', count > 0 && count < checkboxes.length);
+        },
+
+        /**
+         * Change the status of issues.
+         *
+         * @param {Array} ids The issue IDs.
+         * @param {string} status The new status.
+         * @param {jQuery} button The button that triggered the change.
+         */
+        updateStatus: function(ids, status, button) {
+            if (!status || !ids.length) {
+                return;
+            }
+
+            button.prop('disabled', true);
+
+            statusSentry.api.post('issues/status', { ids: ids, status: status }).then(() => {
+                button.prop('disabled', false);
+                this.fetchIssues();
+            }).catch((error) => {
+                button.prop('disabled', false);
+                window.alert(error.type === statusSentry.api.ApiError.CLIENT ?
+                    error.message :
+                    'Failed to update the issues. Please try again.');
+            });
+        },
+
+        /**
+         * Rebuild the issues from the stored events, a batch at a time.
+         *
+         * @param {jQuery} button The rebuild button.
+         */
+        rebuild: function(button) {
+            const status = this.container.find('.status-sentry-issues-rebuild-status');
+            let processed = 0;
+            let total = null;
+
+            const step = (cursor) => {
+                return statusSentry.api.post('issues/rebuild', { cursor: cursor }).then((response) => {
+                    processed += response.processed;
+                    if (response.total !== null && response.total !== undefined) {
+                        total = response.total;
+                    }
+
+                    status.text(total ?
+                        `Grouped ${processed.toLocaleString()} of ${total.toLocaleString()} events…` :
+                        `Grouped ${processed.toLocaleString()} events…`);
+
+                    if (response.next_cursor) {
+                        return step(response.next_cursor);
+                    }
+                });
+            };
+
+            button.prop('disabled', true);
+            status.text('Rebuilding issues…');
+
+            step(0).then(() => {
+                button.prop('disabled', false);
+                status.text(`Rebuilt issues from ${processed.toLocaleString()} events.`);
+                this.fetchIssues();
+            }).catch((error) => {
+                button.prop('disabled', false);
+                status.text(error.type === statusSentry.api.ApiError.CLIENT ?
+                    error.message :
+                    'Rebuilding the issues failed. Please try again.');
+            });
+        },
+
+        /**
+         * Show an error in place of the issues.
+         *
+         * @param {Object} error The ApiError describing the failure.
+         */
+        renderError: function(error) {
+            const message = error.type === statusSentry.api.ApiError.CLIENT ?
+                error.message :
+                'Failed to load issues. Please try again.';
+
+            this.container.find('.status-sentry-explorer-summary').empty();
+            this.container.find('.status-sentry-issues-results').html(
+                $('<div class="notice notice-error inline"></div>').append($('<p></p>').text(message))
+            );
+        }
+    };
+
+    $(document).ready(function() {
+        window.statusSentryIssues.init();
+    });
+
+})(jQuery);
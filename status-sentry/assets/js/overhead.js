@@ -0,0 +1,559 @@
+/**
+ * Status Sentry Plugin Overhead JavaScript
+ *
+ * This file handles the Plugin Overhead page: the task runs recorded by
+ * the self-monitor, filterable by task, tier and status, each task's
+ * duration and memory percentiles, and a chart of the time and memory
+ * the plugin's tasks used over time.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ */
+
+(function($) {
+    'use strict';
+
+    // Plugin overhead app - make it globally accessible
+    window.statusSentryOverhead = {
+        /**
+         * Time range labels.
+         */
+        ranges: {
+            '24h': 'Last 24 hours',
+            '7d': 'Last 7 days',
+            '30d': 'Last 30 days'
+        },
+
+        /**
+         * Run status labels.
+         */
+        statusLabels: {
+            running: 'Running',
+            completed: 'Completed',
+            partial: 'Partial',
+            failed: 'Failed',
+            aborted: 'Aborted'
+        },
+
+        /**
+         * Task runs per page.
+         */
+        perPage: 20,
+
+        /**
+         * Initialize the plugin overhead page.
+         */
+        init: function() {
+            this.container = $('#status-sentry-overhead-app');
+            if (!this.container.length) {
+                return;
+            }
+
+            this.range = '7d';
+            this.filters = { task_name: '', tier: '', status: '' };
+            this.page = 1;
+            this.chart = null;
+
+            this.renderLayout();
+            this.setupEventHandlers();
+            this.refresh();
+        },
+
+        /**
+         * Render the page sections.
+         */
+        renderLayout: function() {
+            const rangePicker = $('<div class="status-sentry-overhead-ranges" role="group" aria-label="Time range"></div>');
+            Object.keys(this.ranges).forEach((range) => {
+                rangePicker.append($('<button type="button" class="button button-small"></button>')
+                    .attr('data-range', range)
+                    .attr('title', this.ranges[range])
+                    .text(range));
+            });
+
+            const filters = $('<div class="status-sentry-overhead-filters"></div>').append(
+                this.createFilter('task_name', 'Task', 'All tasks'),
+                this.createFilter('tier', 'Tier', 'All tiers'),
+                this.createFilter('status', 'Status', 'All statuses'),
+                rangePicker,
+                $('<button type="button" class="button status-sentry-overhead-refresh"></button>')
+                    .append('<span class="dashicons dashicons-update"></span> ')
+                    .append(document.createTextNode('Refresh'))
+            );
+
+            this.container.empty().append(
+                filters,
+                $('<h2></h2>').text('Overhead over time'),
+                $('<div class="status-sentry-overhead-chart"></div>'),
+                $('<h2></h2>').text('Tasks'),
+                $('<div class="status-sentry-overhead-tasks"></div>'),
+                $('<h2></h2>').text('Task runs'),
+                $('<div class="status-sentry-overhead-runs"></div>')
+            );
+
+            this.updateRangeButtons();
+        },
+
+        /**
+         * Create a filter select.
+         *
+         * The options are filled in when the summary loads.
+         *
+         * @param {string} name The filter name.
+         * @param {string} label The label.
+         * @param {string} any The label of the option that doesn't filter.
+         * @return {jQuery} The labelled select.
+         */
+        createFilter: function(name, label, any) {
+            const id = 'status-sentry-overhead-filter-' + name;
+
+            return $('<span class="status-sentry-overhead-filter"></span>').append(
+                $('<label></label>').attr('for', id).text(label),
+                $('<select></select>').attr({ id: id, 'data-filter': name }).append(
+                    $('<option value=""></option>').text(any)
+                )
+            );
+        },
+
+        /**
+         * Set up event handlers.
+         */
+        setupEventHandlers: function() {
+            this.container.on('click', '.status-sentry-overhead-refresh', () => this.refresh());
+
+            this.container.on('change', '[data-filter]', (e) => {
+                this.filters[$(e.currentTarget).data('filter')] = $(e.currentTarget).val();
+                this.page = 1;
+                this.refresh();
+            });
+
+            this.container.on('click', '.status-sentry-overhead-ranges [data-range]', (e) => {
+                this.range = $(e.currentTarget).data('range');
+                this.page = 1;
+                this.updateRangeButtons();
+                this.refresh();
+            });
+
+            this.container.on('click', '[data-task-name]', (e) => {
+                e.preventDefault();
+                this.filters.task_name = $(e.currentTarget).data('task-name');
+                this.container.find('[data-filter="task_name"]').val(this.filters.task_name);
+                this.page = 1;
+                this.refresh();
+            });
+
+            this.container.on('click', '[data-page]', (e) => {
+                this.page = $(e.currentTarget).data('page');
+                this.fetchRuns();
+            });
+
+            this.container.on('click', '.status-sentry-overhead-error-toggle', (e) => {
+                const button = $(e.currentTarget);
+                const row = $('#' + button.attr('aria-controls'));
+                const expanded = button.attr('aria-expanded') !== 'true';
+
+                button.attr('aria-expanded', expanded ? 'true' : 'false').text(expanded ? 'Hide error' : 'Show error');
+                row.prop('hidden', !expanded);
+            });
+        },
+
+        /**
+         * Reload the summary and the task runs.
+         *
+         * @return {Promise} A promise that resolves when everything is rendered
+         */
+        refresh: function() {
+            return Promise.all([this.fetchSummary(), this.fetchRuns()]);
+        },
+
+        /**
+         * Get the request params for the selected filters and range.
+         *
+         * @return {Object} The params.
+         */
+        getParams: function() {
+            const params = { range: this.range };
+
+            Object.keys(this.filters).forEach((name) => {
+                if (this.filters[name]) {
+                    params[name] = this.filters[name];
+                }
+            });
+
+            return params;
+        },
+
+        /**
+         * Fetch the task percentiles and the overhead series from the REST API.
+         *
+         * @return {Promise} A promise that resolves when the summary is rendered
+         */
+        fetchSummary: function() {
+            return statusSentry.api.get('overhead/summary', this.getParams(), { key: 'overhead-summary' }).then((response) => {
+                this.updateFilterOptions(response);
+                this.renderChart(response.series);
+                this.renderTasks(response.tasks || [], response.truncated);
+            }).catch((error) => {
+                if (!error.isAbort()) {
+                    this.renderNotice(this.container.find('.status-sentry-overhead-tasks'), 'Failed to load the task overhead. Please try again.');
+                }
+            });
+        },
+
+        /**
+         * Fetch a page of task runs from the REST API.
+         *
+         * @return {Promise} A promise that resolves when the runs are rendered
+         */
+        fetchRuns: function() {
+            const params = Object.assign(this.getParams(), { page: this.page, per_page: this.perPage });
+
+            return statusSentry.api.get('overhead/runs', params, { key: 'overhead-runs' }).then((response) => {
+                this.renderRuns(response);
+            }).catch((error) => {
+                if (!error.isAbort()) {
+                    this.renderNotice(this.container.find('.status-sentry-overhead-runs'), 'Failed to load the task runs. Please try again.');
+                }
+            });
+        },
+
+        /**
+         * Fill the filter selects, keeping the selected values.
+         *
+         * @param {Object} summary The summary response.
+         */
+        updateFilterOptions: function(summary) {
+            const options = {
+                task_name: summary.task_names || [],
+                tier: summary.tiers || [],
+                status: summary.statuses || []
+            };
+
+            Object.keys(options).forEach((name) => {
+                const select = this.container.find(`[data-filter="${name}"]`);
+                const values = options[name].slice();
+
+                // Keep a selected value that has no runs left
+                if (this.filters[name] && values.indexOf(this.filters[name]) === -1) {
+                    values.push(this.filters[name]);
+                }
+
+                select.find('option:not(:first)').remove();
+                values.forEach((value) => {
+                    select.append($('<option></option>').val(value).text(name === 'status' ? (this.statusLabels[value] || value) : value));
+                });
+                select.val(this.filters[name]);
+            });
+        },
+
+        /**
+         * Render the overhead chart: the total task time per bucket and the
+         * largest memory use of a run in it.
+         *
+         * @param {Object} series The bucket size and the buckets, oldest first.
+         */
+        renderChart: function(series) {
+            const target = this.container.find('.status-sentry-overhead-chart');
+            const buckets = series ? series.buckets : [];
+
+            if (this.chart) {
+                this.chart.destroy();
+                this.chart = null;
+            }
+
+            if (!buckets.some(bucket => bucket.runs > 0)) {
+                target.empty().append($('<p class="description"></p>').text('No finished task runs in this range.'));
+                return;
+            }
+
+            if (typeof Chart === 'undefined') {
+                this.renderNotice(target, 'The chart library could not be loaded.');
+                return;
+            }
+
+            const canvas = $('<canvas></canvas>').attr('aria-label', 'Task time and peak memory over time').attr('role', 'img');
+            target.empty().append($('<div></div>').append(canvas));
+
+            const daily = series.bucket_seconds >= 24 * 3600;
+
+            this.chart = new Chart(canvas[0].getContext('2d'), {
+                type: 'bar',
+                data: {
+                    labels: buckets.map(bucket => {
+                        const date = new Date(this.parseUtc(bucket.time));
+                        return daily ?
+                            date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) :
+                            date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit' });
+                    }),
+                    datasets: [
+                        {
+                            label: 'Task time (s)',
+                            data: buckets.map(bucket => Math.round(bucket.duration * 1000) / 1000),
+                            backgroundColor: buckets.map(bucket => bucket.failed ? 'rgba(214, 54, 56, 0.7)' : 'rgba(34, 113, 177, 0.7)'),
+                            yAxisID: 'y'
+                        },
+                        {
+                            type: 'line',
+                            label: 'Peak memory (MB)',
+                            data: buckets.map(bucket => bucket.runs ? Math.round(bucket.memory / 1024 / 1024 * 100) / 100 : null),
+                            borderColor: 'rgba(219, 166, 23, 1)',
+                            backgroundColor: 'rgba(219, 166, 23, 1)',
+                            spanGaps: true,
+                            pointRadius: 2,
+                            yAxisID: 'memory'
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        y: { beginAtZero: true, title: { display: true, text: 'Seconds' } },
+                        memory: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'MB' } }
+                    },
+                    plugins: {
+                        legend: { position: 'bottom', labels: { boxWidth: 12 } },
+                        tooltip: {
+                            callbacks: {
+                                afterBody: (items) => {
+                                    const bucket = buckets[items[0].dataIndex];
+                                    return bucket.failed ? `${bucket.runs} runs, ${bucket.failed} failed` : `${bucket.runs} runs`;
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+        },
+
+        /**
+         * Render each task's runs, failures and percentiles.
+         *
+         * @param {Array} tasks The tasks, slowest in total first.
+         * @param {boolean} truncated Whether only the newest runs were included.
+         */
+        renderTasks: function(tasks, truncated) {
+            const target = this.container.find('.status-sentry-overhead-tasks').empty();
+
+            if (!tasks.length) {
+                target.append($('<p class="description"></p>').text('No finished task runs match the filters.'));
+                return;
+            }
+
+            if (truncated) {
+                target.append($('<p class="description"></p>').text('Only the newest runs are included. Choose a shorter range or a task for exact figures.'));
+            }
+
+            const headers = ['Task', 'Tier', 'Runs', 'Failed', 'Total time', 'Time p50', 'p90', 'p99', 'Max', 'Memory p50', 'p90', 'p99', 'Max'];
+            const table = $('<table class="widefat striped status-sentry-overhead-table"><thead><tr></tr></thead><tbody></tbody></table>');
+            headers.forEach((header) => {
+                table.find('thead tr').append($('<th scope="col"></th>').text(header));
+            });
+
+            tasks.forEach((task) => {
+                const row = $('<tr></tr>').append(
+                    $('<td></td>').append($('<a href="#"></a>').attr('data-task-name', task.task_name).attr('title', 'Show only this task').text(task.task_name)),
+                    $('<td></td>').text(task.tiers.join(', ')),
+                    $('<td></td>').text(task.runs),
+                    $('<td></td>').append(task.failed ? $('<span class="status-sentry-overhead-failed"></span>').text(task.failed) : '0'),
+                    $('<td></td>').text(this.formatDuration(task.total_duration))
+                );
+
+                ['p50', 'p90', 'p99', 'max'].forEach((key) => {
+                    row.append($('<td></td>').text(this.formatDuration(task.duration[key])));
+                });
+                ['p50', 'p90', 'p99', 'max'].forEach((key) => {
+                    row.append($('<td></td>').text(this.formatBytes(task.memory[key])));
+                });
+
+                table.find('tbody').append(row);
+            });
+
+            target.append(table);
+        },
+
+        /**
+         * Render a page of task runs.
+         *
+         * Failed runs get a row with their error message and a link to the
+         * error event the scheduler emitted.
+         *
+         * @param {Object} response The runs, the total and the page.
+         */
+        renderRuns: function(response) {
+            const target = this.container.find('.status-sentry-overhead-runs').empty();
+            const runs = response.runs || [];
+
+            if (!runs.length) {
+                target.append($('<p class="description"></p>').text('No task runs match the filters.'));
+                return;
+            }
+
+            const table = $('<table class="widefat striped status-sentry-overhead-table"><thead><tr></tr></thead><tbody></tbody></table>');
+            ['Started', 'Task', 'Tier', 'Status', 'Duration', 'Memory', ''].forEach((header) => {
+                table.find('thead tr').append($('<th scope="col"></th>').text(header));
+            });
+
+            runs.forEach((run) => {
+                const hasError = run.status === 'failed' && (run.error_message || run.error_event_url);
+                const errorId = 'status-sentry-overhead-error-' + run.id;
+
+                table.find('tbody').append($('<tr></tr>').append(
+                    $('<td></td>').text(this.formatTime(run.start_time)),
+                    $('<td></td>').text(run.task_name),
+                    $('<td></td>').text(run.tier),
+                    $('<td></td>').append(this.renderStatusBadge(run.status)),
+                    $('<td></td>').text(run.duration !== null ? this.formatDuration(run.duration) : ''),
+                    $('<td></td>').text(run.memory_used !== null ? this.formatBytes(run.memory_used) : ''),
+                    $('<td></td>').append(hasError ?
+                        $('<button type="button" class="button-link status-sentry-overhead-error-toggle" aria-expanded="false"></button>')
+                            .attr('aria-controls', errorId)
+                            .text('Show error') :
+                        '')
+                ));
+
+                if (hasError) {
+                    const cell = $('<td colspan="7"></td>');
+
+                    if (run.error_message) {
+                        cell.append($('<pre class="status-sentry-overhead-error"></pre>').text(run.error_message));
+                    }
+
+                    if (run.error_event_url) {
+                        cell.append($('<a></a>').attr('href', run.error_event_url).text('View error event'));
+                    } else {
+                        cell.append($('<span class="description"></span>').text('No error event was stored for this run.'));
+                    }
+
+                    table.find('tbody').append($('<tr class="status-sentry-overhead-error-row" hidden></tr>').attr('id', errorId).append(cell));
+                }
+            });
+
+            target.append(table, this.renderPagination(response.total, response.page, response.per_page));
+        },
+
+        /**
+         * Create the pagination for the task runs.
+         *
+         * @param {number} total The number of runs.
+         * @param {number} page The current page.
+         * @param {number} perPage The runs per page.
+         * @return {jQuery} The pagination.
+         */
+        renderPagination: function(total, page, perPage) {
+            const pages = Math.max(1, Math.ceil(total / perPage));
+
+            return $('<div class="tablenav"><div class="tablenav-pages"></div></div>').find('.tablenav-pages').append(
+                $('<span class="displaying-num"></span>').text(`${total} runs`),
+                ' ',
+                $('<button type="button" class="button button-small">&lsaquo;</button>')
+                    .attr({ 'data-page': page - 1, 'aria-label': 'Previous page' })
+                    .prop('disabled', page <= 1),
+                ' ',
+                $('<span class="paging-input"></span>').text(`${page} of ${pages}`),
+                ' ',
+                $('<button type="button" class="button button-small">&rsaquo;</button>')
+                    .attr({ 'data-page': page + 1, 'aria-label': 'Next page' })
+                    .prop('disabled', page >= pages)
+            ).end();
+        },
+
+        /**
+         * Highlight the selected range button.
+         */
+        updateRangeButtons: function() {
+            this.container.find('.status-sentry-overhead-ranges [data-range]').each((i, button) => {
+                $(button).toggleClass('button-primary', $(button).data('range') === this.range);
+            });
+        },
+
+        /**
+         * Create a status badge.
+         *
+         * @param {string} status The run status.
+         * @return {jQuery} The badge.
+         */
+        renderStatusBadge: function(status) {
+            return $('<span class="status-sentry-overhead-badge"></span>')
+                .addClass('is-' + status)
+                .text(this.statusLabels[status] || status);
+        },
+
+        /**
+         * Parse a UTC "Y-m-d H:i:s" timestamp.
+         *
+         * @param {string} time The timestamp.
+         * @return {number} Milliseconds since the epoch.
+         */
+        parseUtc: function(time) {
+            return new Date(time.replace(' ', 'T') + 'Z').getTime();
+        },
+
+        /**
+         * Format a UTC timestamp in the browser's locale.
+         *
+         * @param {string} time The UTC "Y-m-d H:i:s" timestamp.
+         * @return {string} The formatted time.
+         */
+        formatTime: function(time) {
+            return new Date(this.parseUtc(time)).toLocaleString();
+        },
+
+        /**
+         * Format a task duration in seconds.
+         *
+         * @param {number|null} seconds The duration.
+         * @return {string} The duration, e.g. "45 ms", "1.25 s" or "2 min 5 s".
+         */
+        formatDuration: function(seconds) {
+            if (seconds === null || seconds === undefined) {
+                return '';
+            }
+
+            if (seconds < 1) {
+                return `${Math.round(seconds * 1000)} ms`;
+            }
+
+            if (seconds < 60) {
+                return `${seconds.toFixed(2)} s`;
+            }
+
+            const rounded = Math.round(seconds);
+            return rounded % 60 ? `${Math.floor(rounded / 60)} min ${rounded % 60} s` : `${rounded / 60} min`;
+        },
+
+        /**
+         * Format a number of bytes.
+         *
+         * @param {number|null} bytes The number of bytes.
+         * @return {string} The size in KB or MB.
+         */
+        formatBytes: function(bytes) {
+            if (bytes === null || bytes === undefined) {
+                return '';
+            }
+
+            if (Math.abs(bytes) < 1024 * 1024) {
+                return `${(bytes / 1024).toFixed(1)} KB`;
+            }
+
+            return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        },
+
+        /**
+         * Render an error notice.
+         *
+         * @param {jQuery} target The element to fill.
+         * @param {string} message The message.
+         */
+        renderNotice: function(target, message) {
+            target.html($('<div class="notice notice-error inline"></div>').append($('<p></p>').text(message)));
+        }
+    };
+
+    // Initialize the plugin overhead page when the document is ready
+    $(document).ready(function() {
+        window.statusSentryOverhead.init();
+    });
+
+})(jQuery);
@@ -186,6 +186,56 @@ class Status_Sentry_Admin {
             [$this, 'render_events_page']
         );
 
+        // Add alert rules submenu
+        add_submenu_page(
+            'status-sentry',
+            __('Alert Rules', 'status-sentry-wp'),
+            __('Alert Rules', 'status-sentry-wp'),
+            'manage_options',
+            'status-sentry-alerts',
+            [$this, 'render_alert_rules_page']
+        );
+
+        // Add change impact submenu
+        add_submenu_page(
+            'status-sentry',
+            __('Change Impact', 'status-sentry-wp'),
+            __('Change Impact', 'status-sentry-wp'),
+            'manage_options',
+            'status-sentry-change-impact',
+            [$this, 'render_change_impact_page']
+        );
+
+        // Add cron monitor submenu
+        add_submenu_page(
+            'status-sentry',
+            __('Cron Monitor', 'status-sentry-wp'),
+            __('Cron Monitor', 'status-sentry-wp'),
+            'manage_options',
+            'status-sentry-cron',
+            [$this, 'render_cron_page']
+        );
+
+        // Add plugin overhead submenu
+        add_submenu_page(
+            'status-sentry',
+            __('Plugin Overhead', 'status-sentry-wp'),
+            __('Plugin Overhead', 'status-sentry-wp'),
+            'manage_options',
+            'status-sentry-overhead',
+            [$this, 'render_overhead_page']
+        );
+
+        // Add hook configuration submenu
+        add_submenu_page(
+            'status-sentry',
+            __('Hook Configuration', 'status-sentry-wp'),
+            __('Hook Configuration', 'status-sentry-wp'),
+            'manage_options',
+            'status-sentry-hooks',
+            [$this, 'render_hooks_page']
+        );
+
         // Add setup wizard submenu (hidden from menu)
         add_submenu_page(
             null, // No parent menu
@@ -223,31 +273,18 @@ class Status_Sentry_Admin {
                 STATUS_SENTRY_VERSION
             );
 
+            // Enqueue the shared REST client with REST API info for the widget
+            $this->enqueue_api_script();
+
             // Enqueue admin script for the widget
             wp_enqueue_script(
                 'status-sentry-admin',
                 STATUS_SENTRY_PLUGIN_URL . 'assets/js/admin.js',
-                ['jquery', 'chartjs'],
+                ['jquery', 'chartjs', 'status-sentry-api'],
                 STATUS_SENTRY_VERSION,
                 true
             );
 
-            // Localize script with REST API info for the widget
-            wp_localize_script(
-                'status-sentry-admin',
-                'statusSentry',
-                [
-                    'ajaxUrl' => admin_url('admin-ajax.php'),
-                    'nonce' => wp_create_nonce('status-sentry-admin'),
-                    'restUrl' => esc_url_raw(rest_url('status-sentry/v1/dashboard/')),
-                    'dashboardDataEndpoint' => esc_url_raw(rest_url('status-sentry/v1/dashboard/data')),
-                    'restNonce' => wp_create_nonce('wp_rest'),
-                    'adminUrl' => admin_url(),
-                    'pluginVersion' => STATUS_SENTRY_VERSION,
-                    'debug' => defined('WP_DEBUG') && WP_DEBUG,
-                ]
-            );
-
             return;
         }
 
@@ -276,31 +313,126 @@ class Status_Sentry_Admin {
         wp_enqueue_script('jquery-ui-core');
         wp_enqueue_script('jquery-ui-dialog');
 
+        // Enqueue the shared REST client with REST API info
+        $this->enqueue_api_script();
+
         // Enqueue scripts
         wp_enqueue_script(
             'status-sentry-admin',
             STATUS_SENTRY_PLUGIN_URL . 'assets/js/admin.js',
-            ['jquery', 'jquery-ui-dialog'],
+            ['jquery', 'jquery-ui-dialog', 'status-sentry-api'],
             STATUS_SENTRY_VERSION,
             true
         );
 
-        // Localize script with REST API info
-        wp_localize_script(
-            'status-sentry-admin',
-            'statusSentry',
-            [
-                'ajaxUrl' => admin_url('admin-ajax.php'),
-                'nonce' => wp_create_nonce('status-sentry-admin'),
-                'restUrl' => esc_url_raw(rest_url('status-sentry/v1/dashboard/')),
-                'dashboardDataEndpoint' => esc_url_raw(rest_url('status-sentry/v1/dashboard/data')),
-                'restNonce' => wp_create_nonce('wp_rest'),
-                'adminUrl' => admin_url(),
-                'pluginVersion' => STATUS_SENTRY_VERSION,
-                'debug' => defined('WP_DEBUG') && WP_DEBUG,
-            ]
+        // Check new events against the alert rules on every plugin page
+        wp_enqueue_script(
+            'status-sentry-alerts',
+            STATUS_SENTRY_PLUGIN_URL . 'assets/js/alerts.js',
+            ['jquery', 'status-sentry-api'],
+            STATUS_SENTRY_VERSION,
+            true
+        );
+
+        // Enqueue the rules editor on the alert rules page
+        if ($hook_suffix === 'status-sentry_page_status-sentry-alerts') {
+            wp_enqueue_script(
+                'status-sentry-alert-rules',
+                STATUS_SENTRY_PLUGIN_URL . 'assets/js/alert-rules.js',
+                ['jquery', 'status-sentry-api', 'status-sentry-alerts'],
+                STATUS_SENTRY_VERSION,
+                true
+            );
+        }
+
+        // Enqueue the snapshot comparison on the change impact page
+        if ($hook_suffix === 'status-sentry_page_status-sentry-change-impact') {
+            wp_enqueue_script(
+                'chartjs',
+                'https://cdn.jsdelivr.net/npm/chart.js@3.9.1/dist/chart.min.js',
+                [],
+                '3.9.1',
+                true
+            );
+
+            wp_enqueue_script(
+                'status-sentry-change-impact',
+                STATUS_SENTRY_PLUGIN_URL . 'assets/js/change-impact.js',
+                ['jquery', 'chartjs', 'status-sentry-api'],
+                STATUS_SENTRY_VERSION,
+                true
+            );
+        }
+
+        // Enqueue the cron monitor on the cron page
+        if ($hook_suffix === 'status-sentry_page_status-sentry-cron') {
+            wp_enqueue_script(
+                'status-sentry-cron',
+                STATUS_SENTRY_PLUGIN_URL . 'assets/js/cron.js',
+                ['jquery', 'status-sentry-api'],
+                STATUS_SENTRY_VERSION,
+                true
+            );
+        }
+
+        // Enqueue the task run explorer on the plugin overhead page
+        if ($hook_suffix === 'status-sentry_page_status-sentry-overhead') {
+            wp_enqueue_script(
+                'chartjs',
+                'https://cdn.jsdelivr.net/npm/chart.js@3.9.1/dist/chart.min.js',
+                [],
+                '3.9.1',
+                true
+            );
+
+            wp_enqueue_script(
+                'status-sentry-overhead',
+                STATUS_SENTRY_PLUGIN_URL . 'assets/js/overhead.js',
+                ['jquery', 'chartjs', 'status-sentry-api'],
+                STATUS_SENTRY_VERSION,
+                true
+            );
+        }
+
+        // Enqueue the hook editor on the hook configuration page
+        if ($hook_suffix === 'status-sentry_page_status-sentry-hooks') {
+            wp_enqueue_script(
+                'status-sentry-hooks',
+                STATUS_SENTRY_PLUGIN_URL . 'assets/js/hooks.js',
+                ['jquery', 'status-sentry-api'],
+                STATUS_SENTRY_VERSION,
+                true
+            );
+        }
+
+        // The event export is shared by the events page and the dashboard
+        wp_register_script(
+            'status-sentry-event-export',
+            STATUS_SENTRY_PLUGIN_URL . 'assets/js/event-export.js',
+            ['jquery', 'status-sentry-api'],
+            STATUS_SENTRY_VERSION,
+            true
         );
 
+        // Enqueue the event explorer on the events page
+        if ($hook_suffix === 'status-sentry_page_status-sentry-events') {
+            wp_enqueue_script(
+                'status-sentry-events',
+                STATUS_SENTRY_PLUGIN_URL . 'assets/js/events.js',
+                ['jquery', 'status-sentry-api', 'status-sentry-admin', 'status-sentry-event-export'],
+                STATUS_SENTRY_VERSION,
+                true
+            );
+
+            wp_enqueue_script(
+                'status-sentry-issues',
+                STATUS_SENTRY_PLUGIN_URL . 'assets/js/issues.js',
+                ['jquery', 'status-sentry-api', 'status-sentry-admin'],
+                STATUS_SENTRY_VERSION,
+                true
+            );
+        }
+
         // Enqueue dashboard-specific assets on the main dashboard page
         if ($hook_suffix === 'toplevel_page_status-sentry') {
             // Enqueue Chart.js
@@ -312,15 +444,23 @@ class Status_Sentry_Admin {
                 true
             );
 
-            // Enqueue dashboard script
+            // Enqueue dashboard script; other plugins add widgets from scripts that depend on it
             wp_enqueue_script(
                 'status-sentry-dashboard',
                 STATUS_SENTRY_PLUGIN_URL . 'assets/js/dashboard.js',
-                ['jquery', 'chartjs', 'status-sentry-admin'],
+                ['jquery', 'jquery-ui-sortable', 'chartjs', 'status-sentry-api', 'status-sentry-admin', 'status-sentry-event-export'],
                 STATUS_SENTRY_VERSION,
                 true
             );
 
+            // The user's widget layout, so the dashboard is laid out without another request
+            $layout = new Status_Sentry_Dashboard_Layout();
+            wp_localize_script(
+                'status-sentry-dashboard',
+                'statusSentryDashboardConfig',
+                ['layout' => $layout->get(get_current_user_id())]
+            );
+
             // Enqueue dashboard styles
             wp_enqueue_style(
                 'status-sentry-dashboard',
@@ -331,6 +471,57 @@ class Status_Sentry_Admin {
         }
     }
 
+    /**
+     * Enqueue the shared REST client.
+     *
+     * The statusSentry settings object is attached to the client so it is
+     * available to every script that depends on it.
+     *
+     * @since    1.9.0
+     */
+    private function enqueue_api_script() {
+        wp_enqueue_script(
+            'status-sentry-api',
+            STATUS_SENTRY_PLUGIN_URL . 'assets/js/api.js',
+            ['jquery'],
+            STATUS_SENTRY_VERSION,
+            true
+        );
+
+        wp_localize_script(
+            'status-sentry-api',
+            'statusSentry',
+            [
+                'ajaxUrl' => admin_url('admin-ajax.php'),
+                'nonce' => wp_create_nonce('status-sentry-admin'),
+                'restRoot' => esc_url_raw(rest_url('status-sentry/v1/')),
+                'restUrl' => esc_url_raw(rest_url('status-sentry/v1/dashboard/')),
+                'dashboardDataEndpoint' => esc_url_raw(rest_url('status-sentry/v1/dashboard/data')),
+                'restNonce' => wp_create_nonce('wp_rest'),
+                'adminUrl' => admin_url(),
+                'pluginVersion' => STATUS_SENTRY_VERSION,
+                'debug' => defined('WP_DEBUG') && WP_DEBUG,
+                'demoMode' => $this->is_demo_mode(),
+            ]
+        );
+    }
+
+    /**
+     * Check whether the dashboard may show generated demo data.
+     *
+     * Demo mode is off unless the STATUS_SENTRY_DEMO_MODE constant is set or
+     * the 'status_sentry_demo_mode' filter enables it. Outside demo mode a
+     * section that fails to load is labelled as unavailable instead.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether demo mode is enabled.
+     */
+    private function is_demo_mode() {
+        $demo_mode = defined('STATUS_SENTRY_DEMO_MODE') && STATUS_SENTRY_DEMO_MODE;
+
+        return (bool) apply_filters('status_sentry_demo_mode', $demo_mode);
+    }
+
     /**
      * Add dashboard widget.
      *
@@ -370,6 +561,137 @@ class Status_Sentry_Admin {
         <?php
     }
 
+    /**
+     * Render alert rules page.
+     *
+     * The rules editor is built by assets/js/alert-rules.js on the
+     * alert-rules REST API.
+     *
+     * @since    1.9.0
+     */
+    public function render_alert_rules_page() {
+        ?>
+        <div class="wrap">
+            <h1 class="wp-heading-inline"><?php echo esc_html__('Alert Rules', 'status-sentry-wp'); ?></h1>
+            <button type="button" class="page-title-action status-sentry-add-rule"><?php echo esc_html__('Add Rule', 'status-sentry-wp'); ?></button>
+            <hr class="wp-header-end">
+
+            <p class="description">
+                <?php echo esc_html__('Alert rules match new monitoring events. While any Status Sentry page is open, matching events show a browser notification and a badge on the Status Sentry menu. Rules are also stored for server-side delivery.', 'status-sentry-wp'); ?>
+            </p>
+
+            <div id="status-sentry-alert-rules-app">
+                <div class="status-sentry-loading">
+                    <span class="spinner is-active"></span>
+                    <p><?php echo esc_html__('Loading alert rules...', 'status-sentry-wp'); ?></p>
+                </div>
+            </div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render change impact page.
+     *
+     * @since    1.9.0
+     */
+    public function render_change_impact_page() {
+        ?>
+        <div class="wrap">
+            <h1><?php echo esc_html__('Change Impact', 'status-sentry-wp'); ?></h1>
+
+            <p class="description">
+                <?php echo esc_html__('Snapshots of memory, database queries and load time are taken before and after each plugin activation and theme switch. Pick a change to see its impact, or compare any two snapshots.', 'status-sentry-wp'); ?>
+            </p>
+
+            <div id="status-sentry-change-impact-app">
+                <div class="status-sentry-loading">
+                    <span class="spinner is-active"></span>
+                    <p><?php echo esc_html__('Loading snapshots...', 'status-sentry-wp'); ?></p>
+                </div>
+            </div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render cron monitor page.
+     *
+     * The monitor is built by assets/js/cron.js on the cron REST API.
+     *
+     * @since    1.9.0
+     */
+    public function render_cron_page() {
+        ?>
+        <div class="wrap">
+            <h1><?php echo esc_html__('Cron Monitor', 'status-sentry-wp'); ?></h1>
+
+            <p class="description">
+                <?php echo esc_html__('Runs of the Status Sentry scheduled tasks, as recorded by the cron logger. Select a task to see its run history or to recover it.', 'status-sentry-wp'); ?>
+            </p>
+
+            <div id="status-sentry-cron-app">
+                <div class="status-sentry-loading">
+                    <span class="spinner is-active"></span>
+                    <p><?php echo esc_html__('Loading cron tasks...', 'status-sentry-wp'); ?></p>
+                </div>
+            </div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render plugin overhead page.
+     *
+     * The task run explorer is built by assets/js/overhead.js on the overhead REST API.
+     *
+     * @since    1.9.0
+     */
+    public function render_overhead_page() {
+        ?>
+        <div class="wrap">
+            <h1><?php echo esc_html__('Plugin Overhead', 'status-sentry-wp'); ?></h1>
+
+            <p class="description">
+                <?php echo esc_html__('The time and memory Status Sentry\'s own tasks use, as recorded by the self-monitor. Filter the runs to find the tasks that slow the site down.', 'status-sentry-wp'); ?>
+            </p>
+
+            <div id="status-sentry-overhead-app">
+                <div class="status-sentry-loading">
+                    <span class="spinner is-active"></span>
+                    <p><?php echo esc_html__('Loading task runs...', 'status-sentry-wp'); ?></p>
+                </div>
+            </div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render hook configuration page.
+     *
+     * The hook editor is built by assets/js/hooks.js on the hooks REST API.
+     *
+     * @since    1.9.0
+     */
+    public function render_hooks_page() {
+        ?>
+        <div class="wrap">
+            <h1><?php echo esc_html__('Hook Configuration', 'status-sentry-wp'); ?></h1>
+
+            <p class="description">
+                <?php echo esc_html__('The WordPress hooks each feature captures. Disable hooks you don\'t need, lower sampling rates to reduce overhead, or add hooks seen on your site. Changes apply from the next page load.', 'status-sentry-wp'); ?>
+            </p>
+
+            <div id="status-sentry-hooks-app">
+                <div class="status-sentry-loading">
+                    <span class="spinner is-active"></span>
+                    <p><?php echo esc_html__('Loading hooks...', 'status-sentry-wp'); ?></p>
+                </div>
+            </div>
+        </div>
+        <?php
+    }
+
     /**
      * Render settings page.
      *
@@ -408,9 +730,9 @@ class Status_Sentry_Admin {
 
                     // Update performance settings
                     $settings['db_batch_size'] = isset($_POST['db_batch_size']) ? max(10, min(500, intval($_POST['db_batch_size']))) : 100;
-                    $settings['memory_threshold'] = isset($_POST['memory_threshold']) ? max(50, min(95, intval($_POST['memory_threshold']))) : 80;
+                    $settings['memory_threshold'] = isset($_POST['memory_threshold']) ? max(Status_Sentry_Resource_Manager::MEMORY_THRESHOLD_RANGE[0], min(Status_Sentry_Resource_Manager::MEMORY_THRESHOLD_RANGE[1], intval($_POST['memory_threshold']))) : 80;
                     $settings['gc_cycles'] = isset($_POST['gc_cycles']) ? max(1, min(10, intval($_POST['gc_cycles']))) : 3;
-                    $settings['cpu_threshold'] = isset($_POST['cpu_threshold']) ? max(30, min(90, intval($_POST['cpu_threshold']))) : 70;
+                    $settings['cpu_threshold'] = isset($_POST['cpu_threshold']) ? max(Status_Sentry_Resource_Manager::CPU_THRESHOLD_RANGE[0], min(Status_Sentry_Resource_Manager::CPU_THRESHOLD_RANGE[1], intval($_POST['cpu_threshold']))) : 70;
                     $settings['enable_query_cache'] = isset($_POST['enable_query_cache']) ? 1 : 0;
                     $settings['query_cache_ttl'] = isset($_POST['query_cache_ttl']) ? max(300, min(86400, intval($_POST['query_cache_ttl']))) : 3600;
                     $settings['enable_resumable_tasks'] = isset($_POST['enable_resumable_tasks']) ? 1 : 0;
@@ -568,7 +890,7 @@ class Status_Sentry_Admin {
                             <td>
                                 <label for="memory_threshold">
                                     <?php echo esc_html__('Memory Threshold (%)', 'status-sentry-wp'); ?>
-                                    <input type="number" name="memory_threshold" id="memory_threshold" value="<?php echo esc_attr($settings['memory_threshold']); ?>" min="50" max="95" step="5">
+                                    <input type="number" name="memory_threshold" id="memory_threshold" value="<?php echo esc_attr($settings['memory_threshold']); ?>" min="<?php echo esc_attr(Status_Sentry_Resource_Manager::MEMORY_THRESHOLD_RANGE[0]); ?>" max="<?php echo esc_attr(Status_Sentry_Resource_Manager::MEMORY_THRESHOLD_RANGE[1]); ?>" step="5">
                                 </label>
                                 <p class="description"><?php echo esc_html__('Percentage of memory limit at which garbage collection is triggered. Default is 80%.', 'status-sentry-wp'); ?></p>
 
@@ -587,7 +909,7 @@ class Status_Sentry_Admin {
                             <td>
                                 <label for="cpu_threshold">
                                     <?php echo esc_html__('CPU Threshold (%)', 'status-sentry-wp'); ?>
-                                    <input type="number" name="cpu_threshold" id="cpu_threshold" value="<?php echo esc_attr($settings['cpu_threshold']); ?>" min="30" max="90" step="5">
+                                    <input type="number" name="cpu_threshold" id="cpu_threshold" value="<?php echo esc_attr($settings['cpu_threshold']); ?>" min="<?php echo esc_attr(Status_Sentry_Resource_Manager::CPU_THRESHOLD_RANGE[0]); ?>" max="<?php echo esc_attr(Status_Sentry_Resource_Manager::CPU_THRESHOLD_RANGE[1]); ?>" step="5">
                                 </label>
                                 <p class="description"><?php echo esc_html__('Percentage of CPU load at which tasks are delayed. Default is 70%.', 'status-sentry-wp'); ?></p>
                             </td>
@@ -747,9 +1069,14 @@ class Status_Sentry_Admin {
                 <a href="<?php echo esc_url(admin_url('admin.php?page=status-sentry-events&tab=monitoring')); ?>" class="nav-tab <?php echo $active_tab === 'monitoring' ? 'nav-tab-active' : ''; ?>">
                     <?php echo esc_html__('Monitoring Events', 'status-sentry-wp'); ?>
                 </a>
+                <a href="<?php echo esc_url(admin_url('admin.php?page=status-sentry-events&tab=issues')); ?>" class="nav-tab <?php echo $active_tab === 'issues' ? 'nav-tab-active' : ''; ?>">
+                    <?php echo esc_html__('Issues', 'status-sentry-wp'); ?>
+                </a>
             </h2>
 
-            <?php if ($active_tab === 'monitoring' || !$show_legacy_tab) : ?>
+            <?php if ($active_tab === 'issues') : ?>
+                <?php $this->render_issues_tab(); ?>
+            <?php elseif ($active_tab === 'monitoring' || !$show_legacy_tab) : ?>
                 <?php $this->render_monitoring_events_tab(); ?>
             <?php else : ?>
                 <?php $this->render_legacy_events_tab(); ?>
@@ -775,71 +1102,108 @@ class Status_Sentry_Admin {
             </button>
         </div>
 
-        <?php if (empty($events)) : ?>
-            <p><?php echo esc_html__('No legacy events found.', 'status-sentry-wp'); ?></p>
-        <?php else : ?>
-            <table class="widefat status-sentry-table">
-                <thead>
-                    <tr>
-                        <th><?php echo esc_html__('ID', 'status-sentry-wp'); ?></th>
-                        <th><?php echo esc_html__('Feature', 'status-sentry-wp'); ?></th>
-                        <th><?php echo esc_html__('Hook', 'status-sentry-wp'); ?></th>
-                        <th><?php echo esc_html__('Data', 'status-sentry-wp'); ?></th>
-                        <th><?php echo esc_html__('Time', 'status-sentry-wp'); ?></th>
-                        <th><?php echo esc_html__('Actions', 'status-sentry-wp'); ?></th>
-                    </tr>
-                </thead>
-                <tbody>
-                    <?php foreach ($events as $event) : ?>
+        <div id="status-sentry-legacy-events" class="status-sentry-legacy-events">
+            <div class="status-sentry-explorer-bulk">
+                <div class="status-sentry-explorer-bulk-actions">
+                    <button type="button" class="button status-sentry-legacy-export-selected" disabled><?php echo esc_html__('Export Selected', 'status-sentry-wp'); ?></button>
+                    <button type="button" class="button status-sentry-legacy-delete-selected" disabled><?php echo esc_html__('Delete Selected', 'status-sentry-wp'); ?></button>
+                    <button type="button" class="button" disabled aria-describedby="status-sentry-legacy-acknowledge-reason"><?php echo esc_html__('Acknowledge', 'status-sentry-wp'); ?></button>
+                    <span id="status-sentry-legacy-acknowledge-reason" class="description"><?php echo esc_html__('Legacy events cannot be acknowledged. Only monitoring events have an acknowledgement status.', 'status-sentry-wp'); ?></span>
+                </div>
+                <div class="status-sentry-event-export" data-type="legacy"></div>
+                <div class="status-sentry-explorer-delete-tools">
+                    <label>
+                        <?php echo esc_html__('Delete events older than', 'status-sentry-wp'); ?>
+                        <input type="number" class="small-text status-sentry-legacy-older-days" min="1" max="3650" step="1" value="30">
+                        <?php echo esc_html__('days', 'status-sentry-wp'); ?>
+                    </label>
+                    <button type="button" class="button status-sentry-legacy-delete-older"><?php echo esc_html__('Delete', 'status-sentry-wp'); ?></button>
+                </div>
+            </div>
+
+            <div class="status-sentry-events-undo notice notice-info inline" aria-live="polite" hidden></div>
+
+            <?php if (empty($events)) : ?>
+                <p class="status-sentry-legacy-empty"><?php echo esc_html__('No legacy events found.', 'status-sentry-wp'); ?></p>
+            <?php else : ?>
+                <table class="widefat status-sentry-table">
+                    <thead>
                         <tr>
-                            <td><?php echo esc_html($event->id); ?></td>
-                            <td><?php echo esc_html(ucfirst(str_replace('_', ' ', $event->feature))); ?></td>
-                            <td><?php echo esc_html($event->hook); ?></td>
-                            <td>
-                                <?php
-                                if (isset($event->data)) {
-                                    $data = json_decode($event->data, true);
-                                    if (is_array($data)) {
-                                        // Show a snippet of the data (first 3 keys)
-                                        $keys = array_keys($data);
-                                        $snippet = array_slice($keys, 0, 3);
-                                        echo esc_html(implode(', ', $snippet));
-                                        if (count($keys) > 3) {
-                                            echo esc_html('...');
+                            <td class="check-column">
+                                <label class="screen-reader-text" for="status-sentry-legacy-select-all"><?php echo esc_html__('Select all', 'status-sentry-wp'); ?></label>
+                                <input type="checkbox" id="status-sentry-legacy-select-all" class="status-sentry-legacy-select-all">
+                            </td>
+                            <th><?php echo esc_html__('ID', 'status-sentry-wp'); ?></th>
+                            <th><?php echo esc_html__('Feature', 'status-sentry-wp'); ?></th>
+                            <th><?php echo esc_html__('Hook', 'status-sentry-wp'); ?></th>
+                            <th><?php echo esc_html__('Data', 'status-sentry-wp'); ?></th>
+                            <th><?php echo esc_html__('Time', 'status-sentry-wp'); ?></th>
+                            <th><?php echo esc_html__('Actions', 'status-sentry-wp'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($events as $event) : ?>
+                            <tr data-id="<?php echo esc_attr($event->id); ?>" data-time="<?php echo esc_attr($event->event_time); ?>">
+                                <th scope="row" class="check-column">
+                                    <input type="checkbox" class="status-sentry-legacy-select" value="<?php echo esc_attr($event->id); ?>" aria-label="<?php echo esc_attr(sprintf(__('Select event %d', 'status-sentry-wp'), $event->id)); ?>">
+                                </th>
+                                <td><?php echo esc_html($event->id); ?></td>
+                                <td><?php echo esc_html(ucfirst(str_replace('_', ' ', $event->feature))); ?></td>
+                                <td><?php echo esc_html($event->hook); ?></td>
+                                <td>
+                                    <?php
+                                    if (isset($event->data)) {
+                                        $data = json_decode($event->data, true);
+                                        if (is_array($data)) {
+                                            // Show a snippet of the data (first 3 keys)
+                                            $keys = array_keys($data);
+                                            $snippet = array_slice($keys, 0, 3);
+                                            echo esc_html(implode(', ', $snippet));
+                                            if (count($keys) > 3) {
+                                                echo esc_html('...');
+                                            }
+                                        } else {
+                                            echo esc_html(substr($event->data, 0, 50));
+                                            if (strlen($event->data) > 50) {
+                                                echo esc_html('...');
+                                            }
                                         }
                                     } else {
-                                        echo esc_html(substr($event->data, 0, 50));
-                                        if (strlen($event->data) > 50) {
-                                            echo esc_html('...');
-                                        }
+                                        echo esc_html__('No data', 'status-sentry-wp');
                                     }
-                                } else {
-                                    echo esc_html__('No data', 'status-sentry-wp');
-                                }
-                                ?>
-                            </td>
-                            <td><?php echo esc_html(human_time_diff(strtotime($event->event_time), time()) . ' ago'); ?></td>
-                            <td>
-                                <a href="#" class="status-sentry-view-event" data-id="<?php echo esc_attr($event->id); ?>" data-type="legacy">
-                                    <?php echo esc_html__('View', 'status-sentry-wp'); ?>
-                                </a>
-                            </td>
-                        </tr>
-                    <?php endforeach; ?>
-                </tbody>
-            </table>
-        <?php endif;
+                                    ?>
+                                </td>
+                                <td><?php echo esc_html(human_time_diff(strtotime($event->event_time), time()) . ' ago'); ?></td>
+                                <td>
+                                    <a href="#" class="status-sentry-view-event" data-id="<?php echo esc_attr($event->id); ?>" data-type="legacy">
+                                        <?php echo esc_html__('View', 'status-sentry-wp'); ?>
+                                    </a>
+                                </td>
+                            </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+            <?php endif; ?>
+        </div>
+        <?php
     }
 
     /**
      * Render monitoring events tab.
      *
+     * The filters are rendered here; the results are loaded by the event
+     * explorer script from the events REST route.
+     *
      * @since    1.6.0
      */
     private function render_monitoring_events_tab() {
-        // Get monitoring events
-        $repository = $this->get_monitoring_events_repository();
-        $events = $repository->get_events(20);
+        $event_types = $this->get_event_type_labels();
+        $priorities = [
+            10 => __('Low', 'status-sentry-wp'),
+            50 => __('Normal', 'status-sentry-wp'),
+            80 => __('High', 'status-sentry-wp'),
+            100 => __('Critical', 'status-sentry-wp'),
+        ];
 
         // Render the monitoring events tab
         ?>
@@ -849,57 +1213,207 @@ class Status_Sentry_Admin {
             </button>
         </div>
 
-        <?php if (empty($events)) : ?>
-            <p><?php echo esc_html__('No monitoring events found.', 'status-sentry-wp'); ?></p>
-        <?php else : ?>
-            <table class="widefat status-sentry-table">
-                <thead>
-                    <tr>
-                        <th><?php echo esc_html__('ID', 'status-sentry-wp'); ?></th>
-                        <th><?php echo esc_html__('Type', 'status-sentry-wp'); ?></th>
-                        <th><?php echo esc_html__('Source', 'status-sentry-wp'); ?></th>
-                        <th><?php echo esc_html__('Context', 'status-sentry-wp'); ?></th>
-                        <th><?php echo esc_html__('Message', 'status-sentry-wp'); ?></th>
-                        <th><?php echo esc_html__('Time', 'status-sentry-wp'); ?></th>
-                        <th><?php echo esc_html__('Actions', 'status-sentry-wp'); ?></th>
-                    </tr>
-                </thead>
-                <tbody>
-                    <?php foreach ($events as $event) : ?>
-                        <tr>
-                            <td><?php echo esc_html($event->id); ?></td>
-                            <td>
-                                <span class="status-sentry-event-type-<?php echo esc_attr($event->event_type); ?>">
-                                    <?php echo esc_html(ucfirst($event->event_type)); ?>
-                                </span>
-                            </td>
-                            <td><?php echo esc_html($event->source); ?></td>
-                            <td><?php echo esc_html($event->context); ?></td>
-                            <td><?php echo esc_html(substr($event->message, 0, 50) . (strlen($event->message) > 50 ? '...' : '')); ?></td>
-                            <td><?php echo esc_html(human_time_diff(strtotime($event->timestamp), time()) . ' ago'); ?></td>
-                            <td>
-                                <a href="#" class="status-sentry-view-event" data-id="<?php echo esc_attr($event->id); ?>" data-type="monitoring">
-                                    <?php echo esc_html__('View', 'status-sentry-wp'); ?>
-                                </a>
-                            </td>
-                        </tr>
+        <div id="status-sentry-event-explorer" class="status-sentry-event-explorer">
+            <form class="status-sentry-explorer-filters">
+                <div class="status-sentry-explorer-types">
+                    <?php foreach ($event_types as $type => $label) : ?>
+                        <label class="status-sentry-explorer-type status-sentry-event-type-<?php echo esc_attr($type); ?>">
+                            <input type="checkbox" name="event_type" value="<?php echo esc_attr($type); ?>">
+                            <?php echo esc_html($label); ?>
+                        </label>
                     <?php endforeach; ?>
-                </tbody>
-            </table>
-
-            <style>
-                .status-sentry-event-type-info { color: #0073aa; }
-                .status-sentry-event-type-warning { color: #ffb900; }
-                .status-sentry-event-type-error { color: #dc3232; }
-                .status-sentry-event-type-critical { color: #dc3232; font-weight: bold; }
-                .status-sentry-event-type-performance { color: #46b450; }
-                .status-sentry-event-type-security { color: #826eb4; }
-                .status-sentry-event-type-conflict { color: #00a0d2; }
-                .status-sentry-event-type-health { color: #00a0d2; }
-                .status-sentry-tab-actions { margin: 15px 0; text-align: right; }
-                .status-sentry-tab-actions .button { margin-left: 10px; }
-            </style>
-        <?php endif;
+                </div>
+
+                <div class="status-sentry-explorer-fields">
+                    <label>
+                        <?php echo esc_html__('Priority', 'status-sentry-wp'); ?>
+                        <select name="priority_min">
+                            <option value=""><?php echo esc_html__('Any', 'status-sentry-wp'); ?></option>
+                            <?php foreach ($priorities as $value => $label) : ?>
+                                <option value="<?php echo esc_attr($value); ?>"><?php echo esc_html($label); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                    </label>
+                    <label>
+                        <?php echo esc_html__('to', 'status-sentry-wp'); ?>
+                        <select name="priority_max">
+                            <option value=""><?php echo esc_html__('Any', 'status-sentry-wp'); ?></option>
+                            <?php foreach ($priorities as $value => $label) : ?>
+                                <option value="<?php echo esc_attr($value); ?>"><?php echo esc_html($label); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                    </label>
+                    <label>
+                        <?php echo esc_html__('Source', 'status-sentry-wp'); ?>
+                        <input type="text" name="source" class="regular-text">
+                    </label>
+                    <label>
+                        <?php echo esc_html__('Context', 'status-sentry-wp'); ?>
+                        <input type="text" name="context" class="regular-text">
+                    </label>
+                    <label>
+                        <?php echo esc_html__('From', 'status-sentry-wp'); ?>
+                        <input type="date" name="date_from">
+                    </label>
+                    <label>
+                        <?php echo esc_html__('To', 'status-sentry-wp'); ?>
+                        <input type="date" name="date_to">
+                    </label>
+                    <label class="status-sentry-explorer-search">
+                        <?php echo esc_html__('Message', 'status-sentry-wp'); ?>
+                        <input type="search" name="search" placeholder="<?php echo esc_attr__('Search messages…', 'status-sentry-wp'); ?>">
+                    </label>
+                </div>
+
+                <div class="status-sentry-explorer-toolbar">
+                    <button type="submit" class="button button-primary"><?php echo esc_html__('Apply Filters', 'status-sentry-wp'); ?></button>
+                    <button type="button" class="button status-sentry-explorer-reset"><?php echo esc_html__('Reset', 'status-sentry-wp'); ?></button>
+                    <div class="status-sentry-explorer-columns">
+                        <button type="button" class="button status-sentry-explorer-columns-toggle" aria-expanded="false">
+                            <span class="dashicons dashicons-columns"></span> <?php echo esc_html__('Columns', 'status-sentry-wp'); ?>
+                        </button>
+                        <div class="status-sentry-explorer-columns-menu" hidden></div>
+                    </div>
+                </div>
+            </form>
+
+            <div class="status-sentry-explorer-bulk">
+                <div class="status-sentry-explorer-bulk-actions">
+                    <label class="screen-reader-text" for="status-sentry-explorer-bulk-action"><?php echo esc_html__('Select bulk action', 'status-sentry-wp'); ?></label>
+                    <select id="status-sentry-explorer-bulk-action" class="status-sentry-explorer-bulk-action">
+                        <option value=""><?php echo esc_html__('Bulk actions', 'status-sentry-wp'); ?></option>
+                        <option value="delete"><?php echo esc_html__('Delete', 'status-sentry-wp'); ?></option>
+                        <option value="export"><?php echo esc_html__('Export', 'status-sentry-wp'); ?></option>
+                        <option value="acknowledged"><?php echo esc_html__('Acknowledge', 'status-sentry-wp'); ?></option>
+                        <option value="false_positive"><?php echo esc_html__('Mark as False Positive', 'status-sentry-wp'); ?></option>
+                        <option value="open"><?php echo esc_html__('Reopen', 'status-sentry-wp'); ?></option>
+                    </select>
+                    <button type="button" class="button status-sentry-explorer-bulk-apply" disabled><?php echo esc_html__('Apply', 'status-sentry-wp'); ?></button>
+                    <span class="status-sentry-explorer-selected-count"></span>
+                </div>
+                <div class="status-sentry-event-export" data-type="monitoring"></div>
+                <div class="status-sentry-explorer-delete-tools">
+                    <button type="button" class="button status-sentry-explorer-delete-matching"><?php echo esc_html__('Delete Matching Events', 'status-sentry-wp'); ?></button>
+                    <label>
+                        <?php echo esc_html__('Delete events older than', 'status-sentry-wp'); ?>
+                        <input type="number" class="small-text status-sentry-explorer-older-days" min="1" max="3650" step="1" value="30">
+                        <?php echo esc_html__('days', 'status-sentry-wp'); ?>
+                    </label>
+                    <button type="button" class="button status-sentry-explorer-delete-older"><?php echo esc_html__('Delete', 'status-sentry-wp'); ?></button>
+                </div>
+            </div>
+
+            <div class="status-sentry-events-undo notice notice-info inline" aria-live="polite" hidden></div>
+            <div class="status-sentry-explorer-summary" aria-live="polite"></div>
+            <div class="status-sentry-explorer-results"></div>
+            <div class="status-sentry-explorer-pagination">
+                <button type="button" class="button status-sentry-explorer-newest" disabled><?php echo esc_html__('« Newest', 'status-sentry-wp'); ?></button>
+                <button type="button" class="button status-sentry-explorer-newer" disabled><?php echo esc_html__('‹ Newer', 'status-sentry-wp'); ?></button>
+                <button type="button" class="button status-sentry-explorer-older" disabled><?php echo esc_html__('Older ›', 'status-sentry-wp'); ?></button>
+            </div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the issues tab.
+     *
+     * Issues group the monitoring events with the same source, context
+     * and normalised message. The list is rendered by assets/js/issues.js.
+     * Only the event types that become issues can be filtered by.
+     *
+     * @since    1.9.0
+     */
+    private function render_issues_tab() {
+        $issue_type_labels = $this->get_event_type_labels();
+        $statuses = [
+            'open' => __('Open', 'status-sentry-wp'),
+            'resolved' => __('Resolved', 'status-sentry-wp'),
+            'ignored' => __('Ignored', 'status-sentry-wp'),
+            'all' => __('All', 'status-sentry-wp'),
+        ];
+
+        ?>
+        <div id="status-sentry-issues" class="status-sentry-issues">
+            <ul class="subsubsub status-sentry-issues-statuses">
+                <?php foreach ($statuses as $status => $label) : ?>
+                    <li>
+                        <a href="#" data-status="<?php echo esc_attr($status); ?>" class="<?php echo $status === 'open' ? 'current' : ''; ?>">
+                            <?php echo esc_html($label); ?> <span class="count"></span>
+                        </a><?php echo $status !== 'all' ? ' |' : ''; ?>
+                    </li>
+                <?php endforeach; ?>
+            </ul>
+
+            <form class="status-sentry-issues-filters">
+                <label>
+                    <?php echo esc_html__('Type', 'status-sentry-wp'); ?>
+                    <select name="event_type">
+                        <option value=""><?php echo esc_html__('Any', 'status-sentry-wp'); ?></option>
+                        <?php foreach (Status_Sentry_Issues_Repository::get_event_types() as $type) : ?>
+                            <option value="<?php echo esc_attr($type); ?>"><?php echo esc_html($issue_type_labels[$type] ?? ucfirst($type)); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                </label>
+                <label>
+                    <?php echo esc_html__('Sort by', 'status-sentry-wp'); ?>
+                    <select name="orderby">
+                        <option value="last_seen"><?php echo esc_html__('Last seen', 'status-sentry-wp'); ?></option>
+                        <option value="first_seen"><?php echo esc_html__('First seen', 'status-sentry-wp'); ?></option>
+                        <option value="occurrences"><?php echo esc_html__('Occurrences', 'status-sentry-wp'); ?></option>
+                    </select>
+                </label>
+                <label class="status-sentry-explorer-search">
+                    <?php echo esc_html__('Search', 'status-sentry-wp'); ?>
+                    <input type="search" name="search" placeholder="<?php echo esc_attr__('Source, context or message…', 'status-sentry-wp'); ?>">
+                </label>
+                <button type="submit" class="button"><?php echo esc_html__('Filter', 'status-sentry-wp'); ?></button>
+            </form>
+
+            <div class="status-sentry-explorer-bulk">
+                <div class="status-sentry-explorer-bulk-actions">
+                    <label class="screen-reader-text" for="status-sentry-issues-bulk-action"><?php echo esc_html__('Select bulk action', 'status-sentry-wp'); ?></label>
+                    <select id="status-sentry-issues-bulk-action" class="status-sentry-issues-bulk-action">
+                        <option value=""><?php echo esc_html__('Bulk actions', 'status-sentry-wp'); ?></option>
+                        <option value="resolved"><?php echo esc_html__('Resolve', 'status-sentry-wp'); ?></option>
+                        <option value="ignored"><?php echo esc_html__('Ignore', 'status-sentry-wp'); ?></option>
+                        <option value="open"><?php echo esc_html__('Reopen', 'status-sentry-wp'); ?></option>
+                    </select>
+                    <button type="button" class="button status-sentry-issues-bulk-apply" disabled><?php echo esc_html__('Apply', 'status-sentry-wp'); ?></button>
+                </div>
+                <div class="status-sentry-issues-rebuild">
+                    <button type="button" class="button status-sentry-issues-rebuild-start"><?php echo esc_html__('Rebuild from Stored Events', 'status-sentry-wp'); ?></button>
+                    <span class="status-sentry-issues-rebuild-status" aria-live="polite"></span>
+                </div>
+            </div>
+
+            <div class="status-sentry-explorer-summary" aria-live="polite"></div>
+            <div class="status-sentry-issues-results"></div>
+            <div class="status-sentry-explorer-pagination">
+                <button type="button" class="button status-sentry-issues-previous" disabled><?php echo esc_html__('‹ Previous', 'status-sentry-wp'); ?></button>
+                <button type="button" class="button status-sentry-issues-next" disabled><?php echo esc_html__('Next ›', 'status-sentry-wp'); ?></button>
+            </div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Get the labels of the monitoring event types.
+     *
+     * @since    1.9.0
+     * @return   array    Labels keyed by event type.
+     */
+    private function get_event_type_labels() {
+        return [
+            'info' => __('Info', 'status-sentry-wp'),
+            'warning' => __('Warning', 'status-sentry-wp'),
+            'error' => __('Error', 'status-sentry-wp'),
+            'critical' => __('Critical', 'status-sentry-wp'),
+            'performance' => __('Performance', 'status-sentry-wp'),
+            'security' => __('Security', 'status-sentry-wp'),
+            'conflict' => __('Conflict', 'status-sentry-wp'),
+            'health' => __('Health', 'status-sentry-wp'),
+        ];
     }
 
     /**
@@ -1012,74 +1526,66 @@ class Status_Sentry_Admin {
                 // Initialize the sparkline chart if Chart.js is loaded
                 if (typeof Chart !== 'undefined' && $('#status-sentry-widget-sparkline').length) {
                     // Fetch data from the dashboard data endpoint
-                    $.ajax({
-                        url: statusSentry.dashboardDataEndpoint,
-                        method: 'GET',
-                        beforeSend: function(xhr) {
-                            xhr.setRequestHeader('X-WP-Nonce', statusSentry.restNonce);
-                        },
-                        success: function(response) {
-                            if (response && response.timeline && response.timeline.labels) {
-                                // Create a simplified dataset for the sparkline
-                                var sparklineData = {
-                                    labels: response.timeline.labels,
-                                    datasets: [{
-                                        label: 'Events',
-                                        data: [],
-                                        borderColor: '#0073aa',
-                                        backgroundColor: 'rgba(0, 115, 170, 0.2)',
-                                        borderWidth: 1,
-                                        fill: true,
-                                        tension: 0.4
-                                    }]
-                                };
-
-                                // Sum all event types for each day
-                                for (var i = 0; i < response.timeline.labels.length; i++) {
-                                    var daySum = 0;
-                                    response.timeline.datasets.forEach(function(dataset) {
-                                        daySum += dataset.data[i];
-                                    });
-                                    sparklineData.datasets[0].data.push(daySum);
-                                }
+                    statusSentry.api.get('dashboard/data').then(function(response) {
+                        if (response && response.timeline && response.timeline.labels) {
+                            // Create a simplified dataset for the sparkline
+                            var sparklineData = {
+                                labels: response.timeline.labels,
+                                datasets: [{
+                                    label: 'Events',
+                                    data: [],
+                                    borderColor: '#0073aa',
+                                    backgroundColor: 'rgba(0, 115, 170, 0.2)',
+                                    borderWidth: 1,
+                                    fill: true,
+                                    tension: 0.4
+                                }]
+                            };
+
+                            // Sum all event types for each day
+                            for (var i = 0; i < response.timeline.labels.length; i++) {
+                                var daySum = 0;
+                                response.timeline.datasets.forEach(function(dataset) {
+                                    daySum += dataset.data[i];
+                                });
+                                sparklineData.datasets[0].data.push(daySum);
+                            }
 
-                                // Create the sparkline chart
-                                var ctx = document.getElementById('status-sentry-widget-sparkline').getContext('2d');
-                                new Chart(ctx, {
-                                    type: 'line',
-                                    data: sparklineData,
-                                    options: {
-                                        responsive: true,
-                                        maintainAspectRatio: false,
-                                        plugins: {
-                                            legend: {
-                                                display: false
-                                            },
-                                            tooltip: {
-                                                enabled: true
-                                            }
+                            // Create the sparkline chart
+                            var ctx = document.getElementById('status-sentry-widget-sparkline').getContext('2d');
+                            new Chart(ctx, {
+                                type: 'line',
+                                data: sparklineData,
+                                options: {
+                                    responsive: true,
+                                    maintainAspectRatio: false,
+                                    plugins: {
+                                        legend: {
+                                            display: false
                                         },
-                                        scales: {
-                                            x: {
-                                                display: false
-                                            },
-                                            y: {
-                                                display: false,
-                                                beginAtZero: true
-                                            }
+                                        tooltip: {
+                                            enabled: true
+                                        }
+                                    },
+                                    scales: {
+                                        x: {
+                                            display: false
                                         },
-                                        elements: {
-                                            point: {
-                                                radius: 0
-                                            }
+                                        y: {
+                                            display: false,
+                                            beginAtZero: true
+                                        }
+                                    },
+                                    elements: {
+                                        point: {
+                                            radius: 0
                                         }
                                     }
-                                });
-                            }
-                        },
-                        error: function(error) {
-                            console.error('Error fetching dashboard data:', error);
+                                }
+                            });
                         }
+                    }).catch(function(error) {
+                        console.error('Error fetching dashboard data:', error.message);
                     });
                 }
             });
@@ -1200,7 +1706,11 @@ class Status_Sentry_Admin {
         return [
             'core_monitoring' => ($counts['info'] ?? 0) + ($counts['warning'] ?? 0) + ($counts['error'] ?? 0),
             'db_monitoring' => ($counts['critical'] ?? 0),
-            'conflict_detection' => ($counts['conflict'] ?? 0),
+            // Acknowledged conflicts and false positives no longer need attention
+            'conflict_detection' => $repository->count_events([
+                'event_type' => 'conflict',
+                'acknowledgement' => 'open',
+            ]),
             'performance_monitoring' => ($counts['performance'] ?? 0),
         ];
     }
@@ -1378,7 +1888,7 @@ class Status_Sentry_Admin {
 
             // Get performance metrics if this is a performance event
             if ($event->event_type === 'performance' && isset($event_data['data'])) {
-                $event_data['performance_metrics'] = $this->extract_performance_metrics($event_data['data']);
+                $event_data['performance_metrics'] = Status_Sentry_Monitoring_Events_Repository::extract_performance_metrics($event_data['data']);
             }
         } else {
             // Get legacy event
@@ -1411,35 +1921,12 @@ class Status_Sentry_Admin {
         wp_send_json_success($event_data);
     }
 
-    /**
-     * Extract performance metrics from event data.
-     *
-     * @since    1.6.0
-     * @param    array    $data    The event data.
-     * @return   array             The performance metrics.
-     */
-    private function extract_performance_metrics($data) {
-        $metrics = [];
-
-        // Common performance metrics to extract
-        $metric_keys = [
-            'memory_usage', 'memory_peak', 'memory_limit', 'memory_usage_percent',
-            'cpu_load', 'execution_time', 'query_count', 'query_time',
-            'http_requests', 'http_time', 'cache_hits', 'cache_misses'
-        ];
-
-        foreach ($metric_keys as $key) {
-            if (isset($data[$key])) {
-                $metrics[$key] = $data[$key];
-            }
-        }
-
-        return $metrics;
-    }
-
     /**
      * AJAX handler for clearing events.
      *
+     * The events are moved to the event trash, so clearing them can be
+     * undone until the undo window has passed.
+     *
      * @since    1.6.0
      */
     public function ajax_clear_events() {
@@ -1456,67 +1943,41 @@ class Status_Sentry_Admin {
         // Get event type
         $type = isset($_POST['type']) ? sanitize_text_field($_POST['type']) : 'legacy';
 
-        // Clear events based on type
-        if ($type === 'monitoring') {
-            // Clear monitoring events
-            $repository = $this->get_monitoring_events_repository();
-            $count = $repository->clear_all_events();
-
-            // Log the operation
-            error_log('Status Sentry: Cleared ' . $count . ' monitoring events');
-
-            // Delete dashboard transients to refresh all cached data
-            delete_transient('status_sentry_dashboard_recent');
-            delete_transient('status_sentry_dashboard_overview');
-            delete_transient('status_sentry_dashboard_trends');
-
-            wp_send_json_success([
-                'message' => sprintf(__('Successfully cleared %d monitoring events.', 'status-sentry-wp'), $count),
-                'deleted' => $count
-            ]);
-        } else if ($type === 'legacy') {
-            // Clear legacy events
-            $repository = $this->get_events_repository();
-            $count = $repository->clear_all_events();
-
-            // Log the operation
-            error_log('Status Sentry: Cleared ' . $count . ' legacy events');
-
-            // Delete dashboard transients to refresh all cached data
-            delete_transient('status_sentry_dashboard_recent');
-            delete_transient('status_sentry_dashboard_overview');
-            delete_transient('status_sentry_dashboard_trends');
-
-            wp_send_json_success([
-                'message' => sprintf(__('Successfully cleared %d legacy events.', 'status-sentry-wp'), $count),
-                'deleted' => $count
-            ]);
-        } else if ($type === 'all') {
-            // Clear both monitoring and legacy events
-            $monitoring_repository = $this->get_monitoring_events_repository();
-            $monitoring_count = $monitoring_repository->clear_all_events();
-
-            $legacy_repository = $this->get_events_repository();
-            $legacy_count = $legacy_repository->clear_all_events();
+        if ($type === 'all') {
+            $types = array_keys(Status_Sentry_Event_Trash::TYPES);
+        } elseif (isset(Status_Sentry_Event_Trash::TYPES[$type])) {
+            $types = [$type];
+        } else {
+            // Invalid type
+            wp_send_json_error('Invalid event type specified.');
+        }
 
-            $total_count = $monitoring_count + $legacy_count;
+        // Move the events to the trash so clearing them can be undone, in one batch for all types
+        $trash = new Status_Sentry_Event_Trash();
+        $batch_id = wp_generate_uuid4();
+        $counts = [];
 
-            // Log the operation
-            error_log('Status Sentry: Cleared ' . $monitoring_count . ' monitoring events and ' . $legacy_count . ' legacy events');
+        foreach ($types as $event_type) {
+            $result = $trash->trash($event_type, [], $batch_id);
+            $counts[$event_type] = $result['deleted'];
+        }
 
-            // Delete dashboard transients to refresh all cached data
-            delete_transient('status_sentry_dashboard_recent');
-            delete_transient('status_sentry_dashboard_overview');
-            delete_transient('status_sentry_dashboard_trends');
+        $total_count = array_sum($counts);
 
-            wp_send_json_success([
-                'message' => sprintf(__('Successfully cleared %d events (%d monitoring, %d legacy).', 'status-sentry-wp'), $total_count, $monitoring_count, $legacy_count),
-                'deleted' => $total_count
-            ]);
+        if ($type === 'all') {
+            $message = sprintf(__('Successfully cleared %d events (%d monitoring, %d legacy).', 'status-sentry-wp'), $total_count, $counts['monitoring'], $counts['legacy']);
+        } elseif ($type === 'monitoring') {
+            $message = sprintf(__('Successfully cleared %d monitoring events.', 'status-sentry-wp'), $total_count);
         } else {
-            // Invalid type
-            wp_send_json_error('Invalid event type specified.');
+            $message = sprintf(__('Successfully cleared %d legacy events.', 'status-sentry-wp'), $total_count);
         }
+
+        wp_send_json_success([
+            'message' => $message,
+            'deleted' => $total_count,
+            'batch' => $total_count > 0 ? $batch_id : null,
+            'undo_window' => $trash->get_undo_window(),
+        ]);
     }
 
     /**
@@ -0,0 +1,580 @@
+<?php
+/**
+ * Alert Rules REST API Controller
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+
+/**
+ * Alert Rules REST API Controller
+ *
+ * This class handles the REST API endpoints for the Alert Rules screen:
+ * creating, listing, updating and deleting rules, and checking new
+ * monitoring events against the rules for in-browser notifications.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+class Status_Sentry_Alert_Rules_Controller extends WP_REST_Controller {
+
+    /**
+     * The namespace of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $namespace    The namespace of this controller's route.
+     */
+    protected $namespace = 'status-sentry/v1';
+
+    /**
+     * The base of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $rest_base    The base of this controller's route.
+     */
+    protected $rest_base = 'alert-rules';
+
+    /**
+     * The monitoring event types.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      array    $event_types    The monitoring event types.
+     */
+    private $event_types = ['info', 'warning', 'error', 'critical', 'performance', 'security', 'conflict', 'health'];
+
+    /**
+     * The maximum number of new events checked per alerts request.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      int    $alerts_batch_size    The maximum number of events checked per request.
+     */
+    private $alerts_batch_size = 200;
+
+    /**
+     * Register the routes for alert rules.
+     *
+     * @since    1.9.0
+     */
+    public function register_routes() {
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base,
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_items'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                ],
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'create_item'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => $this->get_rule_args(true),
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/(?P<id>\d+)',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_item'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                ],
+                [
+                    'methods'             => WP_REST_Server::EDITABLE,
+                    'callback'            => [$this, 'update_item'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => $this->get_rule_args(false),
+                ],
+                [
+                    'methods'             => WP_REST_Server::DELETABLE,
+                    'callback'            => [$this, 'delete_item'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/alerts',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_alerts'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'cursor' => [
+                            'description'       => __('Check events recorded after this event ID. Omit to start from the latest event.', 'status-sentry-wp'),
+                            'type'              => 'integer',
+                            'minimum'           => 0,
+                            'sanitize_callback' => 'absint',
+                        ],
+                        'channel' => [
+                            'description' => __('Only check rules delivered on this channel.', 'status-sentry-wp'),
+                            'type'        => 'string',
+                            'enum'        => Status_Sentry_Alert_Rules_Repository::CHANNELS,
+                            'default'     => 'browser',
+                        ],
+                    ],
+                ],
+            ]
+        );
+    }
+
+    /**
+     * Check if a given request has access to alert rules.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   bool|WP_Error
+     */
+    public function get_items_permissions_check($request) {
+        return current_user_can('manage_options');
+    }
+
+    /**
+     * Get the arguments for creating or updating a rule.
+     *
+     * @since    1.9.0
+     * @param    bool     $creating    Whether the arguments are for creating a rule.
+     * @return   array                 The arguments.
+     */
+    private function get_rule_args($creating) {
+        $args = [
+            'name' => [
+                'description'       => __('The rule name.', 'status-sentry-wp'),
+                'type'              => 'string',
+                'minLength'         => 1,
+                'maxLength'         => 100,
+                'sanitize_callback' => 'sanitize_text_field',
+            ],
+            'enabled' => [
+                'description' => __('Whether the rule is enabled.', 'status-sentry-wp'),
+                'type'        => 'boolean',
+            ],
+            'event_types' => [
+                'description' => __('Event types the rule matches. Empty matches all types.', 'status-sentry-wp'),
+                'type'        => 'array',
+                'items'       => [
+                    'type' => 'string',
+                    'enum' => $this->event_types,
+                ],
+            ],
+            'min_priority' => [
+                'description' => __('Minimum event priority.', 'status-sentry-wp'),
+                'type'        => 'integer',
+                'minimum'     => 0,
+                'maximum'     => 100,
+            ],
+            'source_pattern' => [
+                'description'       => __('Source pattern, where * matches any characters. Empty matches all sources.', 'status-sentry-wp'),
+                'type'              => 'string',
+                'maxLength'         => 100,
+                'sanitize_callback' => 'sanitize_text_field',
+            ],
+            'context_pattern' => [
+                'description'       => __('Context pattern, where * matches any characters. Empty matches all contexts.', 'status-sentry-wp'),
+                'type'              => 'string',
+                'maxLength'         => 100,
+                'sanitize_callback' => 'sanitize_text_field',
+            ],
+            'threshold' => [
+                'description' => __('Number of matching events needed within the window.', 'status-sentry-wp'),
+                'type'        => 'integer',
+                'minimum'     => 1,
+                'maximum'     => 10000,
+            ],
+            'window_minutes' => [
+                'description' => __('Length of the rate window in minutes.', 'status-sentry-wp'),
+                'type'        => 'integer',
+                'minimum'     => 0,
+                'maximum'     => 1440,
+            ],
+            'channels' => [
+                'description' => __('Channels the rule is delivered on.', 'status-sentry-wp'),
+                'type'        => 'array',
+                'items'       => [
+                    'type' => 'string',
+                    'enum' => Status_Sentry_Alert_Rules_Repository::CHANNELS,
+                ],
+            ],
+        ];
+
+        if ($creating) {
+            $args['name']['required'] = true;
+            $args['enabled']['default'] = true;
+            $args['event_types']['default'] = [];
+            $args['min_priority']['default'] = 0;
+            $args['source_pattern']['default'] = '';
+            $args['context_pattern']['default'] = '';
+            $args['threshold']['default'] = 1;
+            $args['window_minutes']['default'] = 0;
+            $args['channels']['default'] = ['browser'];
+        }
+
+        return $args;
+    }
+
+    /**
+     * Get all alert rules.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_items($request) {
+        try {
+            return $this->prepare_response(['rules' => $this->get_repository()->get_rules()]);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_items', $e, __('Unable to load alert rules.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Get a single alert rule.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_item($request) {
+        try {
+            $rule = $this->get_repository()->get_rule((int) $request['id']);
+            if (!$rule) {
+                return $this->not_found();
+            }
+
+            return $this->prepare_response($rule);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_item', $e, __('Unable to load the alert rule.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Create an alert rule.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function create_item($request) {
+        try {
+            $rule = $this->get_rule_from_request($request);
+
+            $error = $this->validate_rule($rule);
+            if (is_wp_error($error)) {
+                return $error;
+            }
+
+            $repository = $this->get_repository();
+            $id = $repository->create_rule($rule);
+            if (!$id) {
+                throw new Exception('The rule could not be saved');
+            }
+
+            $response = $this->prepare_response($repository->get_rule($id));
+            $response->set_status(201);
+            return $response;
+        } catch (Throwable $e) {
+            return $this->handle_error('create_item', $e, __('Unable to create the alert rule.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Update an alert rule.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function update_item($request) {
+        try {
+            $repository = $this->get_repository();
+            $id = (int) $request['id'];
+
+            $existing = $repository->get_rule($id);
+            if (!$existing) {
+                return $this->not_found();
+            }
+
+            $changes = $this->get_rule_from_request($request);
+
+            // Validate the rule as it will be once the changes are applied
+            $error = $this->validate_rule(array_merge($existing, $changes));
+            if (is_wp_error($error)) {
+                return $error;
+            }
+
+            if (!$repository->update_rule($id, $changes)) {
+                throw new Exception('The rule could not be saved');
+            }
+
+            return $this->prepare_response($repository->get_rule($id));
+        } catch (Throwable $e) {
+            return $this->handle_error('update_item', $e, __('Unable to update the alert rule.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Delete an alert rule.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function delete_item($request) {
+        try {
+            $repository = $this->get_repository();
+            $id = (int) $request['id'];
+
+            $rule = $repository->get_rule($id);
+            if (!$rule) {
+                return $this->not_found();
+            }
+
+            if (!$repository->delete_rule($id)) {
+                throw new Exception('The rule could not be deleted');
+            }
+
+            return $this->prepare_response([
+                'deleted' => true,
+                'previous' => $rule,
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('delete_item', $e, __('Unable to delete the alert rule.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Check events recorded since a cursor against the enabled rules.
+     *
+     * Without a cursor this only returns the latest event ID, so clients
+     * are not alerted about events recorded before they started listening.
+     * Rules with a threshold fire when a new matching event brings the
+     * number of matching events within the window to the threshold.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_alerts($request) {
+        try {
+            $events_repository = $this->get_monitoring_events_repository();
+
+            if ($request['cursor'] === null) {
+                return $this->prepare_response([
+                    'cursor' => $events_repository->get_latest_id(),
+                    'alerts' => [],
+                    'has_more' => false,
+                ]);
+            }
+
+            $cursor = (int) $request['cursor'];
+            $events = $events_repository->get_events_since($cursor, $this->alerts_batch_size);
+            if (!empty($events)) {
+                $cursor = (int) end($events)->id;
+            }
+
+            $alerts = [];
+            $repository = $this->get_repository();
+
+            foreach ($repository->get_rules(true) as $rule) {
+                if (!in_array($request['channel'], $rule['channels'], true)) {
+                    continue;
+                }
+
+                $matches = array_values(array_filter($events, function($event) use ($repository, $rule) {
+                    return $repository->matches_event($rule, $event);
+                }));
+
+                if (empty($matches)) {
+                    continue;
+                }
+
+                $count = count($matches);
+                if ($rule['threshold'] > 1) {
+                    $filters = $repository->get_event_filters($rule);
+                    if ($rule['window_minutes'] > 0) {
+                        $filters['date_from'] = gmdate('Y-m-d H:i:s', time() - $rule['window_minutes'] * MINUTE_IN_SECONDS);
+                    }
+
+                    $count = $events_repository->count_events($filters);
+                    if ($count < $rule['threshold']) {
+                        continue;
+                    }
+                }
+
+                $alerts[] = [
+                    'rule' => $rule,
+                    'count' => $count,
+                    'new_events' => count($matches),
+                    'event' => $this->prepare_event(end($matches)),
+                ];
+            }
+
+            return $this->prepare_response([
+                'cursor' => $cursor,
+                'alerts' => $alerts,
+                'has_more' => count($events) >= $this->alerts_batch_size,
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_alerts', $e, __('Unable to check alert rules.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Get the rule fields set in a request.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   array                    The rule fields that are set.
+     */
+    private function get_rule_from_request($request) {
+        $rule = [];
+
+        foreach (array_keys($this->get_rule_args(false)) as $key) {
+            if ($request->get_param($key) !== null) {
+                $rule[$key] = $request->get_param($key);
+            }
+        }
+
+        if (isset($rule['event_types'])) {
+            $rule['event_types'] = array_values(array_unique($rule['event_types']));
+        }
+
+        if (isset($rule['channels'])) {
+            $rule['channels'] = array_values(array_unique($rule['channels']));
+        }
+
+        return $rule;
+    }
+
+    /**
+     * Check that a rule is complete.
+     *
+     * @since    1.9.0
+     * @param    array    $rule    The rule fields.
+     * @return   true|WP_Error     True if the rule is valid, WP_Error otherwise.
+     */
+    private function validate_rule($rule) {
+        if (isset($rule['name']) && trim($rule['name']) === '') {
+            return new WP_Error('rest_invalid_param', __('The rule needs a name.', 'status-sentry-wp'), ['status' => 400]);
+        }
+
+        if (isset($rule['threshold']) && $rule['threshold'] > 1 && empty($rule['window_minutes'])) {
+            return new WP_Error('rest_invalid_param', __('A rule with a threshold above 1 needs a window.', 'status-sentry-wp'), ['status' => 400]);
+        }
+
+        if (isset($rule['channels']) && empty($rule['channels'])) {
+            return new WP_Error('rest_invalid_param', __('The rule needs at least one channel.', 'status-sentry-wp'), ['status' => 400]);
+        }
+
+        return true;
+    }
+
+    /**
+     * Prepare a monitoring event for an alert.
+     *
+     * @since    1.9.0
+     * @param    object    $event    The monitoring event row.
+     * @return   array               The prepared event.
+     */
+    private function prepare_event($event) {
+        return [
+            'id' => (int) $event->id,
+            'event_type' => $event->event_type,
+            'priority' => (int) $event->priority,
+            'source' => $event->source,
+            'context' => $event->context,
+            'message' => $event->message,
+            'timestamp' => $event->timestamp,
+        ];
+    }
+
+    /**
+     * Create a response with no-cache headers.
+     *
+     * @since    1.9.0
+     * @param    mixed    $data    The response data.
+     * @return   WP_REST_Response  The response.
+     */
+    private function prepare_response($data) {
+        $response = rest_ensure_response($data);
+        $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+        $response->header('Pragma', 'no-cache');
+        $response->header('Expires', '0');
+        return $response;
+    }
+
+    /**
+     * Create the error for a missing rule.
+     *
+     * @since    1.9.0
+     * @return   WP_Error    The error.
+     */
+    private function not_found() {
+        return new WP_Error(
+            'status_sentry_alert_rule_not_found',
+            __('Alert rule not found.', 'status-sentry-wp'),
+            ['status' => 404]
+        );
+    }
+
+    /**
+     * Log an exception and create the error response.
+     *
+     * @since    1.9.0
+     * @param    string       $method     The method that failed.
+     * @param    Throwable    $e          The exception.
+     * @param    string       $message    The message for the client.
+     * @return   WP_Error                 The error.
+     */
+    private function handle_error($method, $e, $message) {
+        error_log('Status Sentry Alert Rules: Error in ' . $method . ' - ' . $e->getMessage());
+        error_log('Status Sentry Alert Rules: Error type - ' . get_class($e));
+
+        return new WP_Error('status_sentry_alert_rules_error', $message, ['status' => 500]);
+    }
+
+    /**
+     * Get the alert rules repository.
+     *
+     * @since    1.9.0
+     * @return   Status_Sentry_Alert_Rules_Repository    The alert rules repository.
+     */
+    private function get_repository() {
+        static $repository = null;
+
+        if ($repository === null) {
+            $repository = new Status_Sentry_Alert_Rules_Repository();
+        }
+
+        return $repository;
+    }
+
+    /**
+     * Get monitoring events repository.
+     *
+     * @since    1.9.0
+     * @return   Status_Sentry_Monitoring_Events_Repository    The monitoring events repository.
+     */
+    private function get_monitoring_events_repository() {
+        static $repository = null;
+
+        if ($repository === null) {
+            require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-monitoring-events-repository.php';
+            $repository = new Status_Sentry_Monitoring_Events_Repository();
+        }
+
+        return $repository;
+    }
+}
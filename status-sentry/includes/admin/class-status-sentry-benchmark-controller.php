@@ -0,0 +1,667 @@
+<?php
+/**
+ * Benchmark REST API Controller
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+
+/**
+ * Benchmark REST API Controller
+ *
+ * This class handles the REST API endpoints for running benchmarks from the
+ * benchmark page: starting a background run of selected tests, polling its
+ * progress and cancelling it. It also exports the benchmark history and
+ * imports runs exported from other sites.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+class Status_Sentry_Benchmark_Controller extends WP_REST_Controller {
+
+    /**
+     * The namespace of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $namespace    The namespace of this controller's route.
+     */
+    protected $namespace = 'status-sentry/v1';
+
+    /**
+     * The base of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $rest_base    The base of this controller's route.
+     */
+    protected $rest_base = 'benchmarks';
+
+    /**
+     * The format identifier of exported benchmark runs.
+     *
+     * @since    1.9.0
+     * @var      string
+     */
+    const EXPORT_FORMAT = 'status-sentry-benchmark';
+
+    /**
+     * The version of the export format.
+     *
+     * @since    1.9.0
+     * @var      int
+     */
+    const EXPORT_VERSION = 1;
+
+    /**
+     * The most runs one import may contain.
+     *
+     * The history only keeps 10 runs, so larger files can't be exports of it.
+     *
+     * @since    1.9.0
+     * @var      int
+     */
+    const MAX_IMPORTED_RUNS = 50;
+
+    /**
+     * The longest text an imported run may keep in a field, in characters.
+     *
+     * @since    1.9.0
+     * @var      int
+     */
+    const MAX_IMPORTED_TEXT_LENGTH = 200;
+
+    /**
+     * The result metrics kept when importing a run.
+     *
+     * Numeric metrics are cast to floats; anything else, and numbers that
+     * are not finite or are negative outside the signed metrics, is dropped.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      array    $imported_metrics    The metric keys.
+     */
+    private $imported_metrics = [
+        'memory_usage',
+        'execution_time',
+        'operations_per_second',
+        'memory_mb',
+        'time_ms',
+        'memory_target_mb',
+        'time_target_ms',
+    ];
+
+    /**
+     * The imported metrics that may be negative.
+     *
+     * Memory is measured as the change in usage, which garbage collection
+     * during a test can make negative.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      array    $signed_metrics    The metric keys.
+     */
+    private $signed_metrics = [
+        'memory_usage',
+        'memory_mb',
+    ];
+
+    /**
+     * Register the routes for benchmark runs.
+     *
+     * @since    1.9.0
+     */
+    public function register_routes() {
+        $run_args = [
+            'id' => [
+                'description' => __('The run ID.', 'status-sentry-wp'),
+                'type'        => 'string',
+                'required'    => true,
+            ],
+        ];
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/runs',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_current_run'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                ],
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'start_run'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'tests' => [
+                            'description' => __('The benchmark tests to run.', 'status-sentry-wp'),
+                            'type'        => 'array',
+                            'items'       => [
+                                'type' => 'string',
+                                'enum' => [
+                                    'test_resource_manager_performance',
+                                    'test_event_processor_performance',
+                                    'test_query_cache_performance',
+                                    'test_event_queue_performance',
+                                    'test_data_capture_performance',
+                                ],
+                            ],
+                            'required'    => true,
+                        ],
+                    ],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/runs/(?P<id>[a-f0-9\-]+)',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_run'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => $run_args,
+                ],
+                [
+                    'methods'             => WP_REST_Server::DELETABLE,
+                    'callback'            => [$this, 'cancel_run'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => $run_args,
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/history',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'export_history'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'timestamp' => [
+                            'description' => __('Only export the run with this timestamp.', 'status-sentry-wp'),
+                            'type'        => 'string',
+                        ],
+                    ],
+                ],
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'import_history'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'format' => [
+                            'description' => __('The export format identifier.', 'status-sentry-wp'),
+                            'type'        => 'string',
+                            'enum'        => [self::EXPORT_FORMAT],
+                            'required'    => true,
+                        ],
+                        'site_url' => [
+                            'description' => __('The URL of the site the runs were exported from.', 'status-sentry-wp'),
+                            'type'        => 'string',
+                        ],
+                        'runs' => [
+                            'description' => __('The exported runs.', 'status-sentry-wp'),
+                            'type'        => 'array',
+                            'items'       => ['type' => 'object'],
+                            'required'    => true,
+                        ],
+                    ],
+                ],
+            ]
+        );
+    }
+
+    /**
+     * Check if a given request has access to benchmark runs.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   bool
+     */
+    public function get_items_permissions_check($request) {
+        return current_user_can('manage_options');
+    }
+
+    /**
+     * Get the current or most recent run.
+     *
+     * Lets the benchmark page pick up a run that was started before it loaded.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_current_run($request) {
+        try {
+            $run = $this->get_jobs()->get_run();
+
+            return $this->prepare_response([
+                'run' => $run ? $this->prepare_run($run) : null,
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_current_run', $e, __('Unable to load the benchmark run.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Start a background run.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function start_run($request) {
+        try {
+            $run = $this->get_jobs()->start((array) $request['tests']);
+            if (is_wp_error($run)) {
+                return $run;
+            }
+
+            $response = $this->prepare_response($this->prepare_run($run));
+            $response->set_status(201);
+
+            return $response;
+        } catch (Throwable $e) {
+            return $this->handle_error('start_run', $e, __('Unable to start the benchmark.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Get a run's progress.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_run($request) {
+        try {
+            $run = $this->get_jobs()->get_run();
+            if (!$run || $run['id'] !== $request['id']) {
+                return new WP_Error(
+                    'status_sentry_benchmark_run_not_found',
+                    __('Benchmark run not found.', 'status-sentry-wp'),
+                    ['status' => 404]
+                );
+            }
+
+            return $this->prepare_response($this->prepare_run($run));
+        } catch (Throwable $e) {
+            return $this->handle_error('get_run', $e, __('Unable to load the benchmark run.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Cancel a run.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function cancel_run($request) {
+        try {
+            $run = $this->get_jobs()->cancel($request['id']);
+            if (is_wp_error($run)) {
+                return $run;
+            }
+
+            return $this->prepare_response($this->prepare_run($run));
+        } catch (Throwable $e) {
+            return $this->handle_error('cancel_run', $e, __('Unable to cancel the benchmark.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Export the benchmark history.
+     *
+     * Each run includes its configuration, the environment it ran in and
+     * the full per-test results.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function export_history($request) {
+        try {
+            $runs = [];
+            foreach (get_option('status_sentry_benchmark_history', []) as $entry) {
+                if (empty($entry['timestamp']) || empty($entry['results'])) {
+                    continue;
+                }
+                if ($request['timestamp'] && $entry['timestamp'] !== $request['timestamp']) {
+                    continue;
+                }
+                $runs[] = $this->prepare_history_entry($entry);
+            }
+
+            if ($request['timestamp'] && empty($runs)) {
+                return new WP_Error(
+                    'status_sentry_benchmark_history_not_found',
+                    __('Benchmark run not found.', 'status-sentry-wp'),
+                    ['status' => 404]
+                );
+            }
+
+            return $this->prepare_response([
+                'format' => self::EXPORT_FORMAT,
+                'version' => self::EXPORT_VERSION,
+                'exported_at' => current_time('mysql', true),
+                'site_url' => home_url(),
+                'runs' => $runs,
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('export_history', $e, __('Unable to export the benchmark history.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Import runs exported from another site into the benchmark history.
+     *
+     * Imported runs keep the site they came from. Runs whose timestamp is
+     * already in the history are skipped, since the history identifies runs
+     * by timestamp. Like local runs, only the 10 most recent are kept.
+     * Imports of more than MAX_IMPORTED_RUNS runs are rejected.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function import_history($request) {
+        try {
+            if (count($request['runs']) > self::MAX_IMPORTED_RUNS) {
+                return new WP_Error(
+                    'status_sentry_benchmark_import_too_large',
+                    sprintf(
+                        /* translators: %d: the most runs one import may contain */
+                        __('An import can contain at most %d runs.', 'status-sentry-wp'),
+                        self::MAX_IMPORTED_RUNS
+                    ),
+                    ['status' => 400]
+                );
+            }
+
+            $benchmark_history = get_option('status_sentry_benchmark_history', []);
+            $timestamps = wp_list_pluck($benchmark_history, 'timestamp');
+            $imported = [];
+            $skipped = 0;
+
+            foreach ($request['runs'] as $run) {
+                $entry = $this->sanitize_imported_run($run, $request['site_url']);
+
+                if (!$entry || in_array($entry['timestamp'], $timestamps, true)) {
+                    $skipped++;
+                    continue;
+                }
+
+                $benchmark_history[] = $entry;
+                $timestamps[] = $entry['timestamp'];
+                $imported[] = $entry['timestamp'];
+            }
+
+            // Newest first, like runs added by the benchmark page
+            usort($benchmark_history, function($a, $b) {
+                return strcmp($b['timestamp'], $a['timestamp']);
+            });
+            $benchmark_history = array_slice($benchmark_history, 0, 10);
+
+            update_option('status_sentry_benchmark_history', $benchmark_history);
+
+            // Runs older than the 10 most recent were dropped again
+            $kept = array_values(array_intersect($imported, wp_list_pluck($benchmark_history, 'timestamp')));
+
+            return $this->prepare_response([
+                'imported' => $kept,
+                'skipped' => $skipped,
+                'dropped' => count($imported) - count($kept),
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('import_history', $e, __('Unable to import the benchmark runs.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Prepare a run for the response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array    $run    The run.
+     * @return   array            The prepared run.
+     */
+    private function prepare_run($run) {
+        $tests = $run['tests'];
+
+        $finished = count(array_filter($tests, function($test) {
+            return in_array($test['status'], ['completed', 'failed'], true);
+        }));
+
+        return [
+            'id' => $run['id'],
+            'status' => $run['status'],
+            'tests' => $tests,
+            'progress' => [
+                'finished' => $finished,
+                'total' => count($tests),
+            ],
+            'created_at' => $run['created_at'],
+            'started_at' => $run['started_at'],
+            'completed_at' => $run['completed_at'],
+            // The history timestamp of a completed run, used to export it
+            'timestamp' => isset($run['timestamp']) ? $run['timestamp'] : null,
+            // Without WP-Cron a queued run waits for the system cron to pick it up
+            'cron_disabled' => defined('DISABLE_WP_CRON') && DISABLE_WP_CRON,
+        ];
+    }
+
+    /**
+     * Prepare a benchmark history entry for export.
+     *
+     * Runs recorded before the configuration and environment were stored
+     * used the benchmark runner's default configuration.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array    $entry    The history entry.
+     * @return   array              The exported run.
+     */
+    private function prepare_history_entry($entry) {
+        if (empty($entry['config'])) {
+            $runner = $this->get_default_runner();
+            $entry['config'] = [
+                'label' => $runner->get_config_label(),
+                'description' => $runner->get_config_description(),
+            ];
+        }
+
+        return [
+            'timestamp' => $entry['timestamp'],
+            'config' => $entry['config'],
+            'environment' => isset($entry['environment']) ? $entry['environment'] : null,
+            'source' => isset($entry['source']) ? $entry['source'] : null,
+            'results' => $entry['results'],
+        ];
+    }
+
+    /**
+     * Validate and sanitize an imported run.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    mixed          $run         The run from the export file.
+     * @param    string|null    $site_url    The URL of the site the export came from.
+     * @return   array|null                  The history entry, or null if the run is invalid.
+     */
+    private function sanitize_imported_run($run, $site_url) {
+        if (!is_array($run) || empty($run['timestamp']) || !is_string($run['timestamp'])
+            || !preg_match('/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/', $run['timestamp'])
+            || gmdate('Y-m-d H:i:s', strtotime($run['timestamp'] . ' UTC')) !== $run['timestamp']
+            || empty($run['results']) || !is_array($run['results'])) {
+            return null;
+        }
+
+        $jobs = $this->get_jobs();
+        $components = wp_list_pluck($jobs::get_tests(), 'component');
+        $results = [];
+
+        foreach ($run['results'] as $component => $result) {
+            if (!in_array($component, $components, true) || !is_array($result)) {
+                continue;
+            }
+
+            $metrics = [
+                'operation' => $this->sanitize_imported_text($result['operation'] ?? ''),
+                'passed' => !empty($result['passed']),
+                'config' => $this->sanitize_imported_text($result['config'] ?? ''),
+            ];
+            foreach ($this->imported_metrics as $key) {
+                if (isset($result[$key]) && is_numeric($result[$key]) && is_finite((float) $result[$key])
+                    && ($result[$key] >= 0 || in_array($key, $this->signed_metrics, true))) {
+                    $metrics[$key] = (float) $result[$key];
+                }
+            }
+
+            // The history page and comparison view need these three
+            if (!isset($metrics['memory_usage'], $metrics['execution_time'], $metrics['operations_per_second'])) {
+                continue;
+            }
+
+            $results[$component] = $metrics;
+        }
+
+        if (empty($results)) {
+            return null;
+        }
+
+        $config = isset($run['config']) && is_array($run['config']) ? $run['config'] : [];
+        $environment = isset($run['environment']) && is_array($run['environment']) ? $run['environment'] : null;
+
+        if ($environment !== null) {
+            $environment = [
+                'site_url' => isset($environment['site_url']) && is_string($environment['site_url']) ? esc_url_raw($environment['site_url']) : '',
+                'timezone' => $this->sanitize_imported_text($environment['timezone'] ?? ''),
+                'plugin_version' => $this->sanitize_imported_text($environment['plugin_version'] ?? ''),
+                'wp_version' => $this->sanitize_imported_text($environment['wp_version'] ?? ''),
+                'php_version' => $this->sanitize_imported_text($environment['php_version'] ?? ''),
+                'mysql_version' => $this->sanitize_imported_text($environment['mysql_version'] ?? ''),
+                'memory_limit' => $this->sanitize_imported_text($environment['memory_limit'] ?? ''),
+                'object_cache' => !empty($environment['object_cache']),
+                'multisite' => !empty($environment['multisite']),
+                'active_plugins' => isset($environment['active_plugins']) ? absint($environment['active_plugins']) : 0,
+            ];
+        }
+
+        // A run that was itself imported keeps its original site
+        $source_url = '';
+        if (isset($run['source']['site_url']) && is_string($run['source']['site_url'])) {
+            $source_url = $run['source']['site_url'];
+        } elseif (!empty($environment['site_url'])) {
+            $source_url = $environment['site_url'];
+        } elseif (is_string($site_url)) {
+            $source_url = $site_url;
+        }
+
+        return [
+            'timestamp' => $run['timestamp'],
+            'results' => $results,
+            'config' => [
+                'label' => $this->sanitize_imported_text($config['label'] ?? ''),
+                'description' => $this->sanitize_imported_text($config['description'] ?? ''),
+            ],
+            'environment' => $environment,
+            'source' => [
+                'site_url' => esc_url_raw($source_url),
+                'imported_at' => current_time('mysql', true),
+            ],
+        ];
+    }
+
+    /**
+     * Sanitize a text field of an imported run.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    mixed     $value    The value from the export file.
+     * @return   string              The text, shortened to MAX_IMPORTED_TEXT_LENGTH characters,
+     *                               or an empty string if the value isn't a string or number.
+     */
+    private function sanitize_imported_text($value) {
+        if (!is_string($value) && !is_int($value) && !is_float($value)) {
+            return '';
+        }
+
+        return mb_substr(sanitize_text_field((string) $value), 0, self::MAX_IMPORTED_TEXT_LENGTH);
+    }
+
+    /**
+     * Add headers that keep benchmark data from being cached.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    mixed    $data    The response data.
+     * @return   WP_REST_Response  The response.
+     */
+    private function prepare_response($data) {
+        $response = rest_ensure_response($data);
+        $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+        $response->header('Pragma', 'no-cache');
+        $response->header('Expires', '0');
+        return $response;
+    }
+
+    /**
+     * Log an exception and create the error response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string       $method     The method that failed.
+     * @param    Throwable    $e          The exception.
+     * @param    string       $message    The message for the client.
+     * @return   WP_Error                 The error.
+     */
+    private function handle_error($method, $e, $message) {
+        error_log('Status Sentry Benchmark: Error in ' . $method . ' - ' . $e->getMessage());
+        error_log('Status Sentry Benchmark: Error type - ' . get_class($e));
+
+        return new WP_Error('status_sentry_benchmark_error', $message, ['status' => 500]);
+    }
+
+    /**
+     * Get the benchmark jobs.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   Status_Sentry_Benchmark_Jobs    The benchmark jobs instance.
+     */
+    private function get_jobs() {
+        static $jobs = null;
+
+        if ($jobs === null) {
+            require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/benchmarking/class-status-sentry-benchmark-jobs.php';
+            $jobs = new Status_Sentry_Benchmark_Jobs();
+        }
+
+        return $jobs;
+    }
+
+    /**
+     * Get a benchmark runner with the default configuration.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   Status_Sentry_Benchmark_Runner    The benchmark runner instance.
+     */
+    private function get_default_runner() {
+        static $runner = null;
+
+        if ($runner === null) {
+            require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/benchmarking/class-status-sentry-benchmark-runner.php';
+            $runner = new Status_Sentry_Benchmark_Runner();
+        }
+
+        return $runner;
+    }
+}
@@ -0,0 +1,296 @@
+<?php
+/**
+ * Query Cache REST API Controller
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+
+/**
+ * Query Cache REST API Controller
+ *
+ * This class handles the REST API endpoints for the dashboard's cache
+ * inspector: the query cache groups with their entries, size, hit ratio
+ * and expiry, purging a group and cleaning up expired entries.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+class Status_Sentry_Cache_Controller extends WP_REST_Controller {
+
+    /**
+     * The namespace of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $namespace    The namespace of this controller's route.
+     */
+    protected $namespace = 'status-sentry/v1';
+
+    /**
+     * The base of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $rest_base    The base of this controller's route.
+     */
+    protected $rest_base = 'cache';
+
+    /**
+     * The expiry ranges of the cache entries, in order.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      array    $expiry_ranges    The range names.
+     */
+    private $expiry_ranges = ['expired', 'within_5_minutes', 'within_1_hour', 'within_1_day', 'later'];
+
+    /**
+     * Register the routes for the query cache.
+     *
+     * @since    1.9.0
+     */
+    public function register_routes() {
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base,
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_items'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/groups/(?P<group>[^/]+)',
+            [
+                [
+                    'methods'             => WP_REST_Server::DELETABLE,
+                    'callback'            => [$this, 'delete_group'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'group' => [
+                            'description' => __('The cache group to purge.', 'status-sentry-wp'),
+                            'type'        => 'string',
+                            'required'    => true,
+                        ],
+                    ],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/cleanup',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'cleanup_expired'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                ],
+            ]
+        );
+    }
+
+    /**
+     * Check if a given request has access to the query cache.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   bool
+     */
+    public function get_items_permissions_check($request) {
+        return current_user_can('manage_options');
+    }
+
+    /**
+     * Get the cache groups.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_items($request) {
+        try {
+            return $this->prepare_response($this->prepare_groups());
+        } catch (Throwable $e) {
+            return $this->handle_error('get_items', $e, __('Unable to load the query cache.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Delete all entries of a cache group.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function delete_group($request) {
+        try {
+            $deleted = $this->get_query_cache()->delete_group($request['group']);
+
+            return $this->prepare_response([
+                'deleted' => (int) $deleted,
+                'cache' => $this->prepare_groups(),
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('delete_group', $e, __('Unable to purge the cache group.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Delete the expired entries of all groups.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function cleanup_expired($request) {
+        try {
+            $deleted = $this->get_query_cache()->cleanup_expired();
+
+            return $this->prepare_response([
+                'deleted' => (int) $deleted,
+                'cache' => $this->prepare_groups(),
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('cleanup_expired', $e, __('Unable to clean up expired cache entries.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Prepare the cache groups with their entries, hits and misses, and the totals.
+     *
+     * Groups that were looked up but have no entries are included.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   array    The groups, the totals and the UTC time hits were first counted.
+     */
+    private function prepare_groups() {
+        $query_cache = $this->get_query_cache();
+        $stats = $query_cache->get_stats();
+
+        $groups = [];
+        foreach ($query_cache->get_group_summaries() as $row) {
+            $expiry = [];
+            foreach ($this->expiry_ranges as $range) {
+                $expiry[$range] = (int) $row[$range];
+            }
+
+            $groups[$row['cache_group']] = [
+                'group' => $row['cache_group'],
+                'entries' => (int) $row['entries'],
+                'size' => (int) $row['size'],
+                'oldest' => get_gmt_from_date($row['oldest']),
+                'newest' => get_gmt_from_date($row['newest']),
+                'expiry' => $expiry,
+            ];
+        }
+
+        foreach (array_keys($stats['groups']) as $group) {
+            if (!isset($groups[$group])) {
+                $groups[$group] = [
+                    'group' => (string) $group,
+                    'entries' => 0,
+                    'size' => 0,
+                    'oldest' => null,
+                    'newest' => null,
+                    'expiry' => array_fill_keys($this->expiry_ranges, 0),
+                ];
+            }
+        }
+
+        $totals = ['entries' => 0, 'size' => 0, 'expired' => 0, 'hits' => 0, 'misses' => 0];
+        foreach ($groups as $group => &$summary) {
+            $summary['hits'] = (int) ($stats['groups'][$group]['hits'] ?? 0);
+            $summary['misses'] = (int) ($stats['groups'][$group]['misses'] ?? 0);
+            $summary['hit_ratio'] = $this->get_hit_ratio($summary['hits'], $summary['misses']);
+
+            $totals['entries'] += $summary['entries'];
+            $totals['size'] += $summary['size'];
+            $totals['expired'] += $summary['expiry']['expired'];
+            $totals['hits'] += $summary['hits'];
+            $totals['misses'] += $summary['misses'];
+        }
+        unset($summary);
+
+        ksort($groups);
+        $totals['hit_ratio'] = $this->get_hit_ratio($totals['hits'], $totals['misses']);
+
+        return [
+            'groups' => array_values($groups),
+            'totals' => $totals,
+            'stats_since' => $stats['since'],
+        ];
+    }
+
+    /**
+     * Get the share of lookups that were hits.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    int    $hits      The number of hits.
+     * @param    int    $misses    The number of misses.
+     * @return   float|null        The hit ratio from 0 to 1, or null without lookups.
+     */
+    private function get_hit_ratio($hits, $misses) {
+        return $hits + $misses > 0 ? round($hits / ($hits + $misses), 4) : null;
+    }
+
+    /**
+     * Add no-cache headers to a response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    mixed    $data    The response data.
+     * @return   WP_REST_Response  The response.
+     */
+    private function prepare_response($data) {
+        $response = rest_ensure_response($data);
+        $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+        $response->header('Pragma', 'no-cache');
+        $response->header('Expires', '0');
+        return $response;
+    }
+
+    /**
+     * Log an exception and create the error response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string       $method     The method that failed.
+     * @param    Throwable    $e          The exception.
+     * @param    string       $message    The message for the client.
+     * @return   WP_Error                 The error.
+     */
+    private function handle_error($method, $e, $message) {
+        error_log('Status Sentry Cache: Error in ' . $method . ' - ' . $e->getMessage());
+        error_log('Status Sentry Cache: Error type - ' . get_class($e));
+
+        return new WP_Error('status_sentry_cache_error', $message, ['status' => 500]);
+    }
+
+    /**
+     * Get the query cache.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   Status_Sentry_Query_Cache    The query cache.
+     */
+    private function get_query_cache() {
+        static $query_cache = null;
+
+        if ($query_cache === null) {
+            require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/db/class-status-sentry-query-cache.php';
+            $query_cache = new Status_Sentry_Query_Cache();
+        }
+
+        return $query_cache;
+    }
+}
@@ -0,0 +1,418 @@
+<?php
+/**
+ * Conflicts REST API Controller
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+
+/**
+ * Conflicts REST API Controller
+ *
+ * This class handles the REST API endpoints for the dashboard's conflict
+ * panel: listing the conflicts the conflict detector reported, with the
+ * plugins, hooks and metrics involved, and acknowledging them or marking
+ * them as false positives so they stop counting toward the conflict KPI.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+class Status_Sentry_Conflicts_Controller extends WP_REST_Controller {
+
+    /**
+     * The namespace of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $namespace    The namespace of this controller's route.
+     */
+    protected $namespace = 'status-sentry/v1';
+
+    /**
+     * The base of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $rest_base    The base of this controller's route.
+     */
+    protected $rest_base = 'conflicts';
+
+    /**
+     * Register the routes for conflicts.
+     *
+     * @since    1.9.0
+     */
+    public function register_routes() {
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base,
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_items'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'status' => [
+                            'description' => __('Only return conflicts with this status.', 'status-sentry-wp'),
+                            'type'        => 'string',
+                            'enum'        => ['open', 'acknowledged', 'false_positive', 'all'],
+                            'default'     => 'open',
+                        ],
+                        'limit' => [
+                            'description' => __('The maximum number of conflicts.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'minimum'     => 1,
+                            'maximum'     => 100,
+                            'default'     => 20,
+                        ],
+                    ],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/(?P<id>\d+)/acknowledge',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'acknowledge_item'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'status' => [
+                            'description' => __('Whether the conflict is acknowledged or a false positive.', 'status-sentry-wp'),
+                            'type'        => 'string',
+                            'enum'        => ['acknowledged', 'false_positive'],
+                            'default'     => 'acknowledged',
+                        ],
+                    ],
+                ],
+                [
+                    'methods'             => WP_REST_Server::DELETABLE,
+                    'callback'            => [$this, 'reopen_item'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                ],
+            ]
+        );
+    }
+
+    /**
+     * Check if a given request has access to conflicts.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   bool
+     */
+    public function get_items_permissions_check($request) {
+        return current_user_can('manage_options');
+    }
+
+    /**
+     * Get the reported conflicts.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_items($request) {
+        try {
+            $repository = $this->get_repository();
+
+            $filters = ['event_type' => 'conflict'];
+            if ($request['status'] !== 'all') {
+                $filters['acknowledgement'] = $request['status'];
+            }
+
+            $result = $repository->query_events($filters, 0, $request['limit']);
+            $acknowledgements = $repository->get_acknowledgements(wp_list_pluck($result['events'], 'id'));
+
+            $conflicts = [];
+            foreach ($result['events'] as $event) {
+                $conflicts[] = $this->prepare_conflict($event, $acknowledgements[(int) $event->id] ?? null);
+            }
+
+            return $this->prepare_response([
+                'conflicts' => $conflicts,
+                'counts' => [
+                    'open' => $repository->count_events(['event_type' => 'conflict', 'acknowledgement' => 'open']),
+                    'acknowledged' => $repository->count_events(['event_type' => 'conflict', 'acknowledgement' => 'acknowledged']),
+                    'false_positive' => $repository->count_events(['event_type' => 'conflict', 'acknowledgement' => 'false_positive']),
+                ],
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_items', $e, __('Unable to load conflicts.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Acknowledge a conflict or mark it as a false positive.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function acknowledge_item($request) {
+        try {
+            $event = $this->get_conflict_event($request['id']);
+            if (is_wp_error($event)) {
+                return $event;
+            }
+
+            $repository = $this->get_repository();
+            if (!$repository->acknowledge_events([$event->id], $request['status'])) {
+                return $this->handle_error(
+                    'acknowledge_item',
+                    new Exception('The acknowledgement could not be stored'),
+                    __('Unable to acknowledge the conflict.', 'status-sentry-wp')
+                );
+            }
+
+            // The overview caches the conflict KPI
+            delete_transient('status_sentry_dashboard_overview');
+
+            $acknowledgements = $repository->get_acknowledgements([$event->id]);
+
+            return $this->prepare_response($this->prepare_conflict($event, $acknowledgements[(int) $event->id] ?? null));
+        } catch (Throwable $e) {
+            return $this->handle_error('acknowledge_item', $e, __('Unable to acknowledge the conflict.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Reopen an acknowledged conflict.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function reopen_item($request) {
+        try {
+            $event = $this->get_conflict_event($request['id']);
+            if (is_wp_error($event)) {
+                return $event;
+            }
+
+            $this->get_repository()->unacknowledge_events([$event->id]);
+
+            delete_transient('status_sentry_dashboard_overview');
+
+            return $this->prepare_response($this->prepare_conflict($event, null));
+        } catch (Throwable $e) {
+            return $this->handle_error('reopen_item', $e, __('Unable to reopen the conflict.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Get a conflict event by ID.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    int    $id    The event ID.
+     * @return   object|WP_Error    The event, or an error if there is no conflict with this ID.
+     */
+    private function get_conflict_event($id) {
+        $event = $this->get_repository()->get_event((int) $id);
+
+        if (!$event || $event->event_type !== 'conflict') {
+            return new WP_Error(
+                'status_sentry_conflict_not_found',
+                __('Conflict not found.', 'status-sentry-wp'),
+                ['status' => 404]
+            );
+        }
+
+        return $event;
+    }
+
+    /**
+     * Prepare a conflict event for the response.
+     *
+     * The conflict detector reports different data depending on how the
+     * conflict was found; this collects the plugins, hooks and metrics
+     * involved into the same shape for all of them.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    object        $event             The conflict event.
+     * @param    array|null    $acknowledgement   The event's acknowledgement, or null if it is open.
+     * @return   array                            The conflict for the response.
+     */
+    private function prepare_conflict($event, $acknowledgement) {
+        $data = json_decode($event->data, true);
+        if (!is_array($data)) {
+            $data = [];
+        }
+
+        $plugins = [];
+        foreach (['plugin', 'theme'] as $type) {
+            if (!empty($data[$type])) {
+                $plugins[] = $this->prepare_owner($type, $data[$type]);
+            }
+        }
+
+        $hooks = [];
+        foreach ($data['hook_collisions'] ?? [] as $collision) {
+            $colliding = [];
+            foreach ($collision['colliding_callbacks'] ?? [] as $callback) {
+                $owner = $this->prepare_owner($callback['owner']['type'], $callback['owner']['slug']);
+                $colliding[] = [
+                    'callback' => $callback['callback'],
+                    'owner' => $owner,
+                ];
+
+                if (!in_array($owner, $plugins, true)) {
+                    $plugins[] = $owner;
+                }
+            }
+
+            $hooks[] = [
+                'hook' => $collision['hook'],
+                'priority' => (int) $collision['priority'],
+                'callbacks' => $collision['callbacks'] ?? [],
+                'colliding_callbacks' => $colliding,
+            ];
+        }
+
+        $metrics = [];
+        if (!empty($data['conflicts']) && is_array($data['conflicts'])) {
+            $metrics = $data['conflicts'];
+        } elseif (isset($data['metric_name'])) {
+            $metrics[$data['metric_name']] = [
+                'before' => $data['baseline_value'] ?? null,
+                'after' => $data['current_value'] ?? null,
+                'diff_percent' => $data['deviation_percent'] ?? null,
+            ];
+        }
+
+        $trigger = null;
+        if (!empty($data['trigger'])) {
+            $trigger = $data['trigger'];
+            $trigger['url'] = null;
+
+            if (!empty($trigger['before_snapshot']) && !empty($trigger['after_snapshot'])) {
+                $trigger['url'] = add_query_arg([
+                    'page' => 'status-sentry-change-impact',
+                    'before' => $trigger['before_snapshot'],
+                    'after' => $trigger['after_snapshot'],
+                ], admin_url('admin.php'));
+            }
+        }
+
+        $acknowledged_by = null;
+        if ($acknowledgement && $acknowledgement['user_id']) {
+            $user = get_userdata($acknowledgement['user_id']);
+            $acknowledged_by = $user ? $user->display_name : null;
+        }
+
+        return [
+            'id' => (int) $event->id,
+            'context' => $event->context,
+            'message' => $event->message,
+            'timestamp' => $event->timestamp,
+            'status' => $acknowledgement ? $acknowledgement['status'] : 'open',
+            'acknowledged_by' => $acknowledged_by,
+            'acknowledged_at' => $acknowledgement ? $acknowledgement['created_at'] : null,
+            'plugins' => $plugins,
+            'hooks' => $hooks,
+            'metrics' => $metrics,
+            'potential_conflicts' => $data['potential_conflicts'] ?? [],
+            'trigger' => $trigger,
+        ];
+    }
+
+    /**
+     * Describe the plugin or theme involved in a conflict.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string    $type       'plugin' or 'theme'.
+     * @param    string    $subject    The plugin file or directory, or the theme stylesheet.
+     * @return   array                 The type, slug and display name.
+     */
+    private function prepare_owner($type, $subject) {
+        static $plugins = null;
+
+        $name = $subject;
+
+        if ($type === 'theme') {
+            $theme = wp_get_theme($subject);
+            if ($theme->exists()) {
+                $name = $theme->get('Name');
+            }
+        } else {
+            if ($plugins === null) {
+                if (!function_exists('get_plugins')) {
+                    require_once ABSPATH . 'wp-admin/includes/plugin.php';
+                }
+                $plugins = get_plugins();
+            }
+
+            // Hook owners are plugin directories, activations are plugin files
+            foreach ($plugins as $file => $plugin) {
+                if ($file === $subject || strtok($file, '/') === $subject) {
+                    $name = $plugin['Name'];
+                    break;
+                }
+            }
+        }
+
+        return [
+            'type' => $type,
+            'slug' => $type === 'plugin' ? strtok($subject, '/') : $subject,
+            'name' => $name,
+        ];
+    }
+
+    /**
+     * Add no-cache headers to a response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    mixed    $data    The response data.
+     * @return   WP_REST_Response  The response.
+     */
+    private function prepare_response($data) {
+        $response = rest_ensure_response($data);
+        $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+        $response->header('Pragma', 'no-cache');
+        $response->header('Expires', '0');
+        return $response;
+    }
+
+    /**
+     * Log an exception and create the error response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string       $method     The method that failed.
+     * @param    Throwable    $e          The exception.
+     * @param    string       $message    The message for the client.
+     * @return   WP_Error                 The error.
+     */
+    private function handle_error($method, $e, $message) {
+        error_log('Status Sentry Conflicts: Error in ' . $method . ' - ' . $e->getMessage());
+        error_log('Status Sentry Conflicts: Error type - ' . get_class($e));
+
+        return new WP_Error('status_sentry_conflicts_error', $message, ['status' => 500]);
+    }
+
+    /**
+     * Get the monitoring events repository.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   Status_Sentry_Monitoring_Events_Repository    The repository instance.
+     */
+    private function get_repository() {
+        static $repository = null;
+
+        if ($repository === null) {
+            require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-monitoring-events-repository.php';
+            $repository = new Status_Sentry_Monitoring_Events_Repository();
+        }
+
+        return $repository;
+    }
+}
@@ -0,0 +1,510 @@
+<?php
+/**
+ * Cron REST API Controller
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+
+/**
+ * Cron REST API Controller
+ *
+ * This class handles the REST API endpoints for the cron monitor: the
+ * scheduler's tasks with their next and last runs, the runs recorded by
+ * the cron logger, failures, stuck runs and missed schedules, and the
+ * health checker's recovery actions.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+class Status_Sentry_Cron_Controller extends WP_REST_Controller {
+
+    /**
+     * The namespace of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $namespace    The namespace of this controller's route.
+     */
+    protected $namespace = 'status-sentry/v1';
+
+    /**
+     * The base of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $rest_base    The base of this controller's route.
+     */
+    protected $rest_base = 'cron';
+
+    /**
+     * How late a scheduled cron event may run before it counts as missed, in seconds.
+     *
+     * WP-Cron only runs when the site gets a request, so events are
+     * commonly a few minutes late.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      int    $missed_grace_period    The grace period in seconds.
+     */
+    private $missed_grace_period = 600;
+
+    /**
+     * Register the routes for the cron monitor.
+     *
+     * @since    1.9.0
+     */
+    public function register_routes() {
+        $task_args = [
+            'task' => [
+                'description' => __('The task name.', 'status-sentry-wp'),
+                'type'        => 'string',
+                'required'    => true,
+            ],
+        ];
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/tasks',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_tasks'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/tasks/(?P<task>[a-z0-9_\-]+)',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_task'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => array_merge($task_args, [
+                        'limit' => [
+                            'description' => __('The maximum number of runs.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'minimum'     => 1,
+                            'maximum'     => 200,
+                            'default'     => 50,
+                        ],
+                    ]),
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/tasks/(?P<task>[a-z0-9_\-]+)/recover',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'recover_task'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => $task_args,
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/tasks/(?P<task>[a-z0-9_\-]+)/reset-attempts',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'reset_attempts'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => $task_args,
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/runs',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_runs'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'from' => [
+                            'description' => __('Start of the timeline as a UTC "Y-m-d H:i:s" timestamp. Defaults to 24 hours ago.', 'status-sentry-wp'),
+                            'type'        => 'string',
+                        ],
+                        'to' => [
+                            'description' => __('End of the timeline as a UTC "Y-m-d H:i:s" timestamp. Defaults to now.', 'status-sentry-wp'),
+                            'type'        => 'string',
+                        ],
+                    ],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/problems',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_problems'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                ],
+            ]
+        );
+    }
+
+    /**
+     * Check if a given request has access to the cron monitor.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   bool
+     */
+    public function get_items_permissions_check($request) {
+        return current_user_can('manage_options');
+    }
+
+    /**
+     * Get the scheduler's tasks.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_tasks($request) {
+        try {
+            $tasks = [];
+            foreach (Status_Sentry_Scheduler::get_tasks() as $task_name => $task) {
+                $tasks[] = $this->prepare_task($task_name, $task);
+            }
+
+            $health_config = $this->get_health_checker()->get_config();
+
+            return $this->prepare_response([
+                'tasks' => $tasks,
+                'max_recovery_attempts' => (int) $health_config['max_recovery_attempts'],
+                'recovery_delay' => (int) $health_config['recovery_delay'],
+                'recovery_enabled' => (bool) $health_config['enabled'],
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_tasks', $e, __('Unable to load the cron tasks.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Get a task with its run history.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_task($request) {
+        try {
+            $task = $this->find_task($request['task']);
+            if (is_wp_error($task)) {
+                return $task;
+            }
+
+            $prepared = $this->prepare_task($request['task'], $task);
+            $prepared['runs'] = $this->get_cron_logger()->get_logs(['task_name' => $request['task']], $request['limit']);
+
+            return $this->prepare_response($prepared);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_task', $e, __('Unable to load the cron task.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Reschedule a task now through the health checker.
+     *
+     * Counts as a recovery attempt, like the health checker's own recoveries.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function recover_task($request) {
+        try {
+            $task = $this->find_task($request['task']);
+            if (is_wp_error($task)) {
+                return $task;
+            }
+
+            $health_checker = $this->get_health_checker();
+            $config = $health_checker->get_config();
+
+            if (!$config['enabled']) {
+                return new WP_Error(
+                    'status_sentry_cron_recovery_disabled',
+                    __('Task recovery is disabled in the health checker configuration.', 'status-sentry-wp'),
+                    ['status' => 409]
+                );
+            }
+
+            if (!$health_checker->recover_task($request['task'], $task['hook'])) {
+                return $this->handle_error(
+                    'recover_task',
+                    new Exception(sprintf('Failed to reschedule task "%s"', $request['task'])),
+                    __('The task could not be rescheduled.', 'status-sentry-wp')
+                );
+            }
+
+            return $this->prepare_response($this->prepare_task($request['task'], $task));
+        } catch (Throwable $e) {
+            return $this->handle_error('recover_task', $e, __('Unable to recover the cron task.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Reset a task's recovery attempts.
+     *
+     * Once a task reaches the maximum number of recovery attempts, the
+     * health checker stops recovering it until they are reset.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function reset_attempts($request) {
+        try {
+            $task = $this->find_task($request['task']);
+            if (is_wp_error($task)) {
+                return $task;
+            }
+
+            $this->get_health_checker()->reset_recovery_attempts($request['task']);
+
+            return $this->prepare_response($this->prepare_task($request['task'], $task));
+        } catch (Throwable $e) {
+            return $this->handle_error('reset_attempts', $e, __('Unable to reset the recovery attempts.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Get the runs in a time range for the timeline.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_runs($request) {
+        try {
+            $to = $request['to'] ? strtotime($request['to'] . ' UTC') : time();
+            $from = $request['from'] ? strtotime($request['from'] . ' UTC') : $to - DAY_IN_SECONDS;
+
+            if (!$from || !$to || $from >= $to) {
+                return new WP_Error(
+                    'status_sentry_cron_invalid_range',
+                    __('The start of the range must be before its end.', 'status-sentry-wp'),
+                    ['status' => 400]
+                );
+            }
+
+            $runs = $this->get_cron_logger()->get_logs([
+                'from' => gmdate('Y-m-d H:i:s', $from),
+                'to' => gmdate('Y-m-d H:i:s', $to),
+            ], 2000);
+
+            // The timeline only needs the bars and their tooltips
+            $runs = array_map(function($run) {
+                unset($run['dependencies'], $run['metadata']);
+                return $run;
+            }, $runs);
+
+            return $this->prepare_response([
+                'from' => gmdate('Y-m-d H:i:s', $from),
+                'to' => gmdate('Y-m-d H:i:s', $to),
+                'now' => current_time('mysql', true),
+                'runs' => $runs,
+                'truncated' => count($runs) >= 2000,
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_runs', $e, __('Unable to load the cron runs.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Get failed runs, stuck runs and missed schedules.
+     *
+     * Missed schedules are WP-Cron events of any plugin that are overdue by
+     * more than the grace period.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_problems($request) {
+        try {
+            $logger = $this->get_cron_logger();
+            $health_config = $this->get_health_checker()->get_config();
+
+            $stuck_before = time() - (int) $health_config['stuck_threshold'];
+            $stuck = array_values(array_filter(
+                $logger->get_logs(['status' => 'running'], 100),
+                function($run) use ($stuck_before) {
+                    return strtotime($run['execution_time'] . ' UTC') < $stuck_before;
+                }
+            ));
+
+            $task_hooks = wp_list_pluck(Status_Sentry_Scheduler::get_tasks(), 'hook');
+            $missed = [];
+            $now = time();
+
+            foreach ((array) _get_cron_array() as $timestamp => $hooks) {
+                if ($timestamp >= $now - $this->missed_grace_period) {
+                    // The cron array is sorted by timestamp
+                    break;
+                }
+
+                foreach ($hooks as $hook => $events) {
+                    foreach ($events as $event) {
+                        $task_name = array_search($hook, $task_hooks, true);
+
+                        $missed[] = [
+                            'hook' => $hook,
+                            'task_name' => $task_name === false ? null : $task_name,
+                            'scheduled_time' => gmdate('Y-m-d H:i:s', $timestamp),
+                            'overdue' => $now - $timestamp,
+                            'schedule' => $event['schedule'] ?: null,
+                        ];
+                    }
+                }
+            }
+
+            return $this->prepare_response([
+                'failures' => $logger->get_logs(['status' => 'failed'], 50),
+                'stuck' => $stuck,
+                'missed' => $missed,
+                'stuck_threshold' => (int) $health_config['stuck_threshold'],
+                'missed_grace_period' => $this->missed_grace_period,
+                'cron_disabled' => defined('DISABLE_WP_CRON') && DISABLE_WP_CRON,
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_problems', $e, __('Unable to load cron problems.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Find a registered task.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string    $task_name    The task name.
+     * @return   array|WP_Error          The task, or an error if there is no such task.
+     */
+    private function find_task($task_name) {
+        $tasks = Status_Sentry_Scheduler::get_tasks();
+
+        if (!isset($tasks[$task_name])) {
+            return new WP_Error(
+                'status_sentry_cron_task_not_found',
+                __('Task not found.', 'status-sentry-wp'),
+                ['status' => 404]
+            );
+        }
+
+        return $tasks[$task_name];
+    }
+
+    /**
+     * Prepare a task for the response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string    $task_name    The task name.
+     * @param    array     $task         The task from the scheduler.
+     * @return   array                   The task with its schedule, last run and recovery attempts.
+     */
+    private function prepare_task($task_name, $task) {
+        $schedules = wp_get_schedules();
+        $next_run = wp_next_scheduled($task['hook']);
+        $last_runs = $this->get_cron_logger()->get_logs(['task_name' => $task_name], 1);
+
+        return [
+            'name' => $task_name,
+            'hook' => $task['hook'],
+            'tier' => $task['tier'],
+            'schedule' => $task['schedule'],
+            'schedule_label' => $schedules[$task['schedule']]['display'] ?? $task['schedule'],
+            'interval' => isset($schedules[$task['schedule']]) ? (int) $schedules[$task['schedule']]['interval'] : null,
+            'dependencies' => $task['dependencies'],
+            'next_run' => $next_run ? gmdate('Y-m-d H:i:s', $next_run) : null,
+            'is_missed' => $next_run && $next_run < time() - $this->missed_grace_period,
+            'last_run' => $last_runs[0] ?? null,
+            'recovery_attempts' => $this->get_health_checker()->get_recovery_attempts($task_name),
+        ];
+    }
+
+    /**
+     * Add no-cache headers to a response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    mixed    $data    The response data.
+     * @return   WP_REST_Response  The response.
+     */
+    private function prepare_response($data) {
+        $response = rest_ensure_response($data);
+        $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+        $response->header('Pragma', 'no-cache');
+        $response->header('Expires', '0');
+        return $response;
+    }
+
+    /**
+     * Log an exception and create the error response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string       $method     The method that failed.
+     * @param    Throwable    $e          The exception.
+     * @param    string       $message    The message for the client.
+     * @return   WP_Error                 The error.
+     */
+    private function handle_error($method, $e, $message) {
+        error_log('Status Sentry Cron: Error in ' . $method . ' - ' . $e->getMessage());
+        error_log('Status Sentry Cron: Error type - ' . get_class($e));
+
+        return new WP_Error('status_sentry_cron_error', $message, ['status' => 500]);
+    }
+
+    /**
+     * Get the cron logger.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   Status_Sentry_Cron_Logger    The cron logger instance.
+     */
+    private function get_cron_logger() {
+        static $cron_logger = null;
+
+        if ($cron_logger === null) {
+            $cron_logger = new Status_Sentry_Cron_Logger();
+        }
+
+        return $cron_logger;
+    }
+
+    /**
+     * Get the health checker.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   Status_Sentry_Health_Checker    The health checker instance.
+     */
+    private function get_health_checker() {
+        static $health_checker = null;
+
+        if ($health_checker === null) {
+            $health_checker = new Status_Sentry_Health_Checker();
+        }
+
+        return $health_checker;
+    }
+}
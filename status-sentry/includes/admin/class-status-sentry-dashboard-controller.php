@@ -37,6 +37,40 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
      */
     protected $rest_base = 'dashboard';
 
+    /**
+     * The preset timeline ranges, in seconds.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      array    $timeline_ranges    Range lengths keyed by range name.
+     */
+    private $timeline_ranges = [
+        '1h' => HOUR_IN_SECONDS,
+        '24h' => DAY_IN_SECONDS,
+        '7d' => WEEK_IN_SECONDS,
+        '30d' => 30 * DAY_IN_SECONDS,
+    ];
+
+    /**
+     * The supported timeline bucket sizes.
+     *
+     * Each bucket is described by the SQL unit it is aligned to, the number
+     * of units it spans and its length in seconds. Buckets are aligned to
+     * the Unix epoch, which matches the SQL alignment because event
+     * timestamps are stored in UTC.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      array    $timeline_buckets    Bucket definitions keyed by bucket name.
+     */
+    private $timeline_buckets = [
+        '5m' => ['unit' => 'MINUTE', 'step' => 5, 'seconds' => 300],
+        '15m' => ['unit' => 'MINUTE', 'step' => 15, 'seconds' => 900],
+        '1h' => ['unit' => 'HOUR', 'step' => 1, 'seconds' => 3600],
+        '6h' => ['unit' => 'HOUR', 'step' => 6, 'seconds' => 21600],
+        '1d' => ['unit' => 'DAY', 'step' => 1, 'seconds' => 86400],
+    ];
+
     /**
      * Register the routes for the dashboard.
      *
@@ -81,6 +115,34 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
             ]
         );
 
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/baselines/history',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_baseline_history'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'metric' => [
+                            'type'     => 'string',
+                            'required' => true,
+                        ],
+                        'context' => [
+                            'type'     => 'string',
+                            'required' => true,
+                        ],
+                        'limit' => [
+                            'type'    => 'integer',
+                            'minimum' => 2,
+                            'maximum' => 200,
+                            'default' => 100,
+                        ],
+                    ],
+                ],
+            ]
+        );
+
         register_rest_route(
             $this->namespace,
             '/' . $this->rest_base . '/data',
@@ -89,6 +151,139 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
                     'methods'             => WP_REST_Server::READABLE,
                     'callback'            => [$this, 'get_dashboard_data'],
                     'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'range' => [
+                            'type' => 'string',
+                            'enum' => array_keys($this->timeline_ranges),
+                        ],
+                        'from' => [
+                            'type'              => 'string',
+                            'validate_callback' => [$this, 'validate_time'],
+                        ],
+                        'to' => [
+                            'type'              => 'string',
+                            'validate_callback' => [$this, 'validate_time'],
+                        ],
+                        'bucket' => [
+                            'type'    => 'string',
+                            'enum'    => array_merge(['auto'], array_keys($this->timeline_buckets)),
+                            'default' => 'auto',
+                        ],
+                    ],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/stream',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_stream'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'cursor' => [
+                            'type'              => 'integer',
+                            'minimum'           => 0,
+                            'sanitize_callback' => 'absint',
+                        ],
+                        'wait' => [
+                            'type'              => 'integer',
+                            'minimum'           => 0,
+                            'default'           => 0,
+                            'sanitize_callback' => 'absint',
+                        ],
+                        'transport' => [
+                            'type'    => 'string',
+                            'enum'    => ['sse', 'poll'],
+                            'default' => 'poll',
+                        ],
+                    ],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/recommendations/(?P<id>[a-z0-9_]+)/dismiss',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'dismiss_recommendation'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'hours' => [
+                            'description' => __('The number of hours to snooze the recommendation for, or 0 to dismiss it.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'default'     => 0,
+                            'minimum'     => 0,
+                            'maximum'     => 720,
+                        ],
+                    ],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/recommendations/(?P<id>[a-z0-9_]+)/restore',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'restore_recommendation'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/recommendations/fix',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'apply_recommendation_fix'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'fix' => [
+                            'description' => __('The one-click fix to apply.', 'status-sentry-wp'),
+                            'type'        => 'string',
+                            'enum'        => array_keys(Status_Sentry_Recommendations::FIXES),
+                            'required'    => true,
+                        ],
+                    ],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/layout',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_layout'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                ],
+                [
+                    'methods'             => WP_REST_Server::EDITABLE,
+                    'callback'            => [$this, 'save_layout'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'layout' => [
+                            'description' => __('The widget instances in dashboard order.', 'status-sentry-wp'),
+                            'type'        => 'array',
+                            'items'       => ['type' => 'object'],
+                            'maxItems'    => Status_Sentry_Dashboard_Layout::MAX_WIDGETS,
+                            'required'    => true,
+                        ],
+                    ],
+                ],
+                [
+                    'methods'             => WP_REST_Server::DELETABLE,
+                    'callback'            => [$this, 'reset_layout'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
                 ],
             ]
         );
@@ -133,23 +328,15 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
             $cache_key = 'status_sentry_dashboard_overview';
             $data = $bypass_cache ? false : get_transient($cache_key);
 
+            $cached = false !== $data;
+            $unavailable = [];
+
             if (false === $data) {
                 error_log('Status Sentry: Building fresh overview data');
 
-                // Get event counts with individual try/catch
-                try {
-                    $event_counts = $this->get_event_counts();
-                    error_log('Status Sentry: Event counts retrieved');
-                } catch (Throwable $e) {
-                    error_log('Status Sentry: Error getting event counts - ' . $e->getMessage());
-                    // Use default values if there's an error
-                    $event_counts = [
-                        'core_monitoring' => 0,
-                        'db_monitoring' => 0,
-                        'conflict_detection' => 0,
-                        'performance_monitoring' => 0,
-                    ];
-                }
+                // Get event counts; without them the overview has nothing to show
+                $event_counts = $this->get_event_counts();
+                error_log('Status Sentry: Event counts retrieved');
 
                 // Get resource status with individual try/catch
                 try {
@@ -157,31 +344,19 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
                     error_log('Status Sentry: Resource status retrieved');
                 } catch (Throwable $e) {
                     error_log('Status Sentry: Error getting resource status - ' . $e->getMessage());
-                    // Use default values if there's an error
-                    $resource_status = [
-                        'memory_usage' => memory_get_usage(),
-                        'memory_peak' => memory_get_peak_usage(),
-                        'memory_limit' => 134217728, // 128MB
-                        'memory_usage_percent' => 50,
-                        'cpu_load' => 30,
-                        'system_overloaded' => false,
-                    ];
+                    // Report the part as unavailable rather than inventing values
+                    $resource_status = null;
+                    $unavailable[] = 'resource_status';
                 }
 
                 // Generate recommendations with individual try/catch
                 try {
-                    $recommendations = $this->generate_recommendations($event_counts, $resource_status);
+                    $recommendations = $this->get_recommendations()->generate($event_counts, $resource_status ?? []);
                     error_log('Status Sentry: Recommendations generated');
                 } catch (Throwable $e) {
                     error_log('Status Sentry: Error generating recommendations - ' . $e->getMessage());
-                    // Use default values if there's an error
-                    $recommendations = [
-                        [
-                            'type' => 'warning',
-                            'message' => 'Could not generate recommendations. Using default data.',
-                            'action' => 'Check server logs for more information.',
-                        ]
-                    ];
+                    $recommendations = [];
+                    $unavailable[] = 'recommendations';
                 }
 
                 // Prepare data
@@ -190,18 +365,26 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
                     'resource_status' => $resource_status,
                     'recommendations' => $recommendations,
                     'using_real_data' => true,
-                    'timestamp' => date('Y-m-d H:i:s')
+                    'timestamp' => date('Y-m-d H:i:s'),
+                    'generated_at' => time(),
                 ];
 
-                // Cache for 30 seconds
-                set_transient($cache_key, $data, 30);
-                error_log('Status Sentry: Overview data cached for 30 seconds');
+                // Cache for 30 seconds, unless part of the data is missing
+                if (empty($unavailable)) {
+                    set_transient($cache_key, $data, 30);
+                    error_log('Status Sentry: Overview data cached for 30 seconds');
+                }
             } else {
                 error_log('Status Sentry: Using cached overview data');
             }
 
+            // The cached data is shared, so leave out what this user dismissed or snoozed afterwards
+            $recommendations = $this->get_recommendations()->filter_for_user($data['recommendations'], get_current_user_id());
+            $data['recommendations'] = $recommendations['visible'];
+            $data['dismissed_recommendations'] = $recommendations['hidden'];
+
             // Create response with strong no-cache headers
-            $response = rest_ensure_response($data);
+            $response = rest_ensure_response($this->add_provenance($data, $cached, $unavailable));
             $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
             $response->header('Pragma', 'no-cache');
             $response->header('Expires', '0');
@@ -211,35 +394,163 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
             error_log('Status Sentry Dashboard: Error type - ' . get_class($e));
             error_log('Status Sentry Dashboard: Error trace - ' . $e->getTraceAsString());
 
-            // Return a more user-friendly error with partial data if possible
-            $fallback_data = [
-                'event_counts' => [
-                    'core_monitoring' => 0,
-                    'db_monitoring' => 0,
-                    'conflict_detection' => 0,
-                    'performance_monitoring' => 0,
-                ],
-                'resource_status' => [
-                    'memory_usage_percent' => 50,
-                    'cpu_load' => 30,
-                    'system_overloaded' => false,
-                ],
-                'recommendations' => [
-                    [
-                        'type' => 'warning',
-                        'message' => 'Error loading dashboard data. Using fallback data.',
-                        'action' => 'Check server logs for more information.',
-                    ]
-                ],
-                'using_real_data' => false,
-                'timestamp' => date('Y-m-d H:i:s')
-            ];
+            return new WP_Error(
+                'status_sentry_dashboard_overview_error',
+                __('Unable to load the dashboard overview.', 'status-sentry-wp'),
+                ['status' => 500]
+            );
+        }
+    }
+
+    /**
+     * Dismiss or snooze a recommendation for the current user.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function dismiss_recommendation($request) {
+        try {
+            $until = $this->get_recommendations()->dismiss(get_current_user_id(), $request['id'], (int) $request['hours']);
 
-            $response = rest_ensure_response($fallback_data);
+            $response = rest_ensure_response([
+                'id' => $request['id'],
+                'state' => $until ? 'snoozed' : 'dismissed',
+                'until' => $until ? gmdate('Y-m-d H:i:s', $until) : null,
+            ]);
+            $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+            return $response;
+        } catch (Throwable $e) {
+            error_log('Status Sentry Dashboard: Error in dismiss_recommendation - ' . $e->getMessage());
+
+            return new WP_Error(
+                'status_sentry_dashboard_recommendation_error',
+                __('Unable to dismiss the recommendation.', 'status-sentry-wp'),
+                ['status' => 500]
+            );
+        }
+    }
+
+    /**
+     * Show a dismissed or snoozed recommendation to the current user again.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function restore_recommendation($request) {
+        try {
+            $this->get_recommendations()->restore(get_current_user_id(), $request['id']);
+
+            $response = rest_ensure_response(['id' => $request['id'], 'state' => 'visible']);
+            $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+            return $response;
+        } catch (Throwable $e) {
+            error_log('Status Sentry Dashboard: Error in restore_recommendation - ' . $e->getMessage());
+
+            return new WP_Error(
+                'status_sentry_dashboard_recommendation_error',
+                __('Unable to restore the recommendation.', 'status-sentry-wp'),
+                ['status' => 500]
+            );
+        }
+    }
+
+    /**
+     * Apply a recommendation's one-click fix.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function apply_recommendation_fix($request) {
+        try {
+            $change = $this->get_recommendations()->apply_fix($request['fix']);
+
+            $response = rest_ensure_response(array_merge(['fix' => $request['fix']], $change));
+            $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+            return $response;
+        } catch (Throwable $e) {
+            error_log('Status Sentry Dashboard: Error in apply_recommendation_fix - ' . $e->getMessage());
+
+            return new WP_Error(
+                'status_sentry_dashboard_recommendation_error',
+                __('Unable to apply the fix.', 'status-sentry-wp'),
+                ['status' => 500]
+            );
+        }
+    }
+
+    /**
+     * Get the current user's dashboard layout.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_layout($request) {
+        try {
+            $response = rest_ensure_response(['layout' => $this->get_layout_store()->get(get_current_user_id())]);
+            $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+            return $response;
+        } catch (Throwable $e) {
+            error_log('Status Sentry Dashboard: Error in get_layout - ' . $e->getMessage());
+
+            return new WP_Error(
+                'status_sentry_dashboard_layout_error',
+                __('Unable to load the dashboard layout.', 'status-sentry-wp'),
+                ['status' => 500]
+            );
+        }
+    }
+
+    /**
+     * Save the current user's dashboard layout.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function save_layout($request) {
+        try {
+            $layout = $this->get_layout_store()->save(get_current_user_id(), $request['layout']);
+
+            $response = rest_ensure_response(['layout' => $layout]);
             $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
-            $response->header('Pragma', 'no-cache');
-            $response->header('Expires', '0');
             return $response;
+        } catch (Throwable $e) {
+            error_log('Status Sentry Dashboard: Error in save_layout - ' . $e->getMessage());
+
+            return new WP_Error(
+                'status_sentry_dashboard_layout_error',
+                __('Unable to save the dashboard layout.', 'status-sentry-wp'),
+                ['status' => 500]
+            );
+        }
+    }
+
+    /**
+     * Go back to the default dashboard layout for the current user.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function reset_layout($request) {
+        try {
+            $this->get_layout_store()->reset(get_current_user_id());
+
+            $response = rest_ensure_response(['layout' => null]);
+            $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+            return $response;
+        } catch (Throwable $e) {
+            error_log('Status Sentry Dashboard: Error in reset_layout - ' . $e->getMessage());
+
+            return new WP_Error(
+                'status_sentry_dashboard_layout_error',
+                __('Unable to reset the dashboard layout.', 'status-sentry-wp'),
+                ['status' => 500]
+            );
         }
     }
 
@@ -259,6 +570,7 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
             // Check for cached data
             $cache_key = 'status_sentry_dashboard_recent';
             $data = get_transient($cache_key);
+            $cached = false !== $data;
 
             if (false === $data) {
                 // Get recent events
@@ -267,6 +579,7 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
                 // Prepare data
                 $data = [
                     'events' => $events,
+                    'generated_at' => time(),
                 ];
 
                 // Cache for 30 seconds
@@ -274,7 +587,7 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
             }
 
             // Create response with strong no-cache headers
-            $response = rest_ensure_response($data);
+            $response = rest_ensure_response($this->add_provenance($data, $cached));
             $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
             $response->header('Pragma', 'no-cache');
             $response->header('Expires', '0');
@@ -283,35 +596,11 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
             error_log('Status Sentry Dashboard: Error in get_recent - ' . $e->getMessage());
             error_log('Status Sentry Dashboard: Error type - ' . get_class($e));
 
-            // Generate fallback events
-            $features = ['Core Monitoring', 'DB Monitoring', 'Conflict Detection', 'Performance Monitoring'];
-            $hooks = ['init', 'wp_loaded', 'admin_init', 'wp_footer', 'shutdown'];
-            $fallback_events = [];
-
-            for ($i = 0; $i < 5; $i++) {
-                $feature = $features[array_rand($features)];
-                $hook = $hooks[array_rand($hooks)];
-                $hours = rand(1, 24);
-
-                $fallback_events[] = [
-                    'id' => $i + 1,
-                    'feature' => strtolower(str_replace(' ', '_', $feature)),
-                    'feature_name' => $feature,
-                    'hook' => $hook,
-                    'time_ago' => $hours . ' hours ago',
-                    'is_fallback' => true
-                ];
-            }
-
-            $fallback_data = [
-                'events' => $fallback_events,
-            ];
-
-            $response = rest_ensure_response($fallback_data);
-            $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
-            $response->header('Pragma', 'no-cache');
-            $response->header('Expires', '0');
-            return $response;
+            return new WP_Error(
+                'status_sentry_dashboard_recent_error',
+                __('Unable to load recent events.', 'status-sentry-wp'),
+                ['status' => 500]
+            );
         }
     }
 
@@ -327,6 +616,7 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
             // Check for cached data
             $cache_key = 'status_sentry_dashboard_baselines';
             $data = get_transient($cache_key);
+            $cached = false !== $data;
             $force_refresh = false;
             $manual_refresh = false;
 
@@ -370,17 +660,19 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
                 $table_exists = $wpdb->get_var("SHOW TABLES LIKE '{$table_name}'") === $table_name;
 
                 if (!$table_exists) {
-                    error_log('Status Sentry: Baselines table does not exist, using fallback data');
+                    error_log('Status Sentry: Baselines table does not exist');
                     throw new Exception('Baselines table does not exist');
                 }
 
                 // Get baseline data
                 $baselines = $this->get_baseline_data($manual_refresh);
+                $cached = false;
 
                 // Prepare data
                 $data = [
                     'baselines' => $baselines,
                     'manual_refresh' => $manual_refresh,
+                    'generated_at' => time(),
                 ];
 
                 // Get cache TTL from settings with default of 10 seconds
@@ -389,7 +681,7 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
             }
 
             // Create response with strong no-cache headers
-            $response = rest_ensure_response($data);
+            $response = rest_ensure_response($this->add_provenance($data, $cached));
             $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
             $response->header('Pragma', 'no-cache');
             $response->header('Expires', '0');
@@ -398,34 +690,70 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
             error_log('Status Sentry Dashboard: Error in get_baselines - ' . $e->getMessage());
             error_log('Status Sentry Dashboard: Error type - ' . get_class($e));
 
-            // Generate fallback baselines
-            $metrics = ['Memory Usage', 'CPU Load', 'Database Size', 'Query Time', 'Page Load'];
-            $units = ['MB', '%', 'MB', 'ms', 'ms'];
-            $fallback_baselines = [];
-
-            for ($i = 0; $i < 5; $i++) {
-                $days = rand(1, 7);
-                $value = rand(10, 100);
-
-                $fallback_baselines[] = [
-                    'id' => $i + 1,
-                    'metric' => $metrics[$i],
-                    'value' => $value . ' ' . $units[$i],
-                    'time_ago' => $days . ' days ago',
-                    'last_updated' => date('Y-m-d H:i:s', time() - ($days * 86400)),
-                    'is_fallback' => true
-                ];
+            return new WP_Error(
+                'status_sentry_dashboard_baselines_error',
+                __('Unable to load baseline data.', 'status-sentry-wp'),
+                ['status' => 500]
+            );
+        }
+    }
+
+    /**
+     * Get the recorded history of a baseline.
+     *
+     * Returns the recorded values with their mean and standard deviation,
+     * and how the latest value compares with the baseline using the same
+     * calculation and threshold as the baselines list.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_baseline_history($request) {
+        try {
+            $baseline_instance = new Status_Sentry_Baseline();
+            $metric = $request['metric'];
+            $context = $request['context'];
+
+            $baseline = $baseline_instance->get_baseline($metric, $context);
+            if (!$baseline) {
+                return new WP_Error(
+                    'status_sentry_dashboard_baseline_not_found',
+                    __('Baseline not found.', 'status-sentry-wp'),
+                    ['status' => 404]
+                );
             }
 
-            $fallback_data = [
-                'baselines' => $fallback_baselines,
-            ];
+            $metadata = isset($baseline['metadata']) ? json_decode($baseline['metadata'], true) : [];
+            $threshold = $this->get_deviation_threshold($baseline_instance, is_array($metadata) ? $metadata : []);
+
+            $history = $baseline_instance->get_history($metric, $context, $request['limit']);
+            $latest = end($history);
 
-            $response = rest_ensure_response($fallback_data);
+            $response = rest_ensure_response([
+                'metric' => $metric,
+                'context' => $context,
+                'baseline' => (float) $baseline['value'],
+                'sample_count' => (int) $baseline['sample_count'],
+                'history' => $history,
+                'stats' => $baseline_instance->get_history_stats($history),
+                'explanation' => $latest ?
+                    $baseline_instance->explain_deviation($metric, $context, $latest['value'], $threshold) :
+                    null,
+                'threshold' => $threshold,
+            ]);
             $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
             $response->header('Pragma', 'no-cache');
             $response->header('Expires', '0');
             return $response;
+        } catch (Throwable $e) {
+            error_log('Status Sentry Dashboard: Error in get_baseline_history - ' . $e->getMessage());
+
+            return new WP_Error(
+                'status_sentry_dashboard_baseline_history_error',
+                __('Unable to load baseline history.', 'status-sentry-wp'),
+                ['status' => 500]
+            );
         }
     }
 
@@ -446,6 +774,38 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
         return $repository;
     }
 
+    /**
+     * Get the recommendations.
+     *
+     * @since    1.9.0
+     * @return   Status_Sentry_Recommendations    The recommendations.
+     */
+    private function get_recommendations() {
+        static $recommendations = null;
+
+        if ($recommendations === null) {
+            $recommendations = new Status_Sentry_Recommendations();
+        }
+
+        return $recommendations;
+    }
+
+    /**
+     * Get the dashboard layout store.
+     *
+     * @since    1.9.0
+     * @return   Status_Sentry_Dashboard_Layout    The dashboard layout store.
+     */
+    private function get_layout_store() {
+        static $layout = null;
+
+        if ($layout === null) {
+            $layout = new Status_Sentry_Dashboard_Layout();
+        }
+
+        return $layout;
+    }
+
     /**
      * Get monitoring events repository.
      *
@@ -475,41 +835,47 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
             // Check if we should bypass cache
             $bypass_cache = isset($request['bypass_cache']) && $request['bypass_cache'] === 'true';
 
-            // Check for cached data
+            // Resolve the requested timeline range, if any
+            $range = $this->get_timeline_range($request);
+            if (is_wp_error($range)) {
+                return $range;
+            }
+
+            // Only the default view and preset ranges are cached; custom ranges change with every zoom
             $cache_key = 'status_sentry_dashboard_data';
-            $data = $bypass_cache ? false : get_transient($cache_key);
+            if ($range !== null) {
+                $cache_key = $range['name'] === 'custom' ? null : $cache_key . '_' . $range['name'] . '_' . $range['bucket'];
+            }
+            $data = ($bypass_cache || $cache_key === null) ? false : get_transient($cache_key);
+            $cached = false !== $data;
+            $unavailable = [];
 
             if (false === $data) {
                 error_log('Status Sentry: Building fresh dashboard data');
 
-                // Get event type counts
+                // Get event type counts, limited to the range when one was requested
                 try {
                     $repository = $this->get_monitoring_events_repository();
-                    $event_counts = $repository->get_event_counts();
+                    $event_counts = $range === null ? $repository->get_event_counts() : $repository->get_event_counts_by_type([
+                        'date_from' => gmdate('Y-m-d H:i:s', $range['from']),
+                        'date_to' => gmdate('Y-m-d H:i:s', $range['to']),
+                    ]);
                     error_log('Status Sentry: Event type counts retrieved');
                 } catch (Throwable $e) {
                     error_log('Status Sentry: Error getting event type counts - ' . $e->getMessage());
-                    // Use default values if there's an error
-                    $event_counts = [
-                        'info' => 0,
-                        'warning' => 0,
-                        'error' => 0,
-                        'critical' => 0,
-                        'performance' => 0,
-                        'security' => 0,
-                        'conflict' => 0,
-                        'health' => 0,
-                    ];
+                    // Report the part as unavailable rather than showing zero counts
+                    $event_counts = null;
+                    $unavailable[] = 'eventTypes';
                 }
 
-                // Get event timeline data (last 7 days)
+                // Get event timeline data (last 7 days unless a range was requested)
                 try {
-                    $timeline = $this->get_event_timeline();
+                    $timeline = $this->get_event_timeline($range);
                     error_log('Status Sentry: Event timeline retrieved');
                 } catch (Throwable $e) {
                     error_log('Status Sentry: Error getting event timeline - ' . $e->getMessage());
-                    // Use default values if there's an error
-                    $timeline = $this->generate_dummy_timeline_data();
+                    $timeline = null;
+                    $unavailable[] = 'timeline';
                 }
 
                 // Get system health metrics
@@ -518,15 +884,8 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
                     error_log('Status Sentry: System health metrics retrieved');
                 } catch (Throwable $e) {
                     error_log('Status Sentry: Error getting system health - ' . $e->getMessage());
-                    // Use default values if there's an error
-                    $health = [
-                        'php_version' => phpversion(),
-                        'wp_version' => get_bloginfo('version'),
-                        'memory_limit' => ini_get('memory_limit'),
-                        'memory_usage' => memory_get_usage(),
-                        'memory_usage_percent' => 50,
-                        'status' => 'good',
-                    ];
+                    $health = null;
+                    $unavailable[] = 'health';
                 }
 
                 // Prepare data
@@ -535,18 +894,21 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
                     'timeline' => $timeline,
                     'health' => $health,
                     'using_real_data' => true,
-                    'timestamp' => date('Y-m-d H:i:s')
+                    'timestamp' => date('Y-m-d H:i:s'),
+                    'generated_at' => time(),
                 ];
 
-                // Cache for 30 seconds
-                set_transient($cache_key, $data, 30);
-                error_log('Status Sentry: Dashboard data cached for 30 seconds');
+                // Cache for 30 seconds, unless part of the data is missing
+                if ($cache_key !== null && empty($unavailable)) {
+                    set_transient($cache_key, $data, 30);
+                    error_log('Status Sentry: Dashboard data cached for 30 seconds');
+                }
             } else {
                 error_log('Status Sentry: Using cached dashboard data');
             }
 
             // Create response with strong no-cache headers
-            $response = rest_ensure_response($data);
+            $response = rest_ensure_response($this->add_provenance($data, $cached, $unavailable));
             $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
             $response->header('Pragma', 'no-cache');
             $response->header('Expires', '0');
@@ -556,101 +918,238 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
             error_log('Status Sentry Dashboard: Error type - ' . get_class($e));
             error_log('Status Sentry Dashboard: Error trace - ' . $e->getTraceAsString());
 
-            // Return a more user-friendly error with fallback data
-            $fallback_data = [
-                'eventTypes' => [
-                    'info' => 2,
-                    'warning' => 1,
-                    'error' => 0,
-                    'critical' => 0,
-                    'performance' => 1,
-                    'security' => 0,
-                    'conflict' => 0,
-                    'health' => 1,
-                ],
-                'timeline' => $this->generate_dummy_timeline_data(),
-                'health' => [
-                    'php_version' => phpversion(),
-                    'wp_version' => get_bloginfo('version'),
-                    'memory_limit' => ini_get('memory_limit'),
-                    'memory_usage' => memory_get_usage(),
-                    'memory_usage_percent' => 50,
-                    'status' => 'warning',
-                ],
-                'using_real_data' => false,
-                'timestamp' => date('Y-m-d H:i:s')
-            ];
+            return new WP_Error(
+                'status_sentry_dashboard_data_error',
+                __('Unable to load dashboard data.', 'status-sentry-wp'),
+                ['status' => 500]
+            );
+        }
+    }
 
-            $response = rest_ensure_response($fallback_data);
-            $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
-            $response->header('Pragma', 'no-cache');
-            $response->header('Expires', '0');
-            return $response;
+    /**
+     * Describe where response data came from.
+     *
+     * The dashboard shows this next to each section so cached or partial
+     * data is never mistaken for a live reading.
+     *
+     * @since    1.9.0
+     * @param    array    $data           The response data.
+     * @param    bool     $cached         Whether the data came from a transient.
+     * @param    array    $unavailable    Parts of the data that could not be loaded.
+     * @return   array                    The data with a provenance entry.
+     */
+    private function add_provenance($data, $cached, $unavailable = []) {
+        // Transients written before 1.9.0 do not record when they were built
+        $generated_at = isset($data['generated_at']) ? (int) $data['generated_at'] : null;
+
+        $data['provenance'] = [
+            'source' => $cached ? 'cached' : 'live',
+            'generated_at' => $generated_at ? gmdate('c', $generated_at) : null,
+            'age' => $generated_at ? max(0, time() - $generated_at) : null,
+            'unavailable' => $unavailable,
+        ];
+
+        return $data;
+    }
+
+    /**
+     * Validate a timeline boundary.
+     *
+     * @since    1.9.0
+     * @param    mixed              $value      The value to validate.
+     * @param    WP_REST_Request    $request    Full data about the request.
+     * @param    string             $param      The parameter name.
+     * @return   bool|WP_Error                  True if valid, WP_Error otherwise.
+     */
+    public function validate_time($value, $request, $param) {
+        if (is_string($value) && strtotime($value) !== false) {
+            return true;
         }
+
+        return new WP_Error(
+            'rest_invalid_param',
+            /* translators: %s: Parameter name. */
+            sprintf(__('%s must be a date and time, e.g. 2024-01-31T12:00:00Z.', 'status-sentry-wp'), $param),
+            ['status' => 400]
+        );
     }
 
     /**
-     * Get event timeline data for the last 7 days.
+     * Get the timeline range requested by the client.
+     *
+     * A preset `range` is resolved relative to the current time. Explicit
+     * `from`/`to` boundaries (ISO 8601, UTC unless an offset is given) are
+     * used for custom ranges and zooming. The bucket size is picked from
+     * the range length unless the client asks for one.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   array|null|WP_Error      The range, null for the default view, or an error.
+     */
+    private function get_timeline_range($request) {
+        $name = $request->get_param('range');
+        $from = $request->get_param('from');
+        $to = $request->get_param('to');
+
+        if (empty($name) && empty($from) && empty($to)) {
+            return null;
+        }
+
+        $now = time();
+
+        if (!empty($from) || !empty($to)) {
+            $name = 'custom';
+            $to_time = !empty($to) ? strtotime($to) : $now;
+            $from_time = !empty($from) ? strtotime($from) : $to_time - WEEK_IN_SECONDS;
+        } else {
+            $to_time = $now;
+            $from_time = $now - $this->timeline_ranges[$name];
+        }
+
+        if ($from_time >= $to_time) {
+            return new WP_Error(
+                'rest_invalid_param',
+                __('The start of the range must be before its end.', 'status-sentry-wp'),
+                ['status' => 400]
+            );
+        }
+
+        // Keep custom ranges to a size the timeline query can handle
+        $from_time = max($from_time, $to_time - 366 * DAY_IN_SECONDS);
+
+        $bucket = $request->get_param('bucket');
+        if (empty($bucket) || $bucket === 'auto' || !isset($this->timeline_buckets[$bucket])) {
+            $bucket = $this->pick_timeline_bucket($to_time - $from_time);
+        }
+
+        // Never return more bars than the chart can show
+        foreach ($this->timeline_buckets as $key => $definition) {
+            if (($to_time - $from_time) / $this->timeline_buckets[$bucket]['seconds'] <= 400) {
+                break;
+            }
+            if ($definition['seconds'] > $this->timeline_buckets[$bucket]['seconds']) {
+                $bucket = $key;
+            }
+        }
+
+        return [
+            'name' => $name,
+            'from' => $from_time,
+            'to' => $to_time,
+            'bucket' => $bucket,
+        ];
+    }
+
+    /**
+     * Pick a bucket size for a range length.
+     *
+     * @since    1.9.0
+     * @param    int       $length    The range length in seconds.
+     * @return   string               The bucket name.
+     */
+    private function pick_timeline_bucket($length) {
+        if ($length <= 3 * HOUR_IN_SECONDS) {
+            return '5m';
+        } elseif ($length <= 12 * HOUR_IN_SECONDS) {
+            return '15m';
+        } elseif ($length <= 2 * DAY_IN_SECONDS) {
+            return '1h';
+        } elseif ($length <= 4 * DAY_IN_SECONDS) {
+            return '6h';
+        }
+
+        return '1d';
+    }
+
+    /**
+     * Get event timeline data.
+     *
+     * Without a range this returns the last 7 days in daily buckets.
      *
      * @since    1.8.0
-     * @return   array    The event timeline data.
+     * @param    array|null    $range    The range from get_timeline_range(), or null for the default view.
+     * @return   array                   The event timeline data.
      */
-    private function get_event_timeline() {
+    private function get_event_timeline($range = null) {
         global $wpdb;
         $repository = $this->get_monitoring_events_repository();
 
         if (!$repository->table_exists()) {
-            return $this->generate_dummy_timeline_data();
+            throw new Exception('Monitoring events table does not exist');
+        }
+
+        if ($range === null) {
+            // The last 7 days, including today
+            $now = time();
+            $range = [
+                'name' => 'default',
+                'from' => $now - ($now % DAY_IN_SECONDS) - 6 * DAY_IN_SECONDS,
+                'to' => $now,
+                'bucket' => '1d',
+            ];
         }
 
         $table_name = $wpdb->prefix . 'status_sentry_monitoring_events';
+        $bucket = $this->timeline_buckets[$range['bucket']];
+        $seconds = $bucket['seconds'];
+
+        // Align the first bucket so the SQL and PHP bucket boundaries match
+        $first_bucket = $range['from'] - ($range['from'] % $seconds);
 
-        // Get event counts by day for the last 7 days
+        // Get event counts per bucket and event type
         $results = $wpdb->get_results(
-            "SELECT
-                DATE(timestamp) as date,
-                event_type,
-                COUNT(*) as count
-            FROM $table_name
-            WHERE timestamp > DATE_SUB(NOW(), INTERVAL 7 DAY)
-            GROUP BY DATE(timestamp), event_type
-            ORDER BY date ASC",
+            $wpdb->prepare(
+                "SELECT
+                    " . $this->get_bucket_sql($bucket) . " as bucket,
+                    event_type,
+                    COUNT(*) as count
+                FROM $table_name
+                WHERE timestamp >= %s AND timestamp <= %s
+                GROUP BY bucket, event_type
+                ORDER BY bucket ASC",
+                gmdate('Y-m-d H:i:s', $first_bucket),
+                gmdate('Y-m-d H:i:s', $range['to'])
+            ),
             ARRAY_A
         );
 
         if ($wpdb->last_error) {
             error_log('Status Sentry: Database error in get_event_timeline: ' . $wpdb->last_error);
-            return $this->generate_dummy_timeline_data();
+            throw new Exception('Database error: ' . $wpdb->last_error);
         }
 
-        // Initialize the timeline with all dates and event types
+        // Initialize the timeline with all buckets and event types
         $timeline = [];
         $event_types = ['info', 'warning', 'error', 'critical', 'performance', 'security', 'conflict', 'health'];
 
-        // Create an array of the last 7 days
-        $dates = [];
-        for ($i = 6; $i >= 0; $i--) {
-            $date = date('Y-m-d', strtotime("-$i days"));
-            $dates[] = $date;
+        $buckets = [];
+        $labels = [];
+        for ($start = $first_bucket; $start <= $range['to']; $start += $seconds) {
+            $key = gmdate('Y-m-d H:i:s', $start);
+            $buckets[] = $key;
+            $labels[] = $seconds >= DAY_IN_SECONDS ? gmdate('Y-m-d', $start) : gmdate('Y-m-d H:i', $start);
 
             // Initialize counts for each event type to 0
-            $timeline[$date] = [];
-            foreach ($event_types as $type) {
-                $timeline[$date][$type] = 0;
-            }
+            $timeline[$key] = array_fill_keys($event_types, 0);
         }
 
         // Fill in actual counts from the database
         foreach ($results as $row) {
-            if (isset($timeline[$row['date']]) && isset($timeline[$row['date']][$row['event_type']])) {
-                $timeline[$row['date']][$row['event_type']] = (int) $row['count'];
+            if (isset($timeline[$row['bucket']]) && isset($timeline[$row['bucket']][$row['event_type']])) {
+                $timeline[$row['bucket']][$row['event_type']] = (int) $row['count'];
             }
         }
 
         // Format the data for Chart.js
         $formatted_timeline = [
-            'labels' => $dates,
-            'datasets' => []
+            'labels' => $labels,
+            'datasets' => [],
+            'buckets' => $buckets,
+            'bucket' => $range['bucket'],
+            'bucket_seconds' => $seconds,
+            'range' => $range['name'],
+            'from' => gmdate('Y-m-d H:i:s', $range['from']),
+            'to' => gmdate('Y-m-d H:i:s', $range['to']),
         ];
 
         // Define colors for each event type
@@ -668,8 +1167,8 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
         // Create datasets for each event type
         foreach ($event_types as $type) {
             $data = [];
-            foreach ($dates as $date) {
-                $data[] = $timeline[$date][$type];
+            foreach ($buckets as $key) {
+                $data[] = $timeline[$key][$type];
             }
 
             $formatted_timeline['datasets'][] = [
@@ -685,62 +1184,30 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
     }
 
     /**
-     * Generate dummy timeline data.
+     * Get the SQL expression for the start of an event's timeline bucket.
      *
-     * @since    1.8.0
-     * @return   array    The dummy timeline data.
+     * Works on the stored datetime values directly, so no time zone
+     * conversion happens in the database.
+     *
+     * @since    1.9.0
+     * @param    array     $bucket    The bucket definition.
+     * @return   string               The SQL expression, escaped for $wpdb->prepare().
      */
-    private function generate_dummy_timeline_data() {
-        $dates = [];
-        for ($i = 6; $i >= 0; $i--) {
-            $dates[] = date('Y-m-d', strtotime("-$i days"));
-        }
-
-        $event_types = ['info', 'warning', 'error', 'critical', 'performance', 'security', 'conflict', 'health'];
-        $colors = [
-            'info' => 'rgba(54, 162, 235, 0.7)',
-            'warning' => 'rgba(255, 206, 86, 0.7)',
-            'error' => 'rgba(255, 99, 132, 0.7)',
-            'critical' => 'rgba(153, 51, 51, 0.7)',
-            'performance' => 'rgba(75, 192, 192, 0.7)',
-            'security' => 'rgba(153, 102, 255, 0.7)',
-            'conflict' => 'rgba(255, 159, 64, 0.7)',
-            'health' => 'rgba(102, 204, 102, 0.7)'
-        ];
-
-        $datasets = [];
-        foreach ($event_types as $type) {
-            $data = [];
-            for ($i = 0; $i < 7; $i++) {
-                // Generate random counts, with more common event types having higher counts
-                switch ($type) {
-                    case 'info':
-                    case 'warning':
-                        $data[] = rand(0, 5);
-                        break;
-                    case 'error':
-                    case 'performance':
-                        $data[] = rand(0, 3);
-                        break;
-                    default:
-                        $data[] = rand(0, 1);
-                        break;
-                }
-            }
-
-            $datasets[] = [
-                'label' => ucfirst($type),
-                'data' => $data,
-                'backgroundColor' => $colors[$type],
-                'borderColor' => $colors[$type],
-                'borderWidth' => 1
-            ];
+    private function get_bucket_sql($bucket) {
+        $step = (int) $bucket['step'];
+
+        switch ($bucket['unit']) {
+            case 'MINUTE':
+                $start = "DATE_FORMAT(timestamp, '%%Y-%%m-%%d %%H:00:00') + INTERVAL (FLOOR(MINUTE(timestamp) / {$step}) * {$step}) MINUTE";
+                break;
+            case 'HOUR':
+                $start = "DATE_FORMAT(timestamp, '%%Y-%%m-%%d 00:00:00') + INTERVAL (FLOOR(HOUR(timestamp) / {$step}) * {$step}) HOUR";
+                break;
+            default:
+                return "DATE_FORMAT(timestamp, '%%Y-%%m-%%d 00:00:00')";
         }
 
-        return [
-            'labels' => $dates,
-            'datasets' => $datasets
-        ];
+        return "DATE_FORMAT({$start}, '%%Y-%%m-%%d %%H:%%i:%%s')";
     }
 
     /**
@@ -873,6 +1340,272 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
         return round($bytes, $precision) . ' ' . $units[$pow];
     }
 
+    /**
+     * Stream dashboard changes.
+     *
+     * Sends the monitoring events stored after the client's cursor together
+     * with the counter deltas they cause. Browsers that support EventSource
+     * receive a Server-Sent Events stream; other clients long-poll the same
+     * endpoint and get a single JSON payload back.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response
+     */
+    public function get_stream($request) {
+        try {
+            $cursor = $this->get_stream_cursor($request);
+
+            if ($this->is_event_stream_request($request)) {
+                $this->send_event_stream($cursor);
+                exit;
+            }
+
+            $wait = min((int) $request->get_param('wait'), $this->get_stream_duration());
+            $deadline = time() + $wait;
+            $changes = $this->get_stream_changes($cursor);
+
+            // Hold the request open until something changes or the wait expires
+            while (empty($changes['events']) && time() < $deadline && !connection_aborted()) {
+                sleep($this->get_stream_interval());
+                $changes = $this->get_stream_changes($cursor);
+            }
+
+            $response = rest_ensure_response($changes);
+            $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+            $response->header('Pragma', 'no-cache');
+            $response->header('Expires', '0');
+            return $response;
+        } catch (Throwable $e) {
+            error_log('Status Sentry Dashboard: Error in get_stream - ' . $e->getMessage());
+            error_log('Status Sentry Dashboard: Error type - ' . get_class($e));
+
+            return new WP_Error(
+                'status_sentry_stream_error',
+                __('Unable to load dashboard changes.', 'status-sentry-wp'),
+                ['status' => 500]
+            );
+        }
+    }
+
+    /**
+     * Get the stream cursor for a request.
+     *
+     * EventSource sends the ID of the last message it received in the
+     * Last-Event-ID header when it reconnects, which takes precedence over
+     * the cursor in the query string. Clients without a cursor start from
+     * the latest stored event.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   int                      The stream cursor.
+     */
+    private function get_stream_cursor($request) {
+        $last_event_id = $request->get_header('last_event_id');
+
+        if ($last_event_id !== null && is_numeric($last_event_id)) {
+            return absint($last_event_id);
+        }
+
+        if ($request->get_param('cursor') !== null) {
+            return absint($request->get_param('cursor'));
+        }
+
+        return $this->get_monitoring_events_repository()->get_latest_id();
+    }
+
+    /**
+     * Check whether the client asked for a Server-Sent Events stream.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   bool                     Whether to respond with an event stream.
+     */
+    private function is_event_stream_request($request) {
+        if ($request->get_param('transport') === 'sse') {
+            return true;
+        }
+
+        $accept = $request->get_header('accept');
+        return $accept !== null && strpos($accept, 'text/event-stream') !== false;
+    }
+
+    /**
+     * Get the changes stored after a cursor.
+     *
+     * @since    1.9.0
+     * @param    int      $cursor    The last event ID the client has seen.
+     * @return   array               The new events, counter deltas and the next cursor.
+     */
+    private function get_stream_changes($cursor) {
+        $limit = 50;
+        $events = $this->get_monitoring_events_repository()->get_events_since($cursor, $limit);
+
+        $type_counts = [
+            'info' => 0,
+            'warning' => 0,
+            'error' => 0,
+            'critical' => 0,
+            'performance' => 0,
+            'security' => 0,
+            'conflict' => 0,
+            'health' => 0,
+        ];
+        $processed_events = [];
+
+        foreach ($events as $event) {
+            $cursor = max($cursor, (int) $event->id);
+
+            $processed_event = $this->prepare_event_for_response($event);
+            if ($processed_event === null) {
+                continue;
+            }
+
+            if (isset($type_counts[$event->event_type])) {
+                $type_counts[$event->event_type]++;
+            }
+
+            $processed_events[] = $processed_event;
+        }
+
+        $changes = [
+            'cursor' => $cursor,
+            'events' => $processed_events,
+            'counters' => [
+                'event_types' => $type_counts,
+                'features' => $this->map_event_counts_to_features($type_counts),
+            ],
+            'has_more' => count($events) >= $limit,
+            'timestamp' => date('Y-m-d H:i:s'),
+        ];
+
+        // Resource usage only changes the KPI cards when there is something to render
+        if (!empty($processed_events)) {
+            $changes['resource_status'] = $this->get_resource_status();
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Send a Server-Sent Events stream of dashboard changes.
+     *
+     * The stream is closed after a fixed duration so PHP workers are not held
+     * indefinitely; EventSource reconnects on its own and resumes from the
+     * last event ID it received.
+     *
+     * @since    1.9.0
+     * @param    int      $cursor    The last event ID the client has seen.
+     * @return   void
+     */
+    private function send_event_stream($cursor) {
+        $duration = $this->get_stream_duration();
+        $interval = $this->get_stream_interval();
+
+        // Drop any buffered output so messages reach the browser immediately
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        if (function_exists('set_time_limit')) {
+            @set_time_limit($duration + 10);
+        }
+
+        // Release the session lock so other admin requests are not blocked
+        if (session_status() === PHP_SESSION_ACTIVE) {
+            session_write_close();
+        }
+
+        status_header(200);
+        header('Content-Type: text/event-stream; charset=utf-8');
+        header('Cache-Control: no-cache, no-store, must-revalidate');
+        header('Pragma: no-cache');
+        header('Expires: 0');
+        header('X-Accel-Buffering: no');
+
+        echo 'retry: ' . ($interval * 1000) . "\n\n";
+        $this->send_stream_message('ready', ['cursor' => $cursor], $cursor);
+
+        $deadline = time() + $duration;
+        $last_message = time();
+
+        while (time() < $deadline && !connection_aborted()) {
+            $changes = $this->get_stream_changes($cursor);
+
+            if (!empty($changes['events'])) {
+                $cursor = $changes['cursor'];
+                $this->send_stream_message('changes', $changes, $cursor);
+                $last_message = time();
+
+                // Drain large bursts without waiting for the next interval
+                if ($changes['has_more']) {
+                    continue;
+                }
+            } else {
+                // Skipped rows (e.g. malformed events) still move the cursor forward
+                $cursor = $changes['cursor'];
+
+                if (time() - $last_message >= 15) {
+                    // Comment lines keep proxies from closing an idle connection
+                    echo ": heartbeat\n\n";
+                    $this->flush_stream();
+                    $last_message = time();
+                }
+            }
+
+            sleep($interval);
+        }
+    }
+
+    /**
+     * Send a single Server-Sent Events message.
+     *
+     * @since    1.9.0
+     * @param    string   $event     The event name.
+     * @param    array    $data      The message payload.
+     * @param    int      $cursor    The cursor to record as the message ID.
+     * @return   void
+     */
+    private function send_stream_message($event, $data, $cursor) {
+        echo 'id: ' . (int) $cursor . "\n";
+        echo 'event: ' . $event . "\n";
+        echo 'data: ' . wp_json_encode($data) . "\n\n";
+        $this->flush_stream();
+    }
+
+    /**
+     * Flush the event stream to the client.
+     *
+     * @since    1.9.0
+     * @return   void
+     */
+    private function flush_stream() {
+        if (ob_get_level() > 0) {
+            ob_flush();
+        }
+        flush();
+    }
+
+    /**
+     * Get how long a single stream or long-poll request may stay open.
+     *
+     * @since    1.9.0
+     * @return   int    The duration in seconds.
+     */
+    private function get_stream_duration() {
+        return max(1, (int) apply_filters('status_sentry_dashboard_stream_duration', 25));
+    }
+
+    /**
+     * Get how often an open stream checks for new events.
+     *
+     * @since    1.9.0
+     * @return   int    The interval in seconds.
+     */
+    private function get_stream_interval() {
+        return max(1, (int) apply_filters('status_sentry_dashboard_stream_interval', 2));
+    }
+
     /**
      * Clear all dashboard caches.
      *
@@ -887,6 +1620,11 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
             delete_transient('status_sentry_dashboard_recent');
             delete_transient('status_sentry_dashboard_baselines');
             delete_transient('status_sentry_dashboard_data');
+            foreach (array_keys($this->timeline_ranges) as $range) {
+                foreach (array_keys($this->timeline_buckets) as $bucket) {
+                    delete_transient('status_sentry_dashboard_data_' . $range . '_' . $bucket);
+                }
+            }
 
             // Force resource manager to update its status
             $resource_manager = Status_Sentry_Resource_Manager::get_instance();
@@ -940,13 +1678,15 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
             $repository = $this->get_monitoring_events_repository();
             $counts = $repository->get_event_counts();
 
-            // Map monitoring event type counts to legacy feature keys
-            return [
-                'core_monitoring' => ($counts['info'] ?? 0) + ($counts['warning'] ?? 0) + ($counts['error'] ?? 0),
-                'db_monitoring' => ($counts['critical'] ?? 0),
-                'conflict_detection' => ($counts['conflict'] ?? 0),
-                'performance_monitoring' => ($counts['performance'] ?? 0),
-            ];
+            $features = $this->map_event_counts_to_features($counts);
+
+            // Acknowledged conflicts and false positives no longer need attention
+            $features['conflict_detection'] = $repository->count_events([
+                'event_type' => 'conflict',
+                'acknowledgement' => 'open',
+            ]);
+
+            return $features;
         } catch (Throwable $e) {
             error_log('Status Sentry: Error in get_event_counts - ' . $e->getMessage());
             // Return default values if there's an error
@@ -959,6 +1699,22 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
         }
     }
 
+    /**
+     * Map monitoring event type counts to legacy feature keys.
+     *
+     * @since    1.9.0
+     * @param    array    $counts    Event counts keyed by event type.
+     * @return   array               Event counts keyed by legacy feature.
+     */
+    private function map_event_counts_to_features($counts) {
+        return [
+            'core_monitoring' => ($counts['info'] ?? 0) + ($counts['warning'] ?? 0) + ($counts['error'] ?? 0),
+            'db_monitoring' => ($counts['critical'] ?? 0),
+            'conflict_detection' => ($counts['conflict'] ?? 0),
+            'performance_monitoring' => ($counts['performance'] ?? 0),
+        ];
+    }
+
     /**
      * Get resource status.
      *
@@ -1051,65 +1807,6 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
         return max(1, $cores);
     }
 
-    /**
-     * Generate recommendations based on event counts and resource status.
-     *
-     * @since    1.5.0
-     * @param    array    $event_counts      The event counts.
-     * @param    array    $resource_status   The resource status.
-     * @return   array                       The recommendations.
-     */
-    private function generate_recommendations($event_counts, $resource_status) {
-        $recommendations = [];
-
-        // Check memory usage
-        if (isset($resource_status['memory_usage_percent']) && $resource_status['memory_usage_percent'] > 80) {
-            $recommendations[] = [
-                'type' => 'warning',
-                'message' => 'Memory usage is high. Consider increasing PHP memory limit or optimizing your site.',
-                'action' => 'Adjust memory settings in the Performance tab of the Settings page.',
-            ];
-        }
-
-        // Check CPU load
-        if (isset($resource_status['cpu_load']) && $resource_status['cpu_load'] > 70) {
-            $recommendations[] = [
-                'type' => 'warning',
-                'message' => 'CPU load is high. Your server may be overloaded.',
-                'action' => 'Consider upgrading your hosting or optimizing resource-intensive tasks.',
-            ];
-        }
-
-        // Check conflict detection events
-        if (isset($event_counts['conflict_detection']) && $event_counts['conflict_detection'] > 10) {
-            $recommendations[] = [
-                'type' => 'error',
-                'message' => 'Multiple plugin conflicts detected.',
-                'action' => 'Review the Events page for details on the conflicts.',
-            ];
-        }
-
-        // Check performance monitoring events
-        if (isset($event_counts['performance_monitoring']) && $event_counts['performance_monitoring'] > 20) {
-            $recommendations[] = [
-                'type' => 'warning',
-                'message' => 'Performance issues detected.',
-                'action' => 'Review the Events page for details on performance issues.',
-            ];
-        }
-
-        // If no recommendations, add a success message
-        if (empty($recommendations)) {
-            $recommendations[] = [
-                'type' => 'success',
-                'message' => 'Your site is running smoothly.',
-                'action' => 'Continue monitoring for optimal performance.',
-            ];
-        }
-
-        return $recommendations;
-    }
-
     /**
      * Get memory usage trends.
      *
@@ -1372,49 +2069,10 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
             // Convert objects to arrays and process the data
             $processed_events = [];
             foreach ($events as $event) {
-                try {
-                    // Validate event object has required properties
-                    if (!isset($event->id) || !isset($event->event_type) || !isset($event->source) || !isset($event->context)) {
-                        error_log('Status Sentry: Event object missing required properties, skipping');
-                        continue;
-                    }
-
-                    // Map event type to legacy feature
-                    $feature = $this->map_event_type_to_feature($event->event_type);
-
-                    $processed_event = [
-                        'id' => $event->id,
-                        'feature' => $feature,
-                        'hook' => $event->source . '/' . $event->context,
-                        'event_time' => $event->timestamp ?? date('Y-m-d H:i:s'),
-                        'event_type' => $event->event_type,
-                        'priority' => $event->priority ?? 'normal',
-                        'source' => $event->source,
-                        'context' => $event->context,
-                        'message' => $event->message ?? 'No message',
-                        'is_monitoring_event' => true
-                    ];
-
-                    // Process data if available
-                    if (isset($event->data)) {
-                        $processed_event['data'] = json_decode($event->data, true) ?? [];
-                    } else {
-                        $processed_event['data'] = [];
-                    }
-
-                    // Add formatted time and feature name
-                    $timestamp = isset($event->timestamp) ? strtotime($event->timestamp) : time();
-                    $processed_event['time_ago'] = human_time_diff($timestamp, time()) . ' ago';
-                    $processed_event['feature_name'] = ucfirst(str_replace('_', ' ', $feature));
-
-                    // Add event type name for display
-                    $processed_event['event_type_name'] = ucfirst($event->event_type);
+                $processed_event = $this->prepare_event_for_response($event);
 
+                if ($processed_event !== null) {
                     $processed_events[] = $processed_event;
-                } catch (Throwable $e) {
-                    error_log('Status Sentry: Error processing event data: ' . $e->getMessage());
-                    // Continue with next event
-                    continue;
                 }
             }
 
@@ -1423,7 +2081,60 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
             error_log('Status Sentry: Exception in get_recent_events: ' . $e->getMessage());
             error_log('Status Sentry: Error type: ' . get_class($e));
             error_log('Status Sentry: Error trace: ' . $e->getTraceAsString());
-            return [];
+            throw $e;
+        }
+    }
+
+    /**
+     * Prepare a monitoring event for the dashboard.
+     *
+     * @since    1.9.0
+     * @param    object    $event    The monitoring event row.
+     * @return   array|null          The processed event, or null if it could not be processed.
+     */
+    private function prepare_event_for_response($event) {
+        try {
+            // Validate event object has required properties
+            if (!isset($event->id) || !isset($event->event_type) || !isset($event->source) || !isset($event->context)) {
+                error_log('Status Sentry: Event object missing required properties, skipping');
+                return null;
+            }
+
+            // Map event type to legacy feature
+            $feature = $this->map_event_type_to_feature($event->event_type);
+
+            $processed_event = [
+                'id' => $event->id,
+                'feature' => $feature,
+                'hook' => $event->source . '/' . $event->context,
+                'event_time' => $event->timestamp ?? date('Y-m-d H:i:s'),
+                'event_type' => $event->event_type,
+                'priority' => $event->priority ?? 'normal',
+                'source' => $event->source,
+                'context' => $event->context,
+                'message' => $event->message ?? 'No message',
+                'is_monitoring_event' => true
+            ];
+
+            // Process data if available
+            if (isset($event->data)) {
+                $processed_event['data'] = json_decode($event->data, true) ?? [];
+            } else {
+                $processed_event['data'] = [];
+            }
+
+            // Add formatted time and feature name
+            $timestamp = isset($event->timestamp) ? strtotime($event->timestamp) : time();
+            $processed_event['time_ago'] = human_time_diff($timestamp, time()) . ' ago';
+            $processed_event['feature_name'] = ucfirst(str_replace('_', ' ', $feature));
+
+            // Add event type name for display
+            $processed_event['event_type_name'] = ucfirst($event->event_type);
+
+            return $processed_event;
+        } catch (Throwable $e) {
+            error_log('Status Sentry: Error processing event data: ' . $e->getMessage());
+            return null;
         }
     }
 
@@ -1480,11 +2191,11 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
                 // Check for database errors
                 if ($wpdb->last_error) {
                     error_log('Status Sentry: Database error in get_baseline_data: ' . $wpdb->last_error);
-                    return [];
+                    throw new Exception('Database error: ' . $wpdb->last_error);
                 }
             } catch (Exception $e) {
                 error_log('Status Sentry: Exception in get_baseline_data SQL query: ' . $e->getMessage());
-                return [];
+                throw $e;
             }
 
             if (empty($baselines)) {
@@ -1544,13 +2255,6 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
                 $baseline_instance = new Status_Sentry_Baseline();
             }
 
-            // Get the default threshold from the baseline config
-            $default_threshold = 0.2; // 20% default
-            if ($baseline_instance && method_exists($baseline_instance, 'get_config')) {
-                $config = $baseline_instance->get_config();
-                $default_threshold = isset($config['significance_threshold']) ? $config['significance_threshold'] : 0.2;
-            }
-
             // Process baselines
             $processed_baselines = [];
             foreach ($baselines as $baseline) {
@@ -1569,11 +2273,9 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
                     $processed_baseline['unit'] = isset($metric_units[$metric_name]) ?
                                                $metric_units[$metric_name] : '';
 
-                    // Add threshold
-                    $processed_baseline['threshold'] = $default_threshold * 100 . '%';
-
                     // Check if this is a deviation
                     $processed_baseline['is_deviation'] = false;
+                    $metadata = [];
 
                     // Parse metadata if available
                     if (isset($baseline['metadata'])) {
@@ -1582,38 +2284,43 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
                                    $baseline['metadata'];
 
                         $processed_baseline['metadata'] = $metadata;
+                        $metadata = is_array($metadata) ? $metadata : [];
+                    }
 
-                        // Check if metadata contains deviation information
-                        if (isset($metadata['is_deviation'])) {
-                            $processed_baseline['is_deviation'] = (bool)$metadata['is_deviation'];
-                        } elseif (isset($metadata['deviation']) && is_numeric($metadata['deviation'])) {
-                            // If deviation value is available, check against threshold
-                            $processed_baseline['is_deviation'] = abs($metadata['deviation']) > $default_threshold;
-                        }
-
-                        // If metadata contains a custom threshold, use it
-                        if (isset($metadata['threshold']) && is_numeric($metadata['threshold'])) {
-                            $processed_baseline['threshold'] = $metadata['threshold'] * 100 . '%';
-                        }
+                    // Add threshold
+                    $threshold = $this->get_deviation_threshold($baseline_instance, $metadata);
+                    $processed_baseline['threshold'] = $threshold * 100 . '%';
+                    $processed_baseline['threshold_value'] = $threshold;
+
+                    // Check if metadata contains deviation information
+                    if (isset($metadata['is_deviation'])) {
+                        $processed_baseline['is_deviation'] = (bool)$metadata['is_deviation'];
+                    } elseif (isset($metadata['deviation']) && is_numeric($metadata['deviation'])) {
+                        // If deviation value is available, check against threshold
+                        $processed_baseline['is_deviation'] = abs($metadata['deviation']) > $threshold;
                     }
 
-                    // Check for deviation using the Baseline class if available
-                    if ($baseline_instance && method_exists($baseline_instance, 'is_significant_deviation') &&
-                        isset($baseline['value']) && is_numeric($baseline['value']) &&
-                        isset($baseline['metric_name']) && isset($baseline['metric_context'])) {
+                    // Compare the latest recorded value with the baseline
+                    $processed_baseline['latest_value'] = null;
+                    $processed_baseline['deviation'] = null;
+
+                    if ($baseline_instance && isset($baseline['metric_name']) && isset($baseline['metric_context'])) {
+                        $latest = $baseline_instance->get_history($baseline['metric_name'], $baseline['metric_context'], 1);
 
-                        // Get the current value for comparison
-                        $current_value = $baseline['value'];
+                        if ($latest) {
+                            $explanation = $baseline_instance->explain_deviation(
+                                $baseline['metric_name'],
+                                $baseline['metric_context'],
+                                $latest[0]['value'],
+                                $threshold
+                            );
 
-                        // Check if there's a significant deviation
-                        $is_deviation = $baseline_instance->is_significant_deviation(
-                            $baseline['metric_name'],
-                            $baseline['metric_context'],
-                            $current_value
-                        );
+                            $processed_baseline['latest_value'] = $explanation['value'];
+                            $processed_baseline['deviation'] = $explanation['deviation'];
 
-                        if ($is_deviation) {
-                            $processed_baseline['is_deviation'] = true;
+                            if ($explanation['is_significant']) {
+                                $processed_baseline['is_deviation'] = true;
+                            }
                         }
                     }
 
@@ -1635,7 +2342,34 @@ class Status_Sentry_Dashboard_Controller extends WP_REST_Controller {
             return $processed_baselines;
         } catch (Exception $e) {
             error_log('Status Sentry: Exception in get_baseline_data: ' . $e->getMessage());
-            return [];
+            throw $e;
         }
     }
+
+    /**
+     * Get the threshold a baseline's deviation is checked against.
+     *
+     * A threshold in the baseline's metadata takes precedence over the
+     * significance threshold in the baseline configuration.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    Status_Sentry_Baseline|null    $baseline_instance    The baseline instance.
+     * @param    array                          $metadata             The baseline's metadata.
+     * @return   float                                                The threshold as a fraction.
+     */
+    private function get_deviation_threshold($baseline_instance, $metadata) {
+        if (isset($metadata['threshold']) && is_numeric($metadata['threshold'])) {
+            return (float) $metadata['threshold'];
+        }
+
+        if ($baseline_instance) {
+            $config = $baseline_instance->get_config();
+            if (isset($config['significance_threshold'])) {
+                return (float) $config['significance_threshold'];
+            }
+        }
+
+        return 0.5;
+    }
 }
@@ -0,0 +1,175 @@
+<?php
+/**
+ * Dashboard Layout Class
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+
+/**
+ * Dashboard Layout Class
+ *
+ * This class keeps each user's dashboard layout in user meta. A layout is
+ * the ordered list of widget instances on the dashboard: each has an ID, a
+ * widget type, a size, whether it is hidden, and its settings.
+ *
+ * Widgets are registered in JavaScript, including by other plugins, so the
+ * types aren't checked here. The layout is only reduced to safe values.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+class Status_Sentry_Dashboard_Layout {
+
+    /**
+     * The user meta key holding the layout.
+     *
+     * @since    1.9.0
+     * @var      string
+     */
+    const USER_META = 'status_sentry_dashboard_layout';
+
+    /**
+     * The widget sizes.
+     *
+     * @since    1.9.0
+     * @var      array
+     */
+    const SIZES = ['small', 'medium', 'large', 'full'];
+
+    /**
+     * The maximum number of widgets in a layout.
+     *
+     * @since    1.9.0
+     * @var      int
+     */
+    const MAX_WIDGETS = 50;
+
+    /**
+     * The maximum number of settings per widget.
+     *
+     * @since    1.9.0
+     * @var      int
+     */
+    const MAX_SETTINGS = 20;
+
+    /**
+     * Get a user's layout.
+     *
+     * @since    1.9.0
+     * @param    int           $user_id    The user ID.
+     * @return   array|null                The layout, or null if the user hasn't saved one.
+     */
+    public function get($user_id) {
+        $layout = get_user_meta($user_id, self::USER_META, true);
+
+        return is_array($layout) ? $layout : null;
+    }
+
+    /**
+     * Save a user's layout.
+     *
+     * @since    1.9.0
+     * @param    int      $user_id    The user ID.
+     * @param    array    $layout     The layout.
+     * @return   array                The layout as saved.
+     */
+    public function save($user_id, $layout) {
+        $layout = $this->sanitize($layout);
+        update_user_meta($user_id, self::USER_META, $layout);
+
+        return $layout;
+    }
+
+    /**
+     * Go back to the default layout.
+     *
+     * @since    1.9.0
+     * @param    int    $user_id    The user ID.
+     */
+    public function reset($user_id) {
+        delete_user_meta($user_id, self::USER_META);
+    }
+
+    /**
+     * Reduce a layout to valid widget instances.
+     *
+     * Instances with an invalid or repeated ID, or an invalid type, are
+     * dropped. Settings keep scalar values only.
+     *
+     * @since    1.9.0
+     * @param    array    $layout    The layout.
+     * @return   array               The sanitized layout.
+     */
+    public function sanitize($layout) {
+        $sanitized = [];
+        $ids = [];
+
+        foreach ((array) $layout as $widget) {
+            if (!is_array($widget) || count($sanitized) >= self::MAX_WIDGETS) {
+                continue;
+            }
+
+            $id = $widget['id'] ?? '';
+            $type = $widget['type'] ?? '';
+            if (!$this->is_slug($id) || !$this->is_slug($type) || isset($ids[$id])) {
+                continue;
+            }
+            $ids[$id] = true;
+
+            $sanitized[] = [
+                'id' => $id,
+                'type' => $type,
+                'size' => in_array($widget['size'] ?? '', self::SIZES, true) ? $widget['size'] : 'medium',
+                'hidden' => !empty($widget['hidden']),
+                'settings' => $this->sanitize_settings($widget['settings'] ?? []),
+            ];
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Reduce a widget's settings to scalar values.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    mixed    $settings    The settings.
+     * @return   array                 The sanitized settings.
+     */
+    private function sanitize_settings($settings) {
+        $sanitized = [];
+
+        if (!is_array($settings)) {
+            return $sanitized;
+        }
+
+        foreach ($settings as $key => $value) {
+            if (!$this->is_slug($key) || count($sanitized) >= self::MAX_SETTINGS) {
+                continue;
+            }
+
+            if (is_bool($value) || is_int($value) || is_float($value)) {
+                $sanitized[$key] = $value;
+            } elseif (is_string($value)) {
+                $sanitized[$key] = sanitize_text_field($value);
+            }
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Check that a value is a widget ID, type or setting name.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    mixed    $value    The value.
+     * @return   bool               Whether the value is lowercase letters, digits, dashes and underscores.
+     */
+    private function is_slug($value) {
+        return is_string($value) && preg_match('/^[a-z0-9_-]{1,64}$/', $value) === 1;
+    }
+}
@@ -0,0 +1,772 @@
+<?php
+/**
+ * Events REST API Controller
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+
+/**
+ * Events REST API Controller
+ *
+ * This class handles the REST API endpoints for the event explorer.
+ * It lists monitoring events with server-side filtering and cursor
+ * pagination, exports them in chunks, and deletes and acknowledges
+ * events in bulk. Deletions go through the event trash so they can be
+ * undone for a short while.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+class Status_Sentry_Events_Controller extends WP_REST_Controller {
+
+    /**
+     * The namespace of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $namespace    The namespace of this controller's route.
+     */
+    protected $namespace = 'status-sentry/v1';
+
+    /**
+     * The base of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $rest_base    The base of this controller's route.
+     */
+    protected $rest_base = 'events';
+
+    /**
+     * The monitoring event types.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      array    $event_types    The monitoring event types.
+     */
+    private $event_types = ['info', 'warning', 'error', 'critical', 'performance', 'security', 'conflict', 'health'];
+
+    /**
+     * Register the routes for the event explorer.
+     *
+     * @since    1.9.0
+     */
+    public function register_routes() {
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base,
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_items'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => $this->get_collection_params(),
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/export',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'export_items'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => $this->get_export_params(),
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/(?P<id>\d+)/similar',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_similar_items'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'per_page' => [
+                            'description' => __('Maximum number of similar events to return.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'default'     => 10,
+                            'minimum'     => 1,
+                            'maximum'     => 50,
+                        ],
+                        'days' => [
+                            'description' => __('Number of days to count occurrences for.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'default'     => 30,
+                            'minimum'     => 1,
+                            'maximum'     => 90,
+                        ],
+                    ],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/delete',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'delete_items'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => $this->get_delete_params(),
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/trash/(?P<batch>[a-f0-9\-]+)/restore',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'restore_items'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/acknowledge',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'acknowledge_items'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'type' => [
+                            'description' => __('The type of the events. Only monitoring events can be acknowledged.', 'status-sentry-wp'),
+                            'type'        => 'string',
+                            'enum'        => ['monitoring', 'legacy'],
+                            'default'     => 'monitoring',
+                        ],
+                        'ids' => [
+                            'description' => __('The IDs of the monitoring events.', 'status-sentry-wp'),
+                            'type'        => 'array',
+                            'items'       => ['type' => 'integer'],
+                            'required'    => true,
+                        ],
+                        'status' => [
+                            'description' => __('The acknowledgement status, or "open" to reopen the events.', 'status-sentry-wp'),
+                            'type'        => 'string',
+                            'enum'        => ['acknowledged', 'false_positive', 'open'],
+                            'default'     => 'acknowledged',
+                        ],
+                    ],
+                ],
+            ]
+        );
+    }
+
+    /**
+     * Check if a given request has access to get items.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   bool|WP_Error
+     */
+    public function get_items_permissions_check($request) {
+        return current_user_can('manage_options');
+    }
+
+    /**
+     * Get the query parameters for the events collection.
+     *
+     * @since    1.9.0
+     * @return   array    The collection parameters.
+     */
+    public function get_collection_params() {
+        return [
+            'event_type' => [
+                'description' => __('Limit results to these event types.', 'status-sentry-wp'),
+                'type'        => 'array',
+                'items'       => [
+                    'type' => 'string',
+                    'enum' => $this->event_types,
+                ],
+                'default'     => [],
+            ],
+            'priority_min' => [
+                'description' => __('Minimum event priority.', 'status-sentry-wp'),
+                'type'        => 'integer',
+                'minimum'     => 0,
+                'maximum'     => 100,
+            ],
+            'priority_max' => [
+                'description' => __('Maximum event priority.', 'status-sentry-wp'),
+                'type'        => 'integer',
+                'minimum'     => 0,
+                'maximum'     => 100,
+            ],
+            'source' => [
+                'description'       => __('Limit results to sources starting with this value.', 'status-sentry-wp'),
+                'type'              => 'string',
+                'sanitize_callback' => 'sanitize_text_field',
+            ],
+            'context' => [
+                'description'       => __('Limit results to contexts starting with this value.', 'status-sentry-wp'),
+                'type'              => 'string',
+                'sanitize_callback' => 'sanitize_text_field',
+            ],
+            'date_from' => [
+                'description'       => __('Earliest event time (Y-m-d or Y-m-d H:i:s).', 'status-sentry-wp'),
+                'type'              => 'string',
+                'validate_callback' => [$this, 'validate_date'],
+            ],
+            'date_to' => [
+                'description'       => __('Latest event time (Y-m-d or Y-m-d H:i:s).', 'status-sentry-wp'),
+                'type'              => 'string',
+                'validate_callback' => [$this, 'validate_date'],
+            ],
+            'search' => [
+                'description'       => __('Limit results to events whose message contains these words.', 'status-sentry-wp'),
+                'type'              => 'string',
+                'sanitize_callback' => 'sanitize_text_field',
+            ],
+            'cursor' => [
+                'description' => __('Return events older than this event ID.', 'status-sentry-wp'),
+                'type'        => 'integer',
+                'minimum'     => 0,
+                'default'     => 0,
+            ],
+            'per_page' => [
+                'description' => __('Maximum number of events to return.', 'status-sentry-wp'),
+                'type'        => 'integer',
+                'minimum'     => 1,
+                'maximum'     => 100,
+                'default'     => 25,
+            ],
+        ];
+    }
+
+    /**
+     * Get the parameters for exporting events.
+     *
+     * Monitoring exports take the same filters as the events collection;
+     * legacy exports include every legacy event. Both can be limited to
+     * a list of event IDs.
+     *
+     * @since    1.9.0
+     * @return   array    The export parameters.
+     */
+    public function get_export_params() {
+        $params = $this->get_collection_params();
+        $params['per_page']['maximum'] = 1000;
+        $params['per_page']['default'] = 500;
+
+        return array_merge([
+            'type' => [
+                'description' => __('Whether to export monitoring or legacy events.', 'status-sentry-wp'),
+                'type'        => 'string',
+                'enum'        => ['monitoring', 'legacy'],
+                'default'     => 'monitoring',
+            ],
+            'ids' => [
+                'description' => __('Only export the events with these IDs.', 'status-sentry-wp'),
+                'type'        => 'array',
+                'items'       => ['type' => 'integer'],
+                'default'     => [],
+            ],
+        ], $params);
+    }
+
+    /**
+     * Get the parameters for deleting events.
+     *
+     * The "filter" scope takes the same filters as the events collection.
+     *
+     * @since    1.9.0
+     * @return   array    The delete parameters.
+     */
+    public function get_delete_params() {
+        $params = $this->get_collection_params();
+        unset($params['cursor'], $params['per_page']);
+
+        return array_merge([
+            'type' => [
+                'description' => __('Whether to delete monitoring or legacy events.', 'status-sentry-wp'),
+                'type'        => 'string',
+                'enum'        => ['monitoring', 'legacy'],
+                'default'     => 'monitoring',
+            ],
+            'scope' => [
+                'description' => __('Delete the given events, the events matching the filters, or the events older than a number of days.', 'status-sentry-wp'),
+                'type'        => 'string',
+                'enum'        => ['selected', 'filter', 'older_than'],
+                'required'    => true,
+            ],
+            'ids' => [
+                'description' => __('The IDs of the events to delete, for the "selected" scope.', 'status-sentry-wp'),
+                'type'        => 'array',
+                'items'       => ['type' => 'integer'],
+                'default'     => [],
+            ],
+            'days' => [
+                'description' => __('Delete events older than this many days, for the "older_than" scope.', 'status-sentry-wp'),
+                'type'        => 'integer',
+                'minimum'     => 1,
+                'maximum'     => 3650,
+            ],
+        ], $params);
+    }
+
+    /**
+     * Validate a date filter.
+     *
+     * @since    1.9.0
+     * @param    mixed              $value      The value to validate.
+     * @param    WP_REST_Request    $request    Full data about the request.
+     * @param    string             $param      The parameter name.
+     * @return   bool|WP_Error                  True if valid, WP_Error otherwise.
+     */
+    public function validate_date($value, $request, $param) {
+        if ($value === '' || preg_match('/^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}(:\d{2})?)?$/', $value)) {
+            return true;
+        }
+
+        return new WP_Error(
+            'rest_invalid_param',
+            /* translators: %s: Parameter name. */
+            sprintf(__('%s must be a date in Y-m-d or Y-m-d H:i:s format.', 'status-sentry-wp'), $param),
+            ['status' => 400]
+        );
+    }
+
+    /**
+     * Get a page of monitoring events matching the request filters.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_items($request) {
+        try {
+            $filters = $this->get_filters_from_request($request);
+            $repository = $this->get_monitoring_events_repository();
+
+            $page = $repository->query_events($filters, (int) $request['cursor'], (int) $request['per_page']);
+            $acknowledgements = $repository->get_acknowledgements(wp_list_pluck($page['events'], 'id'));
+
+            $events = [];
+            foreach ($page['events'] as $event) {
+                $events[] = $this->prepare_event($event, $acknowledgements[(int) $event->id] ?? null);
+            }
+
+            return $this->prepare_response([
+                'events' => $events,
+                'next_cursor' => $page['next_cursor'],
+                'total' => $repository->count_events($filters),
+                'filters' => $filters,
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_items', $e, __('Unable to load events.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Get the events similar to a monitoring event.
+     *
+     * Similar events have exactly the same source, context and message. The response tells where the event sits among
+     * them, links the previous and next occurrences and counts the
+     * occurrences per day, so the event viewer can show whether a problem
+     * is new or recurring. It also includes the issue the event is grouped
+     * into, which matches on the normalised message and so can count more
+     * events.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_similar_items($request) {
+        try {
+            $repository = $this->get_monitoring_events_repository();
+            $event = $repository->get_event((int) $request['id']);
+
+            if (!$event) {
+                return new WP_Error(
+                    'status_sentry_events_not_found',
+                    __('Event not found.', 'status-sentry-wp'),
+                    ['status' => 404]
+                );
+            }
+
+            $stats = $repository->get_fingerprint_stats($event);
+            $page = $repository->query_events(['fingerprint' => $event], 0, (int) $request['per_page']);
+
+            $events = [];
+            foreach ($page['events'] as $similar) {
+                $prepared = $this->prepare_event($similar);
+                unset($prepared['data']);
+                $events[] = $prepared;
+            }
+
+            $issues_repository = new Status_Sentry_Issues_Repository();
+            $issue = $issues_repository->get_issue_for_event($event);
+
+            $occurrences = [];
+            foreach ($repository->get_fingerprint_daily_counts($event, (int) $request['days']) as $date => $count) {
+                $occurrences[] = ['date' => $date, 'count' => $count];
+            }
+
+            return $this->prepare_response([
+                'fingerprint' => Status_Sentry_Monitoring_Events_Repository::get_fingerprint($event),
+                'total' => $stats['total'],
+                'position' => $stats['position'],
+                'first_seen' => $stats['first_seen'],
+                'last_seen' => $stats['last_seen'],
+                'previous' => $stats['previous_id'],
+                'next' => $stats['next_id'],
+                'events' => $events,
+                'occurrences' => $occurrences,
+                'issue' => $issue ? [
+                    'id' => (int) $issue->id,
+                    'status' => $issue->status,
+                    'occurrences' => (int) $issue->occurrences,
+                    'first_seen' => $issue->first_seen,
+                ] : null,
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_similar_items', $e, __('Unable to load similar events.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Get a chunk of events to export.
+     *
+     * Exports are downloaded a chunk at a time with the cursor, like the
+     * events collection. Each event includes its decoded data and the
+     * performance metrics found in it.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function export_items($request) {
+        try {
+            $cursor = (int) $request['cursor'];
+            $limit = (int) $request['per_page'];
+
+            // Also loads the performance metric keys for legacy exports
+            $monitoring_repository = $this->get_monitoring_events_repository();
+
+            if ($request['type'] === 'legacy') {
+                require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-events-repository.php';
+                $repository = new Status_Sentry_Events_Repository();
+
+                $page = $repository->query_events($cursor, $limit, $request['ids']);
+                $total = $cursor ? null : $repository->count_events($request['ids']);
+            } else {
+                $filters = $this->get_filters_from_request($request);
+                if (!empty($request['ids'])) {
+                    $filters['ids'] = $request['ids'];
+                }
+
+                $page = $monitoring_repository->query_events($filters, $cursor, $limit);
+                $total = $cursor ? null : $monitoring_repository->count_events($filters);
+            }
+
+            $events = [];
+            foreach ($page['events'] as $event) {
+                $events[] = $this->prepare_export_event($event, $request['type']);
+            }
+
+            return $this->prepare_response([
+                'events' => $events,
+                'next_cursor' => $page['next_cursor'],
+                // Only counted for the first chunk
+                'total' => $total,
+                'metric_keys' => Status_Sentry_Monitoring_Events_Repository::PERFORMANCE_METRICS,
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('export_items', $e, __('Unable to export events.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Move events to the trash.
+     *
+     * The events are purged once the undo window has passed, unless the
+     * batch is restored first.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function delete_items($request) {
+        $type = $request['type'];
+        $scope = $request['scope'];
+
+        if ($scope === 'selected') {
+            $filters = ['ids' => $request['ids']];
+        } elseif ($scope === 'older_than') {
+            if (empty($request['days'])) {
+                return new WP_Error(
+                    'rest_missing_callback_param',
+                    __('Pass the number of days to delete events older than.', 'status-sentry-wp'),
+                    ['status' => 400]
+                );
+            }
+
+            // Monitoring events are stored in UTC, legacy events in the site timezone
+            $cutoff = time() - (int) $request['days'] * DAY_IN_SECONDS;
+            $filters = [
+                'before' => $type === 'legacy' ? wp_date('Y-m-d H:i:s', $cutoff) : gmdate('Y-m-d H:i:s', $cutoff),
+            ];
+        } elseif ($type === 'monitoring') {
+            $filters = $this->get_filters_from_request($request);
+        } else {
+            return new WP_Error(
+                'status_sentry_events_invalid_scope',
+                __('Legacy events cannot be deleted by filter.', 'status-sentry-wp'),
+                ['status' => 400]
+            );
+        }
+
+        try {
+            $trash = new Status_Sentry_Event_Trash();
+            $result = $trash->trash($type, $filters);
+
+            if (isset($filters['before'])) {
+                $result['before'] = $filters['before'];
+            }
+            $result['undo_window'] = $trash->get_undo_window();
+
+            return $this->prepare_response($result);
+        } catch (Throwable $e) {
+            return $this->handle_error('delete_items', $e, __('Unable to delete events.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Restore a batch of deleted events.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function restore_items($request) {
+        try {
+            $trash = new Status_Sentry_Event_Trash();
+            $restored = $trash->restore($request['batch']);
+
+            if ($restored === 0) {
+                return new WP_Error(
+                    'status_sentry_events_batch_not_found',
+                    __('These events can no longer be restored.', 'status-sentry-wp'),
+                    ['status' => 404]
+                );
+            }
+
+            return $this->prepare_response(['restored' => $restored]);
+        } catch (Throwable $e) {
+            return $this->handle_error('restore_items', $e, __('Unable to restore events.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Acknowledge or reopen monitoring events. Legacy events are rejected.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function acknowledge_items($request) {
+        // Acknowledgements are keyed by monitoring event ID, which legacy event IDs would collide with
+        if ($request['type'] === 'legacy') {
+            return new WP_Error(
+                'status_sentry_events_legacy_acknowledge',
+                __('Legacy events cannot be acknowledged. Only monitoring events have an acknowledgement status.', 'status-sentry-wp'),
+                ['status' => 400]
+            );
+        }
+
+        try {
+            $repository = $this->get_monitoring_events_repository();
+
+            if ($request['status'] === 'open') {
+                $updated = $repository->unacknowledge_events($request['ids']);
+            } else {
+                $updated = $repository->acknowledge_events($request['ids'], $request['status']);
+            }
+
+            return $this->prepare_response(['updated' => $updated]);
+        } catch (Throwable $e) {
+            return $this->handle_error('acknowledge_items', $e, __('Unable to update the events.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Get the repository filters from a request.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   array                    The filters that are set.
+     */
+    public function get_filters_from_request($request) {
+        $filters = [];
+
+        foreach (['event_type', 'priority_min', 'priority_max', 'source', 'context', 'date_from', 'date_to', 'search'] as $key) {
+            $value = $request->get_param($key);
+
+            if ($value !== null && $value !== '' && $value !== []) {
+                $filters[$key] = $value;
+            }
+        }
+
+        return $filters;
+    }
+
+    /**
+     * Prepare a monitoring event for the response.
+     *
+     * @since    1.9.0
+     * @param    object        $event              The monitoring event row.
+     * @param    array|null    $acknowledgement    The event's acknowledgement, or null if it is open.
+     * @return   array                             The prepared event.
+     */
+    private function prepare_event($event, $acknowledgement = null) {
+        $data = json_decode($event->data, true);
+        $timestamp = strtotime($event->timestamp);
+
+        return [
+            'id' => (int) $event->id,
+            'event_id' => $event->event_id,
+            'event_type' => $event->event_type,
+            'priority' => (int) $event->priority,
+            'priority_label' => $this->get_priority_label((int) $event->priority),
+            'source' => $event->source,
+            'context' => $event->context,
+            'message' => $event->message,
+            'data' => is_array($data) ? $data : [],
+            'timestamp' => $event->timestamp,
+            'time_ago' => $timestamp ? human_time_diff($timestamp, time()) . ' ago' : '',
+            'acknowledgement' => $acknowledgement ? $acknowledgement['status'] : 'open',
+        ];
+    }
+
+    /**
+     * Prepare an event for export.
+     *
+     * Unlike prepare_event(), this keeps every stored column and leaves
+     * out display-only fields.
+     *
+     * @since    1.9.0
+     * @param    object    $event    The event row.
+     * @param    string    $type     'monitoring' or 'legacy'.
+     * @return   array               The exported event.
+     */
+    private function prepare_export_event($event, $type) {
+        $data = json_decode($event->data, true);
+        if ($data === null && $event->data !== 'null') {
+            // Keep data that is not valid JSON as it was stored
+            $data = $event->data;
+        }
+
+        if ($type === 'legacy') {
+            $exported = [
+                'id' => (int) $event->id,
+                'feature' => $event->feature,
+                'hook' => $event->hook,
+                'event_time' => $event->event_time,
+                'processed_time' => $event->processed_time,
+            ];
+        } else {
+            $exported = [
+                'id' => (int) $event->id,
+                'event_id' => $event->event_id,
+                'event_type' => $event->event_type,
+                'priority' => (int) $event->priority,
+                'source' => $event->source,
+                'context' => $event->context,
+                'message' => $event->message,
+                'timestamp' => $event->timestamp,
+                'created_at' => $event->created_at,
+            ];
+        }
+
+        $exported['data'] = $data;
+        $exported['performance_metrics'] = (object) Status_Sentry_Monitoring_Events_Repository::extract_performance_metrics($data);
+
+        return $exported;
+    }
+
+    /**
+     * Get the label for a priority value.
+     *
+     * Uses the same ranges as formatPriority() in assets/js/admin.js.
+     *
+     * @since    1.9.0
+     * @param    int       $priority    The priority.
+     * @return   string                 The priority label.
+     */
+    private function get_priority_label($priority) {
+        if ($priority <= 10) {
+            return __('Low', 'status-sentry-wp');
+        } elseif ($priority <= 50) {
+            return __('Normal', 'status-sentry-wp');
+        } elseif ($priority <= 80) {
+            return __('High', 'status-sentry-wp');
+        }
+
+        return __('Critical', 'status-sentry-wp');
+    }
+
+    /**
+     * Add no-cache headers to a response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    mixed    $data    The response data.
+     * @return   WP_REST_Response  The response.
+     */
+    private function prepare_response($data) {
+        $response = rest_ensure_response($data);
+        $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+        $response->header('Pragma', 'no-cache');
+        $response->header('Expires', '0');
+        return $response;
+    }
+
+    /**
+     * Log an exception and create the error response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string       $method     The method that failed.
+     * @param    Throwable    $e          The exception.
+     * @param    string       $message    The message for the client.
+     * @return   WP_Error                 The error.
+     */
+    private function handle_error($method, $e, $message) {
+        error_log('Status Sentry Events: Error in ' . $method . ' - ' . $e->getMessage());
+        error_log('Status Sentry Events: Error type - ' . get_class($e));
+
+        return new WP_Error('status_sentry_events_error', $message, ['status' => 500]);
+    }
+
+    /**
+     * Get monitoring events repository.
+     *
+     * @since    1.9.0
+     * @return   Status_Sentry_Monitoring_Events_Repository    The monitoring events repository.
+     */
+    private function get_monitoring_events_repository() {
+        static $repository = null;
+
+        if ($repository === null) {
+            require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-monitoring-events-repository.php';
+            $repository = new Status_Sentry_Monitoring_Events_Repository();
+        }
+
+        return $repository;
+    }
+}
@@ -0,0 +1,402 @@
+<?php
+/**
+ * Hooks REST API Controller
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+
+/**
+ * Hooks REST API Controller
+ *
+ * This class handles the REST API endpoints for the Hook Configuration
+ * page: each feature's hooks with their priority and sampling rate,
+ * enabling and disabling hooks, changing sampling rates, and adding
+ * custom hooks picked from the hooks seen at runtime.
+ *
+ * Changes apply from the next request, when the hook manager registers
+ * the hooks again.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+class Status_Sentry_Hooks_Controller extends WP_REST_Controller {
+
+    /**
+     * The namespace of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $namespace    The namespace of this controller's route.
+     */
+    protected $namespace = 'status-sentry/v1';
+
+    /**
+     * The base of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $rest_base    The base of this controller's route.
+     */
+    protected $rest_base = 'hooks';
+
+    /**
+     * Register the routes for hooks.
+     *
+     * @since    1.9.0
+     */
+    public function register_routes() {
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base,
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_items'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/settings',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'update_item'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => array_merge($this->get_hook_params(), [
+                        'enabled' => [
+                            'description' => __('Whether the hook is captured.', 'status-sentry-wp'),
+                            'type'        => 'boolean',
+                        ],
+                        'sampling_rate' => [
+                            'description' => __('The share of the hook\'s calls that are captured, from 0 to 1.', 'status-sentry-wp'),
+                            'type'        => 'number',
+                            'minimum'     => 0,
+                            'maximum'     => 1,
+                        ],
+                    ]),
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/custom',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'create_item'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => array_merge($this->get_hook_params(), [
+                        'priority' => [
+                            'description' => __('The hook priority.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'default'     => 10,
+                        ],
+                        'sampling_rate' => [
+                            'description' => __('The share of the hook\'s calls that are captured, from 0 to 1.', 'status-sentry-wp'),
+                            'type'        => 'number',
+                            'minimum'     => 0,
+                            'maximum'     => 1,
+                            'default'     => 1,
+                        ],
+                    ]),
+                ],
+                [
+                    'methods'             => WP_REST_Server::DELETABLE,
+                    'callback'            => [$this, 'delete_item'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => $this->get_hook_params(),
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/seen',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_seen_hooks'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'search' => [
+                            'description' => __('Limit the hooks to names containing this text.', 'status-sentry-wp'),
+                            'type'        => 'string',
+                            'default'     => '',
+                        ],
+                        'limit' => [
+                            'description' => __('The most hooks to return.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'minimum'     => 1,
+                            'maximum'     => 100,
+                            'default'     => 50,
+                        ],
+                    ],
+                ],
+            ]
+        );
+    }
+
+    /**
+     * Check if a given request has access to hooks.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   bool
+     */
+    public function get_items_permissions_check($request) {
+        return current_user_can('manage_options');
+    }
+
+    /**
+     * Get the params that identify a hook.
+     *
+     * @since    1.9.0
+     * @return   array    The params.
+     */
+    public function get_hook_params() {
+        return [
+            'feature' => [
+                'description' => __('The feature the hook belongs to.', 'status-sentry-wp'),
+                'type'        => 'string',
+                'enum'        => Status_Sentry_Hook_Config::FEATURES,
+                'required'    => true,
+            ],
+            'hook' => [
+                'description' => __('The name of the WordPress hook.', 'status-sentry-wp'),
+                'type'        => 'string',
+                'pattern'     => '^\S+$',
+                'maxLength'   => 191,
+                'required'    => true,
+            ],
+        ];
+    }
+
+    /**
+     * Get each feature's hooks.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_items($request) {
+        try {
+            return $this->prepare_response($this->prepare_features(new Status_Sentry_Hook_Config()));
+        } catch (Throwable $e) {
+            return $this->handle_error('get_items', $e, __('Unable to load the hooks.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Enable or disable a hook, or change its sampling rate.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function update_item($request) {
+        try {
+            $settings = array_intersect_key($request->get_params(), array_flip(['enabled', 'sampling_rate']));
+            if (empty($settings)) {
+                return new WP_Error(
+                    'status_sentry_hooks_no_changes',
+                    __('No settings were given.', 'status-sentry-wp'),
+                    ['status' => 400]
+                );
+            }
+
+            $hook_config = new Status_Sentry_Hook_Config();
+            if (!isset($hook_config->get_feature_hooks($request['feature'])[$request['hook']])) {
+                return $this->hook_not_found();
+            }
+
+            if (!$hook_config->update_hook($request['feature'], $request['hook'], $settings)) {
+                throw new RuntimeException('The hook settings could not be saved.');
+            }
+
+            return $this->prepare_response($this->prepare_features($hook_config));
+        } catch (Throwable $e) {
+            return $this->handle_error('update_item', $e, __('Unable to save the hook settings.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Add a custom hook to a feature.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function create_item($request) {
+        try {
+            if ($request['hook'] === 'all') {
+                return new WP_Error(
+                    'rest_invalid_param',
+                    __('The "all" hook runs on every hook and can\'t be captured.', 'status-sentry-wp'),
+                    ['status' => 400]
+                );
+            }
+
+            $hook_config = new Status_Sentry_Hook_Config();
+            if (isset($hook_config->get_feature_hooks($request['feature'])[$request['hook']])) {
+                return new WP_Error(
+                    'status_sentry_hooks_exists',
+                    __('The feature already captures this hook.', 'status-sentry-wp'),
+                    ['status' => 400]
+                );
+            }
+
+            if (!$hook_config->add_custom_hook($request['feature'], $request['hook'], (int) $request['priority'], (float) $request['sampling_rate'])) {
+                throw new RuntimeException('The hook settings could not be saved.');
+            }
+
+            return $this->prepare_response($this->prepare_features($hook_config));
+        } catch (Throwable $e) {
+            return $this->handle_error('create_item', $e, __('Unable to add the hook.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Remove a custom hook from a feature.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function delete_item($request) {
+        try {
+            $hook_config = new Status_Sentry_Hook_Config();
+            $hooks = $hook_config->get_feature_hooks($request['feature']);
+
+            if (!isset($hooks[$request['hook']])) {
+                return $this->hook_not_found();
+            }
+
+            if (!$hooks[$request['hook']]['custom']) {
+                return new WP_Error(
+                    'status_sentry_hooks_not_custom',
+                    __('Only custom hooks can be removed. Disable the hook instead.', 'status-sentry-wp'),
+                    ['status' => 400]
+                );
+            }
+
+            if (!$hook_config->remove_custom_hook($request['feature'], $request['hook'])) {
+                throw new RuntimeException('The hook settings could not be saved.');
+            }
+
+            return $this->prepare_response($this->prepare_features($hook_config));
+        } catch (Throwable $e) {
+            return $this->handle_error('delete_item', $e, __('Unable to remove the hook.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Search the hooks seen at runtime.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_seen_hooks($request) {
+        try {
+            $seen_hooks = new Status_Sentry_Seen_Hooks();
+
+            return $this->prepare_response($seen_hooks->search(trim($request['search']), (int) $request['limit']));
+        } catch (Throwable $e) {
+            return $this->handle_error('get_seen_hooks', $e, __('Unable to load the hooks seen at runtime.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Prepare each feature's hooks.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    Status_Sentry_Hook_Config    $hook_config    The hook configuration.
+     * @return   array                                        The features and their hooks.
+     */
+    private function prepare_features($hook_config) {
+        $sampling_manager = new Status_Sentry_Sampling_Manager();
+        $features = [];
+
+        foreach (Status_Sentry_Hook_Config::FEATURES as $feature) {
+            $hooks = [];
+            foreach ($hook_config->get_feature_hooks($feature) as $hook => $config) {
+                $default = $hook_config->get_default_hook($feature, (string) $hook);
+
+                $hooks[] = [
+                    'hook' => (string) $hook,
+                    'priority' => (int) ($config['priority'] ?? 10),
+                    'sampling_rate' => (float) ($config['sampling_rate'] ?? 1.0),
+                    'default_sampling_rate' => $default !== null ? (float) ($default['sampling_rate'] ?? 1.0) : null,
+                    'enabled' => (bool) $config['enabled'],
+                    'custom' => (bool) $config['custom'],
+                    'group' => $config['group'] ?? '',
+                    'always_sampled' => $sampling_manager->is_high_priority_event($feature, (string) $hook),
+                ];
+            }
+
+            $features[] = [
+                'feature' => $feature,
+                'enabled' => $hook_config->is_feature_enabled($feature),
+                'hooks' => $hooks,
+            ];
+        }
+
+        return ['features' => $features];
+    }
+
+    /**
+     * Create the error for a hook the feature doesn't have.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   WP_Error    The error.
+     */
+    private function hook_not_found() {
+        return new WP_Error(
+            'status_sentry_hooks_not_found',
+            __('The feature has no such hook.', 'status-sentry-wp'),
+            ['status' => 404]
+        );
+    }
+
+    /**
+     * Add no-cache headers to a response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    mixed    $data    The response data.
+     * @return   WP_REST_Response  The response.
+     */
+    private function prepare_response($data) {
+        $response = rest_ensure_response($data);
+        $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+        $response->header('Pragma', 'no-cache');
+        $response->header('Expires', '0');
+        return $response;
+    }
+
+    /**
+     * Log an exception and create the error response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string       $method     The method that failed.
+     * @param    Throwable    $e          The exception.
+     * @param    string       $message    The message for the client.
+     * @return   WP_Error                 The error.
+     */
+    private function handle_error($method, $e, $message) {
+        error_log('Status Sentry Hooks: Error in ' . $method . ' - ' . $e->getMessage());
+        error_log('Status Sentry Hooks: Error type - ' . get_class($e));
+
+        return new WP_Error('status_sentry_hooks_error', $message, ['status' => 500]);
+    }
+}
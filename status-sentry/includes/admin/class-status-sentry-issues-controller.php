@@ -0,0 +1,379 @@
+<?php
+/**
+ * Issues REST API Controller
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+
+/**
+ * Issues REST API Controller
+ *
+ * This class handles the REST API endpoints for the Issues tab of the
+ * Events page: listing issues with their daily occurrences, changing their
+ * status, and rebuilding them from the stored events.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+class Status_Sentry_Issues_Controller extends WP_REST_Controller {
+
+    /**
+     * The namespace of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $namespace    The namespace of this controller's route.
+     */
+    protected $namespace = 'status-sentry/v1';
+
+    /**
+     * The base of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $rest_base    The base of this controller's route.
+     */
+    protected $rest_base = 'issues';
+
+    /**
+     * The number of days in each issue's sparkline.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      int    $sparkline_days    The number of days in each sparkline.
+     */
+    private $sparkline_days = 14;
+
+    /**
+     * The number of events grouped per rebuild request.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      int    $rebuild_batch_size    The number of events per rebuild request.
+     */
+    private $rebuild_batch_size = 500;
+
+    /**
+     * Register the routes for issues.
+     *
+     * @since    1.9.0
+     */
+    public function register_routes() {
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base,
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_items'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => $this->get_collection_params(),
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/status',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'update_status'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'ids' => [
+                            'description' => __('The IDs of the issues.', 'status-sentry-wp'),
+                            'type'        => 'array',
+                            'items'       => ['type' => 'integer'],
+                            'required'    => true,
+                        ],
+                        'status' => [
+                            'description' => __('The new status.', 'status-sentry-wp'),
+                            'type'        => 'string',
+                            'enum'        => Status_Sentry_Issues_Repository::STATUSES,
+                            'required'    => true,
+                        ],
+                    ],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/rebuild',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'rebuild'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'cursor' => [
+                            'description' => __('The cursor returned by the previous request, or 0 to start.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'default'     => 0,
+                            'minimum'     => 0,
+                        ],
+                    ],
+                ],
+            ]
+        );
+    }
+
+    /**
+     * Check if a given request has access to issues.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   bool|WP_Error
+     */
+    public function get_items_permissions_check($request) {
+        return current_user_can('manage_options');
+    }
+
+    /**
+     * Get the query params for the issues collection.
+     *
+     * @since    1.9.0
+     * @return   array    The query params.
+     */
+    public function get_collection_params() {
+        return [
+            'status' => [
+                'description' => __('Only list issues with this status.', 'status-sentry-wp'),
+                'type'        => 'string',
+                'enum'        => array_merge(Status_Sentry_Issues_Repository::STATUSES, ['all']),
+                'default'     => 'open',
+            ],
+            'event_type' => [
+                'description' => __('Only list issues of these event types.', 'status-sentry-wp'),
+                'type'        => 'array',
+                'items'       => [
+                    'type' => 'string',
+                    'enum' => ['info', 'warning', 'error', 'critical', 'performance', 'security', 'conflict', 'health'],
+                ],
+            ],
+            'search' => [
+                'description' => __('Text that must appear in the source, context or message.', 'status-sentry-wp'),
+                'type'        => 'string',
+            ],
+            'orderby' => [
+                'description' => __('Sort the issues by this column, newest or largest first.', 'status-sentry-wp'),
+                'type'        => 'string',
+                'enum'        => Status_Sentry_Issues_Repository::ORDERBY,
+                'default'     => 'last_seen',
+            ],
+            'page' => [
+                'description' => __('Current page of the collection.', 'status-sentry-wp'),
+                'type'        => 'integer',
+                'default'     => 1,
+                'minimum'     => 1,
+            ],
+            'per_page' => [
+                'description' => __('Maximum number of issues per page.', 'status-sentry-wp'),
+                'type'        => 'integer',
+                'default'     => 20,
+                'minimum'     => 1,
+                'maximum'     => 100,
+            ],
+        ];
+    }
+
+    /**
+     * Get a page of issues.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_items($request) {
+        try {
+            $repository = $this->get_issues_repository();
+            $filters = [
+                'event_type' => $request['event_type'],
+                'search' => $request['search'],
+            ];
+
+            if ($request['status'] !== 'all') {
+                $filters['status'] = $request['status'];
+            }
+
+            $per_page = (int) $request['per_page'];
+            $rows = $repository->query_issues($filters, $request['orderby'], ((int) $request['page'] - 1) * $per_page, $per_page);
+            $daily_counts = $repository->get_daily_counts(wp_list_pluck($rows, 'id'), $this->sparkline_days);
+            $counts = $repository->count_issues_by_status($filters);
+
+            $issues = [];
+            foreach ($rows as $row) {
+                $issues[] = $this->prepare_issue($row, $daily_counts[(int) $row->id] ?? []);
+            }
+
+            return $this->prepare_response([
+                'issues' => $issues,
+                'counts' => $counts,
+                'total' => $request['status'] === 'all' ? array_sum($counts) : $counts[$request['status']],
+                'page' => (int) $request['page'],
+                'per_page' => $per_page,
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_items', $e, __('Unable to load issues.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Change the status of issues.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function update_status($request) {
+        try {
+            $updated = $this->get_issues_repository()->update_status($request['ids'], $request['status']);
+
+            if ($updated === false) {
+                return new WP_Error(
+                    'status_sentry_issues_update_failed',
+                    __('Unable to update the issues.', 'status-sentry-wp'),
+                    ['status' => 500]
+                );
+            }
+
+            return $this->prepare_response(['updated' => $updated]);
+        } catch (Throwable $e) {
+            return $this->handle_error('update_status', $e, __('Unable to update the issues.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Rebuild the issues from a batch of stored events.
+     *
+     * Issues are recorded as events are stored, so events stored before
+     * issues existed, or deleted since, are only reflected after a
+     * rebuild. The client repeats the request with the returned cursor
+     * until it is null. Only the event types that become issues are read.
+     * Statuses are kept, and rebuilt events don't reopen resolved issues.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function rebuild($request) {
+        try {
+            $repository = $this->get_issues_repository();
+            $cursor = (int) $request['cursor'];
+
+            if ($cursor === 0) {
+                $repository->reset_counts();
+            }
+
+            require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-monitoring-events-repository.php';
+            $events_repository = new Status_Sentry_Monitoring_Events_Repository();
+            $filters = ['event_type' => Status_Sentry_Issues_Repository::get_event_types()];
+            $page = $events_repository->query_events($filters, $cursor, $this->rebuild_batch_size);
+
+            foreach ($page['events'] as $event) {
+                $repository->record_occurrence($event, false);
+            }
+
+            $deleted = $page['next_cursor'] === null ? $repository->delete_empty_issues() : 0;
+
+            return $this->prepare_response([
+                'processed' => count($page['events']),
+                'next_cursor' => $page['next_cursor'],
+                'total' => $cursor === 0 ? $events_repository->count_events($filters) : null,
+                'deleted' => $deleted,
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('rebuild', $e, __('Unable to rebuild the issues.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Prepare an issue for the response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    object    $issue          The issue row.
+     * @param    array     $daily_counts   The issue's events per day, keyed by date.
+     * @return   array                     The prepared issue.
+     */
+    private function prepare_issue($issue, $daily_counts) {
+        $first_seen = $issue->first_seen ? strtotime($issue->first_seen . ' UTC') : 0;
+        $last_seen = $issue->last_seen ? strtotime($issue->last_seen . ' UTC') : 0;
+
+        return [
+            'id' => (int) $issue->id,
+            'fingerprint' => $issue->fingerprint,
+            'event_type' => $issue->event_type,
+            'source' => $issue->source,
+            'context' => $issue->context,
+            'message' => $issue->message,
+            'status' => $issue->status,
+            'occurrences' => (int) $issue->occurrences,
+            'first_seen' => $issue->first_seen,
+            'first_seen_ago' => $first_seen ? human_time_diff($first_seen, time()) . ' ago' : '',
+            'last_seen' => $issue->last_seen,
+            'last_seen_ago' => $last_seen ? human_time_diff($last_seen, time()) . ' ago' : '',
+            'reopened_at' => $issue->reopened_at,
+            'last_event_id' => (int) $issue->last_event_id,
+            'last_event_url' => $issue->last_event_id ? add_query_arg([
+                'page' => 'status-sentry-events',
+                'event' => 'mon-' . $issue->last_event_id,
+            ], admin_url('admin.php')) : null,
+            'daily_counts' => array_values($daily_counts),
+        ];
+    }
+
+    /**
+     * Add no-cache headers to a response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    mixed    $data    The response data.
+     * @return   WP_REST_Response  The response.
+     */
+    private function prepare_response($data) {
+        $response = rest_ensure_response($data);
+        $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+        $response->header('Pragma', 'no-cache');
+        $response->header('Expires', '0');
+        return $response;
+    }
+
+    /**
+     * Log an exception and create the error response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string       $method     The method that failed.
+     * @param    Throwable    $e          The exception.
+     * @param    string       $message    The message for the client.
+     * @return   WP_Error                 The error.
+     */
+    private function handle_error($method, $e, $message) {
+        error_log('Status Sentry Issues: Error in ' . $method . ' - ' . $e->getMessage());
+        error_log('Status Sentry Issues: Error type - ' . get_class($e));
+
+        return new WP_Error('status_sentry_issues_error', $message, ['status' => 500]);
+    }
+
+    /**
+     * Get the issues repository.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   Status_Sentry_Issues_Repository    The issues repository.
+     */
+    private function get_issues_repository() {
+        static $repository = null;
+
+        if ($repository === null) {
+            $repository = new Status_Sentry_Issues_Repository();
+        }
+
+        return $repository;
+    }
+}
@@ -0,0 +1,459 @@
+<?php
+/**
+ * Plugin Overhead REST API Controller
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+
+/**
+ * Plugin Overhead REST API Controller
+ *
+ * This class handles the REST API endpoints for the Plugin Overhead page:
+ * the task runs the self-monitor recorded, each task's duration and memory
+ * percentiles, and the time Status Sentry's tasks took over time. Failed
+ * runs link to the error event the scheduler emitted for them.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+class Status_Sentry_Overhead_Controller extends WP_REST_Controller {
+
+    /**
+     * The namespace of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $namespace    The namespace of this controller's route.
+     */
+    protected $namespace = 'status-sentry/v1';
+
+    /**
+     * The base of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $rest_base    The base of this controller's route.
+     */
+    protected $rest_base = 'overhead';
+
+    /**
+     * The time ranges, with their length and the size of each chart bucket in seconds.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      array    $ranges    The ranges keyed by name.
+     */
+    private $ranges = [
+        '24h' => ['length' => DAY_IN_SECONDS, 'bucket' => HOUR_IN_SECONDS],
+        '7d' => ['length' => 7 * DAY_IN_SECONDS, 'bucket' => 6 * HOUR_IN_SECONDS],
+        '30d' => ['length' => 30 * DAY_IN_SECONDS, 'bucket' => DAY_IN_SECONDS],
+    ];
+
+    /**
+     * The maximum number of runs the percentiles and chart are computed from.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      int    $summary_limit    The maximum number of runs.
+     */
+    private $summary_limit = 5000;
+
+    /**
+     * Register the routes for the Plugin Overhead page.
+     *
+     * @since    1.9.0
+     */
+    public function register_routes() {
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/runs',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_runs'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => array_merge($this->get_filter_params(), [
+                        'page' => [
+                            'description' => __('Current page of the collection.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'default'     => 1,
+                            'minimum'     => 1,
+                        ],
+                        'per_page' => [
+                            'description' => __('Maximum number of task runs per page.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'default'     => 20,
+                            'minimum'     => 1,
+                            'maximum'     => 100,
+                        ],
+                    ]),
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/summary',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_summary'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => $this->get_filter_params(),
+                ],
+            ]
+        );
+    }
+
+    /**
+     * Check if a given request has access to the task runs.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   bool
+     */
+    public function get_items_permissions_check($request) {
+        return current_user_can('manage_options');
+    }
+
+    /**
+     * Get the params that filter the task runs.
+     *
+     * @since    1.9.0
+     * @return   array    The params.
+     */
+    public function get_filter_params() {
+        return [
+            'task_name' => [
+                'description' => __('Only include runs of this task.', 'status-sentry-wp'),
+                'type'        => 'string',
+            ],
+            'tier' => [
+                'description' => __('Only include runs of tasks in this tier.', 'status-sentry-wp'),
+                'type'        => 'string',
+            ],
+            'status' => [
+                'description' => __('Only include runs with this status.', 'status-sentry-wp'),
+                'type'        => 'string',
+                'enum'        => Status_Sentry_Task_Runs_Repository::STATUSES,
+            ],
+            'range' => [
+                'description' => __('Only include runs that started in this time range, ending now.', 'status-sentry-wp'),
+                'type'        => 'string',
+                'enum'        => array_keys($this->ranges),
+                'default'     => '7d',
+            ],
+        ];
+    }
+
+    /**
+     * Get a page of task runs.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_runs($request) {
+        try {
+            $repository = $this->get_repository();
+            $filters = $this->get_filters($request);
+            $per_page = (int) $request['per_page'];
+
+            $runs = [];
+            foreach ($repository->query_runs($filters, ((int) $request['page'] - 1) * $per_page, $per_page) as $row) {
+                $runs[] = $this->prepare_run($row);
+            }
+
+            return $this->prepare_response([
+                'runs' => $runs,
+                'total' => $repository->count_runs($filters),
+                'page' => (int) $request['page'],
+                'per_page' => $per_page,
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_runs', $e, __('Unable to load task runs.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Get each task's percentiles and the overhead over time.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_summary($request) {
+        try {
+            $repository = $this->get_repository();
+            $filters = $this->get_filters($request);
+            $range = $this->ranges[$request['range']];
+            $rows = $repository->get_finished_runs($filters, $this->summary_limit);
+
+            $runs_by_task = [];
+            foreach ($rows as $row) {
+                $runs_by_task[$row->task_name][] = $row;
+            }
+
+            $tasks = [];
+            foreach ($runs_by_task as $task_name => $task_rows) {
+                $tasks[] = $this->prepare_task($task_name, $task_rows);
+            }
+
+            // The tasks that take the most time first
+            usort($tasks, function($a, $b) {
+                return $b['total_duration'] <=> $a['total_duration'];
+            });
+
+            return $this->prepare_response([
+                'tasks' => $tasks,
+                'series' => $this->prepare_series($rows, $range['length'], $range['bucket']),
+                'task_names' => $repository->get_task_names(),
+                'tiers' => array_keys(Status_Sentry_Resource_Manager::get_instance()->get_config()['budgets']),
+                'statuses' => Status_Sentry_Task_Runs_Repository::STATUSES,
+                'truncated' => count($rows) >= $this->summary_limit,
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_summary', $e, __('Unable to load the plugin overhead.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Get the repository filters for a request.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    WP_REST_Request    $request    The request.
+     * @return   array                          The filters.
+     */
+    private function get_filters($request) {
+        return [
+            'task_name' => $request['task_name'],
+            'tier' => $request['tier'],
+            'status' => $request['status'],
+            'date_from' => gmdate('Y-m-d H:i:s', time() - $this->ranges[$request['range']]['length']),
+        ];
+    }
+
+    /**
+     * Prepare a task run for the response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    object    $run    The task run row.
+     * @return   array             The prepared run, with UTC times.
+     */
+    private function prepare_run($run) {
+        $finished = !empty($run->end_time);
+
+        return [
+            'id' => (int) $run->id,
+            'task_name' => $run->task_name,
+            'tier' => $run->tier,
+            'status' => $run->status,
+            'start_time' => get_gmt_from_date($run->start_time),
+            'end_time' => $finished ? get_gmt_from_date($run->end_time) : null,
+            'duration' => $finished ? (float) $run->duration : null,
+            'memory_used' => $finished && $run->memory_peak !== null ? max(0, (int) $run->memory_peak - (int) $run->memory_start) : null,
+            'error_message' => $run->error_message,
+            'error_event_url' => $run->status === 'failed' && $finished ? $this->get_error_event_url($run) : null,
+        ];
+    }
+
+    /**
+     * Prepare a task's run count, failures and percentiles.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string    $task_name    The task name.
+     * @param    array     $rows         The task's finished runs.
+     * @return   array                   The task summary.
+     */
+    private function prepare_task($task_name, $rows) {
+        $durations = array_map('floatval', wp_list_pluck($rows, 'duration'));
+        $memory = array_map('intval', wp_list_pluck($rows, 'memory_used'));
+        sort($durations);
+        sort($memory);
+
+        return [
+            'task_name' => $task_name,
+            'tiers' => array_values(array_unique(wp_list_pluck($rows, 'tier'))),
+            'runs' => count($rows),
+            'failed' => count(wp_list_filter($rows, ['status' => 'failed'])),
+            'total_duration' => array_sum($durations),
+            'duration' => $this->get_percentiles($durations),
+            'memory' => $this->get_percentiles($memory),
+        ];
+    }
+
+    /**
+     * Get the 50th, 90th and 99th percentiles and the maximum of sorted values.
+     *
+     * Uses the nearest-rank method, so each percentile is one of the values.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array    $values    The values, sorted in ascending order.
+     * @return   array               The percentiles keyed p50, p90, p99 and max.
+     */
+    private function get_percentiles($values) {
+        $percentiles = [];
+        $count = count($values);
+
+        foreach ([50, 90, 99] as $percentile) {
+            $percentiles['p' . $percentile] = $count ? $values[max(0, (int) ceil($percentile / 100 * $count) - 1)] : null;
+        }
+        $percentiles['max'] = $count ? $values[$count - 1] : null;
+
+        return $percentiles;
+    }
+
+    /**
+     * Prepare the overhead over time: the runs, failures, total duration and
+     * largest memory use per bucket.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array    $rows      The finished runs.
+     * @param    int      $length    The length of the range in seconds, ending now.
+     * @param    int      $bucket    The size of each bucket in seconds.
+     * @return   array               The bucket size and the buckets, oldest first, with UTC start times.
+     */
+    private function prepare_series($rows, $length, $bucket) {
+        $now = time();
+        $first = (int) (floor(($now - $length) / $bucket) * $bucket);
+
+        $buckets = [];
+        for ($time = $first; $time <= $now; $time += $bucket) {
+            $buckets[$time] = [
+                'time' => gmdate('Y-m-d H:i:s', $time),
+                'runs' => 0,
+                'failed' => 0,
+                'duration' => 0,
+                'memory' => 0,
+            ];
+        }
+
+        foreach ($rows as $row) {
+            $start = strtotime(get_gmt_from_date($row->start_time) . ' UTC');
+            $time = (int) (floor($start / $bucket) * $bucket);
+
+            if (!isset($buckets[$time])) {
+                continue;
+            }
+
+            $buckets[$time]['runs']++;
+            $buckets[$time]['failed'] += $row->status === 'failed' ? 1 : 0;
+            $buckets[$time]['duration'] += (float) $row->duration;
+            $buckets[$time]['memory'] = max($buckets[$time]['memory'], (int) $row->memory_used);
+        }
+
+        return [
+            'bucket_seconds' => $bucket,
+            'buckets' => array_values($buckets),
+        ];
+    }
+
+    /**
+     * Get the Events page URL of the error event the scheduler emitted for a failed run.
+     *
+     * The event is matched by its message and emitted as the run ends.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    object    $run    The failed task run row.
+     * @return   string|null       The URL, or null if the event wasn't stored.
+     */
+    private function get_error_event_url($run) {
+        $end_time = strtotime(get_gmt_from_date($run->end_time) . ' UTC');
+
+        $page = $this->get_events_repository()->query_events([
+            'event_type' => ['error'],
+            'fingerprint' => (object) [
+                'source' => 'scheduler',
+                'context' => 'task_end',
+                'message' => sprintf('Task %s ended with status %s', $run->task_name, 'failed'),
+            ],
+            'date_from' => gmdate('Y-m-d H:i:s', $end_time - MINUTE_IN_SECONDS),
+            'date_to' => gmdate('Y-m-d H:i:s', $end_time + 5 * MINUTE_IN_SECONDS),
+        ], 0, 1);
+
+        if (empty($page['events'])) {
+            return null;
+        }
+
+        return add_query_arg([
+            'page' => 'status-sentry-events',
+            'event' => 'mon-' . $page['events'][0]->id,
+        ], admin_url('admin.php'));
+    }
+
+    /**
+     * Add no-cache headers to a response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    mixed    $data    The response data.
+     * @return   WP_REST_Response  The response.
+     */
+    private function prepare_response($data) {
+        $response = rest_ensure_response($data);
+        $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+        $response->header('Pragma', 'no-cache');
+        $response->header('Expires', '0');
+        return $response;
+    }
+
+    /**
+     * Log an exception and create the error response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string       $method     The method that failed.
+     * @param    Throwable    $e          The exception.
+     * @param    string       $message    The message for the client.
+     * @return   WP_Error                 The error.
+     */
+    private function handle_error($method, $e, $message) {
+        error_log('Status Sentry Overhead: Error in ' . $method . ' - ' . $e->getMessage());
+        error_log('Status Sentry Overhead: Error type - ' . get_class($e));
+
+        return new WP_Error('status_sentry_overhead_error', $message, ['status' => 500]);
+    }
+
+    /**
+     * Get the task runs repository.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   Status_Sentry_Task_Runs_Repository    The task runs repository.
+     */
+    private function get_repository() {
+        static $repository = null;
+
+        if ($repository === null) {
+            $repository = new Status_Sentry_Task_Runs_Repository();
+        }
+
+        return $repository;
+    }
+
+    /**
+     * Get the monitoring events repository.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   Status_Sentry_Monitoring_Events_Repository    The monitoring events repository.
+     */
+    private function get_events_repository() {
+        static $repository = null;
+
+        if ($repository === null) {
+            $repository = new Status_Sentry_Monitoring_Events_Repository();
+        }
+
+        return $repository;
+    }
+}
@@ -0,0 +1,430 @@
+<?php
+/**
+ * Queue REST API Controller
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+
+/**
+ * Queue REST API Controller
+ *
+ * This class handles the REST API endpoints for the dashboard's queue
+ * panel: the event queue's backlog and throughput, the failed events with
+ * the reasons they failed, and retrying failed events, processing a batch
+ * now and purging old events.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+class Status_Sentry_Queue_Controller extends WP_REST_Controller {
+
+    /**
+     * The namespace of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $namespace    The namespace of this controller's route.
+     */
+    protected $namespace = 'status-sentry/v1';
+
+    /**
+     * The base of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $rest_base    The base of this controller's route.
+     */
+    protected $rest_base = 'queue';
+
+    /**
+     * The number of hours the throughput covers.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      int    $throughput_hours    The number of hours.
+     */
+    private $throughput_hours = 24;
+
+    /**
+     * Register the routes for the queue.
+     *
+     * @since    1.9.0
+     */
+    public function register_routes() {
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base,
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_items'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/failed',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_failed'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'page' => [
+                            'description' => __('Current page of the collection.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'default'     => 1,
+                            'minimum'     => 1,
+                        ],
+                        'per_page' => [
+                            'description' => __('Maximum number of failed events per page.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'default'     => 10,
+                            'minimum'     => 1,
+                            'maximum'     => 100,
+                        ],
+                    ],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/retry',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'retry_failed'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'ids' => [
+                            'description' => __('The failed events to retry. All failed events when left out.', 'status-sentry-wp'),
+                            'type'        => 'array',
+                            'items'       => [
+                                'type'    => 'integer',
+                                'minimum' => 1,
+                            ],
+                        ],
+                    ],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/process',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'process_batch'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'batch_size' => [
+                            'description' => __('The maximum number of pending events to process.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'default'     => 100,
+                            'minimum'     => 1,
+                            'maximum'     => 500,
+                        ],
+                    ],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/purge',
+            [
+                [
+                    'methods'             => WP_REST_Server::CREATABLE,
+                    'callback'            => [$this, 'purge'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'status' => [
+                            'description' => __('The status of the events to delete.', 'status-sentry-wp'),
+                            'type'        => 'string',
+                            'enum'        => ['processed', 'failed'],
+                            'required'    => true,
+                        ],
+                        'age' => [
+                            'description' => __('Only delete events queued at least this many seconds ago.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'minimum'     => 1,
+                            'required'    => true,
+                        ],
+                    ],
+                ],
+            ]
+        );
+    }
+
+    /**
+     * Check if a given request has access to the queue.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   bool
+     */
+    public function get_items_permissions_check($request) {
+        return current_user_can('manage_options');
+    }
+
+    /**
+     * Get the queue's backlog, throughput and processing schedule.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_items($request) {
+        try {
+            return $this->prepare_response($this->prepare_status());
+        } catch (Throwable $e) {
+            return $this->handle_error('get_items', $e, __('Unable to load the event queue.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Get a page of failed events with the reasons they failed.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_failed($request) {
+        try {
+            $queue = $this->get_queue();
+            $per_page = (int) $request['per_page'];
+
+            $events = [];
+            foreach ($queue->get_failed_events($per_page, ((int) $request['page'] - 1) * $per_page) as $event) {
+                $events[] = [
+                    'id' => (int) $event['id'],
+                    'feature' => $event['feature'],
+                    'hook' => $event['hook'],
+                    'created_at' => get_gmt_from_date($event['created_at']),
+                    'failed_at' => $event['processed_at'] ? get_gmt_from_date($event['processed_at']) : null,
+                    'error_message' => $event['error_message'],
+                ];
+            }
+
+            return $this->prepare_response([
+                'events' => $events,
+                'total' => $queue->get_status_counts()['failed'],
+                'page' => (int) $request['page'],
+                'per_page' => $per_page,
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_failed', $e, __('Unable to load the failed events.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Queue failed events for processing again.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function retry_failed($request) {
+        try {
+            $retried = $this->get_queue()->retry_failed_events((array) $request['ids']);
+
+            return $this->prepare_response([
+                'retried' => $retried,
+                'queue' => $this->prepare_status(),
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('retry_failed', $e, __('Unable to retry the failed events.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Process a batch of pending events now, without waiting for cron.
+     *
+     * The event processor stops early when it runs short of time or memory.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function process_batch($request) {
+        try {
+            $queue = $this->get_queue();
+            $failed_before = $queue->get_status_counts()['failed'];
+
+            $processor = new Status_Sentry_Event_Processor();
+            $result = $processor->process_events((int) $request['batch_size']);
+
+            $stopped_early = is_array($result) && !empty($result['_save_state']);
+            $status = $this->prepare_status();
+
+            return $this->prepare_response([
+                'processed' => (int) (is_array($result) ? ($result['_result'] ?? 0) : $result),
+                'failed' => max(0, $status['counts']['failed'] - $failed_before),
+                'stopped_early' => $stopped_early,
+                'queue' => $status,
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('process_batch', $e, __('Unable to process the event queue.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Delete processed or failed events queued before a given age.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function purge($request) {
+        try {
+            $deleted = $this->get_queue()->delete_events($request['status'], (int) $request['age']);
+
+            return $this->prepare_response([
+                'deleted' => $deleted,
+                'queue' => $this->prepare_status(),
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('purge', $e, __('Unable to purge the event queue.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Prepare the queue's counts, oldest pending event, throughput and schedule.
+     *
+     * The queue counts as stalled when its oldest pending event has waited
+     * longer than the stall age, or when the processing cron is overdue by
+     * as long: both mean cron isn't draining the queue.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   array    The queue status, with UTC times.
+     */
+    private function prepare_status() {
+        $queue = $this->get_queue();
+        $now = time();
+
+        /**
+         * Filter how long pending events may wait before the queue counts as stalled.
+         *
+         * @since 1.9.0
+         * @param int $stall_age The age in seconds. Default 30 minutes.
+         */
+        $stall_age = (int) apply_filters('status_sentry_queue_stall_age', 30 * MINUTE_IN_SECONDS);
+
+        $oldest_pending = $queue->get_oldest_pending_time();
+        $oldest_pending_age = null;
+        if ($oldest_pending !== null) {
+            $oldest_pending = get_gmt_from_date($oldest_pending);
+            $oldest_pending_age = max(0, $now - strtotime($oldest_pending . ' UTC'));
+        }
+
+        $next_run = wp_next_scheduled('status_sentry_process_queue');
+
+        return [
+            'counts' => $queue->get_status_counts(),
+            'oldest_pending' => $oldest_pending,
+            'oldest_pending_age' => $oldest_pending_age,
+            'throughput' => $this->prepare_throughput($queue->get_throughput($this->throughput_hours)),
+            'next_run' => $next_run ? gmdate('Y-m-d H:i:s', $next_run) : null,
+            'stalled' => ($oldest_pending_age !== null && $oldest_pending_age > $stall_age) ||
+                ($next_run && $now - $next_run > $stall_age),
+            'stall_age' => $stall_age,
+        ];
+    }
+
+    /**
+     * Prepare the hourly throughput, with a bucket for every hour.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array|null    $rows    The queue's hourly counts by status, or null when
+     *                                  processing times aren't stored.
+     * @return   array|null             The hourly buckets, oldest first, with UTC start times,
+     *                                  and the number processed in the last hour.
+     */
+    private function prepare_throughput($rows) {
+        if ($rows === null) {
+            return null;
+        }
+
+        $buckets = [];
+        $current_hour = (int) (floor(time() / HOUR_IN_SECONDS) * HOUR_IN_SECONDS);
+        for ($i = $this->throughput_hours - 1; $i >= 0; $i--) {
+            $time = gmdate('Y-m-d H:i:s', $current_hour - $i * HOUR_IN_SECONDS);
+            $buckets[$time] = ['time' => $time, 'processed' => 0, 'failed' => 0];
+        }
+
+        foreach ($rows as $row) {
+            // Hours in time zones with a partial-hour offset fall into the UTC hour they start in
+            $time = gmdate('Y-m-d H:00:00', strtotime(get_gmt_from_date($row['hour']) . ' UTC'));
+            if (isset($buckets[$time], $buckets[$time][$row['status']])) {
+                $buckets[$time][$row['status']] += (int) $row['count'];
+            }
+        }
+
+        $buckets = array_values($buckets);
+
+        return [
+            'buckets' => $buckets,
+            'last_hour' => $buckets[count($buckets) - 1]['processed'],
+            'total' => array_sum(wp_list_pluck($buckets, 'processed')),
+        ];
+    }
+
+    /**
+     * Add no-cache headers to a response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    mixed    $data    The response data.
+     * @return   WP_REST_Response  The response.
+     */
+    private function prepare_response($data) {
+        $response = rest_ensure_response($data);
+        $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+        $response->header('Pragma', 'no-cache');
+        $response->header('Expires', '0');
+        return $response;
+    }
+
+    /**
+     * Log an exception and create the error response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string       $method     The method that failed.
+     * @param    Throwable    $e          The exception.
+     * @param    string       $message    The message for the client.
+     * @return   WP_Error                 The error.
+     */
+    private function handle_error($method, $e, $message) {
+        error_log('Status Sentry Queue: Error in ' . $method . ' - ' . $e->getMessage());
+        error_log('Status Sentry Queue: Error type - ' . get_class($e));
+
+        return new WP_Error('status_sentry_queue_error', $message, ['status' => 500]);
+    }
+
+    /**
+     * Get the event queue.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   Status_Sentry_Event_Queue    The event queue.
+     */
+    private function get_queue() {
+        static $queue = null;
+
+        if ($queue === null) {
+            $queue = new Status_Sentry_Event_Queue();
+        }
+
+        return $queue;
+    }
+}
@@ -0,0 +1,306 @@
+<?php
+/**
+ * Recommendations Class
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+
+/**
+ * Recommendations Class
+ *
+ * This class builds the dashboard recommendations from the event counts
+ * and resource status. Each recommendation has a stable ID, a severity, a
+ * rationale with the metrics that triggered it and, where there is one, a
+ * one-click fix that changes a setting.
+ *
+ * Users can dismiss a recommendation or snooze it for a while. That state
+ * is kept per user in user meta, so one administrator dismissing a
+ * recommendation doesn't hide it from the others.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+class Status_Sentry_Recommendations {
+
+    /**
+     * The user meta key holding the dismissed and snoozed recommendations.
+     *
+     * @since    1.9.0
+     * @var      string
+     */
+    const USER_META = 'status_sentry_recommendation_states';
+
+    /**
+     * The one-click fixes, keyed by fix ID: the setting each changes and its new value.
+     *
+     * @since    1.9.0
+     * @var      array
+     */
+    const FIXES = [
+        'lower_memory_threshold' => ['setting' => 'memory_threshold', 'value' => 70],
+    ];
+
+    /**
+     * Build the recommendations.
+     *
+     * @since    1.9.0
+     * @param    array    $event_counts       The event counts keyed by feature.
+     * @param    array    $resource_status    The resource status.
+     * @return   array                        The recommendations, most severe first.
+     */
+    public function generate($event_counts, $resource_status) {
+        $settings = $this->get_settings();
+        $recommendations = [];
+
+        // Check memory usage
+        if (isset($resource_status['memory_usage_percent']) && $resource_status['memory_usage_percent'] > 80) {
+            $can_lower_threshold = (int) $settings['memory_threshold'] > self::FIXES['lower_memory_threshold']['value'];
+
+            $recommendations[] = [
+                'id' => 'memory_high',
+                'type' => 'warning',
+                'message' => 'Memory usage is high. Consider increasing PHP memory limit or optimizing your site.',
+                'action' => 'Adjust memory settings in the Performance tab of the Settings page.',
+                'rationale' => sprintf(
+                    'Memory use is %s%% of the PHP memory limit, above the 80%% warning level. Garbage collection runs from %d%%.',
+                    round($resource_status['memory_usage_percent'], 1),
+                    (int) $settings['memory_threshold']
+                ),
+                'metrics' => [
+                    ['label' => 'Memory usage', 'value' => round($resource_status['memory_usage_percent'], 1), 'threshold' => 80, 'unit' => '%'],
+                    ['label' => 'GC threshold', 'value' => (int) $settings['memory_threshold'], 'threshold' => null, 'unit' => '%'],
+                ],
+                'fix' => $can_lower_threshold ? [
+                    'id' => 'lower_memory_threshold',
+                    'label' => sprintf('Run garbage collection from %d%%', self::FIXES['lower_memory_threshold']['value']),
+                ] : null,
+            ];
+        }
+
+        // Check CPU load
+        if (isset($resource_status['cpu_load']) && $resource_status['cpu_load'] > 70) {
+            $recommendations[] = [
+                'id' => 'cpu_high',
+                'type' => 'warning',
+                'message' => 'CPU load is high. Your server may be overloaded.',
+                'action' => 'Consider upgrading your hosting or optimizing resource-intensive tasks.',
+                'rationale' => sprintf('CPU load is %s%%, above the 70%% warning level.', round($resource_status['cpu_load'], 1)),
+                'metrics' => [
+                    ['label' => 'CPU load', 'value' => round($resource_status['cpu_load'], 1), 'threshold' => 70, 'unit' => '%'],
+                ],
+            ];
+        }
+
+        // Check conflict detection events
+        if (isset($event_counts['conflict_detection']) && $event_counts['conflict_detection'] > 10) {
+            $recommendations[] = [
+                'id' => 'conflicts',
+                'type' => 'error',
+                'message' => 'Multiple plugin conflicts detected.',
+                'action' => 'Review the Events page for details on the conflicts.',
+                'rationale' => sprintf('%d conflict events have not been acknowledged, more than the 10 that trigger this recommendation.', $event_counts['conflict_detection']),
+                'metrics' => [
+                    ['label' => 'Open conflict events', 'value' => (int) $event_counts['conflict_detection'], 'threshold' => 10, 'unit' => ''],
+                ],
+                'url' => $this->get_latest_event_url('conflict'),
+            ];
+        }
+
+        // Check performance monitoring events
+        if (isset($event_counts['performance_monitoring']) && $event_counts['performance_monitoring'] > 20) {
+            $recommendations[] = [
+                'id' => 'performance',
+                'type' => 'warning',
+                'message' => 'Performance issues detected.',
+                'action' => 'Review the Events page for details on performance issues.',
+                'rationale' => sprintf('%d performance events were recorded, more than the 20 that trigger this recommendation.', $event_counts['performance_monitoring']),
+                'metrics' => [
+                    ['label' => 'Performance events', 'value' => (int) $event_counts['performance_monitoring'], 'threshold' => 20, 'unit' => ''],
+                ],
+                'url' => $this->get_latest_event_url('performance'),
+            ];
+        }
+
+        // If no recommendations, add a success message
+        if (empty($recommendations)) {
+            $recommendations[] = [
+                'id' => 'all_good',
+                'type' => 'success',
+                'message' => 'Your site is running smoothly.',
+                'action' => 'Continue monitoring for optimal performance.',
+                'rationale' => 'Memory use, CPU load and the number of conflict and performance events are all below their warning levels.',
+                'metrics' => [],
+            ];
+        }
+
+        $severity = ['error' => 0, 'warning' => 1, 'info' => 2, 'success' => 3];
+        usort($recommendations, function($a, $b) use ($severity) {
+            return $severity[$a['type']] <=> $severity[$b['type']];
+        });
+
+        return array_map(function($recommendation) {
+            return array_merge(['url' => null, 'fix' => null], $recommendation);
+        }, $recommendations);
+    }
+
+    /**
+     * Split recommendations into the ones a user sees and the ones they put aside.
+     *
+     * Expired snoozes are dropped from the user's state.
+     *
+     * @since    1.9.0
+     * @param    array    $recommendations    The recommendations.
+     * @param    int      $user_id            The user ID.
+     * @return   array                        The visible recommendations, and the dismissed or
+     *                                        snoozed ones with their state and snooze end.
+     */
+    public function filter_for_user($recommendations, $user_id) {
+        $states = $this->get_user_states($user_id);
+        $visible = [];
+        $hidden = [];
+
+        foreach ($recommendations as $recommendation) {
+            $state = $states[$recommendation['id'] ?? ''] ?? null;
+
+            if ($state === null) {
+                $visible[] = $recommendation;
+                continue;
+            }
+
+            $hidden[] = array_merge($recommendation, [
+                'state' => $state['until'] ? 'snoozed' : 'dismissed',
+                'until' => $state['until'] ? gmdate('Y-m-d H:i:s', $state['until']) : null,
+            ]);
+        }
+
+        return [
+            'visible' => $visible,
+            'hidden' => $hidden,
+        ];
+    }
+
+    /**
+     * Dismiss or snooze a recommendation for a user.
+     *
+     * @since    1.9.0
+     * @param    int       $user_id    The user ID.
+     * @param    string    $id         The recommendation ID.
+     * @param    int       $hours      The number of hours to snooze for, or 0 to dismiss it for good.
+     * @return   int|null              The UTC timestamp the snooze ends, or null when dismissed.
+     */
+    public function dismiss($user_id, $id, $hours = 0) {
+        $states = $this->get_user_states($user_id);
+        $until = $hours > 0 ? time() + $hours * HOUR_IN_SECONDS : null;
+
+        $states[$id] = ['until' => $until];
+        update_user_meta($user_id, self::USER_META, $states);
+
+        return $until;
+    }
+
+    /**
+     * Show a dismissed or snoozed recommendation to a user again.
+     *
+     * @since    1.9.0
+     * @param    int       $user_id    The user ID.
+     * @param    string    $id         The recommendation ID.
+     */
+    public function restore($user_id, $id) {
+        $states = $this->get_user_states($user_id);
+        unset($states[$id]);
+        update_user_meta($user_id, self::USER_META, $states);
+    }
+
+    /**
+     * Apply a one-click fix.
+     *
+     * @since    1.9.0
+     * @param    string    $fix    A key of FIXES.
+     * @return   array             The setting changed, its old value and its new value.
+     */
+    public function apply_fix($fix) {
+        $change = self::FIXES[$fix];
+        $settings = get_option('status_sentry_settings', []);
+        $old_value = $this->get_settings()[$change['setting']];
+
+        $settings[$change['setting']] = $change['value'];
+        update_option('status_sentry_settings', $settings);
+
+        // The settings no longer match a preset
+        update_option('status_sentry_preset', 'custom');
+
+        // Rebuild the recommendations with the new setting
+        delete_transient('status_sentry_dashboard_overview');
+
+        return [
+            'setting' => $change['setting'],
+            'old_value' => $old_value,
+            'value' => $change['value'],
+        ];
+    }
+
+    /**
+     * Get a user's dismissed and snoozed recommendations.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    int      $user_id    The user ID.
+     * @return   array                The states keyed by recommendation ID; 'until' is the UTC
+     *                                timestamp a snooze ends, or null for a dismissal.
+     */
+    private function get_user_states($user_id) {
+        $states = get_user_meta($user_id, self::USER_META, true);
+
+        if (!is_array($states)) {
+            return [];
+        }
+
+        return array_filter($states, function($state) {
+            return is_array($state) && (empty($state['until']) || $state['until'] > time());
+        });
+    }
+
+    /**
+     * Get the settings the recommendations depend on.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   array    The settings, with the Settings page defaults.
+     */
+    private function get_settings() {
+        return wp_parse_args(get_option('status_sentry_settings', []), [
+            'memory_threshold' => 80,
+        ]);
+    }
+
+    /**
+     * Get the Events page URL showing the latest event of a type.
+     *
+     * The page lists the events of the type and opens the latest one in
+     * the event viewer.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string    $event_type    The monitoring event type.
+     * @return   string                   The URL.
+     */
+    private function get_latest_event_url($event_type) {
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-monitoring-events-repository.php';
+
+        $args = [
+            'page' => 'status-sentry-events',
+            'event_type' => $event_type,
+        ];
+
+        $repository = new Status_Sentry_Monitoring_Events_Repository();
+        $page = $repository->query_events(['event_type' => [$event_type]], 0, 1);
+        if (!empty($page['events'])) {
+            $args['event'] = 'mon-' . $page['events'][0]->id;
+        }
+
+        return add_query_arg($args, admin_url('admin.php'));
+    }
+}
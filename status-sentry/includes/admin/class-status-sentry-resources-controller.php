@@ -0,0 +1,386 @@
+<?php
+/**
+ * Resources REST API Controller
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+
+/**
+ * Resources REST API Controller
+ *
+ * This class handles the REST API endpoints for the dashboard's resource
+ * panel: each tier's budget next to what recent task runs actually used,
+ * the latest garbage collection runs, live CPU and system load samples,
+ * and changing the budgets and thresholds through the resource manager.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+class Status_Sentry_Resources_Controller extends WP_REST_Controller {
+
+    /**
+     * The namespace of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $namespace    The namespace of this controller's route.
+     */
+    protected $namespace = 'status-sentry/v1';
+
+    /**
+     * The base of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $rest_base    The base of this controller's route.
+     */
+    protected $rest_base = 'resources';
+
+    /**
+     * Register the routes for resources.
+     *
+     * @since    1.9.0
+     */
+    public function register_routes() {
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base,
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_items'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'runs' => [
+                            'description' => __('The number of recent task runs per tier.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'minimum'     => 1,
+                            'maximum'     => 100,
+                            'default'     => 20,
+                        ],
+                        'gc_runs' => [
+                            'description' => __('The number of recent garbage collection runs.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'minimum'     => 1,
+                            'maximum'     => 50,
+                            'default'     => 10,
+                        ],
+                    ],
+                ],
+                [
+                    'methods'             => WP_REST_Server::EDITABLE,
+                    'callback'            => [$this, 'update_item'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => $this->get_config_params(),
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/load',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_load'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                ],
+            ]
+        );
+    }
+
+    /**
+     * Check if a given request has access to resources.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   bool
+     */
+    public function get_items_permissions_check($request) {
+        return current_user_can('manage_options');
+    }
+
+    /**
+     * Get the params for changing the budgets and thresholds.
+     *
+     * Every tier the resource manager has a budget for can be changed.
+     * The GC threshold and cycles have the Settings page's limits.
+     *
+     * @since    1.9.0
+     * @return   array    The params.
+     */
+    public function get_config_params() {
+        $tiers = [];
+        foreach (array_keys($this->get_resource_manager()->get_config()['budgets']) as $tier) {
+            $tiers[$tier] = [
+                'type'                 => 'object',
+                'properties'           => [
+                    'memory' => [
+                        'description' => __('The memory budget in bytes.', 'status-sentry-wp'),
+                        'type'        => 'integer',
+                        'minimum'     => MB_IN_BYTES,
+                    ],
+                    'time' => [
+                        'description' => __('The time budget in seconds.', 'status-sentry-wp'),
+                        'type'        => 'number',
+                        'minimum'     => 1,
+                    ],
+                    'db_queries' => [
+                        'description' => __('The database query budget.', 'status-sentry-wp'),
+                        'type'        => 'integer',
+                        'minimum'     => 1,
+                    ],
+                ],
+                'additionalProperties' => false,
+            ];
+        }
+
+        return [
+            'budgets' => [
+                'description'          => __('The budgets to change, keyed by tier.', 'status-sentry-wp'),
+                'type'                 => 'object',
+                'properties'           => $tiers,
+                'additionalProperties' => false,
+            ],
+            'gc_settings' => [
+                'description'          => __('The garbage collection settings to change.', 'status-sentry-wp'),
+                'type'                 => 'object',
+                'properties'           => [
+                    'memory_threshold' => [
+                        'description' => __('The share of the PHP memory limit garbage collection runs from.', 'status-sentry-wp'),
+                        'type'        => 'number',
+                        'minimum'     => Status_Sentry_Resource_Manager::MEMORY_THRESHOLD_RANGE[0] / 100,
+                        'maximum'     => Status_Sentry_Resource_Manager::MEMORY_THRESHOLD_RANGE[1] / 100,
+                    ],
+                    'cycles' => [
+                        'description' => __('The number of garbage collection cycles to run.', 'status-sentry-wp'),
+                        'type'        => 'integer',
+                        'minimum'     => 1,
+                        'maximum'     => 10,
+                    ],
+                ],
+                'additionalProperties' => false,
+            ],
+            'cpu_threshold' => [
+                'description' => __('The CPU load tasks are held back above, from 0.3 to 0.9.', 'status-sentry-wp'),
+                'type'        => 'number',
+                'minimum'     => Status_Sentry_Resource_Manager::CPU_THRESHOLD_RANGE[0] / 100,
+                'maximum'     => Status_Sentry_Resource_Manager::CPU_THRESHOLD_RANGE[1] / 100,
+            ],
+        ];
+    }
+
+    /**
+     * Get the resource panel: budgets against recent use, GC runs and the current status.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_items($request) {
+        try {
+            $resource_manager = $this->get_resource_manager();
+            $config = $resource_manager->get_config();
+
+            $tiers = [];
+            foreach ($config['budgets'] as $tier => $budget) {
+                $tiers[$tier] = $this->prepare_tier($tier, $budget, (int) $request['runs']);
+            }
+
+            return $this->prepare_response([
+                'tiers' => $tiers,
+                'gc_runs' => $resource_manager->get_gc_runs((int) $request['gc_runs']),
+                'config' => $config,
+                'load' => $this->prepare_load(),
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_items', $e, __('Unable to load resource usage.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Get a sample of the current CPU and system load.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_load($request) {
+        try {
+            return $this->prepare_response($this->prepare_load());
+        } catch (Throwable $e) {
+            return $this->handle_error('get_load', $e, __('Unable to read the system load.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Change budgets and thresholds.
+     *
+     * The changes are saved by the resource manager, and the settings no
+     * longer match a preset.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function update_item($request) {
+        try {
+            $config = array_intersect_key($request->get_params(), array_flip(['budgets', 'gc_settings', 'cpu_threshold']));
+            $resource_manager = $this->get_resource_manager();
+
+            if (empty($config) || !$resource_manager->update_config($config)) {
+                return new WP_Error(
+                    'status_sentry_resources_no_changes',
+                    __('No budgets or thresholds were given.', 'status-sentry-wp'),
+                    ['status' => 400]
+                );
+            }
+
+            update_option('status_sentry_preset', 'custom');
+
+            // Rebuild the recommendations, which quote the GC threshold
+            delete_transient('status_sentry_dashboard_overview');
+
+            return $this->prepare_response(['config' => $resource_manager->get_config()]);
+        } catch (Throwable $e) {
+            return $this->handle_error('update_item', $e, __('Unable to save the budgets and thresholds.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Prepare a tier's budget and what its recent task runs used.
+     *
+     * A run's memory use is its peak memory less its memory at the start.
+     * Runs that haven't ended are left out.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string    $tier      The tier.
+     * @param    array     $budget    The tier's budget.
+     * @param    int       $limit     The number of recent runs.
+     * @return   array                The tier's budget, runs, and their average and maximum use.
+     */
+    private function prepare_tier($tier, $budget, $limit) {
+        $runs = [];
+        foreach ((array) $this->get_self_monitor()->get_recent_task_runs(null, null, $limit, $tier) as $row) {
+            if (empty($row['end_time'])) {
+                continue;
+            }
+
+            $runs[] = [
+                'id' => (int) $row['id'],
+                'task_name' => $row['task_name'],
+                'status' => $row['status'],
+                'start_time' => get_gmt_from_date($row['start_time']),
+                'duration' => (float) $row['duration'],
+                'memory' => max(0, (int) $row['memory_peak'] - (int) $row['memory_start']),
+            ];
+        }
+
+        $memory = wp_list_pluck($runs, 'memory');
+        $durations = wp_list_pluck($runs, 'duration');
+
+        return [
+            'budget' => $budget,
+            'runs' => array_reverse($runs),
+            'memory' => [
+                'average' => $memory ? array_sum($memory) / count($memory) : null,
+                'max' => $memory ? max($memory) : null,
+                'over_budget' => count(array_filter($memory, function($value) use ($budget) {
+                    return $value > $budget['memory'];
+                })),
+            ],
+            'time' => [
+                'average' => $durations ? array_sum($durations) / count($durations) : null,
+                'max' => $durations ? max($durations) : null,
+                'over_budget' => count(array_filter($durations, function($value) use ($budget) {
+                    return $value > $budget['time'];
+                })),
+            ],
+        ];
+    }
+
+    /**
+     * Take a sample of the CPU and system load, as percentages.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   array    The UTC time, the CPU load (null when the server doesn't report it),
+     *                    the system load and the CPU threshold.
+     */
+    private function prepare_load() {
+        $resource_manager = $this->get_resource_manager();
+        $cpu_load = $resource_manager->get_cpu_load();
+
+        return [
+            'time' => gmdate('Y-m-d H:i:s'),
+            'cpu_load' => $cpu_load === false ? null : round($cpu_load * 100, 1),
+            'system_load' => round($resource_manager->get_system_load() * 100, 1),
+            'cpu_threshold' => round($resource_manager->get_cpu_threshold() * 100, 1),
+        ];
+    }
+
+    /**
+     * Add no-cache headers to a response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    mixed    $data    The response data.
+     * @return   WP_REST_Response  The response.
+     */
+    private function prepare_response($data) {
+        $response = rest_ensure_response($data);
+        $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+        $response->header('Pragma', 'no-cache');
+        $response->header('Expires', '0');
+        return $response;
+    }
+
+    /**
+     * Log an exception and create the error response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string       $method     The method that failed.
+     * @param    Throwable    $e          The exception.
+     * @param    string       $message    The message for the client.
+     * @return   WP_Error                 The error.
+     */
+    private function handle_error($method, $e, $message) {
+        error_log('Status Sentry Resources: Error in ' . $method . ' - ' . $e->getMessage());
+        error_log('Status Sentry Resources: Error type - ' . get_class($e));
+
+        return new WP_Error('status_sentry_resources_error', $message, ['status' => 500]);
+    }
+
+    /**
+     * Get the resource manager.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   Status_Sentry_Resource_Manager    The resource manager.
+     */
+    private function get_resource_manager() {
+        return Status_Sentry_Resource_Manager::get_instance();
+    }
+
+    /**
+     * Get the self-monitor, which records the task runs.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   Status_Sentry_Self_Monitor    The self-monitor.
+     */
+    private function get_self_monitor() {
+        static $self_monitor = null;
+
+        if ($self_monitor === null) {
+            $self_monitor = new Status_Sentry_Self_Monitor();
+        }
+
+        return $self_monitor;
+    }
+}
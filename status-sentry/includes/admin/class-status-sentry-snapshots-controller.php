@@ -0,0 +1,316 @@
+<?php
+/**
+ * Snapshots REST API Controller
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+
+/**
+ * Snapshots REST API Controller
+ *
+ * This class handles the REST API endpoints for the Change Impact screen:
+ * listing the system snapshots taken around plugin activations and theme
+ * switches, grouped into before/after pairs, and comparing any two of them.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/admin
+ */
+class Status_Sentry_Snapshots_Controller extends WP_REST_Controller {
+
+    /**
+     * The namespace of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $namespace    The namespace of this controller's route.
+     */
+    protected $namespace = 'status-sentry/v1';
+
+    /**
+     * The base of this controller's route.
+     *
+     * @since    1.9.0
+     * @access   protected
+     * @var      string    $rest_base    The base of this controller's route.
+     */
+    protected $rest_base = 'snapshots';
+
+    /**
+     * Register the routes for snapshots.
+     *
+     * @since    1.9.0
+     */
+    public function register_routes() {
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base,
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'get_items'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'limit' => [
+                            'description' => __('The maximum number of snapshots.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'minimum'     => 1,
+                            'maximum'     => 200,
+                            'default'     => 100,
+                        ],
+                    ],
+                ],
+            ]
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/compare',
+            [
+                [
+                    'methods'             => WP_REST_Server::READABLE,
+                    'callback'            => [$this, 'compare_items'],
+                    'permission_callback' => [$this, 'get_items_permissions_check'],
+                    'args'                => [
+                        'before' => [
+                            'description' => __('The ID of the snapshot to compare from.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'required'    => true,
+                        ],
+                        'after' => [
+                            'description' => __('The ID of the snapshot to compare to.', 'status-sentry-wp'),
+                            'type'        => 'integer',
+                            'required'    => true,
+                        ],
+                    ],
+                ],
+            ]
+        );
+    }
+
+    /**
+     * Check if a given request has access to snapshots.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   bool
+     */
+    public function get_items_permissions_check($request) {
+        return current_user_can('manage_options');
+    }
+
+    /**
+     * Get the stored snapshots and the changes they belong to.
+     *
+     * A change is a before snapshot followed by the next after snapshot
+     * for the same plugin or theme.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function get_items($request) {
+        try {
+            $snapshots = $this->get_baseline()->get_snapshots($request['limit']);
+
+            $changes = [];
+            $pending = [];
+
+            // Pair snapshots in the order they were taken
+            foreach (array_reverse($snapshots) as $snapshot) {
+                if ($snapshot['subject'] === '') {
+                    continue;
+                }
+
+                $key = $snapshot['subject_type'] . ':' . $snapshot['subject'];
+
+                if ($snapshot['phase'] === 'before') {
+                    $pending[$key] = $snapshot;
+                } elseif ($snapshot['phase'] === 'after' && isset($pending[$key])) {
+                    $before = $pending[$key];
+                    unset($pending[$key]);
+
+                    $changes[] = [
+                        'subject_type' => $snapshot['subject_type'],
+                        'subject' => $snapshot['subject'],
+                        'label' => $this->get_subject_label($snapshot['subject_type'], $snapshot['subject']),
+                        'before' => $before['id'],
+                        'after' => $snapshot['id'],
+                        'created_at' => $snapshot['created_at'],
+                        'significant' => array_keys(array_filter(
+                            $this->get_baseline()->compare($before['data'], $snapshot['data']),
+                            function($comparison) {
+                                return $comparison['is_significant'];
+                            }
+                        )),
+                    ];
+                }
+            }
+
+            return $this->prepare_response([
+                'changes' => array_reverse($changes),
+                'snapshots' => array_map([$this, 'prepare_snapshot'], $snapshots),
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('get_items', $e, __('Unable to load snapshots.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Compare two snapshots.
+     *
+     * @since    1.9.0
+     * @param    WP_REST_Request $request Full data about the request.
+     * @return   WP_REST_Response|WP_Error
+     */
+    public function compare_items($request) {
+        try {
+            $baseline = $this->get_baseline();
+            $before = $baseline->get_snapshot($request['before']);
+            $after = $baseline->get_snapshot($request['after']);
+
+            if (!$before || !$after) {
+                return new WP_Error(
+                    'status_sentry_snapshot_not_found',
+                    __('Snapshot not found.', 'status-sentry-wp'),
+                    ['status' => 404]
+                );
+            }
+
+            $before_plugins = isset($before['data']['active_plugins']) ? (array) $before['data']['active_plugins'] : [];
+            $after_plugins = isset($after['data']['active_plugins']) ? (array) $after['data']['active_plugins'] : [];
+
+            return $this->prepare_response([
+                'before' => $this->prepare_snapshot($before),
+                'after' => $this->prepare_snapshot($after),
+                'metrics' => $baseline->compare($before['data'], $after['data']),
+                'plugins' => [
+                    'activated' => array_values(array_map([$this, 'get_plugin_label'], array_diff($after_plugins, $before_plugins))),
+                    'deactivated' => array_values(array_map([$this, 'get_plugin_label'], array_diff($before_plugins, $after_plugins))),
+                ],
+            ]);
+        } catch (Throwable $e) {
+            return $this->handle_error('compare_items', $e, __('Unable to compare the snapshots.', 'status-sentry-wp'));
+        }
+    }
+
+    /**
+     * Prepare a snapshot for the response.
+     *
+     * The list of active plugins is left out; compare_items() returns the
+     * plugins that changed between two snapshots.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array    $snapshot    The snapshot.
+     * @return   array                 The snapshot for the response.
+     */
+    private function prepare_snapshot($snapshot) {
+        $data = $snapshot['data'];
+        unset($data['active_plugins']);
+
+        return [
+            'id' => $snapshot['id'],
+            'name' => $snapshot['name'],
+            'subject_type' => $snapshot['subject_type'],
+            'subject' => $snapshot['subject'],
+            'label' => $snapshot['subject'] !== '' ?
+                $this->get_subject_label($snapshot['subject_type'], $snapshot['subject']) :
+                $snapshot['name'],
+            'phase' => $snapshot['phase'],
+            'created_at' => $snapshot['created_at'],
+            'metrics' => $data,
+        ];
+    }
+
+    /**
+     * Get the display name of a plugin or theme.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string    $type       The subject type, 'plugin' or 'theme'.
+     * @param    string    $subject    The plugin file or theme stylesheet.
+     * @return   string                The name, or the subject if it is no longer installed.
+     */
+    private function get_subject_label($type, $subject) {
+        if ($type === 'theme') {
+            $theme = wp_get_theme($subject);
+            return $theme->exists() ? $theme->get('Name') : $subject;
+        }
+
+        return $this->get_plugin_label($subject);
+    }
+
+    /**
+     * Get the display name of a plugin.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string    $plugin    The plugin file.
+     * @return   string               The name, or the plugin file if it is no longer installed.
+     */
+    private function get_plugin_label($plugin) {
+        static $plugins = null;
+
+        if ($plugins === null) {
+            if (!function_exists('get_plugins')) {
+                require_once ABSPATH . 'wp-admin/includes/plugin.php';
+            }
+            $plugins = get_plugins();
+        }
+
+        return isset($plugins[$plugin]['Name']) ? $plugins[$plugin]['Name'] : $plugin;
+    }
+
+    /**
+     * Add no-cache headers to a response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    mixed    $data    The response data.
+     * @return   WP_REST_Response  The response.
+     */
+    private function prepare_response($data) {
+        $response = rest_ensure_response($data);
+        $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+        $response->header('Pragma', 'no-cache');
+        $response->header('Expires', '0');
+        return $response;
+    }
+
+    /**
+     * Log an exception and create the error response.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string       $method     The method that failed.
+     * @param    Throwable    $e          The exception.
+     * @param    string       $message    The message for the client.
+     * @return   WP_Error                 The error.
+     */
+    private function handle_error($method, $e, $message) {
+        error_log('Status Sentry Snapshots: Error in ' . $method . ' - ' . $e->getMessage());
+        error_log('Status Sentry Snapshots: Error type - ' . get_class($e));
+
+        return new WP_Error('status_sentry_snapshots_error', $message, ['status' => 500]);
+    }
+
+    /**
+     * Get the baseline instance that stores the snapshots.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   Status_Sentry_Baseline    The baseline instance.
+     */
+    private function get_baseline() {
+        static $baseline = null;
+
+        if ($baseline === null) {
+            $baseline = new Status_Sentry_Baseline();
+        }
+
+        return $baseline;
+    }
+}
@@ -0,0 +1,411 @@
+<?php
+/**
+ * Benchmark Jobs Class
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/benchmarking
+ */
+
+/**
+ * Benchmark Jobs Class
+ *
+ * This class runs benchmarks started from the browser in the background.
+ * A run is stored in an option and executed by a single WP-Cron event, one
+ * test at a time, so the benchmark page can poll its progress and cancel
+ * it between tests. Only one run can be queued or running at a time.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/benchmarking
+ */
+class Status_Sentry_Benchmark_Jobs {
+
+    /**
+     * The option holding the current run.
+     *
+     * @since    1.9.0
+     * @var      string
+     */
+    const RUN_OPTION = 'status_sentry_benchmark_run';
+
+    /**
+     * The cron hook that executes a run.
+     *
+     * @since    1.9.0
+     * @var      string
+     */
+    const CRON_HOOK = 'status_sentry_run_benchmark';
+
+    /**
+     * How long a test may run, or a run may wait to start, before it is
+     * considered abandoned, in seconds.
+     *
+     * A test stays "running" forever if the process executing it dies,
+     * e.g. on a fatal error or a time limit, and a run stays "queued"
+     * forever if WP-Cron never executes it.
+     *
+     * @since    1.9.0
+     * @var      int
+     */
+    const STALE_TIMEOUT = 900;
+
+    /**
+     * The benchmark runner's tests, keyed by test method.
+     *
+     * The component keys are the ones the benchmark results and history
+     * options have always used.
+     *
+     * @since    1.9.0
+     * @return   array    The tests with their component key and label.
+     */
+    public static function get_tests() {
+        return [
+            'test_resource_manager_performance' => [
+                'component' => 'resource_manager',
+                'label' => __('Resource Manager', 'status-sentry-wp'),
+            ],
+            'test_event_processor_performance' => [
+                'component' => 'event_processor',
+                'label' => __('Event Processor', 'status-sentry-wp'),
+            ],
+            'test_query_cache_performance' => [
+                'component' => 'query_cache',
+                'label' => __('Query Cache', 'status-sentry-wp'),
+            ],
+            'test_event_queue_performance' => [
+                'component' => 'event_queue',
+                'label' => __('Event Queue', 'status-sentry-wp'),
+            ],
+            'test_data_capture_performance' => [
+                'component' => 'data_capture',
+                'label' => __('Data Capture', 'status-sentry-wp'),
+            ],
+        ];
+    }
+
+    /**
+     * Queue a run and start WP-Cron to execute it.
+     *
+     * @since    1.9.0
+     * @param    array    $tests    The test methods to run.
+     * @return   array|WP_Error     The run, or an error if a run is already active.
+     */
+    public function start($tests) {
+        $current = $this->get_run();
+        if ($current && $this->is_active($current)) {
+            return new WP_Error(
+                'status_sentry_benchmark_run_active',
+                __('A benchmark is already running. Wait for it to finish or cancel it first.', 'status-sentry-wp'),
+                ['status' => 409]
+            );
+        }
+
+        $available = self::get_tests();
+        $run_tests = [];
+
+        // Keep the runner's order regardless of the order they were picked in
+        foreach ($available as $method => $test) {
+            if (in_array($method, $tests, true)) {
+                $run_tests[] = [
+                    'test' => $method,
+                    'component' => $test['component'],
+                    'label' => $test['label'],
+                    'status' => 'pending',
+                    'started_at' => null,
+                    'completed_at' => null,
+                    'result' => null,
+                    'error' => null,
+                ];
+            }
+        }
+
+        if (empty($run_tests)) {
+            return new WP_Error(
+                'status_sentry_benchmark_no_tests',
+                __('Select at least one test to run.', 'status-sentry-wp'),
+                ['status' => 400]
+            );
+        }
+
+        $run = [
+            'id' => wp_generate_uuid4(),
+            'status' => 'queued',
+            'tests' => $run_tests,
+            'created_at' => current_time('mysql', true),
+            'started_at' => null,
+            'completed_at' => null,
+            'user_id' => get_current_user_id(),
+        ];
+
+        $this->save_run($run);
+
+        if (!wp_schedule_single_event(time(), self::CRON_HOOK, [$run['id']])) {
+            $this->delete_run();
+
+            return new WP_Error(
+                'status_sentry_benchmark_schedule_failed',
+                __('The benchmark could not be scheduled.', 'status-sentry-wp'),
+                ['status' => 500]
+            );
+        }
+
+        spawn_cron();
+
+        return $run;
+    }
+
+    /**
+     * Get the current run.
+     *
+     * Marks a test that has been running for longer than STALE_TIMEOUT, or
+     * a run that has been queued for longer than that, as failed, so an
+     * abandoned run does not block new ones.
+     *
+     * @since    1.9.0
+     * @return   array|null    The run, or null if there is none.
+     */
+    public function get_run() {
+        // Another request updates the run while this one waits on it
+        wp_cache_delete(self::RUN_OPTION, 'options');
+
+        $run = get_option(self::RUN_OPTION, null);
+        if (!is_array($run) || empty($run['id'])) {
+            return null;
+        }
+
+        if ($run['status'] === 'queued' && strtotime($run['created_at'] . ' UTC') < time() - self::STALE_TIMEOUT) {
+            foreach ($run['tests'] as $index => $test) {
+                $run['tests'][$index]['status'] = 'failed';
+                $run['tests'][$index]['error'] = __('The benchmark never started. WP-Cron may be disabled or not running.', 'status-sentry-wp');
+            }
+
+            wp_clear_scheduled_hook(self::CRON_HOOK, [$run['id']]);
+            $run = $this->finish($run, 'failed');
+        } elseif ($run['status'] === 'running') {
+            foreach ($run['tests'] as $index => $test) {
+                if ($test['status'] === 'running' && strtotime($test['started_at'] . ' UTC') < time() - self::STALE_TIMEOUT) {
+                    $run['tests'][$index]['status'] = 'failed';
+                    $run['tests'][$index]['error'] = __('The test did not finish. The process running it may have hit a time or memory limit.', 'status-sentry-wp');
+                    $run = $this->finish($run, 'failed');
+                    break;
+                }
+            }
+        }
+
+        return $run;
+    }
+
+    /**
+     * Cancel a run.
+     *
+     * A test that is already running finishes, but no further tests start.
+     *
+     * @since    1.9.0
+     * @param    string    $run_id    The run ID.
+     * @return   array|WP_Error       The run, or an error if it is not the current run.
+     */
+    public function cancel($run_id) {
+        $run = $this->get_run();
+        if (!$run || $run['id'] !== $run_id) {
+            return new WP_Error(
+                'status_sentry_benchmark_run_not_found',
+                __('Benchmark run not found.', 'status-sentry-wp'),
+                ['status' => 404]
+            );
+        }
+
+        if (!$this->is_active($run)) {
+            return $run;
+        }
+
+        foreach ($run['tests'] as $index => $test) {
+            if ($test['status'] === 'pending') {
+                $run['tests'][$index]['status'] = 'cancelled';
+            }
+        }
+
+        wp_clear_scheduled_hook(self::CRON_HOOK, [$run_id]);
+
+        return $this->finish($run, 'cancelled');
+    }
+
+    /**
+     * Execute a run.
+     *
+     * Hooked to the CRON_HOOK event. The run is re-read before every test
+     * so a cancellation from the benchmark page takes effect between tests.
+     *
+     * @since    1.9.0
+     * @param    string    $run_id    The run ID.
+     */
+    public function execute($run_id) {
+        $run = $this->get_run();
+        if (!$run || $run['id'] !== $run_id || $run['status'] !== 'queued') {
+            return;
+        }
+
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/benchmarking/class-status-sentry-benchmark-runner.php';
+        $runner = new Status_Sentry_Benchmark_Runner();
+
+        $run['status'] = 'running';
+        $run['started_at'] = current_time('mysql', true);
+        $run['config'] = [
+            'label' => $runner->get_config_label(),
+            'description' => $runner->get_config_description(),
+        ];
+        $this->save_run($run);
+
+        foreach (array_keys($run['tests']) as $index) {
+            $run = $this->get_run();
+            if (!$run || $run['id'] !== $run_id || $run['status'] !== 'running') {
+                return;
+            }
+
+            $run['tests'][$index]['status'] = 'running';
+            $run['tests'][$index]['started_at'] = current_time('mysql', true);
+            $this->save_run($run);
+
+            $method = $run['tests'][$index]['test'];
+
+            try {
+                $result = $runner->$method(false);
+                $status = 'completed';
+                $error = null;
+            } catch (Throwable $e) {
+                error_log('Status Sentry Benchmark: Error in ' . $method . ' - ' . $e->getMessage());
+                $result = null;
+                $status = 'failed';
+                $error = $e->getMessage();
+            }
+
+            // The run may have been cancelled while the test was running
+            $run = $this->get_run();
+            if (!$run || $run['id'] !== $run_id) {
+                return;
+            }
+
+            $run['tests'][$index]['status'] = $status;
+            $run['tests'][$index]['completed_at'] = current_time('mysql', true);
+            $run['tests'][$index]['result'] = $result;
+            $run['tests'][$index]['error'] = $error;
+            $this->save_run($run);
+        }
+
+        if ($run['status'] === 'running') {
+            $this->finish($run, 'completed');
+        }
+    }
+
+    /**
+     * Check whether a run is queued or running.
+     *
+     * @since    1.9.0
+     * @param    array    $run    The run.
+     * @return   bool             Whether the run is active.
+     */
+    public function is_active($run) {
+        return in_array($run['status'], ['queued', 'running'], true);
+    }
+
+    /**
+     * Mark a run as finished and record its results.
+     *
+     * Completed runs are saved to the benchmark results and history options
+     * with their configuration and environment, so they show up on the
+     * Benchmark History page and can be exported.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array     $run       The run.
+     * @param    string    $status    The final status.
+     * @return   array                The finished run.
+     */
+    private function finish($run, $status) {
+        $run['status'] = $status;
+        $run['completed_at'] = current_time('mysql', true);
+
+        $results = [];
+        foreach ($run['tests'] as $test) {
+            if ($test['status'] === 'completed') {
+                $results[$test['component']] = $test['result'];
+            }
+        }
+
+        if ($status !== 'completed' || empty($results)) {
+            $this->save_run($run);
+            return $run;
+        }
+
+        $current_results = [
+            'timestamp' => current_time('mysql'),
+            'results' => $results,
+            'config' => isset($run['config']) ? $run['config'] : null,
+            'environment' => $this->get_environment(),
+        ];
+        update_option('status_sentry_benchmark_results', $current_results);
+
+        $benchmark_history = get_option('status_sentry_benchmark_history', []);
+        array_unshift($benchmark_history, $current_results);
+
+        // Limit history to 10 entries
+        if (count($benchmark_history) > 10) {
+            $benchmark_history = array_slice($benchmark_history, 0, 10);
+        }
+
+        update_option('status_sentry_benchmark_history', $benchmark_history);
+
+        // Lets the benchmark page export the run from the history
+        $run['timestamp'] = $current_results['timestamp'];
+        $this->save_run($run);
+
+        return $run;
+    }
+
+    /**
+     * Describe the environment a benchmark ran in.
+     *
+     * Recorded with each run so results exported from different sites can
+     * be told apart and compared fairly.
+     *
+     * @since    1.9.0
+     * @return   array    The environment.
+     */
+    public function get_environment() {
+        global $wpdb, $wp_version;
+
+        return [
+            'site_url' => home_url(),
+            'timezone' => wp_timezone_string(),
+            'plugin_version' => STATUS_SENTRY_VERSION,
+            'wp_version' => $wp_version,
+            'php_version' => PHP_VERSION,
+            'mysql_version' => $wpdb->db_version(),
+            'memory_limit' => ini_get('memory_limit'),
+            'object_cache' => wp_using_ext_object_cache(),
+            'multisite' => is_multisite(),
+            'active_plugins' => count(get_option('active_plugins', [])),
+        ];
+    }
+
+    /**
+     * Save the run.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array    $run    The run.
+     */
+    private function save_run($run) {
+        update_option(self::RUN_OPTION, $run, false);
+    }
+
+    /**
+     * Delete the run.
+     *
+     * @since    1.9.0
+     * @access   private
+     */
+    private function delete_run() {
+        delete_option(self::RUN_OPTION);
+    }
+}
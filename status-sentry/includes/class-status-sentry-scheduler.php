@@ -751,6 +751,27 @@ class Status_Sentry_Scheduler {
         return isset(self::$tasks[$task_name]) ? self::$tasks[$task_name]['hook'] : null;
     }
 
+    /**
+     * Get the registered tasks.
+     *
+     * @since    1.9.0
+     * @return   array    The tasks keyed by name, each with hook, tier, schedule and dependencies.
+     */
+    public static function get_tasks() {
+        $tasks = [];
+
+        foreach (self::$tasks as $task_name => $task) {
+            $tasks[$task_name] = [
+                'hook' => $task['hook'],
+                'tier' => $task['tier'],
+                'schedule' => $task['schedule'],
+                'dependencies' => self::get_task_dependencies($task_name),
+            ];
+        }
+
+        return $tasks;
+    }
+
     /**
      * Get the dependencies for a task.
      *
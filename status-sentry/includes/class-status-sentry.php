@@ -63,6 +63,7 @@ class Status_Sentry {
         // Hook management
         require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/hooks/class-status-sentry-hook-config.php';
         require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/hooks/class-status-sentry-hook-manager.php';
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/hooks/class-status-sentry-seen-hooks.php';
 
         // Data pipeline
         require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-data-capture.php';
@@ -145,11 +146,17 @@ class Status_Sentry {
         add_action('status_sentry_cleanup_expired_cache', ['Status_Sentry_Scheduler', 'cleanup_expired_cache']);
         add_action('status_sentry_cleanup_expired_task_state', ['Status_Sentry_Scheduler', 'cleanup_expired_task_state']);
 
+        // Purge events deleted from the Events page once their undo window has passed
+        add_action(Status_Sentry_Event_Trash::PURGE_HOOK, [new Status_Sentry_Event_Trash(), 'purge']);
+
         // Initialize monitoring manager
         $this->init_monitoring_manager();
 
         // Register hooks
         $this->hook_manager->register_hooks();
+
+        // Record the hooks seen at runtime for the Hook Configuration page
+        add_action('shutdown', [new Status_Sentry_Seen_Hooks(), 'record'], PHP_INT_MAX);
     }
 
     /**
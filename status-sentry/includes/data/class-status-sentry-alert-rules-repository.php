@@ -0,0 +1,331 @@
+<?php
+/**
+ * Alert Rules Repository Class
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/data
+ */
+
+/**
+ * Alert Rules Repository Class
+ *
+ * This class stores alert rules and checks monitoring events against them.
+ * A rule matches events by type, minimum priority and source and context
+ * patterns (where * matches any characters). A rule with a threshold above
+ * one only fires once that many matching events were recorded within its
+ * window, e.g. more than 5 errors in 10 minutes.
+ *
+ * The rules are used for in-browser notifications and list the channels
+ * they should be delivered on. Browser notifications are the only channel
+ * so far; a server-side channel such as email needs a scheduled check
+ * that delivers it before it is added to CHANNELS.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/data
+ */
+class Status_Sentry_Alert_Rules_Repository {
+
+    /**
+     * The alert rules table name.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      string    $table_name    The alert rules table name.
+     */
+    private $table_name;
+
+    /**
+     * The channels a rule can be delivered on.
+     *
+     * @since    1.9.0
+     * @var      array
+     */
+    const CHANNELS = ['browser'];
+
+    /**
+     * Initialize the class and set its properties.
+     *
+     * @since    1.9.0
+     */
+    public function __construct() {
+        global $wpdb;
+        $this->table_name = $wpdb->prefix . 'status_sentry_alert_rules';
+    }
+
+    /**
+     * Ensure the alert rules table exists.
+     *
+     * Migrations only run on activation, so sites updated in place create
+     * the table on first use.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the table exists or was successfully created.
+     */
+    public function ensure_table_exists() {
+        global $wpdb;
+
+        if ($wpdb->get_var("SHOW TABLES LIKE '{$this->table_name}'") != $this->table_name) {
+            require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/db/migrations/011_create_alert_rules_table.php';
+            $migration = new Status_Sentry_Migration_CreateAlertRulesTable();
+            return $migration->up();
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the alert rules.
+     *
+     * @since    1.9.0
+     * @param    bool      $enabled_only    Whether to only return enabled rules.
+     * @return   array                      The rules.
+     */
+    public function get_rules($enabled_only = false) {
+        global $wpdb;
+
+        if (!$this->ensure_table_exists()) {
+            return [];
+        }
+
+        $where = $enabled_only ? 'WHERE enabled = 1' : '';
+        $rows = $wpdb->get_results("SELECT * FROM {$this->table_name} {$where} ORDER BY name ASC, id ASC");
+
+        if ($wpdb->last_error) {
+            error_log("Status Sentry: Database error in get_rules: {$wpdb->last_error}");
+            return [];
+        }
+
+        return array_map([$this, 'prepare_rule'], $rows);
+    }
+
+    /**
+     * Get a single alert rule.
+     *
+     * @since    1.9.0
+     * @param    int       $id    The rule ID.
+     * @return   array|null       The rule or null if not found.
+     */
+    public function get_rule($id) {
+        global $wpdb;
+
+        if (!$this->ensure_table_exists()) {
+            return null;
+        }
+
+        $row = $wpdb->get_row($wpdb->prepare("SELECT * FROM {$this->table_name} WHERE id = %d", $id));
+
+        return $row ? $this->prepare_rule($row) : null;
+    }
+
+    /**
+     * Create an alert rule.
+     *
+     * @since    1.9.0
+     * @param    array     $rule    The rule fields.
+     * @return   int|false          The new rule ID, or false on failure.
+     */
+    public function create_rule($rule) {
+        global $wpdb;
+
+        if (!$this->ensure_table_exists()) {
+            return false;
+        }
+
+        $now = current_time('mysql', true);
+        $data = array_merge($this->to_row($rule), [
+            'created_by' => get_current_user_id(),
+            'created_at' => $now,
+            'updated_at' => $now,
+        ]);
+
+        if ($wpdb->insert($this->table_name, $data) === false) {
+            error_log("Status Sentry: Failed to create alert rule - {$wpdb->last_error}");
+            return false;
+        }
+
+        return (int) $wpdb->insert_id;
+    }
+
+    /**
+     * Update an alert rule.
+     *
+     * @since    1.9.0
+     * @param    int       $id      The rule ID.
+     * @param    array     $rule    The rule fields to change.
+     * @return   bool               Whether the rule was updated.
+     */
+    public function update_rule($id, $rule) {
+        global $wpdb;
+
+        if (!$this->ensure_table_exists()) {
+            return false;
+        }
+
+        $data = $this->to_row($rule);
+        $data['updated_at'] = current_time('mysql', true);
+
+        $result = $wpdb->update($this->table_name, $data, ['id' => $id]);
+        if ($result === false) {
+            error_log("Status Sentry: Failed to update alert rule {$id} - {$wpdb->last_error}");
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Delete an alert rule.
+     *
+     * @since    1.9.0
+     * @param    int       $id    The rule ID.
+     * @return   bool             Whether the rule was deleted.
+     */
+    public function delete_rule($id) {
+        global $wpdb;
+
+        if (!$this->ensure_table_exists()) {
+            return false;
+        }
+
+        return (bool) $wpdb->delete($this->table_name, ['id' => $id], ['%d']);
+    }
+
+    /**
+     * Check whether a monitoring event matches a rule's conditions.
+     *
+     * The rate is not checked here; see get_event_filters().
+     *
+     * @since    1.9.0
+     * @param    array     $rule     The rule.
+     * @param    object    $event    The monitoring event row.
+     * @return   bool                Whether the event matches.
+     */
+    public function matches_event($rule, $event) {
+        if (!empty($rule['event_types']) && !in_array($event->event_type, $rule['event_types'], true)) {
+            return false;
+        }
+
+        if ((int) $event->priority < $rule['min_priority']) {
+            return false;
+        }
+
+        return $this->matches_pattern($rule['source_pattern'], $event->source)
+            && $this->matches_pattern($rule['context_pattern'], $event->context);
+    }
+
+    /**
+     * Get the monitoring event filters that select a rule's events.
+     *
+     * Pass the result, with a date_from, to
+     * Status_Sentry_Monitoring_Events_Repository::count_events() to check
+     * a rule's rate.
+     *
+     * @since    1.9.0
+     * @param    array     $rule    The rule.
+     * @return   array              The filters.
+     */
+    public function get_event_filters($rule) {
+        $filters = [];
+
+        if (!empty($rule['event_types'])) {
+            $filters['event_type'] = $rule['event_types'];
+        }
+
+        if ($rule['min_priority'] > 0) {
+            $filters['priority_min'] = $rule['min_priority'];
+        }
+
+        if ($rule['source_pattern'] !== '') {
+            $filters['source_pattern'] = $rule['source_pattern'];
+        }
+
+        if ($rule['context_pattern'] !== '') {
+            $filters['context_pattern'] = $rule['context_pattern'];
+        }
+
+        return $filters;
+    }
+
+    /**
+     * Check a value against a pattern where * matches any characters.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string    $pattern    The pattern, or an empty string to match anything.
+     * @param    string    $value      The value.
+     * @return   bool                  Whether the value matches.
+     */
+    private function matches_pattern($pattern, $value) {
+        if ($pattern === '') {
+            return true;
+        }
+
+        $regex = '/^' . str_replace('\*', '.*', preg_quote($pattern, '/')) . '$/i';
+
+        return (bool) preg_match($regex, (string) $value);
+    }
+
+    /**
+     * Convert rule fields to table columns.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array     $rule    The rule fields.
+     * @return   array              The columns that are set.
+     */
+    private function to_row($rule) {
+        $row = [];
+
+        foreach (['name', 'source_pattern', 'context_pattern'] as $key) {
+            if (isset($rule[$key])) {
+                $row[$key] = (string) $rule[$key];
+            }
+        }
+
+        foreach (['min_priority', 'threshold', 'window_minutes'] as $key) {
+            if (isset($rule[$key])) {
+                $row[$key] = (int) $rule[$key];
+            }
+        }
+
+        if (isset($rule['enabled'])) {
+            $row['enabled'] = $rule['enabled'] ? 1 : 0;
+        }
+
+        foreach (['event_types', 'channels'] as $key) {
+            if (isset($rule[$key])) {
+                $row[$key] = implode(',', (array) $rule[$key]);
+            }
+        }
+
+        return $row;
+    }
+
+    /**
+     * Convert a table row to a rule.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    object    $row    The table row.
+     * @return   array             The rule.
+     */
+    private function prepare_rule($row) {
+        return [
+            'id' => (int) $row->id,
+            'name' => $row->name,
+            'enabled' => (bool) $row->enabled,
+            'event_types' => array_values(array_filter(explode(',', $row->event_types))),
+            'min_priority' => (int) $row->min_priority,
+            'source_pattern' => $row->source_pattern,
+            'context_pattern' => $row->context_pattern,
+            'threshold' => max(1, (int) $row->threshold),
+            'window_minutes' => (int) $row->window_minutes,
+            'channels' => array_values(array_filter(explode(',', $row->channels))),
+            'created_by' => (int) $row->created_by,
+            'created_at' => $row->created_at,
+            'updated_at' => $row->updated_at,
+        ];
+    }
+}
@@ -101,6 +101,15 @@ class Status_Sentry_Event_Processor {
      */
     private $db_batch_size;
 
+    /**
+     * Why the last event failed to be processed.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      string|null    $last_error    The reason, stored with the failed queue event.
+     */
+    private $last_error = null;
+
     /**
      * Initialize the class and set its properties.
      *
@@ -324,7 +333,7 @@ class Status_Sentry_Event_Processor {
         $processed_count = 0;
         $failed_count = 0;
         $processed_ids = [];
-        $failed_ids = [];
+        $failed_reasons = [];
 
         // Process each event
         foreach ($events as $event) {
@@ -335,12 +344,12 @@ class Status_Sentry_Event_Processor {
                     $processed_ids[] = $event['id'];
                     $processed_count++;
                 } else {
-                    $failed_ids[] = $event['id'];
+                    $failed_reasons[$event['id']] = $this->last_error;
                     $failed_count++;
                 }
             } catch (Exception $e) {
                 error_log('Status Sentry: Error processing event - ' . $e->getMessage());
-                $failed_ids[] = $event['id'];
+                $failed_reasons[$event['id']] = 'Error processing event - ' . $e->getMessage();
                 $failed_count++;
             }
         }
@@ -362,19 +371,12 @@ class Status_Sentry_Event_Processor {
             }
         }
 
-        if (!empty($failed_ids)) {
+        // Failed events are updated one by one to keep the reason each one failed
+        foreach ($failed_reasons as $id => $reason) {
             try {
-                $this->event_queue->update_event_statuses($failed_ids, 'failed');
-            } catch (Exception $e) {
-                error_log('Status Sentry: Error updating failed event statuses - ' . $e->getMessage());
-                // Fall back to individual updates
-                foreach ($failed_ids as $id) {
-                    try {
-                        $this->event_queue->update_event_status($id, 'failed');
-                    } catch (Exception $update_error) {
-                        error_log('Status Sentry: Error updating event status - ' . $update_error->getMessage());
-                    }
-                }
+                $this->event_queue->update_event_status((int) $id, 'failed', $reason);
+            } catch (Exception $update_error) {
+                error_log('Status Sentry: Error updating event status - ' . $update_error->getMessage());
             }
         }
 
@@ -477,19 +479,24 @@ class Status_Sentry_Event_Processor {
     private function process_event($event) {
         global $wpdb;
 
+        $this->last_error = null;
+
         // Validate event data
         if (!isset($event['data']) || !is_array($event['data'])) {
             error_log('Status Sentry: Invalid event data - data is missing or not an array');
+            $this->last_error = 'Invalid event data - data is missing or not an array';
             return false;
         }
 
         if (empty($event['feature']) || !is_string($event['feature'])) {
             error_log('Status Sentry: Invalid event data - feature is missing or invalid');
+            $this->last_error = 'Invalid event data - feature is missing or invalid';
             return false;
         }
 
         if (empty($event['hook']) || !is_string($event['hook'])) {
             error_log('Status Sentry: Invalid event data - hook is missing or invalid');
+            $this->last_error = 'Invalid event data - hook is missing or invalid';
             return false;
         }
 
@@ -509,6 +516,7 @@ class Status_Sentry_Event_Processor {
                 if (!$table_exists) {
                     // Still doesn't exist, log error and return
                     error_log('Status Sentry: Failed to create events table - ' . $wpdb->last_error);
+                    $this->last_error = 'Failed to create events table - ' . $wpdb->last_error;
                     return false;
                 }
             }
@@ -541,6 +549,7 @@ class Status_Sentry_Event_Processor {
 
             if ($json_data === false) {
                 error_log('Status Sentry: Failed to encode simplified event data');
+                $this->last_error = 'Failed to encode event data - ' . json_last_error_msg();
                 return false;
             }
         }
@@ -568,6 +577,7 @@ class Status_Sentry_Event_Processor {
                 $wpdb->last_error,
                 $wpdb->last_query
             ));
+            $this->last_error = 'Failed to store event - MySQL Error: ' . $wpdb->last_error;
             return false;
         }
 
@@ -27,6 +27,7 @@ declare(strict_types=1);
  * - Support batch operations for improved performance
  * - Support resumable processing with ID-based retrieval
  * - Implement efficient cleanup strategies
+ * - Report the backlog, throughput and failures for the queue panel
  *
  * The queue uses a database table with the following structure:
  * - id: Unique identifier for the queue item
@@ -35,6 +36,8 @@ declare(strict_types=1);
  * - data: JSON-encoded event data
  * - created_at: When the event was captured
  * - status: Processing status ('pending', 'processed', 'failed')
+ * - error_message: Why processing failed (since 1.9.0)
+ * - processed_at: When the event was processed or failed (since 1.9.0)
  *
  * @since      1.0.0
  * @version    1.2.0
@@ -62,6 +65,14 @@ class Status_Sentry_Event_Queue {
      */
     private $batch_threshold;
 
+    /**
+     * The queue statuses.
+     *
+     * @since    1.9.0
+     * @var      array
+     */
+    const STATUSES = ['pending', 'processed', 'failed'];
+
     /**
      * Initialize the class and set its properties.
      *
@@ -305,14 +316,18 @@ class Status_Sentry_Event_Queue {
      * - 'processed': The event has been successfully processed
      * - 'failed': The event processing failed
      *
+     * A failed event can be given the reason it failed, which the queue
+     * panel shows.
+     *
      * @since    1.0.0
-     * @version  1.1.0
-     * @param    int       $id        The event ID.
-     * @param    string    $status    The new status ('pending', 'processed', or 'failed').
-     * @return   bool                 Whether the status was successfully updated.
-     * @throws   Exception            If there is an error updating the status.
+     * @version  1.9.0
+     * @param    int            $id               The event ID.
+     * @param    string         $status           The new status ('pending', 'processed', or 'failed').
+     * @param    string|null    $error_message    Optional. Why processing failed.
+     * @return   bool                             Whether the status was successfully updated.
+     * @throws   Exception                        If there is an error updating the status.
      */
-    public function update_event_status(int $id, string $status): bool {
+    public function update_event_status(int $id, string $status, ?string $error_message = null): bool {
         global $wpdb;
 
         // Validate input parameters
@@ -328,12 +343,14 @@ class Status_Sentry_Event_Queue {
         }
 
         try {
-            // Update the event status
+            // Update the event status, with the failure reason and time when they can be stored
+            $values = array_merge(['status' => $status], $this->get_tracking_values($status, $error_message));
+
             $result = $wpdb->update(
                 $this->table_name,
-                ['status' => $status],
+                $values,
                 ['id' => $id],
-                ['%s'],
+                array_fill(0, count($values), '%s'),
                 ['%d']
             );
 
@@ -417,8 +434,8 @@ class Status_Sentry_Event_Queue {
                 $status
             ));
 
-            // Calculate the cutoff time
-            $cutoff_time = date('Y-m-d H:i:s', time() - $age);
+            // Calculate the cutoff time; created_at is in the site's time zone
+            $cutoff_time = get_date_from_gmt(gmdate('Y-m-d H:i:s', time() - $age));
 
             // Log the deletion operation
             error_log(sprintf(
@@ -476,11 +493,14 @@ class Status_Sentry_Event_Queue {
             data longtext NOT NULL,
             created_at datetime NOT NULL,
             status varchar(20) NOT NULL,
+            error_message text NULL,
+            processed_at datetime NULL,
             PRIMARY KEY  (id),
             KEY status (status),
             KEY feature (feature),
             KEY hook (hook),
-            KEY created_at (created_at)
+            KEY created_at (created_at),
+            KEY status_processed_at (status, processed_at)
         ) $charset_collate;";
 
         require_once ABSPATH . 'wp-admin/includes/upgrade.php';
@@ -635,11 +655,22 @@ class Status_Sentry_Event_Queue {
             // Convert IDs to a comma-separated string for the IN clause
             $id_string = implode(',', $ids);
 
-            // Update the event statuses
+            // Update the event statuses, with the processing time when it can be stored
+            $set = ['status = %s'];
+            $params = [$status];
+            foreach ($this->get_tracking_values($status) as $column => $value) {
+                if ($value === null) {
+                    $set[] = "{$column} = NULL";
+                } else {
+                    $set[] = "{$column} = %s";
+                    $params[] = $value;
+                }
+            }
+
             $result = $wpdb->query(
                 $wpdb->prepare(
-                    "UPDATE {$this->table_name} SET status = %s WHERE id IN ({$id_string})",
-                    $status
+                    "UPDATE {$this->table_name} SET " . implode(', ', $set) . " WHERE id IN ({$id_string})",
+                    $params
                 )
             );
 
@@ -654,4 +685,230 @@ class Status_Sentry_Event_Queue {
             throw $e; // Re-throw to be caught by the caller
         }
     }
+
+    /**
+     * Count the events in the queue by status.
+     *
+     * @since    1.9.0
+     * @return   array    The number of events keyed by status.
+     */
+    public function get_status_counts(): array {
+        global $wpdb;
+
+        $counts = array_fill_keys(self::STATUSES, 0);
+
+        if (!$this->table_exists()) {
+            return $counts;
+        }
+
+        $rows = $wpdb->get_results("SELECT status, COUNT(*) AS count FROM {$this->table_name} GROUP BY status");
+
+        if ($wpdb->last_error) {
+            error_log('Status Sentry: Error counting queue events - ' . $wpdb->last_error);
+            return $counts;
+        }
+
+        foreach ($rows as $row) {
+            if (isset($counts[$row->status])) {
+                $counts[$row->status] = (int) $row->count;
+            }
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Get when the oldest pending event was queued.
+     *
+     * @since    1.9.0
+     * @return   string|null    The time in the site's time zone (Y-m-d H:i:s), or null without pending events.
+     */
+    public function get_oldest_pending_time(): ?string {
+        global $wpdb;
+
+        if (!$this->table_exists()) {
+            return null;
+        }
+
+        $time = $wpdb->get_var($wpdb->prepare(
+            "SELECT MIN(created_at) FROM {$this->table_name} WHERE status = %s",
+            'pending'
+        ));
+
+        return $time ?: null;
+    }
+
+    /**
+     * Count the events processed and failed per hour.
+     *
+     * @since    1.9.0
+     * @param    int    $hours    The number of hours to count, ending with the current hour.
+     * @return   array|null       Rows with the hour (in the site's time zone, Y-m-d H:00:00), the
+     *                            status and the count, or null when processing times aren't stored.
+     */
+    public function get_throughput(int $hours = 24): ?array {
+        global $wpdb;
+
+        if (!$this->table_exists() || !$this->has_tracking_columns()) {
+            return null;
+        }
+
+        $since = get_date_from_gmt(gmdate('Y-m-d H:00:00', time() - ($hours - 1) * HOUR_IN_SECONDS));
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT DATE_FORMAT(processed_at, '%%Y-%%m-%%d %%H:00:00') AS hour, status, COUNT(*) AS count
+            FROM {$this->table_name}
+            WHERE status IN ('processed', 'failed') AND processed_at >= %s
+            GROUP BY hour, status
+            ORDER BY hour ASC",
+            $since
+        ), ARRAY_A);
+
+        if ($wpdb->last_error) {
+            error_log('Status Sentry: Error counting processed queue events - ' . $wpdb->last_error);
+            return [];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Get failed events, newest first, without their data.
+     *
+     * The reason and time are null for events that failed before they
+     * could be stored.
+     *
+     * @since    1.9.0
+     * @param    int    $limit     The maximum number of events to get.
+     * @param    int    $offset    The number of events to skip.
+     * @return   array             The failed events as associative arrays.
+     */
+    public function get_failed_events(int $limit = 20, int $offset = 0): array {
+        global $wpdb;
+
+        if (!$this->table_exists()) {
+            return [];
+        }
+
+        $columns = 'id, feature, hook, created_at';
+        if ($this->has_tracking_columns()) {
+            $columns .= ', error_message, processed_at';
+        }
+
+        $events = $wpdb->get_results($wpdb->prepare(
+            "SELECT {$columns} FROM {$this->table_name} WHERE status = %s ORDER BY id DESC LIMIT %d OFFSET %d",
+            'failed',
+            absint($limit),
+            absint($offset)
+        ), ARRAY_A);
+
+        if ($wpdb->last_error) {
+            error_log('Status Sentry: Error retrieving failed queue events - ' . $wpdb->last_error);
+            return [];
+        }
+
+        foreach ($events as &$event) {
+            $event += ['error_message' => null, 'processed_at' => null];
+        }
+
+        return $events;
+    }
+
+    /**
+     * Queue failed events for processing again.
+     *
+     * @since    1.9.0
+     * @param    array    $ids    Optional. The IDs of the failed events to retry. All failed events when empty.
+     * @return   int              The number of events queued again.
+     */
+    public function retry_failed_events(array $ids = []): int {
+        global $wpdb;
+
+        if (!$this->table_exists()) {
+            return 0;
+        }
+
+        $set = ['status = %s'];
+        $params = ['pending'];
+        foreach (array_keys($this->get_tracking_values('pending')) as $column) {
+            $set[] = "{$column} = NULL";
+        }
+
+        $where = 'status = %s';
+        $params[] = 'failed';
+
+        $ids = array_filter(array_map('absint', $ids));
+        if (!empty($ids)) {
+            $where .= ' AND id IN (' . implode(',', $ids) . ')';
+        }
+
+        $result = $wpdb->query($wpdb->prepare(
+            "UPDATE {$this->table_name} SET " . implode(', ', $set) . " WHERE {$where}",
+            $params
+        ));
+
+        if ($result === false) {
+            error_log('Status Sentry: Error retrying failed queue events - ' . $wpdb->last_error);
+            return 0;
+        }
+
+        return (int) $result;
+    }
+
+    /**
+     * Check that the queue table exists.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   bool    Whether the table exists.
+     */
+    private function table_exists(): bool {
+        global $wpdb;
+
+        return $wpdb->get_var("SHOW TABLES LIKE '{$this->table_name}'") == $this->table_name;
+    }
+
+    /**
+     * Check that the queue table has the error_message and processed_at columns.
+     *
+     * Migration 017 adds them; until it has run, failure reasons and
+     * processing times aren't stored.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   bool    Whether the columns exist.
+     */
+    private function has_tracking_columns(): bool {
+        global $wpdb;
+        static $exists = null;
+
+        if ($exists === null) {
+            $exists = (bool) $wpdb->get_var("SHOW COLUMNS FROM {$this->table_name} LIKE 'processed_at'");
+        }
+
+        return $exists;
+    }
+
+    /**
+     * Get the failure reason and processing time to store with a new status.
+     *
+     * Processed and failed events get the current time; events queued again
+     * lose their reason and time.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string         $status           The new status.
+     * @param    string|null    $error_message    Optional. Why processing failed.
+     * @return   array                            The column values, or none without the columns.
+     */
+    private function get_tracking_values(string $status, ?string $error_message = null): array {
+        if (!$this->has_tracking_columns()) {
+            return [];
+        }
+
+        return [
+            'error_message' => $status === 'failed' ? $error_message : null,
+            'processed_at' => $status === 'pending' ? null : current_time('mysql'),
+        ];
+    }
 }
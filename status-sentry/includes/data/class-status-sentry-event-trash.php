@@ -0,0 +1,177 @@
+<?php
+/**
+ * Event Trash Class
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/data
+ */
+
+/**
+ * Event Trash Class
+ *
+ * This class deletes events from the Events page with an undo window.
+ * Deleted events are moved to the trash tables in a batch, and a WP-Cron
+ * event purges the batch once the undo window has passed. Until then the
+ * batch can be restored exactly as it was.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/data
+ */
+class Status_Sentry_Event_Trash {
+
+    /**
+     * The cron hook that purges a batch.
+     *
+     * @since    1.9.0
+     * @var      string
+     */
+    const PURGE_HOOK = 'status_sentry_purge_event_trash';
+
+    /**
+     * The default undo window, in seconds.
+     *
+     * @since    1.9.0
+     * @var      int
+     */
+    const UNDO_WINDOW = 30;
+
+    /**
+     * The event types and the repository holding each.
+     *
+     * @since    1.9.0
+     * @var      array
+     */
+    const TYPES = [
+        'monitoring' => 'Status_Sentry_Monitoring_Events_Repository',
+        'legacy' => 'Status_Sentry_Events_Repository',
+    ];
+
+    /**
+     * Get the undo window.
+     *
+     * @since    1.9.0
+     * @return   int    The number of seconds a deletion can be undone for.
+     */
+    public function get_undo_window() {
+        /**
+         * Filter how long a deletion on the Events page can be undone for.
+         *
+         * @since 1.9.0
+         * @param int $seconds The undo window in seconds.
+         */
+        return max(5, (int) apply_filters('status_sentry_event_undo_window', self::UNDO_WINDOW));
+    }
+
+    /**
+     * Move events to the trash.
+     *
+     * @since    1.9.0
+     * @param    string         $type        'monitoring' or 'legacy'.
+     * @param    array          $filters     The repository filters selecting the events.
+     * @param    string|null    $batch_id    Optional. The batch of an earlier call to add
+     *                                       the events to, so both are restored together.
+     * @return   array                       The batch ID, the event type, the number of events
+     *                                       trashed and the UTC time the undo window ends.
+     */
+    public function trash($type, $filters, $batch_id = null) {
+        $batch_id = $batch_id ?: wp_generate_uuid4();
+        $deleted = $this->get_repository($type)->trash_events($filters, $batch_id);
+        $window = $this->get_undo_window();
+
+        if ($deleted > 0) {
+            wp_schedule_single_event(time() + $window, self::PURGE_HOOK, [$batch_id]);
+            $this->clear_dashboard_cache();
+        }
+
+        return [
+            'batch' => $deleted > 0 ? $batch_id : null,
+            'type' => $type,
+            'deleted' => $deleted,
+            'undo_until' => gmdate('Y-m-d H:i:s', time() + $window),
+        ];
+    }
+
+    /**
+     * Restore a batch of trashed events.
+     *
+     * @since    1.9.0
+     * @param    string    $batch_id    The batch ID.
+     * @return   int                    The number of events restored, 0 if the batch was already purged.
+     */
+    public function restore($batch_id) {
+        $restored = 0;
+
+        foreach (array_keys(self::TYPES) as $type) {
+            $restored += $this->get_repository($type)->restore_trashed_events($batch_id);
+        }
+
+        if ($restored > 0) {
+            wp_clear_scheduled_hook(self::PURGE_HOOK, [$batch_id]);
+            $this->clear_dashboard_cache();
+        }
+
+        return $restored;
+    }
+
+    /**
+     * Permanently delete a batch of trashed events.
+     *
+     * Hooked to the PURGE_HOOK event. Also purges anything left over from
+     * batches whose event never ran, e.g. because WP-Cron was disabled.
+     *
+     * @since    1.9.0
+     * @param    string    $batch_id    The batch ID.
+     * @return   int                    The number of events deleted.
+     */
+    public function purge($batch_id) {
+        $before = gmdate('Y-m-d H:i:s', time() - $this->get_undo_window());
+        $purged = 0;
+
+        foreach (array_keys(self::TYPES) as $type) {
+            $repository = $this->get_repository($type);
+            $purged += $repository->purge_trashed_events($batch_id);
+            $purged += $repository->purge_trash_before($before);
+        }
+
+        return $purged;
+    }
+
+    /**
+     * Get the repository for an event type.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string    $type    'monitoring' or 'legacy'.
+     * @return   Status_Sentry_Monitoring_Events_Repository|Status_Sentry_Events_Repository    The repository.
+     */
+    private function get_repository($type) {
+        static $repositories = [];
+
+        if (!isset($repositories[$type])) {
+            if ($type === 'legacy') {
+                require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-events-repository.php';
+            } else {
+                require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-monitoring-events-repository.php';
+            }
+
+            $class = self::TYPES[$type];
+            $repositories[$type] = new $class();
+        }
+
+        return $repositories[$type];
+    }
+
+    /**
+     * Delete the cached dashboard data so it reflects the change.
+     *
+     * @since    1.9.0
+     * @access   private
+     */
+    private function clear_dashboard_cache() {
+        delete_transient('status_sentry_dashboard_recent');
+        delete_transient('status_sentry_dashboard_overview');
+        delete_transient('status_sentry_dashboard_trends');
+    }
+}
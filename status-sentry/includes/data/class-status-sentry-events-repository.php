@@ -28,6 +28,23 @@ class Status_Sentry_Events_Repository {
      */
     private $table_name;
 
+    /**
+     * The events trash table name.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      string    $trash_table_name    The events trash table name.
+     */
+    private $trash_table_name;
+
+    /**
+     * The events table columns, as copied to and from the trash.
+     *
+     * @since    1.9.0
+     * @var      string
+     */
+    const COLUMNS = 'id, feature, hook, data, event_time, processed_time';
+
     /**
      * Initialize the class and set its properties.
      *
@@ -36,6 +53,7 @@ class Status_Sentry_Events_Repository {
     public function __construct() {
         global $wpdb;
         $this->table_name = $wpdb->prefix . 'status_sentry_events';
+        $this->trash_table_name = $wpdb->prefix . 'status_sentry_events_trash';
     }
 
     /**
@@ -213,6 +231,89 @@ class Status_Sentry_Events_Repository {
         return $event;
     }
 
+    /**
+     * Get a page of events, newest first.
+     *
+     * Pass the `next_cursor` of one page as the `$cursor` of the next.
+     *
+     * @since    1.9.0
+     * @param    int       $cursor    Only return events with an ID below this one, or 0 for the first page.
+     * @param    int       $limit     The maximum number of events to get.
+     * @param    array     $ids       Optional. Only return the events with these IDs.
+     * @return   array                The events and the cursor of the next page (null on the last page).
+     */
+    public function query_events($cursor = 0, $limit = 50, $ids = []) {
+        global $wpdb;
+
+        // Check if the table exists
+        if (!$this->table_exists()) {
+            return ['events' => [], 'next_cursor' => null];
+        }
+
+        $conditions = $this->get_ids_conditions($ids);
+        if ($cursor > 0) {
+            $conditions[] = $wpdb->prepare('id < %d', $cursor);
+        }
+        $where = empty($conditions) ? '' : 'WHERE ' . implode(' AND ', $conditions);
+
+        // Fetch one extra row to find out whether there is a next page
+        $events = $wpdb->get_results($wpdb->prepare(
+            "SELECT " . self::COLUMNS . " FROM {$this->table_name} {$where} ORDER BY id DESC LIMIT %d",
+            (int) $limit + 1
+        ));
+
+        if ($wpdb->last_error) {
+            error_log("Status Sentry: Database error in query_events: {$wpdb->last_error}");
+            return ['events' => [], 'next_cursor' => null];
+        }
+
+        $next_cursor = null;
+        if (count($events) > $limit) {
+            $events = array_slice($events, 0, $limit);
+            $next_cursor = (int) end($events)->id;
+        }
+
+        return [
+            'events' => $events,
+            'next_cursor' => $next_cursor,
+        ];
+    }
+
+    /**
+     * Count all events.
+     *
+     * @since    1.9.0
+     * @param    array    $ids    Optional. Only count the events with these IDs.
+     * @return   int              The number of events.
+     */
+    public function count_events($ids = []) {
+        global $wpdb;
+
+        // Check if the table exists
+        if (!$this->table_exists()) {
+            return 0;
+        }
+
+        $conditions = $this->get_ids_conditions($ids);
+        $where = empty($conditions) ? '' : 'WHERE ' . implode(' AND ', $conditions);
+
+        return (int) $wpdb->get_var("SELECT COUNT(*) FROM {$this->table_name} {$where}");
+    }
+
+    /**
+     * Get the SQL condition limiting events to a list of IDs.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array    $ids    The event IDs, or an empty array for all events.
+     * @return   array            The condition, or none for all events.
+     */
+    private function get_ids_conditions($ids) {
+        $ids = array_filter(array_map('intval', (array) $ids));
+
+        return empty($ids) ? [] : ['id IN (' . implode(',', $ids) . ')'];
+    }
+
     /**
      * Clear all events from the table.
      *
@@ -246,4 +347,171 @@ class Status_Sentry_Events_Repository {
 
         return $count;
     }
+
+    /**
+     * Ensure the events trash table exists.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the table exists or was successfully created.
+     */
+    public function ensure_trash_table_exists() {
+        global $wpdb;
+        static $exists = null;
+
+        if ($exists === null) {
+            $exists = $wpdb->get_var("SHOW TABLES LIKE '{$this->trash_table_name}'") == $this->trash_table_name;
+
+            if (!$exists) {
+                require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/db/migrations/015_create_event_trash_tables.php';
+                $migration = new Status_Sentry_Migration_CreateEventTrashTables();
+                $exists = $migration->up();
+            }
+        }
+
+        return $exists;
+    }
+
+    /**
+     * Move events to the trash.
+     *
+     * Trashed events can be restored with restore_trashed_events() until
+     * the batch is purged.
+     *
+     * Supported filters:
+     * - ids:    array of event IDs
+     * - before: event time the events must be older than (exclusive, Y-m-d H:i:s in the site timezone)
+     *
+     * @since    1.9.0
+     * @param    array     $filters     The filters.
+     * @param    string    $batch_id    The ID to restore or purge the events by.
+     * @return   int                    The number of events trashed.
+     */
+    public function trash_events($filters, $batch_id) {
+        global $wpdb;
+
+        if (!$this->table_exists() || !$this->ensure_trash_table_exists()) {
+            return 0;
+        }
+
+        $where = [];
+        $params = [$batch_id, current_time('mysql', true)];
+
+        if (isset($filters['ids'])) {
+            // An empty list matches nothing rather than everything
+            $ids = array_filter(array_map('intval', (array) $filters['ids']));
+            $where[] = empty($ids) ? '0 = 1' : 'id IN (' . implode(',', $ids) . ')';
+        }
+
+        if (!empty($filters['before'])) {
+            $where[] = 'event_time < %s';
+            $params[] = $filters['before'];
+        }
+
+        $result = $wpdb->query($wpdb->prepare(
+            "INSERT INTO {$this->trash_table_name} (" . self::COLUMNS . ", batch_id, trashed_at)
+            SELECT " . self::COLUMNS . ", %s, %s
+            FROM {$this->table_name}
+            " . (empty($where) ? '' : 'WHERE ' . implode(' AND ', $where)),
+            $params
+        ));
+
+        if ($result === false) {
+            error_log("Status Sentry: Database error in trash_events: {$wpdb->last_error}");
+            return 0;
+        }
+
+        // Delete exactly the rows that were copied, even if more matching events arrived meanwhile
+        $result = $wpdb->query($wpdb->prepare(
+            "DELETE e FROM {$this->table_name} e
+            INNER JOIN {$this->trash_table_name} t ON t.id = e.id
+            WHERE t.batch_id = %s",
+            $batch_id
+        ));
+
+        if ($result === false) {
+            error_log("Status Sentry: Database error in trash_events: {$wpdb->last_error}");
+            $wpdb->query($wpdb->prepare("DELETE FROM {$this->trash_table_name} WHERE batch_id = %s", $batch_id));
+            return 0;
+        }
+
+        return (int) $result;
+    }
+
+    /**
+     * Restore a batch of trashed events.
+     *
+     * @since    1.9.0
+     * @param    string    $batch_id    The batch ID passed to trash_events().
+     * @return   int                    The number of events restored.
+     */
+    public function restore_trashed_events($batch_id) {
+        global $wpdb;
+
+        if (!$this->ensure_trash_table_exists()) {
+            return 0;
+        }
+
+        $result = $wpdb->query($wpdb->prepare(
+            "INSERT INTO {$this->table_name} (" . self::COLUMNS . ")
+            SELECT " . self::COLUMNS . " FROM {$this->trash_table_name} WHERE batch_id = %s",
+            $batch_id
+        ));
+
+        if ($result === false) {
+            error_log("Status Sentry: Database error in restore_trashed_events: {$wpdb->last_error}");
+            return 0;
+        }
+
+        $wpdb->query($wpdb->prepare("DELETE FROM {$this->trash_table_name} WHERE batch_id = %s", $batch_id));
+
+        return (int) $result;
+    }
+
+    /**
+     * Permanently delete a batch of trashed events.
+     *
+     * @since    1.9.0
+     * @param    string    $batch_id    The batch ID passed to trash_events().
+     * @return   int                    The number of events deleted.
+     */
+    public function purge_trashed_events($batch_id) {
+        return $this->purge_trash('batch_id = %s', $batch_id);
+    }
+
+    /**
+     * Permanently delete events trashed before a given time.
+     *
+     * @since    1.9.0
+     * @param    string    $before    The UTC time (Y-m-d H:i:s).
+     * @return   int                  The number of events deleted.
+     */
+    public function purge_trash_before($before) {
+        return $this->purge_trash('trashed_at < %s', $before);
+    }
+
+    /**
+     * Permanently delete trashed events.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string    $condition    The condition on the trash table, with one placeholder.
+     * @param    string    $value        The placeholder value.
+     * @return   int                     The number of events deleted.
+     */
+    private function purge_trash($condition, $value) {
+        global $wpdb;
+
+        if (!$this->ensure_trash_table_exists()) {
+            return 0;
+        }
+
+        $result = $wpdb->query($wpdb->prepare("DELETE FROM {$this->trash_table_name} WHERE {$condition}", $value));
+
+        if ($result === false) {
+            error_log("Status Sentry: Database error in purge_trash: {$wpdb->last_error}");
+            return 0;
+        }
+
+        return (int) $result;
+    }
 }
@@ -0,0 +1,460 @@
+<?php
+/**
+ * Issues Repository Class
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/data
+ */
+
+/**
+ * Issues Repository Class
+ *
+ * This class groups monitoring events into issues. Events with the same
+ * fingerprint (source, context and normalised message, see
+ * Status_Sentry_Monitoring_Events_Repository::get_fingerprint()) belong to
+ * one issue, which keeps when it was first and last seen, how many events
+ * it has and a status: open, resolved or ignored.
+ *
+ * Only error and critical events become issues; the
+ * status_sentry_issue_event_types filter changes the types. They are
+ * recorded here as they are written. An event matching a resolved issue
+ * reopens it; ignored issues keep counting but stay ignored.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/data
+ */
+class Status_Sentry_Issues_Repository {
+
+    /**
+     * The issues table name.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      string    $table_name    The issues table name.
+     */
+    private $table_name;
+
+    /**
+     * The issue occurrences table name.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      string    $occurrences_table_name    The table counting each issue's events per day.
+     */
+    private $occurrences_table_name;
+
+    /**
+     * The issue statuses.
+     *
+     * @since    1.9.0
+     * @var      array
+     */
+    const STATUSES = ['open', 'resolved', 'ignored'];
+
+    /**
+     * The columns issues can be sorted by.
+     *
+     * @since    1.9.0
+     * @var      array
+     */
+    const ORDERBY = ['last_seen', 'first_seen', 'occurrences'];
+
+    /**
+     * The event types that become issues by default.
+     *
+     * @since    1.9.0
+     * @var      array
+     */
+    const EVENT_TYPES = ['error', 'critical'];
+
+    /**
+     * Initialize the class and set its properties.
+     *
+     * @since    1.9.0
+     */
+    public function __construct() {
+        global $wpdb;
+
+        // Issues are grouped by the monitoring events' fingerprint
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-monitoring-events-repository.php';
+
+        $this->table_name = $wpdb->prefix . 'status_sentry_issues';
+        $this->occurrences_table_name = $wpdb->prefix . 'status_sentry_issue_occurrences';
+    }
+
+    /**
+     * Ensure the issues tables exist.
+     *
+     * Migrations only run on activation, so sites updated in place create
+     * the tables on first use.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the tables exist or were successfully created.
+     */
+    public function ensure_tables_exist() {
+        global $wpdb;
+        static $exists = null;
+
+        if ($exists === null) {
+            $exists = $wpdb->get_var("SHOW TABLES LIKE '{$this->occurrences_table_name}'") == $this->occurrences_table_name;
+
+            if (!$exists) {
+                require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/db/migrations/016_create_issues_tables.php';
+                $migration = new Status_Sentry_Migration_CreateIssuesTables();
+                $exists = $migration->up();
+            }
+        }
+
+        return $exists;
+    }
+
+    /**
+     * Get the event types that become issues.
+     *
+     * @since    1.9.0
+     * @return   array    The event types.
+     */
+    public static function get_event_types() {
+        /**
+         * Filter the monitoring event types that are grouped into issues.
+         *
+         * @since 1.9.0
+         * @param array $event_types The event types, error and critical by default.
+         */
+        return array_values(array_map('strval', (array) apply_filters('status_sentry_issue_event_types', self::EVENT_TYPES)));
+    }
+
+    /**
+     * Record a monitoring event as an occurrence of its issue.
+     *
+     * Creates the issue for the first event with a fingerprint. Events of
+     * other types than get_event_types() are skipped.
+     *
+     * @since    1.9.0
+     * @param    object    $event     The monitoring event: id, event_type, source, context, message and timestamp.
+     * @param    bool      $reopen    Whether the event reopens the issue if it was resolved.
+     * @return   bool                 Whether the occurrence was recorded.
+     */
+    public function record_occurrence($event, $reopen = true) {
+        global $wpdb;
+
+        if (!in_array($event->event_type, self::get_event_types(), true)) {
+            return false;
+        }
+
+        if (!$this->ensure_tables_exist()) {
+            return false;
+        }
+
+        $fingerprint = Status_Sentry_Monitoring_Events_Repository::get_fingerprint($event);
+        $now = current_time('mysql', true);
+
+        // Columns are assigned in order, so the reopen times are set before the status changes
+        $reopen_sql = $reopen ?
+            "reopened_at = IF(status = 'resolved', VALUES(created_at), reopened_at),
+            status_changed_at = IF(status = 'resolved', VALUES(created_at), status_changed_at),
+            status = IF(status = 'resolved', 'open', status)," :
+            '';
+
+        $result = $wpdb->query($wpdb->prepare(
+            "INSERT INTO {$this->table_name}
+                (fingerprint, event_type, source, context, message, status, occurrences, first_seen, last_seen, last_event_id, created_at)
+            VALUES (%s, %s, %s, %s, %s, 'open', 1, %s, %s, %d, %s)
+            ON DUPLICATE KEY UPDATE
+                {$reopen_sql}
+                occurrences = occurrences + 1,
+                first_seen = LEAST(IFNULL(first_seen, VALUES(first_seen)), VALUES(first_seen)),
+                last_seen = GREATEST(IFNULL(last_seen, VALUES(last_seen)), VALUES(last_seen)),
+                last_event_id = GREATEST(last_event_id, VALUES(last_event_id)),
+                event_type = VALUES(event_type)",
+            $fingerprint,
+            $event->event_type,
+            $event->source,
+            $event->context,
+            Status_Sentry_Monitoring_Events_Repository::normalize_message($event->message),
+            $event->timestamp,
+            $event->timestamp,
+            (int) $event->id,
+            $now
+        ));
+
+        if ($result === false) {
+            error_log("Status Sentry: Database error in record_occurrence: {$wpdb->last_error}");
+            return false;
+        }
+
+        $wpdb->query($wpdb->prepare(
+            "INSERT INTO {$this->occurrences_table_name} (issue_id, day, event_count)
+            SELECT id, %s, 1 FROM {$this->table_name} WHERE fingerprint = %s
+            ON DUPLICATE KEY UPDATE event_count = event_count + 1",
+            substr($event->timestamp, 0, 10),
+            $fingerprint
+        ));
+
+        return true;
+    }
+
+    /**
+     * Get a page of issues.
+     *
+     * @since    1.9.0
+     * @param    array     $filters    The filters (see build_filter_clauses()).
+     * @param    string    $orderby    One of ORDERBY; sorted newest or largest first.
+     * @param    int       $offset     The number of issues to skip.
+     * @param    int       $limit      The maximum number of issues to get.
+     * @return   array                 The issue rows.
+     */
+    public function query_issues($filters = [], $orderby = 'last_seen', $offset = 0, $limit = 20) {
+        global $wpdb;
+
+        if (!$this->ensure_tables_exist()) {
+            return [];
+        }
+
+        if (!in_array($orderby, self::ORDERBY, true)) {
+            $orderby = 'last_seen';
+        }
+
+        list($where, $params) = $this->build_filter_clauses($filters);
+        $params[] = (int) $limit;
+        $params[] = (int) $offset;
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$this->table_name}
+            " . $this->where_sql($where) . "
+            ORDER BY {$orderby} DESC, id DESC
+            LIMIT %d OFFSET %d",
+            $params
+        ));
+
+        if ($wpdb->last_error) {
+            error_log("Status Sentry: Database error in query_issues: {$wpdb->last_error}");
+            return [];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Count issues per status.
+     *
+     * @since    1.9.0
+     * @param    array     $filters    The filters (see build_filter_clauses()); the status filter is ignored.
+     * @return   array                 Counts keyed by status.
+     */
+    public function count_issues_by_status($filters = []) {
+        global $wpdb;
+
+        $counts = array_fill_keys(self::STATUSES, 0);
+
+        if (!$this->ensure_tables_exist()) {
+            return $counts;
+        }
+
+        unset($filters['status']);
+        list($where, $params) = $this->build_filter_clauses($filters);
+
+        $query = "SELECT status, COUNT(*) AS count FROM {$this->table_name} " . $this->where_sql($where) . " GROUP BY status";
+        $rows = $wpdb->get_results(empty($params) ? $query : $wpdb->prepare($query, $params));
+
+        foreach ((array) $rows as $row) {
+            if (isset($counts[$row->status])) {
+                $counts[$row->status] = (int) $row->count;
+            }
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Get a single issue.
+     *
+     * @since    1.9.0
+     * @param    int       $id    The issue ID.
+     * @return   object|null      The issue row or null if not found.
+     */
+    public function get_issue($id) {
+        global $wpdb;
+
+        if (!$this->ensure_tables_exist()) {
+            return null;
+        }
+
+        return $wpdb->get_row($wpdb->prepare("SELECT * FROM {$this->table_name} WHERE id = %d", $id));
+    }
+
+    /**
+     * Get the issue a monitoring event belongs to.
+     *
+     * @since    1.9.0
+     * @param    object    $event    The monitoring event row.
+     * @return   object|null         The issue row or null if the event wasn't recorded.
+     */
+    public function get_issue_for_event($event) {
+        global $wpdb;
+
+        if (!$this->ensure_tables_exist()) {
+            return null;
+        }
+
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$this->table_name} WHERE fingerprint = %s",
+            Status_Sentry_Monitoring_Events_Repository::get_fingerprint($event)
+        ));
+    }
+
+    /**
+     * Change the status of issues.
+     *
+     * @since    1.9.0
+     * @param    array     $ids       The issue IDs.
+     * @param    string    $status    One of STATUSES.
+     * @return   int|false            The number of issues changed, or false on failure.
+     */
+    public function update_status($ids, $status) {
+        global $wpdb;
+
+        $ids = array_filter(array_map('intval', (array) $ids));
+
+        if (empty($ids) || !in_array($status, self::STATUSES, true) || !$this->ensure_tables_exist()) {
+            return false;
+        }
+
+        $placeholders = implode(', ', array_fill(0, count($ids), '%d'));
+
+        return $wpdb->query($wpdb->prepare(
+            "UPDATE {$this->table_name} SET status = %s, status_changed_at = %s WHERE id IN ($placeholders) AND status <> %s",
+            array_merge([$status, current_time('mysql', true)], $ids, [$status])
+        ));
+    }
+
+    /**
+     * Count the events of issues per day.
+     *
+     * @since    1.9.0
+     * @param    array     $ids     The issue IDs.
+     * @param    int       $days    The number of days, ending today (UTC).
+     * @return   array              For each issue ID, counts keyed by date (Y-m-d), oldest first,
+     *                              including days without events.
+     */
+    public function get_daily_counts($ids, $days = 14) {
+        global $wpdb;
+
+        $empty = [];
+        for ($i = $days - 1; $i >= 0; $i--) {
+            $empty[gmdate('Y-m-d', time() - $i * DAY_IN_SECONDS)] = 0;
+        }
+
+        $ids = array_filter(array_map('intval', (array) $ids));
+        $counts = array_fill_keys($ids, $empty);
+
+        if (empty($ids) || !$this->ensure_tables_exist()) {
+            return $counts;
+        }
+
+        $placeholders = implode(', ', array_fill(0, count($ids), '%d'));
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT issue_id, day, event_count FROM {$this->occurrences_table_name}
+            WHERE issue_id IN ($placeholders) AND day >= %s",
+            array_merge($ids, [array_key_first($empty)])
+        ));
+
+        foreach ((array) $rows as $row) {
+            if (isset($counts[(int) $row->issue_id][$row->day])) {
+                $counts[(int) $row->issue_id][$row->day] = (int) $row->event_count;
+            }
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Reset the issue totals before rebuilding them from the stored events.
+     *
+     * Statuses are kept, so resolved and ignored issues stay that way.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the totals were reset.
+     */
+    public function reset_counts() {
+        global $wpdb;
+
+        if (!$this->ensure_tables_exist()) {
+            return false;
+        }
+
+        $wpdb->query("UPDATE {$this->table_name} SET occurrences = 0, first_seen = NULL, last_seen = NULL, last_event_id = 0");
+        $wpdb->query("DELETE FROM {$this->occurrences_table_name}");
+
+        return !$wpdb->last_error;
+    }
+
+    /**
+     * Delete the issues that have no events left after a rebuild.
+     *
+     * @since    1.9.0
+     * @return   int    The number of issues deleted.
+     */
+    public function delete_empty_issues() {
+        global $wpdb;
+
+        if (!$this->ensure_tables_exist()) {
+            return 0;
+        }
+
+        return (int) $wpdb->query("DELETE FROM {$this->table_name} WHERE occurrences = 0");
+    }
+
+    /**
+     * Build SQL conditions for a set of issue filters.
+     *
+     * Supported filters:
+     * - status:     one of STATUSES
+     * - event_type: array of event types
+     * - search:     text that must appear in the source, context or message
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array     $filters    The filters.
+     * @return   array                 The conditions with placeholders and their values.
+     */
+    private function build_filter_clauses($filters) {
+        global $wpdb;
+
+        $where = [];
+        $params = [];
+
+        if (!empty($filters['status']) && in_array($filters['status'], self::STATUSES, true)) {
+            $where[] = 'status = %s';
+            $params[] = $filters['status'];
+        }
+
+        if (!empty($filters['event_type'])) {
+            $types = array_values((array) $filters['event_type']);
+            $where[] = 'event_type IN (' . implode(', ', array_fill(0, count($types), '%s')) . ')';
+            $params = array_merge($params, $types);
+        }
+
+        if (!empty($filters['search'])) {
+            $like = '%' . $wpdb->esc_like($filters['search']) . '%';
+            $where[] = '(source LIKE %s OR context LIKE %s OR message LIKE %s)';
+            array_push($params, $like, $like, $like);
+        }
+
+        return [$where, $params];
+    }
+
+    /**
+     * Join SQL conditions into a WHERE clause.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array     $where    The conditions.
+     * @return   string              The WHERE clause, or an empty string without conditions.
+     */
+    private function where_sql($where) {
+        return empty($where) ? '' : 'WHERE ' . implode(' AND ', $where);
+    }
+}
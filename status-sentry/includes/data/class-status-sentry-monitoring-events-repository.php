@@ -28,6 +28,61 @@ class Status_Sentry_Monitoring_Events_Repository {
      */
     private $table_name;
 
+    /**
+     * Whether the message FULLTEXT index exists, once checked.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      bool|null    $has_fulltext_index    Whether the message_search index exists.
+     */
+    private $has_fulltext_index = null;
+
+    /**
+     * The event acknowledgements table name.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      string    $acknowledgements_table_name    The event acknowledgements table name.
+     */
+    private $acknowledgements_table_name;
+
+    /**
+     * The monitoring events trash table name.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      string    $trash_table_name    The monitoring events trash table name.
+     */
+    private $trash_table_name;
+
+    /**
+     * The monitoring events table columns, as copied to and from the trash.
+     *
+     * @since    1.9.0
+     * @var      string
+     */
+    const COLUMNS = 'id, event_id, event_type, priority, source, context, message, data, timestamp, created_at';
+
+    /**
+     * The performance metrics recorded in event data.
+     *
+     * @since    1.9.0
+     * @var      array
+     */
+    const PERFORMANCE_METRICS = [
+        'memory_usage', 'memory_peak', 'memory_limit', 'memory_usage_percent',
+        'cpu_load', 'execution_time', 'query_count', 'query_time',
+        'http_requests', 'http_time', 'cache_hits', 'cache_misses'
+    ];
+
+    /**
+     * The acknowledgement statuses.
+     *
+     * @since    1.9.0
+     * @var      array
+     */
+    const ACKNOWLEDGEMENT_STATUSES = ['acknowledged', 'false_positive'];
+
     /**
      * Initialize the class and set its properties.
      *
@@ -36,6 +91,8 @@ class Status_Sentry_Monitoring_Events_Repository {
     public function __construct() {
         global $wpdb;
         $this->table_name = $wpdb->prefix . 'status_sentry_monitoring_events';
+        $this->acknowledgements_table_name = $wpdb->prefix . 'status_sentry_event_acknowledgements';
+        $this->trash_table_name = $wpdb->prefix . 'status_sentry_monitoring_events_trash';
     }
 
     /**
@@ -266,6 +323,844 @@ class Status_Sentry_Monitoring_Events_Repository {
         return $event;
     }
 
+    /**
+     * Get the ID of the most recently stored monitoring event.
+     *
+     * The auto-increment ID is used as a cursor by the dashboard stream,
+     * so clients only receive events stored after the one they last saw.
+     *
+     * @since    1.9.0
+     * @return   int    The latest event ID, or 0 if there are no events.
+     */
+    public function get_latest_id() {
+        global $wpdb;
+
+        // Check if the table exists
+        if (!$this->table_exists()) {
+            return 0;
+        }
+
+        $latest_id = $wpdb->get_var("SELECT MAX(id) FROM {$this->table_name}");
+
+        if ($wpdb->last_error) {
+            error_log("Status Sentry: Database error in get_latest_id: {$wpdb->last_error}");
+            return 0;
+        }
+
+        return (int) $latest_id;
+    }
+
+    /**
+     * Get monitoring events stored after a cursor.
+     *
+     * @since    1.9.0
+     * @param    int       $cursor    The last event ID the caller has seen.
+     * @param    int       $limit     The maximum number of events to get.
+     * @return   array                The monitoring events, oldest first.
+     */
+    public function get_events_since($cursor, $limit = 50) {
+        global $wpdb;
+
+        // Check if the table exists
+        if (!$this->table_exists()) {
+            return [];
+        }
+
+        $query = $wpdb->prepare(
+            "SELECT id, event_id, event_type, priority, source, context, message, data, timestamp, created_at
+            FROM {$this->table_name}
+            WHERE id > %d
+            ORDER BY id ASC
+            LIMIT %d",
+            $cursor,
+            $limit
+        );
+
+        $events = $wpdb->get_results($query);
+
+        if ($wpdb->last_error) {
+            error_log("Status Sentry: Database error in get_events_since: {$wpdb->last_error}");
+            return [];
+        }
+
+        return $events;
+    }
+
+    /**
+     * Query monitoring events matching a set of filters.
+     *
+     * Events are returned newest first and paginated with a keyset cursor:
+     * pass the `next_cursor` of one page as the `$cursor` of the next. Unlike
+     * offset pagination, pages stay stable while new events are recorded.
+     *
+     * @since    1.9.0
+     * @param    array     $filters    The filters (see build_filter_clauses()).
+     * @param    int       $cursor     Only return events with an ID below this one, or 0 for the first page.
+     * @param    int       $limit      The maximum number of events to get.
+     * @return   array                 The events and the cursor of the next page (null on the last page).
+     */
+    public function query_events($filters = [], $cursor = 0, $limit = 50) {
+        global $wpdb;
+
+        // Check if the table exists
+        if (!$this->table_exists()) {
+            return ['events' => [], 'next_cursor' => null];
+        }
+
+        list($where, $params) = $this->build_filter_clauses($filters);
+
+        if ($cursor > 0) {
+            $where[] = 'id < %d';
+            $params[] = (int) $cursor;
+        }
+
+        // Fetch one extra row to find out whether there is a next page
+        $params[] = (int) $limit + 1;
+
+        $query = $wpdb->prepare(
+            "SELECT id, event_id, event_type, priority, source, context, message, data, timestamp, created_at
+            FROM {$this->table_name}
+            " . $this->where_sql($where) . "
+            ORDER BY id DESC
+            LIMIT %d",
+            $params
+        );
+
+        $events = $wpdb->get_results($query);
+
+        if ($wpdb->last_error) {
+            error_log("Status Sentry: Database error in query_events: {$wpdb->last_error}");
+            return ['events' => [], 'next_cursor' => null];
+        }
+
+        $next_cursor = null;
+        if (count($events) > $limit) {
+            $events = array_slice($events, 0, $limit);
+            $next_cursor = (int) end($events)->id;
+        }
+
+        return [
+            'events' => $events,
+            'next_cursor' => $next_cursor,
+        ];
+    }
+
+    /**
+     * Count monitoring events matching a set of filters.
+     *
+     * @since    1.9.0
+     * @param    array     $filters    The filters (see build_filter_clauses()).
+     * @return   int                   The number of matching events.
+     */
+    public function count_events($filters = []) {
+        global $wpdb;
+
+        // Check if the table exists
+        if (!$this->table_exists()) {
+            return 0;
+        }
+
+        list($where, $params) = $this->build_filter_clauses($filters);
+
+        $query = "SELECT COUNT(*) FROM {$this->table_name} " . $this->where_sql($where);
+        if (!empty($params)) {
+            $query = $wpdb->prepare($query, $params);
+        }
+
+        $count = $wpdb->get_var($query);
+
+        if ($wpdb->last_error) {
+            error_log("Status Sentry: Database error in count_events: {$wpdb->last_error}");
+            return 0;
+        }
+
+        return (int) $count;
+    }
+
+    /**
+     * Count monitoring events matching a set of filters, grouped by type.
+     *
+     * @since    1.9.0
+     * @param    array     $filters    The filters (see build_filter_clauses()).
+     * @return   array                 The event counts keyed by event type.
+     */
+    public function get_event_counts_by_type($filters = []) {
+        global $wpdb;
+
+        $counts = array_fill_keys([
+            'info', 'warning', 'error', 'critical',
+            'performance', 'security', 'conflict', 'health'
+        ], 0);
+
+        // Check if the table exists
+        if (!$this->table_exists()) {
+            return $counts;
+        }
+
+        list($where, $params) = $this->build_filter_clauses($filters);
+
+        $query = "SELECT event_type, COUNT(*) as count FROM {$this->table_name} " . $this->where_sql($where) . " GROUP BY event_type";
+        if (!empty($params)) {
+            $query = $wpdb->prepare($query, $params);
+        }
+
+        $results = $wpdb->get_results($query);
+
+        if ($wpdb->last_error) {
+            error_log("Status Sentry: Database error in get_event_counts_by_type: {$wpdb->last_error}");
+            return $counts;
+        }
+
+        foreach ($results as $row) {
+            if (isset($counts[$row->event_type])) {
+                $counts[$row->event_type] = (int) $row->count;
+            }
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Get the fingerprint of a monitoring event.
+     *
+     * Events with the same source, context and normalised message are
+     * occurrences of the same issue.
+     *
+     * @since    1.9.0
+     * @param    object    $event    The monitoring event row.
+     * @return   string              The fingerprint.
+     */
+    public static function get_fingerprint($event) {
+        return md5($event->source . "\n" . $event->context . "\n" . self::normalize_message($event->message));
+    }
+
+    /**
+     * Normalise an event message for grouping.
+     *
+     * Replaces the parts of a message that change between occurrences of
+     * the same problem, like IDs, hashes, counts and durations, so e.g.
+     * "Query took 1.52s" and "Query took 0.98s" group together. Line
+     * numbers are kept, since they tell different warnings apart.
+     *
+     * @since    1.9.0
+     * @param    string    $message    The event message.
+     * @return   string                The normalised message.
+     */
+    public static function normalize_message($message) {
+        $patterns = [
+            '/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/i' => '{uuid}',
+            '/\b0x[0-9a-f]+\b/i' => '{hex}',
+            '/\b(?=[0-9a-f]*\d)[0-9a-f]{16,}\b/i' => '{hex}',
+            '/(?<![\w.])(?<!line )\d+(?:\.\d+)*/' => '{n}',
+            '/\s+/' => ' ',
+        ];
+
+        return trim(preg_replace(array_keys($patterns), array_values($patterns), (string) $message));
+    }
+
+    /**
+     * Get statistics about the events with the same source, context and message as an event.
+     *
+     * @since    1.9.0
+     * @param    object    $event    The monitoring event row.
+     * @return   array               The number of occurrences, the event's position among
+     *                               them, the first and last occurrence times and the IDs of
+     *                               the previous and next occurrences (null if there are none).
+     */
+    public function get_fingerprint_stats($event) {
+        global $wpdb;
+
+        $stats = [
+            'total' => 0,
+            'position' => 0,
+            'first_seen' => null,
+            'last_seen' => null,
+            'previous_id' => null,
+            'next_id' => null,
+        ];
+
+        // Check if the table exists
+        if (!$this->table_exists()) {
+            return $stats;
+        }
+
+        list($where, $params) = $this->build_filter_clauses(['fingerprint' => $event]);
+        $where_sql = $this->where_sql($where);
+
+        $row = $wpdb->get_row($wpdb->prepare(
+            "SELECT COUNT(*) AS total, SUM(id <= %d) AS position, MIN(timestamp) AS first_seen, MAX(timestamp) AS last_seen
+            FROM {$this->table_name} {$where_sql}",
+            array_merge([(int) $event->id], $params)
+        ));
+
+        if ($wpdb->last_error) {
+            error_log("Status Sentry: Database error in get_fingerprint_stats: {$wpdb->last_error}");
+            return $stats;
+        }
+
+        $previous_id = $wpdb->get_var($wpdb->prepare(
+            "SELECT MAX(id) FROM {$this->table_name} {$where_sql} AND id < %d",
+            array_merge($params, [(int) $event->id])
+        ));
+        $next_id = $wpdb->get_var($wpdb->prepare(
+            "SELECT MIN(id) FROM {$this->table_name} {$where_sql} AND id > %d",
+            array_merge($params, [(int) $event->id])
+        ));
+
+        return [
+            'total' => (int) $row->total,
+            'position' => (int) $row->position,
+            'first_seen' => $row->first_seen,
+            'last_seen' => $row->last_seen,
+            'previous_id' => $previous_id ? (int) $previous_id : null,
+            'next_id' => $next_id ? (int) $next_id : null,
+        ];
+    }
+
+    /**
+     * Count the events with the same source, context and message as an event per day.
+     *
+     * @since    1.9.0
+     * @param    object    $event    The monitoring event row.
+     * @param    int       $days     The number of days, ending today (UTC).
+     * @return   array               Counts keyed by date (Y-m-d), oldest first, including days without events.
+     */
+    public function get_fingerprint_daily_counts($event, $days = 30) {
+        global $wpdb;
+
+        $counts = [];
+        for ($i = $days - 1; $i >= 0; $i--) {
+            $counts[gmdate('Y-m-d', time() - $i * DAY_IN_SECONDS)] = 0;
+        }
+
+        // Check if the table exists
+        if (!$this->table_exists()) {
+            return $counts;
+        }
+
+        list($where, $params) = $this->build_filter_clauses([
+            'fingerprint' => $event,
+            'date_from' => array_key_first($counts),
+        ]);
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT DATE(timestamp) AS day, COUNT(*) AS count
+            FROM {$this->table_name} " . $this->where_sql($where) . "
+            GROUP BY DATE(timestamp)",
+            $params
+        ));
+
+        if ($wpdb->last_error) {
+            error_log("Status Sentry: Database error in get_fingerprint_daily_counts: {$wpdb->last_error}");
+            return $counts;
+        }
+
+        foreach ($rows as $row) {
+            if (isset($counts[$row->day])) {
+                $counts[$row->day] = (int) $row->count;
+            }
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Build SQL conditions for a set of event filters.
+     *
+     * Supported filters:
+     * - event_type:   array of event types
+     * - priority_min: minimum priority (inclusive)
+     * - priority_max: maximum priority (inclusive)
+     * - source:       source prefix
+     * - context:      context prefix
+     * - source_pattern:  source pattern, where * matches any characters
+     * - context_pattern: context pattern, where * matches any characters
+     * - date_from:    earliest timestamp (inclusive, Y-m-d or Y-m-d H:i:s)
+     * - date_to:      latest timestamp (inclusive, Y-m-d or Y-m-d H:i:s)
+     * - search:       words that must appear in the message
+     * - acknowledgement: 'open' for events nobody acknowledged, or an
+     *                 acknowledgement status
+     * - ids:          array of event IDs
+     * - fingerprint:  an event; only events with exactly the same source,
+     *                 context and message match
+     * - before:       timestamp the events must be older than (exclusive, Y-m-d H:i:s)
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array     $filters    The filters.
+     * @return   array                 The conditions with placeholders and their values.
+     */
+    private function build_filter_clauses($filters) {
+        global $wpdb;
+
+        $where = [];
+        $params = [];
+
+        if (!empty($filters['event_type'])) {
+            $types = array_values((array) $filters['event_type']);
+            $where[] = 'event_type IN (' . implode(', ', array_fill(0, count($types), '%s')) . ')';
+            $params = array_merge($params, $types);
+        }
+
+        if (isset($filters['priority_min']) && $filters['priority_min'] !== '') {
+            $where[] = 'priority >= %d';
+            $params[] = (int) $filters['priority_min'];
+        }
+
+        if (isset($filters['priority_max']) && $filters['priority_max'] !== '') {
+            $where[] = 'priority <= %d';
+            $params[] = (int) $filters['priority_max'];
+        }
+
+        foreach (['source', 'context'] as $column) {
+            if (!empty($filters[$column])) {
+                // Prefix matches can still use the column index
+                $where[] = "{$column} LIKE %s";
+                $params[] = $wpdb->esc_like($filters[$column]) . '%';
+            }
+
+            if (!empty($filters[$column . '_pattern'])) {
+                $where[] = "{$column} LIKE %s";
+                $params[] = str_replace('*', '%', $wpdb->esc_like($filters[$column . '_pattern']));
+            }
+        }
+
+        if (!empty($filters['date_from'])) {
+            $where[] = 'timestamp >= %s';
+            $params[] = $filters['date_from'];
+        }
+
+        if (!empty($filters['date_to'])) {
+            // A bare date includes the whole day
+            $date_to = $filters['date_to'];
+            if (strlen($date_to) === 10) {
+                $date_to .= ' 23:59:59';
+            }
+
+            $where[] = 'timestamp <= %s';
+            $params[] = $date_to;
+        }
+
+        if (!empty($filters['search'])) {
+            $search_clause = $this->build_search_clause($filters['search']);
+            if ($search_clause !== null) {
+                $where[] = $search_clause[0];
+                $params = array_merge($params, $search_clause[1]);
+            }
+        }
+
+        if (!empty($filters['acknowledgement']) && $this->ensure_acknowledgements_table_exists()) {
+            if ($filters['acknowledgement'] === 'open') {
+                $where[] = "id NOT IN (SELECT event_id FROM {$this->acknowledgements_table_name})";
+            } else {
+                $where[] = "id IN (SELECT event_id FROM {$this->acknowledgements_table_name} WHERE status = %s)";
+                $params[] = $filters['acknowledgement'];
+            }
+        }
+
+        if (isset($filters['ids'])) {
+            // An empty list matches nothing rather than everything
+            $ids = array_filter(array_map('intval', (array) $filters['ids']));
+            $where[] = empty($ids) ? '0 = 1' : 'id IN (' . implode(',', $ids) . ')';
+        }
+
+        if (!empty($filters['fingerprint'])) {
+            $where[] = 'source = %s AND context = %s AND message = %s';
+            $params[] = $filters['fingerprint']->source;
+            $params[] = $filters['fingerprint']->context;
+            $params[] = $filters['fingerprint']->message;
+        }
+
+        if (!empty($filters['before'])) {
+            $where[] = 'timestamp < %s';
+            $params[] = $filters['before'];
+        }
+
+        return [$where, $params];
+    }
+
+    /**
+     * Build the SQL condition for a message search.
+     *
+     * Uses the message_search FULLTEXT index when it exists and every word
+     * is long enough to be indexed; otherwise every word must appear in the
+     * message as a substring.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string    $search    The search terms.
+     * @return   array|null           The condition and its values, or null if there is nothing to search for.
+     */
+    private function build_search_clause($search) {
+        global $wpdb;
+
+        // Strip boolean mode operators so user input is always treated as plain words
+        $words = preg_split('/\s+/', trim(preg_replace('/[+\-<>()~*"@]+/', ' ', $search)), -1, PREG_SPLIT_NO_EMPTY);
+
+        if (empty($words)) {
+            return null;
+        }
+
+        $short_words = array_filter($words, function($word) {
+            return mb_strlen($word) < 3;
+        });
+
+        if (empty($short_words) && $this->has_fulltext_index()) {
+            $terms = array_map(function($word) {
+                return '+' . $word . '*';
+            }, $words);
+
+            return ['MATCH(message) AGAINST (%s IN BOOLEAN MODE)', [implode(' ', $terms)]];
+        }
+
+        $conditions = [];
+        $params = [];
+        foreach ($words as $word) {
+            $conditions[] = 'message LIKE %s';
+            $params[] = '%' . $wpdb->esc_like($word) . '%';
+        }
+
+        return ['(' . implode(' AND ', $conditions) . ')', $params];
+    }
+
+    /**
+     * Check if the message FULLTEXT index exists.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   bool    Whether the message_search index exists.
+     */
+    private function has_fulltext_index() {
+        global $wpdb;
+
+        if ($this->has_fulltext_index === null) {
+            $this->has_fulltext_index = (bool) $wpdb->get_var(
+                "SHOW INDEX FROM {$this->table_name} WHERE Key_name = 'message_search'"
+            );
+        }
+
+        return $this->has_fulltext_index;
+    }
+
+    /**
+     * Join SQL conditions into a WHERE clause.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array     $where    The conditions.
+     * @return   string              The WHERE clause, or an empty string.
+     */
+    private function where_sql($where) {
+        return empty($where) ? '' : 'WHERE ' . implode(' AND ', $where);
+    }
+
+    /**
+     * Ensure the event acknowledgements table exists.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the table exists or was successfully created.
+     */
+    public function ensure_acknowledgements_table_exists() {
+        global $wpdb;
+        static $exists = null;
+
+        if ($exists === null) {
+            $exists = $wpdb->get_var("SHOW TABLES LIKE '{$this->acknowledgements_table_name}'") == $this->acknowledgements_table_name;
+
+            if (!$exists) {
+                require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/db/migrations/014_create_event_acknowledgements_table.php';
+                $migration = new Status_Sentry_Migration_CreateEventAcknowledgementsTable();
+                $exists = $migration->up();
+            }
+        }
+
+        return $exists;
+    }
+
+    /**
+     * Acknowledge monitoring events.
+     *
+     * Acknowledging an event again replaces its status.
+     *
+     * @since    1.9.0
+     * @param    array     $ids       The event IDs.
+     * @param    string    $status    'acknowledged' or 'false_positive'.
+     * @return   int                  The number of events acknowledged.
+     */
+    public function acknowledge_events($ids, $status = 'acknowledged') {
+        global $wpdb;
+
+        $ids = array_filter(array_map('intval', (array) $ids));
+        if (empty($ids) || !in_array($status, self::ACKNOWLEDGEMENT_STATUSES, true) || !$this->ensure_acknowledgements_table_exists()) {
+            return 0;
+        }
+
+        $user_id = get_current_user_id();
+        $now = current_time('mysql', true);
+        $acknowledged = 0;
+
+        foreach ($ids as $id) {
+            $result = $wpdb->replace(
+                $this->acknowledgements_table_name,
+                [
+                    'event_id' => $id,
+                    'status' => $status,
+                    'user_id' => $user_id,
+                    'created_at' => $now,
+                ],
+                ['%d', '%s', '%d', '%s']
+            );
+
+            if ($result === false) {
+                error_log("Status Sentry: Database error in acknowledge_events: {$wpdb->last_error}");
+                continue;
+            }
+
+            $acknowledged++;
+        }
+
+        return $acknowledged;
+    }
+
+    /**
+     * Reopen acknowledged monitoring events.
+     *
+     * @since    1.9.0
+     * @param    array     $ids    The event IDs.
+     * @return   int               The number of events reopened.
+     */
+    public function unacknowledge_events($ids) {
+        global $wpdb;
+
+        $ids = array_filter(array_map('intval', (array) $ids));
+        if (empty($ids) || !$this->ensure_acknowledgements_table_exists()) {
+            return 0;
+        }
+
+        $result = $wpdb->query(
+            "DELETE FROM {$this->acknowledgements_table_name} WHERE event_id IN (" . implode(',', $ids) . ")"
+        );
+
+        return $result === false ? 0 : (int) $result;
+    }
+
+    /**
+     * Get the acknowledgements of monitoring events.
+     *
+     * @since    1.9.0
+     * @param    array     $ids    The event IDs.
+     * @return   array             Acknowledgements keyed by event ID. Each has status,
+     *                             user_id and created_at (UTC).
+     */
+    public function get_acknowledgements($ids) {
+        global $wpdb;
+
+        $ids = array_filter(array_map('intval', (array) $ids));
+        if (empty($ids) || !$this->ensure_acknowledgements_table_exists()) {
+            return [];
+        }
+
+        $rows = $wpdb->get_results(
+            "SELECT event_id, status, user_id, created_at FROM {$this->acknowledgements_table_name}
+            WHERE event_id IN (" . implode(',', $ids) . ")",
+            ARRAY_A
+        );
+
+        $acknowledgements = [];
+        foreach ($rows ?: [] as $row) {
+            $acknowledgements[(int) $row['event_id']] = [
+                'status' => $row['status'],
+                'user_id' => (int) $row['user_id'],
+                'created_at' => $row['created_at'],
+            ];
+        }
+
+        return $acknowledgements;
+    }
+
+    /**
+     * Ensure the monitoring events trash table exists.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the table exists or was successfully created.
+     */
+    public function ensure_trash_table_exists() {
+        global $wpdb;
+        static $exists = null;
+
+        if ($exists === null) {
+            $exists = $wpdb->get_var("SHOW TABLES LIKE '{$this->trash_table_name}'") == $this->trash_table_name;
+
+            if (!$exists) {
+                require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/db/migrations/015_create_event_trash_tables.php';
+                $migration = new Status_Sentry_Migration_CreateEventTrashTables();
+                $exists = $migration->up();
+            }
+        }
+
+        return $exists;
+    }
+
+    /**
+     * Move monitoring events matching a set of filters to the trash.
+     *
+     * Trashed events no longer show up anywhere, but can be restored with
+     * restore_trashed_events() until the batch is purged. Their
+     * acknowledgements are kept until then.
+     *
+     * @since    1.9.0
+     * @param    array     $filters     The filters (see build_filter_clauses()).
+     * @param    string    $batch_id    The ID to restore or purge the events by.
+     * @return   int                    The number of events trashed.
+     */
+    public function trash_events($filters, $batch_id) {
+        global $wpdb;
+
+        if (!$this->table_exists() || !$this->ensure_trash_table_exists()) {
+            return 0;
+        }
+
+        list($where, $params) = $this->build_filter_clauses($filters);
+
+        $result = $wpdb->query($wpdb->prepare(
+            "INSERT INTO {$this->trash_table_name} (" . self::COLUMNS . ", batch_id, trashed_at)
+            SELECT " . self::COLUMNS . ", %s, %s
+            FROM {$this->table_name}
+            " . $this->where_sql($where),
+            array_merge([$batch_id, current_time('mysql', true)], $params)
+        ));
+
+        if ($result === false) {
+            error_log("Status Sentry: Database error in trash_events: {$wpdb->last_error}");
+            return 0;
+        }
+
+        // Delete exactly the rows that were copied, even if more matching events arrived meanwhile
+        $result = $wpdb->query($wpdb->prepare(
+            "DELETE e FROM {$this->table_name} e
+            INNER JOIN {$this->trash_table_name} t ON t.id = e.id
+            WHERE t.batch_id = %s",
+            $batch_id
+        ));
+
+        if ($result === false) {
+            error_log("Status Sentry: Database error in trash_events: {$wpdb->last_error}");
+            $wpdb->query($wpdb->prepare("DELETE FROM {$this->trash_table_name} WHERE batch_id = %s", $batch_id));
+            return 0;
+        }
+
+        return (int) $result;
+    }
+
+    /**
+     * Restore a batch of trashed monitoring events.
+     *
+     * @since    1.9.0
+     * @param    string    $batch_id    The batch ID passed to trash_events().
+     * @return   int                    The number of events restored.
+     */
+    public function restore_trashed_events($batch_id) {
+        global $wpdb;
+
+        if (!$this->ensure_trash_table_exists()) {
+            return 0;
+        }
+
+        $result = $wpdb->query($wpdb->prepare(
+            "INSERT INTO {$this->table_name} (" . self::COLUMNS . ")
+            SELECT " . self::COLUMNS . " FROM {$this->trash_table_name} WHERE batch_id = %s",
+            $batch_id
+        ));
+
+        if ($result === false) {
+            error_log("Status Sentry: Database error in restore_trashed_events: {$wpdb->last_error}");
+            return 0;
+        }
+
+        $wpdb->query($wpdb->prepare("DELETE FROM {$this->trash_table_name} WHERE batch_id = %s", $batch_id));
+
+        return (int) $result;
+    }
+
+    /**
+     * Permanently delete a batch of trashed monitoring events.
+     *
+     * @since    1.9.0
+     * @param    string    $batch_id    The batch ID passed to trash_events().
+     * @return   int                    The number of events deleted.
+     */
+    public function purge_trashed_events($batch_id) {
+        return $this->purge_trash('batch_id = %s', $batch_id);
+    }
+
+    /**
+     * Permanently delete monitoring events trashed before a given time.
+     *
+     * @since    1.9.0
+     * @param    string    $before    The UTC time (Y-m-d H:i:s).
+     * @return   int                  The number of events deleted.
+     */
+    public function purge_trash_before($before) {
+        return $this->purge_trash('trashed_at < %s', $before);
+    }
+
+    /**
+     * Permanently delete trashed monitoring events and their acknowledgements.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string    $condition    The condition on the trash table, with one placeholder.
+     * @param    string    $value        The placeholder value.
+     * @return   int                     The number of events deleted.
+     */
+    private function purge_trash($condition, $value) {
+        global $wpdb;
+
+        if (!$this->ensure_trash_table_exists()) {
+            return 0;
+        }
+
+        if ($this->ensure_acknowledgements_table_exists()) {
+            $wpdb->query($wpdb->prepare(
+                "DELETE FROM {$this->acknowledgements_table_name}
+                WHERE event_id IN (SELECT id FROM {$this->trash_table_name} WHERE {$condition})",
+                $value
+            ));
+        }
+
+        $result = $wpdb->query($wpdb->prepare("DELETE FROM {$this->trash_table_name} WHERE {$condition}", $value));
+
+        if ($result === false) {
+            error_log("Status Sentry: Database error in purge_trash: {$wpdb->last_error}");
+            return 0;
+        }
+
+        return (int) $result;
+    }
+
+    /**
+     * Extract performance metrics from event data.
+     *
+     * @since    1.9.0
+     * @param    array    $data    The decoded event data.
+     * @return   array             The performance metrics found in the data, keyed by metric.
+     */
+    public static function extract_performance_metrics($data) {
+        $metrics = [];
+
+        if (!is_array($data)) {
+            return $metrics;
+        }
+
+        foreach (self::PERFORMANCE_METRICS as $key) {
+            if (isset($data[$key])) {
+                $metrics[$key] = $data[$key];
+            }
+        }
+
+        return $metrics;
+    }
+
     /**
      * Clear all monitoring events from the table.
      *
@@ -297,6 +1192,10 @@ class Status_Sentry_Monitoring_Events_Repository {
 
         error_log("Status Sentry: Deleted {$count} monitoring events from {$this->table_name}");
 
+        if ($this->ensure_acknowledgements_table_exists()) {
+            $wpdb->query("DELETE FROM {$this->acknowledgements_table_name}");
+        }
+
         return $count;
     }
 }
@@ -55,13 +55,14 @@ class Status_Sentry_Sampling_Manager {
     /**
      * Check if an event is high priority and should always be sampled.
      *
+     * High-priority events are sampled at any rate above 0.
+     *
      * @since    1.0.0
-     * @access   private
      * @param    string    $feature    The feature this hook belongs to.
      * @param    string    $hook       The name of the WordPress hook.
      * @return   bool                  Whether the event is high priority.
      */
-    private function is_high_priority_event(string $feature, string $hook): bool {
+    public function is_high_priority_event(string $feature, string $hook): bool {
         // Define high-priority events
         $high_priority_events = [
             'conflict_detection' => ['activated_plugin', 'deactivated_plugin'],
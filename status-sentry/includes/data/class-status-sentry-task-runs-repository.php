@@ -0,0 +1,239 @@
+<?php
+/**
+ * Task Runs Repository Class
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/data
+ */
+
+/**
+ * Task Runs Repository Class
+ *
+ * This class reads the task runs the self-monitor records for every
+ * scheduled Status Sentry task (see Status_Sentry_Self_Monitor), to show
+ * how much time and memory the plugin itself uses.
+ *
+ * Run times are stored in the site's time zone. Filters take UTC times
+ * and convert them.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/data
+ */
+class Status_Sentry_Task_Runs_Repository {
+
+    /**
+     * The task runs table name.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      string    $table_name    The task runs table name.
+     */
+    private $table_name;
+
+    /**
+     * The task run statuses.
+     *
+     * @since    1.9.0
+     * @var      array
+     */
+    const STATUSES = ['running', 'completed', 'partial', 'failed', 'aborted'];
+
+    /**
+     * Initialize the class and set its properties.
+     *
+     * @since    1.9.0
+     */
+    public function __construct() {
+        global $wpdb;
+        $this->table_name = $wpdb->prefix . 'status_sentry_task_runs';
+    }
+
+    /**
+     * Get a page of task runs, newest first.
+     *
+     * @since    1.9.0
+     * @param    array    $filters    The filters (see build_filter_clauses()).
+     * @param    int      $offset     The number of runs to skip.
+     * @param    int      $limit      The maximum number of runs to get.
+     * @return   array                The task run rows.
+     */
+    public function query_runs($filters = [], $offset = 0, $limit = 20) {
+        global $wpdb;
+
+        if (!$this->table_exists()) {
+            return [];
+        }
+
+        list($where, $params) = $this->build_filter_clauses($filters);
+        $params[] = (int) $limit;
+        $params[] = (int) $offset;
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$this->table_name}
+            " . $this->where_sql($where) . "
+            ORDER BY start_time DESC, id DESC
+            LIMIT %d OFFSET %d",
+            $params
+        ));
+
+        if ($wpdb->last_error) {
+            error_log("Status Sentry: Database error in query_runs: {$wpdb->last_error}");
+            return [];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Count task runs.
+     *
+     * @since    1.9.0
+     * @param    array    $filters    The filters (see build_filter_clauses()).
+     * @return   int                  The number of runs.
+     */
+    public function count_runs($filters = []) {
+        global $wpdb;
+
+        if (!$this->table_exists()) {
+            return 0;
+        }
+
+        list($where, $params) = $this->build_filter_clauses($filters);
+        $query = "SELECT COUNT(*) FROM {$this->table_name} " . $this->where_sql($where);
+
+        return (int) $wpdb->get_var(empty($params) ? $query : $wpdb->prepare($query, $params));
+    }
+
+    /**
+     * Get the duration and memory use of finished task runs, newest first.
+     *
+     * A run's memory use is its peak memory less its memory at the start.
+     *
+     * @since    1.9.0
+     * @param    array    $filters    The filters (see build_filter_clauses()).
+     * @param    int      $limit      The maximum number of runs to get.
+     * @return   array                Rows with the task name, tier, status, start time,
+     *                                duration and memory_used.
+     */
+    public function get_finished_runs($filters = [], $limit = 5000) {
+        global $wpdb;
+
+        if (!$this->table_exists()) {
+            return [];
+        }
+
+        list($where, $params) = $this->build_filter_clauses($filters);
+        $where[] = 'end_time IS NOT NULL';
+        $params[] = (int) $limit;
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT task_name, tier, status, start_time, duration, GREATEST(memory_peak - memory_start, 0) AS memory_used
+            FROM {$this->table_name}
+            " . $this->where_sql($where) . "
+            ORDER BY start_time DESC
+            LIMIT %d",
+            $params
+        ));
+
+        if ($wpdb->last_error) {
+            error_log("Status Sentry: Database error in get_finished_runs: {$wpdb->last_error}");
+            return [];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Get the names of the tasks that have runs.
+     *
+     * @since    1.9.0
+     * @return   array    The task names, sorted.
+     */
+    public function get_task_names() {
+        global $wpdb;
+
+        if (!$this->table_exists()) {
+            return [];
+        }
+
+        return $wpdb->get_col("SELECT DISTINCT task_name FROM {$this->table_name} ORDER BY task_name");
+    }
+
+    /**
+     * Check that the task runs table exists.
+     *
+     * The self-monitor creates it when the first task starts.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   bool    Whether the table exists.
+     */
+    private function table_exists() {
+        global $wpdb;
+        static $exists = null;
+
+        if ($exists === null) {
+            $exists = $wpdb->get_var("SHOW TABLES LIKE '{$this->table_name}'") == $this->table_name;
+        }
+
+        return $exists;
+    }
+
+    /**
+     * Build the SQL conditions for a set of filters.
+     *
+     * Supported filters:
+     * - task_name: the task name
+     * - tier:      the task tier
+     * - status:    one of STATUSES
+     * - date_from: earliest start time (inclusive, UTC Y-m-d H:i:s)
+     * - date_to:   latest start time (inclusive, UTC Y-m-d H:i:s)
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array     $filters    The filters.
+     * @return   array                 The conditions with placeholders and their values.
+     */
+    private function build_filter_clauses($filters) {
+        $where = [];
+        $params = [];
+
+        foreach (['task_name', 'tier'] as $column) {
+            if (!empty($filters[$column])) {
+                $where[] = "{$column} = %s";
+                $params[] = $filters[$column];
+            }
+        }
+
+        if (!empty($filters['status']) && in_array($filters['status'], self::STATUSES, true)) {
+            $where[] = 'status = %s';
+            $params[] = $filters['status'];
+        }
+
+        if (!empty($filters['date_from'])) {
+            $where[] = 'start_time >= %s';
+            $params[] = get_date_from_gmt($filters['date_from']);
+        }
+
+        if (!empty($filters['date_to'])) {
+            $where[] = 'start_time <= %s';
+            $params[] = get_date_from_gmt($filters['date_to']);
+        }
+
+        return [$where, $params];
+    }
+
+    /**
+     * Join SQL conditions into a WHERE clause.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array     $where    The conditions.
+     * @return   string              The WHERE clause, or an empty string without conditions.
+     */
+    private function where_sql($where) {
+        return empty($where) ? '' : 'WHERE ' . implode(' AND ', $where);
+    }
+}
@@ -19,6 +19,11 @@
  * - Retrieve cached results
  * - Automatically expire old cache entries
  * - Provide a simple API for query caching
+ * - Count hits and misses per group, and summarize the groups for the cache inspector
+ *
+ * Hits and misses are counted in memory and added to the group's row in the
+ * stats table once per request, on shutdown. The counts are incremented in
+ * the UPDATE itself, so concurrent requests don't lose each other's counts.
  *
  * @since      1.2.0
  * @package    Status_Sentry
@@ -44,6 +49,23 @@ class Status_Sentry_Query_Cache {
      */
     private $default_ttl;
 
+    /**
+     * The table the hit and miss counts are kept in, without the table prefix.
+     *
+     * @since    1.9.0
+     * @var      string
+     */
+    const STATS_TABLE = 'status_sentry_query_cache_stats';
+
+    /**
+     * The hits and misses of this request that haven't been saved, keyed by group.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      array    $unsaved_stats    The counts keyed by group.
+     */
+    private static $unsaved_stats = [];
+
     /**
      * Initialize the class and set its properties.
      *
@@ -83,6 +105,8 @@ class Status_Sentry_Query_Cache {
             )
         );
 
+        $this->record_lookup($group, $cache_data !== null);
+
         if ($cache_data === null) {
             return false;
         }
@@ -129,8 +153,8 @@ class Status_Sentry_Query_Cache {
             return false;
         }
 
-        // Calculate expiration time
-        $expires_at = date('Y-m-d H:i:s', time() + $ttl);
+        // Calculate expiration time in the site's time zone, like the times it is compared with
+        $expires_at = date('Y-m-d H:i:s', strtotime(current_time('mysql')) + $ttl);
 
         // Check if the cache entry already exists
         $existing = $wpdb->get_var(
@@ -274,6 +298,181 @@ class Status_Sentry_Query_Cache {
         return $result;
     }
 
+    /**
+     * Summarize the cache groups.
+     *
+     * Each group's entries are split by how long they have left: expired,
+     * up to 5 minutes, up to an hour, up to a day, and longer.
+     *
+     * @since    1.9.0
+     * @return   array    Rows with the group, its entry count, its size in bytes, the oldest and
+     *                    newest entry (in the site's time zone) and the expiry counts.
+     */
+    public function get_group_summaries() {
+        global $wpdb;
+
+        // Ensure the table exists
+        if (!$this->ensure_table_exists()) {
+            return [];
+        }
+
+        $now = strtotime(current_time('mysql'));
+        $format = 'Y-m-d H:i:s';
+
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT cache_group, COUNT(*) AS entries, SUM(LENGTH(cache_data)) AS size,
+                    MIN(created_at) AS oldest, MAX(created_at) AS newest,
+                    SUM(expires_at <= %s) AS expired,
+                    SUM(expires_at > %s AND expires_at <= %s) AS within_5_minutes,
+                    SUM(expires_at > %s AND expires_at <= %s) AS within_1_hour,
+                    SUM(expires_at > %s AND expires_at <= %s) AS within_1_day,
+                    SUM(expires_at > %s) AS later
+                FROM {$this->table_name}
+                GROUP BY cache_group
+                ORDER BY cache_group",
+                date($format, $now),
+                date($format, $now),
+                date($format, $now + 300),
+                date($format, $now + 300),
+                date($format, $now + 3600),
+                date($format, $now + 3600),
+                date($format, $now + 86400),
+                date($format, $now + 86400)
+            ),
+            ARRAY_A
+        );
+
+        if ($wpdb->last_error) {
+            error_log('Status Sentry: Failed to summarize cache groups - ' . $wpdb->last_error);
+            return [];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Get the hits and misses counted per group.
+     *
+     * @since    1.9.0
+     * @return   array    The UTC time counting started ('since', or null) and the counts
+     *                    keyed by group ('groups').
+     */
+    public function get_stats() {
+        global $wpdb;
+
+        $stats = [
+            'since' => null,
+            'groups' => [],
+        ];
+
+        if (!self::ensure_stats_table_exists()) {
+            return $stats;
+        }
+
+        $table_name = $wpdb->prefix . self::STATS_TABLE;
+        $rows = $wpdb->get_results("SELECT cache_group, hits, misses, created_at FROM $table_name ORDER BY cache_group", ARRAY_A);
+
+        foreach ((array) $rows as $row) {
+            $stats['groups'][$row['cache_group']] = [
+                'hits' => (int) $row['hits'],
+                'misses' => (int) $row['misses'],
+            ];
+
+            if ($stats['since'] === null || $row['created_at'] < $stats['since']) {
+                $stats['since'] = $row['created_at'];
+            }
+        }
+
+        return $stats;
+    }
+
+    /**
+     * Save the hits and misses of this request.
+     *
+     * Hooked to shutdown by the first lookup of a request.
+     *
+     * @since    1.9.0
+     */
+    public static function save_stats() {
+        global $wpdb;
+
+        if (empty(self::$unsaved_stats)) {
+            return;
+        }
+
+        $unsaved_stats = self::$unsaved_stats;
+        self::$unsaved_stats = [];
+
+        if (!self::ensure_stats_table_exists()) {
+            return;
+        }
+
+        $table_name = $wpdb->prefix . self::STATS_TABLE;
+        $now = gmdate('Y-m-d H:i:s');
+
+        foreach ($unsaved_stats as $group => $counts) {
+            $result = $wpdb->query($wpdb->prepare(
+                "INSERT INTO $table_name (cache_group, hits, misses, created_at)
+                VALUES (%s, %d, %d, %s)
+                ON DUPLICATE KEY UPDATE hits = hits + VALUES(hits), misses = misses + VALUES(misses)",
+                $group,
+                $counts['hits'],
+                $counts['misses'],
+                $now
+            ));
+
+            if ($result === false) {
+                error_log('Status Sentry: Failed to save query cache stats - ' . $wpdb->last_error);
+            }
+        }
+    }
+
+    /**
+     * Count a lookup as a hit or a miss.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string    $group    The cache group.
+     * @param    bool      $hit      Whether the value was cached.
+     */
+    private function record_lookup($group, $hit) {
+        if (empty(self::$unsaved_stats)) {
+            add_action('shutdown', [self::class, 'save_stats']);
+        }
+
+        if (!isset(self::$unsaved_stats[$group])) {
+            self::$unsaved_stats[$group] = ['hits' => 0, 'misses' => 0];
+        }
+
+        self::$unsaved_stats[$group][$hit ? 'hits' : 'misses']++;
+    }
+
+    /**
+     * Ensure the stats table exists, creating it if needed.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   bool    Whether the table exists.
+     */
+    private static function ensure_stats_table_exists() {
+        global $wpdb;
+        static $exists = null;
+
+        if ($exists === null) {
+            $table_name = $wpdb->prefix . self::STATS_TABLE;
+            $exists = $wpdb->get_var("SHOW TABLES LIKE '$table_name'") == $table_name;
+
+            if (!$exists) {
+                require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/db/migrations/018_create_query_cache_stats_table.php';
+                $migration = new Status_Sentry_Migration_CreateQueryCacheStatsTable();
+                $exists = $migration->up();
+            }
+        }
+
+        return $exists;
+    }
+
     /**
      * Ensure the table exists.
      *
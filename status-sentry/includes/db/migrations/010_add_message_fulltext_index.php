@@ -0,0 +1,79 @@
+<?php
+/**
+ * Migration to add a full-text index on monitoring event messages.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+
+/**
+ * Migration to add a full-text index on monitoring event messages.
+ *
+ * The event explorer searches event messages. A FULLTEXT index lets that
+ * search use MATCH ... AGAINST instead of scanning the table with LIKE.
+ * Servers that cannot create the index keep working: the repository falls
+ * back to LIKE when the index is missing.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+class Status_Sentry_Migration_AddMessageFulltextIndex {
+
+    /**
+     * Run the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully run.
+     */
+    public function up() {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'status_sentry_monitoring_events';
+        if ($wpdb->get_var("SHOW TABLES LIKE '$table_name'") != $table_name) {
+            return true;
+        }
+
+        // Check if the index already exists
+        $index_exists = $wpdb->get_var("SHOW INDEX FROM $table_name WHERE Key_name = 'message_search'");
+
+        if (!$index_exists) {
+            $result = $wpdb->query("ALTER TABLE $table_name ADD FULLTEXT KEY message_search (message)");
+            if ($result === false) {
+                // Older MySQL versions do not support FULLTEXT on InnoDB; searches fall back to LIKE
+                error_log('Status Sentry: Failed to add message_search index to monitoring events table - ' . $wpdb->last_error);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Reverse the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully reversed.
+     */
+    public function down() {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'status_sentry_monitoring_events';
+        if ($wpdb->get_var("SHOW TABLES LIKE '$table_name'") != $table_name) {
+            return true;
+        }
+
+        $index_exists = $wpdb->get_var("SHOW INDEX FROM $table_name WHERE Key_name = 'message_search'");
+        if (!$index_exists) {
+            return true;
+        }
+
+        $result = $wpdb->query("ALTER TABLE $table_name DROP INDEX message_search");
+        if ($result === false) {
+            error_log('Status Sentry: Failed to remove message_search index from monitoring events table - ' . $wpdb->last_error);
+            return false;
+        }
+
+        return true;
+    }
+}
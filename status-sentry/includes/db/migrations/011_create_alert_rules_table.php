@@ -0,0 +1,76 @@
+<?php
+/**
+ * Migration to create the alert_rules table.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+
+/**
+ * Migration to create the alert_rules table.
+ *
+ * This table stores the alert rules edited on the Alert Rules screen. Each
+ * rule matches monitoring events by type, minimum priority and source and
+ * context patterns, optionally with a rate (a number of events within a
+ * window), and lists the channels it is delivered on.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+class Status_Sentry_Migration_CreateAlertRulesTable {
+
+    /**
+     * Run the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully run.
+     */
+    public function up() {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'status_sentry_alert_rules';
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            name varchar(100) NOT NULL,
+            enabled tinyint(1) NOT NULL DEFAULT 1,
+            event_types varchar(255) NOT NULL DEFAULT '',
+            min_priority int(11) NOT NULL DEFAULT 0,
+            source_pattern varchar(100) NOT NULL DEFAULT '',
+            context_pattern varchar(100) NOT NULL DEFAULT '',
+            threshold int(11) NOT NULL DEFAULT 1,
+            window_minutes int(11) NOT NULL DEFAULT 0,
+            channels varchar(100) NOT NULL DEFAULT 'browser',
+            created_by bigint(20) NOT NULL DEFAULT 0,
+            created_at datetime NOT NULL,
+            updated_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            KEY enabled (enabled)
+        ) $charset_collate;";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        dbDelta($sql);
+
+        return $wpdb->get_var("SHOW TABLES LIKE '$table_name'") === $table_name;
+    }
+
+    /**
+     * Reverse the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully reversed.
+     */
+    public function down() {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'status_sentry_alert_rules';
+
+        $sql = "DROP TABLE IF EXISTS $table_name";
+
+        return $wpdb->query($sql) !== false;
+    }
+}
@@ -0,0 +1,68 @@
+<?php
+/**
+ * Migration to create the baseline_history table.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+
+/**
+ * Migration to create the baseline_history table.
+ *
+ * The baselines table only keeps the moving average of each metric. This
+ * table keeps the individual values recorded for it, so the dashboard can
+ * show how a metric got there and tell a one-off spike from a sustained
+ * change.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+class Status_Sentry_Migration_CreateBaselineHistoryTable {
+
+    /**
+     * Run the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully run.
+     */
+    public function up() {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'status_sentry_baseline_history';
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            metric_name varchar(100) NOT NULL,
+            metric_context varchar(100) NOT NULL,
+            value float NOT NULL,
+            baseline_value float NULL,
+            recorded_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            KEY metric_context (metric_name, metric_context, id)
+        ) $charset_collate;";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($sql);
+
+        return $wpdb->get_var("SHOW TABLES LIKE '$table_name'") === $table_name;
+    }
+
+    /**
+     * Reverse the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully reversed.
+     */
+    public function down() {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'status_sentry_baseline_history';
+
+        $sql = "DROP TABLE IF EXISTS $table_name;";
+
+        return $wpdb->query($sql) !== false;
+    }
+}
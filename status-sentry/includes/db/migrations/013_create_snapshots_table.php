@@ -0,0 +1,70 @@
+<?php
+/**
+ * Migration to create the snapshots table.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+
+/**
+ * Migration to create the snapshots table.
+ *
+ * Snapshots of the system state are taken before and after plugin
+ * activations and theme switches. The transients they were kept in expire
+ * after an hour; this table keeps them so the Change Impact screen can
+ * compare any two of them later.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+class Status_Sentry_Migration_CreateSnapshotsTable {
+
+    /**
+     * Run the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully run.
+     */
+    public function up() {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'status_sentry_snapshots';
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            name varchar(191) NOT NULL,
+            subject_type varchar(20) NOT NULL DEFAULT '',
+            subject varchar(191) NOT NULL DEFAULT '',
+            phase varchar(10) NOT NULL DEFAULT '',
+            data longtext NOT NULL,
+            created_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            KEY subject (subject_type, subject),
+            KEY created_at (created_at)
+        ) $charset_collate;";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($sql);
+
+        return $wpdb->get_var("SHOW TABLES LIKE '$table_name'") === $table_name;
+    }
+
+    /**
+     * Reverse the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully reversed.
+     */
+    public function down() {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'status_sentry_snapshots';
+
+        $sql = "DROP TABLE IF EXISTS $table_name;";
+
+        return $wpdb->query($sql) !== false;
+    }
+}
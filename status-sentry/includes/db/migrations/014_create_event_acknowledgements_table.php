@@ -0,0 +1,65 @@
+<?php
+/**
+ * Migration to create the event_acknowledgements table.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+
+/**
+ * Migration to create the event_acknowledgements table.
+ *
+ * This table records monitoring events a user has acknowledged or marked
+ * as a false positive. Acknowledged events no longer count as open, e.g.
+ * toward the conflict detection KPI.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+class Status_Sentry_Migration_CreateEventAcknowledgementsTable {
+
+    /**
+     * Run the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully run.
+     */
+    public function up() {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'status_sentry_event_acknowledgements';
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE $table_name (
+            event_id bigint(20) NOT NULL,
+            status varchar(20) NOT NULL,
+            user_id bigint(20) NOT NULL DEFAULT 0,
+            created_at datetime NOT NULL,
+            PRIMARY KEY  (event_id),
+            KEY status (status)
+        ) $charset_collate;";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($sql);
+
+        return $wpdb->get_var("SHOW TABLES LIKE '$table_name'") === $table_name;
+    }
+
+    /**
+     * Reverse the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully reversed.
+     */
+    public function down() {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'status_sentry_event_acknowledgements';
+
+        $sql = "DROP TABLE IF EXISTS $table_name;";
+
+        return $wpdb->query($sql) !== false;
+    }
+}
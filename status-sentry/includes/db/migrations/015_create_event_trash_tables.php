@@ -0,0 +1,92 @@
+<?php
+/**
+ * Migration to create the event trash tables.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+
+/**
+ * Migration to create the event trash tables.
+ *
+ * Events deleted from the Events page are moved to these tables first, so
+ * the deletion can be undone until the trash is purged. Each table mirrors
+ * the columns of the table it holds events for, plus the batch the events
+ * were deleted in and when.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+class Status_Sentry_Migration_CreateEventTrashTables {
+
+    /**
+     * Run the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully run.
+     */
+    public function up() {
+        global $wpdb;
+
+        $monitoring_table_name = $wpdb->prefix . 'status_sentry_monitoring_events_trash';
+        $legacy_table_name = $wpdb->prefix . 'status_sentry_events_trash';
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $monitoring_sql = "CREATE TABLE $monitoring_table_name (
+            id bigint(20) NOT NULL,
+            event_id varchar(50) NOT NULL,
+            event_type varchar(20) NOT NULL,
+            priority int(11) NOT NULL,
+            source varchar(100) NOT NULL,
+            context varchar(100) NOT NULL,
+            message text NOT NULL,
+            data longtext NOT NULL,
+            timestamp datetime NOT NULL,
+            created_at datetime NOT NULL,
+            batch_id varchar(36) NOT NULL,
+            trashed_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            KEY batch_id (batch_id),
+            KEY trashed_at (trashed_at)
+        ) $charset_collate;";
+
+        $legacy_sql = "CREATE TABLE $legacy_table_name (
+            id bigint(20) NOT NULL,
+            feature varchar(50) NOT NULL,
+            hook varchar(100) NOT NULL,
+            data longtext NOT NULL,
+            event_time datetime NOT NULL,
+            processed_time datetime NOT NULL,
+            batch_id varchar(36) NOT NULL,
+            trashed_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            KEY batch_id (batch_id),
+            KEY trashed_at (trashed_at)
+        ) $charset_collate;";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($monitoring_sql);
+        dbDelta($legacy_sql);
+
+        return $wpdb->get_var("SHOW TABLES LIKE '$monitoring_table_name'") === $monitoring_table_name
+            && $wpdb->get_var("SHOW TABLES LIKE '$legacy_table_name'") === $legacy_table_name;
+    }
+
+    /**
+     * Reverse the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully reversed.
+     */
+    public function down() {
+        global $wpdb;
+
+        $monitoring_table_name = $wpdb->prefix . 'status_sentry_monitoring_events_trash';
+        $legacy_table_name = $wpdb->prefix . 'status_sentry_events_trash';
+
+        return $wpdb->query("DROP TABLE IF EXISTS $monitoring_table_name;") !== false
+            && $wpdb->query("DROP TABLE IF EXISTS $legacy_table_name;") !== false;
+    }
+}
@@ -0,0 +1,88 @@
+<?php
+/**
+ * Migration to create the issues tables.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+
+/**
+ * Migration to create the issues tables.
+ *
+ * An issue groups the monitoring events that share a fingerprint: the same
+ * source, context and normalised message. The issues table keeps each
+ * issue's status and totals, and the occurrences table counts its events
+ * per day for the sparklines.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+class Status_Sentry_Migration_CreateIssuesTables {
+
+    /**
+     * Run the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully run.
+     */
+    public function up() {
+        global $wpdb;
+
+        $issues_table_name = $wpdb->prefix . 'status_sentry_issues';
+        $occurrences_table_name = $wpdb->prefix . 'status_sentry_issue_occurrences';
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $issues_sql = "CREATE TABLE $issues_table_name (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            fingerprint char(32) NOT NULL,
+            event_type varchar(20) NOT NULL,
+            source varchar(100) NOT NULL,
+            context varchar(100) NOT NULL,
+            message text NOT NULL,
+            status varchar(20) NOT NULL DEFAULT 'open',
+            occurrences bigint(20) NOT NULL DEFAULT 0,
+            first_seen datetime DEFAULT NULL,
+            last_seen datetime DEFAULT NULL,
+            last_event_id bigint(20) NOT NULL DEFAULT 0,
+            status_changed_at datetime DEFAULT NULL,
+            reopened_at datetime DEFAULT NULL,
+            created_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            UNIQUE KEY fingerprint (fingerprint),
+            KEY status_last_seen (status, last_seen),
+            KEY event_type (event_type)
+        ) $charset_collate;";
+
+        $occurrences_sql = "CREATE TABLE $occurrences_table_name (
+            issue_id bigint(20) NOT NULL,
+            day date NOT NULL,
+            event_count int(11) NOT NULL DEFAULT 0,
+            PRIMARY KEY  (issue_id, day)
+        ) $charset_collate;";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($issues_sql);
+        dbDelta($occurrences_sql);
+
+        return $wpdb->get_var("SHOW TABLES LIKE '$issues_table_name'") === $issues_table_name
+            && $wpdb->get_var("SHOW TABLES LIKE '$occurrences_table_name'") === $occurrences_table_name;
+    }
+
+    /**
+     * Reverse the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully reversed.
+     */
+    public function down() {
+        global $wpdb;
+
+        $issues_table_name = $wpdb->prefix . 'status_sentry_issues';
+        $occurrences_table_name = $wpdb->prefix . 'status_sentry_issue_occurrences';
+
+        return $wpdb->query("DROP TABLE IF EXISTS $issues_table_name;") !== false
+            && $wpdb->query("DROP TABLE IF EXISTS $occurrences_table_name;") !== false;
+    }
+}
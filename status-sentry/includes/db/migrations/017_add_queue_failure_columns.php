@@ -0,0 +1,101 @@
+<?php
+/**
+ * Migration to add failure and processing columns to the queue table.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+
+/**
+ * Migration to add failure and processing columns to the queue table.
+ *
+ * The queue panel shows why items failed and how many items are processed
+ * per hour. error_message keeps the reason an item failed and processed_at
+ * the time it was processed or failed. Until the columns exist the queue
+ * keeps working without them.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+class Status_Sentry_Migration_AddQueueFailureColumns {
+
+    /**
+     * Run the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully run.
+     */
+    public function up() {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'status_sentry_queue';
+        if ($wpdb->get_var("SHOW TABLES LIKE '$table_name'") != $table_name) {
+            return true;
+        }
+
+        $columns = [
+            'error_message' => 'text NULL',
+            'processed_at' => 'datetime NULL',
+        ];
+
+        foreach ($columns as $column => $definition) {
+            // Check if the column already exists
+            $column_exists = $wpdb->get_var("SHOW COLUMNS FROM $table_name LIKE '$column'");
+
+            if (!$column_exists) {
+                $result = $wpdb->query("ALTER TABLE $table_name ADD COLUMN $column $definition");
+                if ($result === false) {
+                    error_log("Status Sentry: Failed to add $column column to queue table - " . $wpdb->last_error);
+                    return false;
+                }
+            }
+        }
+
+        // Check if the index already exists
+        $index_exists = $wpdb->get_var("SHOW INDEX FROM $table_name WHERE Key_name = 'status_processed_at'");
+
+        if (!$index_exists) {
+            $result = $wpdb->query("ALTER TABLE $table_name ADD INDEX status_processed_at (status, processed_at)");
+            if ($result === false) {
+                error_log('Status Sentry: Failed to add status_processed_at index to queue table - ' . $wpdb->last_error);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Reverse the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully reversed.
+     */
+    public function down() {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'status_sentry_queue';
+        if ($wpdb->get_var("SHOW TABLES LIKE '$table_name'") != $table_name) {
+            return true;
+        }
+
+        if ($wpdb->get_var("SHOW INDEX FROM $table_name WHERE Key_name = 'status_processed_at'")) {
+            $wpdb->query("ALTER TABLE $table_name DROP INDEX status_processed_at");
+        }
+
+        foreach (['error_message', 'processed_at'] as $column) {
+            if (!$wpdb->get_var("SHOW COLUMNS FROM $table_name LIKE '$column'")) {
+                continue;
+            }
+
+            $result = $wpdb->query("ALTER TABLE $table_name DROP COLUMN $column");
+            if ($result === false) {
+                error_log("Status Sentry: Failed to remove $column column from queue table - " . $wpdb->last_error);
+                return false;
+            }
+        }
+
+        return true;
+    }
+}
@@ -0,0 +1,87 @@
+<?php
+/**
+ * Migration to create the query cache stats table.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+
+/**
+ * Migration to create the query cache stats table.
+ *
+ * The query cache counts its hits and misses per group. Each request adds
+ * its counts to the group's row with a single UPDATE, so concurrent
+ * requests can't overwrite each other's counts. Counts saved in the
+ * status_sentry_query_cache_stats option by earlier versions are moved
+ * into the table.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/db/migrations
+ */
+class Status_Sentry_Migration_CreateQueryCacheStatsTable {
+
+    /**
+     * Run the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully run.
+     */
+    public function up() {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'status_sentry_query_cache_stats';
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE $table_name (
+            cache_group varchar(100) NOT NULL,
+            hits bigint(20) NOT NULL DEFAULT 0,
+            misses bigint(20) NOT NULL DEFAULT 0,
+            created_at datetime NOT NULL,
+            PRIMARY KEY  (cache_group)
+        ) $charset_collate;";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($sql);
+
+        if ($wpdb->get_var("SHOW TABLES LIKE '$table_name'") !== $table_name) {
+            return false;
+        }
+
+        // Move the counts saved in the option
+        $stats = get_option('status_sentry_query_cache_stats', []);
+        if (!empty($stats['groups']) && is_array($stats['groups'])) {
+            $since = !empty($stats['since']) ? $stats['since'] : gmdate('Y-m-d H:i:s');
+
+            foreach ($stats['groups'] as $group => $counts) {
+                $wpdb->query($wpdb->prepare(
+                    "INSERT INTO $table_name (cache_group, hits, misses, created_at)
+                    VALUES (%s, %d, %d, %s)
+                    ON DUPLICATE KEY UPDATE hits = hits + VALUES(hits), misses = misses + VALUES(misses)",
+                    $group,
+                    $counts['hits'] ?? 0,
+                    $counts['misses'] ?? 0,
+                    $since
+                ));
+            }
+        }
+        delete_option('status_sentry_query_cache_stats');
+
+        return true;
+    }
+
+    /**
+     * Reverse the migration.
+     *
+     * @since    1.9.0
+     * @return   bool    Whether the migration was successfully reversed.
+     */
+    public function down() {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'status_sentry_query_cache_stats';
+
+        return $wpdb->query("DROP TABLE IF EXISTS $table_name;") !== false;
+    }
+}
@@ -14,12 +14,33 @@ declare(strict_types=1);
  *
  * This class defines and stores hook configurations.
  *
+ * The hooks defined here are the defaults. The Hook Configuration page
+ * can disable a hook, change its sampling rate and add custom hooks to a
+ * feature; those settings are saved in the status_sentry_hook_config
+ * option and applied on top of the defaults.
+ *
  * @since      1.0.0
  * @package    Status_Sentry
  * @subpackage Status_Sentry/includes/hooks
  */
 class Status_Sentry_Hook_Config {
 
+    /**
+     * The option the hook settings are saved in.
+     *
+     * @since    1.9.0
+     * @var      string
+     */
+    const OPTION_NAME = 'status_sentry_hook_config';
+
+    /**
+     * The features hooks can belong to.
+     *
+     * @since    1.9.0
+     * @var      array
+     */
+    const FEATURES = ['core_monitoring', 'db_monitoring', 'conflict_detection', 'performance_monitoring'];
+
     /**
      * The array of hook definitions.
      *
@@ -29,6 +50,15 @@ class Status_Sentry_Hook_Config {
      */
     private $hooks = [];
 
+    /**
+     * The hook definitions before the saved settings are applied.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      array    $defaults    The default hook definitions.
+     */
+    private $defaults = [];
+
     /**
      * Initialize the class and set its properties.
      *
@@ -36,6 +66,8 @@ class Status_Sentry_Hook_Config {
      */
     public function __construct() {
         $this->define_hooks();
+        $this->defaults = $this->hooks;
+        $this->apply_settings();
     }
 
     /**
@@ -120,7 +152,115 @@ class Status_Sentry_Hook_Config {
             $this->hooks[$feature] = [];
         }
 
-        $this->hooks[$feature][$hook] = $config;
+        $this->hooks[$feature][$hook] = $config + [
+            'enabled' => true,
+            'custom' => false,
+        ];
+    }
+
+    /**
+     * Apply the saved hook settings to the defaults.
+     *
+     * Settings of default hooks that no longer exist are ignored.
+     *
+     * @since    1.9.0
+     * @access   private
+     */
+    private function apply_settings(): void {
+        $settings = get_option(self::OPTION_NAME, []);
+        if (!is_array($settings)) {
+            return;
+        }
+
+        foreach ($settings as $feature => $hooks) {
+            if (!in_array($feature, self::FEATURES, true) || !is_array($hooks)) {
+                continue;
+            }
+
+            foreach ($hooks as $hook => $hook_settings) {
+                $hook = (string) $hook;
+
+                if (!empty($hook_settings['custom'])) {
+                    if (!isset($this->defaults[$feature][$hook])) {
+                        $this->add_hook($feature, $hook, $this->get_custom_hook_config(
+                            (int) ($hook_settings['priority'] ?? 10),
+                            (float) ($hook_settings['sampling_rate'] ?? 1.0),
+                            (bool) ($hook_settings['enabled'] ?? true)
+                        ));
+                    }
+                } elseif (isset($this->hooks[$feature][$hook])) {
+                    if (isset($hook_settings['enabled'])) {
+                        $this->hooks[$feature][$hook]['enabled'] = (bool) $hook_settings['enabled'];
+                    }
+                    if (isset($hook_settings['sampling_rate'])) {
+                        $this->hooks[$feature][$hook]['sampling_rate'] = (float) $hook_settings['sampling_rate'];
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the definition of a custom hook.
+     *
+     * Custom hooks are captured by the hook manager's capture_custom_hook,
+     * which hands the hook's first argument back so filters keep working.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    int      $priority         The hook priority.
+     * @param    float    $sampling_rate    The sampling rate (0.0 to 1.0).
+     * @param    bool     $enabled          Whether the hook is captured.
+     * @return   array                      The hook definition.
+     */
+    private function get_custom_hook_config(int $priority, float $sampling_rate, bool $enabled): array {
+        return [
+            'callback' => 'capture_custom_hook',
+            'priority' => $priority,
+            'args' => 1,
+            'sampling_rate' => max(0.0, min(1.0, $sampling_rate)),
+            'group' => 'custom',
+            'enabled' => $enabled,
+            'custom' => true,
+        ];
+    }
+
+    /**
+     * Save the hook settings that differ from the defaults.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   bool    Whether the settings were saved.
+     */
+    private function save_settings(): bool {
+        $settings = [];
+
+        foreach ($this->hooks as $feature => $hooks) {
+            foreach ($hooks as $hook => $config) {
+                if ($config['custom']) {
+                    $settings[$feature][$hook] = [
+                        'custom' => true,
+                        'priority' => $config['priority'],
+                        'sampling_rate' => $config['sampling_rate'],
+                        'enabled' => $config['enabled'],
+                    ];
+                    continue;
+                }
+
+                $default = $this->defaults[$feature][$hook];
+                foreach (['enabled', 'sampling_rate'] as $key) {
+                    if ($config[$key] !== $default[$key]) {
+                        $settings[$feature][$hook][$key] = $config[$key];
+                    }
+                }
+            }
+        }
+
+        if ($settings === get_option(self::OPTION_NAME, [])) {
+            return true;
+        }
+
+        return update_option(self::OPTION_NAME, $settings);
     }
 
     /**
@@ -144,6 +284,81 @@ class Status_Sentry_Hook_Config {
         return isset($this->hooks[$feature]) ? $this->hooks[$feature] : [];
     }
 
+    /**
+     * Get the default definition of a hook.
+     *
+     * @since    1.9.0
+     * @param    string    $feature    The feature the hook belongs to.
+     * @param    string    $hook       The name of the WordPress hook.
+     * @return   array|null            The default definition, or null for a custom hook.
+     */
+    public function get_default_hook(string $feature, string $hook): ?array {
+        return $this->defaults[$feature][$hook] ?? null;
+    }
+
+    /**
+     * Change whether a hook is captured and its sampling rate.
+     *
+     * @since    1.9.0
+     * @param    string    $feature     The feature the hook belongs to.
+     * @param    string    $hook        The name of the WordPress hook.
+     * @param    array     $settings    The settings to change: enabled and sampling_rate.
+     * @return   bool                   Whether the hook exists and the settings were saved.
+     */
+    public function update_hook(string $feature, string $hook, array $settings): bool {
+        if (!isset($this->hooks[$feature][$hook])) {
+            return false;
+        }
+
+        if (isset($settings['enabled'])) {
+            $this->hooks[$feature][$hook]['enabled'] = (bool) $settings['enabled'];
+        }
+        if (isset($settings['sampling_rate'])) {
+            $this->hooks[$feature][$hook]['sampling_rate'] = max(0.0, min(1.0, (float) $settings['sampling_rate']));
+        }
+
+        return $this->save_settings();
+    }
+
+    /**
+     * Add a custom hook to a feature.
+     *
+     * @since    1.9.0
+     * @param    string    $feature          The feature to add the hook to.
+     * @param    string    $hook             The name of the WordPress hook.
+     * @param    int       $priority         The hook priority.
+     * @param    float     $sampling_rate    The sampling rate (0.0 to 1.0).
+     * @return   bool                        Whether the hook was added, false for an
+     *                                       unknown feature or a hook it already has.
+     */
+    public function add_custom_hook(string $feature, string $hook, int $priority = 10, float $sampling_rate = 1.0): bool {
+        if (!in_array($feature, self::FEATURES, true) || $hook === '' || isset($this->hooks[$feature][$hook])) {
+            return false;
+        }
+
+        $this->add_hook($feature, $hook, $this->get_custom_hook_config($priority, $sampling_rate, true));
+
+        return $this->save_settings();
+    }
+
+    /**
+     * Remove a custom hook from a feature.
+     *
+     * @since    1.9.0
+     * @param    string    $feature    The feature the hook belongs to.
+     * @param    string    $hook       The name of the WordPress hook.
+     * @return   bool                  Whether the hook was removed, false for a default hook.
+     */
+    public function remove_custom_hook(string $feature, string $hook): bool {
+        if (empty($this->hooks[$feature][$hook]['custom'])) {
+            return false;
+        }
+
+        unset($this->hooks[$feature][$hook]);
+
+        return $this->save_settings();
+    }
+
     /**
      * Check if a feature is enabled.
      *
@@ -85,7 +85,7 @@ class Status_Sentry_Hook_Manager {
      * The registration process follows these steps:
      * 1. Get all hooks from the configuration
      * 2. Check if each feature is enabled
-     * 3. Register each hook for enabled features
+     * 3. Register each enabled hook for enabled features
      *
      * @since    1.0.0
      * @return   void
@@ -98,6 +98,11 @@ class Status_Sentry_Hook_Manager {
             }
 
             foreach ($hooks as $hook => $config) {
+                // Skip hooks disabled on the Hook Configuration page
+                if (isset($config['enabled']) && !$config['enabled']) {
+                    continue;
+                }
+
                 $this->register_hook($feature, $hook, $config);
             }
         }
@@ -295,6 +300,32 @@ class Status_Sentry_Hook_Manager {
         return null;
     }
 
+    /**
+     * Capture a custom hook added on the Hook Configuration page.
+     *
+     * Custom hooks may be actions or filters, so the first argument is
+     * always handed back.
+     *
+     * @since    1.9.0
+     * @param    mixed     $value      The hook's first argument.
+     * @param    string    $feature    The feature this hook belongs to.
+     * @param    string    $hook       The name of the WordPress hook.
+     * @param    array     $config     The hook configuration.
+     * @return   mixed                 The first argument.
+     */
+    public function capture_custom_hook($value, $feature, $hook, $config) {
+        $data = [
+            'value_type' => gettype($value),
+            'priority' => $config['priority'],
+            'timestamp' => microtime(true),
+            'memory_usage' => memory_get_usage(),
+        ];
+
+        $this->data_capture->capture($feature, $hook, $data);
+
+        return $value;
+    }
+
     /**
      * Get loaded plugins.
      *
@@ -0,0 +1,188 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * Seen hooks class.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/hooks
+ */
+
+/**
+ * Seen hooks class.
+ *
+ * This class records the WordPress hooks seen at runtime, so custom hooks
+ * can be picked from a list on the Hook Configuration page. At the end of
+ * an admin or cron request, at most once an hour for each, it adds the
+ * actions that fired and the hooks that have callbacks to the
+ * status_sentry_seen_hooks option. Front-end requests are skipped so they
+ * don't pay for the check.
+ *
+ * @since      1.9.0
+ * @package    Status_Sentry
+ * @subpackage Status_Sentry/includes/hooks
+ */
+class Status_Sentry_Seen_Hooks {
+
+    /**
+     * The option the seen hooks are saved in.
+     *
+     * @since    1.9.0
+     * @var      string
+     */
+    const OPTION_NAME = 'status_sentry_seen_hooks';
+
+    /**
+     * The prefix of the transients that limit recording to once an hour per context.
+     *
+     * @since    1.9.0
+     * @var      string
+     */
+    const RECORDED_TRANSIENT = 'status_sentry_seen_hooks_recorded';
+
+    /**
+     * The most hooks kept; the ones seen longest ago are dropped first.
+     *
+     * @since    1.9.0
+     * @var      int
+     */
+    const MAX_HOOKS = 2000;
+
+    /**
+     * Record the hooks seen in this request.
+     *
+     * Hooked to shutdown.
+     *
+     * @since    1.9.0
+     * @return   void
+     */
+    public function record(): void {
+        $context = $this->get_context();
+        if ($context === null) {
+            return;
+        }
+
+        // Each context is throttled on its own, so admin and cron hooks are both seen
+        $transient = self::RECORDED_TRANSIENT . '_' . $context;
+        if (get_transient($transient)) {
+            return;
+        }
+
+        set_transient($transient, 1, HOUR_IN_SECONDS);
+
+        $hooks = $this->get_hooks();
+        uasort($hooks, function($a, $b) {
+            return $b['last_seen'] <=> $a['last_seen'];
+        });
+
+        update_option(self::OPTION_NAME, array_slice($hooks, 0, self::MAX_HOOKS, true), false);
+    }
+
+    /**
+     * Get the seen hooks, including the ones seen in this request.
+     *
+     * @since    1.9.0
+     * @return   array    The hooks by name, each with its type ('action' once it
+     *                    fired as an action, 'filter' otherwise) and the Unix
+     *                    time it was last seen.
+     */
+    public function get_hooks(): array {
+        $hooks = get_option(self::OPTION_NAME, []);
+        if (!is_array($hooks)) {
+            $hooks = [];
+        }
+
+        foreach ($this->get_current_hooks() as $hook => $type) {
+            $hooks[$hook] = [
+                'type' => isset($hooks[$hook]) && $hooks[$hook]['type'] === 'action' ? 'action' : $type,
+                'last_seen' => time(),
+            ];
+        }
+
+        return $hooks;
+    }
+
+    /**
+     * Search the seen hooks by name.
+     *
+     * Hooks starting with the search come first, then the other matches,
+     * each alphabetically.
+     *
+     * @since    1.9.0
+     * @param    string    $search    The text the hook names contain.
+     * @param    int       $limit     The most hooks to return.
+     * @return   array                The matching hooks and their number.
+     */
+    public function search(string $search, int $limit = 50): array {
+        $matches = [];
+        foreach ($this->get_hooks() as $hook => $seen) {
+            $hook = (string) $hook;
+            $position = $search === '' ? 0 : stripos($hook, $search);
+
+            if ($position !== false) {
+                $matches[] = [
+                    'hook' => $hook,
+                    'type' => $seen['type'],
+                    'last_seen' => gmdate('Y-m-d H:i:s', (int) $seen['last_seen']),
+                    'prefix' => $position === 0,
+                ];
+            }
+        }
+
+        usort($matches, function($a, $b) {
+            return [$b['prefix'], $a['hook']] <=> [$a['prefix'], $b['hook']];
+        });
+
+        return [
+            'hooks' => array_map(function($match) {
+                unset($match['prefix']);
+                return $match;
+            }, array_slice($matches, 0, $limit)),
+            'total' => count($matches),
+        ];
+    }
+
+    /**
+     * Get the context hooks are recorded in for this request.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   string|null    'cron' or 'admin', or null if hooks aren't recorded in this request.
+     */
+    private function get_context(): ?string {
+        if (wp_doing_cron()) {
+            return 'cron';
+        }
+
+        if (is_admin()) {
+            return 'admin';
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the hooks seen in this request.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   array    The hook types by name.
+     */
+    private function get_current_hooks(): array {
+        global $wp_actions, $wp_filter;
+
+        $hooks = [];
+        foreach (array_keys((array) $wp_filter) as $hook) {
+            $hooks[(string) $hook] = 'filter';
+        }
+        foreach (array_keys((array) $wp_actions) as $hook) {
+            $hooks[(string) $hook] = 'action';
+        }
+
+        // The "all" hook runs on every hook and can't be captured on its own
+        unset($hooks['all']);
+
+        return $hooks;
+    }
+}
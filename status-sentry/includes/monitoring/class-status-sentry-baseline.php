@@ -35,6 +35,42 @@ class Status_Sentry_Baseline implements Status_Sentry_Monitoring_Interface {
      */
     private $table_name;
 
+    /**
+     * The history table name.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      string    $history_table_name    The history table name.
+     */
+    private $history_table_name;
+
+    /**
+     * The number of recorded values kept per metric.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      int       $history_limit    The number of values kept per metric.
+     */
+    private $history_limit = 200;
+
+    /**
+     * The snapshots table name.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      string    $snapshots_table_name    The snapshots table name.
+     */
+    private $snapshots_table_name;
+
+    /**
+     * The number of stored snapshots kept.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      int       $snapshot_limit    The number of snapshots kept.
+     */
+    private $snapshot_limit = 200;
+
     /**
      * Initialize the class and set its properties.
      *
@@ -43,6 +79,8 @@ class Status_Sentry_Baseline implements Status_Sentry_Monitoring_Interface {
     public function __construct() {
         global $wpdb;
         $this->table_name = $wpdb->prefix . 'status_sentry_baselines';
+        $this->history_table_name = $wpdb->prefix . 'status_sentry_baseline_history';
+        $this->snapshots_table_name = $wpdb->prefix . 'status_sentry_snapshots';
     }
 
     /**
@@ -125,9 +163,149 @@ class Status_Sentry_Baseline implements Status_Sentry_Monitoring_Interface {
             return false;
         }
 
+        $this->record_history(
+            $metric_name,
+            $metric_context,
+            $value,
+            $baseline ? $baseline['value'] : null,
+            $baseline ? $baseline['sample_count'] + 1 : 1
+        );
+
         return true;
     }
 
+    /**
+     * Store a recorded value in the metric's history.
+     *
+     * Older values are pruned every 50 samples so each metric keeps
+     * roughly the last history_limit values.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string      $metric_name       The name of the metric.
+     * @param    string      $metric_context    The context of the metric.
+     * @param    float       $value             The recorded value.
+     * @param    float|null  $baseline_value    The baseline before this value was recorded, or null for the first value.
+     * @param    int         $sample_count      The metric's sample count including this value.
+     * @return   void
+     */
+    private function record_history($metric_name, $metric_context, $value, $baseline_value, $sample_count) {
+        global $wpdb;
+
+        if (!$this->ensure_history_table_exists()) {
+            return;
+        }
+
+        $result = $wpdb->insert(
+            $this->history_table_name,
+            [
+                'metric_name' => $metric_name,
+                'metric_context' => $metric_context,
+                'value' => $value,
+                'baseline_value' => $baseline_value,
+                'recorded_at' => current_time('mysql', true),
+            ],
+            ['%s', '%s', '%f', '%f', '%s']
+        );
+
+        if ($result === false) {
+            error_log('Status Sentry: Failed to record baseline history - ' . $wpdb->last_error);
+            return;
+        }
+
+        if ($sample_count % 50 !== 0) {
+            return;
+        }
+
+        $oldest_kept = $wpdb->get_var($wpdb->prepare(
+            "SELECT id FROM {$this->history_table_name}
+            WHERE metric_name = %s AND metric_context = %s
+            ORDER BY id DESC LIMIT 1 OFFSET %d",
+            $metric_name,
+            $metric_context,
+            $this->history_limit - 1
+        ));
+
+        if ($oldest_kept) {
+            $wpdb->query($wpdb->prepare(
+                "DELETE FROM {$this->history_table_name} WHERE metric_name = %s AND metric_context = %s AND id < %d",
+                $metric_name,
+                $metric_context,
+                $oldest_kept
+            ));
+        }
+    }
+
+    /**
+     * Get the recorded values of a metric.
+     *
+     * @since    1.9.0
+     * @param    string    $metric_name      The name of the metric.
+     * @param    string    $metric_context   The context of the metric.
+     * @param    int       $limit            Optional. The maximum number of values. Default 100.
+     * @return   array                       The most recent values, oldest first. Each has value,
+     *                                       baseline_value and recorded_at (UTC).
+     */
+    public function get_history($metric_name, $metric_context, $limit = 100) {
+        global $wpdb;
+
+        if (!$this->ensure_history_table_exists()) {
+            return [];
+        }
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT value, baseline_value, recorded_at FROM {$this->history_table_name}
+            WHERE metric_name = %s AND metric_context = %s
+            ORDER BY id DESC LIMIT %d",
+            $metric_name,
+            $metric_context,
+            $limit
+        ), ARRAY_A);
+
+        if (!$rows) {
+            return [];
+        }
+
+        return array_reverse(array_map(function($row) {
+            return [
+                'value' => (float) $row['value'],
+                'baseline_value' => $row['baseline_value'] === null ? null : (float) $row['baseline_value'],
+                'recorded_at' => $row['recorded_at'],
+            ];
+        }, $rows));
+    }
+
+    /**
+     * Get the mean and standard deviation of recorded values.
+     *
+     * @since    1.9.0
+     * @param    array     $history    Values as returned by get_history().
+     * @return   array                 The count, mean, stddev, min and max, or null
+     *                                 statistics when there are no values.
+     */
+    public function get_history_stats($history) {
+        $values = array_column($history, 'value');
+        $count = count($values);
+
+        if ($count === 0) {
+            return ['count' => 0, 'mean' => null, 'stddev' => null, 'min' => null, 'max' => null];
+        }
+
+        $mean = array_sum($values) / $count;
+        $variance = 0;
+        foreach ($values as $value) {
+            $variance += ($value - $mean) * ($value - $mean);
+        }
+
+        return [
+            'count' => $count,
+            'mean' => $mean,
+            'stddev' => sqrt($variance / $count),
+            'min' => min($values),
+            'max' => max($values),
+        ];
+    }
+
     /**
      * Get a baseline.
      *
@@ -166,11 +344,46 @@ class Status_Sentry_Baseline implements Status_Sentry_Monitoring_Interface {
      * @return   bool                        Whether the value is significantly different.
      */
     public function is_significant_deviation($metric_name, $metric_context, $value, $threshold = 0.5) {
+        $explanation = $this->explain_deviation($metric_name, $metric_context, $value, $threshold);
+
+        return $explanation['is_significant'];
+    }
+
+    /**
+     * Explain how a value compares with the baseline.
+     *
+     * This is the calculation behind is_significant_deviation(), with the
+     * numbers it used.
+     *
+     * @since    1.9.0
+     * @param    string    $metric_name      The name of the metric.
+     * @param    string    $metric_context   The context of the metric.
+     * @param    float     $value            The value to check.
+     * @param    float     $threshold        The threshold for significant difference (default: 0.5 or 50%).
+     * @return   array                       The explanation: value, baseline, sample_count, min_samples,
+     *                                       deviation (signed relative difference, null when the
+     *                                       baseline is missing or zero), threshold, is_significant
+     *                                       and reason ('insufficient_samples', 'zero_baseline',
+     *                                       'above_threshold' or 'within_threshold').
+     */
+    public function explain_deviation($metric_name, $metric_context, $value, $threshold = 0.5) {
         $baseline = $this->get_baseline($metric_name, $metric_context);
+        $config = $this->get_config();
+
+        $explanation = [
+            'value' => (float) $value,
+            'baseline' => $baseline ? (float) $baseline['value'] : null,
+            'sample_count' => $baseline ? (int) $baseline['sample_count'] : 0,
+            'min_samples' => $config['min_samples'],
+            'deviation' => null,
+            'threshold' => (float) $threshold,
+            'is_significant' => false,
+            'reason' => 'insufficient_samples',
+        ];
 
-        if (!$baseline || $baseline['sample_count'] < 5) {
+        if (!$baseline || $baseline['sample_count'] < $config['min_samples']) {
             // Not enough data to determine significance
-            return false;
+            return $explanation;
         }
 
         $baseline_value = $baseline['value'];
@@ -178,12 +391,16 @@ class Status_Sentry_Baseline implements Status_Sentry_Monitoring_Interface {
         // Calculate the relative difference
         if ($baseline_value == 0) {
             // Avoid division by zero
-            return $value > 0;
+            $explanation['is_significant'] = $value > 0;
+            $explanation['reason'] = 'zero_baseline';
+            return $explanation;
         }
 
-        $relative_diff = abs(($value - $baseline_value) / $baseline_value);
+        $explanation['deviation'] = ($value - $baseline_value) / $baseline_value;
+        $explanation['is_significant'] = abs($explanation['deviation']) > $threshold;
+        $explanation['reason'] = $explanation['is_significant'] ? 'above_threshold' : 'within_threshold';
 
-        return $relative_diff > $threshold;
+        return $explanation;
     }
 
     /**
@@ -206,6 +423,30 @@ class Status_Sentry_Baseline implements Status_Sentry_Monitoring_Interface {
         return true;
     }
 
+    /**
+     * Ensure the baseline history table exists.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   bool    Whether the table exists or was successfully created.
+     */
+    private function ensure_history_table_exists() {
+        global $wpdb;
+        static $exists = null;
+
+        if ($exists === null) {
+            $exists = $wpdb->get_var("SHOW TABLES LIKE '{$this->history_table_name}'") == $this->history_table_name;
+
+            if (!$exists) {
+                require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/db/migrations/012_create_baseline_history_table.php';
+                $migration = new Status_Sentry_Migration_CreateBaselineHistoryTable();
+                $exists = $migration->up();
+            }
+        }
+
+        return $exists;
+    }
+
     /**
      * Initialize the monitoring component.
      *
@@ -320,11 +561,16 @@ class Status_Sentry_Baseline implements Status_Sentry_Monitoring_Interface {
     /**
      * Take a snapshot of the current system state.
      *
+     * The snapshot is kept in a transient for diff() and stored in the
+     * snapshots table for the Change Impact screen.
+     *
      * @since    1.6.0
      * @param    string    $snapshot_name    The name of the snapshot.
+     * @param    array     $subject          Optional. What the snapshot was taken for: subject_type
+     *                                       ('plugin' or 'theme'), subject and phase ('before' or 'after').
      * @return   array                       The snapshot data.
      */
-    public function snapshot($snapshot_name) {
+    public function snapshot($snapshot_name, $subject = []) {
         // Collect system metrics
         $snapshot = [
             'memory_usage' => memory_get_usage(),
@@ -338,6 +584,11 @@ class Status_Sentry_Baseline implements Status_Sentry_Monitoring_Interface {
         global $wpdb;
         $snapshot['db_queries'] = $wpdb->num_queries;
 
+        // Time since the request started, in milliseconds
+        if (isset($_SERVER['REQUEST_TIME_FLOAT'])) {
+            $snapshot['load_time'] = round((microtime(true) - $_SERVER['REQUEST_TIME_FLOAT']) * 1000, 2);
+        }
+
         // Add additional metrics if available
         if (function_exists('sys_getloadavg')) {
             $load = sys_getloadavg();
@@ -347,6 +598,8 @@ class Status_Sentry_Baseline implements Status_Sentry_Monitoring_Interface {
         // Store the snapshot in a transient
         set_transient('status_sentry_snapshot_' . $snapshot_name, $snapshot, 3600); // 1 hour expiration
 
+        $snapshot['id'] = $this->store_snapshot($snapshot, $subject);
+
         return $snapshot;
     }
 
@@ -359,7 +612,11 @@ class Status_Sentry_Baseline implements Status_Sentry_Monitoring_Interface {
      */
     public function snapshot_before($plugin) {
         $plugin_name = basename($plugin, '.php');
-        return $this->snapshot('before_' . $plugin_name);
+        return $this->snapshot('before_' . $plugin_name, [
+            'subject_type' => 'plugin',
+            'subject' => $plugin,
+            'phase' => 'before',
+        ]);
     }
 
     /**
@@ -371,12 +628,18 @@ class Status_Sentry_Baseline implements Status_Sentry_Monitoring_Interface {
      */
     public function snapshot_after($plugin) {
         $plugin_name = basename($plugin, '.php');
-        return $this->snapshot('after_' . $plugin_name);
+        return $this->snapshot('after_' . $plugin_name, [
+            'subject_type' => 'plugin',
+            'subject' => $plugin,
+            'phase' => 'after',
+        ]);
     }
 
     /**
      * Compare two snapshots and identify differences.
      *
+     * Only differences above the thresholds in compare() are returned.
+     *
      * @since    1.6.0
      * @param    string    $before_name    The name of the before snapshot.
      * @param    string    $after_name     The name of the after snapshot.
@@ -394,64 +657,216 @@ class Status_Sentry_Baseline implements Status_Sentry_Monitoring_Interface {
 
         $diff = [];
 
-        // Compare memory usage
-        if (isset($before['memory_usage']) && isset($after['memory_usage'])) {
-            $memory_diff = $after['memory_usage'] - $before['memory_usage'];
-            $memory_diff_percent = ($before['memory_usage'] > 0) ? ($memory_diff / $before['memory_usage']) * 100 : 0;
-
-            if (abs($memory_diff_percent) > 20) { // 20% threshold
-                $diff['memory_usage'] = [
-                    'before' => $before['memory_usage'],
-                    'after' => $after['memory_usage'],
-                    'diff' => $memory_diff,
-                    'diff_percent' => $memory_diff_percent,
-                ];
+        foreach ($this->compare($before, $after) as $metric => $comparison) {
+            if (!$comparison['is_significant']) {
+                continue;
             }
-        }
 
-        // Compare memory peak
-        if (isset($before['memory_peak']) && isset($after['memory_peak'])) {
-            $memory_peak_diff = $after['memory_peak'] - $before['memory_peak'];
-            $memory_peak_diff_percent = ($before['memory_peak'] > 0) ? ($memory_peak_diff / $before['memory_peak']) * 100 : 0;
-
-            if (abs($memory_peak_diff_percent) > 20) { // 20% threshold
-                $diff['memory_peak'] = [
-                    'before' => $before['memory_peak'],
-                    'after' => $after['memory_peak'],
-                    'diff' => $memory_peak_diff,
-                    'diff_percent' => $memory_peak_diff_percent,
-                ];
+            $diff[$metric] = [
+                'before' => $comparison['before'],
+                'after' => $comparison['after'],
+                'diff' => $comparison['diff'],
+            ];
+
+            // The query count threshold is absolute
+            if ($metric !== 'db_queries') {
+                $diff[$metric]['diff_percent'] = $comparison['diff_percent'];
             }
         }
 
-        // Compare CPU load
-        if (isset($before['cpu_load']) && isset($after['cpu_load'])) {
-            $cpu_diff = $after['cpu_load'] - $before['cpu_load'];
-            $cpu_diff_percent = ($before['cpu_load'] > 0) ? ($cpu_diff / $before['cpu_load']) * 100 : 0;
-
-            if (abs($cpu_diff_percent) > 30) { // 30% threshold
-                $diff['cpu_load'] = [
-                    'before' => $before['cpu_load'],
-                    'after' => $after['cpu_load'],
-                    'diff' => $cpu_diff,
-                    'diff_percent' => $cpu_diff_percent,
-                ];
+        return $diff;
+    }
+
+    /**
+     * Compare every metric of two snapshots.
+     *
+     * Memory usage and peak are significant above a 20% change, CPU load
+     * above 30% and the query count above 50 additional queries. The load
+     * time is compared but has no threshold.
+     *
+     * @since    1.9.0
+     * @param    array     $before    The before snapshot.
+     * @param    array     $after     The after snapshot.
+     * @return   array                Comparisons keyed by metric, for metrics present in both
+     *                                snapshots. Each has before, after, diff, diff_percent
+     *                                (null when before is 0), threshold, threshold_type
+     *                                ('percent', 'absolute' or null) and is_significant.
+     */
+    public function compare($before, $after) {
+        $thresholds = [
+            'memory_usage' => ['percent', 20],
+            'memory_peak' => ['percent', 20],
+            'db_queries' => ['absolute', 50],
+            'load_time' => [null, null],
+            'cpu_load' => ['percent', 30],
+        ];
+
+        $comparison = [];
+
+        foreach ($thresholds as $metric => $threshold) {
+            if (!isset($before[$metric]) || !isset($after[$metric])) {
+                continue;
             }
-        }
 
-        // Compare DB queries
-        if (isset($before['db_queries']) && isset($after['db_queries'])) {
-            $queries_diff = $after['db_queries'] - $before['db_queries'];
+            $diff = $after[$metric] - $before[$metric];
+            $diff_percent = ($before[$metric] > 0) ? ($diff / $before[$metric]) * 100 : null;
 
-            if ($queries_diff > 50) { // 50 queries threshold
-                $diff['db_queries'] = [
-                    'before' => $before['db_queries'],
-                    'after' => $after['db_queries'],
-                    'diff' => $queries_diff,
-                ];
+            switch ($threshold[0]) {
+                case 'percent':
+                    $is_significant = $diff_percent !== null && abs($diff_percent) > $threshold[1];
+                    break;
+
+                case 'absolute':
+                    $is_significant = $diff > $threshold[1];
+                    break;
+
+                default:
+                    $is_significant = false;
             }
+
+            $comparison[$metric] = [
+                'before' => $before[$metric],
+                'after' => $after[$metric],
+                'diff' => $diff,
+                'diff_percent' => $diff_percent,
+                'threshold' => $threshold[1],
+                'threshold_type' => $threshold[0],
+                'is_significant' => $is_significant,
+            ];
         }
 
-        return $diff;
+        return $comparison;
+    }
+
+    /**
+     * Get the stored snapshots.
+     *
+     * @since    1.9.0
+     * @param    int       $limit    Optional. The maximum number of snapshots. Default 100.
+     * @return   array               The most recent snapshots, newest first. Each has id, name,
+     *                               subject_type, subject, phase, created_at (UTC) and data.
+     */
+    public function get_snapshots($limit = 100) {
+        global $wpdb;
+
+        if (!$this->ensure_snapshots_table_exists()) {
+            return [];
+        }
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$this->snapshots_table_name} ORDER BY id DESC LIMIT %d",
+            $limit
+        ), ARRAY_A);
+
+        return array_map([$this, 'prepare_snapshot'], $rows ?: []);
+    }
+
+    /**
+     * Get a stored snapshot.
+     *
+     * @since    1.9.0
+     * @param    int       $id    The snapshot ID.
+     * @return   array|null       The snapshot, or null if not found.
+     */
+    public function get_snapshot($id) {
+        global $wpdb;
+
+        if (!$this->ensure_snapshots_table_exists()) {
+            return null;
+        }
+
+        $row = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$this->snapshots_table_name} WHERE id = %d",
+            $id
+        ), ARRAY_A);
+
+        return $row ? $this->prepare_snapshot($row) : null;
+    }
+
+    /**
+     * Store a snapshot in the snapshots table.
+     *
+     * Only the most recent snapshot_limit snapshots are kept.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array     $snapshot    The snapshot data.
+     * @param    array     $subject     What the snapshot was taken for.
+     * @return   int|null               The snapshot ID, or null if it could not be stored.
+     */
+    private function store_snapshot($snapshot, $subject) {
+        global $wpdb;
+
+        if (!$this->ensure_snapshots_table_exists()) {
+            return null;
+        }
+
+        $subject = array_merge(['subject_type' => '', 'subject' => '', 'phase' => ''], $subject);
+
+        $result = $wpdb->insert(
+            $this->snapshots_table_name,
+            [
+                'name' => $snapshot['name'],
+                'subject_type' => $subject['subject_type'],
+                'subject' => $subject['subject'],
+                'phase' => $subject['phase'],
+                'data' => wp_json_encode($snapshot),
+                'created_at' => current_time('mysql', true),
+            ],
+            ['%s', '%s', '%s', '%s', '%s', '%s']
+        );
+
+        if ($result === false) {
+            error_log('Status Sentry: Failed to store snapshot - ' . $wpdb->last_error);
+            return null;
+        }
+
+        $id = (int) $wpdb->insert_id;
+
+        $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$this->snapshots_table_name} WHERE id <= %d",
+            $id - $this->snapshot_limit
+        ));
+
+        return $id;
+    }
+
+    /**
+     * Convert a snapshots table row to a snapshot.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array     $row    The table row.
+     * @return   array             The snapshot.
+     */
+    private function prepare_snapshot($row) {
+        return [
+            'id' => (int) $row['id'],
+            'name' => $row['name'],
+            'subject_type' => $row['subject_type'],
+            'subject' => $row['subject'],
+            'phase' => $row['phase'],
+            'created_at' => $row['created_at'],
+            'data' => json_decode($row['data'], true) ?: [],
+        ];
+    }
+
+    /**
+     * Ensure the snapshots table exists.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @return   bool    Whether the table exists or was successfully created.
+     */
+    private function ensure_snapshots_table_exists() {
+        global $wpdb;
+
+        if ($wpdb->get_var("SHOW TABLES LIKE '{$this->snapshots_table_name}'") != $this->snapshots_table_name) {
+            require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/db/migrations/013_create_snapshots_table.php';
+            $migration = new Status_Sentry_Migration_CreateSnapshotsTable();
+            return $migration->up();
+        }
+
+        return true;
     }
 }
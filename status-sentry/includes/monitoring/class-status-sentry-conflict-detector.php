@@ -45,6 +45,15 @@ class Status_Sentry_Conflict_Detector implements Status_Sentry_Monitoring_Interf
      */
     private $conflict_patterns = [];
 
+    /**
+     * IDs of the before snapshots of plugins being activated.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      array    $pending_snapshots    Snapshot IDs keyed by plugin file.
+     */
+    private $pending_snapshots = [];
+
     /**
      * Configuration options.
      *
@@ -92,6 +101,11 @@ class Status_Sentry_Conflict_Detector implements Status_Sentry_Monitoring_Interf
         // Register hooks for theme switching
         if ($this->config['monitor_theme_switching']) {
             add_action('switch_theme', [$this, 'on_theme_switched'], 10, 3);
+
+            // Themes are switched in the admin, so front-end requests don't check for a pending snapshot
+            if (is_admin() || wp_doing_cron()) {
+                add_action('wp_loaded', [$this, 'post_theme_switch']);
+            }
         }
 
         // Load saved configuration
@@ -481,7 +495,8 @@ class Status_Sentry_Conflict_Detector implements Status_Sentry_Monitoring_Interf
      */
     public function pre_plugin_activation($plugin) {
         // Take a snapshot of the system state before plugin activation
-        $this->baseline->snapshot_before($plugin);
+        $snapshot = $this->baseline->snapshot_before($plugin);
+        $this->pending_snapshots[$plugin] = $snapshot['id'] ?? null;
     }
 
     /**
@@ -493,7 +508,7 @@ class Status_Sentry_Conflict_Detector implements Status_Sentry_Monitoring_Interf
      */
     public function post_plugin_activation($plugin) {
         // Take a snapshot of the system state after plugin activation
-        $this->baseline->snapshot_after($plugin);
+        $snapshot = $this->baseline->snapshot_after($plugin);
 
         // Get the plugin name for snapshot comparison
         $plugin_name = basename($plugin, '.php');
@@ -501,7 +516,14 @@ class Status_Sentry_Conflict_Detector implements Status_Sentry_Monitoring_Interf
         // Compare the before and after snapshots to detect conflicts
         $conflicts = $this->baseline->diff('before_' . $plugin_name, 'after_' . $plugin_name);
 
-        // If conflicts were detected, emit a conflict event
+        // The plugin's callbacks were registered when it was included
+        $plugin_path = WP_PLUGIN_DIR . '/' . $plugin;
+        $hook_collisions = $this->find_hook_collisions(
+            dirname($plugin) === '.' ? $plugin_path : dirname($plugin_path) . '/'
+        );
+
+        // Sharing a hook and priority is common, so collisions are only
+        // reported as details of a conflict the snapshots show
         if (!empty($conflicts)) {
             $this->emit_conflict_event(
                 'plugin_conflict',
@@ -510,9 +532,183 @@ class Status_Sentry_Conflict_Detector implements Status_Sentry_Monitoring_Interf
                     'plugin' => $plugin,
                     'active_plugins' => get_option('active_plugins'),
                     'conflicts' => $conflicts,
+                    'hook_collisions' => $hook_collisions,
+                    'trigger' => [
+                        'type' => 'plugin',
+                        'subject' => $plugin,
+                        'before_snapshot' => $this->pending_snapshots[$plugin] ?? null,
+                        'after_snapshot' => $snapshot['id'] ?? null,
+                    ],
                 ]
             );
         }
+
+        unset($this->pending_snapshots[$plugin]);
+    }
+
+    /**
+     * Find hooks where a plugin or theme shares a priority with other code.
+     *
+     * Callbacks on the same hook and priority run in the order they were
+     * added, so two extensions changing the same value there can override
+     * each other depending on load order. Hooks nearly every extension uses
+     * (see the status_sentry_hook_collision_ignored_hooks filter) are
+     * skipped.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string    $path    The subject's plugin file, or its directory with a trailing slash.
+     * @return   array              The collisions, each with hook, priority, the subject's
+     *                              callbacks and the other callbacks with their plugin or theme.
+     */
+    private function find_hook_collisions($path) {
+        global $wp_filter;
+
+        $ignored_hooks = apply_filters('status_sentry_hook_collision_ignored_hooks', [
+            'plugins_loaded', 'setup_theme', 'after_setup_theme', 'init', 'wp_loaded', 'admin_init',
+            'admin_menu', 'network_admin_menu', 'admin_bar_menu', 'rest_api_init', 'widgets_init',
+            'wp_enqueue_scripts', 'admin_enqueue_scripts', 'enqueue_block_editor_assets',
+            'wp_head', 'wp_footer', 'admin_head', 'admin_footer', 'admin_notices', 'shutdown',
+            'activate_plugin', 'activated_plugin',
+        ]);
+
+        $path = wp_normalize_path($path);
+        $collisions = [];
+
+        foreach ((array) $wp_filter as $hook => $hook_object) {
+            if (in_array($hook, $ignored_hooks, true) || !($hook_object instanceof WP_Hook)) {
+                continue;
+            }
+
+            foreach ($hook_object->callbacks as $priority => $callbacks) {
+                if (count($callbacks) < 2) {
+                    continue;
+                }
+
+                $subject_callbacks = [];
+                $other_callbacks = [];
+
+                foreach ($callbacks as $callback) {
+                    $file = $this->get_callback_file($callback['function']);
+                    if ($file === null) {
+                        continue;
+                    }
+
+                    $is_subject = substr($path, -1) === '/' ? strpos($file, $path) === 0 : $file === $path;
+
+                    if ($is_subject) {
+                        $subject_callbacks[] = $this->describe_callback($callback['function']);
+                    } else {
+                        $owner = $this->get_file_owner($file);
+                        if ($owner !== null) {
+                            $other_callbacks[] = [
+                                'callback' => $this->describe_callback($callback['function']),
+                                'owner' => $owner,
+                            ];
+                        }
+                    }
+                }
+
+                if (!empty($subject_callbacks) && !empty($other_callbacks)) {
+                    $collisions[] = [
+                        'hook' => $hook,
+                        'priority' => $priority,
+                        'callbacks' => $subject_callbacks,
+                        'colliding_callbacks' => $other_callbacks,
+                    ];
+                }
+
+                // Keep the event data small on sites with many extensions
+                if (count($collisions) >= 25) {
+                    return $collisions;
+                }
+            }
+        }
+
+        return $collisions;
+    }
+
+    /**
+     * Get the file a hook callback is defined in.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    callable    $callback    The callback.
+     * @return   string|null              The normalized file path, or null if it cannot be determined.
+     */
+    private function get_callback_file($callback) {
+        try {
+            if (is_string($callback) && strpos($callback, '::') !== false) {
+                $callback = explode('::', $callback, 2);
+            }
+
+            if (is_array($callback) && count($callback) === 2) {
+                $reflection = new ReflectionMethod($callback[0], $callback[1]);
+            } elseif ($callback instanceof Closure || is_string($callback)) {
+                $reflection = new ReflectionFunction($callback);
+            } elseif (is_object($callback) && method_exists($callback, '__invoke')) {
+                $reflection = new ReflectionMethod($callback, '__invoke');
+            } else {
+                return null;
+            }
+
+            $file = $reflection->getFileName();
+            return $file ? wp_normalize_path($file) : null;
+        } catch (ReflectionException $e) {
+            return null;
+        }
+    }
+
+    /**
+     * Describe a hook callback for display.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    callable    $callback    The callback.
+     * @return   string                   The callback name.
+     */
+    private function describe_callback($callback) {
+        if (is_string($callback)) {
+            return $callback;
+        }
+
+        if (is_array($callback) && count($callback) === 2) {
+            $class = is_object($callback[0]) ? get_class($callback[0]) : $callback[0];
+            return $class . '::' . $callback[1];
+        }
+
+        if ($callback instanceof Closure) {
+            $reflection = new ReflectionFunction($callback);
+            return sprintf('{closure}:%d', $reflection->getStartLine());
+        }
+
+        return is_object($callback) ? get_class($callback) : 'unknown';
+    }
+
+    /**
+     * Get the plugin or theme a file belongs to.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    string    $file    The normalized file path.
+     * @return   array|null         The owner type ('plugin' or 'theme') and slug, or null for core files.
+     */
+    private function get_file_owner($file) {
+        $roots = [
+            'plugin' => [wp_normalize_path(WP_PLUGIN_DIR) . '/', wp_normalize_path(WPMU_PLUGIN_DIR) . '/'],
+            'theme' => [wp_normalize_path(get_theme_root()) . '/'],
+        ];
+
+        foreach ($roots as $type => $directories) {
+            foreach ($directories as $directory) {
+                if (strpos($file, $directory) === 0) {
+                    $relative = substr($file, strlen($directory));
+                    return ['type' => $type, 'slug' => strtok($relative, '/')];
+                }
+            }
+        }
+
+        return null;
     }
 
     /**
@@ -537,6 +733,19 @@ class Status_Sentry_Conflict_Detector implements Status_Sentry_Monitoring_Interf
      * @return   void
      */
     public function on_theme_switched($new_name, $new_theme, $old_theme) {
+        // The old theme is still loaded in this request; the new one is
+        // loaded from the next request on, so the after snapshot waits
+        $stylesheet = $new_theme->get_stylesheet();
+        $snapshot = $this->baseline->snapshot('before_theme_' . $stylesheet, [
+            'subject_type' => 'theme',
+            'subject' => $stylesheet,
+            'phase' => 'before',
+        ]);
+        update_option('status_sentry_pending_theme_snapshot', [
+            'stylesheet' => $stylesheet,
+            'snapshot' => $snapshot['id'] ?? null,
+        ], false);
+
         // Record the theme switch
         $manager = Status_Sentry_Monitoring_Manager::get_instance();
 
@@ -558,4 +767,58 @@ class Status_Sentry_Conflict_Detector implements Status_Sentry_Monitoring_Interf
             Status_Sentry_Monitoring_Event::PRIORITY_NORMAL
         );
     }
+
+    /**
+     * Take the after snapshot of a theme switch.
+     *
+     * Runs on the first admin or cron request that loads the new theme.
+     * If the snapshots show a regression, a conflict is reported with the
+     * hooks the new theme collides with other code on.
+     *
+     * @since    1.9.0
+     * @return   void
+     */
+    public function post_theme_switch() {
+        $pending = get_option('status_sentry_pending_theme_snapshot');
+        if (!$pending || !is_array($pending)) {
+            return;
+        }
+
+        delete_option('status_sentry_pending_theme_snapshot');
+
+        $stylesheet = $pending['stylesheet'];
+        $snapshot = $this->baseline->snapshot('after_theme_' . $stylesheet, [
+            'subject_type' => 'theme',
+            'subject' => $stylesheet,
+            'phase' => 'after',
+        ]);
+
+        $conflicts = $this->baseline->diff('before_theme_' . $stylesheet, 'after_theme_' . $stylesheet);
+        if (empty($conflicts)) {
+            return;
+        }
+
+        // The theme's callbacks are registered once its functions.php has loaded
+        $hook_collisions = array_merge(
+            $this->find_hook_collisions(wp_normalize_path(get_stylesheet_directory()) . '/'),
+            is_child_theme() ? $this->find_hook_collisions(wp_normalize_path(get_template_directory()) . '/') : []
+        );
+
+        $this->emit_conflict_event(
+            'theme_conflict',
+            sprintf('Conflict detected after switching to theme %s', wp_get_theme()->get('Name')),
+            [
+                'theme' => $stylesheet,
+                'active_plugins' => get_option('active_plugins'),
+                'conflicts' => $conflicts,
+                'hook_collisions' => $hook_collisions,
+                'trigger' => [
+                    'type' => 'theme',
+                    'subject' => $stylesheet,
+                    'before_snapshot' => $pending['snapshot'],
+                    'after_snapshot' => $snapshot['id'] ?? null,
+                ],
+            ]
+        );
+    }
 }
@@ -137,7 +137,7 @@ class Status_Sentry_Cron_Logger implements Status_Sentry_Monitoring_Interface {
      * @since    1.4.0
      * @param    string    $hook             The WordPress hook being executed.
      * @param    string    $task_name        Optional. The task name. Default null.
-     * @param    string    $scheduled_time   Optional. The scheduled time. Default current time.
+     * @param    string    $scheduled_time   Optional. The scheduled time (UTC). Default current time.
      * @param    array     $dependencies     Optional. Task dependencies. Default null.
      * @return   int|false                   The log ID if successful, false otherwise.
      */
@@ -156,7 +156,7 @@ class Status_Sentry_Cron_Logger implements Status_Sentry_Monitoring_Interface {
 
         // Set default scheduled time if not provided
         if ($scheduled_time === null) {
-            $scheduled_time = current_time('mysql');
+            $scheduled_time = current_time('mysql', true);
         }
 
         // Serialize dependencies if provided
@@ -172,7 +172,7 @@ class Status_Sentry_Cron_Logger implements Status_Sentry_Monitoring_Interface {
                 'hook' => $hook,
                 'task_name' => $task_name,
                 'scheduled_time' => $scheduled_time,
-                'execution_time' => current_time('mysql'),
+                'execution_time' => current_time('mysql', true),
                 'status' => 'running',
                 'dependencies' => $dependencies_json,
             ],
@@ -246,15 +246,15 @@ class Status_Sentry_Cron_Logger implements Status_Sentry_Monitoring_Interface {
             return false;
         }
 
-        // Calculate duration
-        $start_time = strtotime($execution_time);
+        // Calculate duration; times are stored in UTC
+        $start_time = strtotime($execution_time . ' UTC');
         $duration = microtime(true) - $start_time;
 
         // Update log entry
         $result = $wpdb->update(
             $this->table_name,
             [
-                'completion_time' => current_time('mysql'),
+                'completion_time' => current_time('mysql', true),
                 'duration' => $duration,
                 'status' => $status,
                 'error_message' => $error_message,
@@ -365,6 +365,88 @@ class Status_Sentry_Cron_Logger implements Status_Sentry_Monitoring_Interface {
         return $result;
     }
 
+    /**
+     * Get cron log entries.
+     *
+     * Supported filters:
+     * - task_name: task name
+     * - hook:      hook
+     * - status:    status, or an array of statuses
+     * - from:      only runs still running or completed at or after this UTC time
+     * - to:        only runs started at or before this UTC time
+     *
+     * @since    1.9.0
+     * @param    array    $filters    Optional. The filters. Default [].
+     * @param    int      $limit      Optional. The maximum number of entries. Default 500.
+     * @return   array                The entries, most recent first, with dependencies
+     *                                and metadata decoded.
+     */
+    public function get_logs($filters = [], $limit = 500) {
+        global $wpdb;
+
+        if (!$this->ensure_table_exists()) {
+            return [];
+        }
+
+        $where = [];
+        $params = [];
+
+        foreach (['task_name', 'hook'] as $column) {
+            if (!empty($filters[$column])) {
+                $where[] = "{$column} = %s";
+                $params[] = $filters[$column];
+            }
+        }
+
+        if (!empty($filters['status'])) {
+            $statuses = array_values((array) $filters['status']);
+            $where[] = 'status IN (' . implode(', ', array_fill(0, count($statuses), '%s')) . ')';
+            $params = array_merge($params, $statuses);
+        }
+
+        if (!empty($filters['from'])) {
+            $where[] = "(completion_time >= %s OR (completion_time IS NULL AND status = 'running'))";
+            $params[] = $filters['from'];
+        }
+
+        if (!empty($filters['to'])) {
+            $where[] = 'execution_time <= %s';
+            $params[] = $filters['to'];
+        }
+
+        $params[] = (int) $limit;
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$this->table_name}
+            " . (empty($where) ? '' : 'WHERE ' . implode(' AND ', $where)) . "
+            ORDER BY execution_time DESC, id DESC
+            LIMIT %d",
+            $params
+        ), ARRAY_A);
+
+        if ($wpdb->last_error) {
+            error_log('Status Sentry: Failed to get cron log entries - ' . $wpdb->last_error);
+            return [];
+        }
+
+        return array_map(function($row) {
+            return [
+                'id' => (int) $row['id'],
+                'hook' => $row['hook'],
+                'task_name' => $row['task_name'],
+                'scheduled_time' => $row['scheduled_time'],
+                'execution_time' => $row['execution_time'],
+                'completion_time' => $row['completion_time'],
+                'duration' => $row['duration'] !== null ? (float) $row['duration'] : null,
+                'status' => $row['status'],
+                'error_message' => $row['error_message'],
+                'memory_used' => $row['memory_used'] !== null ? (int) $row['memory_used'] : null,
+                'dependencies' => $row['dependencies'] ? json_decode($row['dependencies'], true) : [],
+                'metadata' => $row['metadata'] ? json_decode($row['metadata'], true) : null,
+            ];
+        }, $rows ?: []);
+    }
+
     /**
      * Ensure the table exists.
      *
@@ -379,11 +379,10 @@ class Status_Sentry_Health_Checker implements Status_Sentry_Monitoring_Interface
      * Get recovery attempts for a task.
      *
      * @since    1.4.0
-     * @access   private
      * @param    string    $task_name    The name of the task.
      * @return   int                     The number of recovery attempts.
      */
-    private function get_recovery_attempts($task_name) {
+    public function get_recovery_attempts($task_name) {
         $recovery_attempts = get_option('status_sentry_recovery_attempts', []);
         return isset($recovery_attempts[$task_name]) ? $recovery_attempts[$task_name] : 0;
     }
@@ -396,9 +396,31 @@ class Status_Sentry_Monitoring_Manager {
             error_log('Status Sentry: Stored monitoring event ID ' . $wpdb->insert_id . ' of type ' . $event_data['type'] . ' from source ' . $event_data['source']);
         }
 
+        $this->record_issue_occurrence((object) array_merge($data, ['id' => $wpdb->insert_id]));
+
         return true;
     }
 
+    /**
+     * Group a stored monitoring event into its issue.
+     *
+     * A failure here is logged but doesn't fail storing the event.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    object    $event    The stored event row.
+     */
+    private function record_issue_occurrence($event) {
+        try {
+            require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-issues-repository.php';
+
+            $repository = new Status_Sentry_Issues_Repository();
+            $repository->record_occurrence($event);
+        } catch (Throwable $e) {
+            error_log('Status Sentry: Error recording issue occurrence - ' . $e->getMessage());
+        }
+    }
+
     /**
      * Ensure the monitoring events table exists.
      *
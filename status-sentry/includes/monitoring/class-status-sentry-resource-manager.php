@@ -37,6 +37,10 @@
  * - Scheduler adds delays proportional to system load
  *
  * Configuration:
+ * - The GC memory threshold, GC cycles and CPU threshold come from the
+ *   Settings page
+ * - Changes made through update_config() are saved and used by every later
+ *   request; the thresholds and cycles are saved in the plugin settings
  * - All settings can be modified via WordPress filters:
  *   - 'status_sentry_resource_budgets' - Modify memory/time/query budgets per tier
  *   - 'status_sentry_gc_settings' - Modify garbage collection behavior
@@ -48,6 +52,33 @@
  */
 class Status_Sentry_Resource_Manager implements Status_Sentry_Monitoring_Interface, Status_Sentry_Monitoring_Handler_Interface {
 
+    /**
+     * The lowest and highest GC memory threshold, in percent of the PHP memory limit.
+     *
+     * The Settings page and the REST API accept the same range.
+     *
+     * @since    1.9.0
+     * @var      array
+     */
+    const MEMORY_THRESHOLD_RANGE = [50, 95];
+
+    /**
+     * The lowest and highest CPU threshold, in percent of the CPU load.
+     *
+     * @since    1.9.0
+     * @var      array
+     */
+    const CPU_THRESHOLD_RANGE = [30, 90];
+
+    /**
+     * The shared instance of this class.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      Status_Sentry_Resource_Manager    $instance    The shared instance.
+     */
+    private static $instance = null;
+
     /**
      * The baseline instance.
      *
@@ -84,6 +115,29 @@ class Status_Sentry_Resource_Manager implements Status_Sentry_Monitoring_Interfa
      */
     private $cpu_threshold;
 
+    /**
+     * The number of garbage collection runs kept in the GC log.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @var      int    $gc_log_size    The number of GC runs kept.
+     */
+    private $gc_log_size = 50;
+
+    /**
+     * Get the shared instance of this class.
+     *
+     * @since    1.9.0
+     * @return   Status_Sentry_Resource_Manager    The shared instance.
+     */
+    public static function get_instance() {
+        if (self::$instance === null) {
+            self::$instance = new self();
+        }
+
+        return self::$instance;
+    }
+
     /**
      * Initialize the class and set its properties.
      *
@@ -127,6 +181,27 @@ class Status_Sentry_Resource_Manager implements Status_Sentry_Monitoring_Interfa
         // Set default CPU threshold
         $this->cpu_threshold = 0.7; // 70% CPU load threshold
 
+        // Apply the thresholds and GC cycles saved on the Performance tab of the Settings page
+        $settings = get_option('status_sentry_settings', []);
+        if (isset($settings['memory_threshold'])) {
+            $this->gc_settings['memory_threshold'] = intval($settings['memory_threshold']) / 100;
+        }
+        if (isset($settings['gc_cycles'])) {
+            $this->gc_settings['cycles'] = intval($settings['gc_cycles']);
+        }
+        if (isset($settings['cpu_threshold'])) {
+            $this->cpu_threshold = intval($settings['cpu_threshold']) / 100;
+        }
+
+        // Apply the budgets and forced GC tasks saved through update_config()
+        $saved_config = get_option('status_sentry_resource_manager_config', []);
+        if (isset($saved_config['budgets']) && is_array($saved_config['budgets'])) {
+            $this->merge_budgets($saved_config['budgets']);
+        }
+        if (isset($saved_config['gc_settings']['force_after_tasks']) && is_array($saved_config['gc_settings']['force_after_tasks'])) {
+            $this->gc_settings['force_after_tasks'] = $saved_config['gc_settings']['force_after_tasks'];
+        }
+
         // Allow budgets to be filtered
         $this->budgets = apply_filters('status_sentry_resource_budgets', $this->budgets);
 
@@ -327,6 +402,8 @@ class Status_Sentry_Resource_Manager implements Status_Sentry_Monitoring_Interfa
         // Run multiple cycles of garbage collection
         $cycles = $this->gc_settings['cycles'];
         $freed_memory = 0;
+        $memory_start = memory_get_usage();
+        $cycles_run = 0;
 
         for ($i = 0; $i < $cycles; $i++) {
             $memory_before = memory_get_usage();
@@ -339,6 +416,7 @@ class Status_Sentry_Resource_Manager implements Status_Sentry_Monitoring_Interfa
             $memory_after = memory_get_usage();
             $freed = $memory_before - $memory_after;
             $freed_memory += $freed;
+            $cycles_run++;
 
             // Log cycle results
             error_log(sprintf(
@@ -359,9 +437,59 @@ class Status_Sentry_Resource_Manager implements Status_Sentry_Monitoring_Interfa
             $freed_memory / (1024 * 1024)
         ));
 
+        $this->record_gc_run([
+            'time' => gmdate('Y-m-d H:i:s'),
+            'forced' => (bool) $force,
+            'memory_before' => $memory_start,
+            'memory_after' => memory_get_usage(),
+            'freed' => $freed_memory,
+            'cycles' => $cycles_run,
+        ]);
+
         return true;
     }
 
+    /**
+     * Add a garbage collection run to the GC log.
+     *
+     * The log keeps the latest runs in an option that isn't autoloaded, so
+     * every GC run rewrites the option. GC runs after intensive tasks and
+     * when memory is high, a few times an hour on most sites.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array    $run    The run: its UTC time, whether it was forced, the memory
+     *                            usage before and after, the memory freed and the cycles run.
+     * @return   void
+     */
+    private function record_gc_run($run) {
+        $log = get_option('status_sentry_gc_log', []);
+        if (!is_array($log)) {
+            $log = [];
+        }
+
+        $log[] = $run;
+        $log = array_slice($log, -$this->gc_log_size);
+
+        update_option('status_sentry_gc_log', $log, false);
+    }
+
+    /**
+     * Get the latest garbage collection runs.
+     *
+     * @since    1.9.0
+     * @param    int      $limit    Optional. The maximum number of runs. Default 20.
+     * @return   array              The runs, newest first.
+     */
+    public function get_gc_runs($limit = 20) {
+        $log = get_option('status_sentry_gc_log', []);
+        if (!is_array($log)) {
+            return [];
+        }
+
+        return array_slice(array_reverse($log), 0, absint($limit));
+    }
+
     /**
      * Check if garbage collection should be triggered after a task.
      *
@@ -544,6 +672,9 @@ class Status_Sentry_Resource_Manager implements Status_Sentry_Monitoring_Interfa
     /**
      * Update the monitoring component's configuration.
      *
+     * Budgets are merged tier by tier. Changes are saved, so later
+     * requests use them too.
+     *
      * @since    1.3.0
      * @param    array    $config    The new configuration as an associative array.
      * @return   bool                Whether the configuration was successfully updated.
@@ -553,7 +684,7 @@ class Status_Sentry_Resource_Manager implements Status_Sentry_Monitoring_Interfa
 
         // Update budgets if provided
         if (isset($config['budgets']) && is_array($config['budgets'])) {
-            $this->budgets = array_merge($this->budgets, $config['budgets']);
+            $this->merge_budgets($config['budgets']);
             $updated = true;
         }
 
@@ -566,15 +697,86 @@ class Status_Sentry_Resource_Manager implements Status_Sentry_Monitoring_Interfa
         // Update CPU threshold if provided
         if (isset($config['cpu_threshold'])) {
             $threshold = floatval($config['cpu_threshold']);
-            if ($threshold >= 0.1 && $threshold <= 1.0) {
+            if ($threshold >= self::CPU_THRESHOLD_RANGE[0] / 100 && $threshold <= self::CPU_THRESHOLD_RANGE[1] / 100) {
                 $this->cpu_threshold = $threshold;
                 $updated = true;
+            } else {
+                unset($config['cpu_threshold']);
             }
         }
 
+        if ($updated) {
+            $this->save_config($config);
+        }
+
         return $updated;
     }
 
+    /**
+     * Merge budgets into the current budgets, tier by tier.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array    $budgets    The budgets keyed by tier; each may set only some limits.
+     * @return   void
+     */
+    private function merge_budgets($budgets) {
+        foreach ($budgets as $tier => $budget) {
+            if (is_array($budget)) {
+                $this->budgets[$tier] = array_merge($this->budgets[$tier] ?? $this->budgets['standard'], $budget);
+            }
+        }
+    }
+
+    /**
+     * Save a configuration change so later requests use it.
+     *
+     * Only the values that changed are saved, so the filters still apply
+     * on top of them. The GC memory threshold, GC cycles and CPU threshold
+     * are saved as percentages and cycles in the plugin settings, where the
+     * Settings page edits them.
+     *
+     * @since    1.9.0
+     * @access   private
+     * @param    array    $config    The configuration change.
+     * @return   void
+     */
+    private function save_config($config) {
+        $saved_config = get_option('status_sentry_resource_manager_config', []);
+        if (!is_array($saved_config)) {
+            $saved_config = [];
+        }
+
+        if (isset($config['budgets']) && is_array($config['budgets'])) {
+            $saved_config['budgets'] = array_replace_recursive($saved_config['budgets'] ?? [], $config['budgets']);
+        }
+
+        if (isset($config['gc_settings']['force_after_tasks'])) {
+            $saved_config['gc_settings']['force_after_tasks'] = $config['gc_settings']['force_after_tasks'];
+        }
+
+        update_option('status_sentry_resource_manager_config', $saved_config);
+
+        $settings = get_option('status_sentry_settings', []);
+        if (!is_array($settings)) {
+            $settings = [];
+        }
+
+        if (isset($config['gc_settings']['memory_threshold'])) {
+            $settings['memory_threshold'] = (int) round($this->gc_settings['memory_threshold'] * 100);
+        }
+
+        if (isset($config['gc_settings']['cycles'])) {
+            $settings['gc_cycles'] = (int) $this->gc_settings['cycles'];
+        }
+
+        if (isset($config['cpu_threshold'])) {
+            $settings['cpu_threshold'] = (int) round($this->cpu_threshold * 100);
+        }
+
+        update_option('status_sentry_settings', $settings);
+    }
+
     /**
      * Get the handler's priority.
      *
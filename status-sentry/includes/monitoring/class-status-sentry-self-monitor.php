@@ -122,8 +122,8 @@ class Status_Sentry_Self_Monitor implements Status_Sentry_Monitoring_Interface,
             return false;
         }
 
-        // Calculate duration
-        $start_time = strtotime($task_run['start_time']);
+        // Calculate duration; the start time is in the site's time zone
+        $start_time = strtotime(get_gmt_from_date($task_run['start_time']) . ' UTC');
         $end_time = time();
         $duration = $end_time - $start_time;
 
@@ -180,9 +180,10 @@ class Status_Sentry_Self_Monitor implements Status_Sentry_Monitoring_Interface,
      * @param    string    $task_name    Optional. Filter by task name.
      * @param    string    $status       Optional. Filter by status.
      * @param    int       $limit        Optional. The maximum number of records to return. Default 10.
+     * @param    string    $tier         Optional. Filter by tier.
      * @return   array                   The task run records.
      */
-    public function get_recent_task_runs($task_name = null, $status = null, $limit = 10) {
+    public function get_recent_task_runs($task_name = null, $status = null, $limit = 10, $tier = null) {
         global $wpdb;
 
         $where = [];
@@ -198,6 +199,11 @@ class Status_Sentry_Self_Monitor implements Status_Sentry_Monitoring_Interface,
             $prepare_args[] = $status;
         }
 
+        if ($tier) {
+            $where[] = 'tier = %s';
+            $prepare_args[] = $tier;
+        }
+
         $where_clause = !empty($where) ? 'WHERE ' . implode(' AND ', $where) : '';
         $prepare_args[] = absint($limit);
 
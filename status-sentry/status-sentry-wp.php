@@ -193,6 +193,141 @@ require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/class-status-sentry-output-buf
  */
 require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-dashboard-controller.php';
 
+/**
+ * Load the dashboard recommendations class.
+ *
+ * This class builds the dashboard recommendations, applies their one-click
+ * fixes, and keeps each user's dismissed and snoozed recommendations.
+ *
+ * @since 1.9.0
+ */
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-recommendations.php';
+
+/**
+ * Load the dashboard layout class.
+ *
+ * This class keeps each user's dashboard widget layout.
+ *
+ * @since 1.9.0
+ */
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-dashboard-layout.php';
+
+/**
+ * Load the event trash and the events REST API controller.
+ *
+ * These classes delete events with an undo window and handle the REST API
+ * endpoints for the event explorer.
+ *
+ * @since 1.9.0
+ */
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-event-trash.php';
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-events-controller.php';
+
+/**
+ * Load the issues repository and REST API controller.
+ *
+ * These classes group monitoring events into issues and handle the REST
+ * API endpoints for the Issues tab of the Events page.
+ *
+ * @since 1.9.0
+ */
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-issues-repository.php';
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-issues-controller.php';
+
+/**
+ * Load the alert rules repository and REST API controller.
+ *
+ * These classes store alert rules and handle the REST API endpoints for
+ * the Alert Rules screen and in-browser notifications.
+ *
+ * @since 1.9.0
+ */
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-alert-rules-repository.php';
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-alert-rules-controller.php';
+
+/**
+ * Load the snapshots REST API controller.
+ *
+ * This class handles the REST API endpoints for the Change Impact screen.
+ *
+ * @since 1.9.0
+ */
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-snapshots-controller.php';
+
+/**
+ * Load the conflicts REST API controller.
+ *
+ * This class handles the REST API endpoints for the dashboard's conflict panel.
+ *
+ * @since 1.9.0
+ */
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-conflicts-controller.php';
+
+/**
+ * Load the resources REST API controller.
+ *
+ * This class handles the REST API endpoints for the dashboard's resource panel.
+ *
+ * @since 1.9.0
+ */
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-resources-controller.php';
+
+/**
+ * Load the cron REST API controller.
+ *
+ * This class handles the REST API endpoints for the cron monitor.
+ *
+ * @since 1.9.0
+ */
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-cron-controller.php';
+
+/**
+ * Load the task runs repository and plugin overhead REST API controller.
+ *
+ * These classes read the task runs the self-monitor records and handle
+ * the REST API endpoints for the Plugin Overhead page.
+ *
+ * @since 1.9.0
+ */
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-task-runs-repository.php';
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-overhead-controller.php';
+
+/**
+ * Load the queue REST API controller.
+ *
+ * This class handles the REST API endpoints for the dashboard's queue panel.
+ *
+ * @since 1.9.0
+ */
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-queue-controller.php';
+
+/**
+ * Load the query cache REST API controller.
+ *
+ * This class handles the REST API endpoints for the dashboard's cache inspector.
+ *
+ * @since 1.9.0
+ */
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-cache-controller.php';
+
+/**
+ * Load the hooks REST API controller.
+ *
+ * This class handles the REST API endpoints for the Hook Configuration page.
+ *
+ * @since 1.9.0
+ */
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-hooks-controller.php';
+
+/**
+ * Load the benchmark REST API controller.
+ *
+ * This class handles the REST API endpoints for running benchmarks from the browser.
+ *
+ * @since 1.9.0
+ */
+require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-benchmark-controller.php';
+
 /**
  * Load the benchmark admin page.
  *
@@ -235,6 +370,42 @@ function run_status_sentry() {
         $dashboard_controller = new Status_Sentry_Dashboard_Controller();
         $dashboard_controller->register_routes();
         error_log('Status Sentry: Dashboard controller routes registered');
+
+        $events_controller = new Status_Sentry_Events_Controller();
+        $events_controller->register_routes();
+
+        $issues_controller = new Status_Sentry_Issues_Controller();
+        $issues_controller->register_routes();
+
+        $alert_rules_controller = new Status_Sentry_Alert_Rules_Controller();
+        $alert_rules_controller->register_routes();
+
+        $snapshots_controller = new Status_Sentry_Snapshots_Controller();
+        $snapshots_controller->register_routes();
+
+        $conflicts_controller = new Status_Sentry_Conflicts_Controller();
+        $conflicts_controller->register_routes();
+
+        $resources_controller = new Status_Sentry_Resources_Controller();
+        $resources_controller->register_routes();
+
+        $cron_controller = new Status_Sentry_Cron_Controller();
+        $cron_controller->register_routes();
+
+        $overhead_controller = new Status_Sentry_Overhead_Controller();
+        $overhead_controller->register_routes();
+
+        $queue_controller = new Status_Sentry_Queue_Controller();
+        $queue_controller->register_routes();
+
+        $cache_controller = new Status_Sentry_Cache_Controller();
+        $cache_controller->register_routes();
+
+        $hooks_controller = new Status_Sentry_Hooks_Controller();
+        $hooks_controller->register_routes();
+
+        $benchmark_controller = new Status_Sentry_Benchmark_Controller();
+        $benchmark_controller->register_routes();
     });
 
     // End output buffering after plugin initialization
@@ -0,0 +1,139 @@
+<?php
+/**
+ * Class AlertRulesRepositoryTest
+ *
+ * @package Status_Sentry
+ */
+
+/**
+ * Alert Rules Repository test case.
+ */
+class AlertRulesRepositoryTest extends WP_UnitTestCase {
+
+    /**
+     * Alert Rules Repository instance.
+     *
+     * @var Status_Sentry_Alert_Rules_Repository
+     */
+    private $repository;
+
+    /**
+     * Set up.
+     */
+    public function setUp() {
+        parent::setUp();
+
+        // The repository checks for its table with SHOW TABLES, which doesn't list temporary tables
+        remove_filter('query', [$this, '_create_temporary_tables']);
+        remove_filter('query', [$this, '_drop_temporary_tables']);
+
+        // Include necessary files
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-alert-rules-repository.php';
+
+        // Create instance
+        $this->repository = new Status_Sentry_Alert_Rules_Repository();
+    }
+
+    /**
+     * Test creating, updating and deleting a rule.
+     */
+    public function test_rule_lifecycle() {
+        $id = $this->repository->create_rule([
+            'name' => 'Error bursts',
+            'enabled' => true,
+            'event_types' => ['error', 'critical'],
+            'min_priority' => 50,
+            'source_pattern' => 'cron_*',
+            'context_pattern' => '',
+            'threshold' => 5,
+            'window_minutes' => 10,
+            'channels' => ['browser'],
+        ]);
+        $this->assertGreaterThan(0, $id);
+
+        // Test the stored rule
+        $rule = $this->repository->get_rule($id);
+        $this->assertEquals('Error bursts', $rule['name']);
+        $this->assertTrue($rule['enabled']);
+        $this->assertEquals(['error', 'critical'], $rule['event_types']);
+        $this->assertEquals(5, $rule['threshold']);
+        $this->assertEquals(['browser'], $rule['channels']);
+
+        // Test that an update only changes the given fields
+        $this->assertTrue($this->repository->update_rule($id, ['enabled' => false]));
+        $rule = $this->repository->get_rule($id);
+        $this->assertFalse($rule['enabled']);
+        $this->assertEquals('Error bursts', $rule['name']);
+
+        // Test that disabled rules are left out of the enabled rules
+        $this->assertNotContains($id, wp_list_pluck($this->repository->get_rules(true), 'id'));
+        $this->assertContains($id, wp_list_pluck($this->repository->get_rules(), 'id'));
+
+        // Test deleting the rule
+        $this->assertTrue($this->repository->delete_rule($id));
+        $this->assertNull($this->repository->get_rule($id));
+        $this->assertFalse($this->repository->delete_rule($id));
+    }
+
+    /**
+     * Test matches_event method.
+     */
+    public function test_matches_event() {
+        $rule = [
+            'event_types' => ['error'],
+            'min_priority' => 50,
+            'source_pattern' => 'cron_*',
+            'context_pattern' => '',
+        ];
+
+        $event = (object) [
+            'event_type' => 'error',
+            'priority' => 80,
+            'source' => 'Cron_Logger',
+            'context' => 'task_failed',
+        ];
+
+        // Patterns are case-insensitive and * matches any characters
+        $this->assertTrue($this->repository->matches_event($rule, $event));
+
+        // Test each condition on its own
+        $this->assertFalse($this->repository->matches_event($rule, (object) array_merge((array) $event, ['event_type' => 'warning'])));
+        $this->assertFalse($this->repository->matches_event($rule, (object) array_merge((array) $event, ['priority' => 10])));
+        $this->assertFalse($this->repository->matches_event($rule, (object) array_merge((array) $event, ['source' => 'health_checker'])));
+
+        // Test that empty conditions match any event
+        $rule = [
+            'event_types' => [],
+            'min_priority' => 0,
+            'source_pattern' => '',
+            'context_pattern' => '',
+        ];
+        $this->assertTrue($this->repository->matches_event($rule, (object) array_merge((array) $event, ['event_type' => 'info', 'priority' => 10])));
+    }
+
+    /**
+     * Test get_event_filters method.
+     */
+    public function test_get_event_filters() {
+        $filters = $this->repository->get_event_filters([
+            'event_types' => ['error'],
+            'min_priority' => 80,
+            'source_pattern' => 'cron_*',
+            'context_pattern' => '',
+        ]);
+
+        $this->assertEquals([
+            'event_type' => ['error'],
+            'priority_min' => 80,
+            'source_pattern' => 'cron_*',
+        ], $filters);
+
+        // Test that a rule without conditions has no filters
+        $this->assertEquals([], $this->repository->get_event_filters([
+            'event_types' => [],
+            'min_priority' => 0,
+            'source_pattern' => '',
+            'context_pattern' => '',
+        ]));
+    }
+}
@@ -0,0 +1,205 @@
+<?php
+/**
+ * Class BenchmarkControllerTest
+ *
+ * @package Status_Sentry
+ */
+
+/**
+ * Benchmark Controller test case.
+ */
+class BenchmarkControllerTest extends WP_UnitTestCase {
+
+    /**
+     * Benchmark Controller instance.
+     *
+     * @var Status_Sentry_Benchmark_Controller
+     */
+    private $controller;
+
+    /**
+     * Set up.
+     */
+    public function setUp() {
+        parent::setUp();
+
+        // Include necessary files
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-benchmark-controller.php';
+
+        delete_option('status_sentry_benchmark_history');
+
+        // Create instance
+        $this->controller = new Status_Sentry_Benchmark_Controller();
+    }
+
+    /**
+     * Sanitize an imported run.
+     *
+     * @param  mixed       $run      The run from the export file.
+     * @param  string|null $site_url The URL of the site the export came from.
+     * @return array|null            The history entry, or null if the run is invalid.
+     */
+    private function sanitize($run, $site_url = 'https://staging.example.com') {
+        $method = new ReflectionMethod($this->controller, 'sanitize_imported_run');
+        $method->setAccessible(true);
+
+        return $method->invoke($this->controller, $run, $site_url);
+    }
+
+    /**
+     * Get a valid exported run.
+     *
+     * @return array The run.
+     */
+    private function get_run() {
+        return [
+            'timestamp' => '2026-03-01 12:00:00',
+            'results' => [
+                'query_cache' => [
+                    'operation' => 'Cache set and get',
+                    'passed' => true,
+                    'config' => 'default',
+                    'memory_usage' => 2048,
+                    'execution_time' => 0.02,
+                    'operations_per_second' => 5000,
+                ],
+            ],
+            'config' => [
+                'label' => 'Default',
+                'description' => 'Default settings',
+            ],
+            'environment' => [
+                'site_url' => 'https://staging.example.com',
+                'php_version' => '8.2.0',
+                'active_plugins' => 12,
+            ],
+        ];
+    }
+
+    /**
+     * Test importing a valid run.
+     */
+    public function test_sanitize_valid_run() {
+        $entry = $this->sanitize($this->get_run());
+
+        $this->assertEquals('2026-03-01 12:00:00', $entry['timestamp']);
+        $this->assertEquals(5000.0, $entry['results']['query_cache']['operations_per_second']);
+        $this->assertTrue($entry['results']['query_cache']['passed']);
+        $this->assertEquals('Default', $entry['config']['label']);
+        $this->assertEquals(12, $entry['environment']['active_plugins']);
+        $this->assertEquals('https://staging.example.com', $entry['source']['site_url']);
+    }
+
+    /**
+     * Test that malformed runs are rejected.
+     */
+    public function test_sanitize_malformed_runs() {
+        $this->assertNull($this->sanitize('2026-03-01 12:00:00'));
+        $this->assertNull($this->sanitize([]));
+
+        // Test malformed timestamps
+        foreach (['2026-03-01', '2026-03-01T12:00:00Z', '2026-13-45 12:00:00', '2026-02-30 12:00:00', ['2026-03-01 12:00:00']] as $timestamp) {
+            $run = $this->get_run();
+            $run['timestamp'] = $timestamp;
+            $this->assertNull($this->sanitize($run), 'Timestamp ' . wp_json_encode($timestamp));
+        }
+
+        // Test malformed results
+        foreach (['none', [], ['query_cache' => 'fast'], ['query_cache' => ['operation' => 'Cache set and get']]] as $results) {
+            $run = $this->get_run();
+            $run['results'] = $results;
+            $this->assertNull($this->sanitize($run), 'Results ' . wp_json_encode($results));
+        }
+
+        // Test that a malformed configuration or environment doesn't reject the run
+        $run = $this->get_run();
+        $run['config'] = 'Default';
+        $run['environment'] = 'staging';
+        $entry = $this->sanitize($run);
+        $this->assertEquals(['label' => '', 'description' => ''], $entry['config']);
+        $this->assertNull($entry['environment']);
+    }
+
+    /**
+     * Test that fields the history doesn't use are dropped.
+     */
+    public function test_sanitize_extra_fields() {
+        $run = $this->get_run();
+        $run['user_id'] = 1;
+        $run['results']['query_cache']['query'] = 'DROP TABLE wp_options';
+        $run['results']['unknown_component'] = $run['results']['query_cache'];
+        $run['config']['password'] = 'secret';
+        $run['environment']['db_password'] = 'secret';
+
+        $entry = $this->sanitize($run);
+
+        $this->assertEquals(['timestamp', 'results', 'config', 'environment', 'source'], array_keys($entry));
+        $this->assertEquals(['query_cache'], array_keys($entry['results']));
+        $this->assertArrayNotHasKey('query', $entry['results']['query_cache']);
+        $this->assertEquals(['label', 'description'], array_keys($entry['config']));
+        $this->assertArrayNotHasKey('db_password', $entry['environment']);
+
+        // Test that text is stripped of markup
+        $run = $this->get_run();
+        $run['config']['label'] = '<script>alert(1)</script>Default';
+        $run['results']['query_cache']['operation'] = ['Cache set', 'get'];
+        $entry = $this->sanitize($run);
+        $this->assertEquals('Default', $entry['config']['label']);
+        $this->assertEquals('', $entry['results']['query_cache']['operation']);
+    }
+
+    /**
+     * Test that out of range metrics are dropped.
+     */
+    public function test_sanitize_out_of_range_numbers() {
+        foreach ([-0.02, 'INF', '1e400', 'NaN', 'fast'] as $value) {
+            $run = $this->get_run();
+            $run['results']['query_cache']['execution_time'] = $value;
+            $this->assertNull($this->sanitize($run), 'Execution time ' . wp_json_encode($value));
+        }
+
+        // Test that memory may be negative, since it's the change in usage
+        $run = $this->get_run();
+        $run['results']['query_cache']['memory_usage'] = -1024;
+        $run['results']['query_cache']['time_ms'] = -5;
+        $entry = $this->sanitize($run);
+        $this->assertEquals(-1024.0, $entry['results']['query_cache']['memory_usage']);
+        $this->assertArrayNotHasKey('time_ms', $entry['results']['query_cache']);
+
+        // Test that numeric strings are cast
+        $run = $this->get_run();
+        $run['results']['query_cache']['operations_per_second'] = '4500.5';
+        $run['environment']['active_plugins'] = -3;
+        $entry = $this->sanitize($run);
+        $this->assertSame(4500.5, $entry['results']['query_cache']['operations_per_second']);
+        $this->assertEquals(3, $entry['environment']['active_plugins']);
+    }
+
+    /**
+     * Test that oversized imports are rejected or shortened.
+     */
+    public function test_oversized_imports() {
+        // Test that long text is shortened
+        $run = $this->get_run();
+        $run['config']['description'] = str_repeat('a', 10000);
+        $entry = $this->sanitize($run);
+        $this->assertEquals(Status_Sentry_Benchmark_Controller::MAX_IMPORTED_TEXT_LENGTH, strlen($entry['config']['description']));
+
+        // Test an import with too many runs
+        $request = new WP_REST_Request('POST', '/status-sentry/v1/benchmarks/history');
+        $request->set_param('format', Status_Sentry_Benchmark_Controller::EXPORT_FORMAT);
+        $request->set_param('runs', array_fill(0, Status_Sentry_Benchmark_Controller::MAX_IMPORTED_RUNS + 1, $this->get_run()));
+
+        $response = $this->controller->import_history($request);
+        $this->assertWPError($response);
+        $this->assertEquals('status_sentry_benchmark_import_too_large', $response->get_error_code());
+        $this->assertEquals(400, $response->get_error_data()['status']);
+        $this->assertEquals([], get_option('status_sentry_benchmark_history', []));
+
+        // Test that an import of the most runs allowed goes through
+        $request->set_param('runs', array_fill(0, Status_Sentry_Benchmark_Controller::MAX_IMPORTED_RUNS, $this->get_run()));
+        $data = $this->controller->import_history($request)->get_data();
+        $this->assertEquals(['2026-03-01 12:00:00'], $data['imported']);
+        $this->assertEquals(Status_Sentry_Benchmark_Controller::MAX_IMPORTED_RUNS - 1, $data['skipped']);
+    }
+}
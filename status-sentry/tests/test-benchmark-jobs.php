@@ -0,0 +1,143 @@
+<?php
+/**
+ * Class BenchmarkJobsTest
+ *
+ * @package Status_Sentry
+ */
+
+/**
+ * Benchmark Jobs test case.
+ */
+class BenchmarkJobsTest extends WP_UnitTestCase {
+
+    /**
+     * Benchmark Jobs instance.
+     *
+     * @var Status_Sentry_Benchmark_Jobs
+     */
+    private $jobs;
+
+    /**
+     * Set up.
+     */
+    public function setUp() {
+        parent::setUp();
+
+        // Include necessary files
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/benchmarking/class-status-sentry-benchmark-jobs.php';
+
+        // Keep spawn_cron() from requesting wp-cron.php
+        add_filter('pre_http_request', '__return_empty_array');
+
+        delete_option(Status_Sentry_Benchmark_Jobs::RUN_OPTION);
+        wp_clear_scheduled_hook(Status_Sentry_Benchmark_Jobs::CRON_HOOK);
+
+        // Create instance
+        $this->jobs = new Status_Sentry_Benchmark_Jobs();
+    }
+
+    /**
+     * Save a run that started the given number of seconds ago.
+     *
+     * @param  string $status      The run status.
+     * @param  string $test_status The status of the run's test.
+     * @param  int    $age         How long ago the run was created and its test started.
+     * @return array               The run.
+     */
+    private function save_run($status, $test_status, $age) {
+        $time = gmdate('Y-m-d H:i:s', time() - $age);
+
+        $run = [
+            'id' => wp_generate_uuid4(),
+            'status' => $status,
+            'tests' => [
+                [
+                    'test' => 'test_query_cache_performance',
+                    'component' => 'query_cache',
+                    'label' => 'Query Cache',
+                    'status' => $test_status,
+                    'started_at' => $test_status === 'running' ? $time : null,
+                    'completed_at' => null,
+                    'result' => null,
+                    'error' => null,
+                ],
+            ],
+            'created_at' => $time,
+            'started_at' => $status === 'running' ? $time : null,
+            'completed_at' => null,
+            'user_id' => 0,
+        ];
+        update_option(Status_Sentry_Benchmark_Jobs::RUN_OPTION, $run, false);
+
+        return $run;
+    }
+
+    /**
+     * Test that only one run can be active at a time.
+     */
+    public function test_start_conflict() {
+        $run = $this->jobs->start(['test_query_cache_performance', 'test_resource_manager_performance']);
+        $this->assertNotWPError($run);
+        $this->assertEquals('queued', $run['status']);
+        $this->assertNotFalse(wp_next_scheduled(Status_Sentry_Benchmark_Jobs::CRON_HOOK, [$run['id']]));
+
+        // Test that the tests keep the runner's order
+        $this->assertEquals(['test_resource_manager_performance', 'test_query_cache_performance'], wp_list_pluck($run['tests'], 'test'));
+
+        // Test starting another run while the first is queued
+        $result = $this->jobs->start(['test_query_cache_performance']);
+        $this->assertWPError($result);
+        $this->assertEquals('status_sentry_benchmark_run_active', $result->get_error_code());
+        $this->assertEquals(409, $result->get_error_data()['status']);
+        $this->assertEquals($run['id'], $this->jobs->get_run()['id']);
+
+        // Test that a new run can start once the first is cancelled
+        $this->assertEquals('cancelled', $this->jobs->cancel($run['id'])['status']);
+        $this->assertNotWPError($this->jobs->start(['test_query_cache_performance']));
+
+        // Test starting a run without known tests
+        delete_option(Status_Sentry_Benchmark_Jobs::RUN_OPTION);
+        $result = $this->jobs->start(['test_unknown_performance']);
+        $this->assertWPError($result);
+        $this->assertEquals(400, $result->get_error_data()['status']);
+    }
+
+    /**
+     * Test that a test running for longer than the stale timeout fails its run.
+     */
+    public function test_stale_running_run() {
+        $this->save_run('running', 'running', Status_Sentry_Benchmark_Jobs::STALE_TIMEOUT - 60);
+        $this->assertEquals('running', $this->jobs->get_run()['status']);
+
+        $this->save_run('running', 'running', Status_Sentry_Benchmark_Jobs::STALE_TIMEOUT + 60);
+        $run = $this->jobs->get_run();
+        $this->assertEquals('failed', $run['status']);
+        $this->assertEquals('failed', $run['tests'][0]['status']);
+        $this->assertNotEmpty($run['tests'][0]['error']);
+        $this->assertNotNull($run['completed_at']);
+
+        // Test that the failed run is saved and doesn't block a new one
+        $this->assertEquals('failed', get_option(Status_Sentry_Benchmark_Jobs::RUN_OPTION)['status']);
+        $this->assertNotWPError($this->jobs->start(['test_query_cache_performance']));
+    }
+
+    /**
+     * Test that a run queued for longer than the stale timeout fails.
+     */
+    public function test_stale_queued_run() {
+        $this->save_run('queued', 'pending', Status_Sentry_Benchmark_Jobs::STALE_TIMEOUT - 60);
+        $this->assertEquals('queued', $this->jobs->get_run()['status']);
+
+        $run = $this->save_run('queued', 'pending', Status_Sentry_Benchmark_Jobs::STALE_TIMEOUT + 60);
+        wp_schedule_single_event(time() + HOUR_IN_SECONDS, Status_Sentry_Benchmark_Jobs::CRON_HOOK, [$run['id']]);
+
+        $run = $this->jobs->get_run();
+        $this->assertEquals('failed', $run['status']);
+        $this->assertEquals('failed', $run['tests'][0]['status']);
+        $this->assertNotEmpty($run['tests'][0]['error']);
+        $this->assertFalse(wp_next_scheduled(Status_Sentry_Benchmark_Jobs::CRON_HOOK, [$run['id']]));
+
+        // Test that the failed run doesn't block a new one
+        $this->assertNotWPError($this->jobs->start(['test_query_cache_performance']));
+    }
+}
@@ -0,0 +1,148 @@
+<?php
+/**
+ * Class DashboardLayoutTest
+ *
+ * @package Status_Sentry
+ */
+
+/**
+ * Dashboard Layout test case.
+ */
+class DashboardLayoutTest extends WP_UnitTestCase {
+
+    /**
+     * Dashboard Layout instance.
+     *
+     * @var Status_Sentry_Dashboard_Layout
+     */
+    private $layout;
+
+    /**
+     * Set up.
+     */
+    public function setUp() {
+        parent::setUp();
+
+        // Include necessary files
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-dashboard-layout.php';
+
+        // Create instance
+        $this->layout = new Status_Sentry_Dashboard_Layout();
+    }
+
+    /**
+     * Test that invalid and repeated widget IDs are dropped.
+     */
+    public function test_sanitize_widget_ids() {
+        $layout = $this->layout->sanitize([
+            ['id' => 'overview-1', 'type' => 'overview'],
+            ['id' => 'overview-1', 'type' => 'timeline'],
+            ['id' => 'Overview 2', 'type' => 'overview'],
+            ['id' => str_repeat('a', 65), 'type' => 'overview'],
+            ['id' => 42, 'type' => 'overview'],
+            ['type' => 'overview'],
+            ['id' => 'custom-1', 'type' => 'other-plugin_widget'],
+            ['id' => 'custom-2', 'type' => '<script>'],
+            'overview-3',
+        ]);
+
+        // Test that the first instance of an ID wins and unknown but valid types are kept
+        $this->assertEquals(['overview-1', 'custom-1'], wp_list_pluck($layout, 'id'));
+        $this->assertEquals(['overview', 'other-plugin_widget'], wp_list_pluck($layout, 'type'));
+
+        // Test layouts that aren't lists of widgets
+        $this->assertEquals([], $this->layout->sanitize('overview-1'));
+        $this->assertEquals([], $this->layout->sanitize(null));
+    }
+
+    /**
+     * Test that an invalid size falls back to medium.
+     */
+    public function test_sanitize_size() {
+        $layout = $this->layout->sanitize([
+            ['id' => 'a', 'type' => 'overview', 'size' => 'large', 'hidden' => 1],
+            ['id' => 'b', 'type' => 'overview', 'size' => 'huge'],
+            ['id' => 'c', 'type' => 'overview', 'size' => ['large']],
+            ['id' => 'd', 'type' => 'overview'],
+        ]);
+
+        $this->assertEquals(['large', 'medium', 'medium', 'medium'], wp_list_pluck($layout, 'size'));
+        $this->assertEquals([true, false, false, false], wp_list_pluck($layout, 'hidden'));
+    }
+
+    /**
+     * Test the widget and setting limits.
+     */
+    public function test_sanitize_limits() {
+        $widgets = [];
+        for ($i = 0; $i < Status_Sentry_Dashboard_Layout::MAX_WIDGETS + 5; $i++) {
+            $widgets[] = ['id' => 'widget-' . $i, 'type' => 'overview'];
+        }
+
+        $layout = $this->layout->sanitize($widgets);
+        $this->assertCount(Status_Sentry_Dashboard_Layout::MAX_WIDGETS, $layout);
+        $this->assertEquals('widget-0', $layout[0]['id']);
+
+        // Test that invalid widgets don't count towards the limit
+        array_unshift($widgets, ['id' => 'Invalid ID', 'type' => 'overview']);
+        $this->assertCount(Status_Sentry_Dashboard_Layout::MAX_WIDGETS, $this->layout->sanitize($widgets));
+
+        $settings = ['Invalid Key' => 1];
+        for ($i = 0; $i < Status_Sentry_Dashboard_Layout::MAX_SETTINGS + 5; $i++) {
+            $settings['setting_' . $i] = $i;
+        }
+
+        $layout = $this->layout->sanitize([['id' => 'a', 'type' => 'overview', 'settings' => $settings]]);
+        $this->assertCount(Status_Sentry_Dashboard_Layout::MAX_SETTINGS, $layout[0]['settings']);
+        $this->assertArrayHasKey('setting_0', $layout[0]['settings']);
+        $this->assertArrayNotHasKey('Invalid Key', $layout[0]['settings']);
+    }
+
+    /**
+     * Test that settings keep scalar values only.
+     */
+    public function test_sanitize_settings() {
+        $layout = $this->layout->sanitize([
+            [
+                'id' => 'a',
+                'type' => 'overview',
+                'settings' => [
+                    'enabled' => false,
+                    'limit' => 10,
+                    'ratio' => 0.5,
+                    'title' => '<b>Errors</b> today',
+                    'list' => ['error', 'critical'],
+                    'object' => (object) ['range' => '24h'],
+                    'empty' => null,
+                ],
+            ],
+            ['id' => 'b', 'type' => 'overview', 'settings' => 'limit=10'],
+        ]);
+
+        $this->assertSame([
+            'enabled' => false,
+            'limit' => 10,
+            'ratio' => 0.5,
+            'title' => 'Errors today',
+        ], $layout[0]['settings']);
+        $this->assertSame([], $layout[1]['settings']);
+    }
+
+    /**
+     * Test that saving stores the sanitized layout.
+     */
+    public function test_save() {
+        $user_id = self::factory()->user->create();
+        $this->assertNull($this->layout->get($user_id));
+
+        $saved = $this->layout->save($user_id, [
+            ['id' => 'a', 'type' => 'overview', 'size' => 'huge'],
+            ['id' => 'a', 'type' => 'timeline'],
+        ]);
+        $this->assertCount(1, $saved);
+        $this->assertEquals($saved, $this->layout->get($user_id));
+
+        $this->layout->reset($user_id);
+        $this->assertNull($this->layout->get($user_id));
+    }
+}
@@ -0,0 +1,123 @@
+<?php
+/**
+ * Class EventQueueTest
+ *
+ * @package Status_Sentry
+ */
+
+/**
+ * Event Queue test case.
+ */
+class EventQueueTest extends WP_UnitTestCase {
+
+    /**
+     * Event Queue instance.
+     *
+     * @var Status_Sentry_Event_Queue
+     */
+    private $queue;
+
+    /**
+     * Set up.
+     */
+    public function setUp() {
+        parent::setUp();
+
+        // The queue checks for its table with SHOW TABLES, which doesn't list temporary tables
+        remove_filter('query', [$this, '_create_temporary_tables']);
+        remove_filter('query', [$this, '_drop_temporary_tables']);
+
+        // Include necessary files
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/db/migrations/001_create_queue_table.php';
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/db/migrations/017_add_queue_failure_columns.php';
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-event-queue.php';
+
+        $migration = new Status_Sentry_Migration_CreateQueueTable();
+        $migration->up();
+        $migration = new Status_Sentry_Migration_AddQueueFailureColumns();
+        $migration->up();
+
+        // Create instance
+        $this->queue = new Status_Sentry_Event_Queue();
+    }
+
+    /**
+     * Queue an event.
+     *
+     * @return int The event ID.
+     */
+    private function enqueue_event() {
+        global $wpdb;
+
+        $this->assertTrue($this->queue->enqueue(['value' => 1], 'queue_test', 'queue_test_hook'));
+
+        return (int) $wpdb->get_var("SELECT MAX(id) FROM {$wpdb->prefix}status_sentry_queue WHERE feature = 'queue_test'");
+    }
+
+    /**
+     * Get the status of a queued event.
+     *
+     * @param  int    $id The event ID.
+     * @return string     The status.
+     */
+    private function get_status($id) {
+        global $wpdb;
+
+        return $wpdb->get_var($wpdb->prepare("SELECT status FROM {$wpdb->prefix}status_sentry_queue WHERE id = %d", $id));
+    }
+
+    /**
+     * Test that failed events keep their reason and can be retried.
+     */
+    public function test_retry_failed_events() {
+        $failed_id = $this->enqueue_event();
+        $other_failed_id = $this->enqueue_event();
+
+        $this->assertTrue($this->queue->update_event_status($failed_id, 'failed', 'Invalid data'));
+        $this->assertTrue($this->queue->update_event_status($other_failed_id, 'failed', 'Invalid data'));
+
+        // Test the failure reason
+        $failed_events = wp_list_pluck($this->queue->get_failed_events(100), 'error_message', 'id');
+        $this->assertEquals('Invalid data', $failed_events[$failed_id]);
+
+        // Test retrying one event
+        $this->assertEquals(1, $this->queue->retry_failed_events([$failed_id]));
+        $this->assertEquals('pending', $this->get_status($failed_id));
+        $this->assertEquals('failed', $this->get_status($other_failed_id));
+        $this->assertArrayNotHasKey($failed_id, wp_list_pluck($this->queue->get_failed_events(100), 'error_message', 'id'));
+
+        // Test retrying all failed events
+        $this->assertGreaterThanOrEqual(1, $this->queue->retry_failed_events());
+        $this->assertEquals('pending', $this->get_status($other_failed_id));
+        $this->assertEquals(0, $this->queue->get_status_counts()['failed']);
+    }
+
+    /**
+     * Test that purging only deletes events of the given status and age.
+     */
+    public function test_delete_events() {
+        global $wpdb;
+
+        $old_id = $this->enqueue_event();
+        $new_id = $this->enqueue_event();
+        $pending_id = $this->enqueue_event();
+
+        $this->queue->update_event_status($old_id, 'processed');
+        $this->queue->update_event_status($new_id, 'processed');
+
+        // Make one processed event two hours old
+        $wpdb->update(
+            $wpdb->prefix . 'status_sentry_queue',
+            ['created_at' => get_date_from_gmt(gmdate('Y-m-d H:i:s', time() - 2 * HOUR_IN_SECONDS))],
+            ['id' => $old_id]
+        );
+
+        $this->assertGreaterThanOrEqual(1, $this->queue->delete_events('processed', HOUR_IN_SECONDS));
+        $this->assertNull($this->get_status($old_id));
+        $this->assertEquals('processed', $this->get_status($new_id));
+        $this->assertEquals('pending', $this->get_status($pending_id));
+
+        // Test that pending events can't be purged
+        $this->assertEquals(0, $this->queue->delete_events('pending', 1));
+    }
+}
@@ -0,0 +1,138 @@
+<?php
+/**
+ * Class EventTrashTest
+ *
+ * @package Status_Sentry
+ */
+
+/**
+ * Event Trash test case.
+ */
+class EventTrashTest extends WP_UnitTestCase {
+
+    /**
+     * Event Trash instance.
+     *
+     * @var Status_Sentry_Event_Trash
+     */
+    private $trash;
+
+    /**
+     * Monitoring Events Repository instance.
+     *
+     * @var Status_Sentry_Monitoring_Events_Repository
+     */
+    private $repository;
+
+    /**
+     * Set up.
+     */
+    public function setUp() {
+        parent::setUp();
+
+        // The repositories check for their tables with SHOW TABLES, which doesn't list temporary tables
+        remove_filter('query', [$this, '_create_temporary_tables']);
+        remove_filter('query', [$this, '_drop_temporary_tables']);
+
+        // Include necessary files
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/db/migrations/008_create_monitoring_events_table.php';
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-monitoring-events-repository.php';
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-event-trash.php';
+
+        $migration = new Status_Sentry_Migration_CreateMonitoringEventsTable();
+        $migration->up();
+
+        // Create instances
+        $this->trash = new Status_Sentry_Event_Trash();
+        $this->repository = new Status_Sentry_Monitoring_Events_Repository();
+    }
+
+    /**
+     * Insert a monitoring event.
+     *
+     * @param  string $source The event source.
+     * @return int            The event ID.
+     */
+    private function insert_event($source) {
+        global $wpdb;
+
+        $now = current_time('mysql', true);
+        $wpdb->insert($wpdb->prefix . 'status_sentry_monitoring_events', [
+            'event_id' => uniqid('trash_test_', true),
+            'event_type' => 'error',
+            'priority' => 80,
+            'source' => $source,
+            'context' => 'test',
+            'message' => 'Trash test event',
+            'data' => '{}',
+            'timestamp' => $now,
+            'created_at' => $now,
+        ]);
+
+        return (int) $wpdb->insert_id;
+    }
+
+    /**
+     * Test trashing and restoring a batch.
+     */
+    public function test_trash_and_restore() {
+        $ids = [$this->insert_event('trash_test'), $this->insert_event('trash_test')];
+        $kept_id = $this->insert_event('trash_test_kept');
+
+        $result = $this->trash->trash('monitoring', ['ids' => $ids]);
+        $this->assertEquals(2, $result['deleted']);
+        $this->assertNotNull($result['batch']);
+
+        // Test that the events are gone and the purge is scheduled
+        $this->assertNull($this->repository->get_event($ids[0]));
+        $this->assertNotNull($this->repository->get_event($kept_id));
+        $this->assertNotFalse(wp_next_scheduled(Status_Sentry_Event_Trash::PURGE_HOOK, [$result['batch']]));
+
+        // Test restoring the batch
+        $this->assertEquals(2, $this->trash->restore($result['batch']));
+        $this->assertNotNull($this->repository->get_event($ids[0]));
+        $this->assertNotNull($this->repository->get_event($ids[1]));
+        $this->assertFalse(wp_next_scheduled(Status_Sentry_Event_Trash::PURGE_HOOK, [$result['batch']]));
+
+        // Test that a batch can only be restored once
+        $this->assertEquals(0, $this->trash->restore($result['batch']));
+    }
+
+    /**
+     * Test that a purged batch can't be restored.
+     */
+    public function test_purge() {
+        $id = $this->insert_event('trash_test');
+
+        $result = $this->trash->trash('monitoring', ['ids' => [$id]]);
+        $this->assertEquals(1, $result['deleted']);
+
+        $this->assertGreaterThanOrEqual(1, $this->trash->purge($result['batch']));
+        $this->assertEquals(0, $this->trash->restore($result['batch']));
+        $this->assertNull($this->repository->get_event($id));
+    }
+
+    /**
+     * Test trashing nothing.
+     */
+    public function test_trash_without_matches() {
+        $result = $this->trash->trash('monitoring', ['source' => 'trash_test_missing_source']);
+
+        $this->assertEquals(0, $result['deleted']);
+        $this->assertNull($result['batch']);
+    }
+
+    /**
+     * Test get_undo_window method.
+     */
+    public function test_get_undo_window() {
+        // Test default window
+        $this->assertEquals(Status_Sentry_Event_Trash::UNDO_WINDOW, $this->trash->get_undo_window());
+
+        // Test that the filter can't make the window shorter than 5 seconds
+        add_filter('status_sentry_event_undo_window', function() {
+            return 1;
+        });
+        $this->assertEquals(5, $this->trash->get_undo_window());
+    }
+}
@@ -0,0 +1,110 @@
+<?php
+/**
+ * Class HookConfigTest
+ *
+ * @package Status_Sentry
+ */
+
+/**
+ * Hook Config test case.
+ */
+class HookConfigTest extends WP_UnitTestCase {
+
+    /**
+     * Set up.
+     */
+    public function setUp() {
+        parent::setUp();
+
+        // Include necessary files
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/hooks/class-status-sentry-hook-config.php';
+
+        delete_option(Status_Sentry_Hook_Config::OPTION_NAME);
+    }
+
+    /**
+     * Test that changes to default hooks are saved as overrides.
+     */
+    public function test_update_hook() {
+        $hook_config = new Status_Sentry_Hook_Config();
+        $default = $hook_config->get_default_hook('core_monitoring', 'init');
+        $this->assertTrue($default['enabled']);
+
+        $this->assertTrue($hook_config->update_hook('core_monitoring', 'init', [
+            'enabled' => false,
+            'sampling_rate' => 0.5,
+        ]));
+
+        // Test that only the changed values are saved
+        $this->assertEquals([
+            'core_monitoring' => [
+                'init' => [
+                    'enabled' => false,
+                    'sampling_rate' => 0.5,
+                ],
+            ],
+        ], get_option(Status_Sentry_Hook_Config::OPTION_NAME));
+
+        // Test that a new instance applies the overrides on top of the defaults
+        $hook_config = new Status_Sentry_Hook_Config();
+        $hooks = $hook_config->get_feature_hooks('core_monitoring');
+        $this->assertFalse($hooks['init']['enabled']);
+        $this->assertEquals(0.5, $hooks['init']['sampling_rate']);
+        $this->assertEquals($default['priority'], $hooks['init']['priority']);
+        $this->assertEquals($default, $hook_config->get_default_hook('core_monitoring', 'init'));
+
+        // Test that going back to the defaults removes the overrides
+        $this->assertTrue($hook_config->update_hook('core_monitoring', 'init', [
+            'enabled' => true,
+            'sampling_rate' => $default['sampling_rate'],
+        ]));
+        $this->assertEquals([], get_option(Status_Sentry_Hook_Config::OPTION_NAME));
+
+        // Test that sampling rates are kept between 0 and 1
+        $hook_config->update_hook('core_monitoring', 'init', ['sampling_rate' => 2]);
+        $hooks = $hook_config->get_feature_hooks('core_monitoring');
+        $this->assertEquals(1.0, $hooks['init']['sampling_rate']);
+
+        // Test an unknown hook
+        $this->assertFalse($hook_config->update_hook('core_monitoring', 'status_sentry_unknown_hook', ['enabled' => false]));
+    }
+
+    /**
+     * Test adding and removing custom hooks.
+     */
+    public function test_custom_hooks() {
+        $hook_config = new Status_Sentry_Hook_Config();
+
+        $this->assertTrue($hook_config->add_custom_hook('performance_monitoring', 'status_sentry_test_hook', 20, 0.25));
+
+        // Test that a new instance loads the custom hook
+        $hook_config = new Status_Sentry_Hook_Config();
+        $hooks = $hook_config->get_feature_hooks('performance_monitoring');
+        $this->assertArrayHasKey('status_sentry_test_hook', $hooks);
+        $this->assertTrue($hooks['status_sentry_test_hook']['custom']);
+        $this->assertTrue($hooks['status_sentry_test_hook']['enabled']);
+        $this->assertEquals('capture_custom_hook', $hooks['status_sentry_test_hook']['callback']);
+        $this->assertEquals(20, $hooks['status_sentry_test_hook']['priority']);
+        $this->assertEquals(0.25, $hooks['status_sentry_test_hook']['sampling_rate']);
+        $this->assertNull($hook_config->get_default_hook('performance_monitoring', 'status_sentry_test_hook'));
+
+        // Test that custom hooks can be disabled like default hooks
+        $this->assertTrue($hook_config->update_hook('performance_monitoring', 'status_sentry_test_hook', ['enabled' => false]));
+        $hook_config = new Status_Sentry_Hook_Config();
+        $hooks = $hook_config->get_feature_hooks('performance_monitoring');
+        $this->assertFalse($hooks['status_sentry_test_hook']['enabled']);
+
+        // Test hooks that can't be added
+        $this->assertFalse($hook_config->add_custom_hook('performance_monitoring', 'status_sentry_test_hook'));
+        $this->assertFalse($hook_config->add_custom_hook('core_monitoring', 'init'));
+        $this->assertFalse($hook_config->add_custom_hook('unknown_feature', 'status_sentry_other_hook'));
+
+        // Test that only custom hooks can be removed
+        $this->assertFalse($hook_config->remove_custom_hook('core_monitoring', 'init'));
+        $this->assertTrue($hook_config->remove_custom_hook('performance_monitoring', 'status_sentry_test_hook'));
+
+        $hook_config = new Status_Sentry_Hook_Config();
+        $this->assertArrayNotHasKey('status_sentry_test_hook', $hook_config->get_feature_hooks('performance_monitoring'));
+        $this->assertEquals([], get_option(Status_Sentry_Hook_Config::OPTION_NAME));
+    }
+}
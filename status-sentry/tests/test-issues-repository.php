@@ -0,0 +1,150 @@
+<?php
+/**
+ * Class IssuesRepositoryTest
+ *
+ * @package Status_Sentry
+ */
+
+/**
+ * Issues Repository test case.
+ */
+class IssuesRepositoryTest extends WP_UnitTestCase {
+
+    /**
+     * Issues Repository instance.
+     *
+     * @var Status_Sentry_Issues_Repository
+     */
+    private $repository;
+
+    /**
+     * The next monitoring event ID.
+     *
+     * @var int
+     */
+    private $next_event_id = 1;
+
+    /**
+     * Set up.
+     */
+    public function setUp() {
+        parent::setUp();
+
+        // The repository checks for its tables with SHOW TABLES, which doesn't list temporary tables
+        remove_filter('query', [$this, '_create_temporary_tables']);
+        remove_filter('query', [$this, '_drop_temporary_tables']);
+
+        // Include necessary files
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-issues-repository.php';
+
+        // Create instance
+        $this->repository = new Status_Sentry_Issues_Repository();
+    }
+
+    /**
+     * Create a monitoring event.
+     *
+     * @param  string $event_type The event type.
+     * @param  string $message    The event message.
+     * @return object             The event.
+     */
+    private function create_event($event_type = 'error', $message = 'Issue test failed for item 42') {
+        return (object) [
+            'id' => $this->next_event_id++,
+            'event_type' => $event_type,
+            'source' => 'issues_test',
+            'context' => 'test',
+            'message' => $message,
+            'timestamp' => current_time('mysql', true),
+        ];
+    }
+
+    /**
+     * Test that events with the same fingerprint are grouped into one issue.
+     */
+    public function test_record_occurrence() {
+        $this->assertTrue($this->repository->record_occurrence($this->create_event()));
+        $this->assertTrue($this->repository->record_occurrence($this->create_event('critical', 'Issue test failed for item 43')));
+
+        $issue = $this->repository->get_issue_for_event($this->create_event());
+        $this->assertNotNull($issue);
+        $this->assertEquals(2, $issue->occurrences);
+        $this->assertEquals('open', $issue->status);
+        $this->assertEquals('critical', $issue->event_type);
+        $this->assertEquals(2, $issue->last_event_id);
+    }
+
+    /**
+     * Test that only error and critical events become issues by default.
+     */
+    public function test_event_types() {
+        $this->assertEquals(['error', 'critical'], Status_Sentry_Issues_Repository::get_event_types());
+
+        $event = $this->create_event('warning');
+        $this->assertFalse($this->repository->record_occurrence($event));
+        $this->assertNull($this->repository->get_issue_for_event($event));
+
+        // Test adding a type through the filter
+        add_filter('status_sentry_issue_event_types', function($event_types) {
+            $event_types[] = 'warning';
+            return $event_types;
+        });
+
+        $this->assertTrue($this->repository->record_occurrence($event));
+        $this->assertNotNull($this->repository->get_issue_for_event($event));
+    }
+
+    /**
+     * Test that new events reopen resolved issues unless told not to.
+     */
+    public function test_reopen() {
+        $event = $this->create_event();
+        $this->repository->record_occurrence($event);
+        $issue = $this->repository->get_issue_for_event($event);
+
+        $this->assertEquals(1, $this->repository->update_status([$issue->id], 'resolved'));
+
+        // Test that a rebuilt event doesn't reopen the issue
+        $this->repository->record_occurrence($this->create_event(), false);
+        $this->assertEquals('resolved', $this->repository->get_issue($issue->id)->status);
+
+        // Test that a new event reopens it
+        $this->repository->record_occurrence($this->create_event());
+        $issue = $this->repository->get_issue($issue->id);
+        $this->assertEquals('open', $issue->status);
+        $this->assertNotNull($issue->reopened_at);
+
+        // Test that ignored issues stay ignored
+        $this->repository->update_status([$issue->id], 'ignored');
+        $this->repository->record_occurrence($this->create_event());
+        $issue = $this->repository->get_issue($issue->id);
+        $this->assertEquals('ignored', $issue->status);
+        $this->assertEquals(4, $issue->occurrences);
+
+        // Test an invalid status
+        $this->assertFalse($this->repository->update_status([$issue->id], 'closed'));
+    }
+
+    /**
+     * Test that a rebuild keeps statuses and deletes issues without events.
+     */
+    public function test_rebuild() {
+        $event = $this->create_event();
+        $this->repository->record_occurrence($event);
+        $issue = $this->repository->get_issue_for_event($event);
+        $this->repository->update_status([$issue->id], 'ignored');
+
+        $other_event = $this->create_event('error', 'Another issue test failure');
+        $this->repository->record_occurrence($other_event);
+
+        // Rebuild from only the first event
+        $this->assertTrue($this->repository->reset_counts());
+        $this->repository->record_occurrence($event, false);
+        $this->assertGreaterThanOrEqual(1, $this->repository->delete_empty_issues());
+
+        $issue = $this->repository->get_issue($issue->id);
+        $this->assertEquals(1, $issue->occurrences);
+        $this->assertEquals('ignored', $issue->status);
+        $this->assertNull($this->repository->get_issue_for_event($other_event));
+    }
+}
@@ -0,0 +1,239 @@
+<?php
+/**
+ * Class MonitoringEventsRepositoryTest
+ *
+ * @package Status_Sentry
+ */
+
+/**
+ * Monitoring Events Repository test case.
+ */
+class MonitoringEventsRepositoryTest extends WP_UnitTestCase {
+
+    /**
+     * Monitoring Events Repository instance.
+     *
+     * @var Status_Sentry_Monitoring_Events_Repository
+     */
+    private $repository;
+
+    /**
+     * Set up.
+     */
+    public function setUp() {
+        parent::setUp();
+
+        // The repository checks for its table with SHOW TABLES, which doesn't list temporary tables
+        remove_filter('query', [$this, '_create_temporary_tables']);
+        remove_filter('query', [$this, '_drop_temporary_tables']);
+
+        // Include necessary files
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/db/migrations/008_create_monitoring_events_table.php';
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/db/migrations/010_add_message_fulltext_index.php';
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/data/class-status-sentry-monitoring-events-repository.php';
+
+        $migration = new Status_Sentry_Migration_CreateMonitoringEventsTable();
+        $migration->up();
+
+        // Create instance
+        $this->repository = new Status_Sentry_Monitoring_Events_Repository();
+    }
+
+    /**
+     * Insert a monitoring event.
+     *
+     * @param  string $message   The event message.
+     * @param  string $timestamp The event time (UTC, Y-m-d H:i:s).
+     * @param  string $context   The event context.
+     * @return int               The event ID.
+     */
+    private function insert_event($message = 'Query test event', $timestamp = null, $context = 'test') {
+        global $wpdb;
+
+        $timestamp = $timestamp ?: current_time('mysql', true);
+        $wpdb->insert($wpdb->prefix . 'status_sentry_monitoring_events', [
+            'event_id' => uniqid('query_test_', true),
+            'event_type' => 'error',
+            'priority' => 80,
+            'source' => 'query_test',
+            'context' => $context,
+            'message' => $message,
+            'data' => '{}',
+            'timestamp' => $timestamp,
+            'created_at' => $timestamp,
+        ]);
+
+        return (int) $wpdb->insert_id;
+    }
+
+    /**
+     * Test paging through events with the cursor.
+     */
+    public function test_query_events_cursor() {
+        $ids = [];
+        for ($i = 0; $i < 5; $i++) {
+            $ids[] = $this->insert_event();
+        }
+        $filters = ['source' => 'query_test'];
+
+        // Test that pages are newest first and link to the next page
+        $page = $this->repository->query_events($filters, 0, 2);
+        $this->assertEquals([$ids[4], $ids[3]], array_map('intval', wp_list_pluck($page['events'], 'id')));
+        $this->assertEquals($ids[3], $page['next_cursor']);
+
+        $page = $this->repository->query_events($filters, $page['next_cursor'], 2);
+        $this->assertEquals([$ids[2], $ids[1]], array_map('intval', wp_list_pluck($page['events'], 'id')));
+        $this->assertEquals($ids[1], $page['next_cursor']);
+
+        // Test that the last page has no next page
+        $page = $this->repository->query_events($filters, $page['next_cursor'], 2);
+        $this->assertEquals([$ids[0]], array_map('intval', wp_list_pluck($page['events'], 'id')));
+        $this->assertNull($page['next_cursor']);
+
+        // Test that a page that ends exactly on the last event has no next page either
+        $page = $this->repository->query_events($filters, $ids[2], 2);
+        $this->assertCount(2, $page['events']);
+        $this->assertNull($page['next_cursor']);
+
+        $this->assertEquals(5, $this->repository->count_events($filters));
+    }
+
+    /**
+     * Test that a date without a time includes the whole day.
+     */
+    public function test_date_to_end_of_day() {
+        $this->insert_event('Query test event', '2026-01-10 00:00:00');
+        $this->insert_event('Query test event', '2026-01-10 23:59:59');
+        $this->insert_event('Query test event', '2026-01-11 00:00:00');
+
+        $this->assertEquals(2, $this->repository->count_events([
+            'source' => 'query_test',
+            'date_to' => '2026-01-10',
+        ]));
+
+        // Test a date and time
+        $this->assertEquals(1, $this->repository->count_events([
+            'source' => 'query_test',
+            'date_to' => '2026-01-10 12:00:00',
+        ]));
+
+        // Test a single day
+        $page = $this->repository->query_events([
+            'source' => 'query_test',
+            'date_from' => '2026-01-10',
+            'date_to' => '2026-01-10',
+        ]);
+        $this->assertEquals(['2026-01-10 23:59:59', '2026-01-10 00:00:00'], wp_list_pluck($page['events'], 'timestamp'));
+    }
+
+    /**
+     * Test that searches fall back to LIKE when the FULLTEXT index can't be used.
+     */
+    public function test_search_fallback() {
+        global $wpdb;
+
+        $fulltext_migration = new Status_Sentry_Migration_AddMessageFulltextIndex();
+        $fulltext_migration->down();
+
+        $timeout_id = $this->insert_event('Connection timeout on db 42');
+        $refused_id = $this->insert_event('Connection refused on db 7');
+        $filters = ['source' => 'query_test'];
+
+        // Test that without the index words match anywhere in the message
+        $repository = new Status_Sentry_Monitoring_Events_Repository();
+        $page = $repository->query_events($filters + ['search' => 'meou']);
+        $this->assertEquals([$timeout_id], array_map('intval', wp_list_pluck($page['events'], 'id')));
+        $this->assertFalse(strpos($wpdb->last_query, 'MATCH(message)'));
+
+        // Test that every word must match
+        $this->assertEquals(1, $repository->count_events($filters + ['search' => 'connection 42']));
+        $this->assertEquals(0, $repository->count_events($filters + ['search' => 'refused 42']));
+
+        // Test that boolean mode operators are treated as plain text
+        $this->assertEquals(1, $repository->count_events($filters + ['search' => '+timeout -"db"']));
+        $this->assertEquals(2, $repository->count_events($filters + ['search' => '*']));
+
+        // Adding the index commits the test's transaction, so remove the events first
+        $wpdb->query("DELETE FROM {$wpdb->prefix}status_sentry_monitoring_events WHERE id IN ($timeout_id, $refused_id)");
+        $fulltext_migration->up();
+
+        $this->insert_event('Connection timeout on db 42');
+        $repository = new Status_Sentry_Monitoring_Events_Repository();
+
+        // Test that words too short for the index use LIKE
+        $this->assertEquals(1, $repository->count_events($filters + ['search' => 'db 42']));
+        $this->assertFalse(strpos($wpdb->last_query, 'MATCH(message)'));
+
+        // Test that the index is used when every word is long enough
+        $repository->count_events($filters + ['search' => 'timeout']);
+        $this->assertNotFalse(strpos($wpdb->last_query, 'MATCH(message)'));
+    }
+
+    /**
+     * Test the statistics of the events that share an event's fingerprint.
+     */
+    public function test_get_fingerprint_stats() {
+        $message = 'Fingerprint test failed';
+        $first_id = $this->insert_event($message, '2026-02-01 08:00:00');
+        $this->insert_event($message . ' again', '2026-02-01 09:00:00');
+        $this->insert_event($message, '2026-02-01 10:00:00', 'other');
+        $middle_id = $this->insert_event($message, '2026-02-02 08:00:00');
+        $last_id = $this->insert_event($message, '2026-02-03 08:00:00');
+
+        // Test that only events with the same source, context and message count
+        $stats = $this->repository->get_fingerprint_stats($this->repository->get_event($middle_id));
+        $this->assertEquals([
+            'total' => 3,
+            'position' => 2,
+            'first_seen' => '2026-02-01 08:00:00',
+            'last_seen' => '2026-02-03 08:00:00',
+            'previous_id' => $first_id,
+            'next_id' => $last_id,
+        ], $stats);
+
+        // Test the first and last occurrence
+        $stats = $this->repository->get_fingerprint_stats($this->repository->get_event($first_id));
+        $this->assertEquals(1, $stats['position']);
+        $this->assertNull($stats['previous_id']);
+        $this->assertEquals($middle_id, $stats['next_id']);
+
+        $stats = $this->repository->get_fingerprint_stats($this->repository->get_event($last_id));
+        $this->assertEquals(3, $stats['position']);
+        $this->assertEquals($middle_id, $stats['previous_id']);
+        $this->assertNull($stats['next_id']);
+    }
+
+    /**
+     * Test counting an event's fingerprint per day within the window.
+     */
+    public function test_get_fingerprint_daily_counts() {
+        $message = 'Fingerprint window test failed';
+        $now = time();
+        $id = $this->insert_event($message, gmdate('Y-m-d H:i:s', $now));
+        $this->insert_event($message, gmdate('Y-m-d 00:00:00', $now));
+        $this->insert_event($message, gmdate('Y-m-d 12:00:00', $now - 2 * DAY_IN_SECONDS));
+        $this->insert_event($message, gmdate('Y-m-d 12:00:00', $now - 10 * DAY_IN_SECONDS));
+        $this->insert_event($message, gmdate('Y-m-d 12:00:00', $now - 40 * DAY_IN_SECONDS));
+        $this->insert_event($message, gmdate('Y-m-d H:i:s', $now), 'other');
+
+        $event = $this->repository->get_event($id);
+        $today = gmdate('Y-m-d', $now);
+
+        // Test that every day of the window is included, oldest first
+        $counts = $this->repository->get_fingerprint_daily_counts($event);
+        $this->assertCount(30, $counts);
+        $this->assertEquals(gmdate('Y-m-d', $now - 29 * DAY_IN_SECONDS), array_key_first($counts));
+        $this->assertEquals($today, array_key_last($counts));
+
+        // Test that events outside the window or with another fingerprint aren't counted
+        $this->assertEquals(2, $counts[$today]);
+        $this->assertEquals(1, $counts[gmdate('Y-m-d', $now - 2 * DAY_IN_SECONDS)]);
+        $this->assertEquals(0, $counts[gmdate('Y-m-d', $now - DAY_IN_SECONDS)]);
+        $this->assertEquals(4, array_sum($counts));
+
+        // Test a shorter window
+        $counts = $this->repository->get_fingerprint_daily_counts($event, 7);
+        $this->assertCount(7, $counts);
+        $this->assertEquals(3, array_sum($counts));
+    }
+}
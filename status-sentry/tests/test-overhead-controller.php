@@ -0,0 +1,89 @@
+<?php
+/**
+ * Class OverheadControllerTest
+ *
+ * @package Status_Sentry
+ */
+
+/**
+ * Plugin Overhead Controller test case.
+ */
+class OverheadControllerTest extends WP_UnitTestCase {
+
+    /**
+     * Plugin Overhead Controller instance.
+     *
+     * @var Status_Sentry_Overhead_Controller
+     */
+    private $controller;
+
+    /**
+     * Set up.
+     */
+    public function setUp() {
+        parent::setUp();
+
+        // Include necessary files
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-overhead-controller.php';
+
+        // Create instance
+        $this->controller = new Status_Sentry_Overhead_Controller();
+    }
+
+    /**
+     * Call a private method of the controller.
+     *
+     * @param  string $name      The method name.
+     * @param  array  $arguments The arguments.
+     * @return mixed             The return value.
+     */
+    private function call($name, $arguments) {
+        $method = new ReflectionMethod($this->controller, $name);
+        $method->setAccessible(true);
+
+        return $method->invokeArgs($this->controller, $arguments);
+    }
+
+    /**
+     * Test get_percentiles method.
+     */
+    public function test_get_percentiles() {
+        // Test no samples
+        $this->assertSame(['p50' => null, 'p90' => null, 'p99' => null, 'max' => null], $this->call('get_percentiles', [[]]));
+
+        // Test a single sample
+        $this->assertSame(['p50' => 0.5, 'p90' => 0.5, 'p99' => 0.5, 'max' => 0.5], $this->call('get_percentiles', [[0.5]]));
+
+        // Test that an even number of samples uses the lower middle value rather than the mean
+        $this->assertSame(['p50' => 2, 'p90' => 4, 'p99' => 4, 'max' => 4], $this->call('get_percentiles', [[1, 2, 3, 4]]));
+
+        // Test that each percentile is the nearest rank
+        $this->assertSame(['p50' => 5, 'p90' => 9, 'p99' => 10, 'max' => 10], $this->call('get_percentiles', [range(1, 10)]));
+        $this->assertSame(['p50' => 50, 'p90' => 90, 'p99' => 99, 'max' => 100], $this->call('get_percentiles', [range(1, 100)]));
+    }
+
+    /**
+     * Test that a task's percentiles are computed from its sorted runs.
+     */
+    public function test_prepare_task() {
+        $rows = [];
+        foreach ([[0.4, 4096, 'completed'], [0.1, 1024, 'completed'], [0.3, 3072, 'failed'], [0.2, 2048, 'completed']] as $run) {
+            $rows[] = (object) [
+                'duration' => (string) $run[0],
+                'memory_used' => (string) $run[1],
+                'status' => $run[2],
+                'tier' => 'standard',
+            ];
+        }
+
+        $task = $this->call('prepare_task', ['cleanup', $rows]);
+
+        $this->assertEquals('cleanup', $task['task_name']);
+        $this->assertEquals(['standard'], $task['tiers']);
+        $this->assertEquals(4, $task['runs']);
+        $this->assertEquals(1, $task['failed']);
+        $this->assertEquals(1.0, round($task['total_duration'], 4));
+        $this->assertSame(['p50' => 0.2, 'p90' => 0.4, 'p99' => 0.4, 'max' => 0.4], $task['duration']);
+        $this->assertSame(['p50' => 2048, 'p90' => 4096, 'p99' => 4096, 'max' => 4096], $task['memory']);
+    }
+}
@@ -98,6 +98,94 @@ class ResourceManagerTest extends WP_UnitTestCase {
         $this->assertEquals(0.6, $resource_manager->get_cpu_threshold());
     }
 
+    /**
+     * Test that the GC memory threshold saved on the Settings page applies.
+     */
+    public function test_settings_memory_threshold() {
+        // Test default threshold
+        $config = $this->resource_manager->get_config();
+        $this->assertEquals(0.8, $config['gc_settings']['memory_threshold']);
+
+        // Test the threshold from the Settings page
+        update_option('status_sentry_settings', ['memory_threshold' => 75]);
+        $resource_manager = new Status_Sentry_Resource_Manager();
+        $config = $resource_manager->get_config();
+        $this->assertEquals(0.75, $config['gc_settings']['memory_threshold']);
+
+        // Test the threshold the recommendation's one-click fix saves
+        require_once STATUS_SENTRY_PLUGIN_DIR . 'includes/admin/class-status-sentry-recommendations.php';
+        $recommendations = new Status_Sentry_Recommendations();
+        $recommendations->apply_fix('lower_memory_threshold');
+
+        $resource_manager = new Status_Sentry_Resource_Manager();
+        $config = $resource_manager->get_config();
+        $this->assertEquals(0.7, $config['gc_settings']['memory_threshold']);
+    }
+
+    /**
+     * Test that the GC cycles and CPU threshold saved on the Settings page apply.
+     */
+    public function test_settings_thresholds() {
+        update_option('status_sentry_settings', [
+            'memory_threshold' => 75,
+            'gc_cycles' => 5,
+            'cpu_threshold' => 60,
+        ]);
+
+        $resource_manager = new Status_Sentry_Resource_Manager();
+        $config = $resource_manager->get_config();
+        $this->assertEquals(0.75, $config['gc_settings']['memory_threshold']);
+        $this->assertEquals(5, $config['gc_settings']['cycles']);
+        $this->assertEquals(0.6, $resource_manager->get_cpu_threshold());
+    }
+
+    /**
+     * Test that update_config saves its changes for later requests.
+     */
+    public function test_update_config_is_saved() {
+        $this->assertTrue($this->resource_manager->update_config([
+            'budgets' => [
+                'intensive' => ['memory' => 75 * 1024 * 1024],
+            ],
+            'gc_settings' => ['cycles' => 4],
+            'cpu_threshold' => 0.6,
+        ]));
+
+        // Test that the thresholds and cycles are saved with the Settings page values
+        $settings = get_option('status_sentry_settings');
+        $this->assertEquals(4, $settings['gc_cycles']);
+        $this->assertEquals(60, $settings['cpu_threshold']);
+
+        // Test that only the budgets are saved in the resource manager config
+        $saved_config = get_option('status_sentry_resource_manager_config');
+        $this->assertEquals(75 * 1024 * 1024, $saved_config['budgets']['intensive']['memory']);
+        $this->assertArrayNotHasKey('cpu_threshold', $saved_config);
+
+        // Test that a new instance uses the saved values
+        $resource_manager = new Status_Sentry_Resource_Manager();
+        $budget = $resource_manager->get_budget('intensive');
+        $config = $resource_manager->get_config();
+        $this->assertEquals(75 * 1024 * 1024, $budget['memory']);
+        $this->assertEquals(45, $budget['time']);
+        $this->assertEquals(4, $config['gc_settings']['cycles']);
+        $this->assertEquals(0.6, $resource_manager->get_cpu_threshold());
+
+        // Test that an out of range CPU threshold isn't saved
+        $this->assertFalse($resource_manager->update_config(['cpu_threshold' => 2]));
+        $this->assertFalse($resource_manager->update_config(['cpu_threshold' => 0.2]));
+        $this->assertEquals(60, get_option('status_sentry_settings')['cpu_threshold']);
+    }
+
+    /**
+     * Test get_instance method.
+     */
+    public function test_get_instance() {
+        $resource_manager = Status_Sentry_Resource_Manager::get_instance();
+
+        $this->assertInstanceOf('Status_Sentry_Resource_Manager', $resource_manager);
+        $this->assertSame($resource_manager, Status_Sentry_Resource_Manager::get_instance());
+    }
+
     /**
      * Test should_continue method.
      */